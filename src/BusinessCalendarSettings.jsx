@@ -0,0 +1,172 @@
+import React, { useState } from 'react';
+import {
+    WEEKDAYS,
+    DURATION_MODES,
+    DEFAULT_CALENDAR,
+    importCalendarFile,
+} from './businessCalendar';
+
+// --- Duration mode and working calendar settings ---
+export const BusinessCalendarSettings = ({ settings, onChange }) => {
+    const [importMessage, setImportMessage] = useState(null);
+    const { calendar } = settings;
+
+    const updateCalendar = (patch) =>
+        onChange({ ...settings, calendar: { ...calendar, ...patch } });
+
+    const toggleWorkingDay = (day) =>
+        updateCalendar({
+            workingDays: calendar.workingDays.includes(day)
+                ? calendar.workingDays.filter((d) => d !== day)
+                : [...calendar.workingDays, day],
+        });
+
+    const handleImport = async (event) => {
+        const file = event.target.files[0];
+        event.target.value = null;
+        if (!file) return;
+        try {
+            const result = importCalendarFile(await file.text(), calendar);
+            onChange({ ...settings, calendar: result.calendar });
+            setImportMessage(
+                `Imported ${result.imported} holiday(s) from ${file.name}` +
+                    (result.skipped
+                        ? `, skipped ${result.skipped} unreadable line(s).`
+                        : '.')
+            );
+        } catch (err) {
+            console.error('Holiday Import Error:', err);
+            setImportMessage(`Failed to import ${file.name}: ${err.message}`);
+        }
+    };
+
+    return (
+        <div
+            style={{
+                marginBottom: '20px',
+                padding: '10px 15px',
+                border: '1px solid #ccc',
+                borderRadius: '4px',
+            }}
+        >
+            <div style={{ marginBottom: '8px' }}>
+                <strong>Durations</strong>{' '}
+                {Object.entries(DURATION_MODES).map(([key, mode]) => (
+                    <label key={key} style={{ marginLeft: '15px' }}>
+                        <input
+                            type="radio"
+                            name="durationMode"
+                            value={key}
+                            checked={settings.mode === key}
+                            onChange={() =>
+                                onChange({ ...settings, mode: key })
+                            }
+                        />{' '}
+                        {mode.label}
+                    </label>
+                ))}
+            </div>
+            {settings.mode === 'business' && (
+                <>
+                    <div style={{ marginBottom: '8px' }}>
+                        Working days:{' '}
+                        {WEEKDAYS.map(({ day, label }) => (
+                            <label key={day} style={{ marginRight: '8px' }}>
+                                <input
+                                    type="checkbox"
+                                    checked={calendar.workingDays.includes(day)}
+                                    onChange={() => toggleWorkingDay(day)}
+                                />{' '}
+                                {label}
+                            </label>
+                        ))}
+                        <label style={{ marginLeft: '15px' }}>
+                            Working hours:{' '}
+                            <input
+                                type="time"
+                                value={calendar.workStart}
+                                onChange={(e) =>
+                                    updateCalendar({
+                                        workStart: e.target.value,
+                                    })
+                                }
+                            />{' '}
+                            –{' '}
+                            <input
+                                type="time"
+                                value={calendar.workEnd}
+                                onChange={(e) =>
+                                    updateCalendar({ workEnd: e.target.value })
+                                }
+                            />
+                        </label>
+                    </div>
+                    <div>
+                        <label style={{ marginRight: '15px' }}>
+                            <input
+                                type="checkbox"
+                                checked={calendar.lithuanianHolidays}
+                                onChange={(e) =>
+                                    updateCalendar({
+                                        lithuanianHolidays: e.target.checked,
+                                    })
+                                }
+                            />{' '}
+                            Lithuanian public holidays
+                        </label>
+                        <span
+                            style={{ marginRight: '10px' }}
+                            title={calendar.holidays
+                                .map((h) => `${h.date} ${h.name || ''}`)
+                                .join('\n')}
+                        >
+                            {calendar.holidays.length} custom holiday(s)
+                        </span>
+                        <label style={{ marginRight: '10px' }}>
+                            Import holidays:{' '}
+                            <input
+                                type="file"
+                                accept=".json,.csv,.txt"
+                                onChange={handleImport}
+                            />
+                        </label>
+                        {calendar.holidays.length > 0 && (
+                            <button
+                                onClick={() => updateCalendar({ holidays: [] })}
+                                style={{ marginRight: '10px' }}
+                            >
+                                Clear Custom Holidays
+                            </button>
+                        )}
+                        <button
+                            onClick={() =>
+                                onChange({
+                                    ...settings,
+                                    calendar: DEFAULT_CALENDAR,
+                                })
+                            }
+                        >
+                            Reset Calendar
+                        </button>
+                        <div
+                            style={{
+                                fontSize: '0.9em',
+                                color: '#555',
+                                marginTop: '5px',
+                            }}
+                        >
+                            Holiday files: JSON (a list of dates or a calendar
+                            object) or CSV/text with one yyyy-MM-dd or MM-dd
+                            date and an optional name per line.
+                        </div>
+                        {importMessage && (
+                            <div style={{ marginTop: '5px' }}>
+                                {importMessage}
+                            </div>
+                        )}
+                    </div>
+                </>
+            )}
+        </div>
+    );
+};
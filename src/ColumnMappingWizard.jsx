@@ -0,0 +1,106 @@
+import React from 'react';
+import { COLUMN_ROLES, validateMapping } from './columnMapping';
+
+// --- Column mapping step shown after Papa.parse detected the headers ---
+export const ColumnMappingWizard = ({
+    headers,
+    sampleRow,
+    mapping,
+    onChange,
+    onApply,
+    onCancel,
+}) => {
+    const problems = validateMapping(mapping, headers);
+
+    const handleRoleChange = (roleKey, header) => {
+        onChange({ ...mapping, [roleKey]: header });
+    };
+
+    return (
+        <div
+            style={{
+                marginBottom: '20px',
+                padding: '15px',
+                border: '1px solid #ccc',
+                borderRadius: '4px',
+                background: '#fafafa',
+            }}
+        >
+            <h2>Map Columns</h2>
+            <p>
+                Detected {headers.length} columns. Assign each role used by the
+                analysis to a column of the file.
+            </p>
+            <table style={{ borderCollapse: 'collapse', marginBottom: '10px' }}>
+                <thead>
+                    <tr>
+                        <th>Role</th>
+                        <th>Column</th>
+                        <th>Sample Value</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {COLUMN_ROLES.map((role) => {
+                        const header = mapping[role.key] || '';
+                        return (
+                            <tr key={role.key}>
+                                <td style={{ padding: '2px 8px' }}>
+                                    {role.label}
+                                    {role.required && (
+                                        <span style={{ color: 'red' }}> *</span>
+                                    )}
+                                </td>
+                                <td style={{ padding: '2px 8px' }}>
+                                    <select
+                                        value={header}
+                                        onChange={(e) =>
+                                            handleRoleChange(
+                                                role.key,
+                                                e.target.value
+                                            )
+                                        }
+                                    >
+                                        <option value="">
+                                            -- not mapped --
+                                        </option>
+                                        {headers.map((h) => (
+                                            <option key={h} value={h}>
+                                                {h}
+                                            </option>
+                                        ))}
+                                    </select>
+                                </td>
+                                <td
+                                    style={{
+                                        padding: '2px 8px',
+                                        color: '#555',
+                                        fontFamily: 'monospace',
+                                    }}
+                                >
+                                    {header && sampleRow
+                                        ? String(sampleRow[header] ?? '')
+                                        : ''}
+                                </td>
+                            </tr>
+                        );
+                    })}
+                </tbody>
+            </table>
+            {problems.length > 0 && (
+                <ul style={{ color: 'red', marginTop: 0 }}>
+                    {problems.map((problem) => (
+                        <li key={problem}>{problem}</li>
+                    ))}
+                </ul>
+            )}
+            <button onClick={onApply} disabled={problems.length > 0}>
+                Apply Mapping
+            </button>
+            {onCancel && (
+                <button onClick={onCancel} style={{ marginLeft: '10px' }}>
+                    Cancel
+                </button>
+            )}
+        </div>
+    );
+};
@@ -0,0 +1,374 @@
+import React from 'react';
+import {
+    BarChart,
+    Bar,
+    LineChart,
+    Line,
+    XAxis,
+    YAxis,
+    CartesianGrid,
+    Tooltip,
+    Legend,
+    ResponsiveContainer,
+} from 'recharts';
+import { COLORS } from './chartColors';
+import { parseDateInput, formatDateInput } from './filters';
+import { getDurationUnits } from './businessCalendar';
+import {
+    COMPARISON_MODES,
+    COMPARISON_PRESETS,
+    EMPTY_PERIOD,
+    alignMonthlyCreations,
+    compareDurationStats,
+    compareByName,
+    formatDelta,
+} from './comparison';
+
+const COLOR_A = COLORS[0];
+const COLOR_B = COLORS[3];
+const NAME_LIMIT = 15;
+
+const deltaColor = (value) =>
+    value > 0 ? '#21ba45' : value < 0 ? '#db2828' : undefined;
+
+const formatValue = (value) =>
+    Number.isInteger(value) ? value : value.toFixed(1);
+
+// Grouped bars for both periods with the deltas in a table below
+const ComparisonBars = ({ title, rows, labelA, labelB, valueLabel }) => (
+    <div style={{ marginBottom: '30px' }}>
+        <h3>{title}</h3>
+        {rows.length > 0 ? (
+            <>
+                <ResponsiveContainer
+                    width="95%"
+                    height={Math.max(200, rows.length * 35)}
+                >
+                    <BarChart
+                        data={rows}
+                        layout="vertical"
+                        margin={{ top: 5, right: 30, left: 150, bottom: 5 }}
+                    >
+                        <CartesianGrid strokeDasharray="3 3" />
+                        <XAxis type="number" />
+                        <YAxis dataKey="name" type="category" width={140} />
+                        <Tooltip formatter={(value) => formatValue(value)} />
+                        <Legend />
+                        <Bar dataKey="a" name={labelA} fill={COLOR_A} />
+                        <Bar dataKey="b" name={labelB} fill={COLOR_B} />
+                    </BarChart>
+                </ResponsiveContainer>
+                <details>
+                    <summary style={{ cursor: 'pointer' }}>Deltas</summary>
+                    <table style={{ borderCollapse: 'collapse' }}>
+                        <thead>
+                            <tr>
+                                <th />
+                                <th>A: {valueLabel}</th>
+                                <th>B: {valueLabel}</th>
+                                <th>A − B</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {rows.map((row) => (
+                                <tr key={row.name}>
+                                    <td>{row.name}</td>
+                                    <td style={{ textAlign: 'right' }}>
+                                        {formatValue(row.a)}
+                                    </td>
+                                    <td style={{ textAlign: 'right' }}>
+                                        {formatValue(row.b)}
+                                    </td>
+                                    <td
+                                        style={{
+                                            textAlign: 'right',
+                                            color: deltaColor(row.delta),
+                                        }}
+                                    >
+                                        {formatDelta(row)}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </details>
+            </>
+        ) : (
+            <p>No data in either period.</p>
+        )}
+    </div>
+);
+
+// --- Period Comparison: two date ranges or two files side by side ---
+export const ComparisonSection = ({
+    comparison,
+    onChange,
+    result,
+    fileNames,
+    latestCreated,
+    durationSettings,
+}) => {
+    const { unit } = getDurationUnits(durationSettings);
+
+    const updatePeriod = (key, patch) =>
+        onChange({
+            ...comparison,
+            [key]: { ...comparison[key], ...patch },
+        });
+
+    const applyPreset = (presetKey) => {
+        if (!presetKey || !latestCreated) return;
+        const [a, b] = COMPARISON_PRESETS[presetKey].periods(latestCreated);
+        onChange({
+            ...comparison,
+            a: { ...EMPTY_PERIOD, ...a },
+            b: { ...EMPTY_PERIOD, ...b },
+        });
+    };
+
+    const renderPeriodInputs = (key) =>
+        comparison.mode === 'files' ? (
+            <select
+                value={comparison[key].file}
+                onChange={(e) => updatePeriod(key, { file: e.target.value })}
+            >
+                <option value="">Select a file</option>
+                {fileNames.map((name) => (
+                    <option key={name} value={name}>
+                        {name}
+                    </option>
+                ))}
+            </select>
+        ) : (
+            <>
+                <input
+                    type="date"
+                    value={formatDateInput(comparison[key].from)}
+                    onChange={(e) =>
+                        updatePeriod(key, {
+                            from: parseDateInput(e.target.value),
+                        })
+                    }
+                />{' '}
+                –{' '}
+                <input
+                    type="date"
+                    value={formatDateInput(comparison[key].to)}
+                    onChange={(e) =>
+                        updatePeriod(key, {
+                            to: parseDateInput(e.target.value, true),
+                        })
+                    }
+                />
+            </>
+        );
+
+    const aggregatesA = result?.a.aggregates;
+    const aggregatesB = result?.b.aggregates;
+    const labelA = result ? `A: ${result.a.label}` : 'A';
+    const labelB = result ? `B: ${result.b.label}` : 'B';
+
+    return (
+        <section
+            style={{
+                marginBottom: '40px',
+                borderBottom: '1px solid #eee',
+                paddingBottom: '20px',
+            }}
+        >
+            <h2>Period Comparison</h2>
+            <div style={{ marginBottom: '10px' }}>
+                <label style={{ marginRight: '15px' }}>
+                    Compare:{' '}
+                    <select
+                        value={comparison.mode}
+                        onChange={(e) =>
+                            onChange({
+                                ...comparison,
+                                mode: e.target.value,
+                            })
+                        }
+                    >
+                        {Object.entries(COMPARISON_MODES).map(
+                            ([key, label]) => (
+                                <option key={key} value={key}>
+                                    {label}
+                                </option>
+                            )
+                        )}
+                    </select>
+                </label>
+                {comparison.mode === 'dates' && (
+                    <label>
+                        Preset:{' '}
+                        <select
+                            value=""
+                            onChange={(e) => applyPreset(e.target.value)}
+                            disabled={!latestCreated}
+                        >
+                            <option value="">Choose…</option>
+                            {Object.entries(COMPARISON_PRESETS).map(
+                                ([key, preset]) => (
+                                    <option key={key} value={key}>
+                                        {preset.label}
+                                    </option>
+                                )
+                            )}
+                        </select>
+                    </label>
+                )}
+            </div>
+            {comparison.mode !== 'off' && (
+                <div style={{ marginBottom: '10px' }}>
+                    <div style={{ marginBottom: '5px' }}>
+                        <strong style={{ color: COLOR_A }}>Period A</strong>{' '}
+                        {renderPeriodInputs('a')}
+                    </div>
+                    <div>
+                        <strong style={{ color: COLOR_B }}>Period B</strong>{' '}
+                        {renderPeriodInputs('b')}
+                    </div>
+                    {comparison.mode === 'dates' && (
+                        <p style={{ fontSize: '0.9em', color: '#555' }}>
+                            Periods select on the created date and replace the
+                            created date filter; all other filters still apply.
+                        </p>
+                    )}
+                </div>
+            )}
+
+            {comparison.mode === 'off' ? (
+                <p>
+                    Choose two date ranges or two loaded files to analyze them
+                    side by side.
+                </p>
+            ) : !result ? (
+                <p>Select both periods to compare them.</p>
+            ) : (
+                <>
+                    <p>
+                        {labelA}: {result.a.rowCount} rows. {labelB}:{' '}
+                        {result.b.rowCount} rows.
+                    </p>
+
+                    <h3>Items Created Per Month</h3>
+                    <ResponsiveContainer width="95%" height={300}>
+                        <LineChart
+                            data={alignMonthlyCreations(
+                                aggregatesA.monthlyCreations,
+                                aggregatesB.monthlyCreations
+                            )}
+                            margin={{ top: 5, right: 30, left: 20, bottom: 5 }}
+                        >
+                            <CartesianGrid strokeDasharray="3 3" />
+                            <XAxis dataKey="position" />
+                            <YAxis allowDecimals={false} />
+                            <Tooltip
+                                formatter={(value, name, item) => [
+                                    `${value} (${
+                                        name === labelA
+                                            ? item.payload.monthA
+                                            : item.payload.monthB
+                                    })`,
+                                    name,
+                                ]}
+                            />
+                            <Legend />
+                            <Line
+                                type="monotone"
+                                dataKey="a"
+                                name={labelA}
+                                stroke={COLOR_A}
+                            />
+                            <Line
+                                type="monotone"
+                                dataKey="b"
+                                name={labelB}
+                                stroke={COLOR_B}
+                                strokeDasharray="5 5"
+                            />
+                        </LineChart>
+                    </ResponsiveContainer>
+
+                    <h3>Processing Duration ({unit})</h3>
+                    <table
+                        style={{
+                            borderCollapse: 'collapse',
+                            marginBottom: '30px',
+                        }}
+                    >
+                        <thead>
+                            <tr>
+                                <th />
+                                <th>{labelA}</th>
+                                <th>{labelB}</th>
+                                <th>A − B</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {compareDurationStats(
+                                aggregatesA.durationStats,
+                                aggregatesB.durationStats
+                            ).map((row) => (
+                                <tr key={row.metric}>
+                                    <td>{row.metric}</td>
+                                    <td style={{ textAlign: 'right' }}>
+                                        {formatValue(row.a)}
+                                    </td>
+                                    <td style={{ textAlign: 'right' }}>
+                                        {formatValue(row.b)}
+                                    </td>
+                                    <td
+                                        style={{
+                                            textAlign: 'right',
+                                            color: deltaColor(row.delta),
+                                        }}
+                                    >
+                                        {formatDelta(row)}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+
+                    <ComparisonBars
+                        title={`Actions Per Staff Member (Top ${NAME_LIMIT})`}
+                        rows={compareByName(
+                            aggregatesA.staffActivity.counts,
+                            aggregatesB.staffActivity.counts,
+                            'staff',
+                            'count'
+                        ).slice(0, NAME_LIMIT)}
+                        labelA={labelA}
+                        labelB={labelB}
+                        valueLabel="actions"
+                    />
+                    <ComparisonBars
+                        title={`Average Duration Per Staff Member (Top ${NAME_LIMIT})`}
+                        rows={compareByName(
+                            aggregatesA.staffActivity.durations,
+                            aggregatesB.staffActivity.durations,
+                            'staff',
+                            'avgDurationDays'
+                        ).slice(0, NAME_LIMIT)}
+                        labelA={labelA}
+                        labelB={labelB}
+                        valueLabel={unit}
+                    />
+                    <ComparisonBars
+                        title="Action Type Distribution"
+                        rows={compareByName(
+                            aggregatesA.actionTypeCounts,
+                            aggregatesB.actionTypeCounts,
+                            'name',
+                            'value'
+                        ).slice(0, NAME_LIMIT)}
+                        labelA={labelA}
+                        labelB={labelB}
+                        valueLabel="actions"
+                    />
+                </>
+            )}
+        </section>
+    );
+};
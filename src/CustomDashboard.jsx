@@ -0,0 +1,552 @@
+import React, { useState, useMemo } from 'react';
+import {
+    BarChart,
+    Bar,
+    LineChart,
+    Line,
+    PieChart,
+    Pie,
+    Cell,
+    Treemap,
+    XAxis,
+    YAxis,
+    CartesianGrid,
+    Tooltip,
+    Legend,
+    ResponsiveContainer,
+} from 'recharts';
+import { COLORS } from './chartColors';
+import { downloadBlob } from './download';
+import {
+    CHART_TYPES,
+    MEASURES,
+    CHART_WIDTHS,
+    CHART_HEIGHTS,
+    listDimensions,
+    createChart,
+    defaultChartTitle,
+    allowedChartTypes,
+    moveChart,
+    serializeDashboard,
+    parseDashboard,
+    loadCurrentDashboard,
+    saveCurrentDashboard,
+    loadSavedDashboards,
+    saveSavedDashboards,
+} from './chartBuilder';
+import { useSectionQuery } from './useSectionQuery';
+import { SectionQueryStatus } from './SectionQueryStatus';
+
+const formatValue = (value) =>
+    Number.isInteger(value) ? value : value.toFixed(1);
+
+// Treemap cells coloured by position, labelled when there is room
+const TreemapCell = ({ x, y, width, height, index, name, depth }) => (
+    <g>
+        <rect
+            x={x}
+            y={y}
+            width={width}
+            height={height}
+            fill={depth ? COLORS[index % COLORS.length] : 'none'}
+            stroke="#fff"
+        />
+        {depth > 0 && width > 60 && height > 20 && (
+            <text
+                x={x + 5}
+                y={y + 15}
+                fill="#fff"
+                fontSize={12}
+                style={{ pointerEvents: 'none' }}
+            >
+                {name}
+            </text>
+        )}
+    </g>
+);
+
+// Rendered as the child of a ResponsiveContainer, whose width and height are
+// passed on to the chart
+const ChartView = ({ chart, data, unit, ...size }) => {
+    const valueName = MEASURES[chart.measure].usesDuration
+        ? `${MEASURES[chart.measure].label} (${unit})`
+        : MEASURES[chart.measure].label;
+    const tooltip = <Tooltip formatter={(value) => formatValue(value)} />;
+    const margin = { top: 5, right: 30, left: 20, bottom: 5 };
+
+    switch (chart.type) {
+        case 'line':
+            return (
+                <LineChart {...size} data={data} margin={margin}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="name" />
+                    <YAxis />
+                    {tooltip}
+                    <Legend />
+                    <Line
+                        type="monotone"
+                        dataKey="value"
+                        name={valueName}
+                        stroke={COLORS[0]}
+                    />
+                </LineChart>
+            );
+        case 'pie':
+            return (
+                <PieChart {...size}>
+                    <Pie
+                        data={data}
+                        dataKey="value"
+                        nameKey="name"
+                        cx="50%"
+                        cy="50%"
+                        outerRadius="70%"
+                        label={({ name, percent }) =>
+                            `${name}: ${(percent * 100).toFixed(0)}%`
+                        }
+                    >
+                        {data.map((entry, index) => (
+                            <Cell
+                                key={entry.name}
+                                fill={COLORS[index % COLORS.length]}
+                            />
+                        ))}
+                    </Pie>
+                    {tooltip}
+                </PieChart>
+            );
+        case 'treemap':
+            return (
+                <Treemap
+                    {...size}
+                    data={data}
+                    dataKey="value"
+                    nameKey="name"
+                    isAnimationActive={false}
+                    content={<TreemapCell />}
+                >
+                    {tooltip}
+                </Treemap>
+            );
+        default:
+            return (
+                <BarChart {...size} data={data} margin={margin}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="name" />
+                    <YAxis />
+                    {tooltip}
+                    <Legend />
+                    <Bar dataKey="value" name={valueName} fill={COLORS[0]} />
+                </BarChart>
+            );
+    }
+};
+
+// --- Custom Charts: chart builder and a rearrangeable, saveable layout ---
+// The chart data is computed in the analysis worker
+export const CustomDashboard = ({ query, mapping, unit }) => {
+    const [dashboard, setDashboard] = useState(loadCurrentDashboard);
+    const [savedDashboards, setSavedDashboards] = useState(loadSavedDashboards);
+    const [draft, setDraft] = useState(null);
+    const [dragId, setDragId] = useState(null);
+    const [message, setMessage] = useState(null);
+
+    const dimensions = useMemo(() => listDimensions(mapping), [mapping]);
+    // Keyed by chart id
+    const { result: chartData, error } = useSectionQuery(
+        query,
+        'customCharts',
+        { charts: dashboard.charts }
+    );
+
+    const updateDashboard = (next) => {
+        setDashboard(next);
+        saveCurrentDashboard(next);
+    };
+
+    const updateCharts = (charts) => updateDashboard({ ...dashboard, charts });
+
+    const updateChart = (id, patch) =>
+        updateCharts(
+            dashboard.charts.map((chart) =>
+                chart.id === id ? { ...chart, ...patch } : chart
+            )
+        );
+
+    const updateDraft = (patch) => {
+        const next = { ...draft, ...patch };
+        // Keep the chart type valid for the selected dimension
+        if (!allowedChartTypes(next.dimension).includes(next.type)) {
+            next.type = 'bar';
+        }
+        setDraft(next);
+    };
+
+    const startNewChart = () =>
+        setDraft(createChart({ dimension: dimensions[0]?.id || '' }));
+
+    const applyDraft = () => {
+        const exists = dashboard.charts.some((chart) => chart.id === draft.id);
+        updateCharts(
+            exists
+                ? dashboard.charts.map((chart) =>
+                      chart.id === draft.id ? draft : chart
+                  )
+                : [...dashboard.charts, draft]
+        );
+        setDraft(null);
+    };
+
+    const handleDrop = (targetId) => {
+        if (dragId) updateCharts(moveChart(dashboard.charts, dragId, targetId));
+        setDragId(null);
+    };
+
+    const handleSaveAs = () => {
+        const name = dashboard.name.trim();
+        if (!name) return;
+        const next = {
+            ...savedDashboards,
+            [name]: serializeDashboard(dashboard),
+        };
+        setSavedDashboards(next);
+        saveSavedDashboards(next);
+        setMessage(`Saved dashboard "${name}".`);
+    };
+
+    const handleLoad = (name) => {
+        if (!name) return;
+        try {
+            updateDashboard(parseDashboard(savedDashboards[name]));
+            setMessage(`Loaded dashboard "${name}".`);
+        } catch (err) {
+            console.error('Dashboard Load Error:', err);
+            setMessage(err.message);
+        }
+    };
+
+    const handleDeleteSaved = () => {
+        const name = dashboard.name.trim();
+        if (!savedDashboards[name]) return;
+        const { [name]: removed, ...rest } = savedDashboards;
+        setSavedDashboards(rest);
+        saveSavedDashboards(rest);
+        setMessage(`Deleted the saved dashboard "${name}".`);
+    };
+
+    const handleExport = () =>
+        downloadBlob(
+            new Blob([serializeDashboard(dashboard)], {
+                type: 'application/json',
+            }),
+            `${dashboard.name.trim() || 'dashboard'}.json`
+        );
+
+    const handleImport = async (event) => {
+        const file = event.target.files[0];
+        event.target.value = null;
+        if (!file) return;
+        try {
+            const imported = parseDashboard(await file.text());
+            updateDashboard(imported);
+            setMessage(
+                `Imported ${imported.charts.length} chart(s) from ${file.name}.`
+            );
+        } catch (err) {
+            console.error('Dashboard Import Error:', err);
+            setMessage(`Could not import ${file.name}: ${err.message}`);
+        }
+    };
+
+    return (
+        <section
+            style={{
+                marginBottom: '40px',
+                borderBottom: '1px solid #eee',
+                paddingBottom: '20px',
+            }}
+        >
+            <h2>Custom Charts</h2>
+            <div style={{ marginBottom: '10px' }}>
+                <label style={{ marginRight: '10px' }}>
+                    Dashboard:{' '}
+                    <input
+                        value={dashboard.name}
+                        onChange={(e) =>
+                            updateDashboard({
+                                ...dashboard,
+                                name: e.target.value,
+                            })
+                        }
+                    />
+                </label>
+                <button onClick={handleSaveAs}>Save</button>{' '}
+                <select value="" onChange={(e) => handleLoad(e.target.value)}>
+                    <option value="">Open saved…</option>
+                    {Object.keys(savedDashboards)
+                        .sort()
+                        .map((name) => (
+                            <option key={name} value={name}>
+                                {name}
+                            </option>
+                        ))}
+                </select>{' '}
+                <button
+                    onClick={handleDeleteSaved}
+                    disabled={!savedDashboards[dashboard.name.trim()]}
+                >
+                    Delete Saved
+                </button>{' '}
+                <button onClick={handleExport}>Export JSON</button>{' '}
+                <label>
+                    Import JSON:{' '}
+                    <input
+                        type="file"
+                        accept=".json,application/json"
+                        onChange={handleImport}
+                    />
+                </label>
+            </div>
+            {message && (
+                <p style={{ fontSize: '0.9em', color: '#555' }}>{message}</p>
+            )}
+
+            {draft ? (
+                <div
+                    style={{
+                        marginBottom: '15px',
+                        padding: '10px',
+                        border: '1px solid #ccc',
+                        borderRadius: '4px',
+                    }}
+                >
+                    <label style={{ marginRight: '15px' }}>
+                        Title:{' '}
+                        <input
+                            value={draft.title}
+                            placeholder={defaultChartTitle(draft, dimensions)}
+                            onChange={(e) =>
+                                updateDraft({ title: e.target.value })
+                            }
+                        />
+                    </label>
+                    <label style={{ marginRight: '15px' }}>
+                        Group by:{' '}
+                        <select
+                            value={draft.dimension}
+                            onChange={(e) =>
+                                updateDraft({ dimension: e.target.value })
+                            }
+                        >
+                            {dimensions.map((dimension) => (
+                                <option key={dimension.id} value={dimension.id}>
+                                    {dimension.label}
+                                </option>
+                            ))}
+                        </select>
+                    </label>
+                    <label style={{ marginRight: '15px' }}>
+                        Measure:{' '}
+                        <select
+                            value={draft.measure}
+                            onChange={(e) =>
+                                updateDraft({ measure: e.target.value })
+                            }
+                        >
+                            {Object.entries(MEASURES).map(([key, measure]) => (
+                                <option key={key} value={key}>
+                                    {measure.label}
+                                </option>
+                            ))}
+                        </select>
+                    </label>
+                    <label style={{ marginRight: '15px' }}>
+                        Chart:{' '}
+                        <select
+                            value={draft.type}
+                            onChange={(e) =>
+                                updateDraft({ type: e.target.value })
+                            }
+                        >
+                            {allowedChartTypes(draft.dimension).map((type) => (
+                                <option key={type} value={type}>
+                                    {CHART_TYPES[type]}
+                                </option>
+                            ))}
+                        </select>
+                    </label>
+                    {draft.dimension.startsWith('role:') && (
+                        <label style={{ marginRight: '15px' }}>
+                            Top:{' '}
+                            <input
+                                type="number"
+                                min={1}
+                                value={draft.limit}
+                                onChange={(e) =>
+                                    updateDraft({
+                                        limit: Math.max(
+                                            1,
+                                            Number(e.target.value) || 1
+                                        ),
+                                    })
+                                }
+                                style={{ width: '60px' }}
+                            />
+                        </label>
+                    )}
+                    <button onClick={applyDraft} disabled={!draft.dimension}>
+                        {dashboard.charts.some((chart) => chart.id === draft.id)
+                            ? 'Update Chart'
+                            : 'Add Chart'}
+                    </button>{' '}
+                    <button onClick={() => setDraft(null)}>Cancel</button>
+                </div>
+            ) : (
+                <button
+                    onClick={startNewChart}
+                    style={{ marginBottom: '15px' }}
+                >
+                    New Chart
+                </button>
+            )}
+
+            {dashboard.charts.length === 0 ? (
+                <p>
+                    No custom charts yet. Pick a column or date bucket, a
+                    measure and a chart type to add one.
+                </p>
+            ) : (
+                <>
+                    <p style={{ fontSize: '0.9em', color: '#555' }}>
+                        Drag a chart by its title to rearrange the layout.
+                    </p>
+                    <div
+                        style={{
+                            display: 'grid',
+                            gridTemplateColumns: 'repeat(2, minmax(0, 1fr))',
+                            gap: '15px',
+                        }}
+                    >
+                        {dashboard.charts.map((chart) => (
+                            <div
+                                key={chart.id}
+                                data-report-chart={
+                                    chart.title ||
+                                    defaultChartTitle(chart, dimensions)
+                                }
+                                onDragOver={(e) => e.preventDefault()}
+                                onDrop={() => handleDrop(chart.id)}
+                                style={{
+                                    gridColumn:
+                                        chart.width === 'full'
+                                            ? 'span 2'
+                                            : undefined,
+                                    border: '1px solid #ddd',
+                                    borderRadius: '4px',
+                                    padding: '10px',
+                                    opacity: dragId === chart.id ? 0.5 : 1,
+                                }}
+                            >
+                                <div
+                                    draggable
+                                    onDragStart={() => setDragId(chart.id)}
+                                    onDragEnd={() => setDragId(null)}
+                                    style={{
+                                        cursor: 'move',
+                                        display: 'flex',
+                                        justifyContent: 'space-between',
+                                        alignItems: 'center',
+                                    }}
+                                >
+                                    <strong>
+                                        {chart.title ||
+                                            defaultChartTitle(
+                                                chart,
+                                                dimensions
+                                            )}
+                                    </strong>
+                                    <span>
+                                        <select
+                                            value={chart.width}
+                                            onChange={(e) =>
+                                                updateChart(chart.id, {
+                                                    width: e.target.value,
+                                                })
+                                            }
+                                        >
+                                            {Object.entries(CHART_WIDTHS).map(
+                                                ([key, label]) => (
+                                                    <option
+                                                        key={key}
+                                                        value={key}
+                                                    >
+                                                        {label}
+                                                    </option>
+                                                )
+                                            )}
+                                        </select>{' '}
+                                        <select
+                                            value={chart.height}
+                                            onChange={(e) =>
+                                                updateChart(chart.id, {
+                                                    height: Number(
+                                                        e.target.value
+                                                    ),
+                                                })
+                                            }
+                                        >
+                                            {Object.entries(CHART_HEIGHTS).map(
+                                                ([key, label]) => (
+                                                    <option
+                                                        key={key}
+                                                        value={key}
+                                                    >
+                                                        {label}
+                                                    </option>
+                                                )
+                                            )}
+                                        </select>{' '}
+                                        <button onClick={() => setDraft(chart)}>
+                                            Edit
+                                        </button>{' '}
+                                        <button
+                                            onClick={() =>
+                                                updateCharts(
+                                                    dashboard.charts.filter(
+                                                        (c) => c.id !== chart.id
+                                                    )
+                                                )
+                                            }
+                                            title="Remove chart"
+                                        >
+                                            ✕
+                                        </button>
+                                    </span>
+                                </div>
+                                {!chartData?.[chart.id] ? (
+                                    <SectionQueryStatus error={error} />
+                                ) : chartData[chart.id].length > 0 ? (
+                                    <ResponsiveContainer
+                                        width="100%"
+                                        height={chart.height}
+                                    >
+                                        <ChartView
+                                            chart={chart}
+                                            data={chartData[chart.id]}
+                                            unit={unit}
+                                        />
+                                    </ResponsiveContainer>
+                                ) : (
+                                    <p>
+                                        No data for this chart with the current
+                                        column mapping and filters.
+                                    </p>
+                                )}
+                            </div>
+                        ))}
+                    </div>
+                </>
+            )}
+        </section>
+    );
+};
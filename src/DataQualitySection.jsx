@@ -0,0 +1,136 @@
+import React, { useState } from 'react';
+import { QUALITY_REASONS, MAX_LISTED_ROWS } from './dataQuality';
+import { downloadBlob, fileTimestamp } from './download';
+
+// --- Data Quality: rejected and suspicious rows of the import ---
+// The report covers the imported rows before any filter is applied.
+// onExport resolves with the CSV of the flagged rows.
+export const DataQualitySection = ({ quality, onExport }) => {
+    const [error, setError] = useState(null);
+    const { counts, flaggedRows, rejectedRows, listedRows, sample } = quality;
+
+    const handleDownload = async () => {
+        setError(null);
+        try {
+            const csv = await onExport();
+            // The BOM makes Excel read the file as UTF-8
+            downloadBlob(
+                new Blob(['\uFEFF', csv], { type: 'text/csv;charset=utf-8' }),
+                `flagged_rows_${fileTimestamp()}.csv`
+            );
+        } catch (err) {
+            console.error('Data Quality Export Error:', err);
+            setError(`Download failed: ${err.message}`);
+        }
+    };
+
+    return (
+        <section
+            style={{
+                marginBottom: '40px',
+                borderBottom: '1px solid #eee',
+                paddingBottom: '20px',
+            }}
+        >
+            <h2>Data Quality</h2>
+            {flaggedRows === 0 ? (
+                <p>No rejected or suspicious rows in the imported files.</p>
+            ) : (
+                <>
+                    <p>
+                        {flaggedRows} row(s) flagged: {rejectedRows} rejected
+                        and left out of the analysis,{' '}
+                        {flaggedRows - rejectedRows} kept. Counts cover all
+                        rows, regardless of the filters.
+                    </p>
+                    <table
+                        style={{
+                            borderCollapse: 'collapse',
+                            marginBottom: '15px',
+                        }}
+                    >
+                        <thead>
+                            <tr>
+                                <th>Reason</th>
+                                <th>Rows</th>
+                                <th>Effect</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {Object.entries(QUALITY_REASONS).map(
+                                ([reason, { label, effect }]) => (
+                                    <tr key={reason}>
+                                        <td>{label}</td>
+                                        <td style={{ textAlign: 'right' }}>
+                                            {counts[reason]}
+                                        </td>
+                                        <td>{effect}</td>
+                                    </tr>
+                                )
+                            )}
+                        </tbody>
+                    </table>
+                    <button
+                        onClick={handleDownload}
+                        style={{ marginBottom: '10px' }}
+                    >
+                        Download flagged rows (CSV)
+                    </button>
+                    {listedRows < flaggedRows && (
+                        <p style={{ fontSize: '0.9em', color: '#555' }}>
+                            Only the first {MAX_LISTED_ROWS} flagged rows are
+                            kept for the download.
+                        </p>
+                    )}
+                    {error && <p style={{ color: 'red' }}>{error}</p>}
+                    <details>
+                        <summary style={{ cursor: 'pointer' }}>
+                            Flagged rows (first {sample.length})
+                        </summary>
+                        <table style={{ borderCollapse: 'collapse' }}>
+                            <thead>
+                                <tr>
+                                    <th>File</th>
+                                    <th>ID</th>
+                                    <th>Status</th>
+                                    <th>Reason</th>
+                                    <th>Details</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {sample.map((entry, i) => (
+                                    <tr
+                                        key={i}
+                                        style={{
+                                            color: entry.rejected
+                                                ? '#db2828'
+                                                : '#b35c00',
+                                        }}
+                                    >
+                                        <td>{entry.file}</td>
+                                        <td>{entry.id}</td>
+                                        <td>
+                                            {entry.rejected
+                                                ? 'Rejected'
+                                                : 'Kept'}
+                                        </td>
+                                        <td>
+                                            {entry.reasons
+                                                .map(
+                                                    (reason) =>
+                                                        QUALITY_REASONS[reason]
+                                                            .label
+                                                )
+                                                .join(', ')}
+                                        </td>
+                                        <td>{entry.details.join('; ')}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </details>
+                </>
+            )}
+        </section>
+    );
+};
@@ -0,0 +1,145 @@
+import React, { useState } from 'react';
+import { format } from 'date-fns';
+
+const formatDate = (date) => (date ? format(date, 'yyyy-MM-dd HH:mm') : '');
+
+// --- Saved datasets: reopen, rename or delete without re-uploading ---
+export const DatasetLibrary = ({
+    datasets,
+    currentId,
+    onOpen,
+    onRename,
+    onDelete,
+    disabled,
+    storageError,
+}) => {
+    const [editingId, setEditingId] = useState(null);
+    const [draftName, setDraftName] = useState('');
+
+    const startRename = (dataset) => {
+        setEditingId(dataset.id);
+        setDraftName(dataset.name);
+    };
+
+    const finishRename = () => {
+        const name = draftName.trim();
+        if (name) onRename(editingId, name);
+        setEditingId(null);
+    };
+
+    if (!datasets.length && !storageError) return null;
+
+    return (
+        <details style={{ marginBottom: '20px' }} open={!currentId}>
+            <summary style={{ cursor: 'pointer', fontWeight: 'bold' }}>
+                Saved Datasets ({datasets.length})
+            </summary>
+            {storageError && (
+                <div style={{ color: '#b35c00', margin: '5px 0' }}>
+                    Datasets could not be saved in the browser: {storageError}
+                </div>
+            )}
+            {datasets.length > 0 && (
+                <table
+                    style={{
+                        marginTop: '10px',
+                        fontSize: '0.9em',
+                        borderCollapse: 'collapse',
+                    }}
+                >
+                    <thead>
+                        <tr>
+                            <th>Name</th>
+                            <th>Files</th>
+                            <th>Rows</th>
+                            <th>Loaded</th>
+                            <th>Last Opened</th>
+                            <th />
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {datasets.map((dataset) => (
+                            <tr
+                                key={dataset.id}
+                                style={{
+                                    background:
+                                        dataset.id === currentId
+                                            ? '#f0f6ff'
+                                            : undefined,
+                                }}
+                            >
+                                <td style={{ padding: '2px 8px' }}>
+                                    {editingId === dataset.id ? (
+                                        <input
+                                            value={draftName}
+                                            onChange={(e) =>
+                                                setDraftName(e.target.value)
+                                            }
+                                            title="Enter to save, Escape to cancel"
+                                            onKeyDown={(e) => {
+                                                if (e.key === 'Enter')
+                                                    finishRename();
+                                                if (e.key === 'Escape')
+                                                    setEditingId(null);
+                                            }}
+                                            autoFocus
+                                        />
+                                    ) : (
+                                        dataset.name
+                                    )}
+                                </td>
+                                <td style={{ padding: '2px 8px' }}>
+                                    {dataset.fileNames.join(', ')}
+                                </td>
+                                <td
+                                    style={{
+                                        padding: '2px 8px',
+                                        textAlign: 'right',
+                                    }}
+                                >
+                                    {dataset.rowCount}
+                                </td>
+                                <td style={{ padding: '2px 8px' }}>
+                                    {formatDate(dataset.createdAt)}
+                                </td>
+                                <td style={{ padding: '2px 8px' }}>
+                                    {formatDate(dataset.usedAt)}
+                                </td>
+                                <td style={{ padding: '2px 8px' }}>
+                                    <button
+                                        onClick={() => onOpen(dataset.id)}
+                                        disabled={
+                                            disabled || dataset.id === currentId
+                                        }
+                                    >
+                                        Open
+                                    </button>{' '}
+                                    <button
+                                        onClick={() => startRename(dataset)}
+                                        disabled={disabled}
+                                    >
+                                        Rename
+                                    </button>{' '}
+                                    <button
+                                        onClick={() => {
+                                            if (
+                                                window.confirm(
+                                                    `Delete the saved dataset "${dataset.name}"?`
+                                                )
+                                            ) {
+                                                onDelete(dataset.id);
+                                            }
+                                        }}
+                                        disabled={disabled}
+                                    >
+                                        Delete
+                                    </button>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+        </details>
+    );
+};
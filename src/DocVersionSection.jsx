@@ -0,0 +1,325 @@
+import React from 'react';
+import {
+    BarChart,
+    Bar,
+    ComposedChart,
+    Line,
+    ScatterChart,
+    Scatter,
+    XAxis,
+    YAxis,
+    CartesianGrid,
+    Tooltip,
+    Legend,
+    ResponsiveContainer,
+} from 'recharts';
+import { COLORS } from './chartColors';
+import { getRoleHeader } from './columnMapping';
+import { getDurationUnits } from './businessCalendar';
+import { useSectionQuery } from './useSectionQuery';
+import { SectionQueryStatus } from './SectionQueryStatus';
+
+const VERSION_LIMIT = 30;
+const ACTION_LIMIT = 10;
+// Points of the reference scatter plot
+const REFERENCE_LIMIT = 500;
+
+const formatNumber = (value) =>
+    value === null || value === undefined ? '' : value.toFixed(1);
+
+const ReferenceTooltip = ({ active, payload, unit }) => {
+    if (!active || !payload?.length) return null;
+    const item = payload[0].payload;
+    return (
+        <div
+            style={{
+                background: '#fff',
+                border: '1px solid #ccc',
+                padding: '5px 10px',
+            }}
+        >
+            <strong>{item.reference}</strong>
+            <div>
+                {item.versionCount} version(s): {item.versions.join(', ')}
+            </div>
+            <div>
+                Cycle time: {formatNumber(item.cycleDays)} {unit}
+            </div>
+        </div>
+    );
+};
+
+// --- Document Version Impact: DOC_VERSION_REF vs. time and action ---
+// The version statistics come from the analysis worker
+export const DocVersionSection = ({ query, mapping, durationSettings }) => {
+    const { unit, unitTitle } = getDurationUnits(durationSettings);
+    const { result, error } = useSectionQuery(
+        mapping?.docVersion ? query : null,
+        'docVersions',
+        {
+            versionLimit: VERSION_LIMIT,
+            actionLimit: ACTION_LIMIT,
+            referenceLimit: REFERENCE_LIMIT,
+        }
+    );
+    const {
+        versionStats,
+        actionNames,
+        actionMix,
+        referenceVersions,
+        referenceCount,
+        byVersionCount,
+    } = result || {};
+
+    const versionHeader = getRoleHeader(mapping, 'docVersion');
+    const referenceHeader = getRoleHeader(mapping, 'reference');
+
+    return (
+        <section
+            style={{
+                marginBottom: '40px',
+                borderBottom: '1px solid #eee',
+                paddingBottom: '20px',
+            }}
+        >
+            <h2>Document Version Impact</h2>
+            {!mapping?.docVersion ? (
+                <p>
+                    Map a Document Version column to analyze how document
+                    versions relate to processing time and actions.
+                </p>
+            ) : !result ? (
+                <SectionQueryStatus error={error} />
+            ) : (
+                <>
+                    <p>
+                        Rows grouped by {versionHeader}
+                        {versionStats.length === VERSION_LIMIT &&
+                            ` (first ${VERSION_LIMIT} versions)`}
+                        . Durations in {unit}.
+                    </p>
+                    <table
+                        style={{
+                            borderCollapse: 'collapse',
+                            marginBottom: '30px',
+                        }}
+                    >
+                        <thead>
+                            <tr>
+                                <th>Version</th>
+                                <th>Rows</th>
+                                <th>References</th>
+                                <th>Average</th>
+                                <th>Min</th>
+                                <th>Q1</th>
+                                <th>Median</th>
+                                <th>Q3</th>
+                                <th>Max</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {versionStats.map((stats) => (
+                                <tr key={stats.version}>
+                                    <td>{stats.version}</td>
+                                    {[stats.count, stats.referenceCount].map(
+                                        (value, i) => (
+                                            <td
+                                                key={i}
+                                                style={{ textAlign: 'right' }}
+                                            >
+                                                {value}
+                                            </td>
+                                        )
+                                    )}
+                                    {[
+                                        stats.average,
+                                        stats.min,
+                                        stats.q1,
+                                        stats.median,
+                                        stats.q3,
+                                        stats.max,
+                                    ].map((value, i) => (
+                                        <td
+                                            key={i}
+                                            style={{ textAlign: 'right' }}
+                                        >
+                                            {formatNumber(value)}
+                                        </td>
+                                    ))}
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+
+                    <h3>Duration Per Version ({unitTitle})</h3>
+                    <ResponsiveContainer width="95%" height={300}>
+                        <BarChart
+                            data={versionStats}
+                            margin={{ top: 5, right: 30, left: 20, bottom: 5 }}
+                        >
+                            <CartesianGrid strokeDasharray="3 3" />
+                            <XAxis dataKey="version" />
+                            <YAxis />
+                            <Tooltip
+                                formatter={(value) =>
+                                    `${formatNumber(value)} ${unit}`
+                                }
+                            />
+                            <Legend />
+                            <Bar
+                                dataKey="average"
+                                name="Average"
+                                fill={COLORS[0]}
+                            />
+                            <Bar
+                                dataKey="median"
+                                name="Median"
+                                fill={COLORS[1]}
+                            />
+                        </BarChart>
+                    </ResponsiveContainer>
+
+                    <h3>Action Mix Per Version (%)</h3>
+                    <ResponsiveContainer width="95%" height={300}>
+                        <BarChart
+                            data={actionMix}
+                            margin={{ top: 5, right: 30, left: 20, bottom: 5 }}
+                        >
+                            <CartesianGrid strokeDasharray="3 3" />
+                            <XAxis dataKey="version" />
+                            <YAxis domain={[0, 100]} unit="%" />
+                            <Tooltip
+                                formatter={(value) => `${value.toFixed(1)}%`}
+                            />
+                            <Legend />
+                            {actionNames.map((action, index) => (
+                                <Bar
+                                    key={action}
+                                    // Action names may contain dots
+                                    dataKey={(entry) => entry[action]}
+                                    name={action}
+                                    stackId="actions"
+                                    fill={COLORS[index % COLORS.length]}
+                                />
+                            ))}
+                        </BarChart>
+                    </ResponsiveContainer>
+
+                    <h3>Versions Per {referenceHeader} vs. Processing Time</h3>
+                    {!mapping?.reference ? (
+                        <p>
+                            Map a Reference column to count the versions every
+                            reference went through.
+                        </p>
+                    ) : referenceVersions.length === 0 ? (
+                        <p>No references with valid action dates found.</p>
+                    ) : (
+                        <>
+                            <p>
+                                Total processing time is the cycle time from the
+                                first creation to the last action of a
+                                reference.
+                                {referenceCount > referenceVersions.length &&
+                                    ` The scatter plot shows ${referenceVersions.length} of ${referenceCount} references, spread evenly over the list.`}
+                            </p>
+                            <ResponsiveContainer width="95%" height={300}>
+                                <ComposedChart
+                                    data={byVersionCount}
+                                    margin={{
+                                        top: 5,
+                                        right: 30,
+                                        left: 20,
+                                        bottom: 5,
+                                    }}
+                                >
+                                    <CartesianGrid strokeDasharray="3 3" />
+                                    <XAxis
+                                        dataKey="versionCount"
+                                        label={{
+                                            value: 'Versions',
+                                            position: 'insideBottomRight',
+                                            offset: -5,
+                                        }}
+                                    />
+                                    <YAxis
+                                        yAxisId="references"
+                                        allowDecimals={false}
+                                    />
+                                    <YAxis
+                                        yAxisId="cycle"
+                                        orientation="right"
+                                    />
+                                    <Tooltip
+                                        formatter={(value, name) =>
+                                            name === 'References'
+                                                ? value
+                                                : `${formatNumber(
+                                                      value
+                                                  )} ${unit}`
+                                        }
+                                    />
+                                    <Legend />
+                                    <Bar
+                                        yAxisId="references"
+                                        dataKey="references"
+                                        name="References"
+                                        fill={COLORS[0]}
+                                    />
+                                    <Line
+                                        yAxisId="cycle"
+                                        type="monotone"
+                                        dataKey="avgCycleDays"
+                                        name={`Avg. cycle time (${unit})`}
+                                        stroke="#db2828"
+                                    />
+                                    <Line
+                                        yAxisId="cycle"
+                                        type="monotone"
+                                        dataKey="medianCycleDays"
+                                        name={`Median cycle time (${unit})`}
+                                        stroke="#db2828"
+                                        strokeDasharray="5 5"
+                                    />
+                                </ComposedChart>
+                            </ResponsiveContainer>
+                            <ResponsiveContainer width="95%" height={300}>
+                                <ScatterChart
+                                    margin={{
+                                        top: 5,
+                                        right: 30,
+                                        left: 20,
+                                        bottom: 5,
+                                    }}
+                                >
+                                    <CartesianGrid strokeDasharray="3 3" />
+                                    <XAxis
+                                        type="number"
+                                        dataKey="versionCount"
+                                        name="Versions"
+                                        allowDecimals={false}
+                                    />
+                                    <YAxis
+                                        type="number"
+                                        dataKey="cycleDays"
+                                        name={`Cycle time (${unit})`}
+                                    />
+                                    <Tooltip
+                                        content={
+                                            <ReferenceTooltip unit={unit} />
+                                        }
+                                    />
+                                    <Scatter
+                                        data={referenceVersions}
+                                        name={referenceHeader}
+                                        fill={COLORS[0]}
+                                        fillOpacity={0.5}
+                                    />
+                                </ScatterChart>
+                            </ResponsiveContainer>
+                        </>
+                    )}
+                </>
+            )}
+        </section>
+    );
+};
@@ -0,0 +1,231 @@
+import React, { useState } from 'react';
+import {
+    DEFAULT_PROFILE,
+    SHAREPOINT_ID_COLUMN,
+    SOURCE_COLUMN,
+    decodeFieldName,
+    fieldTypeLabel,
+    parseProfile,
+    loadSavedProfiles,
+    saveSavedProfiles,
+} from './feedFields';
+
+const SAMPLE_LENGTH = 60;
+
+const formatSample = (sample) => {
+    if (sample === null || sample === undefined) return '';
+    const text = String(sample).replace(/\s+/g, ' ').trim();
+    return text.length > SAMPLE_LENGTH
+        ? `${text.slice(0, SAMPLE_LENGTH)}…`
+        : text;
+};
+
+const RESERVED_COLUMNS = [SHAREPOINT_ID_COLUMN, SOURCE_COLUMN];
+
+// Column names used by more than one field, plus the reserved ones
+const findColumnConflicts = (profile) => {
+    const seen = new Set();
+    const conflicts = new Set();
+    profile.fields.forEach(({ column }) => {
+        if (seen.has(column) || RESERVED_COLUMNS.includes(column)) {
+            conflicts.add(column);
+        }
+        seen.add(column);
+    });
+    return [...conflicts];
+};
+
+// --- Output columns: which feed fields are extracted, and as what ---
+// `fields` are the fields discovered in the current feed. Fields of the
+// profile that the feed does not have are listed after them.
+export const ExtractionProfileEditor = ({ fields, profile, onChange }) => {
+    const [savedProfiles, setSavedProfiles] = useState(loadSavedProfiles);
+    const [message, setMessage] = useState(null);
+
+    const selected = {};
+    profile.fields.forEach((field) => {
+        selected[field.key] = field;
+    });
+    const discovered = new Set(fields.map((field) => field.key));
+    const rows = [
+        ...fields,
+        ...profile.fields
+            .filter((field) => !discovered.has(field.key))
+            .map((field) => ({
+                key: field.key,
+                name: decodeFieldName(field.key),
+                type: null,
+                filled: null,
+                sample: null,
+            })),
+    ];
+    const conflicts = findColumnConflicts(profile);
+
+    const toggleField = (field) =>
+        onChange({
+            ...profile,
+            fields: selected[field.key]
+                ? profile.fields.filter((f) => f.key !== field.key)
+                : [...profile.fields, { key: field.key, column: field.name }],
+        });
+
+    const renameColumn = (key, column) =>
+        onChange({
+            ...profile,
+            fields: profile.fields.map((field) =>
+                field.key === key ? { ...field, column } : field
+            ),
+        });
+
+    const selectAll = () =>
+        onChange({
+            ...profile,
+            fields: [
+                ...profile.fields,
+                ...fields
+                    .filter((field) => !selected[field.key])
+                    .map((field) => ({ key: field.key, column: field.name })),
+            ],
+        });
+
+    const handleSave = () => {
+        const name = profile.name.trim();
+        if (!name) return;
+        const next = { ...savedProfiles, [name]: profile };
+        setSavedProfiles(next);
+        saveSavedProfiles(next);
+        setMessage(`Saved profile "${name}".`);
+    };
+
+    const handleOpen = (name) => {
+        if (!name) return;
+        try {
+            onChange(parseProfile(savedProfiles[name]));
+            setMessage(`Opened profile "${name}".`);
+        } catch (err) {
+            console.error('Extraction Profile Error:', err);
+            setMessage(err.message);
+        }
+    };
+
+    const handleDelete = () => {
+        const name = profile.name.trim();
+        if (!savedProfiles[name]) return;
+        const { [name]: removed, ...rest } = savedProfiles;
+        setSavedProfiles(rest);
+        saveSavedProfiles(rest);
+        setMessage(`Deleted the saved profile "${name}".`);
+    };
+
+    return (
+        <details
+            style={{
+                margin: '10px 0',
+                padding: '10px',
+                border: '1px solid #ccc',
+                borderRadius: '4px',
+            }}
+        >
+            <summary style={{ cursor: 'pointer' }}>
+                Output columns: {profile.fields.length} of {fields.length}{' '}
+                fields (profile "{profile.name}")
+            </summary>
+            <div style={{ margin: '10px 0' }}>
+                <label style={{ marginRight: '10px' }}>
+                    Profile:{' '}
+                    <input
+                        value={profile.name}
+                        onChange={(e) =>
+                            onChange({ ...profile, name: e.target.value })
+                        }
+                    />
+                </label>
+                <button onClick={handleSave}>Save</button>{' '}
+                <select value="" onChange={(e) => handleOpen(e.target.value)}>
+                    <option value="">Open saved…</option>
+                    {Object.keys(savedProfiles)
+                        .sort()
+                        .map((name) => (
+                            <option key={name} value={name}>
+                                {name}
+                            </option>
+                        ))}
+                </select>{' '}
+                <button
+                    onClick={handleDelete}
+                    disabled={!savedProfiles[profile.name.trim()]}
+                >
+                    Delete Saved
+                </button>{' '}
+                <button onClick={selectAll}>Select All</button>{' '}
+                <button onClick={() => onChange(DEFAULT_PROFILE)}>
+                    Reset to Default
+                </button>
+            </div>
+            {message && (
+                <p style={{ fontSize: '0.9em', color: '#555' }}>{message}</p>
+            )}
+            {conflicts.length > 0 && (
+                <p style={{ color: 'red' }}>
+                    Column names must be unique and cannot be{' '}
+                    {RESERVED_COLUMNS.join(' or ')}: {conflicts.join(', ')}
+                </p>
+            )}
+            <table style={{ borderCollapse: 'collapse', fontSize: '0.9em' }}>
+                <thead>
+                    <tr>
+                        <th />
+                        <th>Field</th>
+                        <th>Internal Name</th>
+                        <th>Type</th>
+                        <th>Filled</th>
+                        <th>Sample</th>
+                        <th>Output Column</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {rows.map((field) => {
+                        const choice = selected[field.key];
+                        return (
+                            <tr key={field.key}>
+                                <td>
+                                    <input
+                                        type="checkbox"
+                                        checked={Boolean(choice)}
+                                        onChange={() => toggleField(field)}
+                                    />
+                                </td>
+                                <td>{field.name}</td>
+                                <td style={{ color: '#555' }}>{field.key}</td>
+                                <td>
+                                    {field.type
+                                        ? fieldTypeLabel(field.type)
+                                        : 'Not in this feed'}
+                                </td>
+                                <td style={{ textAlign: 'right' }}>
+                                    {field.filled ?? ''}
+                                </td>
+                                <td title={String(field.sample ?? '')}>
+                                    {formatSample(field.sample)}
+                                </td>
+                                <td>
+                                    {choice && (
+                                        <input
+                                            value={choice.column}
+                                            onChange={(e) =>
+                                                renameColumn(
+                                                    field.key,
+                                                    e.target.value
+                                                )
+                                            }
+                                        />
+                                    )}
+                                </td>
+                            </tr>
+                        );
+                    })}
+                </tbody>
+            </table>
+        </details>
+    );
+};
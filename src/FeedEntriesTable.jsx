@@ -0,0 +1,384 @@
+import React from 'react';
+import {
+    useReactTable,
+    getCoreRowModel,
+    getPaginationRowModel,
+    getFilteredRowModel,
+    getSortedRowModel,
+    getExpandedRowModel,
+    flexRender,
+} from '@tanstack/react-table';
+import { format } from 'date-fns';
+import { Filter } from './TableExp';
+import { isWithinRange } from './tableFilters';
+import { RAW_HTML_FIELD, SOURCE_COLUMN } from './feedFields';
+import { feedExportColumns } from './feedExport';
+import { FeedExportMenu } from './FeedExportMenu';
+import { sanitizeHtml } from './htmlSanitizer';
+
+const formatDate = (date) => (date ? format(date, 'yyyy-MM-dd HH:mm') : '');
+
+const toDate = (value) => {
+    if (!value) return null;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// Longer texts are cut in the table; the expanded row has them in full
+const CELL_TEXT_LENGTH = 120;
+
+const formatText = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return text.length > CELL_TEXT_LENGTH
+        ? `${text.slice(0, CELL_TEXT_LENGTH)}…`
+        : text;
+};
+
+// Columns of the default profile with their own place in the table
+const META_COLUMNS = ['id', 'created', 'modified'];
+const DATE_COLUMNS = { created: 'Created', modified: 'Modified' };
+const COLUMN_LABELS = {
+    id: 'ID',
+    identifiedIssue: 'Identified Issue',
+    suggestions: 'Suggestions',
+    sharedIdeas: 'Shared Ideas',
+    [SOURCE_COLUMN]: 'Source',
+};
+
+const columnLabel = (column) => COLUMN_LABELS[column] || column;
+
+// --- Processed feed entries: sortable, searchable, expandable ---
+// `columns` are the output columns of the extraction profile. The search
+// covers the text columns; the expanded row shows them in full, rich text
+// either formatted or as plain text. The export menu offers all entries or
+// the filtered ones; exports always have the plain text.
+export const FeedEntriesTable = ({ entries, columns }) => {
+    const textColumns = React.useMemo(
+        () => columns.filter((column) => !META_COLUMNS.includes(column)),
+        [columns]
+    );
+
+    const tableColumns = React.useMemo(
+        () => [
+            {
+                id: 'expander',
+                header: '',
+                cell: ({ row }) => (
+                    <button
+                        onClick={row.getToggleExpandedHandler()}
+                        style={{ cursor: 'pointer' }}
+                    >
+                        {row.getIsExpanded() ? '👇' : '👉'}
+                    </button>
+                ),
+            },
+            ...(columns.includes('id')
+                ? [
+                      {
+                          id: 'id',
+                          header: columnLabel('id'),
+                          accessorFn: (item) => item.id,
+                      },
+                  ]
+                : []),
+            ...textColumns.map((column) => ({
+                id: column,
+                header: columnLabel(column),
+                // accessorKey would treat dots in column names as paths
+                accessorFn: (item) => item[column],
+                cell: ({ getValue }) => formatText(getValue()),
+                enableGlobalFilter: true,
+            })),
+            ...Object.entries(DATE_COLUMNS)
+                .filter(([column]) => columns.includes(column))
+                .map(([column, header]) => ({
+                    id: column,
+                    header,
+                    accessorFn: (item) => toDate(item[column]),
+                    cell: ({ getValue }) => formatDate(getValue()),
+                    filterFn: 'isWithinRange',
+                    enableColumnFilter: true,
+                    sortingFn: 'datetime',
+                    enableSorting: true,
+                })),
+            {
+                id: SOURCE_COLUMN,
+                header: columnLabel(SOURCE_COLUMN),
+                accessorFn: (item) => item[SOURCE_COLUMN],
+            },
+        ],
+        [columns, textColumns]
+    );
+
+    const [sorting, setSorting] = React.useState([]);
+    const [columnFilters, setColumnFilters] = React.useState([]);
+    const [globalFilter, setGlobalFilter] = React.useState('');
+    const [expanded, setExpanded] = React.useState({});
+    const [formatted, setFormatted] = React.useState(true);
+
+    const table = useReactTable({
+        data: entries,
+        columns: tableColumns,
+        // Only the columns that opt in are sorted, filtered or searched
+        defaultColumn: {
+            cell: ({ getValue }) => formatText(getValue()),
+            enableSorting: false,
+            enableColumnFilter: false,
+            enableGlobalFilter: false,
+        },
+        state: {
+            sorting,
+            columnFilters,
+            globalFilter,
+            expanded,
+        },
+        filterFns: {
+            isWithinRange: isWithinRange,
+        },
+        globalFilterFn: 'includesString',
+        getColumnCanGlobalFilter: (column) =>
+            column.columnDef.enableGlobalFilter === true,
+        getRowCanExpand: () => true,
+        onSortingChange: setSorting,
+        onColumnFiltersChange: setColumnFilters,
+        onGlobalFilterChange: setGlobalFilter,
+        onExpandedChange: setExpanded,
+        getCoreRowModel: getCoreRowModel(),
+        getFilteredRowModel: getFilteredRowModel(),
+        getSortedRowModel: getSortedRowModel(),
+        getExpandedRowModel: getExpandedRowModel(),
+        getPaginationRowModel: getPaginationRowModel(),
+        autoResetPageIndex: true,
+    });
+
+    // Filtered and sorted, across all pages
+    const shownRows = table.getPrePaginationRowModel().rows;
+    const filteredEntries = React.useMemo(
+        () => shownRows.map((row) => row.original),
+        [shownRows]
+    );
+
+    return (
+        <div>
+            <div style={{ marginBottom: '10px' }}>
+                <input
+                    type="search"
+                    value={globalFilter}
+                    onChange={(e) => setGlobalFilter(e.target.value)}
+                    placeholder={`Search ${textColumns
+                        .map(columnLabel)
+                        .join(', ')}...`}
+                    style={{ width: '400px', maxWidth: '95%' }}
+                    disabled={textColumns.length === 0}
+                />{' '}
+                <span>
+                    {filteredEntries.length} of {entries.length} entries
+                </span>
+                <label style={{ marginLeft: '15px' }}>
+                    <input
+                        type="checkbox"
+                        checked={formatted}
+                        onChange={(e) => setFormatted(e.target.checked)}
+                    />{' '}
+                    Formatted rich text
+                </label>
+                <FeedExportMenu
+                    entries={entries}
+                    filteredEntries={filteredEntries}
+                    columns={feedExportColumns(columns)}
+                />
+            </div>
+            <div style={{ overflowX: 'auto' }}>
+                <table style={{ borderCollapse: 'collapse', width: '100%' }}>
+                    <thead>
+                        {table.getHeaderGroups().map((headerGroup) => (
+                            <tr key={headerGroup.id}>
+                                {headerGroup.headers.map((header) => (
+                                    <th
+                                        key={header.id}
+                                        colSpan={header.colSpan}
+                                        style={{
+                                            textAlign: 'left',
+                                            verticalAlign: 'top',
+                                            borderBottom: '1px solid #ccc',
+                                        }}
+                                    >
+                                        {header.isPlaceholder ? null : (
+                                            <div>
+                                                <div
+                                                    onClick={header.column.getToggleSortingHandler()}
+                                                    style={{
+                                                        cursor: header.column.getCanSort()
+                                                            ? 'pointer'
+                                                            : 'default',
+                                                        userSelect: 'none',
+                                                    }}
+                                                >
+                                                    {flexRender(
+                                                        header.column.columnDef
+                                                            .header,
+                                                        header.getContext()
+                                                    )}
+                                                    {{
+                                                        asc: ' 🔼',
+                                                        desc: ' 🔽',
+                                                    }[
+                                                        header.column.getIsSorted()
+                                                    ] ?? null}
+                                                </div>
+                                                {header.column.getCanFilter() ? (
+                                                    <div>
+                                                        <Filter
+                                                            column={
+                                                                header.column
+                                                            }
+                                                            table={table}
+                                                        />
+                                                    </div>
+                                                ) : null}
+                                            </div>
+                                        )}
+                                    </th>
+                                ))}
+                            </tr>
+                        ))}
+                    </thead>
+                    <tbody>
+                        {table.getRowModel().rows.map((row) => (
+                            <React.Fragment key={row.id}>
+                                <tr style={{ borderBottom: '1px solid #eee' }}>
+                                    {row.getVisibleCells().map((cell) => (
+                                        <td
+                                            key={cell.id}
+                                            style={{ verticalAlign: 'top' }}
+                                        >
+                                            {flexRender(
+                                                cell.column.columnDef.cell,
+                                                cell.getContext()
+                                            )}
+                                        </td>
+                                    ))}
+                                </tr>
+                                {row.getIsExpanded() && (
+                                    <tr>
+                                        <td
+                                            colSpan={
+                                                row.getVisibleCells().length
+                                            }
+                                            style={{
+                                                background: '#f9f9f9',
+                                                padding: '10px 15px',
+                                            }}
+                                        >
+                                            <EntryDetails
+                                                item={row.original}
+                                                textColumns={textColumns}
+                                                formatted={formatted}
+                                            />
+                                        </td>
+                                    </tr>
+                                )}
+                            </React.Fragment>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+            <div className="h-2" />
+            <div className="flex items-center gap-2">
+                <button
+                    className="border rounded p-1"
+                    onClick={() => table.setPageIndex(0)}
+                    disabled={!table.getCanPreviousPage()}
+                >
+                    {'<<'}
+                </button>
+                <button
+                    className="border rounded p-1"
+                    onClick={() => table.previousPage()}
+                    disabled={!table.getCanPreviousPage()}
+                >
+                    {'<'}
+                </button>
+                <button
+                    className="border rounded p-1"
+                    onClick={() => table.nextPage()}
+                    disabled={!table.getCanNextPage()}
+                >
+                    {'>'}
+                </button>
+                <button
+                    className="border rounded p-1"
+                    onClick={() => table.setPageIndex(table.getPageCount() - 1)}
+                    disabled={!table.getCanNextPage()}
+                >
+                    {'>>'}
+                </button>
+                <span className="flex items-center gap-1">
+                    {' '}
+                    Page{' '}
+                    <strong>
+                        {table.getState().pagination.pageIndex + 1} of{' '}
+                        {table.getPageCount()}
+                    </strong>{' '}
+                </span>
+                <select
+                    value={table.getState().pagination.pageSize}
+                    onChange={(e) => {
+                        table.setPageSize(Number(e.target.value));
+                    }}
+                >
+                    {[10, 20, 50, 100].map((pageSize) => (
+                        <option key={pageSize} value={pageSize}>
+                            Show {pageSize}
+                        </option>
+                    ))}
+                </select>
+            </div>
+        </div>
+    );
+};
+
+const detailTextStyle = {
+    whiteSpace: 'pre-wrap',
+    wordBreak: 'break-word',
+    margin: '5px 0',
+    fontSize: '0.9em',
+};
+
+// Full text of every text column. Rich text is rendered sanitized when
+// `formatted`; its original HTML stays available below it.
+const EntryDetails = ({ item, textColumns, formatted }) => {
+    const html = item[RAW_HTML_FIELD] || {};
+    return textColumns.map((column) => (
+        <div key={column} style={{ marginBottom: '10px' }}>
+            <strong>{columnLabel(column)}:</strong>
+            {formatted && column in html ? (
+                <div
+                    style={{ margin: '5px 0' }}
+                    dangerouslySetInnerHTML={{
+                        __html: sanitizeHtml(html[column]),
+                    }}
+                />
+            ) : (
+                <div style={detailTextStyle}>
+                    {item[column] === null ? 'N/A' : String(item[column])}
+                </div>
+            )}
+            {column in html && (
+                <details>
+                    <summary
+                        style={{
+                            cursor: 'pointer',
+                            fontSize: '0.9em',
+                            color: '#555',
+                        }}
+                    >
+                        HTML source
+                    </summary>
+                    <pre style={detailTextStyle}>{html[column]}</pre>
+                </details>
+            )}
+        </div>
+    ));
+};
@@ -0,0 +1,115 @@
+import React, { useState } from 'react';
+import { FEED_EXPORT_FORMATS, exportFeedEntries } from './feedExport';
+
+// --- Export menu for the processed feed entries ---
+// `filteredEntries` are the entries the table shows, in its sort order.
+export const FeedExportMenu = ({ entries, filteredEntries, columns }) => {
+    const [format, setFormat] = useState('csv');
+    const [onlyFiltered, setOnlyFiltered] = useState(false);
+    // Columns are exported unless unticked, so new profile columns are in
+    const [excluded, setExcluded] = useState([]);
+    const [error, setError] = useState(null);
+
+    const selectedColumns = columns.filter(
+        (column) => !excluded.includes(column)
+    );
+    const exported = onlyFiltered ? filteredEntries : entries;
+
+    const toggleColumn = (column) =>
+        setExcluded((old) =>
+            old.includes(column)
+                ? old.filter((c) => c !== column)
+                : [...old, column]
+        );
+
+    const handleExport = () => {
+        setError(null);
+        try {
+            exportFeedEntries(exported, selectedColumns, format);
+        } catch (err) {
+            console.error('Feed Export Error:', err);
+            setError(`Export failed: ${err.message}`);
+        }
+    };
+
+    return (
+        <details style={{ display: 'inline-block', marginLeft: '15px' }}>
+            <summary style={{ cursor: 'pointer' }}>Export…</summary>
+            <div
+                style={{
+                    padding: '10px',
+                    border: '1px solid #ccc',
+                    borderRadius: '4px',
+                    background: '#fff',
+                }}
+            >
+                <div style={{ marginBottom: '10px' }}>
+                    <label style={{ marginRight: '15px' }}>
+                        Format:{' '}
+                        <select
+                            value={format}
+                            onChange={(e) => setFormat(e.target.value)}
+                        >
+                            {Object.entries(FEED_EXPORT_FORMATS).map(
+                                ([key, { label }]) => (
+                                    <option key={key} value={key}>
+                                        {label}
+                                    </option>
+                                )
+                            )}
+                        </select>
+                    </label>
+                    <label style={{ marginRight: '15px' }}>
+                        <input
+                            type="radio"
+                            checked={!onlyFiltered}
+                            onChange={() => setOnlyFiltered(false)}
+                        />{' '}
+                        All entries ({entries.length})
+                    </label>
+                    <label>
+                        <input
+                            type="radio"
+                            checked={onlyFiltered}
+                            onChange={() => setOnlyFiltered(true)}
+                        />{' '}
+                        Filtered entries ({filteredEntries.length})
+                    </label>
+                </div>
+                <div
+                    style={{
+                        display: 'flex',
+                        flexWrap: 'wrap',
+                        gap: '4px 15px',
+                        maxWidth: '800px',
+                        marginBottom: '10px',
+                    }}
+                >
+                    {columns.map((column) => (
+                        <label key={column}>
+                            <input
+                                type="checkbox"
+                                checked={!excluded.includes(column)}
+                                onChange={() => toggleColumn(column)}
+                            />{' '}
+                            {column}
+                        </label>
+                    ))}
+                </div>
+                <button
+                    onClick={handleExport}
+                    disabled={
+                        exported.length === 0 || selectedColumns.length === 0
+                    }
+                >
+                    Download {FEED_EXPORT_FORMATS[format].label}
+                </button>
+                {error && (
+                    <div style={{ color: 'red', marginTop: '5px' }}>
+                        {error}
+                    </div>
+                )}
+            </div>
+        </details>
+    );
+};
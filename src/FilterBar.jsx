@@ -0,0 +1,140 @@
+import React from 'react';
+import {
+    describeFilters,
+    hasActiveFilters,
+    parseDateInput,
+    formatDateInput,
+} from './filters';
+import { getDurationUnits } from './businessCalendar';
+
+const chipStyle = {
+    display: 'inline-block',
+    marginRight: '8px',
+    marginBottom: '5px',
+    padding: '2px 8px',
+    borderRadius: '12px',
+    background: '#e8f0fe',
+    border: '1px solid #2185d0',
+    fontSize: '0.9em',
+};
+
+const parseNumberInput = (value) => (value === '' ? null : Number(value));
+
+// --- Filter chip bar shared by all dashboard charts ---
+export const FilterBar = ({
+    filters,
+    onChange,
+    onReset,
+    totalRows,
+    filteredRows,
+    durationSettings,
+}) => {
+    const { unit } = getDurationUnits(durationSettings);
+    const chips = describeFilters(filters, durationSettings);
+
+    return (
+        <div
+            style={{
+                marginBottom: '20px',
+                padding: '10px 15px',
+                border: '1px solid #ccc',
+                borderRadius: '4px',
+            }}
+        >
+            <div style={{ marginBottom: '8px' }}>
+                <strong>Filters</strong>{' '}
+                <span style={{ fontSize: '0.9em', color: '#555' }}>
+                    (click a bar, pie slice or histogram bin to add one)
+                </span>
+            </div>
+            <div style={{ marginBottom: '8px' }}>
+                <label style={{ marginRight: '15px' }}>
+                    Created from:{' '}
+                    <input
+                        type="date"
+                        value={formatDateInput(filters.dateFrom)}
+                        onChange={(e) =>
+                            onChange({
+                                ...filters,
+                                dateFrom: parseDateInput(e.target.value),
+                            })
+                        }
+                    />
+                </label>
+                <label style={{ marginRight: '15px' }}>
+                    to:{' '}
+                    <input
+                        type="date"
+                        value={formatDateInput(filters.dateTo)}
+                        onChange={(e) =>
+                            onChange({
+                                ...filters,
+                                dateTo: parseDateInput(e.target.value, true),
+                            })
+                        }
+                    />
+                </label>
+                <label style={{ marginRight: '15px' }}>
+                    Duration ({unit}):{' '}
+                    <input
+                        type="number"
+                        min={0}
+                        placeholder="Min"
+                        value={filters.durationMin ?? ''}
+                        onChange={(e) =>
+                            onChange({
+                                ...filters,
+                                durationMin: parseNumberInput(e.target.value),
+                            })
+                        }
+                        style={{ width: '70px' }}
+                    />{' '}
+                    <input
+                        type="number"
+                        min={0}
+                        placeholder="Max"
+                        value={filters.durationMax ?? ''}
+                        onChange={(e) =>
+                            onChange({
+                                ...filters,
+                                durationMax: parseNumberInput(e.target.value),
+                            })
+                        }
+                        style={{ width: '70px' }}
+                    />
+                </label>
+            </div>
+            {chips.map((chip) => (
+                <span key={chip.key} style={chipStyle}>
+                    {chip.label}{' '}
+                    <button
+                        onClick={() => onChange(chip.remove(filters))}
+                        title="Remove filter"
+                        style={{
+                            border: 'none',
+                            background: 'none',
+                            cursor: 'pointer',
+                            padding: 0,
+                        }}
+                    >
+                        ✕
+                    </button>
+                </span>
+            ))}
+            {hasActiveFilters(filters) && (
+                <>
+                    <button onClick={onReset}>Reset Filters</button>
+                    <span
+                        style={{
+                            marginLeft: '10px',
+                            fontSize: '0.9em',
+                            color: '#555',
+                        }}
+                    >
+                        {filteredRows} of {totalRows} rows match.
+                    </span>
+                </>
+            )}
+        </div>
+    );
+};
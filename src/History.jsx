@@ -1,5 +1,10 @@
-import React, { useState, useEffect, useMemo } from 'react';
-import Papa from 'papaparse';
+import React, {
+    useState,
+    useEffect,
+    useMemo,
+    useRef,
+    useCallback,
+} from 'react';
 import {
     BarChart,
     Bar,
@@ -14,404 +19,450 @@ import {
     PieChart,
     Pie,
     Cell,
-    Treemap,
 } from 'recharts';
 import {
-    parse,
-    format,
-    differenceInHours,
-    isValid,
-    differenceInDays,
-} from 'date-fns';
-
-// Helper to parse the specific date format
-const parseDate = (dateString) => {
-    // ... (same as before)
-    if (!dateString) return null;
-    const cleanDateString = dateString.split(',')[0];
-    try {
-        const dt = parse(cleanDateString, 'yyyy.MM.dd HH:mm:ss', new Date());
-        return isValid(dt) ? dt : null;
-    } catch (e) {
-        console.error(`Error parsing date: ${dateString}`, e);
-        return null;
-    }
+    getHeaderSignature,
+    guessMapping,
+    loadSavedMapping,
+    loadSavedMappings,
+    saveMapping,
+    validateMapping,
+    getRoleHeader,
+} from './columnMapping';
+import { ColumnMappingWizard } from './ColumnMappingWizard';
+import { COLORS } from './chartColors';
+import { LifecycleSection } from './LifecycleSection';
+import { StaffActionSection } from './StaffActionSection';
+import { OutlierSection } from './OutlierSection';
+import { SlaSection } from './SlaSection';
+import { StatisticsSection } from './StatisticsSection';
+import { DocVersionSection } from './DocVersionSection';
+import { ComparisonSection } from './ComparisonSection';
+import { CustomDashboard } from './CustomDashboard';
+import { EMPTY_COMPARISON } from './comparison';
+import { GRANULARITIES, DATE_FIELDS } from './workload';
+import { EMPTY_FILTERS, toggleFilterValue, monthFilter } from './filters';
+import { FilterBar } from './FilterBar';
+import { HistoryDataGrid } from './HistoryDataGrid';
+import { DELIMITER_LABELS } from './csvSniffer';
+import { mergeHeaders } from './csvLoader';
+import { formatLabel } from './dateDetection';
+import { computeAggregations } from './aggregations';
+import { useAnalysisWorker } from './useAnalysisWorker';
+import { useSectionQuery } from './useSectionQuery';
+import { ReportExport } from './ReportExport';
+import { BusinessCalendarSettings } from './BusinessCalendarSettings';
+import { DatasetLibrary } from './DatasetLibrary';
+import { DataQualitySection } from './DataQualitySection';
+import { EMPTY_QUALITY_SUMMARY } from './dataQuality';
+import { StreamingSettings } from './StreamingSettings';
+import { loadStreamingSettings, saveStreamingSettings } from './streaming';
+import {
+    listDatasets,
+    saveDatasetState,
+    renameDataset,
+    deleteDataset,
+    getSetting,
+    setSetting,
+} from './datasetStore';
+import {
+    loadDurationSettings,
+    saveDurationSettings,
+    getDurationUnits,
+} from './businessCalendar';
+
+// Shown until the worker has analyzed the first dataset
+const EMPTY_ANALYSIS = {
+    parsedCount: 0,
+    filteredCount: 0,
+    rawCount: 0,
+    dateReport: {},
+    duplicatesByFile: {},
+    quality: EMPTY_QUALITY_SUMMARY,
+    latestCreated: null,
+    aggregates: computeAggregations([], null),
+    comparison: null,
+    aggregateOnly: false,
 };
 
-const COLORS = [
-    '#0088FE',
-    '#00C49F',
-    '#FFBB28',
-    '#FF8042',
-    '#8884D8',
-    '#82ca9d',
-    '#ffc658',
-    '#db2828',
-    '#f2711c',
-    '#fbbd08',
-    '#b5cc18',
-    '#21ba45',
-    '#00b5ad',
-    '#2185d0',
-    '#6435c9',
-    '#a333c8',
-    '#e03997',
-    '#a5673f',
-];
+const EMPTY_WORKLOAD = { data: [], series: [] };
+
+// Files of one dataset may write a date column in different patterns
+const formatDateFormats = (report) =>
+    report.formats.map(formatLabel).join(' / ');
+
+const DEFAULT_WORKLOAD_OPTIONS = {
+    dateField: 'created',
+    granularity: 'week',
+    splitBy: '',
+    maWindow: 7,
+};
+
+// Setting holding the dataset reopened on the next visit
+const LAST_DATASET_KEY = 'lastDatasetId';
 
 const DataAnalyzerFile = () => {
-    // Ensure initial state is an empty array
-    const [parsedData, setParsedData] = useState([]);
-    const [fileName, setFileName] = useState('');
+    // Metadata of the files loaded in the analysis worker; the raw rows
+    // themselves stay in the worker
+    const [files, setFiles] = useState([]);
+    const [analysis, setAnalysis] = useState(EMPTY_ANALYSIS);
+    const [analyzing, setAnalyzing] = useState(false);
+    const [mapping, setMapping] = useState(null);
+    const [mappingDraft, setMappingDraft] = useState(null);
     const [loading, setLoading] = useState(false);
+    const [dragActive, setDragActive] = useState(false);
     const [error, setError] = useState(null);
+    const [filters, setFilters] = useState(EMPTY_FILTERS);
+    const [workloadOptions, setWorkloadOptions] = useState(
+        DEFAULT_WORKLOAD_OPTIONS
+    );
+    const [durationSettings, setDurationSettings] =
+        useState(loadDurationSettings);
+    const [comparison, setComparison] = useState(EMPTY_COMPARISON);
+    const [streamingSettings, setStreamingSettings] = useState(
+        loadStreamingSettings
+    );
+    // Saved dataset the loaded files belong to, and all saved datasets
+    const [dataset, setDataset] = useState(null);
+    const [datasets, setDatasets] = useState([]);
+    const [storageError, setStorageError] = useState(null);
+    const worker = useAnalysisWorker();
+    const { analyze, query, openDataset } = worker;
+    // Charts marked with data-report-chart are picked up by the report export
+    const chartsRef = useRef(null);
+
+    const headers = useMemo(() => mergeHeaders(files), [files]);
+    const loadedFiles = useMemo(
+        () => files.filter((file) => !file.error),
+        [files]
+    );
+
+    // Keeps the preferred (usually the current) mapping if it still fits the
+    // merged headers, otherwise reuses the mapping remembered for this header
+    // layout
+    const reconcileMapping = useCallback((nextFiles, preferred) => {
+        const fields = mergeHeaders(nextFiles);
+        if (!fields.length) {
+            setMapping(null);
+            setMappingDraft(null);
+            return;
+        }
+        if (preferred && validateMapping(preferred, fields).length === 0) {
+            setMapping(preferred);
+            setMappingDraft(null);
+            return;
+        }
+        const saved = loadSavedMapping(getHeaderSignature(fields));
+        if (saved && validateMapping(saved, fields).length === 0) {
+            setMapping(saved);
+            setMappingDraft(null);
+        } else {
+            setMapping(null);
+            setMappingDraft(saved || guessMapping(fields));
+        }
+    }, []);
+
+    const refreshDatasets = useCallback(async () => {
+        try {
+            setDatasets(await listDatasets());
+        } catch (err) {
+            console.error('Dataset List Error:', err);
+            setStorageError(err.message);
+        }
+    }, []);
+
+    // Applies a worker answer with the files and the dataset they are saved to
+    const applyLoaded = useCallback(
+        ({ files: nextFiles, dataset: nextDataset, persistError }) => {
+            setFiles(nextFiles);
+            setDataset(nextDataset);
+            setStorageError(persistError || null);
+            setSetting(LAST_DATASET_KEY, nextDataset?.id ?? null).catch((err) =>
+                console.error('Dataset Setting Error:', err)
+            );
+            refreshDatasets();
+        },
+        [refreshDatasets]
+    );
+
+    // Restores the files of a saved dataset together with its mapping,
+    // filters and chart options
+    const openDatasetById = useCallback(
+        async (id) => {
+            const result = await openDataset(id);
+            const state = result.dataset?.state || {};
+            applyLoaded(result);
+            setFilters(state.filters || EMPTY_FILTERS);
+            setWorkloadOptions(
+                state.workloadOptions || DEFAULT_WORKLOAD_OPTIONS
+            );
+            setComparison(state.comparison || EMPTY_COMPARISON);
+            reconcileMapping(result.files, state.mapping || null);
+        },
+        [openDataset, applyLoaded, reconcileMapping]
+    );
 
     // --- Function to handle file parsing ---
-    const parseCsvFile = (file) => {
+    // Parsing runs in the analysis worker, which reports progress per chunk
+    // and a preview of the charts every `refreshRows` rows.
+    // A file with the same name as an already loaded one replaces it.
+    const handleFiles = async (fileList) => {
+        const selected = Array.from(fileList || []);
+        if (!selected.length) return;
         setLoading(true);
         setError(null);
-        setParsedData([]); // Reset to empty array before parsing
-        setFileName(file.name);
-
-        Papa.parse(file, {
-            header: true,
-            delimiter: ';',
-            skipEmptyLines: true,
-            complete: (results) => {
-                console.log('Parsing complete.');
-                if (results.errors.length > 0) {
-                    console.error('CSV Parsing Errors:', results.errors);
-                    setError(
-                        `Errors occurred during CSV parsing in ${file.name}. Check console.`
-                    );
-                    setParsedData([]); // Ensure it's [] on error
-                } else {
-                    console.log('CSV Parsed Successfully.');
-                    const processed = results.data
-                        .map((row) => {
-                            // ... (date parsing and duration calculation) ...
-                            const createdDate = parseDate(row.CREATED_DATE);
-                            const actionDate = parseDate(row.ACTION_DATE);
-                            let durationDays = null;
-                            let durationHours = null;
-
-                            if (
-                                createdDate &&
-                                actionDate &&
-                                isValid(createdDate) &&
-                                isValid(actionDate) &&
-                                actionDate >= createdDate
-                            ) {
-                                durationDays = differenceInDays(
-                                    actionDate,
-                                    createdDate
-                                );
-                                durationHours = differenceInHours(
-                                    actionDate,
-                                    createdDate
-                                );
-                            } // ... error handling ...
-
-                            return {
-                                ...row,
-                                createdDateValid: createdDate,
-                                actionDateValid: actionDate,
-                                durationHours: durationHours,
-                                durationDays: durationDays,
-                            };
-                        })
-                        .filter(
-                            (row) =>
-                                row.ID && row.CREATED_DATE && row.ACTION_DATE
-                        );
-
-                    setParsedData(processed); // Set the processed array
-                    setError(null);
-                    if (processed.length === 0 && results.data.length > 0) {
-                        setError(
-                            `File ${file.name} parsed, but no valid data rows found for analysis.`
-                        );
-                    } else if (
-                        processed.length === 0 &&
-                        results.data.length === 0
-                    ) {
-                        setError(
-                            `File ${file.name} parsed, but it appears to be empty.`
-                        );
-                    }
+
+        try {
+            const result = await worker.loadFiles(selected, {
+                mapping,
+                savedMappings: loadSavedMappings(),
+                durationSettings,
+                streaming: streamingSettings,
+            });
+            if (result) {
+                const nextFiles = result.files;
+                applyLoaded(result);
+                setFilters(EMPTY_FILTERS);
+                reconcileMapping(nextFiles, mapping);
+                if (nextFiles.every((file) => file.error)) {
+                    setError('None of the selected files could be loaded.');
                 }
-                setLoading(false);
-            },
-            error: (err, file) => {
-                console.error('PapaParse Error:', err);
-                setError(
-                    `Failed to parse file ${file?.name || 'selected file'}: ${
-                        err.message
-                    }`
-                );
-                setParsedData([]); // Ensure it's [] on error
-                setLoading(false);
-            },
-        });
+            }
+        } catch (err) {
+            console.error('File Loading Error:', err);
+            setError(`Failed to load files: ${err.message}`);
+        }
+        setLoading(false);
     };
 
-    const handleFileChange = (event) => {
-        const file = event.target.files[0];
-        if (file) {
-            if (
-                file.type &&
-                !file.type.includes('csv') &&
-                !file.name.toLowerCase().endsWith('.csv')
-            ) {
-                setError(
-                    `Invalid file type: "${file.type}". Please select a CSV file.`
-                );
-                setFileName(file.name);
-                setParsedData([]); // Reset to empty array
-                setLoading(false);
-                event.target.value = null;
-                return;
-            }
-            parseCsvFile(file);
-        } else {
+    const handleRemoveFile = async (name) => {
+        try {
+            const result = await worker.removeFile(name);
+            applyLoaded(result);
             setError(null);
-            setFileName('');
-            setParsedData([]); // Reset to empty array
-            setLoading(false);
+            reconcileMapping(result.files, mapping);
+        } catch (err) {
+            console.error('File Removal Error:', err);
+            setError(err.message);
         }
-        event.target.value = null;
     };
 
-    const handleClearData = () => {
-        setParsedData([]); // Reset to empty array
-        setFileName('');
+    const handleOpenDataset = async (id) => {
+        setLoading(true);
         setError(null);
+        try {
+            await openDatasetById(id);
+        } catch (err) {
+            console.error('Dataset Open Error:', err);
+            setError(`Failed to open the saved dataset: ${err.message}`);
+        }
         setLoading(false);
     };
 
-    // --- Memoized calculations ---
-    // --- Memoized calculations (remain the same, depend on parsedData) ---
-    const monthlyCreations = useMemo(() => {
-        // ... (same as before)
-        if (!parsedData.length) return [];
-        const counts = {};
-        parsedData.forEach((row) => {
-            if (row.createdDateValid) {
-                const monthYear = format(row.createdDateValid, 'yyyy-MM');
-                counts[monthYear] = (counts[monthYear] || 0) + 1;
-            }
-        });
-        return Object.entries(counts)
-            .map(([month, count]) => ({ month, count }))
-            .sort((a, b) => a.month.localeCompare(b.month));
-    }, [parsedData]);
-
-    const durationStats = useMemo(() => {
-        // ... (same as before, using durationDays)
-        if (!parsedData.length)
-            return { average: 0, median: 0, min: 0, max: 0, durations: [] };
-        const durations = parsedData
-            .map((row) => row.durationDays)
-            .filter((d) => d !== null && d >= 0);
-
-        if (!durations.length)
-            return { average: 0, median: 0, min: 0, max: 0, durations: [] };
-
-        durations.sort((a, b) => a - b);
-        const sum = durations.reduce((acc, val) => acc + val, 0);
-        const average = sum / durations.length;
-        const mid = Math.floor(durations.length / 2);
-        const median =
-            durations.length % 2 !== 0
-                ? durations[mid]
-                : (durations[mid - 1] + durations[mid]) / 2;
-        const min = durations[0];
-        const max = durations[durations.length - 1];
-
-        return { average, median, min, max, durations };
-    }, [parsedData]);
-
-    const durationHistogramData = useMemo(() => {
-        // ... (same as before, using durationDays)
-        if (!durationStats.durations.length) return [];
-        const durations = durationStats.durations;
-        const maxDuration = Math.max(...durations, 0);
-        let binSize;
-        let unit = 'day(s)';
-
-        if (maxDuration <= 1) {
-            binSize = 1;
-            unit = 'day(s) (0-1)';
-        } else if (maxDuration <= 14) {
-            binSize = 1;
-        } else if (maxDuration <= 60) {
-            binSize = 7;
-            unit = 'week(s)';
-        } else if (maxDuration <= 365) {
-            binSize = 30;
-            unit = 'month(s)';
-        } else {
-            binSize = 90;
-            unit = 'quarter(s)';
-        }
-        binSize = Math.max(binSize, 1);
-
-        const bins = {};
-        let maxBinValue = 0;
-
-        durations.forEach((duration) => {
-            const binIndex = Math.floor(duration / binSize);
-            const binStart = binIndex * binSize;
-            const binEnd = binStart + binSize - 1;
-            const binName = unit.includes('day(s)')
-                ? binSize === 1
-                    ? `${binStart} day(s)`
-                    : `${binStart}-${binEnd} days`
-                : binSize === 7
-                ? `Week ${binIndex + 1} (~${binStart}-${binEnd}d)`
-                : `${binStart}-${binEnd} days`;
-            bins[binName] = (bins[binName] || 0) + 1;
-            maxBinValue = Math.max(maxBinValue, binStart);
-        });
-
-        const sortedBins = [];
-        for (let i = 0; i <= maxBinValue; i += binSize) {
-            const binStart = i;
-            const binEnd = binStart + binSize - 1;
-            const binName = unit.includes('day(s)')
-                ? binSize === 1
-                    ? `${binStart} day(s)`
-                    : `${binStart}-${binEnd} days`
-                : binSize === 7
-                ? `Week ${
-                      Math.floor(i / binSize) + 1
-                  } (~${binStart}-${binEnd}d)`
-                : `${binStart}-${binEnd} days`;
-            sortedBins.push({ range: binName, count: bins[binName] || 0 });
+    const handleRenameDataset = async (id, name) => {
+        try {
+            const renamed = await renameDataset(id, name);
+            if (renamed && dataset?.id === id) setDataset(renamed);
+            refreshDatasets();
+        } catch (err) {
+            console.error('Dataset Rename Error:', err);
+            setStorageError(err.message);
         }
+    };
 
-        if (maxDuration <= 1 && binSize === 1 && sortedBins.length > 1) {
-            const combinedCount = sortedBins.reduce(
-                (sum, bin) => sum + bin.count,
-                0
-            );
-            return [{ range: `0-1 day(s)`, count: combinedCount }];
-        } else if (maxDuration <= 1 && binSize === 1) {
-            if (sortedBins.length === 0)
-                return [{ range: '0 day(s)', count: 0 }];
-            sortedBins[0].range = `0-1 day(s)`;
-            return sortedBins;
+    const handleDeleteDataset = async (id) => {
+        try {
+            await deleteDataset(id);
+            if (dataset?.id === id) handleClearData();
+            refreshDatasets();
+        } catch (err) {
+            console.error('Dataset Delete Error:', err);
+            setStorageError(err.message);
         }
+    };
 
-        return sortedBins;
-    }, [durationStats]);
-
-    const staffActivity = useMemo(() => {
-        // ... (same as before, using durationDays)
-        if (!parsedData.length) return { durations: [], counts: [] };
-        const staffData = {};
-
-        parsedData.forEach((row) => {
-            if (
-                row.STAFF &&
-                row.durationDays !== null &&
-                row.durationDays >= 0
-            ) {
-                if (!staffData[row.STAFF]) {
-                    staffData[row.STAFF] = { totalDuration: 0, count: 0 };
-                }
-                staffData[row.STAFF].totalDuration += row.durationDays;
-                staffData[row.STAFF].count += 1;
+    // Reopens the dataset of the last visit. Runs once on mount (its
+    // callbacks are stable); a run interrupted by unmounting (the worker is
+    // terminated) is ignored.
+    useEffect(() => {
+        let active = true;
+        const restore = async () => {
+            await refreshDatasets();
+            const lastId = await getSetting(LAST_DATASET_KEY);
+            if (!lastId || !active) return;
+            setLoading(true);
+            try {
+                await openDatasetById(lastId);
+            } finally {
+                if (active) setLoading(false);
             }
+        };
+        restore().catch((err) => {
+            if (active) console.error('Dataset Restore Error:', err);
         });
+        return () => {
+            active = false;
+        };
+    }, [refreshDatasets, openDatasetById]);
 
-        const avgDurations = Object.entries(staffData)
-            .map(([staff, data]) => ({
-                staff,
-                avgDurationDays:
-                    data.count > 0 ? data.totalDuration / data.count : 0,
-            }))
-            .sort((a, b) => b.avgDurationDays - a.avgDurationDays);
-
-        const counts = Object.entries(staffData)
-            .map(([staff, data]) => ({
-                staff,
-                count: data.count,
-            }))
-            .sort((a, b) => b.count - a.count);
-
-        return { durations: avgDurations, counts };
-    }, [parsedData]);
-
-    const actionTypeCounts = useMemo(() => {
-        // ... (same as before)
-        if (!parsedData.length) return [];
-        const counts = {};
-        parsedData.forEach((row) => {
-            if (row.ACTION) {
-                counts[row.ACTION] = (counts[row.ACTION] || 0) + 1;
-            }
-        });
-        return Object.entries(counts)
-            .map(([name, value]) => ({ name, value }))
-            .sort((a, b) => b.value - a.value);
-    }, [parsedData]);
-
-    const registrationToActionDuration = useMemo(() => {
-        // ... (same as before)
-        if (!parsedData.length) return { average: 0, median: 0 };
-        const durations = [];
-        parsedData.forEach((row) => {
-            const regDate = parseDate(row.REGISTRATION_DATE);
-            const actionDate = row.actionDateValid;
-            if (
-                regDate &&
-                actionDate &&
-                isValid(regDate) &&
-                isValid(actionDate)
-            ) {
-                const diffDays = differenceInDays(actionDate, regDate);
-                if (diffDays >= 0) {
-                    durations.push({
-                        id: row.ID,
-                        reference: row.REFERENCE,
-                        regToActionDays: diffDays,
-                    });
-                }
-            }
-        });
-        if (!durations.length) return { average: 0, median: 0 };
-        const daysArray = durations
-            .map((d) => d.regToActionDays)
-            .sort((a, b) => a - b);
-        const sum = daysArray.reduce((acc, val) => acc + val, 0);
-        const average = sum / daysArray.length;
-        const mid = Math.floor(daysArray.length / 2);
-        const median =
-            daysArray.length % 2 !== 0
-                ? daysArray[mid]
-                : (daysArray[mid - 1] + daysArray[mid]) / 2;
-        return { average, median, data: durations };
-    }, [parsedData]);
-
-    console.log('Rendering DataAnalyzerFile - State:', {
-        loading,
-        error: error !== null,
-        dataLength: parsedData?.length,
-        parsedData,
-    }); // Use optional chaining just in case
+    // Dashboard state is saved with the open dataset on every change
+    const datasetId = dataset?.id;
+    useEffect(() => {
+        if (!datasetId) return;
+        saveDatasetState(datasetId, {
+            mapping,
+            filters,
+            workloadOptions,
+            comparison,
+        }).catch((err) => console.error('Dataset State Error:', err));
+    }, [datasetId, mapping, filters, workloadOptions, comparison]);
+
+    const handleApplyMapping = () => {
+        saveMapping(getHeaderSignature(headers), mappingDraft);
+        setMapping(mappingDraft);
+        setMappingDraft(null);
+    };
+
+    const handleEditMapping = () => {
+        setMappingDraft(mapping || guessMapping(headers));
+    };
+
+    // Mapping drives every calculation below: re-mapping reprocesses the rows
+    // in the worker. Results of superseded requests are dropped.
+    useEffect(() => {
+        if (!mapping || !loadedFiles.length) {
+            setAnalysis(EMPTY_ANALYSIS);
+            return undefined;
+        }
+        let active = true;
+        setAnalyzing(true);
+        analyze(mapping, filters, durationSettings, comparison)
+            .then((result) => {
+                // null when superseded while re-reading a bounded file
+                if (active && result) setAnalysis(result);
+            })
+            .catch((err) => {
+                console.error('Analysis Error:', err);
+                if (active) setError(`Analysis failed: ${err.message}`);
+            })
+            .finally(() => {
+                if (active) setAnalyzing(false);
+            });
+        return () => {
+            active = false;
+        };
+    }, [analyze, loadedFiles, mapping, filters, durationSettings, comparison]);
+
+    // While files load, the charts show the worker's preview of the new
+    // files, computed with the mapping the worker picked for them
+    const preview = loading ? worker.partial : null;
+    const shown = preview || analysis;
+    const shownMapping = preview ? preview.mapping : mapping;
+    const { dateReport, parsedCount, filteredCount } = shown;
+    const { duplicatesByFile } = analysis;
+    const dateFailures = Object.values(dateReport).filter((r) => r.failed > 0);
+
+    // The sections below query the cross-filtered rows of the analysis in
+    // the worker. Analyses of memory-bounded files keep no rows and only
+    // have aggregates (see streaming.js). Before the first analysis there is
+    // nothing to query.
+    const { version } = analysis;
+    const queryRows = useMemo(
+        () =>
+            version === undefined || analysis.aggregateOnly
+                ? null
+                : (kind, params) => query(kind, params, version),
+        [query, version, analysis.aggregateOnly]
+    );
+
+    const handleFileChange = (event) => {
+        handleFiles(event.target.files);
+        event.target.value = null;
+    };
+
+    const handleDragOver = (event) => {
+        event.preventDefault();
+        if (!loading) setDragActive(true);
+    };
+
+    const handleDrop = (event) => {
+        event.preventDefault();
+        setDragActive(false);
+        if (!loading) handleFiles(event.dataTransfer.files);
+    };
+
+    const addSetFilter = (key, value) => {
+        if (value === null || value === undefined) return;
+        setFilters((old) =>
+            old[key].includes(value) ? old : toggleFilterValue(old, key, value)
+        );
+    };
+
+    const handleDurationSettingsChange = (settings) => {
+        setDurationSettings(settings);
+        saveDurationSettings(settings);
+    };
+
+    const handleStreamingSettingsChange = (settings) => {
+        setStreamingSettings(settings);
+        saveStreamingSettings(settings);
+    };
+
+    const updateWorkloadOption = (key, value) => {
+        setWorkloadOptions((old) => ({ ...old, [key]: value }));
+    };
+
+    const handleClearData = () => {
+        worker
+            .clearFiles()
+            .catch((err) => console.error('Analysis Worker Error:', err));
+        setFiles([]); // Reset to empty array
+        setDataset(null);
+        setSetting(LAST_DATASET_KEY, null).catch((err) =>
+            console.error('Dataset Setting Error:', err)
+        );
+        setFilters(EMPTY_FILTERS);
+        setComparison(EMPTY_COMPARISON);
+        setMapping(null);
+        setMappingDraft(null);
+        setError(null);
+        setLoading(false);
+    };
+
+    // --- Aggregations computed by the analysis worker ---
+    const {
+        monthlyCreations,
+        durationStats,
+        durationHistogramData,
+        staffActivity,
+        actionTypeCounts,
+        registrationToActionDuration,
+    } = shown.aggregates;
+
+    const { unit: durationUnit, unitTitle: durationUnitTitle } =
+        getDurationUnits(durationSettings);
+
+    const workload =
+        useSectionQuery(queryRows, 'workload', workloadOptions).result ||
+        EMPTY_WORKLOAD;
 
     return (
         <div style={{ fontFamily: 'sans-serif', padding: '20px' }}>
             <h1>Data Analysis Dashboard</h1>
 
-            {/* --- File Input Section --- */}
+            {/* --- File Input Section (also a drop zone) --- */}
             <div
+                onDragOver={handleDragOver}
+                onDragLeave={() => setDragActive(false)}
+                onDrop={handleDrop}
                 style={{
                     marginBottom: '20px',
                     padding: '15px',
-                    border: '1px solid #ccc',
+                    border: dragActive
+                        ? '2px dashed #2185d0'
+                        : '1px solid #ccc',
                     borderRadius: '4px',
+                    background: dragActive ? '#f0f6ff' : undefined,
                 }}
             >
                 {/* ... Input, label, button ... */}
@@ -419,17 +470,21 @@ const DataAnalyzerFile = () => {
                     htmlFor="csvFileInput"
                     style={{ marginRight: '10px', fontWeight: 'bold' }}
                 >
-                    Load CSV File:
+                    Load CSV Files:
                 </label>
                 <input
                     id="csvFileInput"
                     type="file"
                     accept=".csv, text/csv"
+                    multiple
                     onChange={handleFileChange}
                     style={{ marginRight: '10px' }}
                     disabled={loading}
                 />
-                {(fileName || loading) && (
+                <span style={{ fontSize: '0.9em', color: '#555' }}>
+                    or drop files here
+                </span>
+                {(files.length > 0 || loading) && (
                     <button
                         onClick={handleClearData}
                         disabled={loading}
@@ -438,23 +493,146 @@ const DataAnalyzerFile = () => {
                         Clear Data
                     </button>
                 )}
-                {fileName && !loading && (
-                    <p
+                {mapping && !mappingDraft && !loading && (
+                    <button
+                        onClick={handleEditMapping}
+                        style={{ marginLeft: '10px' }}
+                    >
+                        Edit Column Mapping
+                    </button>
+                )}
+                {files.length > 0 && (
+                    <table
                         style={{
-                            marginTop: '5px',
+                            marginTop: '10px',
                             fontSize: '0.9em',
-                            color: '#555',
+                            borderCollapse: 'collapse',
                         }}
                     >
-                        File: {fileName}
-                    </p>
+                        <thead>
+                            <tr>
+                                <th>File</th>
+                                <th>Format</th>
+                                <th>Rows</th>
+                                <th>Duplicate IDs Skipped</th>
+                                <th>Problems</th>
+                                <th />
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {files.map((file) => (
+                                <tr key={file.name}>
+                                    <td>{file.name}</td>
+                                    <td>
+                                        {file.encoding &&
+                                            `${file.encoding}, ${
+                                                DELIMITER_LABELS[file.delimiter]
+                                            }-separated`}
+                                    </td>
+                                    <td style={{ textAlign: 'right' }}>
+                                        {file.rowCount}
+                                    </td>
+                                    <td style={{ textAlign: 'right' }}>
+                                        {duplicatesByFile[file.name] ?? ''}
+                                    </td>
+                                    <td
+                                        style={{
+                                            color:
+                                                file.error || file.errorCount
+                                                    ? 'red'
+                                                    : undefined,
+                                        }}
+                                    >
+                                        {file.error ||
+                                            (file.errorCount > 0 && (
+                                                <span
+                                                    title={file.errors
+                                                        .map(
+                                                            (e) =>
+                                                                `Row ${e.row}: ${e.message}`
+                                                        )
+                                                        .join('\n')}
+                                                >
+                                                    {file.errorCount} parse
+                                                    error(s)
+                                                </span>
+                                            ))}
+                                    </td>
+                                    <td>
+                                        <button
+                                            onClick={() =>
+                                                handleRemoveFile(file.name)
+                                            }
+                                            disabled={loading}
+                                            title="Remove file"
+                                        >
+                                            ✕
+                                        </button>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
                 )}
+                <StreamingSettings
+                    settings={streamingSettings}
+                    onChange={handleStreamingSettingsChange}
+                    disabled={loading}
+                />
             </div>
 
+            <DatasetLibrary
+                datasets={datasets}
+                currentId={dataset?.id}
+                onOpen={handleOpenDataset}
+                onRename={handleRenameDataset}
+                onDelete={handleDeleteDataset}
+                disabled={loading}
+                storageError={storageError}
+            />
+
+            {/* --- Column Mapping Step --- */}
+            {!loading && mappingDraft && (
+                <ColumnMappingWizard
+                    headers={headers}
+                    sampleRow={loadedFiles[0]?.sampleRow}
+                    mapping={mappingDraft}
+                    onChange={setMappingDraft}
+                    onApply={handleApplyMapping}
+                    onCancel={mapping ? () => setMappingDraft(null) : undefined}
+                />
+            )}
+
             {/* --- Status Messages --- */}
             {loading && (
                 <div style={{ color: 'blue', marginBottom: '15px' }}>
-                    Parsing file, please wait...
+                    {worker.progress ? (
+                        <>
+                            Parsing {worker.progress.fileName} (file{' '}
+                            {worker.progress.fileIndex + 1} of{' '}
+                            {worker.progress.fileCount}):{' '}
+                            {worker.progress.rowsParsed} rows,{' '}
+                            {worker.progress.percent.toFixed(0)}%{' '}
+                            <progress
+                                value={worker.progress.percent}
+                                max={100}
+                                style={{ verticalAlign: 'middle' }}
+                            />
+                        </>
+                    ) : (
+                        'Parsing files, please wait...'
+                    )}
+                    <button
+                        onClick={worker.cancel}
+                        style={{ marginLeft: '10px' }}
+                    >
+                        Cancel
+                    </button>
+                </div>
+            )}
+            {!loading && analyzing && (
+                <div style={{ color: 'blue', marginBottom: '15px' }}>
+                    Analyzing...
                 </div>
             )}
             {error && (
@@ -468,16 +646,143 @@ const DataAnalyzerFile = () => {
                     Error: {error}
                 </div>
             )}
+            {!loading &&
+                !error &&
+                mapping &&
+                !analyzing &&
+                analysis.rawCount > 0 &&
+                parsedCount === 0 && (
+                    <div
+                        style={{
+                            color: 'red',
+                            marginBottom: '15px',
+                            fontWeight: 'bold',
+                        }}
+                    >
+                        Error: Files parsed, but no valid data rows found for
+                        analysis. Check the column mapping.
+                    </div>
+                )}
 
             {/* --- Charts Section (ADDED SAFETY CHECK: parsedData && ...) --- */}
-            {!loading && !error && parsedData.length > 0 && (
-                <>
-                    <p>
-                        Analyzed {parsedData.length} valid rows from {fileName}.
+            {!error && parsedCount > 0 && (!loading || preview) && (
+                <div ref={chartsRef}>
+                    {preview ? (
+                        <p>
+                            Preview of {parsedCount} valid rows parsed so far;
+                            the charts refresh every{' '}
+                            {streamingSettings.refreshRows} rows.
+                        </p>
+                    ) : (
+                        <p>
+                            Analyzed {parsedCount} valid rows from{' '}
+                            {loadedFiles.length} file(s).
+                        </p>
+                    )}
+                    {shown.aggregateOnly && !preview && (
+                        <div
+                            style={{
+                                marginBottom: '15px',
+                                padding: '10px',
+                                border: '1px solid #ccc',
+                                borderRadius: '4px',
+                                background: '#f9f9f9',
+                            }}
+                        >
+                            Files over {streamingSettings.boundedThresholdMb} MB
+                            are kept as aggregates only (
+                            {loadedFiles
+                                .filter((file) => file.bounded)
+                                .map((file) => file.name)
+                                .join(', ')}
+                            ). Sections that need the individual rows are
+                            hidden, and every change of the mapping or the
+                            filters reads these files again.
+                        </div>
+                    )}
+                    {!preview && (
+                        <>
+                            <FilterBar
+                                filters={filters}
+                                onChange={setFilters}
+                                onReset={() => setFilters(EMPTY_FILTERS)}
+                                totalRows={parsedCount}
+                                filteredRows={filteredCount}
+                                durationSettings={durationSettings}
+                            />
+                            <BusinessCalendarSettings
+                                settings={durationSettings}
+                                onChange={handleDurationSettingsChange}
+                            />
+                            <ReportExport
+                                chartsRef={chartsRef}
+                                query={queryRows}
+                                aggregates={analysis.aggregates}
+                                rowCount={filteredCount}
+                                fileNames={loadedFiles.map((file) => file.name)}
+                                filters={filters}
+                                durationSettings={durationSettings}
+                            />
+                        </>
+                    )}
+                    <p style={{ fontSize: '0.9em', color: '#555' }}>
+                        Date formats:{' '}
+                        {Object.values(dateReport)
+                            .map((r) => `${r.header} = ${formatDateFormats(r)}`)
+                            .join(', ')}
                     </p>
+                    {dateFailures.length > 0 && (
+                        <div
+                            style={{
+                                color: '#b35c00',
+                                marginBottom: '15px',
+                                padding: '10px',
+                                border: '1px solid #f2c38b',
+                                borderRadius: '4px',
+                            }}
+                        >
+                            <strong>Unparsable dates:</strong>
+                            <ul style={{ margin: '5px 0 0' }}>
+                                {dateFailures.map((r) => (
+                                    <li key={r.header}>
+                                        {r.header}: {r.failed} of {r.total}{' '}
+                                        values did not match{' '}
+                                        {formatDateFormats(r)}
+                                    </li>
+                                ))}
+                            </ul>
+                        </div>
+                    )}
+
+                    {!preview && (
+                        <DataQualitySection
+                            quality={analysis.quality}
+                            onExport={worker.exportQualityCsv}
+                        />
+                    )}
+
+                    {!shown.aggregateOnly && (
+                        <>
+                            <ComparisonSection
+                                comparison={comparison}
+                                onChange={setComparison}
+                                result={analysis.comparison}
+                                fileNames={loadedFiles.map((file) => file.name)}
+                                latestCreated={analysis.latestCreated}
+                                durationSettings={durationSettings}
+                            />
+
+                            <CustomDashboard
+                                query={queryRows}
+                                mapping={mapping}
+                                unit={durationUnit}
+                            />
+                        </>
+                    )}
 
                     {/* Chart 1: Monthly Creations */}
                     <section
+                        data-report-chart="Items Created Per Month"
                         style={{
                             marginBottom: '40px',
                             borderBottom: '1px solid #eee',
@@ -485,7 +790,7 @@ const DataAnalyzerFile = () => {
                         }}
                     >
                         <h2>Items Created Per Month</h2>
-                        <p>Based on CREATED_DATE</p>
+                        <p>Based on {getRoleHeader(shownMapping, 'created')}</p>
                         {monthlyCreations.length > 0 ? (
                             <ResponsiveContainer width="95%" height={300}>
                                 <BarChart
@@ -506,6 +811,15 @@ const DataAnalyzerFile = () => {
                                         dataKey="count"
                                         fill="#8884d8"
                                         name="Creations"
+                                        cursor="pointer"
+                                        onClick={(entry) =>
+                                            setFilters((old) =>
+                                                monthFilter(
+                                                    old,
+                                                    entry.payload.month
+                                                )
+                                            )
+                                        }
                                     />
                                 </BarChart>
                             </ResponsiveContainer>
@@ -517,22 +831,207 @@ const DataAnalyzerFile = () => {
                         )}
                     </section>
 
+                    {!shown.aggregateOnly && (
+                        <>
+                            {/* Chart 1b: Workload Over Time */}
+                            <section
+                                data-report-chart="Workload Over Time"
+                                style={{
+                                    marginBottom: '40px',
+                                    borderBottom: '1px solid #eee',
+                                    paddingBottom: '20px',
+                                }}
+                            >
+                                <h2>Workload Over Time</h2>
+                                <div style={{ marginBottom: '10px' }}>
+                                    <label style={{ marginRight: '15px' }}>
+                                        Date:{' '}
+                                        <select
+                                            value={workloadOptions.dateField}
+                                            onChange={(e) =>
+                                                updateWorkloadOption(
+                                                    'dateField',
+                                                    e.target.value
+                                                )
+                                            }
+                                        >
+                                            {Object.entries(DATE_FIELDS).map(
+                                                ([key, option]) => (
+                                                    <option
+                                                        key={key}
+                                                        value={key}
+                                                    >
+                                                        {option.label}
+                                                    </option>
+                                                )
+                                            )}
+                                        </select>
+                                    </label>
+                                    <label style={{ marginRight: '15px' }}>
+                                        Per:{' '}
+                                        <select
+                                            value={workloadOptions.granularity}
+                                            onChange={(e) =>
+                                                updateWorkloadOption(
+                                                    'granularity',
+                                                    e.target.value
+                                                )
+                                            }
+                                        >
+                                            {Object.entries(GRANULARITIES).map(
+                                                ([key, option]) => (
+                                                    <option
+                                                        key={key}
+                                                        value={key}
+                                                    >
+                                                        {option.label}
+                                                    </option>
+                                                )
+                                            )}
+                                        </select>
+                                    </label>
+                                    <label style={{ marginRight: '15px' }}>
+                                        Split by:{' '}
+                                        <select
+                                            value={workloadOptions.splitBy}
+                                            onChange={(e) =>
+                                                updateWorkloadOption(
+                                                    'splitBy',
+                                                    e.target.value
+                                                )
+                                            }
+                                        >
+                                            <option value="">None</option>
+                                            {mapping?.staff && (
+                                                <option value="staff">
+                                                    Staff
+                                                </option>
+                                            )}
+                                            {mapping?.action && (
+                                                <option value="action">
+                                                    Action type
+                                                </option>
+                                            )}
+                                        </select>
+                                    </label>
+                                    <label>
+                                        Moving average:{' '}
+                                        <select
+                                            value={workloadOptions.maWindow}
+                                            onChange={(e) =>
+                                                updateWorkloadOption(
+                                                    'maWindow',
+                                                    Number(e.target.value)
+                                                )
+                                            }
+                                        >
+                                            <option value={0}>None</option>
+                                            <option value={7}>7 periods</option>
+                                            <option value={30}>
+                                                30 periods
+                                            </option>
+                                        </select>
+                                    </label>
+                                </div>
+                                {workload.data.length > 0 ? (
+                                    <ResponsiveContainer
+                                        width="95%"
+                                        height={300}
+                                    >
+                                        <LineChart
+                                            data={workload.data}
+                                            margin={{
+                                                top: 5,
+                                                right: 30,
+                                                left: 20,
+                                                bottom: 5,
+                                            }}
+                                        >
+                                            <CartesianGrid strokeDasharray="3 3" />
+                                            <XAxis dataKey="bucket" />
+                                            <YAxis allowDecimals={false} />
+                                            <Tooltip
+                                                formatter={(value) =>
+                                                    Number.isInteger(value)
+                                                        ? value
+                                                        : value.toFixed(1)
+                                                }
+                                            />
+                                            <Legend />
+                                            {workload.series.length > 0 ? (
+                                                workload.series.map(
+                                                    (name, index) => (
+                                                        <Line
+                                                            key={name}
+                                                            type="monotone"
+                                                            dataKey={(entry) =>
+                                                                entry[name]
+                                                            }
+                                                            name={name}
+                                                            stroke={
+                                                                COLORS[
+                                                                    index %
+                                                                        COLORS.length
+                                                                ]
+                                                            }
+                                                            dot={false}
+                                                        />
+                                                    )
+                                                )
+                                            ) : (
+                                                <Line
+                                                    type="monotone"
+                                                    dataKey="total"
+                                                    name="Items"
+                                                    stroke="#8884d8"
+                                                    dot={false}
+                                                />
+                                            )}
+                                            {workloadOptions.maWindow > 0 && (
+                                                <Line
+                                                    type="monotone"
+                                                    dataKey="movingAverage"
+                                                    name={`${workloadOptions.maWindow}-period moving average (all items)`}
+                                                    stroke="#db2828"
+                                                    strokeDasharray="5 5"
+                                                    dot={false}
+                                                />
+                                            )}
+                                        </LineChart>
+                                    </ResponsiveContainer>
+                                ) : (
+                                    <p>
+                                        No valid dates found for the selected
+                                        field.
+                                    </p>
+                                )}
+                            </section>
+                        </>
+                    )}
+
                     {/* Chart 2: Duration Distribution (Days) */}
                     <section
+                        data-report-chart={`Distribution of Processing Duration (${durationUnitTitle})`}
                         style={{
                             marginBottom: '40px',
                             borderBottom: '1px solid #eee',
                             paddingBottom: '20px',
                         }}
                     >
-                        <h2>Distribution of Processing Duration (Days)</h2>
+                        <h2>
+                            Distribution of Processing Duration (
+                            {durationUnitTitle})
+                        </h2>
                         <p>
-                            Time difference between CREATED_DATE and
-                            ACTION_DATE. Average:{' '}
-                            {durationStats.average?.toFixed(1)} days, Median:{' '}
-                            {durationStats.median?.toFixed(1)} days, Min:{' '}
-                            {durationStats.min} days, Max: {durationStats.max}{' '}
-                            days.
+                            Time difference between{' '}
+                            {getRoleHeader(shownMapping, 'created')} and{' '}
+                            {getRoleHeader(shownMapping, 'actionDate')}.
+                            Average: {durationStats.average?.toFixed(1)}{' '}
+                            {durationUnit}, Median:{' '}
+                            {durationStats.median?.toFixed(1)} {durationUnit},
+                            P90: {durationStats.p90?.toFixed(1)} {durationUnit},
+                            Min: {durationStats.min} {durationUnit}, Max:{' '}
+                            {durationStats.max} {durationUnit}.
                         </p>
                         {durationHistogramData.length > 0 ? (
                             <ResponsiveContainer width="95%" height={300}>
@@ -561,6 +1060,15 @@ const DataAnalyzerFile = () => {
                                         dataKey="count"
                                         fill="#82ca9d"
                                         name="Items in Duration Range"
+                                        cursor="pointer"
+                                        onClick={(entry) =>
+                                            setFilters((old) => ({
+                                                ...old,
+                                                durationMin:
+                                                    entry.payload.start,
+                                                durationMax: entry.payload.end,
+                                            }))
+                                        }
                                     />
                                 </BarChart>
                             </ResponsiveContainer>
@@ -571,15 +1079,21 @@ const DataAnalyzerFile = () => {
 
                     {/* Chart 3: Average Duration per Staff (Days) */}
                     <section
+                        data-report-chart={`Average Action Duration Per Staff (${durationUnitTitle})`}
                         style={{
                             marginBottom: '40px',
                             borderBottom: '1px solid #eee',
                             paddingBottom: '20px',
                         }}
                     >
-                        <h2>Average Action Duration Per Staff (Days)</h2>
+                        <h2>
+                            Average Action Duration Per Staff (
+                            {durationUnitTitle})
+                        </h2>
                         <p>
-                            Average time from CREATED_DATE to ACTION_DATE per
+                            Average time from{' '}
+                            {getRoleHeader(shownMapping, 'created')} to{' '}
+                            {getRoleHeader(shownMapping, 'actionDate')} per
                             staff member (Top 20 shown).
                         </p>
                         {staffActivity.durations.length > 0 ? (
@@ -603,14 +1117,23 @@ const DataAnalyzerFile = () => {
                                     />
                                     <Tooltip
                                         formatter={(value) =>
-                                            `${value.toFixed(1)} days`
+                                            `${value.toFixed(
+                                                1
+                                            )} ${durationUnit}`
                                         }
                                     />
                                     <Legend />
                                     <Bar
                                         dataKey="avgDurationDays"
                                         fill="#ffc658"
-                                        name="Avg. Duration (Days)"
+                                        name={`Avg. Duration (${durationUnitTitle})`}
+                                        cursor="pointer"
+                                        onClick={(entry) =>
+                                            addSetFilter(
+                                                'staff',
+                                                entry.payload.staff
+                                            )
+                                        }
                                     />
                                 </BarChart>
                             </ResponsiveContainer>
@@ -619,11 +1142,63 @@ const DataAnalyzerFile = () => {
                         )}
                     </section>
 
+                    <StatisticsSection
+                        aggregates={shown.aggregates}
+                        mapping={shownMapping}
+                        unit={durationUnit}
+                    />
+
+                    {!shown.aggregateOnly && (
+                        <>
+                            <LifecycleSection
+                                query={queryRows}
+                                mapping={mapping}
+                                durationSettings={durationSettings}
+                            />
+
+                            <StaffActionSection
+                                query={queryRows}
+                                mapping={mapping}
+                                durationSettings={durationSettings}
+                                onStaffClick={(staff) =>
+                                    addSetFilter('staff', staff)
+                                }
+                            />
+
+                            <OutlierSection
+                                query={queryRows}
+                                mapping={mapping}
+                                durationSettings={durationSettings}
+                            />
+
+                            <SlaSection
+                                query={queryRows}
+                                mapping={mapping}
+                                durationSettings={durationSettings}
+                            />
+
+                            <DocVersionSection
+                                query={queryRows}
+                                mapping={mapping}
+                                durationSettings={durationSettings}
+                            />
+
+                            <HistoryDataGrid
+                                query={queryRows}
+                                headers={headers}
+                                mapping={mapping}
+                            />
+                        </>
+                    )}
+
                     {/* Additional Insights Section */}
                     <section>
                         <h2>Additional Insights</h2>
                         {/* Chart 4: Actions per Staff */}
-                        <div style={{ marginBottom: '30px' }}>
+                        <div
+                            data-report-chart="Actions Per Staff Member (Top 20)"
+                            style={{ marginBottom: '30px' }}
+                        >
                             <h3>Actions Per Staff Member (Top 20)</h3>
                             {staffActivity.counts.length > 0 ? (
                                 <ResponsiveContainer width="95%" height={400}>
@@ -653,6 +1228,13 @@ const DataAnalyzerFile = () => {
                                             dataKey="count"
                                             fill="#8884d8"
                                             name="Action Count"
+                                            cursor="pointer"
+                                            onClick={(entry) =>
+                                                addSetFilter(
+                                                    'staff',
+                                                    entry.payload.staff
+                                                )
+                                            }
                                         />
                                     </BarChart>
                                 </ResponsiveContainer>
@@ -662,7 +1244,10 @@ const DataAnalyzerFile = () => {
                         </div>
 
                         {/* Chart 5: Action Type Distribution */}
-                        <div style={{ marginBottom: '30px' }}>
+                        <div
+                            data-report-chart="Action Type Distribution"
+                            style={{ marginBottom: '30px' }}
+                        >
                             <h3>Action Type Distribution</h3>
                             {actionTypeCounts.length > 0 ? (
                                 <ResponsiveContainer width="95%" height={300}>
@@ -676,6 +1261,13 @@ const DataAnalyzerFile = () => {
                                             fill="#8884d8"
                                             dataKey="value"
                                             nameKey="name"
+                                            cursor="pointer"
+                                            onClick={(entry) =>
+                                                addSetFilter(
+                                                    'actions',
+                                                    entry.name
+                                                )
+                                            }
                                             label={({ name, percent }) =>
                                                 `${name}: ${(
                                                     percent * 100
@@ -699,8 +1291,7 @@ const DataAnalyzerFile = () => {
                                         <Tooltip
                                             formatter={(value, name) => [
                                                 `${value} (${(
-                                                    (value /
-                                                        parsedData.length) *
+                                                    (value / filteredCount) *
                                                     100
                                                 ).toFixed(1)}%)`,
                                                 name,
@@ -725,57 +1316,29 @@ const DataAnalyzerFile = () => {
                                 {registrationToActionDuration.average?.toFixed(
                                     1
                                 )}{' '}
-                                days, Median:{' '}
+                                {durationUnit}, Median:{' '}
                                 {registrationToActionDuration.median?.toFixed(
                                     1
                                 )}{' '}
-                                days.
+                                {durationUnit}.
                             </p>
                             {/* ... (other suggestions remain the same) ... */}
                             <ul>
-                                <li>
-                                    <strong>Lifecycle Analysis:</strong> Analyze
-                                    time between consecutive actions for the
-                                    *same* item/reference.
-                                </li>
-                                <li>
-                                    <strong>Staff vs. Action Type:</strong>{' '}
-                                    Stacked bar chart or heatmap.
-                                </li>
-                                <li>
-                                    <strong>
-                                        Workload Distribution Over Time:
-                                    </strong>{' '}
-                                    Plot actions per week/day.
-                                </li>
-                                <li>
-                                    <strong>Correlation Analysis:</strong> Staff
-                                    vs. duration (days).
-                                </li>
-                                <li>
-                                    <strong>Outlier Detection:</strong>{' '}
-                                    Investigate items with extreme durations
-                                    (days).
-                                </li>
                                 <li>
                                     <strong>Reference Frequency:</strong>{' '}
                                     Actions per unique REFERENCE.
                                 </li>
-                                <li>
-                                    <strong>Document Version Impact:</strong>{' '}
-                                    Correlate DOC_VERSION_REF with time/action.
-                                </li>
                             </ul>
                         </div>
                     </section>
-                </>
+                </div>
             )}
 
             {/* --- Initial/Empty State Prompt (ADDED SAFETY CHECK: parsedData && ...) --- */}
-            {!loading && !error && parsedData && parsedData.length === 0 && (
+            {!loading && !error && loadedFiles.length === 0 && (
                 <p>
-                    Please select a CSV file using the input above to start the
-                    analysis.
+                    Please select or drop CSV files using the input above to
+                    start the analysis.
                 </p>
             )}
         </div>
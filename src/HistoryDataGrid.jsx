@@ -0,0 +1,333 @@
+import React from 'react';
+import {
+    useReactTable,
+    getCoreRowModel,
+    flexRender,
+} from '@tanstack/react-table';
+import { format } from 'date-fns';
+import { Filter } from './TableExp';
+import { gridColumns, GRID_FILTER_FNS } from './historyGrid';
+import { useSectionQuery } from './useSectionQuery';
+import { SectionQueryStatus } from './SectionQueryStatus';
+
+const formatDate = (date) => (date ? format(date, 'yyyy-MM-dd HH:mm') : '');
+
+const formatText = ({ getValue }) => {
+    const value = getValue();
+    return value === null || value === undefined ? '' : String(value);
+};
+
+const formatDateCell = ({ getValue }) => formatDate(getValue());
+const formatAverageCell = ({ getValue }) =>
+    getValue() === undefined ? '' : `avg ${getValue().toFixed(1)}`;
+
+// Renderers of the computed columns; the others show their text (see
+// formatText)
+const COLUMN_CELLS = {
+    createdDateValid: {
+        cell: formatDateCell,
+        aggregatedCell: formatDateCell,
+    },
+    actionDateValid: {
+        cell: formatDateCell,
+        aggregatedCell: formatDateCell,
+    },
+    durationDays: { aggregatedCell: formatAverageCell },
+    durationHours: { aggregatedCell: formatAverageCell },
+};
+
+// Renders a cell of a page row from the worker (see queryGridPage)
+const renderCell = (column, { value, kind }) => {
+    const { cell, aggregatedCell } = column.columnDef;
+    const render = kind === 'aggregated' ? aggregatedCell ?? cell : cell;
+    return flexRender(render, { getValue: () => value });
+};
+
+// --- Raw data grid for the analyzed rows ---
+// The rows stay in the analysis worker, which sorts, filters, groups and
+// pages them; the table here holds the state and shows the current page.
+export const HistoryDataGrid = ({ query, headers, mapping }) => {
+    const referenceColumn = mapping?.reference || null;
+
+    const columns = React.useMemo(
+        () =>
+            gridColumns(headers).map((column) => ({
+                ...column,
+                cell: formatText,
+                ...COLUMN_CELLS[column.id],
+            })),
+        [headers]
+    );
+
+    const [sorting, setSorting] = React.useState([]);
+    const [columnFilters, setColumnFilters] = React.useState([]);
+    const [columnVisibility, setColumnVisibility] = React.useState({});
+    const [grouping, setGrouping] = React.useState([]);
+    const [expanded, setExpanded] = React.useState({});
+    const [pagination, setPagination] = React.useState({
+        pageIndex: 0,
+        pageSize: 10,
+    });
+
+    // Back to the first page, with groups collapsed, for a new analysis
+    React.useEffect(() => {
+        setPagination((old) =>
+            old.pageIndex ? { ...old, pageIndex: 0 } : old
+        );
+        setExpanded((old) => (Object.keys(old).length ? {} : old));
+    }, [query]);
+
+    // The page starts over whenever the rows it pages through change
+    const resetPage = (setter) => (updater) => {
+        setter(updater);
+        setPagination((old) => ({ ...old, pageIndex: 0 }));
+    };
+
+    const { result: page, error } = useSectionQuery(query, 'grid', {
+        sorting,
+        columnFilters,
+        grouping,
+        expanded,
+        pagination,
+    });
+
+    const table = useReactTable({
+        data: [],
+        columns,
+        state: {
+            sorting,
+            columnFilters,
+            columnVisibility,
+            grouping,
+            expanded,
+            pagination,
+        },
+        filterFns: GRID_FILTER_FNS,
+        onSortingChange: resetPage(setSorting),
+        onColumnFiltersChange: resetPage(setColumnFilters),
+        onColumnVisibilityChange: setColumnVisibility,
+        onGroupingChange: resetPage(setGrouping),
+        onExpandedChange: setExpanded,
+        onPaginationChange: setPagination,
+        getCoreRowModel: getCoreRowModel(),
+        manualSorting: true,
+        manualFiltering: true,
+        manualGrouping: true,
+        manualExpanding: true,
+        manualPagination: true,
+        pageCount: page?.pageCount ?? 0,
+    });
+
+    const visibleColumns = table.getVisibleLeafColumns();
+    const toggleExpanded = (rowId) =>
+        setExpanded((old) => ({ ...old, [rowId]: !old[rowId] }));
+
+    const isGroupedByReference =
+        referenceColumn && grouping.includes(referenceColumn);
+
+    return (
+        <section
+            style={{
+                marginBottom: '40px',
+                borderBottom: '1px solid #eee',
+                paddingBottom: '20px',
+            }}
+        >
+            <h2>Data</h2>
+            <div style={{ marginBottom: '10px' }}>
+                {referenceColumn && (
+                    <label style={{ marginRight: '15px' }}>
+                        <input
+                            type="checkbox"
+                            checked={Boolean(isGroupedByReference)}
+                            onChange={(e) => {
+                                setExpanded({});
+                                table.setGrouping(
+                                    e.target.checked ? [referenceColumn] : []
+                                );
+                            }}
+                        />{' '}
+                        Group by {referenceColumn}
+                    </label>
+                )}
+                <details style={{ display: 'inline-block' }}>
+                    <summary style={{ cursor: 'pointer' }}>
+                        Columns ({table.getVisibleLeafColumns().length}/
+                        {table.getAllLeafColumns().length})
+                    </summary>
+                    <div
+                        style={{
+                            display: 'flex',
+                            flexWrap: 'wrap',
+                            gap: '4px 15px',
+                            maxWidth: '800px',
+                        }}
+                    >
+                        {table.getAllLeafColumns().map((column) => (
+                            <label key={column.id}>
+                                <input
+                                    type="checkbox"
+                                    checked={column.getIsVisible()}
+                                    onChange={column.getToggleVisibilityHandler()}
+                                />{' '}
+                                {column.columnDef.header}
+                            </label>
+                        ))}
+                    </div>
+                </details>
+            </div>
+            {(error || !page) && <SectionQueryStatus error={error} />}
+            <div style={{ overflowX: 'auto' }}>
+                <table>
+                    <thead>
+                        {table.getHeaderGroups().map((headerGroup) => (
+                            <tr key={headerGroup.id}>
+                                {headerGroup.headers.map((header) => (
+                                    <th
+                                        key={header.id}
+                                        colSpan={header.colSpan}
+                                    >
+                                        {header.isPlaceholder ? null : (
+                                            <div>
+                                                <div
+                                                    onClick={header.column.getToggleSortingHandler()}
+                                                    style={{
+                                                        cursor: header.column.getCanSort()
+                                                            ? 'pointer'
+                                                            : 'default',
+                                                        userSelect: 'none',
+                                                    }}
+                                                >
+                                                    {flexRender(
+                                                        header.column.columnDef
+                                                            .header,
+                                                        header.getContext()
+                                                    )}
+                                                    {{
+                                                        asc: ' 🔼',
+                                                        desc: ' 🔽',
+                                                    }[
+                                                        header.column.getIsSorted()
+                                                    ] ?? null}
+                                                </div>
+                                                {header.column.getCanFilter() ? (
+                                                    <div>
+                                                        <Filter
+                                                            column={
+                                                                header.column
+                                                            }
+                                                            table={table}
+                                                        />
+                                                    </div>
+                                                ) : null}
+                                            </div>
+                                        )}
+                                    </th>
+                                ))}
+                            </tr>
+                        ))}
+                    </thead>
+                    <tbody>
+                        {page?.rows.map((row) => (
+                            <tr key={row.id}>
+                                {visibleColumns.map((column) => {
+                                    const cell = row.cells[column.id];
+                                    return (
+                                        <td
+                                            key={column.id}
+                                            style={{
+                                                background:
+                                                    cell.kind === 'grouped'
+                                                        ? '#f0f6ff'
+                                                        : cell.kind ===
+                                                          'aggregated'
+                                                        ? '#f9f9f9'
+                                                        : undefined,
+                                            }}
+                                        >
+                                            {cell.kind === 'grouped' ? (
+                                                <button
+                                                    onClick={() =>
+                                                        toggleExpanded(row.id)
+                                                    }
+                                                    style={{
+                                                        cursor: 'pointer',
+                                                    }}
+                                                >
+                                                    {row.expanded ? '👇' : '👉'}{' '}
+                                                    {renderCell(column, cell)} (
+                                                    {row.subRowCount})
+                                                </button>
+                                            ) : cell.kind ===
+                                              'placeholder' ? null : (
+                                                renderCell(column, cell)
+                                            )}
+                                        </td>
+                                    );
+                                })}
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+            <div className="h-2" />
+            <div className="flex items-center gap-2">
+                <button
+                    className="border rounded p-1"
+                    onClick={() => table.setPageIndex(0)}
+                    disabled={!table.getCanPreviousPage()}
+                >
+                    {'<<'}
+                </button>
+                <button
+                    className="border rounded p-1"
+                    onClick={() => table.previousPage()}
+                    disabled={!table.getCanPreviousPage()}
+                >
+                    {'<'}
+                </button>
+                <button
+                    className="border rounded p-1"
+                    onClick={() => table.nextPage()}
+                    disabled={!table.getCanNextPage()}
+                >
+                    {'>'}
+                </button>
+                <button
+                    className="border rounded p-1"
+                    onClick={() => table.setPageIndex(table.getPageCount() - 1)}
+                    disabled={!table.getCanNextPage()}
+                >
+                    {'>>'}
+                </button>
+                <span className="flex items-center gap-1">
+                    {' '}
+                    Page{' '}
+                    <strong>
+                        {table.getState().pagination.pageIndex + 1} of{' '}
+                        {table.getPageCount()}
+                    </strong>{' '}
+                </span>
+                <select
+                    value={table.getState().pagination.pageSize}
+                    onChange={(e) => {
+                        table.setPageSize(Number(e.target.value));
+                    }}
+                >
+                    {[10, 20, 50, 100].map((pageSize) => (
+                        <option key={pageSize} value={pageSize}>
+                            Show {pageSize}
+                        </option>
+                    ))}
+                </select>
+                <span>
+                    {' '}
+                    {page?.rowCount ?? 0} rows
+                    {isGroupedByReference &&
+                        page &&
+                        ` in ${page.groupCount} references`}
+                </span>
+            </div>
+        </section>
+    );
+};
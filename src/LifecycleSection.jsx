@@ -0,0 +1,240 @@
+import React, { useState } from 'react';
+import {
+    BarChart,
+    Bar,
+    XAxis,
+    YAxis,
+    CartesianGrid,
+    Tooltip,
+    Legend,
+    ResponsiveContainer,
+} from 'recharts';
+import { format } from 'date-fns';
+import { COLORS } from './chartColors';
+import { getRoleHeader } from './columnMapping';
+import { LIFECYCLE_SORTS } from './lifecycle';
+import { getDurationUnits } from './businessCalendar';
+import { useSectionQuery } from './useSectionQuery';
+import { SectionQueryStatus } from './SectionQueryStatus';
+
+const TIMELINE_LIMIT = 20;
+const MAX_TIMELINE_STEPS = 12;
+
+// --- Lifecycle Analysis: per-reference action timelines ---
+// Computed in the analysis worker; `query` asks it for the shown analysis.
+export const LifecycleSection = ({ query, mapping, durationSettings }) => {
+    const [sortBy, setSortBy] = useState('cycle');
+    const [selectedReference, setSelectedReference] = useState('');
+
+    const { unit, unitTitle } = getDurationUnits(durationSettings);
+    const { result, error } = useSectionQuery(
+        mapping?.reference ? query : null,
+        'lifecycle',
+        {
+            sortBy,
+            selectedReference,
+            limit: TIMELINE_LIMIT,
+            maxSteps: MAX_TIMELINE_STEPS,
+        }
+    );
+    const { count, summary, distribution, timelines, gantt, selected } =
+        result || {};
+
+    const referenceHeader = getRoleHeader(mapping, 'reference');
+
+    return (
+        <section
+            style={{
+                marginBottom: '40px',
+                borderBottom: '1px solid #eee',
+                paddingBottom: '20px',
+            }}
+        >
+            <h2>Lifecycle Analysis</h2>
+            {!mapping?.reference ? (
+                <p>
+                    Map a Reference column to analyze action timelines per
+                    reference.
+                </p>
+            ) : !result ? (
+                <SectionQueryStatus error={error} />
+            ) : !count ? (
+                <p>No references with valid action dates found.</p>
+            ) : (
+                <>
+                    <p>
+                        Actions grouped by {referenceHeader} and ordered by
+                        action date. {summary.references} references, average
+                        cycle time {summary.avgCycleDays.toFixed(1)} {unit}
+                        (median {summary.medianCycleDays.toFixed(1)} {unit}),{' '}
+                        {summary.avgSteps.toFixed(1)} steps per reference,{' '}
+                        {summary.avgGapDays.toFixed(1)} {unit} between
+                        consecutive actions on average.
+                    </p>
+
+                    <h3>Reference Timelines (Top {TIMELINE_LIMIT})</h3>
+                    <label>
+                        Order by:{' '}
+                        <select
+                            value={sortBy}
+                            onChange={(e) => setSortBy(e.target.value)}
+                        >
+                            {Object.entries(LIFECYCLE_SORTS).map(
+                                ([key, option]) => (
+                                    <option key={key} value={key}>
+                                        {option.label}
+                                    </option>
+                                )
+                            )}
+                        </select>
+                    </label>
+                    <p style={{ fontSize: '0.9em', color: '#555' }}>
+                        Each segment is the time until the next action; the
+                        first segment is the wait from creation to the first
+                        action. Click a bar for the step details.
+                    </p>
+                    <ResponsiveContainer
+                        width="95%"
+                        height={Math.max(200, gantt.rows.length * 28 + 60)}
+                    >
+                        <BarChart
+                            data={gantt.rows}
+                            layout="vertical"
+                            margin={{ top: 5, right: 30, left: 150, bottom: 5 }}
+                            onClick={(e) =>
+                                e?.activeLabel &&
+                                setSelectedReference(e.activeLabel)
+                            }
+                        >
+                            <CartesianGrid strokeDasharray="3 3" />
+                            <XAxis
+                                type="number"
+                                label={{
+                                    value: `${unitTitle} since earliest creation`,
+                                    position: 'insideBottom',
+                                    offset: -2,
+                                }}
+                            />
+                            <YAxis
+                                dataKey="reference"
+                                type="category"
+                                width={140}
+                            />
+                            <Tooltip
+                                formatter={(value, name, item) => {
+                                    const index = item.dataKey.slice(3);
+                                    return [
+                                        `${value.toFixed(1)} ${unit}`,
+                                        `${name}: ${
+                                            item.payload[`action${index}`]
+                                        }`,
+                                    ];
+                                }}
+                            />
+                            <Bar
+                                dataKey="offset"
+                                stackId="timeline"
+                                fill="transparent"
+                                legendType="none"
+                                tooltipType="none"
+                            />
+                            {Array.from(
+                                { length: gantt.segmentCount },
+                                (_, i) => (
+                                    <Bar
+                                        key={`seg${i}`}
+                                        dataKey={`seg${i}`}
+                                        stackId="timeline"
+                                        fill={COLORS[i % COLORS.length]}
+                                        name={`Step ${i + 1}`}
+                                        cursor="pointer"
+                                    />
+                                )
+                            )}
+                        </BarChart>
+                    </ResponsiveContainer>
+
+                    <h3>Step Details</h3>
+                    <select
+                        value={selectedReference}
+                        onChange={(e) => setSelectedReference(e.target.value)}
+                    >
+                        <option value="">-- select a reference --</option>
+                        {timelines.map((l) => (
+                            <option key={l.reference} value={l.reference}>
+                                {l.reference}
+                            </option>
+                        ))}
+                        {selected &&
+                            !timelines.some(
+                                (l) => l.reference === selected.reference
+                            ) && (
+                                <option value={selected.reference}>
+                                    {selected.reference}
+                                </option>
+                            )}
+                    </select>
+                    {selected && (
+                        <table
+                            style={{
+                                marginTop: '10px',
+                                borderCollapse: 'collapse',
+                            }}
+                        >
+                            <thead>
+                                <tr>
+                                    <th>#</th>
+                                    <th>Action Date</th>
+                                    <th>Action</th>
+                                    <th>Staff</th>
+                                    <th>{unitTitle} Since Previous</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {selected.steps.map((step, i) => (
+                                    <tr key={`${step.id}-${i}`}>
+                                        <td>{i + 1}</td>
+                                        <td>
+                                            {format(
+                                                step.date,
+                                                'yyyy-MM-dd HH:mm'
+                                            )}
+                                        </td>
+                                        <td>{step.action}</td>
+                                        <td>{step.staff}</td>
+                                        <td style={{ textAlign: 'right' }}>
+                                            {step.gapDays.toFixed(1)}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
+
+                    <h3>Distribution of Cycle Times</h3>
+                    <p>
+                        Time from the first creation to the last action of each
+                        reference.
+                    </p>
+                    <ResponsiveContainer width="95%" height={300}>
+                        <BarChart
+                            data={distribution}
+                            margin={{ top: 5, right: 30, left: 20, bottom: 5 }}
+                        >
+                            <CartesianGrid strokeDasharray="3 3" />
+                            <XAxis dataKey="range" />
+                            <YAxis allowDecimals={false} />
+                            <Tooltip />
+                            <Legend />
+                            <Bar
+                                dataKey="count"
+                                fill="#8884d8"
+                                name="References"
+                            />
+                        </BarChart>
+                    </ResponsiveContainer>
+                </>
+            )}
+        </section>
+    );
+};
@@ -0,0 +1,304 @@
+import React, { useState, useMemo } from 'react';
+import {
+    BarChart,
+    Bar,
+    XAxis,
+    YAxis,
+    CartesianGrid,
+    Tooltip,
+    ResponsiveContainer,
+} from 'recharts';
+import { format } from 'date-fns';
+import { getRoleValue } from './columnMapping';
+import { OUTLIER_METHODS, GROUP_BY_OPTIONS } from './outliers';
+import { getDurationUnits } from './businessCalendar';
+import { useSectionQuery } from './useSectionQuery';
+import { SectionQueryStatus } from './SectionQueryStatus';
+
+const BOX_LIMIT = 15;
+const ROW_LIST_LIMIT = 200;
+
+const formatDate = (date) => (date ? format(date, 'yyyy-MM-dd HH:mm') : '');
+
+// Whisker segments of the box plot are drawn as a centred vertical line
+const WhiskerShape = ({ x, y, width, height }) => (
+    <line
+        x1={x + width / 2}
+        x2={x + width / 2}
+        y1={y}
+        y2={y + height}
+        stroke="#555"
+        strokeWidth={2}
+    />
+);
+
+const BoxTooltip = ({ active, payload, unit }) => {
+    if (!active || !payload?.length) return null;
+    const stats = payload[0].payload;
+    return (
+        <div
+            style={{
+                background: '#fff',
+                border: '1px solid #ccc',
+                padding: '5px 10px',
+            }}
+        >
+            <strong>{stats.group}</strong> ({stats.count} rows)
+            <br />
+            Min {stats.min} / Q1 {stats.q1.toFixed(1)} / Median{' '}
+            {stats.median.toFixed(1)} / Q3 {stats.q3.toFixed(1)} / Max{' '}
+            {stats.max} {unit}
+            <br />
+            {stats.outlierCount} outside the 1.5 IQR whiskers
+        </div>
+    );
+};
+
+// --- Outlier Detection: extreme processing durations ---
+// Box statistics and flagged rows come from the analysis worker
+export const OutlierSection = ({ query, mapping, durationSettings }) => {
+    const { unit, unitTitle } = getDurationUnits(durationSettings);
+    const [method, setMethod] = useState('iqr');
+    const [groupBy, setGroupBy] = useState('all');
+    const [threshold, setThreshold] = useState(
+        OUTLIER_METHODS.iqr.defaultThreshold
+    );
+
+    const { result, error } = useSectionQuery(query, 'outliers', {
+        method,
+        groupBy,
+        threshold,
+        boxLimit: BOX_LIMIT,
+        rowLimit: ROW_LIST_LIMIT,
+    });
+    const boxes = result?.boxes;
+    const boxData = useMemo(
+        () =>
+            (boxes || []).map((stats) => ({
+                ...stats,
+                base: stats.whiskerLow,
+                lowerWhisker: stats.q1 - stats.whiskerLow,
+                lowerBox: stats.median - stats.q1,
+                upperBox: stats.q3 - stats.median,
+                upperWhisker: stats.whiskerHigh - stats.q3,
+            })),
+        [boxes]
+    );
+
+    const handleMethodChange = (value) => {
+        setMethod(value);
+        setThreshold(OUTLIER_METHODS[value].defaultThreshold);
+    };
+
+    return (
+        <section
+            style={{
+                marginBottom: '40px',
+                borderBottom: '1px solid #eee',
+                paddingBottom: '20px',
+            }}
+        >
+            <h2>Outlier Detection</h2>
+            <div style={{ marginBottom: '10px' }}>
+                <label style={{ marginRight: '15px' }}>
+                    Method:{' '}
+                    <select
+                        value={method}
+                        onChange={(e) => handleMethodChange(e.target.value)}
+                    >
+                        {Object.entries(OUTLIER_METHODS).map(
+                            ([key, option]) => (
+                                <option key={key} value={key}>
+                                    {option.label}
+                                </option>
+                            )
+                        )}
+                    </select>
+                </label>
+                <label style={{ marginRight: '15px' }}>
+                    {method === 'iqr' ? 'IQR multiplier' : '|z| above'}:{' '}
+                    <input
+                        type="number"
+                        min={0.5}
+                        step={0.5}
+                        value={threshold}
+                        onChange={(e) =>
+                            setThreshold(Number(e.target.value) || 0)
+                        }
+                        style={{ width: '60px' }}
+                    />
+                </label>
+                <label>
+                    Bounds:{' '}
+                    <select
+                        value={groupBy}
+                        onChange={(e) => setGroupBy(e.target.value)}
+                    >
+                        {Object.entries(GROUP_BY_OPTIONS)
+                            .filter(([key]) => key === 'all' || mapping?.[key])
+                            .map(([key, label]) => (
+                                <option key={key} value={key}>
+                                    {label}
+                                </option>
+                            ))}
+                    </select>
+                </label>
+            </div>
+
+            {!result ? (
+                <SectionQueryStatus error={error} />
+            ) : (
+                <>
+                    <h3>Duration Box Plot ({unitTitle})</h3>
+                    {boxData.length > 0 ? (
+                        <ResponsiveContainer width="95%" height={300}>
+                            <BarChart
+                                data={boxData}
+                                margin={{
+                                    top: 5,
+                                    right: 30,
+                                    left: 20,
+                                    bottom: 5,
+                                }}
+                            >
+                                <CartesianGrid strokeDasharray="3 3" />
+                                <XAxis dataKey="group" />
+                                <YAxis />
+                                <Tooltip content={<BoxTooltip unit={unit} />} />
+                                <Bar
+                                    dataKey="base"
+                                    stackId="box"
+                                    fill="transparent"
+                                />
+                                <Bar
+                                    dataKey="lowerWhisker"
+                                    stackId="box"
+                                    shape={<WhiskerShape />}
+                                />
+                                <Bar
+                                    dataKey="lowerBox"
+                                    stackId="box"
+                                    fill="#8884d8"
+                                    stroke="#555"
+                                />
+                                <Bar
+                                    dataKey="upperBox"
+                                    stackId="box"
+                                    fill="#82ca9d"
+                                    stroke="#555"
+                                />
+                                <Bar
+                                    dataKey="upperWhisker"
+                                    stackId="box"
+                                    shape={<WhiskerShape />}
+                                />
+                            </BarChart>
+                        </ResponsiveContainer>
+                    ) : (
+                        <p>No valid duration data found.</p>
+                    )}
+
+                    <h3>Flagged Rows ({result.flaggedCount})</h3>
+                    {result.flaggedCount > 0 ? (
+                        <>
+                            <table style={{ borderCollapse: 'collapse' }}>
+                                <thead>
+                                    <tr>
+                                        <th>ID</th>
+                                        <th>Reference</th>
+                                        <th>Staff</th>
+                                        <th>Created</th>
+                                        <th>Action Date</th>
+                                        <th>Duration ({unitTitle})</th>
+                                        {groupBy !== 'all' && <th>Group</th>}
+                                        <th>
+                                            {method === 'iqr'
+                                                ? 'IQRs Beyond'
+                                                : 'Z'}
+                                        </th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {result.flagged.map(
+                                        (
+                                            { row, group, score, direction },
+                                            i
+                                        ) => (
+                                            <tr
+                                                key={i}
+                                                style={{
+                                                    color:
+                                                        direction === 'high'
+                                                            ? '#db2828'
+                                                            : '#2185d0',
+                                                }}
+                                            >
+                                                <td>
+                                                    {getRoleValue(
+                                                        row,
+                                                        mapping,
+                                                        'id'
+                                                    )}
+                                                </td>
+                                                <td>
+                                                    {getRoleValue(
+                                                        row,
+                                                        mapping,
+                                                        'reference'
+                                                    )}
+                                                </td>
+                                                <td>
+                                                    {getRoleValue(
+                                                        row,
+                                                        mapping,
+                                                        'staff'
+                                                    )}
+                                                </td>
+                                                <td>
+                                                    {formatDate(
+                                                        row.createdDateValid
+                                                    )}
+                                                </td>
+                                                <td>
+                                                    {formatDate(
+                                                        row.actionDateValid
+                                                    )}
+                                                </td>
+                                                <td
+                                                    style={{
+                                                        textAlign: 'right',
+                                                    }}
+                                                >
+                                                    {row.durationDays}
+                                                </td>
+                                                {groupBy !== 'all' && (
+                                                    <td>{group}</td>
+                                                )}
+                                                <td
+                                                    style={{
+                                                        textAlign: 'right',
+                                                    }}
+                                                >
+                                                    {Number.isFinite(score)
+                                                        ? score.toFixed(2)
+                                                        : '∞'}
+                                                </td>
+                                            </tr>
+                                        )
+                                    )}
+                                </tbody>
+                            </table>
+                            {result.flaggedCount > ROW_LIST_LIMIT && (
+                                <p style={{ fontSize: '0.9em', color: '#555' }}>
+                                    Showing the first {ROW_LIST_LIMIT} rows.
+                                </p>
+                            )}
+                        </>
+                    ) : (
+                        <p>No outliers found with the current settings.</p>
+                    )}
+                </>
+            )}
+        </section>
+    );
+};
@@ -1,313 +1,195 @@
-import React, { useState, useEffect } from 'react';
-
-// --- Helper Function: XML String to JSON Object (Browser DOMParser) ---
-// (Adapted from previous examples)
-function xmlStringToJsonBrowser(xmlString) {
-    // ... (Keep the full xmlStringToJsonBrowser function from the previous 'React - Browser' example)
-    // ... (It should handle parsing, attributes, children, text, repeated tags, errors)
-    // ... (Ensure it returns { error: "message" } on failure, and the parsed object on success)
-
-    // --- [PASTE THE FULL xmlStringToJsonBrowser function HERE] ---
-    // --- [Make sure it handles the specific Atom feed structure correctly] ---
-    // --- [Including attributes starting with @ and text with #text] ---
-
-    // Example structure of the xmlStringToJsonBrowser function (ensure yours is complete):
-    try {
-        if (!xmlString || typeof xmlString !== 'string') {
-            return { error: 'Invalid or empty XML input.' };
-        }
-        const parser = new DOMParser();
-        const xmlDoc = parser.parseFromString(
-            xmlString.trim(),
-            'application/xml'
-        );
-        const parserError = xmlDoc.querySelector('parsererror');
-        if (parserError) {
-            console.error('XML Parsing Error:', parserError.textContent);
-            let errorMessage = 'Invalid XML format.';
-            const details = parserError.textContent.match(
-                /error on line \d+ at column \d+: (.*)/
-            );
-            if (details && details[1]) {
-                errorMessage += ` Details: ${details[1]}`;
-            }
-            return { error: errorMessage };
-        }
-        if (
-            !xmlDoc.documentElement ||
-            xmlDoc.documentElement.nodeName === 'parsererror'
-        ) {
-            return {
-                error: 'XML structure seems invalid (check root element).',
-            };
-        }
-
-        function parseNode(node) {
-            const result = {};
-            // 1. Attributes
-            if (node.attributes && node.attributes.length > 0) {
-                /* ... add @attributes */
-                for (let i = 0; i < node.attributes.length; i++) {
-                    const attribute = node.attributes[i];
-                    result[`@${attribute.nodeName}`] = attribute.nodeValue;
-                }
-            }
-            // 2. Children (Elements & Text)
-            let textContent = '';
-            const children = {};
-            if (node.childNodes && node.childNodes.length > 0) {
-                /* ... handle children & text */
-                for (let i = 0; i < node.childNodes.length; i++) {
-                    const child = node.childNodes[i];
-                    if (child.nodeType === 1) {
-                        // Element
-                        const childNodeName = child.nodeName;
-                        const childJson = parseNode(child);
-                        if (children[childNodeName] === undefined) {
-                            children[childNodeName] = childJson;
-                        } else {
-                            if (!Array.isArray(children[childNodeName])) {
-                                children[childNodeName] = [
-                                    children[childNodeName],
-                                ];
-                            }
-                            children[childNodeName].push(childJson);
-                        }
-                    } else if (child.nodeType === 3) {
-                        // Text
-                        const trimmedText = child.nodeValue.trim();
-                        if (trimmedText) {
-                            textContent +=
-                                (textContent ? ' ' : '') + trimmedText;
-                        }
-                    }
-                }
-            }
-            Object.assign(result, children);
-            // 3. Text Handling
-            const hasAttributes = Object.keys(result).some((k) =>
-                k.startsWith('@')
-            );
-            const hasElementChildren = Object.keys(result).some(
-                (k) => !k.startsWith('@')
-            );
-            if (textContent) {
-                if (hasAttributes || hasElementChildren) {
-                    result['#text'] = textContent;
-                } else {
-                    return textContent;
-                }
-            } else if (!hasAttributes && !hasElementChildren) {
-                // Check if truly empty vs containing only whitespace nodes
-                let trulyEmpty = true;
-                if (node.childNodes && node.childNodes.length > 0) {
-                    for (let i = 0; i < node.childNodes.length; i++) {
-                        if (
-                            node.childNodes[i].nodeType === 1 ||
-                            (node.childNodes[i].nodeType === 3 &&
-                                node.childNodes[i].nodeValue.trim())
-                        ) {
-                            trulyEmpty = false;
-                            break;
-                        }
-                    }
-                }
-                if (trulyEmpty) return null;
-            }
-            return result;
-        }
-
-        const rootElement = xmlDoc.documentElement;
-        const rootNodeName = rootElement.nodeName;
-        const rootJson = parseNode(rootElement);
-        const finalJson = {};
-        finalJson[rootNodeName] = rootJson;
-        return finalJson; // Success
-    } catch (error) {
-        console.error('Error converting XML to JSON (DOMParser):', error);
-        return { error: `Unexpected error during parsing: ${error.message}` };
-    }
-} // --- End of xmlStringToJsonBrowser ---
-
-// --- Helper Function: Safely get field value ---
-function getFieldValue(fieldObject) {
-    // ... (Keep the getFieldValue function from the previous example)
-    // ... (Handles direct value, {#text}, and {"@m:null": "true"})
-
-    // --- [PASTE THE getFieldValue function HERE] ---
-    if (fieldObject == null) return null;
-    if (
-        typeof fieldObject === 'object' &&
-        fieldObject !== null &&
-        fieldObject['@m:null'] === 'true'
-    )
-        return null;
-    if (
-        typeof fieldObject === 'object' &&
-        fieldObject !== null &&
-        '#text' in fieldObject
-    ) {
-        return fieldObject['#text'];
-    }
-    return fieldObject;
-} // --- End of getFieldValue ---
-
-// --- Helper Function: Extract plain text from an HTML string ---
-function extractTextFromHtml(htmlString) {
-    // ... (Keep the extractTextFromHtml function from the previous example)
-
-    // --- [PASTE THE extractTextFromHtml function HERE] ---
-    if (!htmlString || typeof htmlString !== 'string') {
-        return '';
-    }
-    try {
-        const parser = new DOMParser();
-        const doc = parser.parseFromString(htmlString, 'text/html');
-        return doc.body.textContent || '';
-    } catch (e) {
-        console.error('Error parsing HTML string:', e);
-        return htmlString;
-    }
-} // --- End of extractTextFromHtml ---
+import React, { useState, useMemo } from 'react';
+import {
+    discoverFields,
+    extractEntries,
+    loadCurrentProfile,
+    saveCurrentProfile,
+} from './feedFields';
+import { ExtractionProfileEditor } from './ExtractionProfileEditor';
+import { FeedEntriesTable } from './FeedEntriesTable';
+import { parseFeed, readFeedFile, mergeFeeds } from './feedLoader';
+
+const PASTED_SOURCE = 'Pasted XML';
 
 export const Parse = () => {
-    const [xmlInput, setXmlInput] = useState(xmlData);
-    const [processedEntries, setProcessedEntries] = useState([]);
-    const [error, setError] = useState('');
+    const [xmlInput, setXmlInput] = useState('');
+    // Feed files loaded so far: [{name, entries, error}]
+    const [feedFiles, setFeedFiles] = useState([]);
+    const [profile, setProfile] = useState(loadCurrentProfile);
     const [loading, setLoading] = useState(false);
+    const [dragActive, setDragActive] = useState(false);
 
-    // Effect to parse XML and process the result
-    useEffect(() => {
-        // ... (Keep the entire useEffect logic from the previous step) ...
-        // ... (It parses XML, processes entries, sets processedEntries, error, loading) ...
+    // The pasted XML is one more source, after the files
+    const pasted = useMemo(
+        () => (xmlInput.trim() ? parseFeed(xmlInput, PASTED_SOURCE) : null),
+        [xmlInput]
+    );
+    const { entries: feedEntries, duplicatesBySource } = useMemo(
+        () => mergeFeeds(pasted ? [...feedFiles, pasted] : feedFiles),
+        [feedFiles, pasted]
+    );
 
-        // --- [PASTE THE useEffect LOGIC HERE] ---
-        if (!xmlInput.trim()) {
-            setError('');
-            setProcessedEntries([]);
-            setLoading(false);
-            return;
-        }
-        setLoading(true);
-        setError('');
-        setProcessedEntries([]);
-        const parsedResult = xmlStringToJsonBrowser(xmlInput);
-        if (parsedResult && parsedResult.error) {
-            console.error('XML Parsing Error:', parsedResult.error);
-            setError(`XML Parsing Error: ${parsedResult.error}`);
-            setLoading(false);
-            return;
-        }
+    // Fields found in the feed, and the entries extracted with the profile
+    const fields = useMemo(() => discoverFields(feedEntries), [feedEntries]);
+    const { processedEntries, processingError } = useMemo(() => {
         try {
-            const entries = parsedResult?.feed?.entry;
-            if (!entries) {
-                setError(
-                    "Parsed data format invalid: Missing 'feed' or 'feed.entry'. Check XML structure."
-                );
-                setLoading(false);
-                return;
-            }
-            const entriesArray = Array.isArray(entries) ? entries : [entries];
-            const extractedData = entriesArray
-                .map((entry) => {
-                    if (!entry || typeof entry !== 'object') {
-                        console.warn(
-                            'Skipping invalid entry structure:',
-                            entry
-                        );
-                        return null;
-                    }
-                    const props = entry?.content?.['m:properties'];
-                    if (!props) {
-                        console.warn(
-                            'Skipping entry due to missing content properties:',
-                            entry?.id
-                        );
-                        return null;
-                    }
-                    const identifikuokiteRaw = getFieldValue(
-                        props['d:Identifikuokite_x0020_perteklini']
-                    );
-                    const pateikiteRaw = getFieldValue(
-                        props['d:Pateikite_x0020_pasi_x016b_lymus']
-                    );
-                    const pasidalinkiteRaw = getFieldValue(
-                        props['d:Pasidalinkite_x0020_id_x0117_jom']
-                    );
-                    return {
-                        id: getFieldValue(props['d:ID']),
-                        identifiedIssue:
-                            extractTextFromHtml(identifikuokiteRaw),
-                        suggestions: extractTextFromHtml(pateikiteRaw),
-                        sharedIdeas: extractTextFromHtml(pasidalinkiteRaw),
-                        modified: getFieldValue(props['d:Modified']),
-                        created: getFieldValue(props['d:Created']),
-                        sharepointId:
-                            typeof entry.id === 'string'
-                                ? entry.id
-                                : getFieldValue(entry.id),
-                    };
-                })
-                .filter((item) => item !== null);
-            setProcessedEntries(extractedData);
-        } catch (processingError) {
-            console.error(
-                'Error processing parsed JSON data:',
-                processingError
-            );
-            setError(
-                `Failed to process data after parsing: ${processingError.message}`
-            );
-            setProcessedEntries([]);
-        } finally {
-            setLoading(false);
+            return {
+                processedEntries: extractEntries(feedEntries, profile, fields),
+                processingError: '',
+            };
+        } catch (err) {
+            console.error('Error processing parsed JSON data:', err);
+            return {
+                processedEntries: [],
+                processingError: `Failed to process data after parsing: ${err.message}`,
+            };
         }
-    }, [xmlInput]);
+    }, [feedEntries, profile, fields]);
+    // Problems of single files are shown in the file list
+    const error = [pasted?.error, processingError].filter(Boolean).join('\n');
+    const hasInput = feedFiles.length > 0 || Boolean(xmlInput.trim());
+    const columns = useMemo(
+        () => profile.fields.map((field) => field.column),
+        [profile]
+    );
+
+    const handleProfileChange = (next) => {
+        setProfile(next);
+        saveCurrentProfile(next);
+    };
 
     const handleXmlChange = (event) => {
         setXmlInput(event.target.value);
     };
 
-    // --- Function to handle saving the JSON data ---
-    const handleSaveJson = () => {
-        if (processedEntries.length === 0 || loading || error) {
-            console.log('No valid data to save or currently loading/error.');
-            return; // Don't save if there's no data, loading, or an error
+    // Files are read one after another; a file with the same name as an
+    // already loaded one replaces it
+    const handleFiles = async (fileList) => {
+        const selected = Array.from(fileList || []);
+        if (!selected.length) return;
+        setLoading(true);
+        const loaded = [];
+        for (const file of selected) {
+            loaded.push(await readFeedFile(file));
         }
+        const names = loaded.map((file) => file.name);
+        setFeedFiles((old) => [
+            ...old.filter((file) => !names.includes(file.name)),
+            ...loaded,
+        ]);
+        setLoading(false);
+    };
 
-        // 1. Convert processed data to pretty-printed JSON string
-        const jsonString = JSON.stringify(processedEntries, null, 2);
-
-        // 2. Create a Blob
-        const blob = new Blob([jsonString], { type: 'application/json' });
-
-        // 3. Create an object URL
-        const url = URL.createObjectURL(blob);
-
-        // 4. Create a temporary link element
-        const link = document.createElement('a');
-
-        // 5. Set link properties
-        link.href = url;
-        link.download = 'processed_feed_entries.json'; // Filename for download
-
-        // 6. Append link to body (required for Firefox)
-        document.body.appendChild(link);
+    const handleFileChange = (event) => {
+        handleFiles(event.target.files);
+        event.target.value = null;
+    };
 
-        // 7. Programmatically click the link
-        link.click();
+    const handleDragOver = (event) => {
+        event.preventDefault();
+        if (!loading) setDragActive(true);
+    };
 
-        // 8. Clean up: Remove link and revoke object URL
-        document.body.removeChild(link);
-        URL.revokeObjectURL(url);
+    const handleDrop = (event) => {
+        event.preventDefault();
+        setDragActive(false);
+        if (!loading) handleFiles(event.dataTransfer.files);
     };
 
-    // --- Rendering Logic ---
-    const canSave = !loading && !error && processedEntries.length > 0;
+    const handleRemoveFile = (name) =>
+        setFeedFiles((old) => old.filter((file) => file.name !== name));
 
     return (
         <div>
             <h2>XML Feed Parser and Processor (React)</h2>
+            <div
+                onDragOver={handleDragOver}
+                onDragLeave={() => setDragActive(false)}
+                onDrop={handleDrop}
+                style={{
+                    marginBottom: '10px',
+                    padding: '10px',
+                    border: dragActive
+                        ? '2px dashed #2185d0'
+                        : '2px dashed #ccc',
+                    background: dragActive ? '#f0f6ff' : 'transparent',
+                }}
+            >
+                <label htmlFor="xmlFileInput">
+                    Load feed exports (.xml), or drop them here:{' '}
+                </label>
+                <input
+                    id="xmlFileInput"
+                    type="file"
+                    accept=".xml,application/xml,text/xml"
+                    multiple
+                    onChange={handleFileChange}
+                    disabled={loading}
+                />
+                {feedFiles.length > 0 && (
+                    <button
+                        onClick={() => setFeedFiles([])}
+                        disabled={loading}
+                        style={{ marginLeft: '10px' }}
+                    >
+                        Clear Files
+                    </button>
+                )}
+            </div>
+
+            {(feedFiles.length > 0 || pasted) && (
+                <table
+                    style={{
+                        borderCollapse: 'collapse',
+                        marginBottom: '10px',
+                        fontSize: '0.9em',
+                    }}
+                >
+                    <thead>
+                        <tr>
+                            <th>Source</th>
+                            <th>Entries</th>
+                            <th>Duplicate IDs Skipped</th>
+                            <th>Problems</th>
+                            <th />
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {[...feedFiles, ...(pasted ? [pasted] : [])].map(
+                            (source) => (
+                                <tr key={source.name}>
+                                    <td>{source.name}</td>
+                                    <td style={{ textAlign: 'right' }}>
+                                        {source.entries.length}
+                                    </td>
+                                    <td style={{ textAlign: 'right' }}>
+                                        {duplicatesBySource[source.name] || 0}
+                                    </td>
+                                    <td style={{ color: 'red' }}>
+                                        {source.error || ''}
+                                    </td>
+                                    <td>
+                                        {source !== pasted && (
+                                            <button
+                                                onClick={() =>
+                                                    handleRemoveFile(
+                                                        source.name
+                                                    )
+                                                }
+                                                disabled={loading}
+                                                title="Remove this file"
+                                            >
+                                                ✕
+                                            </button>
+                                        )}
+                                    </td>
+                                </tr>
+                            )
+                        )}
+                    </tbody>
+                </table>
+            )}
+
             <div>
                 <label htmlFor="xmlTextArea">Enter Atom Feed XML:</label>
                 <br />
@@ -322,13 +204,21 @@ export const Parse = () => {
                         border: '1px solid #ccc',
                         width: '95%',
                     }}
-                    placeholder="Paste Atom Feed XML here..."
+                    placeholder="Paste Atom Feed XML here, or load .xml files above..."
                 />
             </div>
 
+            {fields.length > 0 && (
+                <ExtractionProfileEditor
+                    fields={fields}
+                    profile={profile}
+                    onChange={handleProfileChange}
+                />
+            )}
+
             {loading && (
                 <div style={{ margin: '10px 0', fontWeight: 'bold' }}>
-                    Processing...
+                    Reading files...
                 </div>
             )}
 
@@ -351,113 +241,29 @@ export const Parse = () => {
             {!loading &&
                 !error &&
                 processedEntries.length === 0 &&
-                xmlInput.trim() && (
+                hasInput && (
                     <div style={{ marginTop: '10px', fontStyle: 'italic' }}>
                         No valid entries found or processed from the provided
                         XML.
                     </div>
                 )}
-            {!loading &&
-                !error &&
-                processedEntries.length === 0 &&
-                !xmlInput.trim() && (
-                    <div style={{ marginTop: '10px', fontStyle: 'italic' }}>
-                        Enter XML above to see processed entries.
-                    </div>
-                )}
+            {!loading && !error && !hasInput && (
+                <div style={{ marginTop: '10px', fontStyle: 'italic' }}>
+                    Load .xml files or enter XML above to see processed entries.
+                </div>
+            )}
 
             {/* Processed Data Display */}
-            {!loading && !error && processedEntries.length > 0 && (
+            {/* Entries of the valid sources are shown even if one failed */}
+            {!loading && processedEntries.length > 0 && (
                 <div style={{ marginTop: '15px' }}>
-                    <div
-                        style={{
-                            display: 'flex',
-                            justifyContent: 'space-between',
-                            alignItems: 'center',
-                            marginBottom: '10px',
-                        }}
-                    >
-                        <h3>
-                            Processed Feed Entries ({processedEntries.length}):
-                        </h3>
-                        {/* --- SAVE BUTTON --- */}
-                        <button onClick={handleSaveJson} disabled={!canSave}>
-                            Save Processed JSON
-                        </button>
-                    </div>
-                    <ul style={{ listStyle: 'none', padding: 0 }}>
-                        {' '}
-                        {/* List rendering */}
-                        {processedEntries.map((item, index) => (
-                            <li
-                                key={item.id || item.sharepointId || index}
-                                style={{
-                                    border: '1px solid #eee',
-                                    borderRadius: '4px',
-                                    marginBottom: '15px',
-                                    padding: '10px 15px',
-                                    background: '#f9f9f9',
-                                }}
-                            >
-                                <h4>Entry ID: {item.id || 'N/A'}</h4>
-                                {item.identifiedIssue && (
-                                    <p>
-                                        <strong>Identified Issue:</strong>{' '}
-                                        {item.identifiedIssue}
-                                    </p>
-                                )}
-                                {item.suggestions && (
-                                    <p>
-                                        <strong>Suggestions:</strong>{' '}
-                                        {item.suggestions}
-                                    </p>
-                                )}
-                                {item.sharedIdeas && (
-                                    <p>
-                                        <strong>Shared Ideas:</strong>{' '}
-                                        {item.sharedIdeas}
-                                    </p>
-                                )}
-                                <p
-                                    style={{
-                                        fontSize: '0.9em',
-                                        color: '#555',
-                                        marginTop: '10px',
-                                    }}
-                                >
-                                    Created:{' '}
-                                    {item.created
-                                        ? new Date(
-                                              item.created
-                                          ).toLocaleString()
-                                        : 'N/A'}{' '}
-                                    | Modified:{' '}
-                                    {item.modified
-                                        ? new Date(
-                                              item.modified
-                                          ).toLocaleString()
-                                        : 'N/A'}
-                                </p>
-                            </li>
-                        ))}
-                    </ul>
+                    <h3>Processed Feed Entries ({processedEntries.length}):</h3>
+                    <FeedEntriesTable
+                        entries={processedEntries}
+                        columns={columns}
+                    />
                 </div>
             )}
         </div>
     );
 };
-const xmlData = `
-    <?xml version="1.0" encoding="utf-8"?><feed xml:base="http://vidinis/naujienos/_api/" xmlns="http://www.w3.org/2005/Atom" xmlns:d="http://schemas.microsoft.com/ado/2007/08/dataservices" xmlns:m="http://schemas.microsoft.com/ado/2007/08/dataservices/metadata" xmlns:georss="http://www.georss.org/georss" xmlns:gml="http://www.opengis.net/gml"><id>1734afc7-4432-4d86-a287-e5b079b17820</id><title /><updated>2025-04-18T11:17:33Z</updated><entry m:etag="&quot;1&quot;"><id>Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(1)</id><category term="SP.Data.Kaip_x0020_nedaryti_x0020_verts_x0020_nekuriani_x0020_darbListItem" scheme="http://schemas.microsoft.com/ado/2007/08/dataservices/scheme" /><link rel="edit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(1)" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FirstUniqueAncestorSecurableObject" type="application/atom+xml;type=entry" title="FirstUniqueAncestorSecurableObject" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(1)/FirstUniqueAncestorSecurableObject" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/RoleAssignments" type="application/atom+xml;type=feed" title="RoleAssignments" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(1)/RoleAssignments" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/AttachmentFiles" type="application/atom+xml;type=feed" title="AttachmentFiles" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(1)/AttachmentFiles" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ContentType" type="application/atom+xml;type=entry" title="ContentType" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(1)/ContentType" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsHtml" type="application/atom+xml;type=entry" title="FieldValuesAsHtml" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(1)/FieldValuesAsHtml" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsText" type="application/atom+xml;type=entry" title="FieldValuesAsText" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(1)/FieldValuesAsText" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesForEdit" type="application/atom+xml;type=entry" title="FieldValuesForEdit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(1)/FieldValuesForEdit" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/File" type="application/atom+xml;type=entry" title="File" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(1)/File" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/Folder" type="application/atom+xml;type=entry" title="Folder" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(1)/Folder" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ParentList" type="application/atom+xml;type=entry" title="ParentList" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(1)/ParentList" /><title /><updated>2025-04-18T11:17:33Z</updated><author><name /></author><content type="application/xml"><m:properties><d:FileSystemObjectType m:type="Edm.Int32">0</d:FileSystemObjectType><d:Id m:type="Edm.Int32">1</d:Id><d:ContentTypeId>0x00171F379CCADF464EB719C824E7B24FEB</d:ContentTypeId><d:Identifikuokite_x0020_perteklini>&lt;div class="ExternalClass4DE10B2E90FA4848A140AAE70339DC79"&gt;&lt;p&gt;​ghfhg&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Identifikuokite_x0020_perteklini><d:Pateikite_x0020_pasi_x016b_lymus>&lt;div class="ExternalClass9573198C2C764EFE972F4033EC9FD26C"&gt;&lt;p&gt;​hgjh&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pateikite_x0020_pasi_x016b_lymus><d:Pasidalinkite_x0020_id_x0117_jom>&lt;div class="ExternalClassA2A93EF6701246AEAE669FCB8A0465B0"&gt;&lt;p&gt;​hjhjkhj&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pasidalinkite_x0020_id_x0117_jom><d:ID m:type="Edm.Int32">1</d:ID><d:Modified m:type="Edm.DateTime">2025-04-10T09:12:23Z</d:Modified><d:Created m:type="Edm.DateTime">2025-04-10T09:12:23Z</d:Created><d:AuthorId m:type="Edm.Int32">0</d:AuthorId><d:EditorId m:type="Edm.Int32">0</d:EditorId><d:OData__UIVersionString>1.0</d:OData__UIVersionString></m:properties></content></entry><entry m:etag="&quot;1&quot;"><id>Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(2)</id><category term="SP.Data.Kaip_x0020_nedaryti_x0020_verts_x0020_nekuriani_x0020_darbListItem" scheme="http://schemas.microsoft.com/ado/2007/08/dataservices/scheme" /><link rel="edit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(2)" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FirstUniqueAncestorSecurableObject" type="application/atom+xml;type=entry" title="FirstUniqueAncestorSecurableObject" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(2)/FirstUniqueAncestorSecurableObject" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/RoleAssignments" type="application/atom+xml;type=feed" title="RoleAssignments" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(2)/RoleAssignments" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/AttachmentFiles" type="application/atom+xml;type=feed" title="AttachmentFiles" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(2)/AttachmentFiles" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ContentType" type="application/atom+xml;type=entry" title="ContentType" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(2)/ContentType" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsHtml" type="application/atom+xml;type=entry" title="FieldValuesAsHtml" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(2)/FieldValuesAsHtml" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsText" type="application/atom+xml;type=entry" title="FieldValuesAsText" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(2)/FieldValuesAsText" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesForEdit" type="application/atom+xml;type=entry" title="FieldValuesForEdit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(2)/FieldValuesForEdit" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/File" type="application/atom+xml;type=entry" title="File" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(2)/File" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/Folder" type="application/atom+xml;type=entry" title="Folder" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(2)/Folder" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ParentList" type="application/atom+xml;type=entry" title="ParentList" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(2)/ParentList" /><title /><updated>2025-04-18T11:17:33Z</updated><author><name /></author><content type="application/xml"><m:properties><d:FileSystemObjectType m:type="Edm.Int32">0</d:FileSystemObjectType><d:Id m:type="Edm.Int32">2</d:Id><d:ContentTypeId>0x00171F379CCADF464EB719C824E7B24FEB</d:ContentTypeId><d:Identifikuokite_x0020_perteklini>&lt;div class="ExternalClassC222712112BB4C1D907746372E50C285"&gt;&lt;p&gt;​arnelyzas&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Identifikuokite_x0020_perteklini><d:Pateikite_x0020_pasi_x016b_lymus>&lt;div class="ExternalClassDE56E15CA72B4F99B69F413FA7F8C0D4"&gt;&lt;p&gt;​agnelyze&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pateikite_x0020_pasi_x016b_lymus><d:Pasidalinkite_x0020_id_x0117_jom m:null="true" /><d:ID m:type="Edm.Int32">2</d:ID><d:Modified m:type="Edm.DateTime">2025-04-10T09:16:58Z</d:Modified><d:Created m:type="Edm.DateTime">2025-04-10T09:16:58Z</d:Created><d:AuthorId m:type="Edm.Int32">0</d:AuthorId><d:EditorId m:type="Edm.Int32">0</d:EditorId><d:OData__UIVersionString>1.0</d:OData__UIVersionString></m:properties></content></entry><entry m:etag="&quot;1&quot;"><id>Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(3)</id><category term="SP.Data.Kaip_x0020_nedaryti_x0020_verts_x0020_nekuriani_x0020_darbListItem" scheme="http://schemas.microsoft.com/ado/2007/08/dataservices/scheme" /><link rel="edit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(3)" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FirstUniqueAncestorSecurableObject" type="application/atom+xml;type=entry" title="FirstUniqueAncestorSecurableObject" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(3)/FirstUniqueAncestorSecurableObject" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/RoleAssignments" type="application/atom+xml;type=feed" title="RoleAssignments" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(3)/RoleAssignments" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/AttachmentFiles" type="application/atom+xml;type=feed" title="AttachmentFiles" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(3)/AttachmentFiles" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ContentType" type="application/atom+xml;type=entry" title="ContentType" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(3)/ContentType" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsHtml" type="application/atom+xml;type=entry" title="FieldValuesAsHtml" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(3)/FieldValuesAsHtml" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsText" type="application/atom+xml;type=entry" title="FieldValuesAsText" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(3)/FieldValuesAsText" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesForEdit" type="application/atom+xml;type=entry" title="FieldValuesForEdit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(3)/FieldValuesForEdit" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/File" type="application/atom+xml;type=entry" title="File" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(3)/File" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/Folder" type="application/atom+xml;type=entry" title="Folder" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(3)/Folder" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ParentList" type="application/atom+xml;type=entry" title="ParentList" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(3)/ParentList" /><title /><updated>2025-04-18T11:17:33Z</updated><author><name /></author><content type="application/xml"><m:properties><d:FileSystemObjectType m:type="Edm.Int32">0</d:FileSystemObjectType><d:Id m:type="Edm.Int32">3</d:Id><d:ContentTypeId>0x00171F379CCADF464EB719C824E7B24FEB</d:ContentTypeId><d:Identifikuokite_x0020_perteklini>&lt;div class="ExternalClass03C85D09DE354452ACA8526523808D38"&gt;&lt;p&gt;​Asmens bylų administravimas, tai dvigubas darbas, nes ta pati infromacija dubliuojasi tiek Pervis sitemoje, tiek fizinėje asmens byloje. Tą pačią informaciją reikia ir suvesti į Pervis sistemą ir fiziškai įsegti į asmens bylą ir tai užima labai daug beprasmiško laiko.&amp;#160;Siųlymas-persvarstyti asmens bylų administravimo tvarką ir gal būt supaprastinti ją, kaip pvz.&amp;#58; fizinėje byloje lieka tik iš Pervis sistemos ištraukti duomenų lapai, kurie vis atnaujinami kas kažurį laiką.&amp;#160;&lt;br&gt;&lt;/p&gt;&lt;p&gt;Panaši sutuacija ir su&amp;#160;NPPKT karių bylomis, jos absurdiškai niekinės, nes jose yra tik du svrabūs dokumentai&amp;#58; priesaika ir tarnybos vertinimo lapas. Nors aktualūs dokumentai tik du lapai, pagal galiojančias&amp;#160;tvarkas, vis tiek turi būti sudaroma pilnavertė, fizinė&amp;#160;byla (kartoninis aplankalas su iš Pervis sistemos ištrauktais lapais, nors jie visiškai tušti).Siųlymas&amp;#58; išvis neformuoti NPPKT karių fizinės bylos, saugoti tik tuos du svarbius dokumentus, taip išvengiant daug beprasmiško tuščių lapų spausdinimo.&lt;br&gt;&lt;/p&gt;&lt;p&gt;Asmens bylų perdavimas. Šiuo metu asmens bylų perdavimui yra tebenaudojami fiziniai lapai, kuriuos pridedame išsiunčiant asmens bylą. Pridedame du egzempliroius perdavimo akto, nes gavus bylą kitas vienetas užpildo jiems skirtas eilutes ant abiejų egzempliorių ir vieną išsiunčia atgal iš kur byla atkeliavo. Siųlymas&amp;#58; asmens bylų&amp;#160;perdavimo aktus perkelti į avilį, taip būtų išvengta daug spausdinimo, lapų pasimetimo, ieškojimo grįžo ar ne vienas perdavimo akto egzempliorius ir taip pat&amp;#160; susitaupytų daug lėšų, kurias naudojam pašto paslaugoms. Nelikus popierinių asmens bylų perdavimo aktų sumažėtų archyvuojamų dokumentų skaičius, labai supaprastėtų darbas nes neliktų&amp;#160;painiavos jeigu kitas vienetas nebegražina vieno iš perdavimo akto&amp;#160;egzempliorių.&lt;/p&gt;&lt;p&gt;Asmens bylų perdavimo tvarka reikalauka suskaičiuoti suarchyvuotos asmens bylos lapus ir&amp;#160;&amp;#160;tą numeraciją parašyti pieštuku ant kiekvieno lapo,&amp;#160; tai atima labai daug laiko ir yra absoliučiai beprasmiškas darbas ir stabdo visą asmens bylų perdavimo procesą. Siųlymas&amp;#58; pakoreaguoti asmens bylų perdavimo tvarkos aprašą.&lt;br&gt;&lt;/p&gt;&lt;p&gt;Nuomos išlaidų kompensavimo tvarka&amp;#58; joje nurodyta jog nuomos išlaidas karys gali gauti jei nuomojasi būstą ne toliau nei 130 km. nuo tarnybos vietos, tačiau taip pat prašoma pateikti kario tarnybinį pranešimą jei jis nuomojsi būstą kitoje savivaldybėje nei yra jo tarnybos vieta. Tad gaunasi labai komiškai skambanti situacija,&amp;#160;jog yra leidžiama nuomotis būstą&amp;#160;tam tikru atstumu nuo tarnybos vietos, tačiau mes vistiek kario klausiame kodėl jis nuomojasi būtent ten? Siųlymas&amp;#58; pakoreaguoti nuomos išlaidų tvarką atsisakant tarnybinio pranešimo paaiškinančio kodėl karys nuomojasi būstą ne tarnybos vietos savivaldybėje.&lt;br&gt;&lt;/p&gt;&lt;p&gt;Papildomų duomenų anketa, tai neseniai atsiradusi anketa kurią kariai turi užildyti, personalo specialistas ją turi nuskanuoti, užpildyti reikiamus laukeliuis ir popierinę formą įsegti į kario asmens bylą. Ši anketa visiškai bevertė, nes ji ganėtinai sudėtingai sudaryta ir kariai jos nesuprasdami arba gimę po&amp;#160; 2000 m.&amp;#160;sudeda tieisog brūkšnelius nes neturi ką joje pildyti (anketoje pagrinde prašoma nurodyti apie ryšius,tarnybos vietas, gyvenamąsias vietas ne NETO ir ne EU valstybėse, turima omenyje SSRS arba LTSR tad gimę po 2000 m. neturi ką joje rašyti).Tad nors beveik visos anketos būna tuščios jos&amp;#160;sukelia&amp;#160;labai daug papildomo darbo ir reikalauja&amp;#160;labai daug laiko. Siųlymas&amp;#58; performuluoti klausimus ir ne didinant ,o mažinant beprasmišką biurokratiją&amp;#160;anketą įkelti į ILIAS sistemą, kurioje kariai ją galėtų užpildyti ir pasikeitus duomenims perpildyti iš naujo.&lt;br&gt;&lt;/p&gt;&lt;p&gt;Išduodami kario batai, jie daugeliui karių nepatogūs, siauri, labai prakaituoja kojos ir tai sukelia dažną nuospaudų atsiradimą. Siųlymas&amp;#58; nurodyti bent 3 rinkoje siųlomus kariškų batų modelius iš kurių kariai galėtų pasirinkti sau labiausiai tinkantį modelį&amp;#160;ir įsigyti, taip užtikrinant sveikas karių kojas ir pakeltą moralę avint patogią avalynę. Dalyvaujant rikiuotėse ar kitose reprezentuojančiuose renginiose naudojami&amp;#160; LK išduota avalynė, tačiau kiekvieną dieną karys turėtų galimybę dėvėti jam patogią avalynę.&lt;br&gt;&lt;/p&gt;&lt;p&gt;Kario uniforma&amp;#58; šiuo metu išduodamos ir vyrams ir moterims vienodos uniformos, manau būtų logiška ir natūralu uniformą pritaikyti moterims, nes anatomiškai moterų klubai platesni, pečiai siauresni tad su vyriškomis uniformomis ir nepatogu ir nereprezentyviai atrodoma. Dažnu atveju uniformą tenka nešti į siuvyklą siaurinti, platinti ar kitaip koreaguoti, kad ji būtų patogi ir tinkamai atrodytų.&lt;br&gt;&lt;/p&gt;&lt;p&gt;&lt;br&gt;&lt;/p&gt;&lt;p&gt;Nors šiuo metu siekiu nutraukti PKT sutarį, tačiau labai tikiu ir noriu jog tarnyba LK &amp;#160;taptų patrauklesnė ir efektyvesnė ateinantiems bei esamiems kariams.&amp;#160;&lt;br&gt;&lt;/p&gt;&lt;p&gt;&lt;br&gt;&lt;/p&gt;&lt;p&gt;&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Identifikuokite_x0020_perteklini><d:Pateikite_x0020_pasi_x016b_lymus m:null="true" /><d:Pasidalinkite_x0020_id_x0117_jom m:null="true" /><d:ID m:type="Edm.Int32">3</d:ID><d:Modified m:type="Edm.DateTime">2025-04-10T09:17:06Z</d:Modified><d:Created m:type="Edm.DateTime">2025-04-10T09:17:06Z</d:Created><d:AuthorId m:type="Edm.Int32">0</d:AuthorId><d:EditorId m:type="Edm.Int32">0</d:EditorId><d:OData__UIVersionString>1.0</d:OData__UIVersionString></m:properties></content></entry><entry m:etag="&quot;1&quot;"><id>Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(4)</id><category term="SP.Data.Kaip_x0020_nedaryti_x0020_verts_x0020_nekuriani_x0020_darbListItem" scheme="http://schemas.microsoft.com/ado/2007/08/dataservices/scheme" /><link rel="edit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(4)" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FirstUniqueAncestorSecurableObject" type="application/atom+xml;type=entry" title="FirstUniqueAncestorSecurableObject" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(4)/FirstUniqueAncestorSecurableObject" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/RoleAssignments" type="application/atom+xml;type=feed" title="RoleAssignments" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(4)/RoleAssignments" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/AttachmentFiles" type="application/atom+xml;type=feed" title="AttachmentFiles" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(4)/AttachmentFiles" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ContentType" type="application/atom+xml;type=entry" title="ContentType" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(4)/ContentType" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsHtml" type="application/atom+xml;type=entry" title="FieldValuesAsHtml" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(4)/FieldValuesAsHtml" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsText" type="application/atom+xml;type=entry" title="FieldValuesAsText" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(4)/FieldValuesAsText" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesForEdit" type="application/atom+xml;type=entry" title="FieldValuesForEdit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(4)/FieldValuesForEdit" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/File" type="application/atom+xml;type=entry" title="File" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(4)/File" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/Folder" type="application/atom+xml;type=entry" title="Folder" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(4)/Folder" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ParentList" type="application/atom+xml;type=entry" title="ParentList" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(4)/ParentList" /><title /><updated>2025-04-18T11:17:33Z</updated><author><name /></author><content type="application/xml"><m:properties><d:FileSystemObjectType m:type="Edm.Int32">0</d:FileSystemObjectType><d:Id m:type="Edm.Int32">4</d:Id><d:ContentTypeId>0x00171F379CCADF464EB719C824E7B24FEB</d:ContentTypeId><d:Identifikuokite_x0020_perteklini>&lt;div class="ExternalClass65E27B565A1249A79DD2C7053CC9A6C0"&gt;&lt;p&gt;​&lt;/p&gt;&lt;ul&gt;&lt;li&gt;Užsiėmimų vedimo planai – konspektai. Mokymo įstaigos gali tą patį konspektą su parašu naudoti metus, koviniams vienetams tokios galimybės UŽSIĖMIMŲ PLANŲ RENGIMO VADOVE nenumatyta, kas didina fizinio archyvo apimtį ir krūvį, pasiruošimo užsiėmimams metu;&lt;br&gt;&lt;/li&gt;&lt;/ul&gt;&lt;ul&gt;&lt;li&gt;ERVIS transporto reglamento darbų epizodai gali būti uždaromi tik kai nurašomos sunaudotos dalys ar medžiagos. Kadangi fiziškai transporto priemonė suremontuojama žymiai greičiau nei įvyksta nurašymai, transporto priemonės eksploatuoti negalime. Ko pasėkoje transportas dažnai negali būti naudojamas vykdyti KR, nes ERVIS neleidžia įtraukti į eksploatacijos planus;&lt;br&gt;&lt;br&gt;&lt;/li&gt;&lt;li&gt;ERVIS Kuro nurašymai bunant komandiruotėse užsienyje (verčiantis einamajam mėnesiui ar bunant ilgiau nei mėnesis) nėra fiziškai įmanomi;&amp;#160;&amp;#160;&lt;br&gt;&lt;/li&gt;&lt;li&gt;Akumuliatorių ir padangų nurašymas labiai apkrauna transporto eksploatacijos technikų darbotvarkę, ar nebutu tikslingiau padangas ir akumuliatorius keisti atliekant remonto darbu epizodus, ERVIS apribojimas, kad padangas ir akumuliatorius turi nurašyti autotechnikai;&lt;br&gt;&lt;br&gt;&lt;/li&gt;&lt;li&gt;ERVIS trumpalaikio turto nurašymai vyksta priešingai negu reglamentuoja tvarkos, sukuria papildomo popierizmo.&lt;br&gt;&lt;br&gt;&lt;/li&gt;&lt;li&gt;Ginklų priskyrimas pagal tvarkas vykdomas kiekvienam kariui atskirai leidžiant įsakymą, kas be reikalo komplikuoja ginklų priskyrimo procedūras, ginklininkas kiekvieną priskyrimą turi įforminti individualiai su el. Dokumentu avilyje, o kuopos vadas kiekvieną priskyrimą turi pasirašyti el. parašu kiekvienais metais procedūra kartojasi, tai verčiantis kalendoriniams metams per naujo reikia sukurti ir pasirašyti 113(kuopos karių skaičius) el. dokumentų vietoje to, kad būtų 1 el. dokumentas kuris reglamentuoja priskyrimą. &lt;br&gt;&lt;br&gt;&lt;/li&gt;&lt;li&gt;TA atliekamos civilinėse įstaigose nors turime pajėgumus tai atlikti LK Depų tarnyboje, kas sugaišta papildomo laiko;&lt;br&gt;&lt;br&gt;&lt;/li&gt;&lt;/ul&gt;&lt;ul&gt;&lt;li&gt;Etatai ir etatiniai laipsniai, dažnai žmonių negalima pastatyti ant etato nors tas pareigas vykdo, vien dėl etatinio laipsnio, apie etato atidarymą ar perskirstymus norint priimti karį į padalinį išvis reikia kryžiaus kelius nueiti, dažnu atveju nebūna vietos priimti visus karius pareiškusius norą likti, etatų atlaisvinti dažnai neina, kadangi etatiniai laipsniai neleidžia žmonių, kurie tą laipsnį gaus perkelti į aukštesnes pareigas. O apie atidarymą galima pamiršti, dalį laiko užiima žaidimas su etatų perskirstymu mistiniais būdais.&lt;br&gt;&lt;/li&gt;&lt;/ul&gt;&lt;p&gt;&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Identifikuokite_x0020_perteklini><d:Pateikite_x0020_pasi_x016b_lymus>&lt;div class="ExternalClass048BCFAF1E834BC795A74E5A02DB3BA2"&gt;&lt;p&gt;​&lt;strong&gt;Siūlymas&lt;/strong&gt;&amp;#160;-&amp;#160;leisti tuos pačius planus konspektus naudoti ir koviniuose padaliniuose, kaip būdavo su senesne tvarka;&lt;br&gt;&lt;/p&gt;&lt;p&gt;&lt;strong&gt;Siūlymas&lt;/strong&gt;&amp;#160;– keisti transporto ERVIS TP įtraukimo į eksploatacijos planus tvarką, kad nebūtų susieta su transporto remonto dalių administravimu, o būtų susieta su realiu TP techniniu stoviu;&lt;br&gt;&lt;/p&gt;&lt;p&gt;&lt;strong&gt;Siūlymas&lt;/strong&gt;&amp;#160;– ERVIS reikėtų sukurti opciją formuoti vieną dviejų mėnesių kuro suvartojimo ataskaita;&lt;br&gt;&lt;/p&gt;&lt;p&gt;&lt;strong&gt;Siūlymas&lt;/strong&gt;&amp;#160;– ERVIS reikalingas pakeitimas, kad Akumuliatorius ir padandas nurašytu už dalių nurašymą atsakingi asmenys, kaip yra ir su kitomis detalemis sunaudojamomis remonto metu.&lt;br&gt;&lt;/p&gt;&lt;p&gt;&lt;strong&gt;Siūlymas&amp;#160;&lt;/strong&gt;– sulyginti tvarkas pagal ERVIS apribojimus.&lt;br&gt;&lt;/p&gt;&lt;p&gt;&lt;strong&gt;Siūlymas&lt;/strong&gt;&amp;#160;– Pakeisti&amp;#160;tvarką, kad padalinys galėtų priskirti kariams ginklus išleidžiant vieną ginklų priskyrimo įsakymą.&lt;br&gt;&lt;/p&gt;&lt;p&gt;&lt;strong&gt;Siūlymas&lt;/strong&gt;&amp;#160;– Būtų žymiai patogiau, paprasčiau ir greičiau LK transporto technines apžiūras atlikti LK Depų tarnybos pajėgumais, nelaukiant eilėje civ. įstaigose. Turime pajėgumus LK DT tam atlikti, tačiau tam Depai neturi įgaliojimų(pagal įgaliojimus gali atlikti TA tik M113);&lt;br&gt;&lt;/p&gt;&lt;p&gt;&lt;strong&gt;Siūlymas –&amp;#160;&lt;/strong&gt;Etatinius laipsnius padaryti nebe laipsniu žemiau, bet kaip taiko Bundesveras, laipsnių diapazonu pvz. Skyriaus vadui nebe(gr.-srž.), bet (vyr. eil.-srž.), nes ypač šiuo metu kai didelis personalo judėjimas, dažnai tas pareigas jau vykdo tas vyr. eilinis, tačiau užiima kitą etatą o sk. v. etatas tuščias, vietoje to, galima būtų atlaisvinti eilinio etatą, perkėlus jį ant sk. v. etato ir priimti naują karį į menamą eilinio etatą.&amp;#160;&amp;#160;&lt;br&gt;&lt;/p&gt;&lt;p&gt;&lt;br&gt;&lt;/p&gt;&lt;p&gt;&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pateikite_x0020_pasi_x016b_lymus><d:Pasidalinkite_x0020_id_x0117_jom>&lt;div class="ExternalClass1B7051A276874078AA38B64DCFFEF17F"&gt;&lt;p&gt;​Peržiūrėti visas tvarkas kurios reglamentuoja dokumentaciją, kiek jos aktualios šiai dienai.&amp;#160;&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pasidalinkite_x0020_id_x0117_jom><d:ID m:type="Edm.Int32">4</d:ID><d:Modified m:type="Edm.DateTime">2025-04-10T09:33:23Z</d:Modified><d:Created m:type="Edm.DateTime">2025-04-10T09:33:23Z</d:Created><d:AuthorId m:type="Edm.Int32">0</d:AuthorId><d:EditorId m:type="Edm.Int32">0</d:EditorId><d:OData__UIVersionString>1.0</d:OData__UIVersionString></m:properties></content></entry><entry m:etag="&quot;1&quot;"><id>Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(5)</id><category term="SP.Data.Kaip_x0020_nedaryti_x0020_verts_x0020_nekuriani_x0020_darbListItem" scheme="http://schemas.microsoft.com/ado/2007/08/dataservices/scheme" /><link rel="edit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(5)" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FirstUniqueAncestorSecurableObject" type="application/atom+xml;type=entry" title="FirstUniqueAncestorSecurableObject" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(5)/FirstUniqueAncestorSecurableObject" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/RoleAssignments" type="application/atom+xml;type=feed" title="RoleAssignments" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(5)/RoleAssignments" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/AttachmentFiles" type="application/atom+xml;type=feed" title="AttachmentFiles" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(5)/AttachmentFiles" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ContentType" type="application/atom+xml;type=entry" title="ContentType" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(5)/ContentType" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsHtml" type="application/atom+xml;type=entry" title="FieldValuesAsHtml" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(5)/FieldValuesAsHtml" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsText" type="application/atom+xml;type=entry" title="FieldValuesAsText" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(5)/FieldValuesAsText" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesForEdit" type="application/atom+xml;type=entry" title="FieldValuesForEdit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(5)/FieldValuesForEdit" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/File" type="application/atom+xml;type=entry" title="File" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(5)/File" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/Folder" type="application/atom+xml;type=entry" title="Folder" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(5)/Folder" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ParentList" type="application/atom+xml;type=entry" title="ParentList" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(5)/ParentList" /><title /><updated>2025-04-18T11:17:33Z</updated><author><name /></author><content type="application/xml"><m:properties><d:FileSystemObjectType m:type="Edm.Int32">0</d:FileSystemObjectType><d:Id m:type="Edm.Int32">5</d:Id><d:ContentTypeId>0x00171F379CCADF464EB719C824E7B24FEB</d:ContentTypeId><d:Identifikuokite_x0020_perteklini>&lt;div class="ExternalClass43D98C7BB1C444BA863C453AF321EE52"&gt;&lt;p&gt;​,,Ervis&amp;quot; vardinės maitinimo&amp;#160;paraiškos (PKT karių) informacijos įvedimas.&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Identifikuokite_x0020_perteklini><d:Pateikite_x0020_pasi_x016b_lymus>&lt;div class="ExternalClassAC42FBCA0B5648BDB018B064E3B8D022"&gt;&lt;p&gt;Vesti atskiras eilutes nėra efektyvu (juo labiau jei šnekame ne apie pavienes dienas, o masines pratybas ar pan.).&amp;#160;Tuo tarpu&amp;#160;dalinio&amp;#160;filtras nėra ,,išdirbtas&amp;quot;.&amp;#160;&amp;#160;Manau, kad maitinimo dienų dubliavimas&amp;#160;ir&amp;#160;dublikato redagavimo funkcija suaktyvintų darbą t. y. suvedę&amp;#160;pavardes ir visą maitinimosi grafiką, redaguotume tik maitinimo tipą (maitinimosi kodą, pagal numatytą grafiką) arba minimaliai karių&amp;#160;sąrašą&amp;#160;esant poreikiui.&amp;#160;&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pateikite_x0020_pasi_x016b_lymus><d:Pasidalinkite_x0020_id_x0117_jom>&lt;div class="ExternalClass298EF4E1796A4449A6E8393C1DD770F8"&gt;&lt;p&gt;​,,eRvis&amp;quot; vardinės dienos paraiškos dubliavimo funcija su įgalintu redagavimu arba funkcija, kuri leistu pasirinkti karius, kurie tarkim vyks į pratybas (pvz&amp;#58;. intendantai pažymi sąrašą)&amp;#160;bei minėto sąrašo duplikavimas.&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pasidalinkite_x0020_id_x0117_jom><d:ID m:type="Edm.Int32">5</d:ID><d:Modified m:type="Edm.DateTime">2025-04-10T09:33:46Z</d:Modified><d:Created m:type="Edm.DateTime">2025-04-10T09:33:46Z</d:Created><d:AuthorId m:type="Edm.Int32">0</d:AuthorId><d:EditorId m:type="Edm.Int32">0</d:EditorId><d:OData__UIVersionString>1.0</d:OData__UIVersionString></m:properties></content></entry><entry m:etag="&quot;1&quot;"><id>Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(6)</id><category term="SP.Data.Kaip_x0020_nedaryti_x0020_verts_x0020_nekuriani_x0020_darbListItem" scheme="http://schemas.microsoft.com/ado/2007/08/dataservices/scheme" /><link rel="edit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(6)" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FirstUniqueAncestorSecurableObject" type="application/atom+xml;type=entry" title="FirstUniqueAncestorSecurableObject" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(6)/FirstUniqueAncestorSecurableObject" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/RoleAssignments" type="application/atom+xml;type=feed" title="RoleAssignments" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(6)/RoleAssignments" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/AttachmentFiles" type="application/atom+xml;type=feed" title="AttachmentFiles" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(6)/AttachmentFiles" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ContentType" type="application/atom+xml;type=entry" title="ContentType" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(6)/ContentType" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsHtml" type="application/atom+xml;type=entry" title="FieldValuesAsHtml" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(6)/FieldValuesAsHtml" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsText" type="application/atom+xml;type=entry" title="FieldValuesAsText" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(6)/FieldValuesAsText" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesForEdit" type="application/atom+xml;type=entry" title="FieldValuesForEdit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(6)/FieldValuesForEdit" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/File" type="application/atom+xml;type=entry" title="File" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(6)/File" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/Folder" type="application/atom+xml;type=entry" title="Folder" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(6)/Folder" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ParentList" type="application/atom+xml;type=entry" title="ParentList" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(6)/ParentList" /><title /><updated>2025-04-18T11:17:33Z</updated><author><name /></author><content type="application/xml"><m:properties><d:FileSystemObjectType m:type="Edm.Int32">0</d:FileSystemObjectType><d:Id m:type="Edm.Int32">6</d:Id><d:ContentTypeId>0x00171F379CCADF464EB719C824E7B24FEB</d:ContentTypeId><d:Identifikuokite_x0020_perteklini>&lt;div class="ExternalClass37FC6991C3264FDFB199DD63D44878AD"&gt;&lt;p&gt;​Sveiki, siūlau atsisakyti tarpinių karių tarnybos vertinimų anketų kas 6 mėn.&amp;#160;&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Identifikuokite_x0020_perteklini><d:Pateikite_x0020_pasi_x016b_lymus>&lt;div class="ExternalClass128A15F40D2A40B799CD01456FC9A984"&gt;&lt;p&gt;​Krašto apsaugos ministro 2015-0721 įsk. Nr. V-738 &amp;quot;Profesinės karo tarnybos&amp;#160; karių, karių savanorių ar kitų savanoriškos nenuolatinės karo tarnybos karių tarnybos vertinimo tvarkos aprašas.&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pateikite_x0020_pasi_x016b_lymus><d:Pasidalinkite_x0020_id_x0117_jom m:null="true" /><d:ID m:type="Edm.Int32">6</d:ID><d:Modified m:type="Edm.DateTime">2025-04-10T09:34:44Z</d:Modified><d:Created m:type="Edm.DateTime">2025-04-10T09:34:44Z</d:Created><d:AuthorId m:type="Edm.Int32">0</d:AuthorId><d:EditorId m:type="Edm.Int32">0</d:EditorId><d:OData__UIVersionString>1.0</d:OData__UIVersionString></m:properties></content></entry><entry m:etag="&quot;1&quot;"><id>Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(7)</id><category term="SP.Data.Kaip_x0020_nedaryti_x0020_verts_x0020_nekuriani_x0020_darbListItem" scheme="http://schemas.microsoft.com/ado/2007/08/dataservices/scheme" /><link rel="edit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(7)" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FirstUniqueAncestorSecurableObject" type="application/atom+xml;type=entry" title="FirstUniqueAncestorSecurableObject" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(7)/FirstUniqueAncestorSecurableObject" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/RoleAssignments" type="application/atom+xml;type=feed" title="RoleAssignments" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(7)/RoleAssignments" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/AttachmentFiles" type="application/atom+xml;type=feed" title="AttachmentFiles" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(7)/AttachmentFiles" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ContentType" type="application/atom+xml;type=entry" title="ContentType" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(7)/ContentType" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsHtml" type="application/atom+xml;type=entry" title="FieldValuesAsHtml" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(7)/FieldValuesAsHtml" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsText" type="application/atom+xml;type=entry" title="FieldValuesAsText" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(7)/FieldValuesAsText" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesForEdit" type="application/atom+xml;type=entry" title="FieldValuesForEdit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(7)/FieldValuesForEdit" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/File" type="application/atom+xml;type=entry" title="File" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(7)/File" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/Folder" type="application/atom+xml;type=entry" title="Folder" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(7)/Folder" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ParentList" type="application/atom+xml;type=entry" title="ParentList" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(7)/ParentList" /><title /><updated>2025-04-18T11:17:33Z</updated><author><name /></author><content type="application/xml"><m:properties><d:FileSystemObjectType m:type="Edm.Int32">0</d:FileSystemObjectType><d:Id m:type="Edm.Int32">7</d:Id><d:ContentTypeId>0x00171F379CCADF464EB719C824E7B24FEB</d:ContentTypeId><d:Identifikuokite_x0020_perteklini>&lt;div class="ExternalClass7DBDD24AB41E41058D5F6D3934FB7992"&gt;&lt;p&gt;Laba diena,&lt;br&gt;&lt;/p&gt;&lt;p&gt;1.&amp;#160;Kiekvieno mėnesio pabaigoje ruošiame ataskaitas, kelios iš jų tarsi daromos kelis kartus. T.y.&amp;#58; Sąskaitos, pajamų orderiai, 6 KAM, 15 KAM, 16KAM. perdavimo aktai, nurašymo aktai yra eRvis sistemoje. juos tikrina ir tvirtina mus (valgyklų maitinimo paslaugų administratorius) &amp;quot;prižiūrintys&amp;quot; asmenys (biudžeto specialistai, FAD spec.). Taigi, jie susipažįsta bei patikrina&amp;#160;mūsų dokumentus, prieš tvirtindamos operacijas.Tačiau nepaisant to, kiekvieno mėnesio paskutinę dieną mes &amp;quot;traukiame&amp;quot; iš eRvis sistemos ataskaitas, spausdiname ir teikiame FAD specialistui popierinius variantus.&amp;#160;&lt;br&gt;&lt;/p&gt;&lt;p&gt;Taip pat kas 10 mėnesio dienų teikiame ataskaitas į GRA. Spasudiname sąskaita ir pajamų orderius iš eRvis sistemos. Pasikartosiu&amp;#58; asmenys, kuriems tiesiogiai teikiame dokumentus, tvirtina mums juos eRvis sistemoje.&amp;#160;&lt;br&gt;&lt;/p&gt;&lt;p&gt;Taigi, kiekvieną mėnesį spausdiname ataskaitas, sąskaitas bei pajamų orderius iš eRvis sistemos ir tiesiogiai teikiame tiems patiems specialistams, kurie šiuos dokumentus patikrina ir patvirtina eRvis sistemoje. (Paprastai, tai būna dvi tų pačių dokumentų krūvos viena krūvą duodame FAD specialistei, kitą GRA specialistei)&lt;br&gt;&lt;/p&gt;&lt;p&gt;2. Apskaitos technikas traukia iš eRvis sistemos ir spausdina kalkuliacines korteles, kurias turi archyvuoti. Klausimas, ar tai yra privaloma, ar nėra perteklinis darbas bei resursų naudojimas? Jeigu šios kortelės visuomet yra ir gali būti matomos eRvis sistemoje.&lt;br&gt;&lt;/p&gt;&lt;p&gt;&lt;br&gt;&lt;/p&gt;&lt;p&gt;&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Identifikuokite_x0020_perteklini><d:Pateikite_x0020_pasi_x016b_lymus m:null="true" /><d:Pasidalinkite_x0020_id_x0117_jom>&lt;div class="ExternalClassB6DD8657F5F24EC080140B99F38005EB"&gt;&lt;p&gt;​1. Šiuo atveju, jeigu tai yra įmanoma, būtų patogu ir korektiška tiesiog palikti dokumentus eRvis sistemoje, o spausdinti tik tai, ko negalima pamatyti ar tvirtinti sistemoje. Spausdintume tik būtinąsias ataskaitas, bei maitinimo pranešimus.&lt;br&gt;&lt;/p&gt;&lt;p&gt;2. Kalkuliacines korteles palikti eRvis sistemoje ir jų papildomai nespausdinti.&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pasidalinkite_x0020_id_x0117_jom><d:ID m:type="Edm.Int32">7</d:ID><d:Modified m:type="Edm.DateTime">2025-04-10T09:52:35Z</d:Modified><d:Created m:type="Edm.DateTime">2025-04-10T09:52:35Z</d:Created><d:AuthorId m:type="Edm.Int32">0</d:AuthorId><d:EditorId m:type="Edm.Int32">0</d:EditorId><d:OData__UIVersionString>1.0</d:OData__UIVersionString></m:properties></content></entry><entry m:etag="&quot;1&quot;"><id>Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(8)</id><category term="SP.Data.Kaip_x0020_nedaryti_x0020_verts_x0020_nekuriani_x0020_darbListItem" scheme="http://schemas.microsoft.com/ado/2007/08/dataservices/scheme" /><link rel="edit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(8)" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FirstUniqueAncestorSecurableObject" type="application/atom+xml;type=entry" title="FirstUniqueAncestorSecurableObject" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(8)/FirstUniqueAncestorSecurableObject" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/RoleAssignments" type="application/atom+xml;type=feed" title="RoleAssignments" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(8)/RoleAssignments" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/AttachmentFiles" type="application/atom+xml;type=feed" title="AttachmentFiles" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(8)/AttachmentFiles" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ContentType" type="application/atom+xml;type=entry" title="ContentType" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(8)/ContentType" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsHtml" type="application/atom+xml;type=entry" title="FieldValuesAsHtml" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(8)/FieldValuesAsHtml" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsText" type="application/atom+xml;type=entry" title="FieldValuesAsText" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(8)/FieldValuesAsText" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesForEdit" type="application/atom+xml;type=entry" title="FieldValuesForEdit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(8)/FieldValuesForEdit" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/File" type="application/atom+xml;type=entry" title="File" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(8)/File" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/Folder" type="application/atom+xml;type=entry" title="Folder" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(8)/Folder" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ParentList" type="application/atom+xml;type=entry" title="ParentList" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(8)/ParentList" /><title /><updated>2025-04-18T11:17:33Z</updated><author><name /></author><content type="application/xml"><m:properties><d:FileSystemObjectType m:type="Edm.Int32">0</d:FileSystemObjectType><d:Id m:type="Edm.Int32">8</d:Id><d:ContentTypeId>0x00171F379CCADF464EB719C824E7B24FEB</d:ContentTypeId><d:Identifikuokite_x0020_perteklini>&lt;div class="ExternalClassAE4A742108E14C9B9BA439AD3DF69381"&gt;&lt;p&gt;Dėl trupalaikio turto, atsargų ir&amp;#160;detalių&amp;#160;gavimo iš sandėlių į padalinius.&lt;br&gt;&lt;/p&gt;&lt;p&gt;Dėl ginklų dalių keitimo (ginklo remonto)&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Identifikuokite_x0020_perteklini><d:Pateikite_x0020_pasi_x016b_lymus>&lt;div class="ExternalClass03E1AD605185437EA5E1F36091BAA36C"&gt;&lt;p&gt;​1)Šiuo metų visoje LK yra tvarka jog norint gauti&amp;#160;trumpalaikį,&amp;#160;ilgalaikį&amp;#160;turą, atsargas ir&amp;#160;detales iš sandėlio turi būti parašoma paraiška, paraiška&amp;#160;&lt;br&gt;&lt;/p&gt;&lt;p&gt;suderiniama su sandėliniku, kitais atsakingais asmenimis, jiems suderinus paraiškas daiktai yra išduodami iš sadėlio&amp;#160;materialiai, naudojant eRvis,&amp;#160;&lt;br&gt;&lt;/p&gt;&lt;p&gt;supildant turto perdavimo - priėmimo aktus, sutvarkant buhalterija ir&amp;#160;t.t., šiuo metu buhaldterinius dokumentus turi sutvarkyti tiek sandėlinkas tiek mat. vertybęs gaves asmuo.&amp;#160;&lt;br&gt;&lt;/p&gt;&lt;p&gt;2)Tas pati situacija siuo metu&amp;#160;yra ir su ginklų detalėmis, pvz. turint ginklų dalis sandėlyję ir turint sugedusį ginklą, negalima tiesiog paiimti ginklo ir jo sutvarkyti, tam yra ilgas procesas, (tarnybinio pranešimo paėmimas iš kario, tehninės būklės akto parengimas (turi sudayti triju asmenų komisija, pasirašyti dalinio vadas ar S4 ginkluotės karinikas), kaikuriais atvėjais įsakymo parengimas išduoti detales iš sandėlio, paraiškos parašymas ir suderinimas, buhalterinių dokumentų sutvarkymas (tiek sandėlinkui tiek dalis gaunančiam kariui) ir galiausiai dalies nurašymas ją pakeičiant. Neturinti tokių griežtų tvarktų ginklą būtų galima sutvarkyti per 1 d.d. o šiuo metu tie procesai užtrumka mažiausiais 5 d.d. kol visi dokumentai tam darbui yra sutvarkomi.&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pateikite_x0020_pasi_x016b_lymus><d:Pasidalinkite_x0020_id_x0117_jom>&lt;div class="ExternalClass87FF8880C7E6473999698329B3A48EF4"&gt;&lt;p&gt;​1)Sūliau esamą tvarką palikti tik išduodant ilgalaikį turtą, o išduodant trumpalaikį turta keisti procesu, juos paprastinant t.y. sumažinant biurokratizmą.&amp;#160;&amp;#160;&lt;br&gt;&lt;/p&gt;&lt;p&gt;PVZ. esant poreikiui į padalinį gauti trupalaikį&amp;#160;turtą, atsargas, detales&amp;#160;reikėtų parašyti paraišką, ją suderinti su sandėlinku ir kitais atsakingais asmenimis, paraiškai esant&amp;#160;suderintai&amp;#160;sandėlininkas turtą&amp;#160;išduotų atsakingam kariui išrašydamas jį&amp;#160; į turto išdavimo knygą ir vėliau pats jį nurašytų iš apskaitos kaip sunaudotą turtą remdamasis paraišką ir turto išdavimo knygą. Tokių būdų būtų panaikinta nereikalinga&amp;#160;buhalterinė našta nuo vieno iš dveijų žmonių.&amp;#160;&lt;br&gt;&lt;/p&gt;&lt;p&gt;2) Siūlymas dėl&amp;#160;atsiradusių ginklo gedimų -&amp;#160;PVZ.&amp;#160;Atsakingas specialistas (Ginkluotės remonto technikas) parengia techninės būklės aktą su įvertinimo kokios dalys turi būti pakeistos,&amp;#160;remiantis aktu pateikia paraišką sandėlinkui dėl dalių išdavimo, sandėlinkas remiantis pateikta paraiška išduoda dalis išrašydams jas į Ginklo dalių išdavimo knygą (tokia knyga šiuo metu neegzistuoja), ir turint galimybę jas nurašo iš apskaitos kaip išduotas dalis.&amp;#160;&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pasidalinkite_x0020_id_x0117_jom><d:ID m:type="Edm.Int32">8</d:ID><d:Modified m:type="Edm.DateTime">2025-04-10T09:54:42Z</d:Modified><d:Created m:type="Edm.DateTime">2025-04-10T09:54:42Z</d:Created><d:AuthorId m:type="Edm.Int32">0</d:AuthorId><d:EditorId m:type="Edm.Int32">0</d:EditorId><d:OData__UIVersionString>1.0</d:OData__UIVersionString></m:properties></content></entry><entry m:etag="&quot;1&quot;"><id>Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(9)</id><category term="SP.Data.Kaip_x0020_nedaryti_x0020_verts_x0020_nekuriani_x0020_darbListItem" scheme="http://schemas.microsoft.com/ado/2007/08/dataservices/scheme" /><link rel="edit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(9)" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FirstUniqueAncestorSecurableObject" type="application/atom+xml;type=entry" title="FirstUniqueAncestorSecurableObject" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(9)/FirstUniqueAncestorSecurableObject" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/RoleAssignments" type="application/atom+xml;type=feed" title="RoleAssignments" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(9)/RoleAssignments" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/AttachmentFiles" type="application/atom+xml;type=feed" title="AttachmentFiles" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(9)/AttachmentFiles" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ContentType" type="application/atom+xml;type=entry" title="ContentType" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(9)/ContentType" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsHtml" type="application/atom+xml;type=entry" title="FieldValuesAsHtml" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(9)/FieldValuesAsHtml" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsText" type="application/atom+xml;type=entry" title="FieldValuesAsText" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(9)/FieldValuesAsText" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesForEdit" type="application/atom+xml;type=entry" title="FieldValuesForEdit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(9)/FieldValuesForEdit" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/File" type="application/atom+xml;type=entry" title="File" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(9)/File" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/Folder" type="application/atom+xml;type=entry" title="Folder" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(9)/Folder" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ParentList" type="application/atom+xml;type=entry" title="ParentList" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(9)/ParentList" /><title /><updated>2025-04-18T11:17:33Z</updated><author><name /></author><content type="application/xml"><m:properties><d:FileSystemObjectType m:type="Edm.Int32">0</d:FileSystemObjectType><d:Id m:type="Edm.Int32">9</d:Id><d:ContentTypeId>0x00171F379CCADF464EB719C824E7B24FEB</d:ContentTypeId><d:Identifikuokite_x0020_perteklini>&lt;div class="ExternalClassBC75B53D58FB424A9993E3ED58ADBF69"&gt;&lt;p&gt;​&lt;/p&gt;&lt;p&gt;&lt;/p&gt;&lt;p&gt;Sveiki,&lt;/p&gt;&lt;p&gt;1.&amp;#160;&amp;#160;&amp;#160;&amp;#160;&amp;#160;&amp;#160;&amp;#160;&amp;#160;&amp;#160;&amp;#160;&amp;#160;&amp;#160;&amp;#160;&amp;#160;&amp;#160;&amp;#160;&amp;#160;&amp;#160;&amp;#160;&amp;#160;&amp;#160;&amp;#160;&amp;#160; Patvirtinus viešųjų pirkimo planą Avilyje, jį privaloma&amp;#160;suvesti/įkelti&amp;#160;į Ervis'ą.&amp;#160;Patvirtinus&amp;#160;pirkimo paraišką Avilyje, ją privaloma&amp;#160;suvesti/įkelti&amp;#160;į Ervis'ą.&amp;#160;Abiejuose&amp;#160;etapuose&amp;#160;yra nemažai atsakingų asmenų, kurie privalo suderinti minėtus&amp;#160;dokumentus, tiek Avilyje, tiek Ervis'e. Įvykus viešajam pirkimui ir pasirašius pirkimo sutartį,&amp;#160;ją&amp;#160;privaloma suvesti į Ervis'ą ir suderinti su atsakingais asmenimis.&amp;#160;Sandėlininkas pajamuodamas Ervis'e prekes, privalo nuskanuoti ir prisegti PVM sąskaitą faktūrą. Užpajamavęs prekes,&amp;#160;perduota pirkimo iniciatoriui dokumentus (užpajamuotą sąskaitą, pajamų&amp;#160;orderį ir pirkimo sutartį), kuriuos pateikia biudžeto skyriui, kuris viską patikrinęs, perduoda dalinio vadui sprendimui priimti dėl apmokėjimo. Po patvirtinimo, visi popieriniai dokumentai (užpajamuotą sąskaitą, pajamų&amp;#160;orderis&amp;#160;ir pirkimo sutartis) privalo būti pristatyti į FAD'ą Vilniuje,&amp;#160;dėl apmokėjimo.&amp;#160;&lt;/p&gt;&lt;p&gt;2.&amp;#160;&amp;#160;&amp;#160;&amp;#160;&amp;#160;&amp;#160;&amp;#160;&amp;#160;&amp;#160;&amp;#160;&amp;#160;&amp;#160;&amp;#160;&amp;#160;&amp;#160;&amp;#160;&amp;#160;&amp;#160;&amp;#160;&amp;#160;&amp;#160; Kiekvienas materialiai atsakingas asmuo, kiekvieną&amp;#160;mėnesį (jeigu priėmė arba perdavė turtą), turi pateikti 6-KAM ataskaitą.&amp;#160;Susiderinęs 6-KAM ataskaitą&amp;#160;su FAD'o atsakingu asmeniu, atsispausdina&amp;#160;ją&amp;#160;iš Ervis'o&amp;#160;ir perduoda ją (jau popierinę)&amp;#160;FAD'o atsakingam&amp;#160;asmeniui&amp;#160;dar kartą patikrai. Jeigu viskas OK, tada organizuojamas pristatymą į FAD'ą Vilniuje.&lt;/p&gt;&lt;p&gt;Šioms funkcijos atlikti, kiekvienas materialiai atsakingas ir sandėlininkas, privalo turėti papildomai „raudoną&amp;quot; kompiuterį ir&amp;#160;printerį, kuris leidžia spausdinti tik iš RN aplinkos, ko pasėkoje, švaistomos lėšos&amp;#160;dėl to, kad FAD'as nedirba su Ervis'u.&lt;br&gt;&lt;/p&gt;&lt;p&gt;Kaip matote, labai daug žmonių įtraukta į šiuos procesus, nuo plano sukėlimo/suvedimo iki&amp;#160;dokumentų nuvežimui į FAD'ą. Jeigu visi dirbtumėme vienoje sistemoje, tiek žmogiškieji resursai, tai reikalingos priemonės, būtų galima panaudoti kitur.&amp;#160;&lt;/p&gt;&lt;p&gt;Lauke XXI amžius, o mes negalime išleisti&amp;#160;popieriaus iš rankų &amp;#58;)&lt;/p&gt;&lt;p&gt;Vienas mano viršininkas sakė&amp;#58; popierius viską iškentės. Matyt bandome jo kantrybę &amp;#58;)&lt;br&gt;&lt;/p&gt;&lt;p&gt;Kai buvo kuriamas Ervis'as, visiems buvo sakoma, kad pagaliau atsikratysite popieriaus, bet kaip matome, popierius liko, tik darbo padaugėjo.&lt;/p&gt;&lt;p&gt;FAD'as Ervis'u nedirba, nors sistema sukurta krašto apsaugos sistemai su tikslu, kad būtų kuo mažiau popierizmo/biurokratijos, dėl turto apskaitos ir valdymo.&lt;br&gt;&lt;/p&gt;&lt;p&gt;&lt;br&gt;&lt;/p&gt;&lt;p&gt;&lt;br&gt;&lt;/p&gt;&lt;p&gt;&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Identifikuokite_x0020_perteklini><d:Pateikite_x0020_pasi_x016b_lymus>&lt;div class="ExternalClass1E96C687E5CF4E1799139226C04A9028"&gt;&lt;p&gt;&lt;br&gt;&lt;/p&gt;&lt;p&gt;&lt;br&gt;&lt;/p&gt;&lt;p&gt;&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pateikite_x0020_pasi_x016b_lymus><d:Pasidalinkite_x0020_id_x0117_jom>&lt;div class="ExternalClass1479209968594CE6A97A14AD2029C530"&gt;&lt;p&gt;​&lt;/p&gt;&lt;p&gt;&lt;/p&gt;&lt;p&gt;Pasiūlymai&amp;#58;&amp;#160;&lt;/p&gt;&lt;p&gt;1. Dėl pirkimo procedūrų. Visiškai pereiti į Evis'ą, atsisakant darbų dvigubinimo, nors žinau, kad sistema yra nepasiruošta. &lt;/p&gt;&lt;p&gt;2. Dirbi kartu su FAD'u&amp;#160;vienoje sistemoje.&amp;#160;&lt;br&gt;&lt;/p&gt;&lt;p&gt;&lt;br&gt;&lt;/p&gt;&lt;p&gt;&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pasidalinkite_x0020_id_x0117_jom><d:ID m:type="Edm.Int32">9</d:ID><d:Modified m:type="Edm.DateTime">2025-04-10T09:58:22Z</d:Modified><d:Created m:type="Edm.DateTime">2025-04-10T09:58:22Z</d:Created><d:AuthorId m:type="Edm.Int32">0</d:AuthorId><d:EditorId m:type="Edm.Int32">0</d:EditorId><d:OData__UIVersionString>1.0</d:OData__UIVersionString></m:properties></content></entry><entry m:etag="&quot;1&quot;"><id>Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(10)</id><category term="SP.Data.Kaip_x0020_nedaryti_x0020_verts_x0020_nekuriani_x0020_darbListItem" scheme="http://schemas.microsoft.com/ado/2007/08/dataservices/scheme" /><link rel="edit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(10)" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FirstUniqueAncestorSecurableObject" type="application/atom+xml;type=entry" title="FirstUniqueAncestorSecurableObject" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(10)/FirstUniqueAncestorSecurableObject" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/RoleAssignments" type="application/atom+xml;type=feed" title="RoleAssignments" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(10)/RoleAssignments" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/AttachmentFiles" type="application/atom+xml;type=feed" title="AttachmentFiles" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(10)/AttachmentFiles" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ContentType" type="application/atom+xml;type=entry" title="ContentType" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(10)/ContentType" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsHtml" type="application/atom+xml;type=entry" title="FieldValuesAsHtml" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(10)/FieldValuesAsHtml" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsText" type="application/atom+xml;type=entry" title="FieldValuesAsText" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(10)/FieldValuesAsText" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesForEdit" type="application/atom+xml;type=entry" title="FieldValuesForEdit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(10)/FieldValuesForEdit" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/File" type="application/atom+xml;type=entry" title="File" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(10)/File" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/Folder" type="application/atom+xml;type=entry" title="Folder" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(10)/Folder" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ParentList" type="application/atom+xml;type=entry" title="ParentList" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(10)/ParentList" /><title /><updated>2025-04-18T11:17:33Z</updated><author><name /></author><content type="application/xml"><m:properties><d:FileSystemObjectType m:type="Edm.Int32">0</d:FileSystemObjectType><d:Id m:type="Edm.Int32">10</d:Id><d:ContentTypeId>0x00171F379CCADF464EB719C824E7B24FEB</d:ContentTypeId><d:Identifikuokite_x0020_perteklini>&lt;div class="ExternalClass704DA2CF557143708E44061EB9EE694B"&gt;&lt;p&gt;​perteklinė biurokraija dirbant ervis sistema. Materealiai atsakingiems asmenims tenka spausdinti, perdavimo aktus, ataskaitas, pajamų orderius ir panašiai, vien tam kad ant jų fiziškai pasirašyti. O spausdinti tenka keletą kopijų, nes perduodantis ir priiamntis materealųji turtą privalo pateikti tą pačia ataskaitą FAD specialistui. visos ataskaitos po to vežamos fiziškai į Vilnių FAD. Taip švaistomas laikas ir kariuomenės resursai ant dokumentų vežiojimų ir dokumentų spausdinimo.&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Identifikuokite_x0020_perteklini><d:Pateikite_x0020_pasi_x016b_lymus>&lt;div class="ExternalClass5161664FB61840A793A0BB6E8CB0C1E7"&gt;&lt;p&gt;​visą tai pavyktų išgyvendinti, jei dokumentus būtų galima pasirašinėti elektroniniu parašu. Taip būtų išvengta dokumentų spausdinimo keliais egzemplioriais, taupomas laikas dokumentų perdavimo nuo vieno materealiai atsakingo asmens kitam. Ir galiausiai būtų išvengta bereikalingo dokumentų vežiojimo iš kiekvieno kariuomenės dalinio&amp;#160;į FAD, kai visus virtualiai pasirašytus dokumentus būtų galima tiesiogiai persiųsti į FAD.&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pateikite_x0020_pasi_x016b_lymus><d:Pasidalinkite_x0020_id_x0117_jom>&lt;div class="ExternalClassF8FB440E99A44CA095F28EF2C9E7B925"&gt;&lt;p&gt;​Unikalus elektroninis parašas ervis sistemoje leistų mygtuko paspaudimu&amp;#160;dokumentus pasirašinėt ir perdavinėt suinteresuotiems asmenims iš dalinio į&amp;#160;dalinį&amp;#160;be jokio fizinio dokumentų spausdinimo ir vežiojimo.&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pasidalinkite_x0020_id_x0117_jom><d:ID m:type="Edm.Int32">10</d:ID><d:Modified m:type="Edm.DateTime">2025-04-10T09:58:45Z</d:Modified><d:Created m:type="Edm.DateTime">2025-04-10T09:58:45Z</d:Created><d:AuthorId m:type="Edm.Int32">0</d:AuthorId><d:EditorId m:type="Edm.Int32">0</d:EditorId><d:OData__UIVersionString>1.0</d:OData__UIVersionString></m:properties></content></entry><entry m:etag="&quot;1&quot;"><id>Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(11)</id><category term="SP.Data.Kaip_x0020_nedaryti_x0020_verts_x0020_nekuriani_x0020_darbListItem" scheme="http://schemas.microsoft.com/ado/2007/08/dataservices/scheme" /><link rel="edit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(11)" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FirstUniqueAncestorSecurableObject" type="application/atom+xml;type=entry" title="FirstUniqueAncestorSecurableObject" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(11)/FirstUniqueAncestorSecurableObject" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/RoleAssignments" type="application/atom+xml;type=feed" title="RoleAssignments" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(11)/RoleAssignments" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/AttachmentFiles" type="application/atom+xml;type=feed" title="AttachmentFiles" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(11)/AttachmentFiles" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ContentType" type="application/atom+xml;type=entry" title="ContentType" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(11)/ContentType" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsHtml" type="application/atom+xml;type=entry" title="FieldValuesAsHtml" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(11)/FieldValuesAsHtml" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsText" type="application/atom+xml;type=entry" title="FieldValuesAsText" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(11)/FieldValuesAsText" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesForEdit" type="application/atom+xml;type=entry" title="FieldValuesForEdit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(11)/FieldValuesForEdit" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/File" type="application/atom+xml;type=entry" title="File" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(11)/File" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/Folder" type="application/atom+xml;type=entry" title="Folder" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(11)/Folder" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ParentList" type="application/atom+xml;type=entry" title="ParentList" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(11)/ParentList" /><title /><updated>2025-04-18T11:17:33Z</updated><author><name /></author><content type="application/xml"><m:properties><d:FileSystemObjectType m:type="Edm.Int32">0</d:FileSystemObjectType><d:Id m:type="Edm.Int32">11</d:Id><d:ContentTypeId>0x00171F379CCADF464EB719C824E7B24FEB</d:ContentTypeId><d:Identifikuokite_x0020_perteklini>&lt;div class="ExternalClass3712F9AA6FA84724A631DE310EFE3566"&gt;&lt;p&gt;​&lt;/p&gt;&lt;ol&gt;&lt;li&gt;Peržiūrėti, kaip pvz. Karių aprengimo (apranga) normas, kurias nustato KAM, tačiau karių aprūpinimą ekipuote, CBRN, pirmos pagalbos rinkiniais, apsaugos priemonėmis ir panašiai jau pasitikima LKV ir tas normas tvirtina KV. Dėl dalies aprangos, ekipuotės, CNRN ir med. priemonių grąžinimo požymių įrašymas į normas ar išlygų taikymas pasidalinama irgi atitinkamai tarp KAM, LKV. Grąžinimo tvarkos nustatymas jau įgaliojimas LVV. Manau, kad LKV galima pilnai pasitikėti ir leisti Tvirtinti KAS tarnaujančių karių aprūpinimą apranga, ekipuote, CBRN, med priemonėmis ir panašiai&amp;#160; - juk visi KAS kariai ir sudaro LR ginkluotojų pajėgų pagrindą ir tos LKV nustatytos karių aprūpinimo normos turėtų būti ant tiek universalios, kad tiktų net aprūpinti ar apsirūpinti ir VRM. LŠS ir kitų institucijų pareigūnams, kurie jungtųsi į Ginkluotųjų pajėgų sudėtis Krizių atvejais. Tai ne tik palengvintų planavimą atsargų , rezervo sudarymus bet ir apskaitą suderinamumą, pakaitumą gal net atpigintų ir įsigijimo kaštus visoms Institucijoms, kurios susijusios su Krašto gynybą. KAM galėtų nustatyti tik bendruosius KAS, GP darbuotojų (karių, VT, SD, DS) aprūpinimo principus, nuostatas, suteikus įgaliojimus.&amp;#160;&lt;br&gt;&lt;/li&gt;&lt;/ol&gt;&lt;p&gt;&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Identifikuokite_x0020_perteklini><d:Pateikite_x0020_pasi_x016b_lymus>&lt;div class="ExternalClass92351D4977694F2EBCC690C29C16ED77"&gt;&lt;p&gt;​&lt;/p&gt;&lt;ol&gt;&lt;li&gt;Plačiau diegti, taikyti elektroninį dokumentų, ne tik įsakymų, raštų, bet ir turto apskaitos ir logistinėse operacijose (pajamavimas, apskaita, priėmimas-perdavimas, nurašymai ir t.t.), sprendimų perskirstyti, paskirstyti turtą karinių vienetų viduje tarp karinių vienetų, pajėgų, KAS institucijų pasirašymą per asmenų tą atlikti identifikaciją, autentifikavimą, įgaliojimą. Eliminuoti pasirašančius, kurių parašas „nesukuria jokios pridėtinės vertės&amp;quot;.&lt;/li&gt;&lt;li&gt;Unifikuoti ir automatizuoti, sukuriant atitinkamas prieigas/paskyras KAS, KAS institucijų ar jų padalinių lygiais, „standartinių&amp;quot; ataskaitų rengimą (išsitraukimą) iš IS, vietoje jų rengimo ir siuntinėjimo pagal kažkokias SVP, tvarkas su „&lt;em&gt;mėlynais antspaudais ir parašais&lt;/em&gt;&amp;quot; aukštesniems štabams, valdyboms, departamentams ir t.t.&amp;#160;&lt;br&gt;&lt;/li&gt;&lt;/ol&gt;&lt;p&gt;&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pateikite_x0020_pasi_x016b_lymus><d:Pasidalinkite_x0020_id_x0117_jom m:null="true" /><d:ID m:type="Edm.Int32">11</d:ID><d:Modified m:type="Edm.DateTime">2025-04-10T10:03:56Z</d:Modified><d:Created m:type="Edm.DateTime">2025-04-10T10:03:56Z</d:Created><d:AuthorId m:type="Edm.Int32">0</d:AuthorId><d:EditorId m:type="Edm.Int32">0</d:EditorId><d:OData__UIVersionString>1.0</d:OData__UIVersionString></m:properties></content></entry><entry m:etag="&quot;1&quot;"><id>Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(12)</id><category term="SP.Data.Kaip_x0020_nedaryti_x0020_verts_x0020_nekuriani_x0020_darbListItem" scheme="http://schemas.microsoft.com/ado/2007/08/dataservices/scheme" /><link rel="edit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(12)" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FirstUniqueAncestorSecurableObject" type="application/atom+xml;type=entry" title="FirstUniqueAncestorSecurableObject" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(12)/FirstUniqueAncestorSecurableObject" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/RoleAssignments" type="application/atom+xml;type=feed" title="RoleAssignments" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(12)/RoleAssignments" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/AttachmentFiles" type="application/atom+xml;type=feed" title="AttachmentFiles" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(12)/AttachmentFiles" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ContentType" type="application/atom+xml;type=entry" title="ContentType" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(12)/ContentType" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsHtml" type="application/atom+xml;type=entry" title="FieldValuesAsHtml" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(12)/FieldValuesAsHtml" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsText" type="application/atom+xml;type=entry" title="FieldValuesAsText" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(12)/FieldValuesAsText" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesForEdit" type="application/atom+xml;type=entry" title="FieldValuesForEdit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(12)/FieldValuesForEdit" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/File" type="application/atom+xml;type=entry" title="File" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(12)/File" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/Folder" type="application/atom+xml;type=entry" title="Folder" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(12)/Folder" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ParentList" type="application/atom+xml;type=entry" title="ParentList" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(12)/ParentList" /><title /><updated>2025-04-18T11:17:33Z</updated><author><name /></author><content type="application/xml"><m:properties><d:FileSystemObjectType m:type="Edm.Int32">0</d:FileSystemObjectType><d:Id m:type="Edm.Int32">12</d:Id><d:ContentTypeId>0x00171F379CCADF464EB719C824E7B24FEB</d:ContentTypeId><d:Identifikuokite_x0020_perteklini>&lt;div class="ExternalClass3F7316FAB9254099A2A23B1F8A86DA32"&gt;&lt;p&gt;​Perteklinis&amp;#160;2022 m. kovo 7 d.&amp;#160;KAM įsakymas&amp;#160;V-202 &amp;quot;Dėl mažos vertės pirkimų organizavimo&amp;quot; 1.3. punktas, kuriame nurodoma atlikti neskelbiamą apklausą per CVP IS, kai suma yra nuo 5000 iki 15000 Eur be PVM.&amp;#160;VPT direktoriaus nustatytoje mažos vertės pirkimų&amp;#160;tvarkoje&amp;#160;(2017-06-28 Nr.&amp;#160;1S-97) tokios prievolės nėra, tad toks KA ministro apribojimas&amp;#160;apsunkina&amp;#160;pirkimų procedūras ir pailgina pirkimo procedūras, nes tiekėjus reikia surasti, apsitarti galimas pirkimo sąlygas ir dar paprašyti, kad jungtųsi prie CVP&amp;#160;IS&amp;#160;sistemos. Kadangi tokio dydžio pirkimuose dažnai dalyvauja mažos įmonės,&amp;#160;kurios turi labai ribotus žmogiškuosius resursus,&amp;#160;tai dalis tiekėjų&amp;#160;atsisako dalyvauti neskelbiamoje apklausoje per CVP IS motyvuodami tuom, kad nemoka naudotis sistema ir neturi laiko mokytis,&amp;#160;neturi&amp;#160;darbuotojo&amp;#160;kuris tai darytų&amp;#160;ir pan. Tuomet tenka ieškoti kitų tiekėjų, kurie sutiktų teikti prekes ar&amp;#160;paslaugas&amp;#160;ir sudalyvautų neskelbiamoje apklausoje. Minėtas KAM įsakymas sumažina lankstumą ir greitį atliekant pirkimo procedūras, apsunkina pirkimų atliekančių asmenų funkcijų vykdymą.&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Identifikuokite_x0020_perteklini><d:Pateikite_x0020_pasi_x016b_lymus>&lt;div class="ExternalClassD4C521F27B2A4EB8B093880CE34F6F75"&gt;&lt;p&gt;​Naikinti 2022 m. kovo 7 d.&amp;#160;KAM įsakymo&amp;#160;V-202 &amp;quot;Dėl mažos vertės pirkimų organizavimo&amp;quot; 1.3. punktą.&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pateikite_x0020_pasi_x016b_lymus><d:Pasidalinkite_x0020_id_x0117_jom m:null="true" /><d:ID m:type="Edm.Int32">12</d:ID><d:Modified m:type="Edm.DateTime">2025-04-10T10:19:32Z</d:Modified><d:Created m:type="Edm.DateTime">2025-04-10T10:19:32Z</d:Created><d:AuthorId m:type="Edm.Int32">0</d:AuthorId><d:EditorId m:type="Edm.Int32">0</d:EditorId><d:OData__UIVersionString>1.0</d:OData__UIVersionString></m:properties></content></entry><entry m:etag="&quot;1&quot;"><id>Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(13)</id><category term="SP.Data.Kaip_x0020_nedaryti_x0020_verts_x0020_nekuriani_x0020_darbListItem" scheme="http://schemas.microsoft.com/ado/2007/08/dataservices/scheme" /><link rel="edit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(13)" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FirstUniqueAncestorSecurableObject" type="application/atom+xml;type=entry" title="FirstUniqueAncestorSecurableObject" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(13)/FirstUniqueAncestorSecurableObject" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/RoleAssignments" type="application/atom+xml;type=feed" title="RoleAssignments" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(13)/RoleAssignments" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/AttachmentFiles" type="application/atom+xml;type=feed" title="AttachmentFiles" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(13)/AttachmentFiles" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ContentType" type="application/atom+xml;type=entry" title="ContentType" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(13)/ContentType" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsHtml" type="application/atom+xml;type=entry" title="FieldValuesAsHtml" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(13)/FieldValuesAsHtml" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsText" type="application/atom+xml;type=entry" title="FieldValuesAsText" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(13)/FieldValuesAsText" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesForEdit" type="application/atom+xml;type=entry" title="FieldValuesForEdit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(13)/FieldValuesForEdit" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/File" type="application/atom+xml;type=entry" title="File" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(13)/File" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/Folder" type="application/atom+xml;type=entry" title="Folder" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(13)/Folder" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ParentList" type="application/atom+xml;type=entry" title="ParentList" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(13)/ParentList" /><title /><updated>2025-04-18T11:17:33Z</updated><author><name /></author><content type="application/xml"><m:properties><d:FileSystemObjectType m:type="Edm.Int32">0</d:FileSystemObjectType><d:Id m:type="Edm.Int32">13</d:Id><d:ContentTypeId>0x00171F379CCADF464EB719C824E7B24FEB</d:ContentTypeId><d:Identifikuokite_x0020_perteklini>&lt;div class="ExternalClass5260729E751C493EAE96E5DE90D5A00D"&gt;&lt;p&gt;​Politiniams padaliniams supaprastinti viešųjų pirkimų procedūrą ir perkelti šia atsakomybę KAM pirkėjams.&lt;br&gt;&lt;/p&gt;&lt;p&gt;Perteklinis metinis finansų, komandiruočių ir kt. dokumentų planavimas&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Identifikuokite_x0020_perteklini><d:Pateikite_x0020_pasi_x016b_lymus m:null="true" /><d:Pasidalinkite_x0020_id_x0117_jom>&lt;div class="ExternalClassABF53E73F57D4F7394D23BFA5CB7F05F"&gt;&lt;p&gt;​Darbas turi būti atliekamas ne greičiau, o efektyviau.&lt;br&gt;&lt;/p&gt;&lt;p&gt;Greitis nėra lygus kokybei.&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pasidalinkite_x0020_id_x0117_jom><d:ID m:type="Edm.Int32">13</d:ID><d:Modified m:type="Edm.DateTime">2025-04-10T10:19:55Z</d:Modified><d:Created m:type="Edm.DateTime">2025-04-10T10:19:55Z</d:Created><d:AuthorId m:type="Edm.Int32">0</d:AuthorId><d:EditorId m:type="Edm.Int32">0</d:EditorId><d:OData__UIVersionString>1.0</d:OData__UIVersionString></m:properties></content></entry><entry m:etag="&quot;1&quot;"><id>Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(14)</id><category term="SP.Data.Kaip_x0020_nedaryti_x0020_verts_x0020_nekuriani_x0020_darbListItem" scheme="http://schemas.microsoft.com/ado/2007/08/dataservices/scheme" /><link rel="edit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(14)" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FirstUniqueAncestorSecurableObject" type="application/atom+xml;type=entry" title="FirstUniqueAncestorSecurableObject" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(14)/FirstUniqueAncestorSecurableObject" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/RoleAssignments" type="application/atom+xml;type=feed" title="RoleAssignments" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(14)/RoleAssignments" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/AttachmentFiles" type="application/atom+xml;type=feed" title="AttachmentFiles" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(14)/AttachmentFiles" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ContentType" type="application/atom+xml;type=entry" title="ContentType" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(14)/ContentType" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsHtml" type="application/atom+xml;type=entry" title="FieldValuesAsHtml" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(14)/FieldValuesAsHtml" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsText" type="application/atom+xml;type=entry" title="FieldValuesAsText" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(14)/FieldValuesAsText" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesForEdit" type="application/atom+xml;type=entry" title="FieldValuesForEdit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(14)/FieldValuesForEdit" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/File" type="application/atom+xml;type=entry" title="File" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(14)/File" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/Folder" type="application/atom+xml;type=entry" title="Folder" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(14)/Folder" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ParentList" type="application/atom+xml;type=entry" title="ParentList" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(14)/ParentList" /><title /><updated>2025-04-18T11:17:33Z</updated><author><name /></author><content type="application/xml"><m:properties><d:FileSystemObjectType m:type="Edm.Int32">0</d:FileSystemObjectType><d:Id m:type="Edm.Int32">14</d:Id><d:ContentTypeId>0x00171F379CCADF464EB719C824E7B24FEB</d:ContentTypeId><d:Identifikuokite_x0020_perteklini>&lt;div class="ExternalClassFAF18E87AEC44DD6AB01AB337E665B28"&gt;&lt;p&gt;Problema&amp;#58;&lt;/p&gt;&lt;p&gt;Tarnybos vieta LK SO KMT, tad tenka atsižvelgti tiek KAM tiek SAM.&lt;br&gt; Mano iki 70% (vertinau tik keletą specifinių savo darbo dienų) darbo yra bereikalingas biurokratijos aiškinimasis, kur vienas įsakymas veda prie kito, tenka peržiūrėti kelis šimtus puslapių dokumentų, o atsakymas ne visada randamas. Neretai vienas įsakymas prieštarauja kitam.&lt;br&gt; Dabartinė biurokratinė sistema sukuria darbo vietą, kur darosi&amp;#160;nebeįmanoma užduoties atlikti tikrai gerai, dėl ko visų procesų kokybė tampa&amp;#160;žema, nors dauguma atveju turimi išteliai ir&amp;#160;fizinės galimybės yra neblogos.&lt;br&gt;&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Identifikuokite_x0020_perteklini><d:Pateikite_x0020_pasi_x016b_lymus m:null="true" /><d:Pasidalinkite_x0020_id_x0117_jom>&lt;div class="ExternalClass1FA87E7B19F74D49AA27AA11E53EAACF"&gt;&lt;p&gt;​Jau esu įvertinęs galimybes tam naudoti dirbtinį intelektą.&lt;br&gt; Dėl saugumo reikia naudoti uždarą (vidinio tinklo) duomenų bazę ir semantinę analizę. Tam tinkamų įrankių taip pat yra.&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pasidalinkite_x0020_id_x0117_jom><d:ID m:type="Edm.Int32">14</d:ID><d:Modified m:type="Edm.DateTime">2025-04-10T10:22:54Z</d:Modified><d:Created m:type="Edm.DateTime">2025-04-10T10:22:54Z</d:Created><d:AuthorId m:type="Edm.Int32">0</d:AuthorId><d:EditorId m:type="Edm.Int32">0</d:EditorId><d:OData__UIVersionString>1.0</d:OData__UIVersionString></m:properties></content></entry><entry m:etag="&quot;1&quot;"><id>Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(15)</id><category term="SP.Data.Kaip_x0020_nedaryti_x0020_verts_x0020_nekuriani_x0020_darbListItem" scheme="http://schemas.microsoft.com/ado/2007/08/dataservices/scheme" /><link rel="edit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(15)" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FirstUniqueAncestorSecurableObject" type="application/atom+xml;type=entry" title="FirstUniqueAncestorSecurableObject" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(15)/FirstUniqueAncestorSecurableObject" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/RoleAssignments" type="application/atom+xml;type=feed" title="RoleAssignments" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(15)/RoleAssignments" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/AttachmentFiles" type="application/atom+xml;type=feed" title="AttachmentFiles" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(15)/AttachmentFiles" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ContentType" type="application/atom+xml;type=entry" title="ContentType" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(15)/ContentType" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsHtml" type="application/atom+xml;type=entry" title="FieldValuesAsHtml" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(15)/FieldValuesAsHtml" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsText" type="application/atom+xml;type=entry" title="FieldValuesAsText" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(15)/FieldValuesAsText" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesForEdit" type="application/atom+xml;type=entry" title="FieldValuesForEdit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(15)/FieldValuesForEdit" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/File" type="application/atom+xml;type=entry" title="File" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(15)/File" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/Folder" type="application/atom+xml;type=entry" title="Folder" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(15)/Folder" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ParentList" type="application/atom+xml;type=entry" title="ParentList" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(15)/ParentList" /><title /><updated>2025-04-18T11:17:33Z</updated><author><name /></author><content type="application/xml"><m:properties><d:FileSystemObjectType m:type="Edm.Int32">0</d:FileSystemObjectType><d:Id m:type="Edm.Int32">15</d:Id><d:ContentTypeId>0x00171F379CCADF464EB719C824E7B24FEB</d:ContentTypeId><d:Identifikuokite_x0020_perteklini m:null="true" /><d:Pateikite_x0020_pasi_x016b_lymus m:null="true" /><d:Pasidalinkite_x0020_id_x0117_jom>&lt;div class="ExternalClassBD3DA76BB7E9415A9554F2DD8C23AA3C"&gt;&lt;p&gt;1. ​Karininkai, kurie dirba operaciniame lygmenyje privalo turėti atitinkamo lygmens kvalifikaciją, o ne mokintis tarnaujant. Operacinio lygmens kompetencijos suteikiamos L3 kursų metu, nors operacinio lygmens pareigos dažniausia prasideda nuo majoro (L2) lygmens. SIŪLYMAS&amp;#58; planuoti operacinio planavimo kursus visiems atitinkamas pareigas užimantiems kariams, kad jie užimdami pareigas jau gebėtų tinkamai vykdyti funkcijas.&lt;br&gt;&lt;/p&gt;&lt;p&gt;2. Kompetencijų išlaikymas nėra efektyvus, nes karininkų karjeros kryptys keičiasi (operacijų, planavimo, personalo valdymo, neišlaikomos kryptys). SIŪLYMAS&amp;#58; karininkų kompetencijų ir rengimo kryptis derinti su jais pačiais kad būtų išlaikomos kryptys ir pateisinami abiejų pusių lūkesčiai, išlaikoma motyvacija, išlaikoma &amp;quot;institucinė atmintis&amp;quot;, gebėjimai ir kompetencijos.&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pasidalinkite_x0020_id_x0117_jom><d:ID m:type="Edm.Int32">15</d:ID><d:Modified m:type="Edm.DateTime">2025-04-10T10:23:33Z</d:Modified><d:Created m:type="Edm.DateTime">2025-04-10T10:23:33Z</d:Created><d:AuthorId m:type="Edm.Int32">0</d:AuthorId><d:EditorId m:type="Edm.Int32">0</d:EditorId><d:OData__UIVersionString>1.0</d:OData__UIVersionString></m:properties></content></entry><entry m:etag="&quot;1&quot;"><id>Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(16)</id><category term="SP.Data.Kaip_x0020_nedaryti_x0020_verts_x0020_nekuriani_x0020_darbListItem" scheme="http://schemas.microsoft.com/ado/2007/08/dataservices/scheme" /><link rel="edit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(16)" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FirstUniqueAncestorSecurableObject" type="application/atom+xml;type=entry" title="FirstUniqueAncestorSecurableObject" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(16)/FirstUniqueAncestorSecurableObject" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/RoleAssignments" type="application/atom+xml;type=feed" title="RoleAssignments" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(16)/RoleAssignments" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/AttachmentFiles" type="application/atom+xml;type=feed" title="AttachmentFiles" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(16)/AttachmentFiles" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ContentType" type="application/atom+xml;type=entry" title="ContentType" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(16)/ContentType" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsHtml" type="application/atom+xml;type=entry" title="FieldValuesAsHtml" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(16)/FieldValuesAsHtml" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsText" type="application/atom+xml;type=entry" title="FieldValuesAsText" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(16)/FieldValuesAsText" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesForEdit" type="application/atom+xml;type=entry" title="FieldValuesForEdit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(16)/FieldValuesForEdit" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/File" type="application/atom+xml;type=entry" title="File" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(16)/File" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/Folder" type="application/atom+xml;type=entry" title="Folder" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(16)/Folder" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ParentList" type="application/atom+xml;type=entry" title="ParentList" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(16)/ParentList" /><title /><updated>2025-04-18T11:17:33Z</updated><author><name /></author><content type="application/xml"><m:properties><d:FileSystemObjectType m:type="Edm.Int32">0</d:FileSystemObjectType><d:Id m:type="Edm.Int32">16</d:Id><d:ContentTypeId>0x00171F379CCADF464EB719C824E7B24FEB</d:ContentTypeId><d:Identifikuokite_x0020_perteklini>&lt;div class="ExternalClass3BB5D9F6680F4A83B5A1FD5D2F2D6608"&gt;&lt;p&gt;1.&amp;#160;Savaitiniai pasitarimai, tarp rinktinės ir kuopos&amp;#160;valdymo grupės, turime pateikti info ką atlikome/atliksime&amp;#160;praeita, esamą sekančią ir dvi saitaitės plius iš esmės, visa ta informacija štabams prieinama, nes jie gauna informaciją įsakymų derinimui, tai išeina, kad sviestą sviestuojam ir dar naikiname išteklius važiuodami kiekvieną savaitę kartais net virš 100 km. tam, kad pasidalinti tarp savo vienetu informacija, kurią štabas ir taip žino.&lt;br&gt;&lt;/p&gt;&lt;p&gt;2. ERVIS dokumentacija, daug išteklių sunaudojeme tam, kad vežtumėm dokumentus į štabą kuriame turime surinkti parašus žmonių kurie, tuos dokumentus jau derino pačioje ERVIS sistemo tai tai labiausiai liečia 6-kam, 15-kam ir 16-kam formas. Turime skaitmenizuotą sistemą, kuri saugo visus duomenis, tai nesuprantu dėl kokios priežasties reikia archivuoti popierinius dokumentus&amp;#160;papildomai.&lt;br&gt;&lt;/p&gt;&lt;p&gt;3. Suvestinės kurias turimime pateikti S3, S4 ir štabui, apskritai manau jau atėjo laikas ištikro pradėti naudoti elektroninius parašus, nes vėl gaunasi, kad dokumentus ir atąskaitas privalome atsiūsti paštu&amp;#160;po to, privalome atvykti išpaskos tam, kad atvežti tapatį dokumentą su parašu,&amp;#160;nors viską būtų galima atlikti vienu metu.&lt;br&gt;&lt;/p&gt;&lt;p&gt;4. Karių savanorių paaiškinamieji raštai, dėl ko jie nedalyvavo pratybose, kažkoks popierius vardan popieriaus jie visi gali rašyti nesuderinu su darbu, šeimos šventė, minėjimas ir t. t...&amp;#160;o laiko atima tikrai daug. Manau visiškai nereikalingas dokumentas kuris neatneša jokios naudos ir papildomai demotivuoja karius savanorius, nes jie galvoja, kad šis popierius yra kažkokia nuobauda.&lt;br&gt;&lt;/p&gt;&lt;p&gt;&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Identifikuokite_x0020_perteklini><d:Pateikite_x0020_pasi_x016b_lymus>&lt;div class="ExternalClass306D43D0602F4BBEA4546AD902DEF05A"&gt;&lt;p&gt;​1. Karių savanorių tarnybos sutarti reikiają pakeisti, kad ji būtų panaši į PKT karių, tam kad jie žinotu jog jie materialiai atsako už savo ir kariuomenės turtą nes dabar apsoliuti dauguma į kariuomenės išduotą turtą žiūri kaip į dovaną.&lt;br&gt;&lt;/p&gt;&lt;p&gt;2. Reikai keisti laisvų dienų pasiėmimo tvarką, labai geras principas viską daryti per Avilį, bet labai jau sudėtingai viskas atrodo, negalima kelių įsakymų sudėti į vieną ir išeiti iškart kelioms skirtngoms dienoms, būtini vizavimai nežinau kokia iš to nauda, gaunasi papildomas dokumentas niekam.&lt;br&gt;&lt;/p&gt;&lt;p&gt;3. Reikia galų gale išlipt iš viduramžiu ir leisti tiek PKT tiek kariams savanoriams nešioti barzdas, suprantu, kad tiems kam ji neauga tai problemų nesukelia, bet apsoliuti pasaulio dauguma barzdų nebijo ir tų karių būtų lengviau surinkti jei nereiktu iš kiekvieno leidimų viskam reikalauti.Plius gaunasi atskirtis tarp akrių kurie nori auginti ir jiems neleidžia, juolabiau kai primenamos mums kariuomenės vertybės kiekvienų pratybų ir užsiėmimu metu, bet kai reikia pažiūrėti į paprastą karį tai vertybės nebegalioja lieka tik pareigos kurias privalai vykdyti tam, kad kažkokiam puskarininkiui ar vadui būtų geriau.&lt;/p&gt;&lt;p&gt;4. Reiktu peržiūrėti ir gal pateikti pasiūlimą dėl dvigubų valstybinių pensijų, kaip pavizdys karys, pilietiškas duoda kraują kaip donoras 20 metų nepertraukiamai ir jam priklauso valstybinė išmoka kaip ir visiems kitiems lietuvos piliečiams, bet jei tu karys tau nepriklauso nes istatimiškai draudžiama gauti dvi valstybines pensijas ir tai liečia tiek karius kurie keičia tarnybos vietą pereina į policiją, priešgaisrines saugos tarnybas.&lt;br&gt;&lt;/p&gt;&lt;p&gt;5. Mano nuomone yra labai neteisinga už kelių eimo taisyklių pažeidimus bausti PKT karius papildomai įpač kai tie nusižengimai verti 15 eurų bet visvien reikia bent papeikimą ant viršaus nors transporto prionė asmeninė įvikis ne tarnybos metu be uniformos, suprantu, kad męs turime rodyti gerą pavyzdį visuomenei bet esu ne kartą susidures su tokiom situacijom kuriuose esi visiškai nekaltas bet papildomai esam baudžiami.&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pateikite_x0020_pasi_x016b_lymus><d:Pasidalinkite_x0020_id_x0117_jom>&lt;div class="ExternalClass0BA74B011CA142F684116580AB1B670C"&gt;&lt;p&gt;1. Reikia paprastinti procedūras tam, kad gauti log. aprūpinimą kariams savanoriams šiuo metu situacija tokia, kad norint gauti sausų davinių, tai mūsų pratybų paraišką turi vizuoti sausumos pajėgų vadas, nejau čia generolo darbas. Patis save kaustom procedurom ir paprastas, procedūras ištempiam į mėnesinius projektus.&lt;br&gt;&lt;/p&gt;&lt;p&gt;2. V-1000 reikia atlikti kažkokį papildomą išaiškinimą, nes dabar pratybų dokumentacijos visai nebeaiškios, gaunasi, kad jei štabas interpretuoją įsakyma ne taip, kaip parašyta, tai mes, net tamsiu paros metu negalime išeit į lauką be lauko taktikos pratybų plano su 15 priedų, nors užsiėmimas kelio kirtimai arba orientacinis žygis tamsiu paros metu, ko pasekoje derinimai išsitempia į tris savaites. ir tas Skirtumas tarp suvokimų tikrai jaučiasi vienuose rinktinėse KRP užtenka tvarkaraščio ir pratybų planų konspektu kitur reikia detalaus pratybų plano C, E, Apriedo trečio priedelio labai daug popieriaus. iš šono žiūrint atrodo specialiai taip daroma tam, kad mes kaip pėstininkų kuopos negalėtumėm susikurti įdomesnių pratybų.&lt;br&gt;&lt;/p&gt;&lt;p&gt;&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pasidalinkite_x0020_id_x0117_jom><d:ID m:type="Edm.Int32">16</d:ID><d:Modified m:type="Edm.DateTime">2025-04-10T10:36:04Z</d:Modified><d:Created m:type="Edm.DateTime">2025-04-10T10:36:04Z</d:Created><d:AuthorId m:type="Edm.Int32">0</d:AuthorId><d:EditorId m:type="Edm.Int32">0</d:EditorId><d:OData__UIVersionString>1.0</d:OData__UIVersionString></m:properties></content></entry><entry m:etag="&quot;1&quot;"><id>Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(17)</id><category term="SP.Data.Kaip_x0020_nedaryti_x0020_verts_x0020_nekuriani_x0020_darbListItem" scheme="http://schemas.microsoft.com/ado/2007/08/dataservices/scheme" /><link rel="edit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(17)" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FirstUniqueAncestorSecurableObject" type="application/atom+xml;type=entry" title="FirstUniqueAncestorSecurableObject" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(17)/FirstUniqueAncestorSecurableObject" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/RoleAssignments" type="application/atom+xml;type=feed" title="RoleAssignments" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(17)/RoleAssignments" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/AttachmentFiles" type="application/atom+xml;type=feed" title="AttachmentFiles" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(17)/AttachmentFiles" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ContentType" type="application/atom+xml;type=entry" title="ContentType" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(17)/ContentType" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsHtml" type="application/atom+xml;type=entry" title="FieldValuesAsHtml" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(17)/FieldValuesAsHtml" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsText" type="application/atom+xml;type=entry" title="FieldValuesAsText" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(17)/FieldValuesAsText" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesForEdit" type="application/atom+xml;type=entry" title="FieldValuesForEdit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(17)/FieldValuesForEdit" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/File" type="application/atom+xml;type=entry" title="File" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(17)/File" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/Folder" type="application/atom+xml;type=entry" title="Folder" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(17)/Folder" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ParentList" type="application/atom+xml;type=entry" title="ParentList" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(17)/ParentList" /><title /><updated>2025-04-18T11:17:33Z</updated><author><name /></author><content type="application/xml"><m:properties><d:FileSystemObjectType m:type="Edm.Int32">0</d:FileSystemObjectType><d:Id m:type="Edm.Int32">17</d:Id><d:ContentTypeId>0x00171F379CCADF464EB719C824E7B24FEB</d:ContentTypeId><d:Identifikuokite_x0020_perteklini>&lt;div class="ExternalClass9BC08F9ACA484E328BA8676868206751"&gt;&lt;p&gt;&lt;strong&gt;Nurašymas.&lt;/strong&gt;&lt;br&gt;&lt;/p&gt;&lt;p&gt;Kuopos yra nutolusios nuo rinktinės štabo, norint padaryti nurašymą, reikia vykti į rinktinę pasiimti parašus, atvykus į rinktinę, dažnai būna, kad nerandam nurašymo komisijos narių.&amp;#160;&lt;br&gt;&lt;strong&gt;6-KAM formų teikimas.&lt;br&gt;&lt;/strong&gt;Pateikiame ervis sistemoje ir taip pat spauzdintą variantą.&lt;br&gt;&lt;strong&gt;Kuras&lt;/strong&gt;&lt;br&gt;&lt;/p&gt;&lt;p&gt;&lt;strong&gt;&lt;/strong&gt;Šiuo metu, pilame kurą į kanistrus, o juos laikome kuopavietėje. Jau vien veždami daugiau nei 60L kuro transporto priemonėje, nusižengiame įstatymas. Kuro ataskaitos skaičiuojamos kiek pripilta į kanistrus, kiek iš kanistrų į transporto priemones. Problema pripilant pilnus bagus, nes nežinai kiek dar ten telpa. Tai pilant kurą sunku apskaičiuoti kiek supilta, jei telpa 1 pilnas (20l) ir kito kanistro dalis 1/3.&amp;#160;Rinktinėje yra kuro kortelės kur degalinių tinklas yra tik aplink Šiaulių miestą, tad važiuojant į kursą, nėra galimybės užsipilti kuro, tad imame kanistrą.&lt;br&gt;&lt;/p&gt;&lt;p&gt;&lt;strong&gt;Transporto tikrinimas.&lt;/strong&gt;&lt;br&gt;&lt;/p&gt;&lt;p&gt;Pagal rinktinės vado įsakymą V-184, 2025m., kovo 21d. Transportą tikriname kiekvieną savaitę, bei keliame į @vily tarnybinį pranešimą apie patikrintas transporto priemones.&amp;#160;Nors dažnu atvėjų, kai kuris transportas per tikrinamajį&amp;#160;laikotarpį nebuvo naudojamas. O jei ir transporte yra gedimų, per savaitę jų ištaisyti dažnu atvėjų nepavyksta.&amp;#160;&lt;br&gt;&lt;/p&gt;&lt;p&gt;&lt;b&gt;Ginklų išdavimas&lt;/b&gt;&lt;/p&gt;&lt;p&gt;Išduodant ginkus, pildome į laikinojo materialinių vertybių išdavimo registrą, ranka reikia įrašyti į išdavimo registrą visus ginklus, ginklų priedus, jų numerius, datas..&amp;#160;&lt;br&gt;&lt;/p&gt;&lt;p&gt;&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Identifikuokite_x0020_perteklini><d:Pateikite_x0020_pasi_x016b_lymus>&lt;div class="ExternalClass4BA88B08AD004E1383C69961B488CEF4"&gt;&lt;p&gt;​&lt;strong&gt;Nurašymas.&lt;br&gt;&lt;/strong&gt;Galėtu vietoj parašo, ervis sitemoje&amp;#160;patvirtinti operaciją, ten visi pridėti dokumentai matytusi.&lt;br&gt;&lt;/p&gt;&lt;p&gt;&lt;strong&gt;6-KAM formų teikimas.&lt;/strong&gt;&lt;br&gt;&lt;/p&gt;&lt;p&gt;Pateikti tik ervis sistemoje.&lt;br&gt;&lt;/p&gt;&lt;p&gt;&lt;strong&gt;&lt;/strong&gt;&lt;strong&gt;Kuras&lt;/strong&gt;&lt;br&gt;&lt;/p&gt;&lt;p&gt;Padaryti sutartis su degaline, kurios tinklas paplitęs po visą Lietuvą,&amp;#160;kurioje būtų galima užsipilti kuro,&lt;br&gt;&lt;/p&gt;&lt;p&gt;&lt;strong&gt;Transporto tikrinimas&lt;/strong&gt;&lt;br&gt;&lt;/p&gt;&lt;p&gt;Kontrolė dėl transporto priemonių tikrai gerai, bet ar verta tai daryti kiekvieną savaitę, gal būt būtų naudingiau jį atlikti kartą į mėnėsį?&lt;br&gt;&lt;/p&gt;&lt;p&gt;&lt;strong&gt;Ginklų išdavimas&lt;/strong&gt;&lt;br&gt;&lt;/p&gt;&lt;p&gt;Pasiruošti išdavimo šabloną, su jau surašytais duomenimis, kur užtektų uždėti tik parašus. Įsakymą pagal kurį buvo išduoti ginklai, būtų prisegtas prie išdavimo registro ir kaupiami.&lt;br&gt;&lt;/p&gt;&lt;p&gt;&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pateikite_x0020_pasi_x016b_lymus><d:Pasidalinkite_x0020_id_x0117_jom>&lt;div class="ExternalClassFDB86B69931D4810A73B46FB736B16AC"&gt;&lt;p&gt;​KASP kuopų ginklinės nutolusios nuo kuopų (mūsų atvieju 75km) tad vien tik pasiimt imitacijos kovinio rengimo pratyboms, reikia suvažinėti virš 300km. Nuo kuopavietės vykti į ginklinę, pasiimti ginklą apsaugai, vykti į rinktinę, kur yra V klasės tiekimo sandelis pasiimti imitaciją, grįžti į ginklinę pasidėti įmitaciją bei ginklą apsaugai ir grįžimas į kuopavietę.&amp;#160;Tad siūlymas, kad bent kuopavietėje įrengtų seifą, kuriame galėtų laikyti pistoletą su šoviniais.Taip pat, jei reikia pasiimti karį iš kurso ta pati problemą.&lt;/p&gt;&lt;p&gt;&lt;br&gt;&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pasidalinkite_x0020_id_x0117_jom><d:ID m:type="Edm.Int32">17</d:ID><d:Modified m:type="Edm.DateTime">2025-04-10T10:49:41Z</d:Modified><d:Created m:type="Edm.DateTime">2025-04-10T10:49:41Z</d:Created><d:AuthorId m:type="Edm.Int32">0</d:AuthorId><d:EditorId m:type="Edm.Int32">0</d:EditorId><d:OData__UIVersionString>1.0</d:OData__UIVersionString></m:properties></content></entry><entry m:etag="&quot;1&quot;"><id>Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(18)</id><category term="SP.Data.Kaip_x0020_nedaryti_x0020_verts_x0020_nekuriani_x0020_darbListItem" scheme="http://schemas.microsoft.com/ado/2007/08/dataservices/scheme" /><link rel="edit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(18)" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FirstUniqueAncestorSecurableObject" type="application/atom+xml;type=entry" title="FirstUniqueAncestorSecurableObject" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(18)/FirstUniqueAncestorSecurableObject" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/RoleAssignments" type="application/atom+xml;type=feed" title="RoleAssignments" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(18)/RoleAssignments" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/AttachmentFiles" type="application/atom+xml;type=feed" title="AttachmentFiles" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(18)/AttachmentFiles" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ContentType" type="application/atom+xml;type=entry" title="ContentType" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(18)/ContentType" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsHtml" type="application/atom+xml;type=entry" title="FieldValuesAsHtml" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(18)/FieldValuesAsHtml" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsText" type="application/atom+xml;type=entry" title="FieldValuesAsText" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(18)/FieldValuesAsText" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesForEdit" type="application/atom+xml;type=entry" title="FieldValuesForEdit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(18)/FieldValuesForEdit" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/File" type="application/atom+xml;type=entry" title="File" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(18)/File" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/Folder" type="application/atom+xml;type=entry" title="Folder" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(18)/Folder" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ParentList" type="application/atom+xml;type=entry" title="ParentList" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(18)/ParentList" /><title /><updated>2025-04-18T11:17:33Z</updated><author><name /></author><content type="application/xml"><m:properties><d:FileSystemObjectType m:type="Edm.Int32">0</d:FileSystemObjectType><d:Id m:type="Edm.Int32">18</d:Id><d:ContentTypeId>0x00171F379CCADF464EB719C824E7B24FEB</d:ContentTypeId><d:Identifikuokite_x0020_perteklini>&lt;div class="ExternalClass78D71E6DAE43404EAAD4D200EFCDA744"&gt;&lt;p&gt;​Finansinės tarnybinių komandiruočių ataskaitos. Pavykus pereiti prie kultūrinio modelio pagrįsto institucine branda, o ne visuotiniu nepasitikėjimu būtų galima pasiekti gerų rezultatų.&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Identifikuokite_x0020_perteklini><d:Pateikite_x0020_pasi_x016b_lymus>&lt;div class="ExternalClass72132CC06B66499AA9DD9CDEF50352C3"&gt;&lt;p&gt;​Avansinių apyskaitų sudarymo tvarkos aprašas&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pateikite_x0020_pasi_x016b_lymus><d:Pasidalinkite_x0020_id_x0117_jom>&lt;div class="ExternalClass429A9FB515B54CAC90A1020436B5B3A0"&gt;&lt;p&gt;​Manau, kad įvedus &amp;quot;tarnybinių komandiruočių&amp;quot; bankines korteles apyskaitų teikimas būtų daug lengvesnis ir reikalautų mažiau institucinių sąnaudų (ypač iš žmonių, kuriems finansai nėra pagrindinė tarnybinė užduotis). jei teisingai supratau bendraudamas su kolegomis iš Danijos - tokia sistema pas juos įdiegta jau ne mažiau nei 10 metų. T.y. asmuo grįžęs iš komandiruotės gauna išrašą apie visus jo atsiskaitymus kelionės metu ir viskas ką jam reika padaryti tai sužymėti kurios išlaidos buvo tarnybinės, o kurios asmeninės (šią galimybę pradžiai būtų galima atidėti/neįgyvendinti). Sistema lyg ir itin paprasta, tačiau grindžiama išskirtiniu pasitikėjimu tarp darbdavio ir darbuotojo. Tai būtų labai didelis kokybinis žingsnis ne vien administracinės naštos mažinime, bet ir naujo lygio ryšiuose (darbuotojas/darbdavys).&amp;#160;&lt;br&gt;&lt;/p&gt;&lt;p&gt;Manant, kad siūlymas perspektyvus reikėtų&amp;#58;&lt;br&gt;&lt;/p&gt;&lt;p&gt;1. pilnai išsiaiškinti Danijos &amp;quot;modelį&amp;quot;&lt;br&gt;&lt;/p&gt;&lt;p&gt;2. Sukurti įgyvendinimo planą.&lt;br&gt;&lt;/p&gt;&lt;p&gt;3. Numatyti kultūrinio perėjimo prie naujojo modelio etapus&lt;br&gt;&lt;/p&gt;&lt;p&gt;4. Įgyvendinti&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pasidalinkite_x0020_id_x0117_jom><d:ID m:type="Edm.Int32">18</d:ID><d:Modified m:type="Edm.DateTime">2025-04-10T11:41:45Z</d:Modified><d:Created m:type="Edm.DateTime">2025-04-10T11:41:45Z</d:Created><d:AuthorId m:type="Edm.Int32">0</d:AuthorId><d:EditorId m:type="Edm.Int32">0</d:EditorId><d:OData__UIVersionString>1.0</d:OData__UIVersionString></m:properties></content></entry><entry m:etag="&quot;1&quot;"><id>Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(19)</id><category term="SP.Data.Kaip_x0020_nedaryti_x0020_verts_x0020_nekuriani_x0020_darbListItem" scheme="http://schemas.microsoft.com/ado/2007/08/dataservices/scheme" /><link rel="edit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(19)" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FirstUniqueAncestorSecurableObject" type="application/atom+xml;type=entry" title="FirstUniqueAncestorSecurableObject" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(19)/FirstUniqueAncestorSecurableObject" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/RoleAssignments" type="application/atom+xml;type=feed" title="RoleAssignments" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(19)/RoleAssignments" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/AttachmentFiles" type="application/atom+xml;type=feed" title="AttachmentFiles" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(19)/AttachmentFiles" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ContentType" type="application/atom+xml;type=entry" title="ContentType" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(19)/ContentType" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsHtml" type="application/atom+xml;type=entry" title="FieldValuesAsHtml" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(19)/FieldValuesAsHtml" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsText" type="application/atom+xml;type=entry" title="FieldValuesAsText" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(19)/FieldValuesAsText" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesForEdit" type="application/atom+xml;type=entry" title="FieldValuesForEdit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(19)/FieldValuesForEdit" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/File" type="application/atom+xml;type=entry" title="File" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(19)/File" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/Folder" type="application/atom+xml;type=entry" title="Folder" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(19)/Folder" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ParentList" type="application/atom+xml;type=entry" title="ParentList" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(19)/ParentList" /><title /><updated>2025-04-18T11:17:33Z</updated><author><name /></author><content type="application/xml"><m:properties><d:FileSystemObjectType m:type="Edm.Int32">0</d:FileSystemObjectType><d:Id m:type="Edm.Int32">19</d:Id><d:ContentTypeId>0x00171F379CCADF464EB719C824E7B24FEB</d:ContentTypeId><d:Identifikuokite_x0020_perteklini>&lt;div class="ExternalClass6BEF9F53554D4F15BEDF5DA46F6DE258"&gt;&lt;p&gt;​Dirbame su SABIS, ERVIS sistemomis, turime e-parašus, tačiau visas gautas sąskaitas ar parengtas ataskaitas&amp;#160;privalome patvirtinti SABIS ar ERVIS&amp;#160;sistemoje, jas atspausdinti,&amp;#160;pasirašyti &amp;quot;gyvu&amp;quot; parašu ir siųsti skanuotas&amp;#160;el. paštu į įstaigos buhalteriją, kuri taip pat atsispausdinusi sudeda &amp;quot;gyvus&amp;quot; parašus ir veža dokumentus į FAD. Tikslinga būtų išnaudoti @vilį įdiegus įskiepį sąskaitų pateikimui,&amp;#160;derinimui ir&amp;#160; pasirašymui iki galutinio vartotojo. Taip mažintume popieriaus vartojimą, archyvų poreikį ir didintume darbo našumą&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Identifikuokite_x0020_perteklini><d:Pateikite_x0020_pasi_x016b_lymus>&lt;div class="ExternalClass0382AC2092E743D58B923284C126E360"&gt;&lt;p&gt;​Keisti&amp;#160;&lt;span style="font-family&amp;#58;calibri;color&amp;#58;#595959;font-size&amp;#58;14.6667px;"&gt;LR Krašto
-
-    apsaugos ministro 2012 m. liepos 16 d. įsakymu Nr. V-808 „Statinių paprastojo
-
-    remonto darbų tvarkos aprašas“ ir priskirti ĮAT papildomą funkciją, vykdyti I ir II gr. nesudėtingų statinių statybą (Jei tai nenumatyta IVA vystomų projektų apimtyje)&lt;/span&gt;&lt;span style="color&amp;#58;#595959;font-family&amp;#58;calibri;font-size&amp;#58;14.6667px;text-indent&amp;#58;-0.31in;"&gt;.&lt;/span&gt;&lt;/p&gt;&lt;p&gt;&lt;span style="color&amp;#58;#595959;font-family&amp;#58;calibri;font-size&amp;#58;14.6667px;text-indent&amp;#58;-0.31in;"&gt;&amp;#160;Iš aptarnaujamų padalinių vis dažniau atsiranda poreikis įrengti aikšteles ar panašius statinius transporto, amunicijos ar kitų vertybių laikymui, tačiau pagal dabar galiojančias tvarkas, tokie statiniai gali būti statomi tik per IVA kuruojamus projektus (dėl didelio IVA užimtumo, tokie menkaverčiai (finansine prasme) projektai niekada neįgivendinami).&lt;/span&gt;&lt;/p&gt;&lt;p&gt;&lt;span style="color&amp;#58;#595959;font-family&amp;#58;calibri;font-size&amp;#58;14.6667px;text-indent&amp;#58;-0.31in;"&gt;Įgalinus šią funkciją būtų galima s&lt;span style="font-family&amp;#58;calibri;color&amp;#58;#595959;"&gt;parčiau
-
-    gerinti&amp;#160;KAS dalinių &lt;/span&gt;&lt;span style="font-family&amp;#58;calibri;color&amp;#58;#595959;"&gt;gerbūvis&lt;/span&gt;&lt;span style="font-family&amp;#58;calibri;color&amp;#58;#595959;"&gt; įrengiant
-
-    naujus privažiavimo kelius prie statinių, rūkyklas, aikšteles konteineriams,
-
-    automobiliams ir kitus statinius reikalingus dalinio funkcionavimui.&lt;/span&gt;&lt;/span&gt;&lt;/p&gt;&lt;p&gt;&lt;span style="font-family&amp;#58;calibri;color&amp;#58;#595959;font-size&amp;#58;14.6667px;"&gt;&lt;/span&gt;&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pateikite_x0020_pasi_x016b_lymus><d:Pasidalinkite_x0020_id_x0117_jom m:null="true" /><d:ID m:type="Edm.Int32">19</d:ID><d:Modified m:type="Edm.DateTime">2025-04-10T11:50:22Z</d:Modified><d:Created m:type="Edm.DateTime">2025-04-10T11:50:22Z</d:Created><d:AuthorId m:type="Edm.Int32">0</d:AuthorId><d:EditorId m:type="Edm.Int32">0</d:EditorId><d:OData__UIVersionString>1.0</d:OData__UIVersionString></m:properties></content></entry><entry m:etag="&quot;1&quot;"><id>Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(20)</id><category term="SP.Data.Kaip_x0020_nedaryti_x0020_verts_x0020_nekuriani_x0020_darbListItem" scheme="http://schemas.microsoft.com/ado/2007/08/dataservices/scheme" /><link rel="edit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(20)" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FirstUniqueAncestorSecurableObject" type="application/atom+xml;type=entry" title="FirstUniqueAncestorSecurableObject" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(20)/FirstUniqueAncestorSecurableObject" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/RoleAssignments" type="application/atom+xml;type=feed" title="RoleAssignments" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(20)/RoleAssignments" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/AttachmentFiles" type="application/atom+xml;type=feed" title="AttachmentFiles" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(20)/AttachmentFiles" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ContentType" type="application/atom+xml;type=entry" title="ContentType" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(20)/ContentType" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsHtml" type="application/atom+xml;type=entry" title="FieldValuesAsHtml" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(20)/FieldValuesAsHtml" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsText" type="application/atom+xml;type=entry" title="FieldValuesAsText" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(20)/FieldValuesAsText" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesForEdit" type="application/atom+xml;type=entry" title="FieldValuesForEdit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(20)/FieldValuesForEdit" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/File" type="application/atom+xml;type=entry" title="File" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(20)/File" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/Folder" type="application/atom+xml;type=entry" title="Folder" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(20)/Folder" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ParentList" type="application/atom+xml;type=entry" title="ParentList" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(20)/ParentList" /><title /><updated>2025-04-18T11:17:33Z</updated><author><name /></author><content type="application/xml"><m:properties><d:FileSystemObjectType m:type="Edm.Int32">0</d:FileSystemObjectType><d:Id m:type="Edm.Int32">20</d:Id><d:ContentTypeId>0x00171F379CCADF464EB719C824E7B24FEB</d:ContentTypeId><d:Identifikuokite_x0020_perteklini>&lt;div class="ExternalClass8BC19426184D49A49E782F6BE7E1ED5E"&gt;&lt;p&gt;​Tabelių pildymas galėtų būti automatizuotas atsižvelgiant į įsakymus, dabar žmonės rankomis perkėlinėja informaciją iš&amp;#160;&lt;br&gt;&lt;/p&gt;&lt;p&gt;įsakymų į tabelius. Taip pat galėtų būti automatizuota laisvų nuo tarnybos dienų bei valandų sistema, nes vėl viskas rankomis&lt;br&gt;&lt;/p&gt;&lt;p&gt;skaičiuojama iš įsakymų.&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Identifikuokite_x0020_perteklini><d:Pateikite_x0020_pasi_x016b_lymus m:null="true" /><d:Pasidalinkite_x0020_id_x0117_jom m:null="true" /><d:ID m:type="Edm.Int32">20</d:ID><d:Modified m:type="Edm.DateTime">2025-04-10T12:16:25Z</d:Modified><d:Created m:type="Edm.DateTime">2025-04-10T12:16:25Z</d:Created><d:AuthorId m:type="Edm.Int32">0</d:AuthorId><d:EditorId m:type="Edm.Int32">0</d:EditorId><d:OData__UIVersionString>1.0</d:OData__UIVersionString></m:properties></content></entry><entry m:etag="&quot;1&quot;"><id>Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(21)</id><category term="SP.Data.Kaip_x0020_nedaryti_x0020_verts_x0020_nekuriani_x0020_darbListItem" scheme="http://schemas.microsoft.com/ado/2007/08/dataservices/scheme" /><link rel="edit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(21)" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FirstUniqueAncestorSecurableObject" type="application/atom+xml;type=entry" title="FirstUniqueAncestorSecurableObject" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(21)/FirstUniqueAncestorSecurableObject" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/RoleAssignments" type="application/atom+xml;type=feed" title="RoleAssignments" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(21)/RoleAssignments" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/AttachmentFiles" type="application/atom+xml;type=feed" title="AttachmentFiles" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(21)/AttachmentFiles" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ContentType" type="application/atom+xml;type=entry" title="ContentType" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(21)/ContentType" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsHtml" type="application/atom+xml;type=entry" title="FieldValuesAsHtml" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(21)/FieldValuesAsHtml" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsText" type="application/atom+xml;type=entry" title="FieldValuesAsText" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(21)/FieldValuesAsText" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesForEdit" type="application/atom+xml;type=entry" title="FieldValuesForEdit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(21)/FieldValuesForEdit" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/File" type="application/atom+xml;type=entry" title="File" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(21)/File" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/Folder" type="application/atom+xml;type=entry" title="Folder" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(21)/Folder" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ParentList" type="application/atom+xml;type=entry" title="ParentList" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(21)/ParentList" /><title /><updated>2025-04-18T11:17:33Z</updated><author><name /></author><content type="application/xml"><m:properties><d:FileSystemObjectType m:type="Edm.Int32">0</d:FileSystemObjectType><d:Id m:type="Edm.Int32">21</d:Id><d:ContentTypeId>0x00171F379CCADF464EB719C824E7B24FEB</d:ContentTypeId><d:Identifikuokite_x0020_perteklini>&lt;div class="ExternalClass7484A9A36B664D178D07C456A90CC6C5"&gt;&lt;p&gt;​Šiuo metu norint vakcinuoti KASP&amp;#160;karius savanorius KMT reikalauja rinktinės vado įsakymo leidžiančio skiepytis, grindžiant tuo, kad karys savanoris be įsakymo neįgauna kario statuso ir yra civilis, o civilių jie neskiepyja.&lt;br&gt;&lt;/p&gt;&lt;p&gt;Siūlau prilyginti karių savanorių vakcinavimo procedūras prie PKT karių (pateikus tarnybinį pažymėjimą).&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Identifikuokite_x0020_perteklini><d:Pateikite_x0020_pasi_x016b_lymus m:null="true" /><d:Pasidalinkite_x0020_id_x0117_jom m:null="true" /><d:ID m:type="Edm.Int32">21</d:ID><d:Modified m:type="Edm.DateTime">2025-04-10T12:17:19Z</d:Modified><d:Created m:type="Edm.DateTime">2025-04-10T12:17:19Z</d:Created><d:AuthorId m:type="Edm.Int32">0</d:AuthorId><d:EditorId m:type="Edm.Int32">0</d:EditorId><d:OData__UIVersionString>1.0</d:OData__UIVersionString></m:properties></content></entry><entry m:etag="&quot;1&quot;"><id>Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(22)</id><category term="SP.Data.Kaip_x0020_nedaryti_x0020_verts_x0020_nekuriani_x0020_darbListItem" scheme="http://schemas.microsoft.com/ado/2007/08/dataservices/scheme" /><link rel="edit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(22)" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FirstUniqueAncestorSecurableObject" type="application/atom+xml;type=entry" title="FirstUniqueAncestorSecurableObject" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(22)/FirstUniqueAncestorSecurableObject" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/RoleAssignments" type="application/atom+xml;type=feed" title="RoleAssignments" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(22)/RoleAssignments" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/AttachmentFiles" type="application/atom+xml;type=feed" title="AttachmentFiles" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(22)/AttachmentFiles" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ContentType" type="application/atom+xml;type=entry" title="ContentType" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(22)/ContentType" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsHtml" type="application/atom+xml;type=entry" title="FieldValuesAsHtml" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(22)/FieldValuesAsHtml" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsText" type="application/atom+xml;type=entry" title="FieldValuesAsText" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(22)/FieldValuesAsText" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesForEdit" type="application/atom+xml;type=entry" title="FieldValuesForEdit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(22)/FieldValuesForEdit" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/File" type="application/atom+xml;type=entry" title="File" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(22)/File" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/Folder" type="application/atom+xml;type=entry" title="Folder" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(22)/Folder" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ParentList" type="application/atom+xml;type=entry" title="ParentList" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(22)/ParentList" /><title /><updated>2025-04-18T11:17:33Z</updated><author><name /></author><content type="application/xml"><m:properties><d:FileSystemObjectType m:type="Edm.Int32">0</d:FileSystemObjectType><d:Id m:type="Edm.Int32">22</d:Id><d:ContentTypeId>0x00171F379CCADF464EB719C824E7B24FEB</d:ContentTypeId><d:Identifikuokite_x0020_perteklini m:null="true" /><d:Pateikite_x0020_pasi_x016b_lymus m:null="true" /><d:Pasidalinkite_x0020_id_x0117_jom m:null="true" /><d:ID m:type="Edm.Int32">22</d:ID><d:Modified m:type="Edm.DateTime">2025-04-10T13:07:10Z</d:Modified><d:Created m:type="Edm.DateTime">2025-04-10T13:07:10Z</d:Created><d:AuthorId m:type="Edm.Int32">0</d:AuthorId><d:EditorId m:type="Edm.Int32">0</d:EditorId><d:OData__UIVersionString>1.0</d:OData__UIVersionString></m:properties></content></entry><entry m:etag="&quot;1&quot;"><id>Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(23)</id><category term="SP.Data.Kaip_x0020_nedaryti_x0020_verts_x0020_nekuriani_x0020_darbListItem" scheme="http://schemas.microsoft.com/ado/2007/08/dataservices/scheme" /><link rel="edit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(23)" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FirstUniqueAncestorSecurableObject" type="application/atom+xml;type=entry" title="FirstUniqueAncestorSecurableObject" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(23)/FirstUniqueAncestorSecurableObject" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/RoleAssignments" type="application/atom+xml;type=feed" title="RoleAssignments" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(23)/RoleAssignments" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/AttachmentFiles" type="application/atom+xml;type=feed" title="AttachmentFiles" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(23)/AttachmentFiles" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ContentType" type="application/atom+xml;type=entry" title="ContentType" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(23)/ContentType" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsHtml" type="application/atom+xml;type=entry" title="FieldValuesAsHtml" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(23)/FieldValuesAsHtml" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsText" type="application/atom+xml;type=entry" title="FieldValuesAsText" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(23)/FieldValuesAsText" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesForEdit" type="application/atom+xml;type=entry" title="FieldValuesForEdit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(23)/FieldValuesForEdit" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/File" type="application/atom+xml;type=entry" title="File" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(23)/File" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/Folder" type="application/atom+xml;type=entry" title="Folder" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(23)/Folder" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ParentList" type="application/atom+xml;type=entry" title="ParentList" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(23)/ParentList" /><title /><updated>2025-04-18T11:17:33Z</updated><author><name /></author><content type="application/xml"><m:properties><d:FileSystemObjectType m:type="Edm.Int32">0</d:FileSystemObjectType><d:Id m:type="Edm.Int32">23</d:Id><d:ContentTypeId>0x00171F379CCADF464EB719C824E7B24FEB</d:ContentTypeId><d:Identifikuokite_x0020_perteklini m:null="true" /><d:Pateikite_x0020_pasi_x016b_lymus>&lt;div class="ExternalClass78DD7C072CAA4331B35D344FCA98FA77"&gt;&lt;p&gt;​Peržiūrėti KAM&amp;#160;2024-02-07 Nr. V-111 „Priemokų už pavadavimą skyrimo PKT kariams tvarkos aprašą&amp;quot;.&lt;/p&gt;&lt;p&gt;Konkrečiai &lt;strong&gt;atsisakyti įsakymų rašymo&lt;/strong&gt; (9 p.), nes tai užima daug laiko (reikalingas atskiras personalo specialistas vien įsakymų rašymui, ypač atostogų laikotarpiais (vasara, Kalėdinis laikotarpis ir pan.)).&lt;br&gt;&lt;/p&gt;&lt;p&gt;Turėtų užtekti prašymo avilyje, vadui uždėjus vizą „leidžiu&amp;quot;. Gauna FADas susipažinti (analogiškai kaip atostogų paėmimo atveju, užtenka prašymo avilyje, įsakymų seniai nebėra ir viskas puikiai veikia). Jei FADui sunku sukontroliuoti, papildomai galima sugalvoti naują raidę darbo apskaitos žiniaraštyje (tabelyje) kur FADas matytų realiai kas pavaduoja kokiomis dienomis.&lt;/p&gt;&lt;p&gt;Atsisakę nereikalingų įsakymų rašymo (juk avilyje vado vizos turi įsakymo galią, kitokiu atveju mes neprivalėtume vykdyti nurodymų avilyje) su taupytume daug darbo valandų.&lt;br&gt;&lt;/p&gt;&lt;p&gt;&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pateikite_x0020_pasi_x016b_lymus><d:Pasidalinkite_x0020_id_x0117_jom m:null="true" /><d:ID m:type="Edm.Int32">23</d:ID><d:Modified m:type="Edm.DateTime">2025-04-10T13:17:53Z</d:Modified><d:Created m:type="Edm.DateTime">2025-04-10T13:17:53Z</d:Created><d:AuthorId m:type="Edm.Int32">0</d:AuthorId><d:EditorId m:type="Edm.Int32">0</d:EditorId><d:OData__UIVersionString>1.0</d:OData__UIVersionString></m:properties></content></entry><entry m:etag="&quot;1&quot;"><id>Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(24)</id><category term="SP.Data.Kaip_x0020_nedaryti_x0020_verts_x0020_nekuriani_x0020_darbListItem" scheme="http://schemas.microsoft.com/ado/2007/08/dataservices/scheme" /><link rel="edit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(24)" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FirstUniqueAncestorSecurableObject" type="application/atom+xml;type=entry" title="FirstUniqueAncestorSecurableObject" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(24)/FirstUniqueAncestorSecurableObject" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/RoleAssignments" type="application/atom+xml;type=feed" title="RoleAssignments" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(24)/RoleAssignments" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/AttachmentFiles" type="application/atom+xml;type=feed" title="AttachmentFiles" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(24)/AttachmentFiles" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ContentType" type="application/atom+xml;type=entry" title="ContentType" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(24)/ContentType" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsHtml" type="application/atom+xml;type=entry" title="FieldValuesAsHtml" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(24)/FieldValuesAsHtml" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsText" type="application/atom+xml;type=entry" title="FieldValuesAsText" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(24)/FieldValuesAsText" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesForEdit" type="application/atom+xml;type=entry" title="FieldValuesForEdit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(24)/FieldValuesForEdit" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/File" type="application/atom+xml;type=entry" title="File" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(24)/File" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/Folder" type="application/atom+xml;type=entry" title="Folder" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(24)/Folder" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ParentList" type="application/atom+xml;type=entry" title="ParentList" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(24)/ParentList" /><title /><updated>2025-04-18T11:17:33Z</updated><author><name /></author><content type="application/xml"><m:properties><d:FileSystemObjectType m:type="Edm.Int32">0</d:FileSystemObjectType><d:Id m:type="Edm.Int32">24</d:Id><d:ContentTypeId>0x00171F379CCADF464EB719C824E7B24FEB</d:ContentTypeId><d:Identifikuokite_x0020_perteklini>&lt;div class="ExternalClass179A8583A7EB462D9C2875CBE5DB5A42"&gt;&lt;p&gt;​Netikiu, kad šuns balsas į dangų eina, bet...&lt;br&gt;&lt;/p&gt;&lt;p&gt;Visai kariuomenei reikalingas procedūrų auditas, kurį atliktų civilinės įstaigos, bent jau bataliono lygyje. Nebereikalo juokaujama, kad pasirašei į knygą kad pasirašei į knygą. Keli smukūs pavyzdžiai.&lt;br&gt;&lt;/p&gt;&lt;p&gt;Jei nori bent vieną metrą išvažiuoti iš bataliono su tarnybine mašina, reikia atlikti 14 žingsnių (bent pas mus)&amp;#58; pranesšti autechnikui, jis turi užsakyti jas sistemoje, išimti kelionės lapus, pasirašyti kokiuose tirjuose lapuose technikos parke, prasipūsti (už tai irgi pasirašyti), pranešti dalinio budėtojui, pranešti praleidimui ir t.t. Ir pusė informacijos kartojasi. Tai jei koks skyriaus vada norsi išvažiuoti su savo kariai pataktikuoti&amp;#160;iš anksto nesuplanavęs - misija neįmanoma.&amp;#160;&lt;br&gt;&lt;/p&gt;&lt;p&gt;Pirkimai. Arba supaprastinam procedūras arba darom sistemą, kad būtų gražinami pinigai už asmeninius pirkinius. Nes jei reikia sumontuoti kokią įrangą ir reikia varžto arba staigiai reikia kokios šlangos - važiuosi ir perki už savo pinigus, nes... nesuplanavai prieš du metus. Čia perlenkiu, bet tokį komentarą gauną. Nes kai reikia rašyti specifikacijas dviem varžtams, pateikti rinkos analizę stu trim pasiūlymai tai nusispjauni, nuvažiuoji ir perki už savo. Arba darai pagal sistemą ir lauki du mėnesius kol nupirks du varžtus.&amp;#160;&lt;br&gt;&lt;/p&gt;&lt;p&gt;Pasiūlymas - tiesiog batalionui turėti kelias diabetines korteles. Pasakiai ko reikia, kuopos vadas palaimino, pasiemiai iš S4, nupirkai, pristatei čekį - ramu.&amp;#160;&lt;br&gt;&lt;/p&gt;&lt;p&gt;&lt;br&gt;&lt;/p&gt;&lt;p&gt;&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Identifikuokite_x0020_perteklini><d:Pateikite_x0020_pasi_x016b_lymus>&lt;div class="ExternalClass229BDFD4395B495AB509211F9C8CB45C"&gt;&lt;p&gt;​Istorija - ryšininkai norėjo išbandyti ATAK. Čia tokia programėle kurioje gali matyti judančius dalinius, prijungti dronus, susirašineti, siųsti įsakymus&amp;#160; ir t.t. Visiems labai aptiko. Bet paaiškėjo, kad tam reikia telefonų, power bankų ir mobiliųjų kortelių. Telefonus su power bankais dar gali nupirkti, bet kai paaiškėjo, kad reikia&amp;#160;SIM kortelių (išankstinių)&amp;#160;su neribotu internetu - misija neįmanoma. Kas už jas mokės, ant ko registruoti, kaip papildyti? Tai ryšininkai išbandė ant savo telfonų, tuo viskas ir baigėsi.&amp;#160;&lt;br&gt;&lt;/p&gt;&lt;p&gt;Dėl vidinių tvarkų ir teisės aktų - reikia padaryti, taip kad bent kokią savaitę du žmonės galėtų eiti tas pačias pareigas. Nei kai keičiaisi, kad galėtų vienas kitam perduoti darbus ir viską papasakoti. Jeigu tam pačiam batalione pareigas keiti, ir jei puskarininkis tai dar nieko. Bet jei ateina naujas karininkas&amp;#160; - šakės. Tai ypatingai jaučiasi su jaunais leitenantais. Ateina žali, seno vado nėra&amp;#160; ir viskas, žiopčioja kaip žuvis iš vandes ištraukta.&amp;#160;&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pateikite_x0020_pasi_x016b_lymus><d:Pasidalinkite_x0020_id_x0117_jom>&lt;div class="ExternalClass0436633227A24A76BFCE82648475CAF7"&gt;&lt;p&gt;​Bendra personalo valdymo sistema. Tą kaip ir atlieka PERVIS, bet ne visi prie&amp;#160;jos prieina, plius ne tokia jos funkcija. O aš kalbu apie sitema kurioje butų dėliojami budėjimai, pratybos, išvykimai.&amp;#160;Nes pusę dienos užtrunki visokias lenteles pildydamas. Kas kur budi, kas kurse, ką sunčiam į kursus, kas turi mažų&amp;#160; vaikų, kas turi didelių, kas budi GRG, o kas TMU ir taip pasaka be galo.&amp;#160;&lt;br&gt;&lt;/p&gt;&lt;p&gt;Kas dar padėtų dirbti greičiau - elementarus normalus MS office su veikiančiom funkcijom. Aš net nesvajoju, apie tokius dalykus kaip duomenų suvedimas telefono pagalbą. Bent jau padaryti, kad keli žmonės vienu metu tą patį dokumentą galėtų readaguoti. Nes atsidaro kas nors darbo grafiką, nueina parūkyti, užmirštą uždaryti, tada reikia skambinėti pusę dienos&amp;#160; ir ieškoti, kad iįjungtų.&amp;#160;&lt;br&gt;&lt;/p&gt;&lt;p&gt;&lt;br&gt;&lt;/p&gt;&lt;p&gt;Bus daugiau.&amp;#160;&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pasidalinkite_x0020_id_x0117_jom><d:ID m:type="Edm.Int32">24</d:ID><d:Modified m:type="Edm.DateTime">2025-04-10T13:53:27Z</d:Modified><d:Created m:type="Edm.DateTime">2025-04-10T13:53:27Z</d:Created><d:AuthorId m:type="Edm.Int32">0</d:AuthorId><d:EditorId m:type="Edm.Int32">0</d:EditorId><d:OData__UIVersionString>1.0</d:OData__UIVersionString></m:properties></content></entry><entry m:etag="&quot;1&quot;"><id>Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(25)</id><category term="SP.Data.Kaip_x0020_nedaryti_x0020_verts_x0020_nekuriani_x0020_darbListItem" scheme="http://schemas.microsoft.com/ado/2007/08/dataservices/scheme" /><link rel="edit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(25)" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FirstUniqueAncestorSecurableObject" type="application/atom+xml;type=entry" title="FirstUniqueAncestorSecurableObject" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(25)/FirstUniqueAncestorSecurableObject" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/RoleAssignments" type="application/atom+xml;type=feed" title="RoleAssignments" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(25)/RoleAssignments" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/AttachmentFiles" type="application/atom+xml;type=feed" title="AttachmentFiles" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(25)/AttachmentFiles" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ContentType" type="application/atom+xml;type=entry" title="ContentType" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(25)/ContentType" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsHtml" type="application/atom+xml;type=entry" title="FieldValuesAsHtml" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(25)/FieldValuesAsHtml" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsText" type="application/atom+xml;type=entry" title="FieldValuesAsText" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(25)/FieldValuesAsText" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesForEdit" type="application/atom+xml;type=entry" title="FieldValuesForEdit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(25)/FieldValuesForEdit" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/File" type="application/atom+xml;type=entry" title="File" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(25)/File" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/Folder" type="application/atom+xml;type=entry" title="Folder" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(25)/Folder" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ParentList" type="application/atom+xml;type=entry" title="ParentList" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(25)/ParentList" /><title /><updated>2025-04-18T11:17:33Z</updated><author><name /></author><content type="application/xml"><m:properties><d:FileSystemObjectType m:type="Edm.Int32">0</d:FileSystemObjectType><d:Id m:type="Edm.Int32">25</d:Id><d:ContentTypeId>0x00171F379CCADF464EB719C824E7B24FEB</d:ContentTypeId><d:Identifikuokite_x0020_perteklini>&lt;div class="ExternalClass0F5BB3C0326C45BEA64CB26565D68E8C"&gt;&lt;p&gt;​-&amp;#160;Perteklinis ir neefektyvus procesas dėl komandiruočių organizavimo ir&amp;#160;atsiskaitymo su LK finansų apskaitos departamentu. Siūlau perimti užsienio&amp;#160;valstybės&amp;#160;gerosios praktikos&amp;#160;modelį, pvz.&amp;#58;&amp;#160;Estijoje naudojamą komandiruočių organizavimo ir atsiskaitymo su finansų apskaita modelį, kuriuo rementis kiekvieno kario atliekamas darbas tampa efektyvesnis sumažinant&amp;#160;perteklinį darbą.&lt;br&gt;&lt;br&gt;- Mano nuomone, turėtume vystyti projektus su Lietuvos universitetais ir&amp;#160;didinti projektų finansavimą, kuriuo būtų siekiama, kad Lietuvos mokslo bendruomenė aktyviai prisidėtų prie progreso skatinimo Lietuvos kariuomenėje. Kitaip tariant, ne viską būtina pirkti iš užsieniečių, kai patys galime vystyti ir kurti produktus. Paklausite, kodėl Lietuvos universitetai, o ne tik civilinio sektoriaus įmonės? Pats šiuo metu studijuoju Kauno Technologijų Universitete, Transporto inžinerijos doktorantūros studijų kryptį ir tikrai žinau,&amp;#160;kad tyrimų institutai&amp;#160;bendradarbiaudami su civiliniu sektoriumi padeda tobulinti ir vystyti produktus. LK bendradarbiaudama su KTU jau vystė RT-400 raketos modelį skirtą oro gynybos vienetams treniruoti. Tiesa pasakius, net pats norėčiau būti tokių projektų ir sintezės tarp LK ir KTU kuratoriumi, siekiant ieškoti būdų kaip pagerinti sąveiką, efektyvinti procesus, mokslo bendruomenę įtraukti dirbti LK projektams ir LK bendruomenę įtraukti mokytis ir tobulėti.&lt;br&gt;&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Identifikuokite_x0020_perteklini><d:Pateikite_x0020_pasi_x016b_lymus m:null="true" /><d:Pasidalinkite_x0020_id_x0117_jom>&lt;div class="ExternalClassFB07DD43EBC4401CA84F51C50E579B1A"&gt;&lt;p&gt;​-&amp;#160;Susiduriame su problema, kad naujų įdėjų vystymas ir diegimas LK ypač sudėtingas procesas, kas nesudaro sąlygų taip sparčiai vystytis, kaip būtų galima tai padaryti.&lt;br&gt;&lt;/p&gt;&lt;p&gt;&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pasidalinkite_x0020_id_x0117_jom><d:ID m:type="Edm.Int32">25</d:ID><d:Modified m:type="Edm.DateTime">2025-04-10T14:02:24Z</d:Modified><d:Created m:type="Edm.DateTime">2025-04-10T14:02:24Z</d:Created><d:AuthorId m:type="Edm.Int32">0</d:AuthorId><d:EditorId m:type="Edm.Int32">0</d:EditorId><d:OData__UIVersionString>1.0</d:OData__UIVersionString></m:properties></content></entry><entry m:etag="&quot;1&quot;"><id>Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(26)</id><category term="SP.Data.Kaip_x0020_nedaryti_x0020_verts_x0020_nekuriani_x0020_darbListItem" scheme="http://schemas.microsoft.com/ado/2007/08/dataservices/scheme" /><link rel="edit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(26)" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FirstUniqueAncestorSecurableObject" type="application/atom+xml;type=entry" title="FirstUniqueAncestorSecurableObject" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(26)/FirstUniqueAncestorSecurableObject" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/RoleAssignments" type="application/atom+xml;type=feed" title="RoleAssignments" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(26)/RoleAssignments" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/AttachmentFiles" type="application/atom+xml;type=feed" title="AttachmentFiles" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(26)/AttachmentFiles" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ContentType" type="application/atom+xml;type=entry" title="ContentType" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(26)/ContentType" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsHtml" type="application/atom+xml;type=entry" title="FieldValuesAsHtml" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(26)/FieldValuesAsHtml" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsText" type="application/atom+xml;type=entry" title="FieldValuesAsText" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(26)/FieldValuesAsText" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesForEdit" type="application/atom+xml;type=entry" title="FieldValuesForEdit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(26)/FieldValuesForEdit" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/File" type="application/atom+xml;type=entry" title="File" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(26)/File" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/Folder" type="application/atom+xml;type=entry" title="Folder" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(26)/Folder" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ParentList" type="application/atom+xml;type=entry" title="ParentList" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(26)/ParentList" /><title /><updated>2025-04-18T11:17:33Z</updated><author><name /></author><content type="application/xml"><m:properties><d:FileSystemObjectType m:type="Edm.Int32">0</d:FileSystemObjectType><d:Id m:type="Edm.Int32">26</d:Id><d:ContentTypeId>0x00171F379CCADF464EB719C824E7B24FEB</d:ContentTypeId><d:Identifikuokite_x0020_perteklini>&lt;div class="ExternalClassBCC2A58D207E44478009F000DD9A3016"&gt;&lt;p&gt;Būtų galima atsisakyti popierinių pratybų planų konspektų, nes viskas yra ir&amp;#160;&amp;#160;taip keliama į dokvis sistemą, ypač kai paskaita / pratybas&amp;#160; vedantis asmuo&amp;#160;rengė dokumentą. Papildomai popierinius variantus turėti paskaitose tik&amp;#160;tuo atvėju, kai pagrindis, vedantysis asmuo negali vesti pratybų/ užsiėmimų ir juos veda pavaduojantis asmuo.&lt;br&gt;&lt;/p&gt;&lt;p&gt;&amp;#160;&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Identifikuokite_x0020_perteklini><d:Pateikite_x0020_pasi_x016b_lymus>&lt;div class="ExternalClass5AB81F60F6EF40ECACA4B3993EBF92A0"&gt;&lt;p&gt;​Trumpalaikio turto įsigijimo supaprastinimas,batalionų&amp;#160;viduje, kuopos lygmenyje,&amp;#160;pagal skiriamą finansavimą kariai turi daug gerų , inovatyvių sprendimu dėl įrangos isigyjimo, bet isigijimai stringa dėl biurokratinių perteklinių veiksnių. ( pvz&amp;#58; vidutinio nuotolio termovizorius aptikimo atstumas iki 800m, prietaiso kaina 650 eurų, nupirkus bent viena vienetą į būrį, jau kariai galėtų mokytis tinkamai įrengti pozicijas, saugotis nuo termovizoriu ir pan. yra ir pigesniu variantų, aptikimo atstumas 500m. kaina nuo 390-490 eurų. , GPS prietaisai, tolimačiai, žiūronai, aktyvios ausinės ir pan.)&amp;#160;teikiam sarašus per metus po keleta kartų , per&amp;#160; 5 metus buvo nupirkti tik kavos aparatai ir kondicionieriai ir tai štabui, o ne pėstininkams.&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pateikite_x0020_pasi_x016b_lymus><d:Pasidalinkite_x0020_id_x0117_jom>&lt;div class="ExternalClass8CAE3C9D914C43A886A5AB4DDB7BD65D"&gt;&lt;p&gt;Darbo vietų parengimas, darbo kabinetai, senų kompiuteriu ir įrangos atnaujinimas.&amp;#160;&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pasidalinkite_x0020_id_x0117_jom><d:ID m:type="Edm.Int32">26</d:ID><d:Modified m:type="Edm.DateTime">2025-04-10T18:32:13Z</d:Modified><d:Created m:type="Edm.DateTime">2025-04-10T18:32:13Z</d:Created><d:AuthorId m:type="Edm.Int32">0</d:AuthorId><d:EditorId m:type="Edm.Int32">0</d:EditorId><d:OData__UIVersionString>1.0</d:OData__UIVersionString></m:properties></content></entry><entry m:etag="&quot;1&quot;"><id>Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(27)</id><category term="SP.Data.Kaip_x0020_nedaryti_x0020_verts_x0020_nekuriani_x0020_darbListItem" scheme="http://schemas.microsoft.com/ado/2007/08/dataservices/scheme" /><link rel="edit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(27)" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FirstUniqueAncestorSecurableObject" type="application/atom+xml;type=entry" title="FirstUniqueAncestorSecurableObject" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(27)/FirstUniqueAncestorSecurableObject" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/RoleAssignments" type="application/atom+xml;type=feed" title="RoleAssignments" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(27)/RoleAssignments" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/AttachmentFiles" type="application/atom+xml;type=feed" title="AttachmentFiles" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(27)/AttachmentFiles" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ContentType" type="application/atom+xml;type=entry" title="ContentType" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(27)/ContentType" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsHtml" type="application/atom+xml;type=entry" title="FieldValuesAsHtml" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(27)/FieldValuesAsHtml" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsText" type="application/atom+xml;type=entry" title="FieldValuesAsText" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(27)/FieldValuesAsText" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesForEdit" type="application/atom+xml;type=entry" title="FieldValuesForEdit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(27)/FieldValuesForEdit" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/File" type="application/atom+xml;type=entry" title="File" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(27)/File" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/Folder" type="application/atom+xml;type=entry" title="Folder" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(27)/Folder" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ParentList" type="application/atom+xml;type=entry" title="ParentList" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(27)/ParentList" /><title /><updated>2025-04-18T11:17:33Z</updated><author><name /></author><content type="application/xml"><m:properties><d:FileSystemObjectType m:type="Edm.Int32">0</d:FileSystemObjectType><d:Id m:type="Edm.Int32">27</d:Id><d:ContentTypeId>0x00171F379CCADF464EB719C824E7B24FEB</d:ContentTypeId><d:Identifikuokite_x0020_perteklini m:null="true" /><d:Pateikite_x0020_pasi_x016b_lymus>&lt;div class="ExternalClassCFA551F238C348C18E47C34626D4FD24"&gt;&lt;p&gt;​KA ministro 2019-01-15&amp;#160;įsakyme Nr. V-61dėl Nelaimingų atsitikimo darbe tyrimo III skyriaus 9 punkte nurodyta, kad po kiekvieno įvykusio nelaimingo atsitikimo, būtina sudaryti įvykio tyrimo komisiją.&amp;#160;&lt;br&gt;&lt;/p&gt;&lt;p&gt;Siūlau pakeisti šį punktą ir nurodyti galimybę sudaryti nelaimingų atsitikimų tyrimo nuolatinę komisiją, kad kiekvienu atveju nereikėtų rengti vis naujo įsakymo ir tvirtinti&amp;#160;komisijos nuostatų. Ši nuostata yra perteklinė.&amp;#160;Tai pagreitintų ir palengvintų&amp;#160;tyrimo&amp;#160;procesą (nereikėtų rengti įsakymo, laukti kol visi komiijos nariai paderins ir pasirašys vadas bei užregistruos specialistas), daugumai tyrimo proceso dalyvių neuimtų papildomus nereikalingus veiksmus.&amp;#160;Pas mus dalinyje (tas pats ir kituose daliniuose)&amp;#160;jau eilę metų komisijos sudėtis nekinta. &amp;#160;&amp;#160;&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pateikite_x0020_pasi_x016b_lymus><d:Pasidalinkite_x0020_id_x0117_jom m:null="true" /><d:ID m:type="Edm.Int32">27</d:ID><d:Modified m:type="Edm.DateTime">2025-04-11T04:47:59Z</d:Modified><d:Created m:type="Edm.DateTime">2025-04-11T04:47:59Z</d:Created><d:AuthorId m:type="Edm.Int32">0</d:AuthorId><d:EditorId m:type="Edm.Int32">0</d:EditorId><d:OData__UIVersionString>1.0</d:OData__UIVersionString></m:properties></content></entry><entry m:etag="&quot;1&quot;"><id>Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(28)</id><category term="SP.Data.Kaip_x0020_nedaryti_x0020_verts_x0020_nekuriani_x0020_darbListItem" scheme="http://schemas.microsoft.com/ado/2007/08/dataservices/scheme" /><link rel="edit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(28)" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FirstUniqueAncestorSecurableObject" type="application/atom+xml;type=entry" title="FirstUniqueAncestorSecurableObject" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(28)/FirstUniqueAncestorSecurableObject" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/RoleAssignments" type="application/atom+xml;type=feed" title="RoleAssignments" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(28)/RoleAssignments" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/AttachmentFiles" type="application/atom+xml;type=feed" title="AttachmentFiles" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(28)/AttachmentFiles" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ContentType" type="application/atom+xml;type=entry" title="ContentType" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(28)/ContentType" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsHtml" type="application/atom+xml;type=entry" title="FieldValuesAsHtml" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(28)/FieldValuesAsHtml" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsText" type="application/atom+xml;type=entry" title="FieldValuesAsText" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(28)/FieldValuesAsText" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesForEdit" type="application/atom+xml;type=entry" title="FieldValuesForEdit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(28)/FieldValuesForEdit" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/File" type="application/atom+xml;type=entry" title="File" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(28)/File" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/Folder" type="application/atom+xml;type=entry" title="Folder" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(28)/Folder" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ParentList" type="application/atom+xml;type=entry" title="ParentList" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(28)/ParentList" /><title /><updated>2025-04-18T11:17:33Z</updated><author><name /></author><content type="application/xml"><m:properties><d:FileSystemObjectType m:type="Edm.Int32">0</d:FileSystemObjectType><d:Id m:type="Edm.Int32">28</d:Id><d:ContentTypeId>0x00171F379CCADF464EB719C824E7B24FEB</d:ContentTypeId><d:Identifikuokite_x0020_perteklini>&lt;div class="ExternalClass35881680DA974AF7A47ACF9897A3EC7E"&gt;&lt;p&gt;​Atsisakyti dokumentų registravimo kiekviename KAM padalynyje. Tegu registruoja vienas padalinys, pvz. Administracijos depas.&amp;#160;&lt;br&gt;&lt;/p&gt;&lt;p&gt;Atsisakyti paraiškų rašymo už kancelerines prekes. Pakaktų pasirašyti už faktiškai paimtas&amp;#160;prekes.&lt;/p&gt;&lt;p&gt;Pirkimo paraiškų nepildyti pirkimuose iki 500 eur.&amp;#160;&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Identifikuokite_x0020_perteklini><d:Pateikite_x0020_pasi_x016b_lymus m:null="true" /><d:Pasidalinkite_x0020_id_x0117_jom m:null="true" /><d:ID m:type="Edm.Int32">28</d:ID><d:Modified m:type="Edm.DateTime">2025-04-11T04:48:54Z</d:Modified><d:Created m:type="Edm.DateTime">2025-04-11T04:48:54Z</d:Created><d:AuthorId m:type="Edm.Int32">0</d:AuthorId><d:EditorId m:type="Edm.Int32">0</d:EditorId><d:OData__UIVersionString>1.0</d:OData__UIVersionString></m:properties></content></entry><entry m:etag="&quot;1&quot;"><id>Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(29)</id><category term="SP.Data.Kaip_x0020_nedaryti_x0020_verts_x0020_nekuriani_x0020_darbListItem" scheme="http://schemas.microsoft.com/ado/2007/08/dataservices/scheme" /><link rel="edit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(29)" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FirstUniqueAncestorSecurableObject" type="application/atom+xml;type=entry" title="FirstUniqueAncestorSecurableObject" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(29)/FirstUniqueAncestorSecurableObject" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/RoleAssignments" type="application/atom+xml;type=feed" title="RoleAssignments" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(29)/RoleAssignments" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/AttachmentFiles" type="application/atom+xml;type=feed" title="AttachmentFiles" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(29)/AttachmentFiles" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ContentType" type="application/atom+xml;type=entry" title="ContentType" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(29)/ContentType" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsHtml" type="application/atom+xml;type=entry" title="FieldValuesAsHtml" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(29)/FieldValuesAsHtml" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsText" type="application/atom+xml;type=entry" title="FieldValuesAsText" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(29)/FieldValuesAsText" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesForEdit" type="application/atom+xml;type=entry" title="FieldValuesForEdit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(29)/FieldValuesForEdit" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/File" type="application/atom+xml;type=entry" title="File" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(29)/File" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/Folder" type="application/atom+xml;type=entry" title="Folder" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(29)/Folder" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ParentList" type="application/atom+xml;type=entry" title="ParentList" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(29)/ParentList" /><title /><updated>2025-04-18T11:17:33Z</updated><author><name /></author><content type="application/xml"><m:properties><d:FileSystemObjectType m:type="Edm.Int32">0</d:FileSystemObjectType><d:Id m:type="Edm.Int32">29</d:Id><d:ContentTypeId>0x00171F379CCADF464EB719C824E7B24FEB</d:ContentTypeId><d:Identifikuokite_x0020_perteklini>&lt;div class="ExternalClassE07E9B4FC72E4AF2A089ABA81A52DEB0"&gt;&lt;p&gt;​Skatinimų tvarka neefektyvi. Sukurti Avilyje formą, per kurią būtų galima skatinti karius įvairiems skatinimams. Ten būtų matomas ir kario aprašymas, ir sudedami reikalingi derinimai.&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Identifikuokite_x0020_perteklini><d:Pateikite_x0020_pasi_x016b_lymus>&lt;div class="ExternalClassF27D915387F54948B48DDAA10FCF6440"&gt;&lt;p&gt;​Tėvadienių/mamadienių atidavimo tvarka nefektyvi. Šiuo metu, kad būtų galima pasiimti tėvadienį/mamadienį padalinio vadas turi išleisti įsakymą, kad suteikia tokią galimybę. Ir tada kariai rašo vėl prašymus, kad suteiktų tam tikrai dienai. Siūlymas - tiesiog vienas prašymas, Avilio formos pagrindu.&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pateikite_x0020_pasi_x016b_lymus><d:Pasidalinkite_x0020_id_x0117_jom>&lt;div class="ExternalClass1C38CE1FD84F432AB4780758663B4AD4"&gt;&lt;p&gt;​Viską reikia kuo daugiau kompiuterizuoti, supaprastinti, nedubliuoti administracinio darbo.&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pasidalinkite_x0020_id_x0117_jom><d:ID m:type="Edm.Int32">29</d:ID><d:Modified m:type="Edm.DateTime">2025-04-11T05:21:20Z</d:Modified><d:Created m:type="Edm.DateTime">2025-04-11T05:21:20Z</d:Created><d:AuthorId m:type="Edm.Int32">0</d:AuthorId><d:EditorId m:type="Edm.Int32">0</d:EditorId><d:OData__UIVersionString>1.0</d:OData__UIVersionString></m:properties></content></entry><entry m:etag="&quot;1&quot;"><id>Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(30)</id><category term="SP.Data.Kaip_x0020_nedaryti_x0020_verts_x0020_nekuriani_x0020_darbListItem" scheme="http://schemas.microsoft.com/ado/2007/08/dataservices/scheme" /><link rel="edit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(30)" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FirstUniqueAncestorSecurableObject" type="application/atom+xml;type=entry" title="FirstUniqueAncestorSecurableObject" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(30)/FirstUniqueAncestorSecurableObject" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/RoleAssignments" type="application/atom+xml;type=feed" title="RoleAssignments" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(30)/RoleAssignments" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/AttachmentFiles" type="application/atom+xml;type=feed" title="AttachmentFiles" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(30)/AttachmentFiles" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ContentType" type="application/atom+xml;type=entry" title="ContentType" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(30)/ContentType" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsHtml" type="application/atom+xml;type=entry" title="FieldValuesAsHtml" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(30)/FieldValuesAsHtml" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsText" type="application/atom+xml;type=entry" title="FieldValuesAsText" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(30)/FieldValuesAsText" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesForEdit" type="application/atom+xml;type=entry" title="FieldValuesForEdit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(30)/FieldValuesForEdit" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/File" type="application/atom+xml;type=entry" title="File" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(30)/File" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/Folder" type="application/atom+xml;type=entry" title="Folder" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(30)/Folder" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ParentList" type="application/atom+xml;type=entry" title="ParentList" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(30)/ParentList" /><title /><updated>2025-04-18T11:17:33Z</updated><author><name /></author><content type="application/xml"><m:properties><d:FileSystemObjectType m:type="Edm.Int32">0</d:FileSystemObjectType><d:Id m:type="Edm.Int32">30</d:Id><d:ContentTypeId>0x00171F379CCADF464EB719C824E7B24FEB</d:ContentTypeId><d:Identifikuokite_x0020_perteklini m:null="true" /><d:Pateikite_x0020_pasi_x016b_lymus>&lt;div class="ExternalClass5E9181CE092B4CA7AA6F471FE2CD70F1"&gt;&lt;p&gt;​&lt;/p&gt;&lt;p&gt;&lt;strong&gt;1. Tobulinamas dalykas – Vienodo nuompinigių ir kelionpinigių išmokėjimo užtikrinimas visiems kariams&lt;/strong&gt;&lt;/p&gt;&lt;p&gt;&lt;strong&gt;&amp;#160;&lt;/strong&gt;&lt;/p&gt;&lt;p&gt;&lt;strong&gt;Rekomendacijos&amp;#58;&lt;/strong&gt;&lt;/p&gt;&lt;p&gt;&lt;strong&gt;A (teisingiausia)&amp;#58;&lt;/strong&gt;&lt;br&gt; Visiems tarnaujantiems kariams, nepriklausomai nuo to, ar jie turi nekilnojamąjį turtą tarnybos vietos apskrityje, ar ne, mokėti vienodas išmokas. Tai apimtų&amp;#58;&lt;/p&gt;&lt;ul style="list-style-type&amp;#58;disc;"&gt;&lt;li&gt;Nuompinigius,&lt;/li&gt;&lt;li&gt;Kelionpinigius,&lt;/li&gt;&lt;li&gt;Papildomai visiems įvesti butpinigius.&lt;/li&gt;&lt;/ul&gt;&lt;p&gt;&lt;strong&gt;&amp;#160;&lt;/strong&gt;&lt;/p&gt;&lt;p&gt;&lt;strong&gt;B (priimtina)&amp;#58;&lt;/strong&gt;&lt;/p&gt;&lt;ul style="list-style-type&amp;#58;disc;"&gt;&lt;li&gt;Neturintiems nekilnojamojo turto – mokėti 100% nuompinigių (pagal tarnybos vietą).&lt;/li&gt;&lt;li&gt;Turintiems būsto paskolą – mokėti 75% nuompinigių.&lt;/li&gt;&lt;li&gt;Turintiems nuosavą nekilnojamąjį turtą – mokėti 50% nuompinigių.&lt;/li&gt;&lt;/ul&gt;&lt;p&gt;&lt;strong&gt;&amp;#160;&lt;/strong&gt;&lt;/p&gt;&lt;p&gt;&lt;strong&gt;Problematika&amp;#58;&lt;/strong&gt;&lt;/p&gt;&lt;ol style="list-style-type&amp;#58;decimal;"&gt;&lt;li&gt;&lt;strong&gt;Nuompinigių politika neskatina būsto įsigijimo.&lt;/strong&gt;&lt;br&gt; Daugelis karių, ypač jaunimas, nuomojasi nekilnojamąjį turtą, tačiau neskatinami investuoti į nuosavą būstą. Ilgainiui, dėl sutarčių nutraukimo/netęsimo, kariai dažnai renkasi išvykti į užsienį ar keisti darbo pobūdį. Vienoda nuompinigių politika paskatintų karių prisirišimą prie Lietuvos, prisidėtų prie demografijos gerinimo, o ekonomikoje padidėtų vidaus investicijos.&lt;/li&gt;&lt;li&gt;&lt;strong&gt;Piktnaudžiavimo atvejai.&lt;/strong&gt;&lt;br&gt; Šiuo metu pasitaiko fiktyvių turto nuomos sandorių (pvz., nuomojamasi iš tėvų, draugų ar artimųjų). Vienodas išmokų traktavimas padėtų užkirsti kelią nesąžiningiems veiksmams.&lt;/li&gt;&lt;li&gt;&lt;strong&gt;Karių motyvacija ir stabilumas.&lt;/strong&gt;&lt;br&gt; Geresnės finansinės sąlygos skatintų kariuomenėje išlaikyti patyrusius karius, pagerintų jų motyvaciją ir tarnybos ilgaamžiškumą.&lt;br&gt;&lt;/li&gt;&lt;/ol&gt;&lt;p&gt;&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pateikite_x0020_pasi_x016b_lymus><d:Pasidalinkite_x0020_id_x0117_jom m:null="true" /><d:ID m:type="Edm.Int32">30</d:ID><d:Modified m:type="Edm.DateTime">2025-04-11T05:21:52Z</d:Modified><d:Created m:type="Edm.DateTime">2025-04-11T05:21:52Z</d:Created><d:AuthorId m:type="Edm.Int32">0</d:AuthorId><d:EditorId m:type="Edm.Int32">0</d:EditorId><d:OData__UIVersionString>1.0</d:OData__UIVersionString></m:properties></content></entry><entry m:etag="&quot;1&quot;"><id>Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(31)</id><category term="SP.Data.Kaip_x0020_nedaryti_x0020_verts_x0020_nekuriani_x0020_darbListItem" scheme="http://schemas.microsoft.com/ado/2007/08/dataservices/scheme" /><link rel="edit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(31)" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FirstUniqueAncestorSecurableObject" type="application/atom+xml;type=entry" title="FirstUniqueAncestorSecurableObject" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(31)/FirstUniqueAncestorSecurableObject" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/RoleAssignments" type="application/atom+xml;type=feed" title="RoleAssignments" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(31)/RoleAssignments" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/AttachmentFiles" type="application/atom+xml;type=feed" title="AttachmentFiles" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(31)/AttachmentFiles" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ContentType" type="application/atom+xml;type=entry" title="ContentType" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(31)/ContentType" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsHtml" type="application/atom+xml;type=entry" title="FieldValuesAsHtml" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(31)/FieldValuesAsHtml" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsText" type="application/atom+xml;type=entry" title="FieldValuesAsText" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(31)/FieldValuesAsText" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesForEdit" type="application/atom+xml;type=entry" title="FieldValuesForEdit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(31)/FieldValuesForEdit" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/File" type="application/atom+xml;type=entry" title="File" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(31)/File" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/Folder" type="application/atom+xml;type=entry" title="Folder" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(31)/Folder" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ParentList" type="application/atom+xml;type=entry" title="ParentList" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(31)/ParentList" /><title /><updated>2025-04-18T11:17:33Z</updated><author><name /></author><content type="application/xml"><m:properties><d:FileSystemObjectType m:type="Edm.Int32">0</d:FileSystemObjectType><d:Id m:type="Edm.Int32">31</d:Id><d:ContentTypeId>0x00171F379CCADF464EB719C824E7B24FEB</d:ContentTypeId><d:Identifikuokite_x0020_perteklini m:null="true" /><d:Pateikite_x0020_pasi_x016b_lymus>&lt;div class="ExternalClass13D90CB71BD548A4A96256DE8124F07E"&gt;&lt;p&gt;&lt;strong&gt;2. Tobulinamas dalykas – Suteikti kariams teisę dirbti antrą darbą&lt;/strong&gt;&lt;/p&gt;&lt;p&gt;&lt;strong&gt;&amp;#160;&lt;/strong&gt;&lt;/p&gt;&lt;p&gt;&lt;strong&gt;Rekomendacija&amp;#58;&lt;/strong&gt;&lt;/p&gt;&lt;p&gt;Suteikti visiems kariams vienodas galimybes dirbti papildomą darbą, kaip tai jau leidžiama kitiems statutiniams pareigūnams (pvz., policijos, priešgaisrinės tarnybos darbuotojams). Be to, kai kuriems kariams (pvz., ūkininkams ar pedagogams) jau dabar suteikiamos išimtys, todėl būtų teisinga šias galimybes išplėsti visiems, jei tai nedaro neigiamo poveikio tarnybos kokybei.&lt;/p&gt;&lt;p&gt;&lt;strong&gt;&amp;#160;&lt;/strong&gt;&lt;/p&gt;&lt;p&gt;&lt;strong&gt;Problematika&amp;#58;&lt;/strong&gt;&lt;/p&gt;&lt;ol style="list-style-type&amp;#58;decimal;"&gt;&lt;li&gt;&lt;strong&gt;Nelegalus darbas.&lt;/strong&gt;&lt;br&gt; Dalis karių dirba antrą darbą nelegaliai, nesuderinę to su Lietuvos kariuomenės vadovybe. Tokios pajamos nėra apmokestinamos, o tai sudaro neskaidrią situaciją.&lt;/li&gt;&lt;li&gt;&lt;strong&gt;Ekonominės naudos praradimas.&lt;/strong&gt;&lt;br&gt; Legalus papildomas darbas užtikrintų mokesčių surinkimą į valstybės biudžetą, skatintų ekonomiką ir didintų skaidrumą.&lt;/li&gt;&lt;li&gt;&lt;strong&gt;Administracinės naštos sumažėjimas.&lt;/strong&gt;&lt;br&gt; Leidus kariams legaliai dirbti papildomą darbą, būtų išvengta tarnybinių patikrinimų, baudų skyrimo ir karių „gaudymo&amp;quot;. Tai sumažintų administracinę naštą ir leistų sutelkti dėmesį į svarbesnius klausimus.&lt;/li&gt;&lt;/ol&gt;&lt;p&gt;&lt;br&gt;&lt;/p&gt;&lt;p&gt;&lt;strong&gt;APIBENDRINIMAS&amp;#58;&lt;/strong&gt;&lt;/p&gt;&lt;p&gt;Siūlomi pakeitimai atitinka karių gerovės, ekonominio efektyvumo ir tarnybos stabilumo principus. Vienodas nuompinigių traktavimas paskatintų karių integraciją Lietuvos kariuomenę, o galimybė dirbti papildomą darbą prisidėtų prie skaidrumo ir ekonomikos stiprinimo. Abiejų siūlymų įgyvendinimas sustiprintų kariuomenės ilgalaikį patrauklumą ir motyvaciją tarnauti.&lt;br&gt;&lt;/p&gt;&lt;p&gt;&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pateikite_x0020_pasi_x016b_lymus><d:Pasidalinkite_x0020_id_x0117_jom m:null="true" /><d:ID m:type="Edm.Int32">31</d:ID><d:Modified m:type="Edm.DateTime">2025-04-11T05:22:16Z</d:Modified><d:Created m:type="Edm.DateTime">2025-04-11T05:22:16Z</d:Created><d:AuthorId m:type="Edm.Int32">0</d:AuthorId><d:EditorId m:type="Edm.Int32">0</d:EditorId><d:OData__UIVersionString>1.0</d:OData__UIVersionString></m:properties></content></entry><entry m:etag="&quot;1&quot;"><id>Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(32)</id><category term="SP.Data.Kaip_x0020_nedaryti_x0020_verts_x0020_nekuriani_x0020_darbListItem" scheme="http://schemas.microsoft.com/ado/2007/08/dataservices/scheme" /><link rel="edit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(32)" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FirstUniqueAncestorSecurableObject" type="application/atom+xml;type=entry" title="FirstUniqueAncestorSecurableObject" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(32)/FirstUniqueAncestorSecurableObject" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/RoleAssignments" type="application/atom+xml;type=feed" title="RoleAssignments" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(32)/RoleAssignments" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/AttachmentFiles" type="application/atom+xml;type=feed" title="AttachmentFiles" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(32)/AttachmentFiles" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ContentType" type="application/atom+xml;type=entry" title="ContentType" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(32)/ContentType" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsHtml" type="application/atom+xml;type=entry" title="FieldValuesAsHtml" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(32)/FieldValuesAsHtml" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsText" type="application/atom+xml;type=entry" title="FieldValuesAsText" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(32)/FieldValuesAsText" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesForEdit" type="application/atom+xml;type=entry" title="FieldValuesForEdit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(32)/FieldValuesForEdit" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/File" type="application/atom+xml;type=entry" title="File" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(32)/File" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/Folder" type="application/atom+xml;type=entry" title="Folder" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(32)/Folder" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ParentList" type="application/atom+xml;type=entry" title="ParentList" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(32)/ParentList" /><title /><updated>2025-04-18T11:17:33Z</updated><author><name /></author><content type="application/xml"><m:properties><d:FileSystemObjectType m:type="Edm.Int32">0</d:FileSystemObjectType><d:Id m:type="Edm.Int32">32</d:Id><d:ContentTypeId>0x00171F379CCADF464EB719C824E7B24FEB</d:ContentTypeId><d:Identifikuokite_x0020_perteklini>&lt;div class="ExternalClass06CE891700974520B0EE5906D406DED0"&gt;KAS neturi vieningos IT pagalbos sistemos, kariuomenės padaliniai turi savo atskiras sistemėles, siuntinėjasi el. laiškais, ministerija turi vieną bendrą, bet su ja kyla daug įvairių problemų ir ji nepatenkina pilnai visų poreikių. Jeigu žmogus iš kariuomenės (o gal ir ne tik) turi problemą su DokVIS (ar bet kuria kita IS), ar su kompiuteriu, ar su internetu, jis dažnu atveju nežino, kur kreiptis. Jeigu būtų vieninga sistema, jis tiesiog užpildytų užklausą su problema ir ji nukeliautų pas atitinkamą žmogų/skyrių/padalinį sprendimui, jam nereiktų žinoti kiekvieno administratoriaus kontaktų, klausinėti kolegų. Darbas būtų efektyvesnis. Taip pat ir naujo darbuotojo priėmimo į darbą procesas ministerijoje jau yra įgyvendintas per IT pagalbą, bet kitiems padaliniams irgi manau toks būtų aktualus.&lt;br&gt;Taip pat problema yra ir su turto apskaita, pagrinde tik kariuomenė naudojasi eRVIS savo turto valdymui, tačiau kitos įstaigos - ne. Dėl to kyla problemos ir dėl turto apskaitos dokumentų valdymo, sutarčių valdymo ir pan. Jeigu KAS IT pagalbos sistema taip pat apimtų ir turto valdymą, jo apskaitą, integraciją su finansinėmis sistemomis, tai išspręstų labai daug problemų, su kuriomis susiduria dauguma KAS padalinių.&lt;br&gt;Kalbant apie darbuotojus, labai daug įstaigų turi sukūrę asmenines darbuotojų aplinkas, kur jie prisijungę gali matyti atostogų dienų likučius, susiplanuoti atostogas, matyti kolegų atostogų kalendorius, iki kada galioja sveikatos patikrinimo pažyma, kokius privalomus kursus baigęs, veiklos vertinimo forma, kita aktuali darbuotojui informacija. Kariams taip pat galėtų būti ir budėjimų grafikų sudarymo galimybė, matyti kitą kariams aktualią informaciją.&amp;#160;&lt;br&gt;&lt;/div&gt;</d:Identifikuokite_x0020_perteklini><d:Pateikite_x0020_pasi_x016b_lymus>&lt;div class="ExternalClass9BCFBA15995243C0862F8EF4B8CF2C46"&gt;Šiuo metu nėra nei vieno padalinio, kuris atliktų visų KAS IT sistemų auditą, žinotų, kokios sitemos dabar yra, kokius procesus jos atlieka, kurios sistemos perteklinės, kurios skirtos uždengti kitų IS ar naudotojų žinių spragas, matytų bendrą IT infrastruktūrą, priimtų bendrus visai KAS IT sprendimus.&amp;#160;&lt;br&gt;Toks padalinys, kaip suprantu, turėjo būti KSITPG, tačiau, galbūt, jie neturi pakankamai IT srities kompetencijų, kad tai veiktų. Sprendimai dėl IT sistemų dažnai priimami tik to padalinio lygmenyje, net nežinant, galbūt KAS jau yra naudojama sistema, kuri patenkintų jų poreikius, ir nereikia pirkti/programuoti dar naujos.&amp;#160;&lt;br&gt;Galbūt net visos IT sistemos turėtų būti perkamos ir užsakomos centralizuotai, patikrinus, ar dar nėra norimo funkcionalumo kitose sistemose, ir jeigu nėra, tik tada užsakyti.&amp;#160;&lt;br&gt;Suteikti galimybę visiems matyti KAS turimų sistemų aibę su jų aprašymais ir galimybę pasirinkti naudojimuisi reikalingą sistemą. Ir sprendimą priimtų ne padalinys, kuris nori sistemos, bet tas padalinys, atsakingas už KAS IT infrastruktūrą. Jeigu ne KAS, tai bent ministerijos ir įstaigos prie jų, nes IT sistemų chaosas čia ne mažas net ir be kariuomenės.&amp;#160;&lt;br&gt;&lt;/div&gt;</d:Pateikite_x0020_pasi_x016b_lymus><d:Pasidalinkite_x0020_id_x0117_jom>&lt;div class="ExternalClass00FAE165860849819C5136304C668CE6"&gt;&lt;div&gt;Atsisakyti popierizmo, automatizuoti darbus naudojantis turimomis IS. Pavyzdžiui, Excel sąrašą galima perdaryti į SharePoint sąrašą, juo dalintis, suteikti teises ir kitiems žmonėms jį redaguoti, o ne turėti pas save, siuntinėtis el. laiškais, be atsekamumo.&amp;#160;&lt;/div&gt;&lt;div&gt;Edukuoti naudotojus naudotis IS, kad jos nėra kažkoks baubas, kurio reikia bijoti, o jos gali supaprastinti jiems gyvenimą, atsirastų tos 2 val. laisvo laiko.&amp;#160;&lt;/div&gt;&lt;div&gt;Vyresnio amžiaus darbuotojai dažnai pasisako prieš naujų technologijų įvedimą, nes bijo, kad nesusitvarkys, todėl reikia juos edukuoti, parodyti, pamokinti. Galbūt sukurti kažkokius masinius mokymus tam tikrai, daug kam pasikartojančiai, veiklai atlikti. O tam užtikrinti, galbūt reiktų turėti ir bendrą KAS mokymosi platformą su visais įmanomais kursais, skirtais tiek KAM, tiek LK?&lt;/div&gt;&lt;div&gt;Įsigyti dirbtinio intelekto įrankį, kuris dirbtų tik KAS viduje, jo duomenys neišeitų į išorę.&amp;#160;&lt;br&gt;&lt;/div&gt;&lt;/div&gt;</d:Pasidalinkite_x0020_id_x0117_jom><d:ID m:type="Edm.Int32">32</d:ID><d:Modified m:type="Edm.DateTime">2025-04-11T05:31:35Z</d:Modified><d:Created m:type="Edm.DateTime">2025-04-11T05:31:35Z</d:Created><d:AuthorId m:type="Edm.Int32">0</d:AuthorId><d:EditorId m:type="Edm.Int32">0</d:EditorId><d:OData__UIVersionString>1.0</d:OData__UIVersionString></m:properties></content></entry><entry m:etag="&quot;1&quot;"><id>Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(33)</id><category term="SP.Data.Kaip_x0020_nedaryti_x0020_verts_x0020_nekuriani_x0020_darbListItem" scheme="http://schemas.microsoft.com/ado/2007/08/dataservices/scheme" /><link rel="edit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(33)" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FirstUniqueAncestorSecurableObject" type="application/atom+xml;type=entry" title="FirstUniqueAncestorSecurableObject" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(33)/FirstUniqueAncestorSecurableObject" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/RoleAssignments" type="application/atom+xml;type=feed" title="RoleAssignments" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(33)/RoleAssignments" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/AttachmentFiles" type="application/atom+xml;type=feed" title="AttachmentFiles" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(33)/AttachmentFiles" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ContentType" type="application/atom+xml;type=entry" title="ContentType" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(33)/ContentType" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsHtml" type="application/atom+xml;type=entry" title="FieldValuesAsHtml" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(33)/FieldValuesAsHtml" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsText" type="application/atom+xml;type=entry" title="FieldValuesAsText" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(33)/FieldValuesAsText" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesForEdit" type="application/atom+xml;type=entry" title="FieldValuesForEdit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(33)/FieldValuesForEdit" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/File" type="application/atom+xml;type=entry" title="File" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(33)/File" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/Folder" type="application/atom+xml;type=entry" title="Folder" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(33)/Folder" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ParentList" type="application/atom+xml;type=entry" title="ParentList" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(33)/ParentList" /><title /><updated>2025-04-18T11:17:33Z</updated><author><name /></author><content type="application/xml"><m:properties><d:FileSystemObjectType m:type="Edm.Int32">0</d:FileSystemObjectType><d:Id m:type="Edm.Int32">33</d:Id><d:ContentTypeId>0x00171F379CCADF464EB719C824E7B24FEB</d:ContentTypeId><d:Identifikuokite_x0020_perteklini>&lt;div class="ExternalClassC4F15334360846AC88D0FFE8F7FEF70B"&gt;&lt;p&gt;​Investuota į tiek informacinių&amp;#160;sistemų (ERVIS, PERVIS, DOKVIS, NMIS&amp;#160;ir t.t., ir pan.), bet visviena pildoma begalė blankų, mat. ar įvairių popierinių&amp;#160;ataskaitų (ypač inventorizacijos metu), pratybų planų, pasirašinėjama instruktažų/supažindinimo žurnaluose, dubliuojama ir skaitmeniniai&amp;#160;ir popieriniai pildymai, kas visuose KAS lygiuose ne tik stabdo bet kokį įsivaizduojamą&amp;#160;&lt;span style="color&amp;#58;#666666;background-color&amp;#58;#ffffff;"&gt;&amp;#160;&lt;/span&gt;&lt;strong style="color&amp;#58;#666666;background-color&amp;#58;#ffffff;"&gt;„KAS Greitį“&lt;/strong&gt;, bet ir toliau&amp;#160;didina biurokratiją ir popieriaus gadinimą.&amp;#160;&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Identifikuokite_x0020_perteklini><d:Pateikite_x0020_pasi_x016b_lymus>&lt;div class="ExternalClass7F8B4604CBA34C72B33294FD61C11C56"&gt;&lt;p&gt;Automatizuoti procesus, suskaitmeninti standartinę/kasdieninę veiklos ar karinio rengimo, bent&amp;#160;taktiniame lygmenyje&amp;#160;organizavimo dokumentaciją. Įvesti elektroninius žurnalus. Vadovautis optimizacijos tikslu kasdieninėje veikloje. Jei leidžiama nauja tvarka/reikalavimas/taisyklės ir pan., tai naujas dokumentas turėtų naikinti bent 2 prieš tai galiojusias, tuo principu naujas aptimizuoja ir naikina senas dvi. Po kelių metų pasijustų apčiuopamas&amp;#160;&lt;span style="color&amp;#58;#666666;background-color&amp;#58;#ffffff;"&gt;&amp;#160;&lt;/span&gt;&lt;strong style="color&amp;#58;#666666;background-color&amp;#58;#ffffff;"&gt;„KAS Greičio“ rezultatas.&amp;#160;&lt;/strong&gt;&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pateikite_x0020_pasi_x016b_lymus><d:Pasidalinkite_x0020_id_x0117_jom>&lt;div class="ExternalClass30EA83C2431D424C978376BE053233CE"&gt;&lt;p&gt;​Elementarus pavyzdys, karys/darbuotojas turi pasidaryti nuotrauką reikalingą pažymėjimui ar į bylą.&amp;#160;Reikia vykti su uniforma į&amp;#160;fotoatelje, sumokėti&amp;#160;pinigus, atspausdintą nuotrauką nešti į darbą ir ją skanuoti ir tokiu būdu vėl ją skaitmeninti, kad nusiųstų į personalo skyrių.&amp;#160;Elementarus šio&amp;#160;biurokratinio klausimo sprendimas -&amp;#160;tarnyboje/darbovietėje skaitmeninę nuotrauką padaro paskirtas specialistas&amp;#160;ir skaitmeninė nuotrauka būtų naudojama pagal poreikį.&lt;br&gt;&lt;/p&gt;&lt;p&gt;Žemiausiuose KAS lygiuose/ypač taktiniuose tiesiog vykdomi aukštesni reikalavimai, tad sprendimo viršenybė daugumoje atveju Pajėgų lygmenyje ir aukščiau, tad būtų&amp;#160;puiki idėja&amp;#160;oficialiai sukurti tokio lygmens darbo grupę KA ministrės įsakymu&amp;#160;su aiškiu tikslu ir&amp;#160;tada iniciatyva pavirs rezultatu.&lt;br&gt;&lt;/p&gt;&lt;p&gt;SKAITMENININIMAS ir OPTIMIZAVIMAS yra raktas į&amp;#160;&lt;strong style="color&amp;#58;#666666;background-color&amp;#58;#ffffff;"&gt;„KAS Greitį“&lt;/strong&gt;&lt;br&gt;&lt;/p&gt;&lt;p&gt;&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pasidalinkite_x0020_id_x0117_jom><d:ID m:type="Edm.Int32">33</d:ID><d:Modified m:type="Edm.DateTime">2025-04-11T05:39:17Z</d:Modified><d:Created m:type="Edm.DateTime">2025-04-11T05:39:17Z</d:Created><d:AuthorId m:type="Edm.Int32">0</d:AuthorId><d:EditorId m:type="Edm.Int32">0</d:EditorId><d:OData__UIVersionString>1.0</d:OData__UIVersionString></m:properties></content></entry><entry m:etag="&quot;1&quot;"><id>Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(34)</id><category term="SP.Data.Kaip_x0020_nedaryti_x0020_verts_x0020_nekuriani_x0020_darbListItem" scheme="http://schemas.microsoft.com/ado/2007/08/dataservices/scheme" /><link rel="edit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(34)" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FirstUniqueAncestorSecurableObject" type="application/atom+xml;type=entry" title="FirstUniqueAncestorSecurableObject" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(34)/FirstUniqueAncestorSecurableObject" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/RoleAssignments" type="application/atom+xml;type=feed" title="RoleAssignments" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(34)/RoleAssignments" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/AttachmentFiles" type="application/atom+xml;type=feed" title="AttachmentFiles" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(34)/AttachmentFiles" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ContentType" type="application/atom+xml;type=entry" title="ContentType" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(34)/ContentType" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsHtml" type="application/atom+xml;type=entry" title="FieldValuesAsHtml" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(34)/FieldValuesAsHtml" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsText" type="application/atom+xml;type=entry" title="FieldValuesAsText" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(34)/FieldValuesAsText" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesForEdit" type="application/atom+xml;type=entry" title="FieldValuesForEdit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(34)/FieldValuesForEdit" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/File" type="application/atom+xml;type=entry" title="File" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(34)/File" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/Folder" type="application/atom+xml;type=entry" title="Folder" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(34)/Folder" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ParentList" type="application/atom+xml;type=entry" title="ParentList" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(34)/ParentList" /><title /><updated>2025-04-18T11:17:33Z</updated><author><name /></author><content type="application/xml"><m:properties><d:FileSystemObjectType m:type="Edm.Int32">0</d:FileSystemObjectType><d:Id m:type="Edm.Int32">34</d:Id><d:ContentTypeId>0x00171F379CCADF464EB719C824E7B24FEB</d:ContentTypeId><d:Identifikuokite_x0020_perteklini>&lt;div class="ExternalClass4D7F6B3E07D0446A92A05169DDF1A9D1"&gt;&lt;p&gt;​Ervis ir popieriniai dokumentai dubliuojasi ir todėl tai neefektyvus procesas.&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Identifikuokite_x0020_perteklini><d:Pateikite_x0020_pasi_x016b_lymus>&lt;div class="ExternalClass100943783DA44C7BA1706DF9CA06EC95"&gt;&lt;p&gt;​Atsisakyti popierinių dokumentų.&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pateikite_x0020_pasi_x016b_lymus><d:Pasidalinkite_x0020_id_x0117_jom>&lt;div class="ExternalClass2A4283EB2C0F477EA4FF1A5E44FDD1BE"&gt;&lt;p&gt;​Visą procesą perkelti Į ErVis.&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pasidalinkite_x0020_id_x0117_jom><d:ID m:type="Edm.Int32">34</d:ID><d:Modified m:type="Edm.DateTime">2025-04-11T05:49:55Z</d:Modified><d:Created m:type="Edm.DateTime">2025-04-11T05:49:55Z</d:Created><d:AuthorId m:type="Edm.Int32">0</d:AuthorId><d:EditorId m:type="Edm.Int32">0</d:EditorId><d:OData__UIVersionString>1.0</d:OData__UIVersionString></m:properties></content></entry><entry m:etag="&quot;1&quot;"><id>Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(35)</id><category term="SP.Data.Kaip_x0020_nedaryti_x0020_verts_x0020_nekuriani_x0020_darbListItem" scheme="http://schemas.microsoft.com/ado/2007/08/dataservices/scheme" /><link rel="edit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(35)" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FirstUniqueAncestorSecurableObject" type="application/atom+xml;type=entry" title="FirstUniqueAncestorSecurableObject" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(35)/FirstUniqueAncestorSecurableObject" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/RoleAssignments" type="application/atom+xml;type=feed" title="RoleAssignments" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(35)/RoleAssignments" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/AttachmentFiles" type="application/atom+xml;type=feed" title="AttachmentFiles" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(35)/AttachmentFiles" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ContentType" type="application/atom+xml;type=entry" title="ContentType" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(35)/ContentType" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsHtml" type="application/atom+xml;type=entry" title="FieldValuesAsHtml" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(35)/FieldValuesAsHtml" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsText" type="application/atom+xml;type=entry" title="FieldValuesAsText" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(35)/FieldValuesAsText" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesForEdit" type="application/atom+xml;type=entry" title="FieldValuesForEdit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(35)/FieldValuesForEdit" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/File" type="application/atom+xml;type=entry" title="File" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(35)/File" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/Folder" type="application/atom+xml;type=entry" title="Folder" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(35)/Folder" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ParentList" type="application/atom+xml;type=entry" title="ParentList" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(35)/ParentList" /><title /><updated>2025-04-18T11:17:33Z</updated><author><name /></author><content type="application/xml"><m:properties><d:FileSystemObjectType m:type="Edm.Int32">0</d:FileSystemObjectType><d:Id m:type="Edm.Int32">35</d:Id><d:ContentTypeId>0x00171F379CCADF464EB719C824E7B24FEB</d:ContentTypeId><d:Identifikuokite_x0020_perteklini>&lt;div class="ExternalClass0AAB48398B2744A58E9336DCEE74AE02"&gt;&lt;p&gt;&lt;br&gt;&lt;/p&gt;&lt;div&gt;&lt;br&gt;&lt;br&gt;&lt;/div&gt;&lt;p&gt;&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Identifikuokite_x0020_perteklini><d:Pateikite_x0020_pasi_x016b_lymus m:null="true" /><d:Pasidalinkite_x0020_id_x0117_jom>&lt;div class="ExternalClassF5EC143527B142739A84F4CAF81F9251"&gt;&lt;div&gt;Sveiki, pateikiu&amp;#160;Jums dvi akcentuotas idėjas, kurios gali prisidėti prie Jūsų siekio efektyvinti veiklą. Gal šios siūlomos priemonės&amp;#160;Jums bus naudingos.&lt;/div&gt;&lt;div&gt;&amp;#160;&lt;br&gt;&lt;/div&gt;&lt;div&gt;&lt;strong&gt;Priemonė Nr. 1 – Veiklos procesų automatizavimas ir robotizavimas.&lt;/strong&gt; Mintis yra tokia, kad&amp;#160; panaudojant robotinių procesų automatizavimą (RPA) maksimaliai eliminuoti žmonių perteklinio darbo poreikį. Kur tą galima padaryti kariuomenėje – yra n erdvių. Pvz., atostogų valdymai, komandiruotės, biudžeto ir apskaitos valdymas bei kt.&amp;#160;Sėkmės pavyzdžiu yra Policijos atvejis – juo galima sekti (https&amp;#58;//www.atea.lt/igyvendinti-projektai/robotizavimo-sprendimai-lietuvos-keliu-policijoje-5-kartus-didesnes-darbo-apsukos-ir-efektyvesnis-pareigunu-darbo-laikas/). Pateikiu pavyzdį. Kariui reikia išeiti planinių atostogų.&amp;#160;Dabartinis procesas – karys rašo prašymą, jį reikia suderinti su tiesioginiais viršininkais ir S1. Tada viršininkas turi rašyti prašymą dėl pavadavimo priemokos, jo metu taip pat vyksta įvairūs derinimai.&amp;#160;Galimas optimizuotas procesas per RPA&amp;#160;– karys pasižymi kalendoriuje savo atostogas, o automatizuota sistema parengia įsakymą, parenka automatiniu būdu pavadavimą pagal numatytą algoritmą ir paskiria priedą. Norint pakeisti atostogų&amp;#160;datas, kariui užtenka tik kalendoriuje pakeisti datas ir RPA viską sutvarko. Visa tai įvyksta greitai be žmogaus įsikišimo. Kita&amp;#160;didžiulė erdvė efektyvinimui yra finansų ir išteklių valdymas. Pavyzdžiui,&amp;#160;pasidomėkite kaip per RPA tokia&amp;#160;stambi įmonė kaip Girteka (https&amp;#58;//www.lrt.lt/naujienos/verslas/4/2153569/girtekos-imones-atleidzia-daugiau-nei-100-darbuotoju) susitvarkė savo finansinius ir kartu veiklos procesus. Iš esmės, RPA yra būtinybė organizacijai norinčiai greičiau ir sklandžiau veikti. Jeigu Policija galėjo tai padaryti ir susitvarkyti tai ir kariuomenė tą gali pasidaryti.&lt;/div&gt;&lt;div&gt;&lt;br&gt;&lt;/div&gt;&lt;div&gt;&lt;strong&gt;Priemonė Nr. 2 – Smulkių pirkimų liberalizavimas taikant kompensavimo mechanizamą.&lt;/strong&gt; Problema yra tokia, kad yra daug įvairių smulkių pirkimų, kurie atliekami centralizuotai, kas yra lėtas procesas. Todėl yra siūloma kur kas plačiau taikyti kompensavimo mechanizmą atliekant įsigijimus. Pavyzdžiui GŠ valdyba galėtų&amp;#160;gauti&amp;#160;metams skirtą sumą kanceliarinėms prekėms įsigyti. Įsigijimus daro paskirtas valdybos darbuotojas ir tai daro su išduota kortele komercinėse parduotuvėse. Čekiai ir prekės turėtų būti fotografuojami panaudojant programėlę, o ji ir vėl per automatizuotas ir robotizuotas sistemas užpildytų visas ataskaitas. Efektas – greitas ir sklandus elementarių darbo priemonių įsigijimas decentralizuotu būdu. Šiuo metu&amp;#160;yra priešingai, gaunam krūvą kanceliarinių priemonių, kurias kažkada užsakėme, tame pirkime dalyvauja n darbuotojų ir užtrunka neproporcingai daug laiko.&lt;br&gt;&lt;/div&gt;&lt;div&gt;&lt;br&gt;&lt;/div&gt;&lt;div&gt;Kitu kompensavimo mechanizmo pavyzdys galėtų būti tarkime IFAK (Individualus pirmosios pagalbos rinkinio) įsigijimo kompensavimas. Procesas galėtų atrodyti taip&amp;#58; Kariams IFAK įsigijimui skiriama tam tikra viršutinė kompensavimo suma. Karys nusiperka ar susikomplektuoja IFAK už savo pinigus. Per programėlę deklaruoja ką ir kiek pirko. RPA sutvarko visus dokumentus. KAM kompensuoja kariui už išsigytą IFAK. Tą procesą būtų galima sujungti su PMP kursu, &amp;quot;train and equip&amp;quot; principu. Efektas – per trumpą laiką ir decentralizuotą veikimą visi kariai turi pilnai sukomplektuotus IFAK‘us savo reikmėms, ko po šiai dienai nėra.&lt;br&gt;&lt;/div&gt;&lt;div&gt;&lt;br&gt;&lt;/div&gt;&lt;div&gt;Turiu ir daugiau minčių, tačiau jeigu pavyktų bent šias dvi idėjas įgyvendinti tai&amp;#160;būtų didelis žingsnis į priekį.&lt;br&gt;&lt;/div&gt;&lt;div&gt;&lt;br&gt;&lt;/div&gt;&lt;div&gt;Pagarbiai,&lt;br&gt;&lt;/div&gt;&lt;div&gt;Gintautas Razma&lt;br&gt;&lt;/div&gt;&lt;p&gt;&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pasidalinkite_x0020_id_x0117_jom><d:ID m:type="Edm.Int32">35</d:ID><d:Modified m:type="Edm.DateTime">2025-04-11T06:14:34Z</d:Modified><d:Created m:type="Edm.DateTime">2025-04-11T06:14:34Z</d:Created><d:AuthorId m:type="Edm.Int32">0</d:AuthorId><d:EditorId m:type="Edm.Int32">0</d:EditorId><d:OData__UIVersionString>1.0</d:OData__UIVersionString></m:properties></content></entry><entry m:etag="&quot;1&quot;"><id>Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(36)</id><category term="SP.Data.Kaip_x0020_nedaryti_x0020_verts_x0020_nekuriani_x0020_darbListItem" scheme="http://schemas.microsoft.com/ado/2007/08/dataservices/scheme" /><link rel="edit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(36)" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FirstUniqueAncestorSecurableObject" type="application/atom+xml;type=entry" title="FirstUniqueAncestorSecurableObject" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(36)/FirstUniqueAncestorSecurableObject" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/RoleAssignments" type="application/atom+xml;type=feed" title="RoleAssignments" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(36)/RoleAssignments" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/AttachmentFiles" type="application/atom+xml;type=feed" title="AttachmentFiles" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(36)/AttachmentFiles" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ContentType" type="application/atom+xml;type=entry" title="ContentType" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(36)/ContentType" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsHtml" type="application/atom+xml;type=entry" title="FieldValuesAsHtml" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(36)/FieldValuesAsHtml" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsText" type="application/atom+xml;type=entry" title="FieldValuesAsText" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(36)/FieldValuesAsText" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesForEdit" type="application/atom+xml;type=entry" title="FieldValuesForEdit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(36)/FieldValuesForEdit" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/File" type="application/atom+xml;type=entry" title="File" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(36)/File" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/Folder" type="application/atom+xml;type=entry" title="Folder" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(36)/Folder" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ParentList" type="application/atom+xml;type=entry" title="ParentList" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(36)/ParentList" /><title /><updated>2025-04-18T11:17:33Z</updated><author><name /></author><content type="application/xml"><m:properties><d:FileSystemObjectType m:type="Edm.Int32">0</d:FileSystemObjectType><d:Id m:type="Edm.Int32">36</d:Id><d:ContentTypeId>0x00171F379CCADF464EB719C824E7B24FEB</d:ContentTypeId><d:Identifikuokite_x0020_perteklini>&lt;div class="ExternalClass0C94832517AC4E94961A66708D6F36C8"&gt;&lt;p&gt;​Dokumentus kuriuos darome su ERVIS sistema reikia spausdinti po kelias kopijas, sunaudojama daug popieriaus, nors tie dokumentai yra laisvai prieinami visiems ERVIS vartojomas ir galima juos pasižiūrėti betkada&amp;#160;negadinant popieriaus.&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Identifikuokite_x0020_perteklini><d:Pateikite_x0020_pasi_x016b_lymus>&lt;div class="ExternalClass39964BD5F12D48548AE904EFDA054820"&gt;&lt;p&gt;​Nespaudsinti tiek popieriaus.&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pateikite_x0020_pasi_x016b_lymus><d:Pasidalinkite_x0020_id_x0117_jom>&lt;div class="ExternalClass643F87D2C0014FC29851B5A91536BC77"&gt;&lt;p&gt;​Mažiau popierių spausdinimo, mažiau parašų dėjimo&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pasidalinkite_x0020_id_x0117_jom><d:ID m:type="Edm.Int32">36</d:ID><d:Modified m:type="Edm.DateTime">2025-04-11T06:29:30Z</d:Modified><d:Created m:type="Edm.DateTime">2025-04-11T06:29:30Z</d:Created><d:AuthorId m:type="Edm.Int32">0</d:AuthorId><d:EditorId m:type="Edm.Int32">0</d:EditorId><d:OData__UIVersionString>1.0</d:OData__UIVersionString></m:properties></content></entry><entry m:etag="&quot;1&quot;"><id>Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(37)</id><category term="SP.Data.Kaip_x0020_nedaryti_x0020_verts_x0020_nekuriani_x0020_darbListItem" scheme="http://schemas.microsoft.com/ado/2007/08/dataservices/scheme" /><link rel="edit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(37)" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FirstUniqueAncestorSecurableObject" type="application/atom+xml;type=entry" title="FirstUniqueAncestorSecurableObject" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(37)/FirstUniqueAncestorSecurableObject" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/RoleAssignments" type="application/atom+xml;type=feed" title="RoleAssignments" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(37)/RoleAssignments" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/AttachmentFiles" type="application/atom+xml;type=feed" title="AttachmentFiles" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(37)/AttachmentFiles" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ContentType" type="application/atom+xml;type=entry" title="ContentType" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(37)/ContentType" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsHtml" type="application/atom+xml;type=entry" title="FieldValuesAsHtml" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(37)/FieldValuesAsHtml" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsText" type="application/atom+xml;type=entry" title="FieldValuesAsText" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(37)/FieldValuesAsText" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesForEdit" type="application/atom+xml;type=entry" title="FieldValuesForEdit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(37)/FieldValuesForEdit" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/File" type="application/atom+xml;type=entry" title="File" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(37)/File" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/Folder" type="application/atom+xml;type=entry" title="Folder" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(37)/Folder" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ParentList" type="application/atom+xml;type=entry" title="ParentList" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(37)/ParentList" /><title /><updated>2025-04-18T11:17:33Z</updated><author><name /></author><content type="application/xml"><m:properties><d:FileSystemObjectType m:type="Edm.Int32">0</d:FileSystemObjectType><d:Id m:type="Edm.Int32">37</d:Id><d:ContentTypeId>0x00171F379CCADF464EB719C824E7B24FEB</d:ContentTypeId><d:Identifikuokite_x0020_perteklini m:null="true" /><d:Pateikite_x0020_pasi_x016b_lymus m:null="true" /><d:Pasidalinkite_x0020_id_x0117_jom>&lt;div class="ExternalClassFDDEBE2118E947FDAD0AA5968A16A4C7"&gt;&lt;p&gt;​Dirbtume greičiau, jei teikiamus derinti projektus KAS institucijos vertintų tik savo kompetecijos ribose, o ne taisytų sakinių struktūrą, kuri lietuvių kalboje gali būti labai įvairi. &lt;/p&gt;&lt;/div&gt;</d:Pasidalinkite_x0020_id_x0117_jom><d:ID m:type="Edm.Int32">37</d:ID><d:Modified m:type="Edm.DateTime">2025-04-11T06:39:23Z</d:Modified><d:Created m:type="Edm.DateTime">2025-04-11T06:39:23Z</d:Created><d:AuthorId m:type="Edm.Int32">0</d:AuthorId><d:EditorId m:type="Edm.Int32">0</d:EditorId><d:OData__UIVersionString>1.0</d:OData__UIVersionString></m:properties></content></entry><entry m:etag="&quot;1&quot;"><id>Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(38)</id><category term="SP.Data.Kaip_x0020_nedaryti_x0020_verts_x0020_nekuriani_x0020_darbListItem" scheme="http://schemas.microsoft.com/ado/2007/08/dataservices/scheme" /><link rel="edit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(38)" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FirstUniqueAncestorSecurableObject" type="application/atom+xml;type=entry" title="FirstUniqueAncestorSecurableObject" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(38)/FirstUniqueAncestorSecurableObject" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/RoleAssignments" type="application/atom+xml;type=feed" title="RoleAssignments" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(38)/RoleAssignments" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/AttachmentFiles" type="application/atom+xml;type=feed" title="AttachmentFiles" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(38)/AttachmentFiles" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ContentType" type="application/atom+xml;type=entry" title="ContentType" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(38)/ContentType" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsHtml" type="application/atom+xml;type=entry" title="FieldValuesAsHtml" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(38)/FieldValuesAsHtml" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsText" type="application/atom+xml;type=entry" title="FieldValuesAsText" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(38)/FieldValuesAsText" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesForEdit" type="application/atom+xml;type=entry" title="FieldValuesForEdit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(38)/FieldValuesForEdit" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/File" type="application/atom+xml;type=entry" title="File" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(38)/File" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/Folder" type="application/atom+xml;type=entry" title="Folder" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(38)/Folder" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ParentList" type="application/atom+xml;type=entry" title="ParentList" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(38)/ParentList" /><title /><updated>2025-04-18T11:17:33Z</updated><author><name /></author><content type="application/xml"><m:properties><d:FileSystemObjectType m:type="Edm.Int32">0</d:FileSystemObjectType><d:Id m:type="Edm.Int32">38</d:Id><d:ContentTypeId>0x00171F379CCADF464EB719C824E7B24FEB</d:ContentTypeId><d:Identifikuokite_x0020_perteklini>&lt;div class="ExternalClassA931C5295EAB417FA67462426339D027"&gt;&lt;p&gt;​Karinio rengimo zurnalai ( nereikalingi)&amp;#160;&lt;br&gt;&lt;/p&gt;&lt;p&gt;Ne motyvuotus, nenorincius atlikti savo darbu bei pareigu, senus karius.&lt;br&gt;&lt;/p&gt;&lt;p&gt;&lt;br&gt;&lt;/p&gt;&lt;p&gt;&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Identifikuokite_x0020_perteklini><d:Pateikite_x0020_pasi_x016b_lymus>&lt;div class="ExternalClass6E1A9E4140A64255A87224A872B94DFB"&gt;&lt;p&gt;​zurnalus panaikinti.&lt;br&gt;&lt;/p&gt;&lt;p&gt;Seniams kurie tingi dirbti, isrotuoti arba nepratesti sutarties.&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pateikite_x0020_pasi_x016b_lymus><d:Pasidalinkite_x0020_id_x0117_jom>&lt;div class="ExternalClass7DF360AE94F74270A8259567C5B91BAC"&gt;&lt;p&gt;​I logistikos, rysiu administravimo vietas, idarbinti motyvuotus jaunus zmones.&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pasidalinkite_x0020_id_x0117_jom><d:ID m:type="Edm.Int32">38</d:ID><d:Modified m:type="Edm.DateTime">2025-04-11T06:51:21Z</d:Modified><d:Created m:type="Edm.DateTime">2025-04-11T06:51:21Z</d:Created><d:AuthorId m:type="Edm.Int32">0</d:AuthorId><d:EditorId m:type="Edm.Int32">0</d:EditorId><d:OData__UIVersionString>1.0</d:OData__UIVersionString></m:properties></content></entry><entry m:etag="&quot;1&quot;"><id>Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(39)</id><category term="SP.Data.Kaip_x0020_nedaryti_x0020_verts_x0020_nekuriani_x0020_darbListItem" scheme="http://schemas.microsoft.com/ado/2007/08/dataservices/scheme" /><link rel="edit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(39)" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FirstUniqueAncestorSecurableObject" type="application/atom+xml;type=entry" title="FirstUniqueAncestorSecurableObject" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(39)/FirstUniqueAncestorSecurableObject" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/RoleAssignments" type="application/atom+xml;type=feed" title="RoleAssignments" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(39)/RoleAssignments" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/AttachmentFiles" type="application/atom+xml;type=feed" title="AttachmentFiles" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(39)/AttachmentFiles" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ContentType" type="application/atom+xml;type=entry" title="ContentType" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(39)/ContentType" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsHtml" type="application/atom+xml;type=entry" title="FieldValuesAsHtml" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(39)/FieldValuesAsHtml" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsText" type="application/atom+xml;type=entry" title="FieldValuesAsText" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(39)/FieldValuesAsText" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesForEdit" type="application/atom+xml;type=entry" title="FieldValuesForEdit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(39)/FieldValuesForEdit" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/File" type="application/atom+xml;type=entry" title="File" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(39)/File" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/Folder" type="application/atom+xml;type=entry" title="Folder" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(39)/Folder" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ParentList" type="application/atom+xml;type=entry" title="ParentList" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(39)/ParentList" /><title /><updated>2025-04-18T11:17:33Z</updated><author><name /></author><content type="application/xml"><m:properties><d:FileSystemObjectType m:type="Edm.Int32">0</d:FileSystemObjectType><d:Id m:type="Edm.Int32">39</d:Id><d:ContentTypeId>0x00171F379CCADF464EB719C824E7B24FEB</d:ContentTypeId><d:Identifikuokite_x0020_perteklini>&lt;div class="ExternalClassE8BEEF90765F4862BC0C2FE9FEE799E4"&gt;&lt;p&gt;​Šiuo metu vykdomos mėnesinės pastatų apžiūros, tai užtrunka 2-3 darbo dienas per mėnesį. &lt;br&gt;&lt;/p&gt;&lt;p&gt;&amp;#160;Minimalias bėdas sprendžia ĮAT &amp;quot;Staliai&amp;quot;,&amp;#160;&lt;br&gt;&lt;/p&gt;&lt;p&gt;o paprastojo remonto poreikis neatsiranda per mėnesį.&amp;#160;&lt;br&gt;&lt;/p&gt;&lt;p&gt;&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Identifikuokite_x0020_perteklini><d:Pateikite_x0020_pasi_x016b_lymus>&lt;div class="ExternalClass9095628B6F814D8D849D9E4EB1EEBEE0"&gt;&lt;p&gt;​&lt;/p&gt;&lt;p&gt;Siūlymas, apžiūras atlikti ne rečiau kaip&amp;#160;kartą&amp;#160;per&amp;#160;ketvirtį ir neplaniškai, pagal naudotojo poreikius.&lt;br&gt;&lt;/p&gt;&lt;p&gt;&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pateikite_x0020_pasi_x016b_lymus><d:Pasidalinkite_x0020_id_x0117_jom>&lt;div class="ExternalClassEC7FF7CBC45546729C004ECBD99041E4"&gt;&lt;p&gt;​&lt;/p&gt;&lt;p&gt;Minimalias bėdas sprendžia ĮAT &amp;quot;Staliai&amp;quot;, o paprastojo remonto poreikis neatsiranda per mėnesį.&amp;#160;&lt;br&gt;&lt;/p&gt;&lt;p&gt;&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pasidalinkite_x0020_id_x0117_jom><d:ID m:type="Edm.Int32">39</d:ID><d:Modified m:type="Edm.DateTime">2025-04-11T07:02:17Z</d:Modified><d:Created m:type="Edm.DateTime">2025-04-11T07:02:17Z</d:Created><d:AuthorId m:type="Edm.Int32">0</d:AuthorId><d:EditorId m:type="Edm.Int32">0</d:EditorId><d:OData__UIVersionString>1.0</d:OData__UIVersionString></m:properties></content></entry><entry m:etag="&quot;1&quot;"><id>Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(40)</id><category term="SP.Data.Kaip_x0020_nedaryti_x0020_verts_x0020_nekuriani_x0020_darbListItem" scheme="http://schemas.microsoft.com/ado/2007/08/dataservices/scheme" /><link rel="edit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(40)" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FirstUniqueAncestorSecurableObject" type="application/atom+xml;type=entry" title="FirstUniqueAncestorSecurableObject" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(40)/FirstUniqueAncestorSecurableObject" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/RoleAssignments" type="application/atom+xml;type=feed" title="RoleAssignments" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(40)/RoleAssignments" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/AttachmentFiles" type="application/atom+xml;type=feed" title="AttachmentFiles" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(40)/AttachmentFiles" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ContentType" type="application/atom+xml;type=entry" title="ContentType" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(40)/ContentType" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsHtml" type="application/atom+xml;type=entry" title="FieldValuesAsHtml" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(40)/FieldValuesAsHtml" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsText" type="application/atom+xml;type=entry" title="FieldValuesAsText" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(40)/FieldValuesAsText" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesForEdit" type="application/atom+xml;type=entry" title="FieldValuesForEdit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(40)/FieldValuesForEdit" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/File" type="application/atom+xml;type=entry" title="File" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(40)/File" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/Folder" type="application/atom+xml;type=entry" title="Folder" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(40)/Folder" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ParentList" type="application/atom+xml;type=entry" title="ParentList" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(40)/ParentList" /><title /><updated>2025-04-18T11:17:33Z</updated><author><name /></author><content type="application/xml"><m:properties><d:FileSystemObjectType m:type="Edm.Int32">0</d:FileSystemObjectType><d:Id m:type="Edm.Int32">40</d:Id><d:ContentTypeId>0x00171F379CCADF464EB719C824E7B24FEB</d:ContentTypeId><d:Identifikuokite_x0020_perteklini m:null="true" /><d:Pateikite_x0020_pasi_x016b_lymus m:null="true" /><d:Pasidalinkite_x0020_id_x0117_jom>&lt;div class="ExternalClassFD3A3D9D5BD04623A51D6A41A212738E"&gt;&lt;p&gt;​Adobe acrobat leidzia sukurti elektronini parasa. Dabar reikia kartais lakstyti, laukti kad gautum derinimui reikalinga fizini parasa. arba/ir&amp;#160;Turetu buti galima pripazinti gauta atsakyma outlook kaip oficialu&amp;#160;patvirtinima, pripazinima.&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pasidalinkite_x0020_id_x0117_jom><d:ID m:type="Edm.Int32">40</d:ID><d:Modified m:type="Edm.DateTime">2025-04-11T07:31:08Z</d:Modified><d:Created m:type="Edm.DateTime">2025-04-11T07:31:08Z</d:Created><d:AuthorId m:type="Edm.Int32">0</d:AuthorId><d:EditorId m:type="Edm.Int32">0</d:EditorId><d:OData__UIVersionString>1.0</d:OData__UIVersionString></m:properties></content></entry><entry m:etag="&quot;1&quot;"><id>Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(41)</id><category term="SP.Data.Kaip_x0020_nedaryti_x0020_verts_x0020_nekuriani_x0020_darbListItem" scheme="http://schemas.microsoft.com/ado/2007/08/dataservices/scheme" /><link rel="edit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(41)" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FirstUniqueAncestorSecurableObject" type="application/atom+xml;type=entry" title="FirstUniqueAncestorSecurableObject" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(41)/FirstUniqueAncestorSecurableObject" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/RoleAssignments" type="application/atom+xml;type=feed" title="RoleAssignments" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(41)/RoleAssignments" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/AttachmentFiles" type="application/atom+xml;type=feed" title="AttachmentFiles" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(41)/AttachmentFiles" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ContentType" type="application/atom+xml;type=entry" title="ContentType" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(41)/ContentType" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsHtml" type="application/atom+xml;type=entry" title="FieldValuesAsHtml" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(41)/FieldValuesAsHtml" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsText" type="application/atom+xml;type=entry" title="FieldValuesAsText" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(41)/FieldValuesAsText" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesForEdit" type="application/atom+xml;type=entry" title="FieldValuesForEdit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(41)/FieldValuesForEdit" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/File" type="application/atom+xml;type=entry" title="File" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(41)/File" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/Folder" type="application/atom+xml;type=entry" title="Folder" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(41)/Folder" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ParentList" type="application/atom+xml;type=entry" title="ParentList" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(41)/ParentList" /><title /><updated>2025-04-18T11:17:33Z</updated><author><name /></author><content type="application/xml"><m:properties><d:FileSystemObjectType m:type="Edm.Int32">0</d:FileSystemObjectType><d:Id m:type="Edm.Int32">41</d:Id><d:ContentTypeId>0x00171F379CCADF464EB719C824E7B24FEB</d:ContentTypeId><d:Identifikuokite_x0020_perteklini>&lt;div class="ExternalClassB42D750C7CF748D4943AA7FA218F3CE1"&gt;&lt;p&gt;​Karių aprūpinimas apranga - ekipupte -&amp;gt; sukurti kario LOG paskyrą ir &amp;quot;eshop&amp;quot; , kur karys prisijungės išrirenka jam reikalingas priemones&amp;#160;&lt;br&gt;&lt;/p&gt;&lt;p&gt;pagal turimą kreditą. Pasiima tik tai kas rikalinga. Užsakymą sudeda sandėliai, išvežioja sutartininkai -venipak, omniva ir pan.&amp;#160;&lt;br&gt;&lt;/p&gt;&lt;p&gt;Pritaikyti LEAN vadybos sitemą visam aparatui.&lt;br&gt;&lt;/p&gt;&lt;p&gt;Esistema kariui - kuri apjungtu visas priemones valdymui, nuo kario statuso, priskyrimų, galiojančiū/negaliojančių kursų, registracijos patiems į mediciną galimybės ir visas kitas personalo valdymas per kario app. Personalistai tik suvestų duomenis į PerVis, ir viskas būtų pas karį jo valdymui. matyttų ir atostogų kiekį ir tarnybos laiką ir visą kitą.&amp;#160;&lt;br&gt;&lt;/p&gt;&lt;p&gt;&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Identifikuokite_x0020_perteklini><d:Pateikite_x0020_pasi_x016b_lymus m:null="true" /><d:Pasidalinkite_x0020_id_x0117_jom m:null="true" /><d:ID m:type="Edm.Int32">41</d:ID><d:Modified m:type="Edm.DateTime">2025-04-11T07:31:51Z</d:Modified><d:Created m:type="Edm.DateTime">2025-04-11T07:31:51Z</d:Created><d:AuthorId m:type="Edm.Int32">0</d:AuthorId><d:EditorId m:type="Edm.Int32">0</d:EditorId><d:OData__UIVersionString>1.0</d:OData__UIVersionString></m:properties></content></entry><entry m:etag="&quot;1&quot;"><id>Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(42)</id><category term="SP.Data.Kaip_x0020_nedaryti_x0020_verts_x0020_nekuriani_x0020_darbListItem" scheme="http://schemas.microsoft.com/ado/2007/08/dataservices/scheme" /><link rel="edit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(42)" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FirstUniqueAncestorSecurableObject" type="application/atom+xml;type=entry" title="FirstUniqueAncestorSecurableObject" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(42)/FirstUniqueAncestorSecurableObject" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/RoleAssignments" type="application/atom+xml;type=feed" title="RoleAssignments" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(42)/RoleAssignments" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/AttachmentFiles" type="application/atom+xml;type=feed" title="AttachmentFiles" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(42)/AttachmentFiles" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ContentType" type="application/atom+xml;type=entry" title="ContentType" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(42)/ContentType" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsHtml" type="application/atom+xml;type=entry" title="FieldValuesAsHtml" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(42)/FieldValuesAsHtml" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsText" type="application/atom+xml;type=entry" title="FieldValuesAsText" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(42)/FieldValuesAsText" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesForEdit" type="application/atom+xml;type=entry" title="FieldValuesForEdit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(42)/FieldValuesForEdit" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/File" type="application/atom+xml;type=entry" title="File" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(42)/File" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/Folder" type="application/atom+xml;type=entry" title="Folder" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(42)/Folder" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ParentList" type="application/atom+xml;type=entry" title="ParentList" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(42)/ParentList" /><title /><updated>2025-04-18T11:17:33Z</updated><author><name /></author><content type="application/xml"><m:properties><d:FileSystemObjectType m:type="Edm.Int32">0</d:FileSystemObjectType><d:Id m:type="Edm.Int32">42</d:Id><d:ContentTypeId>0x00171F379CCADF464EB719C824E7B24FEB</d:ContentTypeId><d:Identifikuokite_x0020_perteklini m:null="true" /><d:Pateikite_x0020_pasi_x016b_lymus m:null="true" /><d:Pasidalinkite_x0020_id_x0117_jom m:null="true" /><d:ID m:type="Edm.Int32">42</d:ID><d:Modified m:type="Edm.DateTime">2025-04-11T07:47:07Z</d:Modified><d:Created m:type="Edm.DateTime">2025-04-11T07:47:07Z</d:Created><d:AuthorId m:type="Edm.Int32">0</d:AuthorId><d:EditorId m:type="Edm.Int32">0</d:EditorId><d:OData__UIVersionString>1.0</d:OData__UIVersionString></m:properties></content></entry><entry m:etag="&quot;1&quot;"><id>Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(43)</id><category term="SP.Data.Kaip_x0020_nedaryti_x0020_verts_x0020_nekuriani_x0020_darbListItem" scheme="http://schemas.microsoft.com/ado/2007/08/dataservices/scheme" /><link rel="edit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(43)" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FirstUniqueAncestorSecurableObject" type="application/atom+xml;type=entry" title="FirstUniqueAncestorSecurableObject" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(43)/FirstUniqueAncestorSecurableObject" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/RoleAssignments" type="application/atom+xml;type=feed" title="RoleAssignments" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(43)/RoleAssignments" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/AttachmentFiles" type="application/atom+xml;type=feed" title="AttachmentFiles" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(43)/AttachmentFiles" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ContentType" type="application/atom+xml;type=entry" title="ContentType" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(43)/ContentType" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsHtml" type="application/atom+xml;type=entry" title="FieldValuesAsHtml" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(43)/FieldValuesAsHtml" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsText" type="application/atom+xml;type=entry" title="FieldValuesAsText" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(43)/FieldValuesAsText" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesForEdit" type="application/atom+xml;type=entry" title="FieldValuesForEdit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(43)/FieldValuesForEdit" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/File" type="application/atom+xml;type=entry" title="File" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(43)/File" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/Folder" type="application/atom+xml;type=entry" title="Folder" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(43)/Folder" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ParentList" type="application/atom+xml;type=entry" title="ParentList" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(43)/ParentList" /><title /><updated>2025-04-18T11:17:33Z</updated><author><name /></author><content type="application/xml"><m:properties><d:FileSystemObjectType m:type="Edm.Int32">0</d:FileSystemObjectType><d:Id m:type="Edm.Int32">43</d:Id><d:ContentTypeId>0x00171F379CCADF464EB719C824E7B24FEB</d:ContentTypeId><d:Identifikuokite_x0020_perteklini>&lt;div class="ExternalClass1B4F915DFE0348B38C60B17D340D2DF8"&gt;&lt;p&gt;​Avilyje yra daug dokumentų, kuriuos galėtų registruoti pati sistema, tarkim tarnybinius prašymus/pranešimus, atostogų prašymus ir pan., o ne priskirti darbuotojai.&amp;#160;&amp;#160;&lt;br&gt;&lt;/p&gt;&lt;p&gt;Turėtų būti sukurta efektyvesnė personalo valdymo sistema. Gerą pavyzdį galima būtų pasiimti iš Lietuvos policijos, kuri vieną valdymo sistemą naudoja&amp;#58; atostogų planavimui, sveikatos patikrinimų, mokymų dalyvių pažymėjimų sukėlimui, prašymams vykti į komandiruotes ir t.t.&amp;#160;&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Identifikuokite_x0020_perteklini><d:Pateikite_x0020_pasi_x016b_lymus m:null="true" /><d:Pasidalinkite_x0020_id_x0117_jom m:null="true" /><d:ID m:type="Edm.Int32">43</d:ID><d:Modified m:type="Edm.DateTime">2025-04-11T09:18:47Z</d:Modified><d:Created m:type="Edm.DateTime">2025-04-11T09:18:47Z</d:Created><d:AuthorId m:type="Edm.Int32">0</d:AuthorId><d:EditorId m:type="Edm.Int32">0</d:EditorId><d:OData__UIVersionString>1.0</d:OData__UIVersionString></m:properties></content></entry><entry m:etag="&quot;1&quot;"><id>Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(44)</id><category term="SP.Data.Kaip_x0020_nedaryti_x0020_verts_x0020_nekuriani_x0020_darbListItem" scheme="http://schemas.microsoft.com/ado/2007/08/dataservices/scheme" /><link rel="edit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(44)" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FirstUniqueAncestorSecurableObject" type="application/atom+xml;type=entry" title="FirstUniqueAncestorSecurableObject" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(44)/FirstUniqueAncestorSecurableObject" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/RoleAssignments" type="application/atom+xml;type=feed" title="RoleAssignments" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(44)/RoleAssignments" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/AttachmentFiles" type="application/atom+xml;type=feed" title="AttachmentFiles" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(44)/AttachmentFiles" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ContentType" type="application/atom+xml;type=entry" title="ContentType" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(44)/ContentType" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsHtml" type="application/atom+xml;type=entry" title="FieldValuesAsHtml" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(44)/FieldValuesAsHtml" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsText" type="application/atom+xml;type=entry" title="FieldValuesAsText" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(44)/FieldValuesAsText" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesForEdit" type="application/atom+xml;type=entry" title="FieldValuesForEdit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(44)/FieldValuesForEdit" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/File" type="application/atom+xml;type=entry" title="File" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(44)/File" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/Folder" type="application/atom+xml;type=entry" title="Folder" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(44)/Folder" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ParentList" type="application/atom+xml;type=entry" title="ParentList" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(44)/ParentList" /><title /><updated>2025-04-18T11:17:33Z</updated><author><name /></author><content type="application/xml"><m:properties><d:FileSystemObjectType m:type="Edm.Int32">0</d:FileSystemObjectType><d:Id m:type="Edm.Int32">44</d:Id><d:ContentTypeId>0x00171F379CCADF464EB719C824E7B24FEB</d:ContentTypeId><d:Identifikuokite_x0020_perteklini m:null="true" /><d:Pateikite_x0020_pasi_x016b_lymus>&lt;div class="ExternalClass710EC758B76444E38B431588C669CF09"&gt;&lt;p&gt;​&lt;/p&gt;&lt;ol&gt;&lt;li&gt;KAM įsakyme V-674 yra toks reikalavimas (107 punkte), kad turto likvidavimo data turi sutapti su ilgalaikio turto nurašymo ir likvidavimo aktos patvirtinimo data. Šis reikalavaimas praktiškai neįmanomas įvykdyti, nes tokiu atveju Tvirtinantis asmuo pvz karinio vieneto vadas ar jo įgaliotas asmuo turi dalyvauti likviduojant tą turtą, nors tas sprendimas nurašyti ir tuo pagrindu suteikti eigą per 3 mėn. likviduoti nurašytą turtą tampa visai nelogiškas ir tai viskas tame pačiame 107 punkte. Toks reikalavimas verčia neteisėtai keisti (klastoti) dokumento registracijos datą, nors eRVIS lieka tikroji dokumento tvirtinimo data, o popierinėje versijoje, kuri pristatoma FAD rankiniu būdų įrašoma likvidavimo data. Kitaip nepriimami dokumentai.&lt;/li&gt;&lt;li&gt;Reikalinga sutvarkyti karių ir DS materialinę atsakomybę KAS institucijose. Dabartinė situacija karių materialinė atsakomybė nustatoma Karių materialinės atsakomybės įstatymu, DS nustatoma Darbo kodekse, tačiau gyvenimas ir darbas LK su turtu rodo, kad reikia sudaryti ir „kolektyvines&amp;quot; materialinės atsakomybės sutartis – tarp karių, tarp kario(ių) ir DS, tarp DS. Praktika rodo, kad kai kurios KAS institucijos neturi sutarčių su grupe karių, nes sutartyje parašyta – kario. Nėra jokio bendro KAS institucijų materialinės atsakomybės taikymo tvarkos aprašo, tenka kiekvienai institucijai ar net atskiram kariniam vienetui, remiantis teismų praktika, advokatų kontorų išaiškinamais ir esamais teisės aktų Karių materialinės atsakomybės įstatymo ir Darbo kodekso reikalavimais rasti tinkamus sprendimus kaip teisingai įsiforminti darbuotojų atsakomybes.&lt;br&gt;&lt;/li&gt;&lt;/ol&gt;&lt;p&gt;&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pateikite_x0020_pasi_x016b_lymus><d:Pasidalinkite_x0020_id_x0117_jom>&lt;div class="ExternalClass202F0AF3D7864868A897D00860904271"&gt;&lt;p&gt;​&lt;/p&gt;&lt;ol&gt;&lt;li&gt;KAS institucijos apskaito turtą skirtingose IS. Bandymas eRVIS pagalba suvienodinti turto klasifikuotus pavadinimus, jiems suteikiant ID (kodus pagal elemento ir jo gaminio lygmenis), turto ir jo valdymo vieningus požymius, charakteristikas, eksploatacinius duomenis (ridas, šūvių skaičius, eksploatacijos, galiojimo datas, galinio vartotojų sertifikatus ir t. t.). Tai visiems logistams, dirbantiems su turtu, teikiantiems vadams info pagal SVIP sprendimams priimti, analizuoti Turto gyvavimo ciklo etapus, efektyviai planuoti poreikius ir t.t. vienodai visose institucijose ar jos padaliniuose. Tačiau dabartinė situacija links link to, kad LK kol kas dirbs eRVIS, kitoms KAS institucijoms atrišamos rankos „pasirinkti&amp;quot; turto apskaitos IS, neatsižvelgiant, kad visos KAS institucijos ar jų padaliniai daugiau ar mažiau yra orientuotos į LR GP aprūpinimą, turto valdymą, kitas operacijas su turtu, Toks darbas su Turtu skirtingose Turto apskaitos IS tik apsunkins ir lėtins logistinius ir turto operacijų procesus. Siūlymas KAS institucijoms pasirinkti vieningą Turto, resursų apskaitos, logistinių turto operacijų procesų atlikimą vieningoje KAS institucijų resursų IS.&amp;#160;&lt;/li&gt;&lt;li&gt;Keičiantis materialiai atsakingam asmeniu nors viena iš materialiai atsakingų asmenų grupės (MAAG) dabar dirbant eRVIS tai nesudaro jokių problemų – Karinio vieneto vado įsakymas dėl inventorizacijos, Inventorizacija, Duomenys ir sąrašas eRVIS materialiai atsakingų asmenų pakeičiami be didelių problemų greitai, įmanoma ir prisegti prie MAAG visus susijusius dokumentus su materialiai atsakingų asmenų pasikeitimu, TAČIAU, kadangi FAD dar dirba ir kitose IS reikia papildomai su kurti naują MAAG ir po inventorizacijos dar persiduoti turtą iš senosios MAAG į naujos sudėties MAAG, nors kas liečia turto kiekius jų vertė nekinta.&amp;#160;&lt;br&gt;&lt;br&gt;&lt;/li&gt;&lt;/ol&gt;&lt;p&gt;&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pasidalinkite_x0020_id_x0117_jom><d:ID m:type="Edm.Int32">44</d:ID><d:Modified m:type="Edm.DateTime">2025-04-11T09:39:10Z</d:Modified><d:Created m:type="Edm.DateTime">2025-04-11T09:39:10Z</d:Created><d:AuthorId m:type="Edm.Int32">0</d:AuthorId><d:EditorId m:type="Edm.Int32">0</d:EditorId><d:OData__UIVersionString>1.0</d:OData__UIVersionString></m:properties></content></entry><entry m:etag="&quot;1&quot;"><id>Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(45)</id><category term="SP.Data.Kaip_x0020_nedaryti_x0020_verts_x0020_nekuriani_x0020_darbListItem" scheme="http://schemas.microsoft.com/ado/2007/08/dataservices/scheme" /><link rel="edit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(45)" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FirstUniqueAncestorSecurableObject" type="application/atom+xml;type=entry" title="FirstUniqueAncestorSecurableObject" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(45)/FirstUniqueAncestorSecurableObject" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/RoleAssignments" type="application/atom+xml;type=feed" title="RoleAssignments" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(45)/RoleAssignments" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/AttachmentFiles" type="application/atom+xml;type=feed" title="AttachmentFiles" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(45)/AttachmentFiles" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ContentType" type="application/atom+xml;type=entry" title="ContentType" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(45)/ContentType" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsHtml" type="application/atom+xml;type=entry" title="FieldValuesAsHtml" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(45)/FieldValuesAsHtml" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsText" type="application/atom+xml;type=entry" title="FieldValuesAsText" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(45)/FieldValuesAsText" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesForEdit" type="application/atom+xml;type=entry" title="FieldValuesForEdit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(45)/FieldValuesForEdit" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/File" type="application/atom+xml;type=entry" title="File" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(45)/File" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/Folder" type="application/atom+xml;type=entry" title="Folder" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(45)/Folder" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ParentList" type="application/atom+xml;type=entry" title="ParentList" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(45)/ParentList" /><title /><updated>2025-04-18T11:17:33Z</updated><author><name /></author><content type="application/xml"><m:properties><d:FileSystemObjectType m:type="Edm.Int32">0</d:FileSystemObjectType><d:Id m:type="Edm.Int32">45</d:Id><d:ContentTypeId>0x00171F379CCADF464EB719C824E7B24FEB</d:ContentTypeId><d:Identifikuokite_x0020_perteklini>&lt;div class="ExternalClassFEE0D2ADD16E4718A95120BE9D34F66C"&gt;&lt;p&gt;Daug ką esame priversti pasirašinėti ranka, nors turime Avilį. Sugaištame nenormalų kiekį laiko (apie pusantros valandos kiekvienam kartui)&amp;#160;kiekvienam kariui, kuris turi pasirašyti (GŠB - GŠ), nors turime Avilį ir visas pasirašinėjimas gali vykti mūsų tinkle. Dažnai dokumentus reikia atsispausdinti, pasirašyti, nuskanuoti ir išsiųsti atgal, nors pasirašinėjimas gali vykti Avily. Ar čia štabo specialistai gyvena XIX amžiaus kompetencijom, ar visa sistema? Absurdiškai daug laiko sugaištam dalykams, kurie gali būti išsprendžiami su mygtuko paspaudimu.&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Identifikuokite_x0020_perteklini><d:Pateikite_x0020_pasi_x016b_lymus m:null="true" /><d:Pasidalinkite_x0020_id_x0117_jom>&lt;div class="ExternalClass78E1B193A02D41AAAE36656CD9B332B2"&gt;&lt;p&gt;Daug dalykų&amp;#160;yra paremta chronišku tingėjimu, nekompetencija ir užsisėdėjimu tokioj gremėzdiškoj sistemoj. Man, 10 metų pradirbus civiliniam sektoriuje, tai atrodo absoliučiai nesuprantama. Pavyzdžiui,&amp;#160;negali padaryti nekokybiškų ir netinkamų prekių grąžinimo (grąžinimo, o ne garantinio pakeitimo tokiu pačiu šlamštu)&amp;#160;po viešųjų pirkimų, nes, cituotju&amp;#58; &amp;quot;to niekas niekada nėra daręs ir nedarys&amp;quot;. Puikiai panaudojami resursai ir lėšos. Negalima visko nurašyti ant nekompetencijos ir tingėjimo - kai kurios procedūros yra tokios painios ir nesuprantamos absoliučiai niekam, kad į jas niekas net nenori veltis. Kitas pavyzdys yra jau aprašytas Avilys. Tokios neintuityvios sistemos nesu matęs gyvenime. Aš su juo dirbu kasdien porą mėnesių, bet vis dar pilnai nesusigaudau, iki tokio lygio, kad kai pradėjau dirbti banke ir pirmą kartą prisėdau ir pamačiau darbinę sistemą, man ja naudotis buvo paprasčiau, nei čia esančiu Aviliu, kuriuo turi mokėti naudotis kiekvienas karininkas ir bent puskarininkis. Net ir suvedus tikslų įsakymo numerį ir datą dokumento surasti yra beveik neįmanoma, žmonės tyčia nespaudžia &amp;quot;Susipažinti&amp;quot; prie įsakymų vien tam, kad po to galėtų juos rasti. Atrodo, kad viskas kurta praeitą tūkstantmetį ir mes turim tik darbinę &amp;quot;beta&amp;quot; versiją, o ne realų produktą. Ir čia pastebėjimai tarnaujant tik 5 mėnesius, įgavęs patirties galėsiu parašyti daug daugiau.&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pasidalinkite_x0020_id_x0117_jom><d:ID m:type="Edm.Int32">45</d:ID><d:Modified m:type="Edm.DateTime">2025-04-11T10:09:10Z</d:Modified><d:Created m:type="Edm.DateTime">2025-04-11T10:09:10Z</d:Created><d:AuthorId m:type="Edm.Int32">0</d:AuthorId><d:EditorId m:type="Edm.Int32">0</d:EditorId><d:OData__UIVersionString>1.0</d:OData__UIVersionString></m:properties></content></entry><entry m:etag="&quot;1&quot;"><id>Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(46)</id><category term="SP.Data.Kaip_x0020_nedaryti_x0020_verts_x0020_nekuriani_x0020_darbListItem" scheme="http://schemas.microsoft.com/ado/2007/08/dataservices/scheme" /><link rel="edit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(46)" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FirstUniqueAncestorSecurableObject" type="application/atom+xml;type=entry" title="FirstUniqueAncestorSecurableObject" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(46)/FirstUniqueAncestorSecurableObject" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/RoleAssignments" type="application/atom+xml;type=feed" title="RoleAssignments" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(46)/RoleAssignments" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/AttachmentFiles" type="application/atom+xml;type=feed" title="AttachmentFiles" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(46)/AttachmentFiles" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ContentType" type="application/atom+xml;type=entry" title="ContentType" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(46)/ContentType" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsHtml" type="application/atom+xml;type=entry" title="FieldValuesAsHtml" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(46)/FieldValuesAsHtml" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsText" type="application/atom+xml;type=entry" title="FieldValuesAsText" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(46)/FieldValuesAsText" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesForEdit" type="application/atom+xml;type=entry" title="FieldValuesForEdit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(46)/FieldValuesForEdit" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/File" type="application/atom+xml;type=entry" title="File" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(46)/File" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/Folder" type="application/atom+xml;type=entry" title="Folder" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(46)/Folder" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ParentList" type="application/atom+xml;type=entry" title="ParentList" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(46)/ParentList" /><title /><updated>2025-04-18T11:17:33Z</updated><author><name /></author><content type="application/xml"><m:properties><d:FileSystemObjectType m:type="Edm.Int32">0</d:FileSystemObjectType><d:Id m:type="Edm.Int32">46</d:Id><d:ContentTypeId>0x00171F379CCADF464EB719C824E7B24FEB</d:ContentTypeId><d:Identifikuokite_x0020_perteklini m:null="true" /><d:Pateikite_x0020_pasi_x016b_lymus>&lt;div class="ExternalClass3355500488B94E509F112013E6C3C56A"&gt;&lt;p&gt;​Rinkos analizė prieš komandiruotes&amp;#58; bilietus visi perkasi tik pervedus pinigus, likus savaitei iki skrydžio. koks tikslas pusmetį ar net porą mėnesių darytis skrydžių ir nuomos rinkos analizę, kai šis dalykas yra ypač dinamiškas? Kaina gali skirtis jau sekančią dieną, o čia reikia rašyti pasiaiškinimus, kodėl kaina skyrėsi prieš pusę metų. Absurdų absurdas.&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pateikite_x0020_pasi_x016b_lymus><d:Pasidalinkite_x0020_id_x0117_jom m:null="true" /><d:ID m:type="Edm.Int32">46</d:ID><d:Modified m:type="Edm.DateTime">2025-04-11T10:27:35Z</d:Modified><d:Created m:type="Edm.DateTime">2025-04-11T10:27:35Z</d:Created><d:AuthorId m:type="Edm.Int32">0</d:AuthorId><d:EditorId m:type="Edm.Int32">0</d:EditorId><d:OData__UIVersionString>1.0</d:OData__UIVersionString></m:properties></content></entry><entry m:etag="&quot;1&quot;"><id>Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(47)</id><category term="SP.Data.Kaip_x0020_nedaryti_x0020_verts_x0020_nekuriani_x0020_darbListItem" scheme="http://schemas.microsoft.com/ado/2007/08/dataservices/scheme" /><link rel="edit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(47)" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FirstUniqueAncestorSecurableObject" type="application/atom+xml;type=entry" title="FirstUniqueAncestorSecurableObject" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(47)/FirstUniqueAncestorSecurableObject" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/RoleAssignments" type="application/atom+xml;type=feed" title="RoleAssignments" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(47)/RoleAssignments" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/AttachmentFiles" type="application/atom+xml;type=feed" title="AttachmentFiles" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(47)/AttachmentFiles" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ContentType" type="application/atom+xml;type=entry" title="ContentType" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(47)/ContentType" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsHtml" type="application/atom+xml;type=entry" title="FieldValuesAsHtml" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(47)/FieldValuesAsHtml" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsText" type="application/atom+xml;type=entry" title="FieldValuesAsText" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(47)/FieldValuesAsText" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesForEdit" type="application/atom+xml;type=entry" title="FieldValuesForEdit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(47)/FieldValuesForEdit" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/File" type="application/atom+xml;type=entry" title="File" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(47)/File" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/Folder" type="application/atom+xml;type=entry" title="Folder" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(47)/Folder" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ParentList" type="application/atom+xml;type=entry" title="ParentList" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(47)/ParentList" /><title /><updated>2025-04-18T11:17:33Z</updated><author><name /></author><content type="application/xml"><m:properties><d:FileSystemObjectType m:type="Edm.Int32">0</d:FileSystemObjectType><d:Id m:type="Edm.Int32">47</d:Id><d:ContentTypeId>0x00171F379CCADF464EB719C824E7B24FEB</d:ContentTypeId><d:Identifikuokite_x0020_perteklini>&lt;div class="ExternalClass9471D5D03FB14AC29223D33F2B2D2826"&gt;&lt;p&gt;​Priešgaisrinės saugos, darbuotojų saugos ir sveikatos visa tvarka yra labai labai skirtinga visoje sistemoje, ir manau labai pasenusi. Daug kas manau nevykdo įvairių instruktažų ir mokymų, šiomis temomis, taip kaip turėtų būti daroma pagal galiojančius LR įstatymus ir poįstatyminius aktus. 21-ame amžiuje kai viskas yra taip skaitmenizuota, pas mus KAS dar mokoma gyvai. Yra jau gerųjų&amp;#160;pavyzdžių (GRA, AOTD, MDVV), kur kai kurie kariniai vienetai jau vykdo savo darbuotojų mokymą ir instruktavimą nuotoliniu būdu. Manau galima standartizuotai nupirkti šiuos mokymus visai kariuomenei ir juos įkelti į mūsų kariuomenės nuotolinio mokymo informacinę sistemą, kur visas KAS personalas gali kasmet atlikinėti periodinius priešgaisrinės ir darbų&amp;#160;saugos instruktažus bei priešgaisrinės saugos mokymus (kas 3 metai) su atestavimu. Tai tikrai labai pagreitintu,&amp;#160;supaprastintu ir suvienodintu&amp;#160;mokymosi&amp;#160;procesus šiose srityse&amp;#160;visoje sistemoje. Taip pat turi būti reikalavimai, jog šias pareigas turėtų vykdyti išskirtinai tik seržantai arba geriausiai darbuotojai, dirbantys pagal darbo sutartis. Taip būtų išlaikomas tęstinumas, kur žmogus dirbs tikrai daugiau nei 3 metai pozicijoje ir smarkiai įsisavins visus šios srities niuansus. Dabar pvz. aš karininkas turiu daryti šį darbą, kur metų metus nebuvo šioje pozicijoje jokio žmogaus, patarnavus dar kelis metus aš būsiu išruototas kžkur kitur ir tie darbai galbūt vėl sustos. Manau karininkas turi atlikinėti kitas užduotis.&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Identifikuokite_x0020_perteklini><d:Pateikite_x0020_pasi_x016b_lymus m:null="true" /><d:Pasidalinkite_x0020_id_x0117_jom m:null="true" /><d:ID m:type="Edm.Int32">47</d:ID><d:Modified m:type="Edm.DateTime">2025-04-11T10:40:34Z</d:Modified><d:Created m:type="Edm.DateTime">2025-04-11T10:40:34Z</d:Created><d:AuthorId m:type="Edm.Int32">0</d:AuthorId><d:EditorId m:type="Edm.Int32">0</d:EditorId><d:OData__UIVersionString>1.0</d:OData__UIVersionString></m:properties></content></entry><entry m:etag="&quot;1&quot;"><id>Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(48)</id><category term="SP.Data.Kaip_x0020_nedaryti_x0020_verts_x0020_nekuriani_x0020_darbListItem" scheme="http://schemas.microsoft.com/ado/2007/08/dataservices/scheme" /><link rel="edit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(48)" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FirstUniqueAncestorSecurableObject" type="application/atom+xml;type=entry" title="FirstUniqueAncestorSecurableObject" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(48)/FirstUniqueAncestorSecurableObject" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/RoleAssignments" type="application/atom+xml;type=feed" title="RoleAssignments" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(48)/RoleAssignments" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/AttachmentFiles" type="application/atom+xml;type=feed" title="AttachmentFiles" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(48)/AttachmentFiles" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ContentType" type="application/atom+xml;type=entry" title="ContentType" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(48)/ContentType" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsHtml" type="application/atom+xml;type=entry" title="FieldValuesAsHtml" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(48)/FieldValuesAsHtml" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsText" type="application/atom+xml;type=entry" title="FieldValuesAsText" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(48)/FieldValuesAsText" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesForEdit" type="application/atom+xml;type=entry" title="FieldValuesForEdit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(48)/FieldValuesForEdit" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/File" type="application/atom+xml;type=entry" title="File" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(48)/File" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/Folder" type="application/atom+xml;type=entry" title="Folder" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(48)/Folder" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ParentList" type="application/atom+xml;type=entry" title="ParentList" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(48)/ParentList" /><title /><updated>2025-04-18T11:17:33Z</updated><author><name /></author><content type="application/xml"><m:properties><d:FileSystemObjectType m:type="Edm.Int32">0</d:FileSystemObjectType><d:Id m:type="Edm.Int32">48</d:Id><d:ContentTypeId>0x00171F379CCADF464EB719C824E7B24FEB</d:ContentTypeId><d:Identifikuokite_x0020_perteklini m:null="true" /><d:Pateikite_x0020_pasi_x016b_lymus m:null="true" /><d:Pasidalinkite_x0020_id_x0117_jom>&lt;div class="ExternalClassF6F9F456F6E34D91A398C282F7FFA3C9"&gt;&lt;p&gt;​Reglamentuoti DokVis patalpintų dokumentų&amp;#160;derinimo terminus.&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pasidalinkite_x0020_id_x0117_jom><d:ID m:type="Edm.Int32">48</d:ID><d:Modified m:type="Edm.DateTime">2025-04-11T11:13:29Z</d:Modified><d:Created m:type="Edm.DateTime">2025-04-11T11:13:29Z</d:Created><d:AuthorId m:type="Edm.Int32">0</d:AuthorId><d:EditorId m:type="Edm.Int32">0</d:EditorId><d:OData__UIVersionString>1.0</d:OData__UIVersionString></m:properties></content></entry><entry m:etag="&quot;1&quot;"><id>Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(49)</id><category term="SP.Data.Kaip_x0020_nedaryti_x0020_verts_x0020_nekuriani_x0020_darbListItem" scheme="http://schemas.microsoft.com/ado/2007/08/dataservices/scheme" /><link rel="edit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(49)" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FirstUniqueAncestorSecurableObject" type="application/atom+xml;type=entry" title="FirstUniqueAncestorSecurableObject" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(49)/FirstUniqueAncestorSecurableObject" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/RoleAssignments" type="application/atom+xml;type=feed" title="RoleAssignments" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(49)/RoleAssignments" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/AttachmentFiles" type="application/atom+xml;type=feed" title="AttachmentFiles" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(49)/AttachmentFiles" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ContentType" type="application/atom+xml;type=entry" title="ContentType" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(49)/ContentType" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsHtml" type="application/atom+xml;type=entry" title="FieldValuesAsHtml" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(49)/FieldValuesAsHtml" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsText" type="application/atom+xml;type=entry" title="FieldValuesAsText" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(49)/FieldValuesAsText" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesForEdit" type="application/atom+xml;type=entry" title="FieldValuesForEdit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(49)/FieldValuesForEdit" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/File" type="application/atom+xml;type=entry" title="File" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(49)/File" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/Folder" type="application/atom+xml;type=entry" title="Folder" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(49)/Folder" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ParentList" type="application/atom+xml;type=entry" title="ParentList" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(49)/ParentList" /><title /><updated>2025-04-18T11:17:33Z</updated><author><name /></author><content type="application/xml"><m:properties><d:FileSystemObjectType m:type="Edm.Int32">0</d:FileSystemObjectType><d:Id m:type="Edm.Int32">49</d:Id><d:ContentTypeId>0x00171F379CCADF464EB719C824E7B24FEB</d:ContentTypeId><d:Identifikuokite_x0020_perteklini>&lt;div class="ExternalClass4EB38A32531241BEBCC5E9C570F080AD"&gt;&lt;p&gt;Biurokratinių formų keitimas be reikalo. Pavyzdžiai&amp;#58;&lt;br&gt;1. Laisvų dienų prašyme naujoje formoje pasikeitė tik estetinis&amp;#160;vaizdas - pabraukė kelias viršutines eilutes. Naudos jokios, o darbo atsiranda papildomai, nes tenka pildyti į naujus šablonus prašymus ypač jeigu sužinojai apie formos pakeitimą nepaderinimo avilyje atveju - tada tenka pildyti naują formą, gaudyti ryšininką ir būrio vadą, kad paderintų (o tai gali užtrukti kelias valandas, jeigu jie turi kitų darbų arba yra susirinkime arba net kelias dienas, jeigu jie laisvadieniuose. Ypač tai blogai, jeigu prašai persikelti į rytojų, o nėra kas paderins popieriaus - turi sėdėti tarnyboje). Tas žmogus, kuris vykdė šį pakeitimą, gavo algą už bereikšmio dalyko padarymą&amp;#160;ir dar mus sugaišino.&lt;br&gt;2. Planų konspektų formų nuolatinis keitimas. Vien dėl to, jog paformatavo langelius kiek kitaip nekeičiant turinio arba pervadino iš &amp;quot;mokymo tikslų&amp;quot; į &amp;quot;mokymo siekinius&amp;quot; reikia perrašyti visą dokumentą dar prieš tai besiginčyjant su bendradarbiais, kuri čia forma yra naujausia (nes vidiniame jų daug), o share point'o platybėse rasti naujausią formą yra reikalų. Aš gaištu laiką popieriui, kurį darau vien iš formalumo vietoje to, kad geriau pasiruoščiau medžiagą paskaitai ar susiplanuočiau ir parepetuočiau paskaitos vedimą. Ar didelį skirtumą šauktinio išmokimui darys tai, kad vietoje &amp;quot;tikslas&amp;quot; dabar rašome &amp;quot;siekinys&amp;quot; konspekte? Vėl gi, kažkas kas keitė formą, tiesiog veltui leido savo darbo laiką.&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Identifikuokite_x0020_perteklini><d:Pateikite_x0020_pasi_x016b_lymus>&lt;div class="ExternalClassBF03ADC586014080B1B426ABC802A4CD"&gt;&lt;p&gt;​Sutrumpinkite tuos priešgaisrinius ar sporto salės instruktažus ir šiaip darykite&amp;#160;logišku laiku - dabar visas batalionas planavo išeiti atostogų savaitei&amp;#160;(laisvų dienų forma) per šauktinių atostogas ir visus atšaukia iš laisvų dienų penktadienį, nes reikia išklausyti priešgaisrinio instruktažo ir dar kažkokios nesąmonės, per kuriuos vis tiek miegosime arba rageliais žaisime.&lt;br&gt;&lt;br&gt;Ateiti, tai ateisiu į tarnybą tą dieną.&amp;#160;O ką daryti su avilio forma laisvų dienų? Jeigu pasirašęs kiekvieną dieną atskirai būčiau, tai gerai, pasirašiau&amp;#160;tris laisvas dienas ant vieno dokumento ir&amp;#160;man dabar paderino teigiamai&amp;#160;tas dienas, tai dvi dienas paderintas ilsėsiuosi, o vieną dirbsiu, nors paderinta, kad ilsėsiuosi. Tai ką daryti? Naikinti ir rašyti iš naujo? Bet naikinti neduoda. O net jei ir leistų, tai koks čia laiko švaistymas. Iš viso, teko girdėti, jog senais laikais jokių rašymų nebuvo - paklausei būrio vado ir išleido į laisvas.&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pateikite_x0020_pasi_x016b_lymus><d:Pasidalinkite_x0020_id_x0117_jom>&lt;div class="ExternalClass9118FA8E472F4552A4623D5EBBA9AA19"&gt;&lt;p&gt;​Reikia pakeisti mūsų&amp;#160;mąstymą. Mes kaip geri kariai įpratę viską padaryti iki galo - nuo batų priežiūros, jog tarnautų ilgiau iki ginklų, šarvuočių priežiūros, operacijų suplanavimo, įtvirtinimų įrengimo. Bet ši savybė persikelia ir į biurokratiją - ir&amp;#160;vadai liepia sužiūrėti kiekvieną smulkmeną kad ir pvz plane - konspekte kaip mokymo tikslas ar siekinys, nereikšmingų kodukų suradimai, naujų formų laikymasis (kuri beveik niekuo nuo senos nesiskiria),&amp;#160;ir mes patys per daug gilinamės į tai. Tapęs šiek tiek sąmoningesniu ir savarankiškesniu kariu supratau, jog laikau rankoje popierių, kuri&amp;#160;po dviejų valandų pasibaigus paskaitai tiesiog&amp;#160;sukišiu į šiukšliadėžę,&amp;#160;kurį&amp;#160;turiu vien dėl to, jeigu ateitų patikrinti paskaitos aš tą popierių turėčiau.&amp;#160;Aš jo nepanaudosiu, o daryti darau. Nes verčia. Iš dalies suprantu jo reikalingumą IŠ DALIES, bet dabar darau žiūrėdamas pro pirštus vien tik dėl turėjimo.&lt;br&gt;Išvada - mums reikia pakeisti mąstymą. Reikia susimąstyti, ar tai darome, nes iš tiesų reikia ir tai prasminga, ar darome vien dėl to, jog esame įpratę viską atlikti iki galo&amp;#160;net jeigu mums duoda neprasmingą užduotį ir mes apie tai nesusimąstome. Ne tik susimąstyti patiems ir nedaryti skrupulingai nereikšmingo darbo (ir daryti jį žiūrint&amp;#160;pro pirštus, kad būtų patenkinamai, bet ne nušlifuota iki tobulumo), bet ir savo pavaldiniams neliepti daryti iki tobulumo, jeigu matome, kad tai netikslinga. Pradėkime nuo savęs, aš savo pavaldinių nedrožiu už tas nesąmones, tas, kuris skaitai ir gi vadovaukis tuo.&amp;#160;&lt;br&gt;&lt;br&gt;Kažkas štabuose neturi, ką veikti. Nereikšmingi formų keitimai, apie kuriuos jau kalbėjau arba per bataliono susirinkimą pristatė, jog ateityje keisis laipsnių ženklai (girdėjau, kad atšaukė, bet nežinau). Ir tie ženklai nesikeis, nes keičiasi laipsnių sistema kaip 2003 ar dėl kitos reikšmingos priežasties. Jie nesikeis ir drastiškai. Tiesiog estetiškai vos vos paslinks į apačią. Koks to tikslas? Suprantate, kad kažkas štabe sėdėjo daug valandų, rašė visokius dokumentus, garantuotai kariuomenė išleido daug pinigų, kad kažkas nupieštų tuos laipsnius. O prasmė viso to kokia? Jie štabuose neturi reikšmingesnių darbų nudirbti, kad tokiais dalykais užsiima?&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pasidalinkite_x0020_id_x0117_jom><d:ID m:type="Edm.Int32">49</d:ID><d:Modified m:type="Edm.DateTime">2025-04-11T13:08:04Z</d:Modified><d:Created m:type="Edm.DateTime">2025-04-11T13:08:04Z</d:Created><d:AuthorId m:type="Edm.Int32">0</d:AuthorId><d:EditorId m:type="Edm.Int32">0</d:EditorId><d:OData__UIVersionString>1.0</d:OData__UIVersionString></m:properties></content></entry><entry m:etag="&quot;1&quot;"><id>Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(50)</id><category term="SP.Data.Kaip_x0020_nedaryti_x0020_verts_x0020_nekuriani_x0020_darbListItem" scheme="http://schemas.microsoft.com/ado/2007/08/dataservices/scheme" /><link rel="edit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(50)" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FirstUniqueAncestorSecurableObject" type="application/atom+xml;type=entry" title="FirstUniqueAncestorSecurableObject" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(50)/FirstUniqueAncestorSecurableObject" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/RoleAssignments" type="application/atom+xml;type=feed" title="RoleAssignments" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(50)/RoleAssignments" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/AttachmentFiles" type="application/atom+xml;type=feed" title="AttachmentFiles" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(50)/AttachmentFiles" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ContentType" type="application/atom+xml;type=entry" title="ContentType" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(50)/ContentType" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsHtml" type="application/atom+xml;type=entry" title="FieldValuesAsHtml" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(50)/FieldValuesAsHtml" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsText" type="application/atom+xml;type=entry" title="FieldValuesAsText" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(50)/FieldValuesAsText" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesForEdit" type="application/atom+xml;type=entry" title="FieldValuesForEdit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(50)/FieldValuesForEdit" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/File" type="application/atom+xml;type=entry" title="File" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(50)/File" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/Folder" type="application/atom+xml;type=entry" title="Folder" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(50)/Folder" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ParentList" type="application/atom+xml;type=entry" title="ParentList" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(50)/ParentList" /><title /><updated>2025-04-18T11:17:33Z</updated><author><name /></author><content type="application/xml"><m:properties><d:FileSystemObjectType m:type="Edm.Int32">0</d:FileSystemObjectType><d:Id m:type="Edm.Int32">50</d:Id><d:ContentTypeId>0x00171F379CCADF464EB719C824E7B24FEB</d:ContentTypeId><d:Identifikuokite_x0020_perteklini>&lt;div class="ExternalClassD2B9E4A766BF488A8EF4E44069BD0A35"&gt;&lt;p&gt;Sveiki. Siūlyčiau&amp;#58;&lt;/p&gt;&lt;p&gt;* Peržiūrėti komandiruotės įsakymo pasirašymo procedūrą, kai įsakymą privalo pasirašyti net 8 žmonės ir tai užtrunka 3-4 dienas. Esant pokyčiams, procedūrą reikia kartoti iš naujo. Ar tikrai į procesą reikia įtraukti tiek žmonių iš skirtingų departamentų?&amp;#160;&lt;br&gt;&lt;/p&gt;&lt;p&gt;&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Identifikuokite_x0020_perteklini><d:Pateikite_x0020_pasi_x016b_lymus>&lt;div class="ExternalClassF41F244827D640BBA72A068C5EFF2257"&gt;&lt;p&gt;​* Galbūt būtų galima suvienodinti tvarką dėl nuotolinio darbo KAM'e? Kodėl vienas departamentas gali dirbti 2x/sav., o kituose leidžiama tik 1x ir tik penktadieniais, apie tai informavus prieš 3-4 dienas?&amp;#160;Reikėtų lankstesnio požiūrio į nuotolinį darbą, tuo labiau, kad kitos valstybinės institucijos į tai žiūri daug lanksčiau, nekalbant apie privatų sektorių.&amp;#160;&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pateikite_x0020_pasi_x016b_lymus><d:Pasidalinkite_x0020_id_x0117_jom m:null="true" /><d:ID m:type="Edm.Int32">50</d:ID><d:Modified m:type="Edm.DateTime">2025-04-14T04:10:32Z</d:Modified><d:Created m:type="Edm.DateTime">2025-04-14T04:10:32Z</d:Created><d:AuthorId m:type="Edm.Int32">0</d:AuthorId><d:EditorId m:type="Edm.Int32">0</d:EditorId><d:OData__UIVersionString>1.0</d:OData__UIVersionString></m:properties></content></entry><entry m:etag="&quot;1&quot;"><id>Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(51)</id><category term="SP.Data.Kaip_x0020_nedaryti_x0020_verts_x0020_nekuriani_x0020_darbListItem" scheme="http://schemas.microsoft.com/ado/2007/08/dataservices/scheme" /><link rel="edit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(51)" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FirstUniqueAncestorSecurableObject" type="application/atom+xml;type=entry" title="FirstUniqueAncestorSecurableObject" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(51)/FirstUniqueAncestorSecurableObject" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/RoleAssignments" type="application/atom+xml;type=feed" title="RoleAssignments" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(51)/RoleAssignments" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/AttachmentFiles" type="application/atom+xml;type=feed" title="AttachmentFiles" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(51)/AttachmentFiles" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ContentType" type="application/atom+xml;type=entry" title="ContentType" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(51)/ContentType" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsHtml" type="application/atom+xml;type=entry" title="FieldValuesAsHtml" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(51)/FieldValuesAsHtml" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsText" type="application/atom+xml;type=entry" title="FieldValuesAsText" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(51)/FieldValuesAsText" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesForEdit" type="application/atom+xml;type=entry" title="FieldValuesForEdit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(51)/FieldValuesForEdit" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/File" type="application/atom+xml;type=entry" title="File" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(51)/File" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/Folder" type="application/atom+xml;type=entry" title="Folder" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(51)/Folder" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ParentList" type="application/atom+xml;type=entry" title="ParentList" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(51)/ParentList" /><title /><updated>2025-04-18T11:17:33Z</updated><author><name /></author><content type="application/xml"><m:properties><d:FileSystemObjectType m:type="Edm.Int32">0</d:FileSystemObjectType><d:Id m:type="Edm.Int32">51</d:Id><d:ContentTypeId>0x00171F379CCADF464EB719C824E7B24FEB</d:ContentTypeId><d:Identifikuokite_x0020_perteklini>&lt;div class="ExternalClass3EAFC991E71947FA8EB622A81CE27318"&gt;&lt;p&gt;​Siūlome atsisakyti įsakymų dėl papildomų funkcijų skyrimo ir priemokų už pavadavimą mokėjimo&amp;#160;rengimo. Pavadavimas ir priemokos mokėjimas galėtų įsigalioti vadovaujantis&amp;#160;tarnybiniu&amp;#160;pranešimu&amp;#160;(tvarkingai užpildytas, suderintas su personalą administruojančiu padaliniu ir sukurta rezoliucija). Būtų labai panašiai kaip ir su kasmetinėmis atostogomis.&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Identifikuokite_x0020_perteklini><d:Pateikite_x0020_pasi_x016b_lymus>&lt;div class="ExternalClass4317D0E1AB4C4E8EB08E1E7E77F51249"&gt;&lt;p&gt;Pakeisti KTS 47(4) ir 47(5) punktus&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pateikite_x0020_pasi_x016b_lymus><d:Pasidalinkite_x0020_id_x0117_jom m:null="true" /><d:ID m:type="Edm.Int32">51</d:ID><d:Modified m:type="Edm.DateTime">2025-04-14T05:40:24Z</d:Modified><d:Created m:type="Edm.DateTime">2025-04-14T05:40:24Z</d:Created><d:AuthorId m:type="Edm.Int32">0</d:AuthorId><d:EditorId m:type="Edm.Int32">0</d:EditorId><d:OData__UIVersionString>1.0</d:OData__UIVersionString></m:properties></content></entry><entry m:etag="&quot;1&quot;"><id>Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(52)</id><category term="SP.Data.Kaip_x0020_nedaryti_x0020_verts_x0020_nekuriani_x0020_darbListItem" scheme="http://schemas.microsoft.com/ado/2007/08/dataservices/scheme" /><link rel="edit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(52)" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FirstUniqueAncestorSecurableObject" type="application/atom+xml;type=entry" title="FirstUniqueAncestorSecurableObject" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(52)/FirstUniqueAncestorSecurableObject" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/RoleAssignments" type="application/atom+xml;type=feed" title="RoleAssignments" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(52)/RoleAssignments" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/AttachmentFiles" type="application/atom+xml;type=feed" title="AttachmentFiles" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(52)/AttachmentFiles" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ContentType" type="application/atom+xml;type=entry" title="ContentType" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(52)/ContentType" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsHtml" type="application/atom+xml;type=entry" title="FieldValuesAsHtml" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(52)/FieldValuesAsHtml" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsText" type="application/atom+xml;type=entry" title="FieldValuesAsText" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(52)/FieldValuesAsText" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesForEdit" type="application/atom+xml;type=entry" title="FieldValuesForEdit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(52)/FieldValuesForEdit" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/File" type="application/atom+xml;type=entry" title="File" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(52)/File" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/Folder" type="application/atom+xml;type=entry" title="Folder" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(52)/Folder" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ParentList" type="application/atom+xml;type=entry" title="ParentList" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(52)/ParentList" /><title /><updated>2025-04-18T11:17:33Z</updated><author><name /></author><content type="application/xml"><m:properties><d:FileSystemObjectType m:type="Edm.Int32">0</d:FileSystemObjectType><d:Id m:type="Edm.Int32">52</d:Id><d:ContentTypeId>0x00171F379CCADF464EB719C824E7B24FEB</d:ContentTypeId><d:Identifikuokite_x0020_perteklini>&lt;div class="ExternalClass4789AA036CFF4358BB9694F6114DE6A6"&gt;&lt;p&gt;Siūlymas koreguoti&amp;#160;2024-12-20 Nr. 6IS-249 &amp;quot;Dėl išleidžiamų į atsargą karių klausimyno&amp;quot; įsakymą. Naikinti prievolę pildyti klausimyną kariams savanoriams, kadangi prašyme dėl atleidimo ir taip nurodoma priežastis.&lt;br&gt;&lt;/p&gt;&lt;p&gt;&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Identifikuokite_x0020_perteklini><d:Pateikite_x0020_pasi_x016b_lymus m:null="true" /><d:Pasidalinkite_x0020_id_x0117_jom m:null="true" /><d:ID m:type="Edm.Int32">52</d:ID><d:Modified m:type="Edm.DateTime">2025-04-14T06:06:07Z</d:Modified><d:Created m:type="Edm.DateTime">2025-04-14T06:06:07Z</d:Created><d:AuthorId m:type="Edm.Int32">0</d:AuthorId><d:EditorId m:type="Edm.Int32">0</d:EditorId><d:OData__UIVersionString>1.0</d:OData__UIVersionString></m:properties></content></entry><entry m:etag="&quot;1&quot;"><id>Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(53)</id><category term="SP.Data.Kaip_x0020_nedaryti_x0020_verts_x0020_nekuriani_x0020_darbListItem" scheme="http://schemas.microsoft.com/ado/2007/08/dataservices/scheme" /><link rel="edit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(53)" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FirstUniqueAncestorSecurableObject" type="application/atom+xml;type=entry" title="FirstUniqueAncestorSecurableObject" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(53)/FirstUniqueAncestorSecurableObject" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/RoleAssignments" type="application/atom+xml;type=feed" title="RoleAssignments" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(53)/RoleAssignments" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/AttachmentFiles" type="application/atom+xml;type=feed" title="AttachmentFiles" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(53)/AttachmentFiles" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ContentType" type="application/atom+xml;type=entry" title="ContentType" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(53)/ContentType" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsHtml" type="application/atom+xml;type=entry" title="FieldValuesAsHtml" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(53)/FieldValuesAsHtml" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsText" type="application/atom+xml;type=entry" title="FieldValuesAsText" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(53)/FieldValuesAsText" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesForEdit" type="application/atom+xml;type=entry" title="FieldValuesForEdit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(53)/FieldValuesForEdit" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/File" type="application/atom+xml;type=entry" title="File" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(53)/File" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/Folder" type="application/atom+xml;type=entry" title="Folder" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(53)/Folder" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ParentList" type="application/atom+xml;type=entry" title="ParentList" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(53)/ParentList" /><title /><updated>2025-04-18T11:17:33Z</updated><author><name /></author><content type="application/xml"><m:properties><d:FileSystemObjectType m:type="Edm.Int32">0</d:FileSystemObjectType><d:Id m:type="Edm.Int32">53</d:Id><d:ContentTypeId>0x00171F379CCADF464EB719C824E7B24FEB</d:ContentTypeId><d:Identifikuokite_x0020_perteklini>&lt;div class="ExternalClass29579AEF37CC405981EAD263D139D9F5"&gt;&lt;p&gt;​1. Atsakomybės defirencijavimas. Vadas pasirašo visas sąskaitas ir nurašymo aktus. Pvz. vadas nurašo maisto produktus, iki to pasirašo 5-6 asmenys. Tikėtina, kad užtektų sandėlininko, kuris išdavė ir valgyklos vedėjo/os, kurio valgykloje produktai sunaudoti. Panaši situacija su remonto atliktų darbų aktų pasirašymais. ĮAT vadas turi pasirašyti, kad priėmė darbus, kas yra fiziškai neįmanoma, kadangi remontuojamų objektų yra daugiau kaip 350 ir objektai yra visoje Lietuvoje.&amp;#160;&lt;br&gt;&lt;/p&gt;&lt;p&gt;2. Popierinių sąskaitų mažinimas. Šiuo metu visos LK sąskaitos yra spausdinamos ir pasirašomos ranka.&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Identifikuokite_x0020_perteklini><d:Pateikite_x0020_pasi_x016b_lymus>&lt;div class="ExternalClass1AB08C84B51740F1BA64E0A0CFA92BB4"&gt;&lt;p&gt;1. Sstatybų įstatymo pakeitimas, tai yra leidimas LK remontą vykdyti iri ūkio būdų. Dėl dinaminių procesų palengvėtų ir supaprastėtų mažesnės apimties darbų atlikimas. Pvz. divizijos štabo kosmetinis perdažymas buvo atliktas per 1 sav., jei įtraukiant į remonto planą, tai galėtų užtrukti 3 ir daugiau mėnesių&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pateikite_x0020_pasi_x016b_lymus><d:Pasidalinkite_x0020_id_x0117_jom>&lt;div class="ExternalClass5FF24B26B75047769428042DB54EC653"&gt;&lt;p&gt;​1. ĮAT centrams suteikti perkančiosios organizacijos statusą -&amp;#160;Sudarius sąlygas ĮAT centrams patiems savarankiškai vykdyti mažos vertės pirkimus, nereikėtų skaičiuoti verčių ir konsoliduoti pirkimų paraiškų, centras pats atliktų mažos vertės pirkimus, ko pasėkoje įsigijimų laikas sutrumpėtų, būtų greičiau užtikrinamos paslaugos ar įsigyjamos reikiamos prekės LK daliniams ar sąjungininkams, taip pat sumažintume GRA pirkimų apimtys su palyginti smulkiais ne strateginės reikšmės pirkimais, leidžiant fokusuotis į pagrindinius LK pirkimus. Sugrįžtant prie pavyzdžio apie skaldą, jei ĮAT centras galėtų savarankiškai vykdyti pirkimą ir minimas poreikis būtų iki 10 tūkst. eurų, tuomet pirkimo procedūros galėtų būti atliekamos neskelbiamos apklausos ar netgi sudarant žodinę sutartį. Papildomai tikėtina supaprastėtų ir ĮAT kaip didelės organizacijos pirkimų planavimas ir vykdymas, kontrolė ir atsakomybės pasiskirstymas. Šiuo metu ĮAT vadas per mėnesį turi pasirašyti apie 6 – 8 tūkstančius įvairių sąskaitų apie atliktus darbus, sunaudotas medžiagas ir produktus ar suteiktas paslaugas.&amp;#160;Pavyzdžiui, jei reikalinga įsigyti skaldos kelių ar aikštelių pagerinimui ir sąmata kiekvieno ĮAT centro yra apie 10 tūkst. be PVM, tokiu atveju bendrai ĮAT konsolidavus visų 8 centrų poreikį jau viršijama mažos vertės pirkimų riba, nes suma gaunasi apie 80 tūkst. be PVM., todėl pirkimas turi būti perduodamas GRA. Taip pat atkreiptinas dėmesys, kad metų eigoje dažnai iškyla papildomas ar nenumatytas poreikis ir reikia koreguoti pirkimo planą, didinti anksčiau numatytų prekių ar paslaugų poreikį ir pirkimo sumą ir konsolidavus viršijama mažos vertės riba.&lt;br&gt;&lt;/p&gt;&lt;p&gt;2. Maisto užsakymo programos įsigyjimas. Šiuo metu maisto užsakymas yra vykdomas tik eRVIS. Taip yra apribojama galimybė maitinimą užsakyti lanksčiau. Šiuo metu vykdomas sharepoint testavimas, tačiau galimybės labai ribotos.&amp;#160;Dėl ribotų esamos maitinimo užsakymo sistemos galimybių negalint atlikti siūlomų pokyčių leisti ITT įdiegti papildomas programas ar APP'us, kurie leistų sukurti patrauklesnį pagrindinio puslapio meniu langą. Tai supaprastintų vartotojų prisijungimą prie sistemos. Programa turėtų turėti galimybę suvesti ir sukonfigūruoti LK patvirtintą valgiaraštį, pagal kalendorines datas suvesti valgiaraščio pasirinkimų variantus. Turėtų susiejimo su eRVIS sistema galimybes.&amp;#160;Neidentifikavus tokių programų ar APP'sų pirkti paslaugą jų sukūrimui ir pritaikymui prie LK poreikių ir jau naudojamų programų, tokių kaip eRVIS. Pvz. galėtų būti toks modelis kaip EST kariuomenėje.&lt;br&gt;&lt;/p&gt;&lt;p&gt;&lt;br&gt;&lt;/p&gt;&lt;p&gt;&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pasidalinkite_x0020_id_x0117_jom><d:ID m:type="Edm.Int32">53</d:ID><d:Modified m:type="Edm.DateTime">2025-04-14T06:12:47Z</d:Modified><d:Created m:type="Edm.DateTime">2025-04-14T06:12:47Z</d:Created><d:AuthorId m:type="Edm.Int32">0</d:AuthorId><d:EditorId m:type="Edm.Int32">0</d:EditorId><d:OData__UIVersionString>1.0</d:OData__UIVersionString></m:properties></content></entry><entry m:etag="&quot;1&quot;"><id>Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(54)</id><category term="SP.Data.Kaip_x0020_nedaryti_x0020_verts_x0020_nekuriani_x0020_darbListItem" scheme="http://schemas.microsoft.com/ado/2007/08/dataservices/scheme" /><link rel="edit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(54)" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FirstUniqueAncestorSecurableObject" type="application/atom+xml;type=entry" title="FirstUniqueAncestorSecurableObject" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(54)/FirstUniqueAncestorSecurableObject" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/RoleAssignments" type="application/atom+xml;type=feed" title="RoleAssignments" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(54)/RoleAssignments" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/AttachmentFiles" type="application/atom+xml;type=feed" title="AttachmentFiles" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(54)/AttachmentFiles" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ContentType" type="application/atom+xml;type=entry" title="ContentType" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(54)/ContentType" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsHtml" type="application/atom+xml;type=entry" title="FieldValuesAsHtml" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(54)/FieldValuesAsHtml" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsText" type="application/atom+xml;type=entry" title="FieldValuesAsText" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(54)/FieldValuesAsText" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesForEdit" type="application/atom+xml;type=entry" title="FieldValuesForEdit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(54)/FieldValuesForEdit" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/File" type="application/atom+xml;type=entry" title="File" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(54)/File" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/Folder" type="application/atom+xml;type=entry" title="Folder" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(54)/Folder" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ParentList" type="application/atom+xml;type=entry" title="ParentList" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(54)/ParentList" /><title /><updated>2025-04-18T11:17:33Z</updated><author><name /></author><content type="application/xml"><m:properties><d:FileSystemObjectType m:type="Edm.Int32">0</d:FileSystemObjectType><d:Id m:type="Edm.Int32">54</d:Id><d:ContentTypeId>0x00171F379CCADF464EB719C824E7B24FEB</d:ContentTypeId><d:Identifikuokite_x0020_perteklini>&lt;div class="ExternalClass04EAFC23E6434B0B8569DAA054050227"&gt;&lt;p&gt;&lt;strong&gt;​Valgyklos (maisto produktai) apskaita&lt;/strong&gt;&lt;br&gt;&lt;/p&gt;&lt;p&gt;&lt;em&gt;Pertekliniai darba&lt;/em&gt;&lt;em&gt;i&amp;#58;&lt;/em&gt;&lt;br&gt;&lt;/p&gt;&lt;p&gt;Sąskaitų ir orderių spausdinimas (po 2 egz.),&amp;#160;&lt;br&gt;&lt;/p&gt;&lt;p&gt;štampavimas (kodas, apmokėta)&lt;br&gt;&lt;/p&gt;&lt;p&gt;&lt;em&gt;Sekantis žingsnis &lt;/em&gt;Sąskaitų archyvavimas (susegimas, sandėliavimas)&lt;br&gt;&lt;/p&gt;&lt;p&gt;&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Identifikuokite_x0020_perteklini><d:Pateikite_x0020_pasi_x016b_lymus m:null="true" /><d:Pasidalinkite_x0020_id_x0117_jom>&lt;div class="ExternalClassF72A579B42F14EC3B2EA6EF72E01FE7B"&gt;&lt;p&gt;Sąskaitų saugojimas būtų serveryje (ar kokioje&amp;#160;el. erdvėje),priėjimas sukurtas ir su&amp;#160;sąskaitomis susijusiems darbuotojams.&lt;/p&gt;&lt;p&gt;Pasirašymas galėtų vykti elektroniniu parašu, ar kitu būdu.&lt;br&gt;&lt;/p&gt;&lt;p&gt;Tai sumažintų neefektyvaus darbo laiko, popieriaus, spausintuvų tušo, archyvavimo vietos.&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pasidalinkite_x0020_id_x0117_jom><d:ID m:type="Edm.Int32">54</d:ID><d:Modified m:type="Edm.DateTime">2025-04-14T06:46:21Z</d:Modified><d:Created m:type="Edm.DateTime">2025-04-14T06:46:21Z</d:Created><d:AuthorId m:type="Edm.Int32">0</d:AuthorId><d:EditorId m:type="Edm.Int32">0</d:EditorId><d:OData__UIVersionString>1.0</d:OData__UIVersionString></m:properties></content></entry><entry m:etag="&quot;1&quot;"><id>Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(55)</id><category term="SP.Data.Kaip_x0020_nedaryti_x0020_verts_x0020_nekuriani_x0020_darbListItem" scheme="http://schemas.microsoft.com/ado/2007/08/dataservices/scheme" /><link rel="edit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(55)" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FirstUniqueAncestorSecurableObject" type="application/atom+xml;type=entry" title="FirstUniqueAncestorSecurableObject" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(55)/FirstUniqueAncestorSecurableObject" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/RoleAssignments" type="application/atom+xml;type=feed" title="RoleAssignments" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(55)/RoleAssignments" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/AttachmentFiles" type="application/atom+xml;type=feed" title="AttachmentFiles" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(55)/AttachmentFiles" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ContentType" type="application/atom+xml;type=entry" title="ContentType" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(55)/ContentType" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsHtml" type="application/atom+xml;type=entry" title="FieldValuesAsHtml" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(55)/FieldValuesAsHtml" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsText" type="application/atom+xml;type=entry" title="FieldValuesAsText" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(55)/FieldValuesAsText" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesForEdit" type="application/atom+xml;type=entry" title="FieldValuesForEdit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(55)/FieldValuesForEdit" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/File" type="application/atom+xml;type=entry" title="File" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(55)/File" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/Folder" type="application/atom+xml;type=entry" title="Folder" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(55)/Folder" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ParentList" type="application/atom+xml;type=entry" title="ParentList" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(55)/ParentList" /><title /><updated>2025-04-18T11:17:33Z</updated><author><name /></author><content type="application/xml"><m:properties><d:FileSystemObjectType m:type="Edm.Int32">0</d:FileSystemObjectType><d:Id m:type="Edm.Int32">55</d:Id><d:ContentTypeId>0x00171F379CCADF464EB719C824E7B24FEB</d:ContentTypeId><d:Identifikuokite_x0020_perteklini m:null="true" /><d:Pateikite_x0020_pasi_x016b_lymus m:null="true" /><d:Pasidalinkite_x0020_id_x0117_jom m:null="true" /><d:ID m:type="Edm.Int32">55</d:ID><d:Modified m:type="Edm.DateTime">2025-04-14T06:57:59Z</d:Modified><d:Created m:type="Edm.DateTime">2025-04-14T06:57:59Z</d:Created><d:AuthorId m:type="Edm.Int32">0</d:AuthorId><d:EditorId m:type="Edm.Int32">0</d:EditorId><d:OData__UIVersionString>1.0</d:OData__UIVersionString></m:properties></content></entry><entry m:etag="&quot;1&quot;"><id>Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(56)</id><category term="SP.Data.Kaip_x0020_nedaryti_x0020_verts_x0020_nekuriani_x0020_darbListItem" scheme="http://schemas.microsoft.com/ado/2007/08/dataservices/scheme" /><link rel="edit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(56)" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FirstUniqueAncestorSecurableObject" type="application/atom+xml;type=entry" title="FirstUniqueAncestorSecurableObject" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(56)/FirstUniqueAncestorSecurableObject" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/RoleAssignments" type="application/atom+xml;type=feed" title="RoleAssignments" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(56)/RoleAssignments" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/AttachmentFiles" type="application/atom+xml;type=feed" title="AttachmentFiles" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(56)/AttachmentFiles" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ContentType" type="application/atom+xml;type=entry" title="ContentType" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(56)/ContentType" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsHtml" type="application/atom+xml;type=entry" title="FieldValuesAsHtml" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(56)/FieldValuesAsHtml" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsText" type="application/atom+xml;type=entry" title="FieldValuesAsText" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(56)/FieldValuesAsText" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesForEdit" type="application/atom+xml;type=entry" title="FieldValuesForEdit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(56)/FieldValuesForEdit" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/File" type="application/atom+xml;type=entry" title="File" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(56)/File" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/Folder" type="application/atom+xml;type=entry" title="Folder" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(56)/Folder" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ParentList" type="application/atom+xml;type=entry" title="ParentList" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(56)/ParentList" /><title /><updated>2025-04-18T11:17:33Z</updated><author><name /></author><content type="application/xml"><m:properties><d:FileSystemObjectType m:type="Edm.Int32">0</d:FileSystemObjectType><d:Id m:type="Edm.Int32">56</d:Id><d:ContentTypeId>0x00171F379CCADF464EB719C824E7B24FEB</d:ContentTypeId><d:Identifikuokite_x0020_perteklini>&lt;div class="ExternalClass4C0A05724654450894791F2A17EA3209"&gt;&lt;p&gt;Sveiki,&lt;br&gt;&lt;/p&gt;&lt;p&gt;Šiuo metu pagal KASOKTĮ profesinės karo tarnybos kariams taikomi itin griežti apribojimai. Netgi žemiausios grandies specialistams, seržantams taikomi tokie patys apribojimai kaip ir Seimo nariams. Bet niekas tūrbūt negalėtų pasakyti, kodėl jie taikomi ir kokia vertę kuria tie apribojimai. Šiuo metu PKT karys negali būti netgi daugiabučio bendrijos pirmininku, kai tuo tarpu pvz. policijos pareigūnas gali. Įdomu koks yra skirtumas tarp šių statutinių pareigūnų.&amp;#160;&lt;br&gt;&lt;/p&gt;&lt;p&gt;Šie apribojimai labai demotyvuoja specialistus, skatina palikti PKT, kažkuria prasme atskiria, izoliuoja krašo apsaugos sistemą ir civilinį sektorių, kai tuo tarpu KAS kaip tik naudingiau būtų visą visuomenę laikyti arčiau savęs tam, kad stiprinti visuotinę gynybą.&amp;#160;&lt;br&gt;&lt;/p&gt;&lt;p&gt;Tam, kad nuolatos vykdyti šia jokios naudos nekuriančią sąlygą, AOTD skiria milžiniškus resursus žmonių tikrinimui, ar neužsiima papildoma veikla, vykdomi patikrinimai, tyrimai, galiausiai kai kuriems kariams tenka atsisveikinti su tarnyba. Ne paslaptis, kad ir dabar yra seržantų, kurie būdami gerais specialistas remontuoja automobilius, užsiima kita papildoma veikla ir, žinoma, tokios veiklos niekur nedaklaruoja ir už ją nemoka jokių mokesčių. Tai reiškia, kad valstybė praranda pinigus.&amp;#160;&lt;br&gt;&lt;/p&gt;&lt;p&gt;&lt;br&gt;&lt;/p&gt;&lt;p&gt;&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Identifikuokite_x0020_perteklini><d:Pateikite_x0020_pasi_x016b_lymus>&lt;div class="ExternalClass45A34D4D55E340F7AB57B2C5C37DD50E"&gt;&lt;p&gt;​Reikia pakeisti tuo pasenusius apribojimus, kurie taikomi visiems kariams be jokių išlygų. Tai absoliutus atsilikimas gyvuojantis 30 ir daugiau metų.&amp;#160;&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pateikite_x0020_pasi_x016b_lymus><d:Pasidalinkite_x0020_id_x0117_jom m:null="true" /><d:ID m:type="Edm.Int32">56</d:ID><d:Modified m:type="Edm.DateTime">2025-04-14T08:06:57Z</d:Modified><d:Created m:type="Edm.DateTime">2025-04-14T08:06:57Z</d:Created><d:AuthorId m:type="Edm.Int32">0</d:AuthorId><d:EditorId m:type="Edm.Int32">0</d:EditorId><d:OData__UIVersionString>1.0</d:OData__UIVersionString></m:properties></content></entry><entry m:etag="&quot;1&quot;"><id>Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(57)</id><category term="SP.Data.Kaip_x0020_nedaryti_x0020_verts_x0020_nekuriani_x0020_darbListItem" scheme="http://schemas.microsoft.com/ado/2007/08/dataservices/scheme" /><link rel="edit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(57)" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FirstUniqueAncestorSecurableObject" type="application/atom+xml;type=entry" title="FirstUniqueAncestorSecurableObject" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(57)/FirstUniqueAncestorSecurableObject" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/RoleAssignments" type="application/atom+xml;type=feed" title="RoleAssignments" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(57)/RoleAssignments" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/AttachmentFiles" type="application/atom+xml;type=feed" title="AttachmentFiles" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(57)/AttachmentFiles" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ContentType" type="application/atom+xml;type=entry" title="ContentType" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(57)/ContentType" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsHtml" type="application/atom+xml;type=entry" title="FieldValuesAsHtml" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(57)/FieldValuesAsHtml" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsText" type="application/atom+xml;type=entry" title="FieldValuesAsText" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(57)/FieldValuesAsText" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesForEdit" type="application/atom+xml;type=entry" title="FieldValuesForEdit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(57)/FieldValuesForEdit" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/File" type="application/atom+xml;type=entry" title="File" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(57)/File" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/Folder" type="application/atom+xml;type=entry" title="Folder" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(57)/Folder" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ParentList" type="application/atom+xml;type=entry" title="ParentList" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(57)/ParentList" /><title /><updated>2025-04-18T11:17:33Z</updated><author><name /></author><content type="application/xml"><m:properties><d:FileSystemObjectType m:type="Edm.Int32">0</d:FileSystemObjectType><d:Id m:type="Edm.Int32">57</d:Id><d:ContentTypeId>0x00171F379CCADF464EB719C824E7B24FEB</d:ContentTypeId><d:Identifikuokite_x0020_perteklini m:null="true" /><d:Pateikite_x0020_pasi_x016b_lymus m:null="true" /><d:Pasidalinkite_x0020_id_x0117_jom>&lt;div class="ExternalClass8DC22A6CF6D94EA48DEDA09A159211CE"&gt;&lt;p&gt;​Inventorizacijos atlikimas turto apskaitos IS (eRVIS) -&amp;#160;komisijos narių darbas tiesiogiai eRVIS suvedant faktinius inventorizacijos duomenis,&amp;#160;&lt;/p&gt;&lt;p&gt;Bar kodų skaitytuvų naudojimas Turto apskaitos, pajamavimo net ir inventorizacijos metu&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pasidalinkite_x0020_id_x0117_jom><d:ID m:type="Edm.Int32">57</d:ID><d:Modified m:type="Edm.DateTime">2025-04-14T09:49:07Z</d:Modified><d:Created m:type="Edm.DateTime">2025-04-14T09:49:07Z</d:Created><d:AuthorId m:type="Edm.Int32">0</d:AuthorId><d:EditorId m:type="Edm.Int32">0</d:EditorId><d:OData__UIVersionString>1.0</d:OData__UIVersionString></m:properties></content></entry><entry m:etag="&quot;1&quot;"><id>Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(58)</id><category term="SP.Data.Kaip_x0020_nedaryti_x0020_verts_x0020_nekuriani_x0020_darbListItem" scheme="http://schemas.microsoft.com/ado/2007/08/dataservices/scheme" /><link rel="edit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(58)" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FirstUniqueAncestorSecurableObject" type="application/atom+xml;type=entry" title="FirstUniqueAncestorSecurableObject" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(58)/FirstUniqueAncestorSecurableObject" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/RoleAssignments" type="application/atom+xml;type=feed" title="RoleAssignments" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(58)/RoleAssignments" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/AttachmentFiles" type="application/atom+xml;type=feed" title="AttachmentFiles" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(58)/AttachmentFiles" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ContentType" type="application/atom+xml;type=entry" title="ContentType" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(58)/ContentType" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsHtml" type="application/atom+xml;type=entry" title="FieldValuesAsHtml" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(58)/FieldValuesAsHtml" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsText" type="application/atom+xml;type=entry" title="FieldValuesAsText" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(58)/FieldValuesAsText" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesForEdit" type="application/atom+xml;type=entry" title="FieldValuesForEdit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(58)/FieldValuesForEdit" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/File" type="application/atom+xml;type=entry" title="File" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(58)/File" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/Folder" type="application/atom+xml;type=entry" title="Folder" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(58)/Folder" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ParentList" type="application/atom+xml;type=entry" title="ParentList" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(58)/ParentList" /><title /><updated>2025-04-18T11:17:33Z</updated><author><name /></author><content type="application/xml"><m:properties><d:FileSystemObjectType m:type="Edm.Int32">0</d:FileSystemObjectType><d:Id m:type="Edm.Int32">58</d:Id><d:ContentTypeId>0x00171F379CCADF464EB719C824E7B24FEB</d:ContentTypeId><d:Identifikuokite_x0020_perteklini>&lt;div class="ExternalClass1A51884B6E2440CC9BF8509BFCFFBE44"&gt;&lt;p&gt;​Atsisakyti papildomų derinimų, tiems logistiniams procesams, kuriems jau yra sprendimai KAM, LKV įsakymai, GRG, GRT sprendimai, kaip pvz priimti sprendimai (patvirtinti centralizuoto remonto planai ) ir sudaryti sąrašai dėl Transporto priemonių ar įrangos remonto, nebeturi būti aktyvuojami&amp;#160;jokie nei&amp;#160;vidiniai karinio vieneto derinimo nei derinimai pagal subordinaciją iki pajėgų lygmens, kad perduoti Transporto priemonę remontui.&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Identifikuokite_x0020_perteklini><d:Pateikite_x0020_pasi_x016b_lymus m:null="true" /><d:Pasidalinkite_x0020_id_x0117_jom m:null="true" /><d:ID m:type="Edm.Int32">58</d:ID><d:Modified m:type="Edm.DateTime">2025-04-14T09:57:00Z</d:Modified><d:Created m:type="Edm.DateTime">2025-04-14T09:57:00Z</d:Created><d:AuthorId m:type="Edm.Int32">0</d:AuthorId><d:EditorId m:type="Edm.Int32">0</d:EditorId><d:OData__UIVersionString>1.0</d:OData__UIVersionString></m:properties></content></entry><entry m:etag="&quot;1&quot;"><id>Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(59)</id><category term="SP.Data.Kaip_x0020_nedaryti_x0020_verts_x0020_nekuriani_x0020_darbListItem" scheme="http://schemas.microsoft.com/ado/2007/08/dataservices/scheme" /><link rel="edit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(59)" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FirstUniqueAncestorSecurableObject" type="application/atom+xml;type=entry" title="FirstUniqueAncestorSecurableObject" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(59)/FirstUniqueAncestorSecurableObject" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/RoleAssignments" type="application/atom+xml;type=feed" title="RoleAssignments" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(59)/RoleAssignments" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/AttachmentFiles" type="application/atom+xml;type=feed" title="AttachmentFiles" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(59)/AttachmentFiles" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ContentType" type="application/atom+xml;type=entry" title="ContentType" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(59)/ContentType" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsHtml" type="application/atom+xml;type=entry" title="FieldValuesAsHtml" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(59)/FieldValuesAsHtml" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsText" type="application/atom+xml;type=entry" title="FieldValuesAsText" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(59)/FieldValuesAsText" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesForEdit" type="application/atom+xml;type=entry" title="FieldValuesForEdit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(59)/FieldValuesForEdit" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/File" type="application/atom+xml;type=entry" title="File" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(59)/File" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/Folder" type="application/atom+xml;type=entry" title="Folder" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(59)/Folder" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ParentList" type="application/atom+xml;type=entry" title="ParentList" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(59)/ParentList" /><title /><updated>2025-04-18T11:17:33Z</updated><author><name /></author><content type="application/xml"><m:properties><d:FileSystemObjectType m:type="Edm.Int32">0</d:FileSystemObjectType><d:Id m:type="Edm.Int32">59</d:Id><d:ContentTypeId>0x00171F379CCADF464EB719C824E7B24FEB</d:ContentTypeId><d:Identifikuokite_x0020_perteklini>&lt;div class="ExternalClass8D1E1CB5A5B946989B0EBE37E92D5FDB"&gt;&lt;p&gt;​eRVIS sistema. Labai nuostabus produktas, kuris padeda tvarkyti finansinę apskaitą, tačiau iki šiol spausdiname didelius kiekius popieriaus. Kartais tenka išspausdinti visą dėžę vienai operacijai. &amp;#160;&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Identifikuokite_x0020_perteklini><d:Pateikite_x0020_pasi_x016b_lymus>&lt;div class="ExternalClass5AE9253B06C24654B59D87ADC9AA3856"&gt;&lt;p&gt;Keisti ministro įsakymus dėl finansinės apskaitos ir procedūrų keitimo.&amp;#160;&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pateikite_x0020_pasi_x016b_lymus><d:Pasidalinkite_x0020_id_x0117_jom>&lt;div class="ExternalClass222F167AC29642DF91ADA64A0E7E685E"&gt;&lt;p&gt;​Atsisakykime popieriaus, viską pateikinėkime el. būdu naudojantis&amp;#160;el. parašu ar kitomis el.&amp;#160;dokumentų autentiškumą užtikrinimo priemonėmis.&amp;#160;&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pasidalinkite_x0020_id_x0117_jom><d:ID m:type="Edm.Int32">59</d:ID><d:Modified m:type="Edm.DateTime">2025-04-14T11:07:57Z</d:Modified><d:Created m:type="Edm.DateTime">2025-04-14T11:07:57Z</d:Created><d:AuthorId m:type="Edm.Int32">0</d:AuthorId><d:EditorId m:type="Edm.Int32">0</d:EditorId><d:OData__UIVersionString>1.0</d:OData__UIVersionString></m:properties></content></entry><entry m:etag="&quot;1&quot;"><id>Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(60)</id><category term="SP.Data.Kaip_x0020_nedaryti_x0020_verts_x0020_nekuriani_x0020_darbListItem" scheme="http://schemas.microsoft.com/ado/2007/08/dataservices/scheme" /><link rel="edit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(60)" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FirstUniqueAncestorSecurableObject" type="application/atom+xml;type=entry" title="FirstUniqueAncestorSecurableObject" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(60)/FirstUniqueAncestorSecurableObject" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/RoleAssignments" type="application/atom+xml;type=feed" title="RoleAssignments" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(60)/RoleAssignments" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/AttachmentFiles" type="application/atom+xml;type=feed" title="AttachmentFiles" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(60)/AttachmentFiles" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ContentType" type="application/atom+xml;type=entry" title="ContentType" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(60)/ContentType" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsHtml" type="application/atom+xml;type=entry" title="FieldValuesAsHtml" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(60)/FieldValuesAsHtml" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsText" type="application/atom+xml;type=entry" title="FieldValuesAsText" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(60)/FieldValuesAsText" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesForEdit" type="application/atom+xml;type=entry" title="FieldValuesForEdit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(60)/FieldValuesForEdit" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/File" type="application/atom+xml;type=entry" title="File" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(60)/File" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/Folder" type="application/atom+xml;type=entry" title="Folder" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(60)/Folder" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ParentList" type="application/atom+xml;type=entry" title="ParentList" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(60)/ParentList" /><title /><updated>2025-04-18T11:17:33Z</updated><author><name /></author><content type="application/xml"><m:properties><d:FileSystemObjectType m:type="Edm.Int32">0</d:FileSystemObjectType><d:Id m:type="Edm.Int32">60</d:Id><d:ContentTypeId>0x00171F379CCADF464EB719C824E7B24FEB</d:ContentTypeId><d:Identifikuokite_x0020_perteklini>&lt;div class="ExternalClass7242A6EC6EEC4FFC887E603BD30F15F5"&gt;&lt;p&gt;​DERINIMAI IR PASIRA6YMAI AVILYJE.&amp;#160;&lt;br&gt;&lt;/p&gt;&lt;p&gt;Labai dažnai pasitaiko, kad taktinės reikšmės dokumentai, pirkimai, nurašymai, reikalauja labai ilgos eilės derinimų ir žmonių, kurie užima net strategines pozicijas. PVZ&amp;#58; Įsakymas dėl leidinių perdavimo gynybos resursų agentūrai prie krašto apsaugos ministeijos. Dokumentu perduodami leidiniai, kurių vertė siekia 162,15 Eur - derina TRYLIKA žmonių iš kurių vienas yra viceministras.&amp;#160;&lt;br&gt;&lt;/p&gt;&lt;p&gt;Leidinių perdavimas, kurių vertė 53.19 Eur - derina 15 žmonių iš kurių vienas viceministras ir departamentų vadovai, įsakymas kariuomenės vado.&amp;#160;&lt;br&gt;&lt;/p&gt;&lt;p&gt;DĖL TRUMPALAIKIO TURTO PERDAVIMO - vertė 2,36 Eur - derina 13 žmonių tarp, kurių departamentų viršininkai ir viceministrai, leidžiamas kariuomenės vado įsakymas.&lt;br&gt;&lt;/p&gt;&lt;p&gt;Kam reikalingos skirtingos deklaracijos pvz dėl Naudotojo prieigos kūrimo, jei žmogus jau dirba sistemoje ir tik pakeitė darbo/tarnybos vietą, kurioje vėl reikia pasirašyti?&amp;#160;&lt;br&gt;&lt;/p&gt;&lt;p&gt;Siūlymas sumažinti teisės aktus, kurie turi daugybę pakeitimų, gal vertėtų išleisti naują, o ne kiekvieną kartą daryti pakeitimą, kurio niekas neskaitys nes tų pakeitimų yra N+K.&amp;#160;&lt;br&gt;&lt;/p&gt;&lt;p&gt;Materialinio turto perdavimo metu, arba nurašymų metu iš matereliai atsakingų yra prašoma 3 tokių pačių popierinių kopijų visų doikumentų nors ir visi dokumentai yra RVIS sistemoje ir ten yra dedami parašai. To kopijos nugula stalčiuose, o vienos kopijos &amp;quot;būtina' turėti materialiai atsakingam.&amp;#160;&lt;br&gt;&lt;/p&gt;&lt;p&gt;&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Identifikuokite_x0020_perteklini><d:Pateikite_x0020_pasi_x016b_lymus m:null="true" /><d:Pasidalinkite_x0020_id_x0117_jom m:null="true" /><d:ID m:type="Edm.Int32">60</d:ID><d:Modified m:type="Edm.DateTime">2025-04-14T12:11:42Z</d:Modified><d:Created m:type="Edm.DateTime">2025-04-14T12:11:42Z</d:Created><d:AuthorId m:type="Edm.Int32">0</d:AuthorId><d:EditorId m:type="Edm.Int32">0</d:EditorId><d:OData__UIVersionString>1.0</d:OData__UIVersionString></m:properties></content></entry><entry m:etag="&quot;1&quot;"><id>Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(61)</id><category term="SP.Data.Kaip_x0020_nedaryti_x0020_verts_x0020_nekuriani_x0020_darbListItem" scheme="http://schemas.microsoft.com/ado/2007/08/dataservices/scheme" /><link rel="edit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(61)" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FirstUniqueAncestorSecurableObject" type="application/atom+xml;type=entry" title="FirstUniqueAncestorSecurableObject" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(61)/FirstUniqueAncestorSecurableObject" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/RoleAssignments" type="application/atom+xml;type=feed" title="RoleAssignments" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(61)/RoleAssignments" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/AttachmentFiles" type="application/atom+xml;type=feed" title="AttachmentFiles" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(61)/AttachmentFiles" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ContentType" type="application/atom+xml;type=entry" title="ContentType" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(61)/ContentType" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsHtml" type="application/atom+xml;type=entry" title="FieldValuesAsHtml" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(61)/FieldValuesAsHtml" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsText" type="application/atom+xml;type=entry" title="FieldValuesAsText" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(61)/FieldValuesAsText" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesForEdit" type="application/atom+xml;type=entry" title="FieldValuesForEdit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(61)/FieldValuesForEdit" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/File" type="application/atom+xml;type=entry" title="File" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(61)/File" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/Folder" type="application/atom+xml;type=entry" title="Folder" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(61)/Folder" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ParentList" type="application/atom+xml;type=entry" title="ParentList" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(61)/ParentList" /><title /><updated>2025-04-18T11:17:33Z</updated><author><name /></author><content type="application/xml"><m:properties><d:FileSystemObjectType m:type="Edm.Int32">0</d:FileSystemObjectType><d:Id m:type="Edm.Int32">61</d:Id><d:ContentTypeId>0x00171F379CCADF464EB719C824E7B24FEB</d:ContentTypeId><d:Identifikuokite_x0020_perteklini m:null="true" /><d:Pateikite_x0020_pasi_x016b_lymus m:null="true" /><d:Pasidalinkite_x0020_id_x0117_jom>&lt;div class="ExternalClass33E1ABFFF8B341BB9C772109D7550066"&gt;&lt;p&gt;​Peržiūrėti Techninių specifikacijų (TS)&amp;#160;rengimo metodiką ir joje numatyti, kad TS būtų rengiamos pagal jau šiai dienai esamus&amp;#160;turto klasifikuotus pavadinimus, kurie sukurti ir naudojami pagal KAM įsakymus dėl turto eRVIS&amp;#160;apskaitos KAS, tik dėja tai netaikoma planuojant įsigijimus. TS galėtų būti nurodyta ir atitinkama gaminių/prekių informacija Tiekėjo etikėteję, kuri su brukšninių kodų skaitytuvų pagalba automatiškai būtų perkeliama į turto apskaitos IS (eRVIS) tai sumažintų žmogiškojo faktoriaus įėtaką ir paspartintų ne tik pajamvimo operacijas bet praplėtus skaitytuvų funkcijas ir prekių išdavimo - priėmimo operacijas. Žodžiu taikyti su eRVIS ir bar kodų skaitytuvus&amp;#160;&amp;#160;&amp;#160;&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pasidalinkite_x0020_id_x0117_jom><d:ID m:type="Edm.Int32">61</d:ID><d:Modified m:type="Edm.DateTime">2025-04-14T12:42:32Z</d:Modified><d:Created m:type="Edm.DateTime">2025-04-14T12:42:32Z</d:Created><d:AuthorId m:type="Edm.Int32">0</d:AuthorId><d:EditorId m:type="Edm.Int32">0</d:EditorId><d:OData__UIVersionString>1.0</d:OData__UIVersionString></m:properties></content></entry><entry m:etag="&quot;1&quot;"><id>Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(62)</id><category term="SP.Data.Kaip_x0020_nedaryti_x0020_verts_x0020_nekuriani_x0020_darbListItem" scheme="http://schemas.microsoft.com/ado/2007/08/dataservices/scheme" /><link rel="edit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(62)" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FirstUniqueAncestorSecurableObject" type="application/atom+xml;type=entry" title="FirstUniqueAncestorSecurableObject" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(62)/FirstUniqueAncestorSecurableObject" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/RoleAssignments" type="application/atom+xml;type=feed" title="RoleAssignments" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(62)/RoleAssignments" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/AttachmentFiles" type="application/atom+xml;type=feed" title="AttachmentFiles" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(62)/AttachmentFiles" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ContentType" type="application/atom+xml;type=entry" title="ContentType" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(62)/ContentType" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsHtml" type="application/atom+xml;type=entry" title="FieldValuesAsHtml" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(62)/FieldValuesAsHtml" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsText" type="application/atom+xml;type=entry" title="FieldValuesAsText" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(62)/FieldValuesAsText" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesForEdit" type="application/atom+xml;type=entry" title="FieldValuesForEdit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(62)/FieldValuesForEdit" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/File" type="application/atom+xml;type=entry" title="File" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(62)/File" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/Folder" type="application/atom+xml;type=entry" title="Folder" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(62)/Folder" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ParentList" type="application/atom+xml;type=entry" title="ParentList" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(62)/ParentList" /><title /><updated>2025-04-18T11:17:33Z</updated><author><name /></author><content type="application/xml"><m:properties><d:FileSystemObjectType m:type="Edm.Int32">0</d:FileSystemObjectType><d:Id m:type="Edm.Int32">62</d:Id><d:ContentTypeId>0x00171F379CCADF464EB719C824E7B24FEB</d:ContentTypeId><d:Identifikuokite_x0020_perteklini m:null="true" /><d:Pateikite_x0020_pasi_x016b_lymus m:null="true" /><d:Pasidalinkite_x0020_id_x0117_jom>&lt;div class="ExternalClass49A7492AA0764D70927F283B846AF6DE"&gt;&lt;p&gt;​Atnaujinti tarnybinių pažymėjimus dėl galimybės juos naudoti kaip asmens&amp;#160;autentifikavimo priemonė bent&amp;#160;KAS viduje turto logistinės operacijose, ieigos kontrolei&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pasidalinkite_x0020_id_x0117_jom><d:ID m:type="Edm.Int32">62</d:ID><d:Modified m:type="Edm.DateTime">2025-04-14T12:47:26Z</d:Modified><d:Created m:type="Edm.DateTime">2025-04-14T12:47:26Z</d:Created><d:AuthorId m:type="Edm.Int32">0</d:AuthorId><d:EditorId m:type="Edm.Int32">0</d:EditorId><d:OData__UIVersionString>1.0</d:OData__UIVersionString></m:properties></content></entry><entry m:etag="&quot;1&quot;"><id>Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(63)</id><category term="SP.Data.Kaip_x0020_nedaryti_x0020_verts_x0020_nekuriani_x0020_darbListItem" scheme="http://schemas.microsoft.com/ado/2007/08/dataservices/scheme" /><link rel="edit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(63)" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FirstUniqueAncestorSecurableObject" type="application/atom+xml;type=entry" title="FirstUniqueAncestorSecurableObject" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(63)/FirstUniqueAncestorSecurableObject" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/RoleAssignments" type="application/atom+xml;type=feed" title="RoleAssignments" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(63)/RoleAssignments" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/AttachmentFiles" type="application/atom+xml;type=feed" title="AttachmentFiles" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(63)/AttachmentFiles" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ContentType" type="application/atom+xml;type=entry" title="ContentType" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(63)/ContentType" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsHtml" type="application/atom+xml;type=entry" title="FieldValuesAsHtml" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(63)/FieldValuesAsHtml" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsText" type="application/atom+xml;type=entry" title="FieldValuesAsText" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(63)/FieldValuesAsText" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesForEdit" type="application/atom+xml;type=entry" title="FieldValuesForEdit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(63)/FieldValuesForEdit" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/File" type="application/atom+xml;type=entry" title="File" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(63)/File" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/Folder" type="application/atom+xml;type=entry" title="Folder" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(63)/Folder" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ParentList" type="application/atom+xml;type=entry" title="ParentList" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(63)/ParentList" /><title /><updated>2025-04-18T11:17:33Z</updated><author><name /></author><content type="application/xml"><m:properties><d:FileSystemObjectType m:type="Edm.Int32">0</d:FileSystemObjectType><d:Id m:type="Edm.Int32">63</d:Id><d:ContentTypeId>0x00171F379CCADF464EB719C824E7B24FEB</d:ContentTypeId><d:Identifikuokite_x0020_perteklini>&lt;div class="ExternalClassC914537D615744E2920D0D23B8FD3B0E"&gt;&lt;p&gt;Norint gauti kaip pvz&amp;#58; orkestrą renginiui, karį su istorine uniforma, pasikviesti karį pravesti paskaitą iš kito&amp;#160;&lt;br&gt;dalinio - reikalingi raštai, prašymai, derinimai per avilį.&lt;br&gt;Kyla klausimas ar tikrai tai reikalinga, kai visi tarnaujame vienoje sistemoje? Gal būt pakanka elektroninių laiškų, ar sukurti&lt;br&gt;vidinę sistemą, kur būtų galima matyti užimtumą ir žymėti.&lt;br&gt;Asmeniškai padalinyje turime vidinėje sistemoje sukurtą užimtumo lentelę, kur suderinus telefonu pažymima ir visi mato, kas tuo metu&lt;br&gt;naudosis patalpomis.&amp;#160;&lt;br&gt;Nes tikrai keista yra rašyti raštus tos pačios įgulos, tik kito dalinio vadui su prašymu skirti orkestrą, ar tam tikros pspecifikos karį&lt;br&gt;&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Identifikuokite_x0020_perteklini><d:Pateikite_x0020_pasi_x016b_lymus m:null="true" /><d:Pasidalinkite_x0020_id_x0117_jom m:null="true" /><d:ID m:type="Edm.Int32">63</d:ID><d:Modified m:type="Edm.DateTime">2025-04-15T06:03:23Z</d:Modified><d:Created m:type="Edm.DateTime">2025-04-15T06:03:23Z</d:Created><d:AuthorId m:type="Edm.Int32">0</d:AuthorId><d:EditorId m:type="Edm.Int32">0</d:EditorId><d:OData__UIVersionString>1.0</d:OData__UIVersionString></m:properties></content></entry><entry m:etag="&quot;1&quot;"><id>Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(64)</id><category term="SP.Data.Kaip_x0020_nedaryti_x0020_verts_x0020_nekuriani_x0020_darbListItem" scheme="http://schemas.microsoft.com/ado/2007/08/dataservices/scheme" /><link rel="edit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(64)" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FirstUniqueAncestorSecurableObject" type="application/atom+xml;type=entry" title="FirstUniqueAncestorSecurableObject" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(64)/FirstUniqueAncestorSecurableObject" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/RoleAssignments" type="application/atom+xml;type=feed" title="RoleAssignments" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(64)/RoleAssignments" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/AttachmentFiles" type="application/atom+xml;type=feed" title="AttachmentFiles" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(64)/AttachmentFiles" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ContentType" type="application/atom+xml;type=entry" title="ContentType" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(64)/ContentType" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsHtml" type="application/atom+xml;type=entry" title="FieldValuesAsHtml" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(64)/FieldValuesAsHtml" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsText" type="application/atom+xml;type=entry" title="FieldValuesAsText" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(64)/FieldValuesAsText" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesForEdit" type="application/atom+xml;type=entry" title="FieldValuesForEdit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(64)/FieldValuesForEdit" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/File" type="application/atom+xml;type=entry" title="File" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(64)/File" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/Folder" type="application/atom+xml;type=entry" title="Folder" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(64)/Folder" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ParentList" type="application/atom+xml;type=entry" title="ParentList" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(64)/ParentList" /><title /><updated>2025-04-18T11:17:33Z</updated><author><name /></author><content type="application/xml"><m:properties><d:FileSystemObjectType m:type="Edm.Int32">0</d:FileSystemObjectType><d:Id m:type="Edm.Int32">64</d:Id><d:ContentTypeId>0x00171F379CCADF464EB719C824E7B24FEB</d:ContentTypeId><d:Identifikuokite_x0020_perteklini m:null="true" /><d:Pateikite_x0020_pasi_x016b_lymus m:null="true" /><d:Pasidalinkite_x0020_id_x0117_jom>&lt;div class="ExternalClassA0B4F501293843AFA68BF1CF9FCC6331"&gt;&lt;p&gt;PROBLEMA&lt;/p&gt;&lt;p&gt;&lt;span lang="LT" style="text-decoration&amp;#58;underline;"&gt;KAS sistemos „greitis&amp;quot;&lt;/span&gt; sistema veikia labai, labai lėtai. &lt;/p&gt;&lt;p&gt;&amp;#160;&lt;/p&gt;&lt;p&gt;TIKSLAS&lt;/p&gt;&lt;p&gt;&lt;span lang="LT" style="text-decoration&amp;#58;underline;"&gt;Efektyvumo didinimas.&lt;/span&gt;&lt;/p&gt;&lt;p&gt;Koncentruotis tik į rezultatą kuriančias veiklas ir taip užtikrinti nuolatinį veiklos efektyvumą.&lt;/p&gt;&lt;p&gt;&amp;#160;&lt;/p&gt;&lt;p&gt;IDĖJA&lt;/p&gt;&lt;p&gt;&lt;span lang="LT" style="text-decoration&amp;#58;underline;"&gt;E-kariuomenė.&lt;/span&gt;&lt;/p&gt;&lt;p&gt;Pereiti prie visiško skaitmenizavimo.&lt;/p&gt;&lt;ol&gt;&lt;li&gt;Įdiegtį procesų valdymo sistemą &lt;/li&gt;&lt;li&gt;Dokumentų valdymas DVS neturi likti popierinių dokumentų.&lt;/li&gt;&lt;li&gt;Personalo valdymas PKT ir DS poreikis, verbavimas, išlaikymas.&lt;/li&gt;&lt;ol&gt;&lt;li&gt;Įvesti KAS sistemos ID kortelę&amp;#58;, naudojama, laiko apskaitai, praėjimo kontrolei, maisto apskaitai, transporto naudojimui ir k. t. (yra galimybė integruoti skaitmeninius implantus &lt;a href="https&amp;#58;//walletmor.com/products/get-your-walletmor-implant-now?srsltid=AfmBOorDAiRtRQqBhx1n-RE0ulbgpO1x928imlTMb6v4JVNLrE67M_W1"&gt;GET YOUR WALLETMOR IMPLANT NOW– Walletmor&lt;/a&gt;)&lt;/li&gt;&lt;li&gt;Kiekvienas KAS sistemos dalyvis turi turėti „paskyra&amp;quot; kurioje gali administruoti savo veikla. (PVZ ukrainietiska sistema Army+ &lt;a href="https&amp;#58;//mod.gov.ua/en/news/the-army-application-now-features-a-new-option-allowing-military-personnel-to-submit-transfer-requests-to-a-different-unit"&gt;The Army+ application now features | MoD News&lt;/a&gt; )&lt;/li&gt;&lt;/ol&gt;&lt;/ol&gt;&lt;p&gt;&amp;#160;&lt;/p&gt;&lt;p&gt;Kitos problemos&amp;#58;&lt;br&gt;&lt;/p&gt;&lt;p&gt;KAS sistemos komunikacija.&lt;/p&gt;&lt;p&gt;Išorinei skiriama labai daug dėmesio, vidinei ne. Pasiūlymas centralizuoti. &lt;/p&gt;&lt;p&gt;&amp;#160;&lt;/p&gt;&lt;p&gt;Atsisakyti reprezentacinių išlaidų.&lt;/p&gt;&lt;p&gt;Palikti tik svarbiems svečiams. Sutaupytas lėšas skirti sužeistųjų, sergančių ir patiriančių sunkumų KAS sistemos dalyvių paramai.&lt;br&gt;&lt;/p&gt;&lt;p&gt;&lt;br&gt;&lt;/p&gt;&lt;p&gt;KAS sistemos darbuotojų elektroninis raštingumas labai žemo lygio.&lt;/p&gt;&lt;p&gt;Siūlymas&amp;#58; mokyti, įdiegti kuo naujesnes programų versijas.&lt;br&gt;&lt;/p&gt;&lt;p&gt;&lt;br&gt;&lt;/p&gt;&lt;p&gt;&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pasidalinkite_x0020_id_x0117_jom><d:ID m:type="Edm.Int32">64</d:ID><d:Modified m:type="Edm.DateTime">2025-04-15T07:38:39Z</d:Modified><d:Created m:type="Edm.DateTime">2025-04-15T07:38:39Z</d:Created><d:AuthorId m:type="Edm.Int32">0</d:AuthorId><d:EditorId m:type="Edm.Int32">0</d:EditorId><d:OData__UIVersionString>1.0</d:OData__UIVersionString></m:properties></content></entry><entry m:etag="&quot;1&quot;"><id>Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(65)</id><category term="SP.Data.Kaip_x0020_nedaryti_x0020_verts_x0020_nekuriani_x0020_darbListItem" scheme="http://schemas.microsoft.com/ado/2007/08/dataservices/scheme" /><link rel="edit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(65)" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FirstUniqueAncestorSecurableObject" type="application/atom+xml;type=entry" title="FirstUniqueAncestorSecurableObject" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(65)/FirstUniqueAncestorSecurableObject" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/RoleAssignments" type="application/atom+xml;type=feed" title="RoleAssignments" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(65)/RoleAssignments" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/AttachmentFiles" type="application/atom+xml;type=feed" title="AttachmentFiles" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(65)/AttachmentFiles" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ContentType" type="application/atom+xml;type=entry" title="ContentType" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(65)/ContentType" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsHtml" type="application/atom+xml;type=entry" title="FieldValuesAsHtml" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(65)/FieldValuesAsHtml" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsText" type="application/atom+xml;type=entry" title="FieldValuesAsText" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(65)/FieldValuesAsText" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesForEdit" type="application/atom+xml;type=entry" title="FieldValuesForEdit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(65)/FieldValuesForEdit" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/File" type="application/atom+xml;type=entry" title="File" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(65)/File" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/Folder" type="application/atom+xml;type=entry" title="Folder" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(65)/Folder" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ParentList" type="application/atom+xml;type=entry" title="ParentList" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(65)/ParentList" /><title /><updated>2025-04-18T11:17:33Z</updated><author><name /></author><content type="application/xml"><m:properties><d:FileSystemObjectType m:type="Edm.Int32">0</d:FileSystemObjectType><d:Id m:type="Edm.Int32">65</d:Id><d:ContentTypeId>0x00171F379CCADF464EB719C824E7B24FEB</d:ContentTypeId><d:Identifikuokite_x0020_perteklini>&lt;div class="ExternalClass72E5D8F2D8FF4BF796497DCEEF9DEE87"&gt;&lt;p&gt;&lt;strong&gt;​TEMA&amp;#58; &lt;/strong&gt;Priemokų už pavadavimą skyrimas.&lt;br&gt;&lt;/p&gt;&lt;p&gt;&lt;strong&gt;PROBLEMA&amp;#58;&amp;#160;&lt;/strong&gt;&lt;br&gt;&lt;/p&gt;&lt;p&gt;1. Skirtingi tarnybiniai pranešimas PKT ir DS. Tačiau abejos tvarkos (V-111 ir V-624) patvirtintos&amp;#160;KAM įsakymais.&lt;br&gt;&lt;/p&gt;&lt;p&gt;2. Administruojant pavadavimus kardinaliai išaugo administracinė našta Personalo skyriams.&amp;#160;&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Identifikuokite_x0020_perteklini><d:Pateikite_x0020_pasi_x016b_lymus>&lt;div class="ExternalClass011A1CF3567545E8BCC82F86FEA099BD"&gt;&lt;p&gt;​&lt;strong&gt;SIŪLYMAI&amp;#58;&lt;/strong&gt;&lt;br&gt;&lt;/p&gt;&lt;p&gt;&lt;strong&gt;1.&lt;/strong&gt; Leisti DS tarnybinius pranešimus teikti DokVis standartizuotoje formoje, kaip padaryta su PKT karių tarnybiniais pranešimais dėl pavadavimo skyrimo.&lt;br&gt;&lt;/p&gt;&lt;p&gt;&lt;strong&gt;2.&lt;/strong&gt; Įteisinti nuostatą, kad užpildžius tarnybinį parnešimą dėl pavadavimo (PKT, VT, DS&amp;#160;personalui), kuris turi būti suderintas, kaip tai numato KAM tvarkos, o finale dalinio vadui&amp;#160;priėmus sprendimą tenkinti tarnybinį pranešimą, pastarasis DokVis perduodamas vykdančioms&amp;#160;organizacijoms, skyriams (dalinio viduje, bei finansų įstaigai,&amp;#160;pvz. LK FAD). Pakaks išleisti vieną dokumentą vietoje dviejų,&amp;#160;&lt;br&gt;&lt;/p&gt;&lt;p&gt;Tokiu būdų&amp;#160;&amp;#160;sumažinsime&amp;#160;administracinę naštą Personalo skyriams ir galėsime personalistus panaudoti kitoms&amp;#160;personalo adminstravimo funkcijos vykdyti. Kodėl užtekstų tik tarnybinio pranešimo ?, todėl, kad į įsakymo turinį perkeliama visa informacija iš pateikto tarnybinio pranešimo. Kiek žinau tokiai įdėjai prieštarauja finansitai, bet juk tokie būdai jau takomi kasmetinėms atostogos, prašymams dėl poilsio &amp;#160;dienų suteikimo, kur mokamas VDU.&lt;br&gt;&lt;/p&gt;&lt;p&gt;&lt;em&gt;Pateiksiu šiek tiek statistikos&amp;#58; laikotarpyje balandžio 1-15 d. personalo skyrius gavo&amp;#160;50 tarnybinių pranešimų dėl pavadavimo. Ir atkreipiu dėmesį, kad vadovaujantis Asmens duomenų apsaugos nuostatomis kiekvienam žmogui&amp;#160; turi būti rengiamas atskiras įsakymas.&amp;#160;&amp;#160;&lt;/em&gt;&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pateikite_x0020_pasi_x016b_lymus><d:Pasidalinkite_x0020_id_x0117_jom>&lt;div class="ExternalClass481B6B893FAC4BE78D101B3658702AEC"&gt;&lt;p&gt;​Atsižvelgiant į tai, kad per praėjusius 5 metus pasikeitus įstatymams (LR DK ir LR KASOKTĮ), tuo pačių ir KAM tvarkoms,&amp;#160;kardinaliai išaugo dalinio vado įsakymų skaičius susijęs su aukščiau paminėtų įstatymų, tvarkų taikymu. Tuo pačiu metu išaugo ir administracinė našta Personalo skyriams. Dažniausia ta našta ir grynai biurokratinė ir susijusiu su finansais, tai yra priedų/priemokų, išmokų, kompensacijų skyrimu.&amp;#160;&lt;br&gt;&lt;/p&gt;&lt;p&gt;&lt;strong&gt;Siūlymas&amp;#58; &lt;/strong&gt;&lt;em&gt;sukurti ir įteisinti duomenų bazių ar kažkas panašaus sukurimą, kur PKT kariai ir kitas KAS personalas galėtų užpildyti, suderinti pagalo poreikį ir užregistravus perduoti vykdančioms organizacijoms&amp;#160;KAS viduje. Tokiu būdu užtektų vienos adminsitracinės funkcijos vietoje kelių, aš turiu galvoje dalinio vado įsakymo rengimą.&amp;#160;&lt;/em&gt;&lt;br&gt;&lt;/p&gt;&lt;p&gt;Pvz. tokias sistemas turi privatus verslas ir pvz. VU.&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pasidalinkite_x0020_id_x0117_jom><d:ID m:type="Edm.Int32">65</d:ID><d:Modified m:type="Edm.DateTime">2025-04-15T08:29:49Z</d:Modified><d:Created m:type="Edm.DateTime">2025-04-15T08:29:49Z</d:Created><d:AuthorId m:type="Edm.Int32">0</d:AuthorId><d:EditorId m:type="Edm.Int32">0</d:EditorId><d:OData__UIVersionString>1.0</d:OData__UIVersionString></m:properties></content></entry><entry m:etag="&quot;1&quot;"><id>Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(66)</id><category term="SP.Data.Kaip_x0020_nedaryti_x0020_verts_x0020_nekuriani_x0020_darbListItem" scheme="http://schemas.microsoft.com/ado/2007/08/dataservices/scheme" /><link rel="edit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(66)" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FirstUniqueAncestorSecurableObject" type="application/atom+xml;type=entry" title="FirstUniqueAncestorSecurableObject" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(66)/FirstUniqueAncestorSecurableObject" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/RoleAssignments" type="application/atom+xml;type=feed" title="RoleAssignments" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(66)/RoleAssignments" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/AttachmentFiles" type="application/atom+xml;type=feed" title="AttachmentFiles" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(66)/AttachmentFiles" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ContentType" type="application/atom+xml;type=entry" title="ContentType" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(66)/ContentType" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsHtml" type="application/atom+xml;type=entry" title="FieldValuesAsHtml" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(66)/FieldValuesAsHtml" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsText" type="application/atom+xml;type=entry" title="FieldValuesAsText" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(66)/FieldValuesAsText" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesForEdit" type="application/atom+xml;type=entry" title="FieldValuesForEdit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(66)/FieldValuesForEdit" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/File" type="application/atom+xml;type=entry" title="File" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(66)/File" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/Folder" type="application/atom+xml;type=entry" title="Folder" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(66)/Folder" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ParentList" type="application/atom+xml;type=entry" title="ParentList" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(66)/ParentList" /><title /><updated>2025-04-18T11:17:33Z</updated><author><name /></author><content type="application/xml"><m:properties><d:FileSystemObjectType m:type="Edm.Int32">0</d:FileSystemObjectType><d:Id m:type="Edm.Int32">66</d:Id><d:ContentTypeId>0x00171F379CCADF464EB719C824E7B24FEB</d:ContentTypeId><d:Identifikuokite_x0020_perteklini>&lt;div class="ExternalClassBC7D29D681694AA58577CEFEDCE705DF"&gt;&lt;p&gt;​Sąskaitų tvarkymas -&amp;#160;popierines&amp;#160;sąskaitas siunčiame į Kauną, elektronines sąskaitas segame pas save segtuvuose ir taip pat elektronines sąskaitas kaupiame savo PC.&amp;#160;&lt;/p&gt;&lt;p&gt;Specifikacijų ir pirkimo paraiškų&amp;#160;derinimas vyksta per ilgai - Avilyje dokumentas gali išbūti 3 ir daugiau&amp;#160;dienų&amp;#160;nederintas/ neatmestas.&amp;#160;&lt;br&gt;&lt;/p&gt;&lt;p&gt;&lt;br&gt;&lt;/p&gt;&lt;p&gt;&lt;br&gt;&lt;/p&gt;&lt;p&gt;&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Identifikuokite_x0020_perteklini><d:Pateikite_x0020_pasi_x016b_lymus>&lt;div class="ExternalClass2F8585737E644256A5D2E93EFB4506C6"&gt;&lt;p&gt;​Darbuotojus&amp;#160;kviesti ir motyvuoti būti komandos nariais. Ugdyti žmonėse&amp;#160;šeimininkiškumo jausmą savo darbe.&amp;#160;&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pateikite_x0020_pasi_x016b_lymus><d:Pasidalinkite_x0020_id_x0117_jom>&lt;div class="ExternalClass42C825A65753488C8115FCD141E94668"&gt;&lt;p&gt;​Vadovams dalinti darbo krūvius tolygiau. Kolegoms nenusimesti darbus, o padėti vieni kitiems.&lt;/p&gt;&lt;p&gt;Pirkimų skyrius turi labiau&amp;#160;konsultuoti, patarti, o ne stabdyti ir atmetinėti paraiškas ar specifikacijas be komentarų.&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pasidalinkite_x0020_id_x0117_jom><d:ID m:type="Edm.Int32">66</d:ID><d:Modified m:type="Edm.DateTime">2025-04-15T13:00:25Z</d:Modified><d:Created m:type="Edm.DateTime">2025-04-15T13:00:25Z</d:Created><d:AuthorId m:type="Edm.Int32">0</d:AuthorId><d:EditorId m:type="Edm.Int32">0</d:EditorId><d:OData__UIVersionString>1.0</d:OData__UIVersionString></m:properties></content></entry><entry m:etag="&quot;1&quot;"><id>Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(67)</id><category term="SP.Data.Kaip_x0020_nedaryti_x0020_verts_x0020_nekuriani_x0020_darbListItem" scheme="http://schemas.microsoft.com/ado/2007/08/dataservices/scheme" /><link rel="edit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(67)" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FirstUniqueAncestorSecurableObject" type="application/atom+xml;type=entry" title="FirstUniqueAncestorSecurableObject" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(67)/FirstUniqueAncestorSecurableObject" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/RoleAssignments" type="application/atom+xml;type=feed" title="RoleAssignments" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(67)/RoleAssignments" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/AttachmentFiles" type="application/atom+xml;type=feed" title="AttachmentFiles" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(67)/AttachmentFiles" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ContentType" type="application/atom+xml;type=entry" title="ContentType" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(67)/ContentType" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsHtml" type="application/atom+xml;type=entry" title="FieldValuesAsHtml" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(67)/FieldValuesAsHtml" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsText" type="application/atom+xml;type=entry" title="FieldValuesAsText" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(67)/FieldValuesAsText" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesForEdit" type="application/atom+xml;type=entry" title="FieldValuesForEdit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(67)/FieldValuesForEdit" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/File" type="application/atom+xml;type=entry" title="File" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(67)/File" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/Folder" type="application/atom+xml;type=entry" title="Folder" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(67)/Folder" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ParentList" type="application/atom+xml;type=entry" title="ParentList" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(67)/ParentList" /><title /><updated>2025-04-18T11:17:33Z</updated><author><name /></author><content type="application/xml"><m:properties><d:FileSystemObjectType m:type="Edm.Int32">0</d:FileSystemObjectType><d:Id m:type="Edm.Int32">67</d:Id><d:ContentTypeId>0x00171F379CCADF464EB719C824E7B24FEB</d:ContentTypeId><d:Identifikuokite_x0020_perteklini>&lt;div class="ExternalClass4821BBAD07FA46E4A362D4B6232DF035"&gt;&lt;p&gt;​GRA prie KAM daug įrangos perka Lietuvos kariomenei (LK), tačiau sutartys yra sudaromos GRA vardu. Tokiu atveju įsigytą įrangą iš pradžių&amp;#160;pajamuojasi CFTT prie KAM, kaip tarnybų prie KAM&amp;#160;turto valdytoja ir tik po to&amp;#160;jį perduoda Lietuvos kariuomenei (turto valdytojas FAD). Jei turtą galėtų iš karto pajamuotis LK (FAD) be tarpinikų, būtų sutaupoma tiek laiko, tiek žmogiškųjų resursų. Būna atvejų, kai materialiai atsakingas žmogus iš Depų parnybos, būdamas atsakingu tiek už LK turtą, tiek už GRA turtą, turtą&amp;#160;turi perduoti pats sau.&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Identifikuokite_x0020_perteklini><d:Pateikite_x0020_pasi_x016b_lymus m:null="true" /><d:Pasidalinkite_x0020_id_x0117_jom m:null="true" /><d:ID m:type="Edm.Int32">67</d:ID><d:Modified m:type="Edm.DateTime">2025-04-15T13:16:47Z</d:Modified><d:Created m:type="Edm.DateTime">2025-04-15T13:16:47Z</d:Created><d:AuthorId m:type="Edm.Int32">0</d:AuthorId><d:EditorId m:type="Edm.Int32">0</d:EditorId><d:OData__UIVersionString>1.0</d:OData__UIVersionString></m:properties></content></entry><entry m:etag="&quot;1&quot;"><id>Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(68)</id><category term="SP.Data.Kaip_x0020_nedaryti_x0020_verts_x0020_nekuriani_x0020_darbListItem" scheme="http://schemas.microsoft.com/ado/2007/08/dataservices/scheme" /><link rel="edit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(68)" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FirstUniqueAncestorSecurableObject" type="application/atom+xml;type=entry" title="FirstUniqueAncestorSecurableObject" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(68)/FirstUniqueAncestorSecurableObject" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/RoleAssignments" type="application/atom+xml;type=feed" title="RoleAssignments" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(68)/RoleAssignments" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/AttachmentFiles" type="application/atom+xml;type=feed" title="AttachmentFiles" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(68)/AttachmentFiles" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ContentType" type="application/atom+xml;type=entry" title="ContentType" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(68)/ContentType" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsHtml" type="application/atom+xml;type=entry" title="FieldValuesAsHtml" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(68)/FieldValuesAsHtml" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsText" type="application/atom+xml;type=entry" title="FieldValuesAsText" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(68)/FieldValuesAsText" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesForEdit" type="application/atom+xml;type=entry" title="FieldValuesForEdit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(68)/FieldValuesForEdit" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/File" type="application/atom+xml;type=entry" title="File" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(68)/File" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/Folder" type="application/atom+xml;type=entry" title="Folder" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(68)/Folder" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ParentList" type="application/atom+xml;type=entry" title="ParentList" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(68)/ParentList" /><title /><updated>2025-04-18T11:17:33Z</updated><author><name /></author><content type="application/xml"><m:properties><d:FileSystemObjectType m:type="Edm.Int32">0</d:FileSystemObjectType><d:Id m:type="Edm.Int32">68</d:Id><d:ContentTypeId>0x00171F379CCADF464EB719C824E7B24FEB</d:ContentTypeId><d:Identifikuokite_x0020_perteklini>&lt;div class="ExternalClass5338039EE70E4423BE74579F19E734C2"&gt;&lt;p&gt;​1. Sumažinti perteklinį raportąvimą. Pvz. šiuo metu batalionas turi teikti virš 50 skirtingų formų ir turinio raportų&amp;#58;&amp;#160;&lt;br&gt;&lt;/p&gt;&lt;table cellspacing="0" width="100%" class="ms-rteTable-default"&gt;&lt;tbody&gt;&lt;tr&gt;&lt;td class="ms-rteTable-default" style="width&amp;#58;50%;"&gt;Ataskaitos turinys, įsakymo, nurodymo pavadinimas, data ir numeris&lt;/td&gt;&lt;td class="ms-rteTable-default" style="width&amp;#58;50%;"&gt;​&lt;/td&gt;&lt;/tr&gt;&lt;tr&gt;&lt;td class="ms-rteTable-default"&gt;Pranešimas apie vidaus saugumo situaciją (RN tinklu, vadovaujantis SP 2017 m. birželio 5 d. įsakymu Nr. V-206)&lt;/td&gt;&lt;td class="ms-rteTable-default"&gt;​&lt;/td&gt;&lt;/tr&gt;&lt;tr&gt;&lt;td class="ms-rteTable-default"&gt;Saugumo pranešimas (RN)&lt;/td&gt;&lt;td class="ms-rteTable-default"&gt;​&lt;/td&gt;&lt;/tr&gt;&lt;tr&gt;&lt;td class="ms-rteTable-default"&gt;Informacijos teikimas apie korupcijos prevencijos veiksmų plano įgyvendinimo priemonių vykdymą praėjusį pusmetį asmeniui, atsakingam už korupcijos prevenciją ir kontrolę. &lt;/td&gt;&lt;td class="ms-rteTable-default"&gt;​&lt;/td&gt;&lt;/tr&gt;&lt;tr&gt;&lt;td class="ms-rteTable-default"&gt;Metinė veiklos plano vykdymo ataskaita (RN)&lt;/td&gt;&lt;td class="ms-rteTable-default"&gt;​&lt;/td&gt;&lt;/tr&gt;&lt;tr&gt;&lt;td class="ms-rteTable-default"&gt;​&lt;br&gt;&lt;/td&gt;&lt;td class="ms-rteTable-default"&gt;​&lt;/td&gt;&lt;/tr&gt;&lt;tr&gt;&lt;td class="ms-rteTable-default"&gt;​&lt;/td&gt;&lt;td class="ms-rteTable-default"&gt;​&lt;/td&gt;&lt;/tr&gt;&lt;tr&gt;&lt;td class="ms-rteTable-default"&gt;&lt;p style="text-align&amp;#58;left;"&gt;Padalinio KFPT suvestinė &lt;/p&gt;&lt;p style="text-align&amp;#58;left;"&gt;&amp;#160;&lt;/p&gt;&lt;/td&gt;&lt;td class="ms-rteTable-default"&gt;​&lt;/td&gt;&lt;/tr&gt;&lt;tr&gt;&lt;td class="ms-rteTable-default"&gt;Operatyviniai duomenys apie esamas transporto priemones, šarvuotąją, inžinerinę ir spec. techniką (RN) (PB GV 2021-10-21 d. įsakymo Nr.V-419 aktuali redakcija).&lt;/td&gt;&lt;td class="ms-rteTable-default"&gt;​&lt;/td&gt;&lt;/tr&gt;&lt;tr&gt;&lt;td class="ms-rteTable-default"&gt;Artilerijos pabūklų ir minosvaidžių apyvartos ataskaita (RN).&lt;/td&gt;&lt;td class="ms-rteTable-default"&gt;​&lt;/td&gt;&lt;/tr&gt;&lt;tr&gt;&lt;td class="ms-rteTable-default"&gt;Inžinerinės įrangos apyvartos ataskaita (RN).&lt;/td&gt;&lt;td class="ms-rteTable-default"&gt;​&lt;/td&gt;&lt;/tr&gt;&lt;tr&gt;&lt;td class="ms-rteTable-default"&gt;Inžinerinių priemonių apyvartos ataskaita (RN).&lt;/td&gt;&lt;td class="ms-rteTable-default"&gt;​&lt;/td&gt;&lt;/tr&gt;&lt;tr&gt;&lt;td class="ms-rteTable-default"&gt;Artilerijos sviedinių ir minosvaidžių minų apyvartos ataskaita (RN).&lt;/td&gt;&lt;td class="ms-rteTable-default"&gt;​&lt;/td&gt;&lt;/tr&gt;&lt;tr&gt;&lt;td class="ms-rteTable-default"&gt;Optikos prietaisų ataskaita (RN).&lt;/td&gt;&lt;td class="ms-rteTable-default"&gt;​&lt;/td&gt;&lt;/tr&gt;&lt;tr&gt;&lt;td class="ms-rteTable-default"&gt;Duomenų pateikimas valstybiniam ginklų registrui (RN).&lt;/td&gt;&lt;td class="ms-rteTable-default"&gt;​&lt;/td&gt;&lt;/tr&gt;&lt;tr&gt;&lt;td class="ms-rteTable-default"&gt;Šaudmenų, artilerijos pabūklų sviedinių, minosvaidžių minų, inžinerinių priemonių nurašymo aktų kopijos.&lt;/td&gt;&lt;td class="ms-rteTable-default"&gt;​&lt;/td&gt;&lt;/tr&gt;&lt;tr&gt;&lt;td class="ms-rteTable-default"&gt;Inžinerinės įrangos nurašymo aktų kopijos.&lt;/td&gt;&lt;td class="ms-rteTable-default"&gt;​&lt;/td&gt;&lt;/tr&gt;&lt;tr&gt;&lt;td class="ms-rteTable-default"&gt;Šaulių&amp;#160; ginklų apyvartos ataskaita (RN)&lt;/td&gt;&lt;td class="ms-rteTable-default"&gt;​&lt;/td&gt;&lt;/tr&gt;&lt;tr&gt;&lt;td class="ms-rteTable-default"&gt;Šaudmenų, inžinerinių priemonių, artilerijos pabūklų sviedinių ir minosvaidžių minų gavimo (perdavimo) aktų kopijos.&lt;/td&gt;&lt;td class="ms-rteTable-default"&gt;​&lt;/td&gt;&lt;/tr&gt;&lt;tr&gt;&lt;td class="ms-rteTable-default"&gt;Šalmų ir šarvinių liemenių apyvartos ataskaita (RN) (Brigados vado 2019-02-12 įsakymas Nr. V-67).&lt;/td&gt;&lt;td class="ms-rteTable-default"&gt;​&lt;/td&gt;&lt;/tr&gt;&lt;tr&gt;&lt;td class="ms-rteTable-default"&gt;Šalmų ir šarvinių liemenių apyvartos ataskaita (RN)&lt;/td&gt;&lt;td class="ms-rteTable-default"&gt;​&lt;/td&gt;&lt;/tr&gt;&lt;tr&gt;&lt;td class="ms-rteTable-default"&gt;LOGREP raportavimas RN tinkle (SP 2017-01-31 įsakymas Nr. V-50).&lt;/td&gt;&lt;td class="ms-rteTable-default"&gt;​&lt;/td&gt;&lt;/tr&gt;&lt;tr&gt;&lt;td class="ms-rteTable-default"&gt;Sugedusių ginklų lentelė Brigados vado 2017 m. liepos 18 d. įsakymu Nr. V-324 ,,Dėl PB GV vado 2016 m. liepos 1 d. įsakymo Nr. V-330 dėl PB GV šaulių ginklų, granatsvaidžių ir įrangos techninės priežiūros reglamento darbų organizavimas ir vykdymas&amp;#160; tvarkos aprašo patvirtinimo pakeitimo&amp;quot; (žr. aktualią redakciją) 6 PB forma.&lt;/td&gt;&lt;td class="ms-rteTable-default"&gt;​&lt;/td&gt;&lt;/tr&gt;&lt;tr&gt;&lt;td class="ms-rteTable-default"&gt;Sugedusių ginklų lentelė&lt;/td&gt;&lt;td class="ms-rteTable-default"&gt;​&lt;/td&gt;&lt;/tr&gt;&lt;tr&gt;&lt;td class="ms-rteTable-default"&gt;Centralizuotai perkamų naftos produktų materialinė ataskaita (Forma 6 KAM patvirtinta įsak. Nr.V-914).&lt;/td&gt;&lt;td class="ms-rteTable-default"&gt;​&lt;/td&gt;&lt;/tr&gt;&lt;tr&gt;&lt;td class="ms-rteTable-default"&gt;Centralizuotai perkamų naftos produktų materialinė ataskaita (Forma 6 KAM)&lt;/td&gt;&lt;td class="ms-rteTable-default"&gt;​&lt;/td&gt;&lt;/tr&gt;&lt;tr&gt;&lt;td class="ms-rteTable-default"&gt;OSĮL duomenų pateikimas (SP vado 2018-11-14 įsakymas Nr. V-385) (RN).&lt;/td&gt;&lt;td class="ms-rteTable-default"&gt;​&lt;/td&gt;&lt;/tr&gt;&lt;tr&gt;&lt;td class="ms-rteTable-default"&gt;OSĮL duomenų pateikimas (RN)&lt;/td&gt;&lt;td class="ms-rteTable-default"&gt;​&lt;/td&gt;&lt;/tr&gt;&lt;tr&gt;&lt;td class="ms-rteTable-default"&gt;Duomenys apie kasmetinės inventorizacijos metu sutikrintus turimus naktinio matymo prietaisus, stebėjimo įrangą, elektroninius vaizdo stiprintuvus (LK vado 2017-11-30 d. įsakymo Nr. V-1625 (3 priedas).&lt;/td&gt;&lt;td class="ms-rteTable-default"&gt;​&lt;/td&gt;&lt;/tr&gt;&lt;tr&gt;&lt;td class="ms-rteTable-default"&gt;Duomenys apie pasikeitusią turimų naktinio matymo prietaisų, stebėjimo įrangos, elektroninius vaizdo stiprintuvų būklę bei jų kiekius (LK vado 2017-11-30 d. įsakymo Nr. V-1625 (1, 2 priedai).&lt;/td&gt;&lt;td class="ms-rteTable-default"&gt;​&lt;/td&gt;&lt;/tr&gt;&lt;tr&gt;&lt;td class="ms-rteTable-default"&gt;Dėl nereikalingo, nenaudojamo arba netinkamo (negalimo) naudoti krašto apsaugos sistemoje, likviduotą, parduotą aukcione, perduotą panaudos pagrindais laikinai neatlygintinai valdyti, naudoti ir juo disponuoti patikėjimo teise ne krašto apsaugos sistemos institucijoms ir jų padaliniams (SP vado 2012-03-19 įsakymas V-188).&lt;/td&gt;&lt;td class="ms-rteTable-default"&gt;​&lt;/td&gt;&lt;/tr&gt;&lt;tr&gt;&lt;td class="ms-rteTable-default"&gt;Ginkluotės apyvartos ataskaita&lt;/td&gt;&lt;td class="ms-rteTable-default"&gt;​&lt;/td&gt;&lt;/tr&gt;&lt;tr&gt;&lt;td class="ms-rteTable-default"&gt;Viešųjų pirkimų ataskaita už metus&lt;/td&gt;&lt;td class="ms-rteTable-default"&gt;​&lt;/td&gt;&lt;/tr&gt;&lt;tr&gt;&lt;td class="ms-rteTable-default"&gt;Biudžeto asignavimų prognozių dienai pateikimas, bataliono vado 2010 m. lapkričio 24 d. įsakymas Nr. &lt;a href="https&amp;#58;//dokvis/avilys/actDHSDocumentShow?docOid=d6b29a90f3df11df8bf4f0341f59e9d3"&gt;V-641&lt;/a&gt;&lt;/td&gt;&lt;td class="ms-rteTable-default"&gt;​&lt;/td&gt;&lt;/tr&gt;&lt;tr&gt;&lt;td class="ms-rteTable-default"&gt;Biudžeto asignavimų prognozių mėnesiui pateikimas, bataliono vado 2010 m. lapkričio 24 d. įsakymas Nr. &lt;a href="https&amp;#58;//dokvis/avilys/actDHSDocumentShow?docOid=d6b29a90f3df11df8bf4f0341f59e9d3"&gt;V-641&lt;/a&gt;&lt;/td&gt;&lt;td class="ms-rteTable-default"&gt;​&lt;/td&gt;&lt;/tr&gt;&lt;tr&gt;&lt;td class="ms-rteTable-default"&gt;Mokėjimo dokumentų pateikimas, bataliono vado 2010 m. lapkričio 24 d. įsakymas Nr. V-&lt;a href="https&amp;#58;//dokvis/avilys/actDHSDocumentShow?docOid=d6b29a90f3df11df8bf4f0341f59e9d3"&gt;641&lt;/a&gt;&lt;/td&gt;&lt;td class="ms-rteTable-default"&gt;​&lt;/td&gt;&lt;/tr&gt;&lt;tr&gt;&lt;td class="ms-rteTable-default"&gt;&lt;p style="text-align&amp;#58;left;"&gt;Forma Nr. B-5 „Informacija apie krašto apsaugos pareigybių ir darbo užmokesčio vykdymą&amp;quot;&lt;/p&gt;&lt;p style="text-align&amp;#58;left;"&gt;&amp;#160;&lt;/p&gt;&lt;/td&gt;&lt;td class="ms-rteTable-default"&gt;​&lt;/td&gt;&lt;/tr&gt;&lt;tr&gt;&lt;td class="ms-rteTable-default"&gt;Forma Nr. B-6 „Informacija apie krašto apsaugos sistemos išlaidų straipsnio „Darbdavių socialinė parama&amp;quot; vykdymą&amp;quot;&lt;/td&gt;&lt;td class="ms-rteTable-default"&gt;​&lt;/td&gt;&lt;/tr&gt;&lt;tr&gt;&lt;td class="ms-rteTable-default"&gt;&lt;p style="text-align&amp;#58;left;"&gt;Teikti dalyvavimo psichologinės pagalbos teikimo krašto apsaugos sistemoje 2012 – 2015 metų programoje poreikius. &lt;/p&gt;&lt;p style="text-align&amp;#58;left;"&gt;LR KAM 2012-07-27 V-862&lt;/p&gt;&lt;/td&gt;&lt;td class="ms-rteTable-default"&gt;​&lt;/td&gt;&lt;/tr&gt;&lt;tr&gt;&lt;td class="ms-rteTable-default"&gt;&lt;p style="text-align&amp;#58;left;"&gt;Pateikti praėjusių metų dalyvavimo psichologinės pagalbos teikimo programoje ataskaitą &lt;/p&gt;&lt;p style="text-align&amp;#58;left;"&gt;LR KAM 2012-07-27 V-862&lt;/p&gt;&lt;/td&gt;&lt;td class="ms-rteTable-default"&gt;​&lt;/td&gt;&lt;/tr&gt;&lt;tr&gt;&lt;td class="ms-rteTable-default"&gt;Cheminių, biologinių, radiacinių apsaugos priemonių ir įrangos apyvartos ataskaita (LK vado 2017-12-14 įsakymas Nr. &lt;a href="https&amp;#58;//dokvis/avilys/actDHSDocumentShow?docOid=b7bbca67b4b411e7bf20d2dbb775079c"&gt;V-1685&lt;/a&gt;) (RN)&lt;/td&gt;&lt;td class="ms-rteTable-default"&gt;​&lt;/td&gt;&lt;/tr&gt;&lt;tr&gt;&lt;td class="ms-rteTable-default"&gt;Po generalinės inspekcijos inspektavimo, teikti įgyvendinimo priemonių planą tvirtinimui&lt;/td&gt;&lt;td class="ms-rteTable-default"&gt;​&lt;/td&gt;&lt;/tr&gt;&lt;tr&gt;&lt;td class="ms-rteTable-default"&gt;&lt;p style="text-align&amp;#58;left;"&gt;Informacinis pranešimas apie karių dalyvavimą KAS institucijų pasitarimuose, susitikimuose, konferencijose ar seminaruose (išskyrus renginius Sausumos pajėgose)&lt;/p&gt;&lt;p style="text-align&amp;#58;left;"&gt;LK SP vado 2013 m. vasario 14 d. įsakymas Nr. V-82 ,,Dėl informacinių pranešimų teikimo &lt;/p&gt;&lt;p style="text-align&amp;#58;left;"&gt;apie dalyvavimą kas institucijų renginiuose&amp;quot;&amp;#160;&amp;#160; &lt;/p&gt;&lt;p style="text-align&amp;#58;left;"&gt;forma (13 priedas)&lt;/p&gt;&lt;/td&gt;&lt;td class="ms-rteTable-default"&gt;​&lt;/td&gt;&lt;/tr&gt;&lt;tr&gt;&lt;td class="ms-rteTable-default"&gt;Informacinis pranešimas apie prietaisų, kuriuose yra jonizuojančios spinduliuotės šaltinių, inventorizaciją KAM 2021 m. gruodžio 20 d. įsakymas Nr. &lt;a href="https&amp;#58;//dokvis/avilys/actDHSDocumentShow?docOid=4252064019f011ecb20e920a045ef473"&gt;V-985&lt;/a&gt;)&lt;/td&gt;&lt;td class="ms-rteTable-default"&gt;​&lt;/td&gt;&lt;/tr&gt;&lt;tr&gt;&lt;td class="ms-rteTable-default"&gt;Informacinis pranešimas apie pravestus radiacinės saugos instruktavimus personalui, dirbančiam su įranga ir prietaisais, kuriuose yra jonizuojančios spinduliuotės šaltinių (KAM 2021 m. gruodžio 20 d. įsakymas Nr. &lt;a href="https&amp;#58;//dokvis/avilys/actDHSDocumentShow?docOid=4252064019f011ecb20e920a045ef473"&gt;V-985&lt;/a&gt;)&lt;/td&gt;&lt;td class="ms-rteTable-default"&gt;​&lt;/td&gt;&lt;/tr&gt;&lt;tr&gt;&lt;td class="ms-rteTable-default"&gt;Sugedusių transporto priemonių remonto būklės suvestinė (Brigados vado 2021-12-02 įsak. Nr.V-490).&lt;/td&gt;&lt;td class="ms-rteTable-default"&gt;​&lt;/td&gt;&lt;/tr&gt;&lt;tr&gt;&lt;td class="ms-rteTable-default"&gt;Pranešimas apie patikrinimą kariniuose vienetuose, ar darbuotojų darbo vietose (kompiuteriuose) visi įslaptinti dokumentai saugomi laikantys nustatytų reikalavimų (LK vado 2013 m. sausio 25 d. įsk. Nr. V-135, SP 2013 m. kovo 13 d. įsk. Nr. V-142, Brigados vado 2013 m. vasario 1 d. įsk. Nr. V-66)&lt;/td&gt;&lt;td class="ms-rteTable-default"&gt;​&lt;/td&gt;&lt;/tr&gt;&lt;tr&gt;&lt;td class="ms-rteTable-default"&gt;Brigados dalinių elektorinių apsaugos sistemų poreikis sekantiems metams&lt;/td&gt;&lt;td class="ms-rteTable-default"&gt;​&lt;/td&gt;&lt;/tr&gt;&lt;tr&gt;&lt;td class="ms-rteTable-default"&gt;KAM 2020-12-07 Nr. VR-27RN (RN tinklu) Dėl grėsmių, susijusių su KA personalu, prevencijos tvarkos aprašas (ataskaita)&lt;/td&gt;&lt;td class="ms-rteTable-default"&gt;​&lt;/td&gt;&lt;/tr&gt;&lt;tr&gt;&lt;td class="ms-rteTable-default"&gt;Padaliniuose esančių NPPKT karių vakarinio patikrinimo suvestinė&lt;/td&gt;&lt;td class="ms-rteTable-default"&gt;​&lt;/td&gt;&lt;/tr&gt;&lt;tr&gt;&lt;td class="ms-rteTable-default"&gt;Informaciją apie kitą vykdomą veiklą, įvykį ar situaciją (pvz.&amp;#58; trauma, savavališkas pasišalinimas iš dalinio, grįžimas po savavališko pasišalinimo, alkoholinių gėrimų ar psichotropinių medžiagų vartojimas, dingus ryšiui ar elektros energijos tiekimui ir pan.) &lt;/td&gt;&lt;td class="ms-rteTable-default"&gt;​&lt;/td&gt;&lt;/tr&gt;&lt;tr&gt;&lt;td class="ms-rteTable-default"&gt;Duomenys apie NA įvykusius per praėjusius metus&lt;/td&gt;&lt;td class="ms-rteTable-default"&gt;​&lt;/td&gt;&lt;/tr&gt;&lt;tr&gt;&lt;td class="ms-rteTable-default"&gt;Rizikos valdymo priemonių įgyvendinimo planas&lt;/td&gt;&lt;td class="ms-rteTable-default"&gt;​&lt;/td&gt;&lt;/tr&gt;&lt;tr&gt;&lt;td class="ms-rteTable-default"&gt;Rizikos valdymo priemonių įgyvendinimo ataskaita.&lt;/td&gt;&lt;td class="ms-rteTable-default"&gt;​&lt;/td&gt;&lt;/tr&gt;&lt;tr&gt;&lt;td class="ms-rteTable-default"&gt;Paraiškos dėl aprūpinimo materialinėmis vertybėmis, bei gražinimo paraiškos teikiamos eRVIS sistema, vadovaujantis Revis vadovu&lt;/td&gt;&lt;td class="ms-rteTable-default"&gt;​&lt;/td&gt;&lt;/tr&gt;&lt;tr&gt;&lt;td class="ms-rteTable-default"&gt;Planuojamų pratybų pranešimai. Kuopos lygio pratybos ne mažiau kaip 50 karių. Pratybos civilinėje teritorijoje su ginklais nuo skyriaus dydžio. Dalyvavimas jungtinėse pratybose – kai pratybose bendrai dalyvauja ne mažiau kaip 50 karių (iš įvairių dalinių). &lt;em&gt;Pratybos užsienyje iki einamos dienos 20.30 val. kasdien &lt;/em&gt;&lt;/td&gt;&lt;td class="ms-rteTable-default"&gt;​&lt;br&gt;&lt;/td&gt;&lt;/tr&gt;&lt;/tbody&gt;&lt;/table&gt;&lt;p&gt;2. Aprūpinti FAD eRVIS programa. Šiuo metu atsargų nurašymo aktai&amp;#160;spausdinamos iš eRVIS, renkami 6 asmenų fiziniai parašai&amp;#160;ir teikiami dalinio vadui tvirtinti DokVis sistemoje arba popieriniu formatu tam, kad vėliau galėtų būti pateikti FAD. Viską galima būtų daryti eRVIS, jei FAD jį turėtų.&amp;#160;&lt;br&gt;&lt;/p&gt;&lt;p&gt;3. Tas pats vykdoma su ilgalaikio turto įvedimo į eksploataciją&amp;#160;aktais.&amp;#160;&lt;br&gt;&lt;/p&gt;&lt;p&gt;3. &amp;#160;Šiuo metu&amp;#160;visas materialines priemones nurašo dalinio vadas nepriklausomai nuo jos vertės. Taip pačiai, bet kurios vertės materialinei preimonei nurašyti, reikalinga tos pilnos&amp;#160;sudėties komisija. Kartais priemonės, kurios vertė yra vos keli eurai, nurašymui reikia bent 6 asmenų parašų ir dalinio vado patvirtinimo.&amp;#160;&amp;#160;Supaprastinti nurašymų tvarką. Mažoms sumoms sumažinti komisijų sudėtis ir&amp;#160;nustatyti lygius&amp;#160;materilainių preimonių verčių, kurių&amp;#160;nurašymą gali tvirtinti&amp;#160;skirtingų lygių&amp;#160;vadai. Pvz. nuo&amp;#160;1&amp;#160;iki 1000 eur vertės turto nurašymui&amp;#160;komisiją sudaro 1 asmuo ir sandėlininkas, tvirtina&amp;#160;kuopos vado pavaduotojas, nuo 1000&amp;#160;iki 5000 vertės truto nurašymui&amp;#160;komisiją sudaro 2 asmenys, o tvirtina&amp;#160;kuopos vadas, ir t.t.&lt;br&gt;&lt;/p&gt;&lt;p&gt;4. Dėl FAD reikalingi&amp;#160;papildomi personalo įsakymų rengimai. pvz. jei karys kursus vedančios įstaigos vado įsakymu pašalinamas iš kursų (dėl ligos ar nepažangumo), batalionas dar turi parengti vidinį įsakymą atšaukiant karį iš kurso, iš kurio karys buvo pašalintas ir pateikti įsakymą FAD. To būtų galima išvengti, jei kursą vykdanti įstaiga įsakymą teiktų ir FAD.&amp;#160;&lt;br&gt;&lt;/p&gt;&lt;p&gt;&lt;br&gt;&lt;/p&gt;&lt;p&gt;&lt;br&gt;&lt;/p&gt;&lt;p&gt;&lt;br&gt;&lt;/p&gt;&lt;p&gt;&lt;br&gt;&lt;/p&gt;&lt;p&gt;&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Identifikuokite_x0020_perteklini><d:Pateikite_x0020_pasi_x016b_lymus>&lt;div class="ExternalClass5AC87F4A2C8A426F8E80F2DA92E21DD1"&gt;&lt;p&gt;​1. SPMC kursų aprūpinimas skiriamas iš vienetų, nes SPMC pats priemonių neturi. SPMC aprūpinimui kas mėnesį sudaromas aprūpinimo planas, į kurį įtraukiama po truputį personalo ir priemonių iš visų vienetų. To pasekoje, visi vienetai turi rengti savo vidinius įsakymus dėl personalo ir priemonių skyrimo. Tai reiškia, kad vieno kurso aprūpinimui bus parengtos dešimtys įsakymų, kuriuos derins šimtai asmenų. Dauguma&amp;#160;šių&amp;#160;įsakymų, beveik be išimčių, išleidžiami jau prasidėjus kursams, o tai reiškia, vėluoja.&amp;#160;&lt;br&gt;&lt;/p&gt;&lt;p&gt;2. Nediversifikuoti NPPKTK ir PKT karių specialistų rengimo ir leisti maksimaliai sepcialistus rengti patiems vienetams.&amp;#160;Šiuo metu LKV įsakymai nustato, kad NPPKTK karius tam tikroms specialybėms&amp;#160; gali rengti daliniai, o PKT karius toms pačioms specialybėms gali rengti tik SPMC. Pavyzdys M113 vairuotojo kursas, kurio atlikimą reglamentuoja LKV įsakymas DĖL LIETUVOS KARIUOMENĖS VADO 2018 M. VASARIO 14 D. ĮSAKYMO NR. V-267 „DĖL ŠARVUOČIO VAIRUOTOJO KURSO MOKYMO PROGRAMOS TVIRTINIMO“ PAKEITIMO. Tas pats pasakytina ir apie daugelį kitų kursų.&lt;br&gt;&lt;/p&gt;&lt;p&gt;3. Lietuvos kariuomenė neturi savo SVP. Dėl to viskas reglamentuojama&amp;#160;pavieniais&amp;#160;įsakymais ir tvarkomis, kurios viena kitai prieštarauja ir&amp;#160;kurių tobulinimas yra chaotiškas.&amp;#160;Reikalinga turėti vieningą sąvadą tvarkų, kurios galėtų būti reguliariai atnaujinamos kaip tai daroma kariniuose daliniuose iki brigados lygio.&lt;br&gt;&lt;/p&gt;&lt;p&gt;&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pateikite_x0020_pasi_x016b_lymus><d:Pasidalinkite_x0020_id_x0117_jom>&lt;div class="ExternalClassB1358242D71C4D0488F0F91AA52CF3F0"&gt;&lt;p&gt;​1. DokVis sistema sunkiai vykdo dokumentų paiešką. Reikalinga tobulinti paieškos funkcionalumą.&lt;br&gt;&lt;/p&gt;&lt;p&gt;2. DokVis labai&amp;#160;prastai atlieka skirtų užduočių atlikimo kontrolės funkciją, nes ta funkcija yra &amp;quot;not user friendly&amp;quot;.&amp;#160;&lt;br&gt;&lt;/p&gt;&lt;p&gt;3. DokVis &amp;quot;Information management&amp;quot; yra skirtingai naudojamas. Dėl to dalis įsakymų, kurie reikalingi vykdymui, skiriami Susipažinimui. Kai kas, kas skirta susipažinimui, skiriama vykdymui. Reikalingas&amp;#160;&amp;quot;Information management&amp;quot; sistemos&amp;#160;tobulinimas LK mastu.&amp;#160;&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pasidalinkite_x0020_id_x0117_jom><d:ID m:type="Edm.Int32">68</d:ID><d:Modified m:type="Edm.DateTime">2025-04-15T15:48:54Z</d:Modified><d:Created m:type="Edm.DateTime">2025-04-15T15:48:54Z</d:Created><d:AuthorId m:type="Edm.Int32">0</d:AuthorId><d:EditorId m:type="Edm.Int32">0</d:EditorId><d:OData__UIVersionString>1.0</d:OData__UIVersionString></m:properties></content></entry><entry m:etag="&quot;1&quot;"><id>Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(69)</id><category term="SP.Data.Kaip_x0020_nedaryti_x0020_verts_x0020_nekuriani_x0020_darbListItem" scheme="http://schemas.microsoft.com/ado/2007/08/dataservices/scheme" /><link rel="edit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(69)" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FirstUniqueAncestorSecurableObject" type="application/atom+xml;type=entry" title="FirstUniqueAncestorSecurableObject" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(69)/FirstUniqueAncestorSecurableObject" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/RoleAssignments" type="application/atom+xml;type=feed" title="RoleAssignments" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(69)/RoleAssignments" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/AttachmentFiles" type="application/atom+xml;type=feed" title="AttachmentFiles" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(69)/AttachmentFiles" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ContentType" type="application/atom+xml;type=entry" title="ContentType" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(69)/ContentType" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsHtml" type="application/atom+xml;type=entry" title="FieldValuesAsHtml" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(69)/FieldValuesAsHtml" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsText" type="application/atom+xml;type=entry" title="FieldValuesAsText" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(69)/FieldValuesAsText" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesForEdit" type="application/atom+xml;type=entry" title="FieldValuesForEdit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(69)/FieldValuesForEdit" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/File" type="application/atom+xml;type=entry" title="File" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(69)/File" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/Folder" type="application/atom+xml;type=entry" title="Folder" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(69)/Folder" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ParentList" type="application/atom+xml;type=entry" title="ParentList" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(69)/ParentList" /><title /><updated>2025-04-18T11:17:33Z</updated><author><name /></author><content type="application/xml"><m:properties><d:FileSystemObjectType m:type="Edm.Int32">0</d:FileSystemObjectType><d:Id m:type="Edm.Int32">69</d:Id><d:ContentTypeId>0x00171F379CCADF464EB719C824E7B24FEB</d:ContentTypeId><d:Identifikuokite_x0020_perteklini>&lt;div class="ExternalClass68B27BA7ACBD47B49BD18919A0EDB1F3"&gt;&lt;p&gt;​Siūlyčiau standartizuoti tvarką dėl informavimo pakeitus dokumentus. Susiduriame su situacijomis, kad kažkas kažkur nusprendė pakeisti buvusio dokumento formą ar turinį ar tipą, ir darbuotojai apie tai kad dokumentas jau pasenęs sužino tik parengę ir&amp;#160;avilyje pradėję derinti dokumentą, kol raštinėje atmeta, nes neva pasenusi dokumento forma. O gal galima standartizuoti, kad pasikeitus dokumentams, visi gauna laišką, kad seno dokumento nebenaudojam (Pvz Įgaliojimo forma), naudojam naują ir nebedarom dviejų dokumentų vienas paskui kitą,&amp;#160;kol pataikysim, kuris tiks.&amp;#160;&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Identifikuokite_x0020_perteklini><d:Pateikite_x0020_pasi_x016b_lymus m:null="true" /><d:Pasidalinkite_x0020_id_x0117_jom>&lt;div class="ExternalClass8B07113CC19745329853C50EB8D2ECEC"&gt;&lt;p&gt;Siūlyčiau parengti naujokų integravimo tvarką ar tai procesą, kur būtų paskirtas atsakingas asmuo už naujų darbuotojų integravimą. Nes dabar labai dažna situacija, kad priima naują žmogų, parodo kabinetą ir palinki sekmės viską išsiaiškinti eigoje. Bet tas išsiaiškinimas gula ant kolegų pečių, ne pagalbos, bet mokymo forma. Pagal pareiginius nuostatus dažnu atveju mes neturime pareigos apmokyti kolegą naudotis DocVis alivio sistema ir paaiškinti kodėl, kaip&amp;#160;ir kokie dokumentai avilyje yra administruojami. Padėti kolegoms pasiruoše visada, bet šį procesą reikėtų optimizuoti, juo labiau jei priimama nauji žmonės ne po vieną.&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pasidalinkite_x0020_id_x0117_jom><d:ID m:type="Edm.Int32">69</d:ID><d:Modified m:type="Edm.DateTime">2025-04-16T05:11:38Z</d:Modified><d:Created m:type="Edm.DateTime">2025-04-16T05:11:38Z</d:Created><d:AuthorId m:type="Edm.Int32">0</d:AuthorId><d:EditorId m:type="Edm.Int32">0</d:EditorId><d:OData__UIVersionString>1.0</d:OData__UIVersionString></m:properties></content></entry><entry m:etag="&quot;1&quot;"><id>Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(70)</id><category term="SP.Data.Kaip_x0020_nedaryti_x0020_verts_x0020_nekuriani_x0020_darbListItem" scheme="http://schemas.microsoft.com/ado/2007/08/dataservices/scheme" /><link rel="edit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(70)" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FirstUniqueAncestorSecurableObject" type="application/atom+xml;type=entry" title="FirstUniqueAncestorSecurableObject" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(70)/FirstUniqueAncestorSecurableObject" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/RoleAssignments" type="application/atom+xml;type=feed" title="RoleAssignments" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(70)/RoleAssignments" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/AttachmentFiles" type="application/atom+xml;type=feed" title="AttachmentFiles" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(70)/AttachmentFiles" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ContentType" type="application/atom+xml;type=entry" title="ContentType" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(70)/ContentType" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsHtml" type="application/atom+xml;type=entry" title="FieldValuesAsHtml" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(70)/FieldValuesAsHtml" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsText" type="application/atom+xml;type=entry" title="FieldValuesAsText" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(70)/FieldValuesAsText" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesForEdit" type="application/atom+xml;type=entry" title="FieldValuesForEdit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(70)/FieldValuesForEdit" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/File" type="application/atom+xml;type=entry" title="File" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(70)/File" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/Folder" type="application/atom+xml;type=entry" title="Folder" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(70)/Folder" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ParentList" type="application/atom+xml;type=entry" title="ParentList" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(70)/ParentList" /><title /><updated>2025-04-18T11:17:33Z</updated><author><name /></author><content type="application/xml"><m:properties><d:FileSystemObjectType m:type="Edm.Int32">0</d:FileSystemObjectType><d:Id m:type="Edm.Int32">70</d:Id><d:ContentTypeId>0x00171F379CCADF464EB719C824E7B24FEB</d:ContentTypeId><d:Identifikuokite_x0020_perteklini>&lt;div class="ExternalClass2F2F0E362916469D9D8817893E9C6383"&gt;&lt;p&gt;​Įvairiausių lentelių, ataskaitų (ginkluotės, technikos, remonto darbų ir pan.) teikimas, tas atima ypatingai didelę dalį laiko, o iš to kažkokių pokyčių, prasmės ar pridėtinės vertės nėra, nes tą pačia informaciją galima rasti ir eRVIS sistemoje, dėl to perkopijavimas ar perrašymas neturi prasmės.&lt;br&gt;&lt;/p&gt;&lt;p&gt;FinVIS planavimas, dėl transporto priemonių kurų, tepalų ar kitų spec. skysčių yra absoliučiai perteklinė sistema, kuri nekuria jokio bendro pridėtinės vertės rezultato, dėl to turtų būti atsisakoma tokių dalykų batalionų viduje, nes batalionai turi treniruotis ir mokytis karo meno, o ne sėdėti po savaitę prie lentelių ir programų, kurios nieko neduoda.&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Identifikuokite_x0020_perteklini><d:Pateikite_x0020_pasi_x016b_lymus>&lt;div class="ExternalClass1267EA017AB54AB9BFF0084BF0F71B25"&gt;&lt;p&gt;​-&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pateikite_x0020_pasi_x016b_lymus><d:Pasidalinkite_x0020_id_x0117_jom>&lt;div class="ExternalClass6A6FEC4927D149D483BCFF5774147A74"&gt;&lt;p&gt;​Kariuomenėje yra milžiniška&amp;#160;biurokratijos perkrova, daugybė KAM ministro, kariuomenės vado, brigados vado, bataliono vado įsakymų ir tvarkų, kurių daugelio niekas net nežino, tačiau turi vadovautis pildydami vieną arba kitą lentelę, turėtų būti supaprastinamas darbas batalionams, o ne apkrovimas viskuo kuo įmanoma, kariai turi mokytis, kaip kariauti, kaip išsikasti apkasą, kuris neleistų priešo dronams lengvai jo sunaikinti ar kokiam ruzzkiui į jį lengvai įlysti, o ne pildyti lenteles, finVIS sistemas ar dar kažkokius lapus, kurie neturi jokio rezultato. Visi šie pildymai ir pan. turi būti paliekami&amp;#160; aukštesniems štabams (brigados, sausumų pajėgų, gynybos), o ne batalionams, kurie ir taip turi daug visko daryti.&amp;#160;&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pasidalinkite_x0020_id_x0117_jom><d:ID m:type="Edm.Int32">70</d:ID><d:Modified m:type="Edm.DateTime">2025-04-16T05:16:21Z</d:Modified><d:Created m:type="Edm.DateTime">2025-04-16T05:16:21Z</d:Created><d:AuthorId m:type="Edm.Int32">0</d:AuthorId><d:EditorId m:type="Edm.Int32">0</d:EditorId><d:OData__UIVersionString>1.0</d:OData__UIVersionString></m:properties></content></entry><entry m:etag="&quot;1&quot;"><id>Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(71)</id><category term="SP.Data.Kaip_x0020_nedaryti_x0020_verts_x0020_nekuriani_x0020_darbListItem" scheme="http://schemas.microsoft.com/ado/2007/08/dataservices/scheme" /><link rel="edit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(71)" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FirstUniqueAncestorSecurableObject" type="application/atom+xml;type=entry" title="FirstUniqueAncestorSecurableObject" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(71)/FirstUniqueAncestorSecurableObject" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/RoleAssignments" type="application/atom+xml;type=feed" title="RoleAssignments" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(71)/RoleAssignments" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/AttachmentFiles" type="application/atom+xml;type=feed" title="AttachmentFiles" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(71)/AttachmentFiles" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ContentType" type="application/atom+xml;type=entry" title="ContentType" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(71)/ContentType" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsHtml" type="application/atom+xml;type=entry" title="FieldValuesAsHtml" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(71)/FieldValuesAsHtml" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsText" type="application/atom+xml;type=entry" title="FieldValuesAsText" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(71)/FieldValuesAsText" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesForEdit" type="application/atom+xml;type=entry" title="FieldValuesForEdit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(71)/FieldValuesForEdit" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/File" type="application/atom+xml;type=entry" title="File" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(71)/File" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/Folder" type="application/atom+xml;type=entry" title="Folder" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(71)/Folder" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ParentList" type="application/atom+xml;type=entry" title="ParentList" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(71)/ParentList" /><title /><updated>2025-04-18T11:17:33Z</updated><author><name /></author><content type="application/xml"><m:properties><d:FileSystemObjectType m:type="Edm.Int32">0</d:FileSystemObjectType><d:Id m:type="Edm.Int32">71</d:Id><d:ContentTypeId>0x00171F379CCADF464EB719C824E7B24FEB</d:ContentTypeId><d:Identifikuokite_x0020_perteklini>&lt;div class="ExternalClassD50C1C53716045829E57BB4742AF3A16"&gt;&lt;p&gt;​&lt;/p&gt;&lt;ol&gt;&lt;li&gt;Plačiau naudotis FinMin ir VMI įrankiu SABIS, kuris leidžia valdyti sąskaitas-faktūras (SF) gaunat iš Tiekėjų, jas susiejant su pirkimo sutartimis (rašytinėmis ir žodinėmis). SABIS jau nuo 2024 liepos mėnėsio leidžia susikurti sąskaitų administravimo vidinius karinio vieneto lygiu &amp;#160;procesus (SF priėmimas, vertinimas, tikrinimas ir apmokėjimas). Tačiau visą procesą susikūrus karinio vieneto viduje toliau – apmokėjimo etape nėra kam jo nukreipti – FAD (kol kas ir šiai dienai nedirba) reikalauja atspausdinti surinkti parašus ir tik tada pateikti apmokėjimui. SABIS leidžia ne tik susikurti IŠBAIGTUS SF administravimo procesus, bet atlieka ir SF archyvavimą, turi sąsajų su kitomis IS, duomenų apsikeitimą. Tai lengvai gali mėtų pritaikyti ir susiejant, apsikeičiant duomenimis su eRVIS po SF apmokėjimo pajamavimo procese papildant logistams reikalinga informacija pajamavimo metu &amp;#160;&amp;#160;&lt;br&gt;&lt;/li&gt;&lt;/ol&gt;&lt;p&gt;&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Identifikuokite_x0020_perteklini><d:Pateikite_x0020_pasi_x016b_lymus m:null="true" /><d:Pasidalinkite_x0020_id_x0117_jom m:null="true" /><d:ID m:type="Edm.Int32">71</d:ID><d:Modified m:type="Edm.DateTime">2025-04-16T06:05:45Z</d:Modified><d:Created m:type="Edm.DateTime">2025-04-16T06:05:45Z</d:Created><d:AuthorId m:type="Edm.Int32">0</d:AuthorId><d:EditorId m:type="Edm.Int32">0</d:EditorId><d:OData__UIVersionString>1.0</d:OData__UIVersionString></m:properties></content></entry><entry m:etag="&quot;1&quot;"><id>Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(72)</id><category term="SP.Data.Kaip_x0020_nedaryti_x0020_verts_x0020_nekuriani_x0020_darbListItem" scheme="http://schemas.microsoft.com/ado/2007/08/dataservices/scheme" /><link rel="edit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(72)" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FirstUniqueAncestorSecurableObject" type="application/atom+xml;type=entry" title="FirstUniqueAncestorSecurableObject" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(72)/FirstUniqueAncestorSecurableObject" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/RoleAssignments" type="application/atom+xml;type=feed" title="RoleAssignments" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(72)/RoleAssignments" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/AttachmentFiles" type="application/atom+xml;type=feed" title="AttachmentFiles" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(72)/AttachmentFiles" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ContentType" type="application/atom+xml;type=entry" title="ContentType" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(72)/ContentType" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsHtml" type="application/atom+xml;type=entry" title="FieldValuesAsHtml" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(72)/FieldValuesAsHtml" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsText" type="application/atom+xml;type=entry" title="FieldValuesAsText" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(72)/FieldValuesAsText" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesForEdit" type="application/atom+xml;type=entry" title="FieldValuesForEdit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(72)/FieldValuesForEdit" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/File" type="application/atom+xml;type=entry" title="File" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(72)/File" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/Folder" type="application/atom+xml;type=entry" title="Folder" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(72)/Folder" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ParentList" type="application/atom+xml;type=entry" title="ParentList" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(72)/ParentList" /><title /><updated>2025-04-18T11:17:33Z</updated><author><name /></author><content type="application/xml"><m:properties><d:FileSystemObjectType m:type="Edm.Int32">0</d:FileSystemObjectType><d:Id m:type="Edm.Int32">72</d:Id><d:ContentTypeId>0x00171F379CCADF464EB719C824E7B24FEB</d:ContentTypeId><d:Identifikuokite_x0020_perteklini>&lt;div class="ExternalClass4AE87FEBC1D242D7BD9FC90CD238370A"&gt;&lt;p&gt;&lt;span lang="LT" style="font-size&amp;#58;12pt;line-height&amp;#58;115%;font-family&amp;#58;&amp;quot;times new roman&amp;quot;, serif;"&gt;KA ministro 2021-12-20 įsakymu Nr. V-982 reglamentuota, kad skiriant&amp;#160;profesinės karo tarnybos karininkus&amp;#160;į pulkininko leitenanto (komandoro) ir aukštesnį
-
-    laipsnį atitinkančias vadovaujančias pareigas būtina pateikti prašymą Specialiųjų tyrimų tarnybai dėl informacijos apie asmenį pateikimo. Visiems karininkams reikalaumas slaptumo leidimas &amp;quot;SLAPTAI&amp;quot;, todėl jie yra tikrinami AOTD. Administracinius pažeidimus personalistai mato PERVIS duomenų bazėje, todėl kreipimasis į STT atrodo perteklinis.&lt;/span&gt;&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Identifikuokite_x0020_perteklini><d:Pateikite_x0020_pasi_x016b_lymus>&lt;div class="ExternalClass179B036D4D0743BCA0AE653E663C57D7"&gt;&lt;p&gt;​Siūlytume peržiūrėti&amp;#160;Priemokų už pavadavimą skyrimo profesinės karo tarnybos kariams tvarkos&amp;#160;aprašą (KA ministro 2024-02-07 įsakymas&amp;#160;Nr. V-111) ir efektyviau reglamentuoti priemokų skyrimą kariams. Užtektų derinimo procedūros ir vadovo sprendimo Avilyje atsisakant&amp;#160;priemokų įsakymų rengimo, nes tai&amp;#160;ženkliai padidino&amp;#160;krūvį&amp;#160;personalistams.&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pateikite_x0020_pasi_x016b_lymus><d:Pasidalinkite_x0020_id_x0117_jom m:null="true" /><d:ID m:type="Edm.Int32">72</d:ID><d:Modified m:type="Edm.DateTime">2025-04-16T12:23:16Z</d:Modified><d:Created m:type="Edm.DateTime">2025-04-16T12:23:16Z</d:Created><d:AuthorId m:type="Edm.Int32">0</d:AuthorId><d:EditorId m:type="Edm.Int32">0</d:EditorId><d:OData__UIVersionString>1.0</d:OData__UIVersionString></m:properties></content></entry><entry m:etag="&quot;1&quot;"><id>Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(73)</id><category term="SP.Data.Kaip_x0020_nedaryti_x0020_verts_x0020_nekuriani_x0020_darbListItem" scheme="http://schemas.microsoft.com/ado/2007/08/dataservices/scheme" /><link rel="edit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(73)" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FirstUniqueAncestorSecurableObject" type="application/atom+xml;type=entry" title="FirstUniqueAncestorSecurableObject" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(73)/FirstUniqueAncestorSecurableObject" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/RoleAssignments" type="application/atom+xml;type=feed" title="RoleAssignments" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(73)/RoleAssignments" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/AttachmentFiles" type="application/atom+xml;type=feed" title="AttachmentFiles" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(73)/AttachmentFiles" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ContentType" type="application/atom+xml;type=entry" title="ContentType" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(73)/ContentType" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsHtml" type="application/atom+xml;type=entry" title="FieldValuesAsHtml" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(73)/FieldValuesAsHtml" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsText" type="application/atom+xml;type=entry" title="FieldValuesAsText" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(73)/FieldValuesAsText" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesForEdit" type="application/atom+xml;type=entry" title="FieldValuesForEdit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(73)/FieldValuesForEdit" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/File" type="application/atom+xml;type=entry" title="File" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(73)/File" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/Folder" type="application/atom+xml;type=entry" title="Folder" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(73)/Folder" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ParentList" type="application/atom+xml;type=entry" title="ParentList" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(73)/ParentList" /><title /><updated>2025-04-18T11:17:33Z</updated><author><name /></author><content type="application/xml"><m:properties><d:FileSystemObjectType m:type="Edm.Int32">0</d:FileSystemObjectType><d:Id m:type="Edm.Int32">73</d:Id><d:ContentTypeId>0x00171F379CCADF464EB719C824E7B24FEB</d:ContentTypeId><d:Identifikuokite_x0020_perteklini m:null="true" /><d:Pateikite_x0020_pasi_x016b_lymus>&lt;div class="ExternalClassE2916DF08873461B91576C35E104CAA2"&gt;&lt;p&gt;​​Siūlytume profesinės karo&amp;#160;tarnybos karių vertinimą perkelti į elektroninę erdvę, taip būtų lengviau kontroliuojami procesai.&amp;#160;&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pateikite_x0020_pasi_x016b_lymus><d:Pasidalinkite_x0020_id_x0117_jom m:null="true" /><d:ID m:type="Edm.Int32">73</d:ID><d:Modified m:type="Edm.DateTime">2025-04-16T12:58:31Z</d:Modified><d:Created m:type="Edm.DateTime">2025-04-16T12:58:31Z</d:Created><d:AuthorId m:type="Edm.Int32">0</d:AuthorId><d:EditorId m:type="Edm.Int32">0</d:EditorId><d:OData__UIVersionString>1.0</d:OData__UIVersionString></m:properties></content></entry><entry m:etag="&quot;1&quot;"><id>Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(74)</id><category term="SP.Data.Kaip_x0020_nedaryti_x0020_verts_x0020_nekuriani_x0020_darbListItem" scheme="http://schemas.microsoft.com/ado/2007/08/dataservices/scheme" /><link rel="edit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(74)" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FirstUniqueAncestorSecurableObject" type="application/atom+xml;type=entry" title="FirstUniqueAncestorSecurableObject" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(74)/FirstUniqueAncestorSecurableObject" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/RoleAssignments" type="application/atom+xml;type=feed" title="RoleAssignments" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(74)/RoleAssignments" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/AttachmentFiles" type="application/atom+xml;type=feed" title="AttachmentFiles" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(74)/AttachmentFiles" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ContentType" type="application/atom+xml;type=entry" title="ContentType" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(74)/ContentType" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsHtml" type="application/atom+xml;type=entry" title="FieldValuesAsHtml" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(74)/FieldValuesAsHtml" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsText" type="application/atom+xml;type=entry" title="FieldValuesAsText" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(74)/FieldValuesAsText" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesForEdit" type="application/atom+xml;type=entry" title="FieldValuesForEdit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(74)/FieldValuesForEdit" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/File" type="application/atom+xml;type=entry" title="File" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(74)/File" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/Folder" type="application/atom+xml;type=entry" title="Folder" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(74)/Folder" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ParentList" type="application/atom+xml;type=entry" title="ParentList" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(74)/ParentList" /><title /><updated>2025-04-18T11:17:33Z</updated><author><name /></author><content type="application/xml"><m:properties><d:FileSystemObjectType m:type="Edm.Int32">0</d:FileSystemObjectType><d:Id m:type="Edm.Int32">74</d:Id><d:ContentTypeId>0x00171F379CCADF464EB719C824E7B24FEB</d:ContentTypeId><d:Identifikuokite_x0020_perteklini m:null="true" /><d:Pateikite_x0020_pasi_x016b_lymus>&lt;div class="ExternalClassFC2100FDDC4C4D55A1CC43A4DD1C14AA"&gt;&lt;p&gt;​Siūlytume sudaryti galimybę skelbti internete informaciją apie&amp;#160;laisvas&amp;#160;puskarininkių pareigybes - tai palengvintų personalo atranką, skatintų vadovų konkurenciją ir tobulėjimą.&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pateikite_x0020_pasi_x016b_lymus><d:Pasidalinkite_x0020_id_x0117_jom m:null="true" /><d:ID m:type="Edm.Int32">74</d:ID><d:Modified m:type="Edm.DateTime">2025-04-16T13:03:50Z</d:Modified><d:Created m:type="Edm.DateTime">2025-04-16T13:03:50Z</d:Created><d:AuthorId m:type="Edm.Int32">0</d:AuthorId><d:EditorId m:type="Edm.Int32">0</d:EditorId><d:OData__UIVersionString>1.0</d:OData__UIVersionString></m:properties></content></entry><entry m:etag="&quot;1&quot;"><id>Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(75)</id><category term="SP.Data.Kaip_x0020_nedaryti_x0020_verts_x0020_nekuriani_x0020_darbListItem" scheme="http://schemas.microsoft.com/ado/2007/08/dataservices/scheme" /><link rel="edit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(75)" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FirstUniqueAncestorSecurableObject" type="application/atom+xml;type=entry" title="FirstUniqueAncestorSecurableObject" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(75)/FirstUniqueAncestorSecurableObject" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/RoleAssignments" type="application/atom+xml;type=feed" title="RoleAssignments" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(75)/RoleAssignments" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/AttachmentFiles" type="application/atom+xml;type=feed" title="AttachmentFiles" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(75)/AttachmentFiles" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ContentType" type="application/atom+xml;type=entry" title="ContentType" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(75)/ContentType" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsHtml" type="application/atom+xml;type=entry" title="FieldValuesAsHtml" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(75)/FieldValuesAsHtml" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsText" type="application/atom+xml;type=entry" title="FieldValuesAsText" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(75)/FieldValuesAsText" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesForEdit" type="application/atom+xml;type=entry" title="FieldValuesForEdit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(75)/FieldValuesForEdit" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/File" type="application/atom+xml;type=entry" title="File" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(75)/File" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/Folder" type="application/atom+xml;type=entry" title="Folder" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(75)/Folder" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ParentList" type="application/atom+xml;type=entry" title="ParentList" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(75)/ParentList" /><title /><updated>2025-04-18T11:17:33Z</updated><author><name /></author><content type="application/xml"><m:properties><d:FileSystemObjectType m:type="Edm.Int32">0</d:FileSystemObjectType><d:Id m:type="Edm.Int32">75</d:Id><d:ContentTypeId>0x00171F379CCADF464EB719C824E7B24FEB</d:ContentTypeId><d:Identifikuokite_x0020_perteklini>&lt;div class="ExternalClassA1E71790BB9C445B9A9D630D0F11BAA1"&gt;&lt;p&gt;​1)&amp;#160;Koviniuose daliniuose - karinio rengimo žurnalai. Visa reikalinga informacija dėl karių dalyvavimo užsiėmimuose ir pratybose atsispindi savaitiniuose tvarkaraščiuose, pratybų dalyvių sąrašuose ir ligonių registravimo knygose. Tai yra gerokai perteklinis dokumentas, kuris šiuo metu yra aktualus tik S3/G3 vien tik dėl tikrinimo, bet iš esančios informacijos nėra vedamos jokios apskaitos. KR žurnalo pildymas neturint būrio ryšininko ,,sudegina&amp;quot; apie 1-2h laiko per savaitę.&amp;#160;&lt;br&gt;&lt;/p&gt;&lt;p&gt;2) LP/KŠP dokumentacijos rengimas - batalionuose būrių ir kuopų vadams tenka gan ilgai užtrukti su pratybų paraiškomis ir pagrindine dokumentacija, kurios didžioji dalis yra šabloniška, pasikartojanti ir patys S3 specialistai turi tikrinti daug dokumentacijos, kuri nėra aktuali vykdant pačias pratybas, o tik dėl tarnybinio patikrinimo įvykus incidentui.&amp;#160;&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Identifikuokite_x0020_perteklini><d:Pateikite_x0020_pasi_x016b_lymus>&lt;div class="ExternalClass59E96438BCB54684A90C0073A9C78A47"&gt;&lt;p&gt;​Padaryti NPPKT karius materialiai atsakingus.&amp;#160;&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pateikite_x0020_pasi_x016b_lymus><d:Pasidalinkite_x0020_id_x0117_jom>&lt;div class="ExternalClassB9CA13A100EC4B16979209722C6360EC"&gt;&lt;p&gt;​@vilio optimizavimas, paliekant kuo mažiau prašymų, kuriems reiktų word failo.&amp;#160;&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pasidalinkite_x0020_id_x0117_jom><d:ID m:type="Edm.Int32">75</d:ID><d:Modified m:type="Edm.DateTime">2025-04-16T13:08:53Z</d:Modified><d:Created m:type="Edm.DateTime">2025-04-16T13:08:53Z</d:Created><d:AuthorId m:type="Edm.Int32">0</d:AuthorId><d:EditorId m:type="Edm.Int32">0</d:EditorId><d:OData__UIVersionString>1.0</d:OData__UIVersionString></m:properties></content></entry><entry m:etag="&quot;1&quot;"><id>Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(76)</id><category term="SP.Data.Kaip_x0020_nedaryti_x0020_verts_x0020_nekuriani_x0020_darbListItem" scheme="http://schemas.microsoft.com/ado/2007/08/dataservices/scheme" /><link rel="edit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(76)" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FirstUniqueAncestorSecurableObject" type="application/atom+xml;type=entry" title="FirstUniqueAncestorSecurableObject" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(76)/FirstUniqueAncestorSecurableObject" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/RoleAssignments" type="application/atom+xml;type=feed" title="RoleAssignments" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(76)/RoleAssignments" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/AttachmentFiles" type="application/atom+xml;type=feed" title="AttachmentFiles" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(76)/AttachmentFiles" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ContentType" type="application/atom+xml;type=entry" title="ContentType" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(76)/ContentType" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsHtml" type="application/atom+xml;type=entry" title="FieldValuesAsHtml" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(76)/FieldValuesAsHtml" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsText" type="application/atom+xml;type=entry" title="FieldValuesAsText" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(76)/FieldValuesAsText" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesForEdit" type="application/atom+xml;type=entry" title="FieldValuesForEdit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(76)/FieldValuesForEdit" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/File" type="application/atom+xml;type=entry" title="File" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(76)/File" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/Folder" type="application/atom+xml;type=entry" title="Folder" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(76)/Folder" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ParentList" type="application/atom+xml;type=entry" title="ParentList" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(76)/ParentList" /><title /><updated>2025-04-18T11:17:33Z</updated><author><name /></author><content type="application/xml"><m:properties><d:FileSystemObjectType m:type="Edm.Int32">0</d:FileSystemObjectType><d:Id m:type="Edm.Int32">76</d:Id><d:ContentTypeId>0x00171F379CCADF464EB719C824E7B24FEB</d:ContentTypeId><d:Identifikuokite_x0020_perteklini>&lt;div class="ExternalClassA56A0A3CF80F4B819EED283D29833D1F"&gt;&lt;p&gt;​1. Turto nurašymo tvarkos. Dažnai pasitaiko atvejų, kai norint nurašyti mažiau nei 1 eurą kainuojantį turtą, spausdinami nurašymo lapai, renkami bent 3-5 skirtingo lygmens specialistų ar vadų parašai. Galėtų būti nustatyta minimali riba iki kurios materialiai atsakingas nurašyti galėtų savo nuožiūra ar pvz. tik su tiesioginio vado(viršininko) leidimu, be bataliono vado, štabo viršininko ir kitų specialistų parašų.&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Identifikuokite_x0020_perteklini><d:Pateikite_x0020_pasi_x016b_lymus>&lt;div class="ExternalClass680D17D3DFE8491CB5520F0E103A4C6F"&gt;&lt;p&gt;​1. Karininkų(galbūt ir puskarininkių) aiškesnis karjeros planavimas, kada būtų žinoma bent 1-2 pozicijos į priekį, suteiktų kariams aiškumo dėl savo ateities ar bent krypties, leistų planuoti trumpuoju laikotarpiu.&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pateikite_x0020_pasi_x016b_lymus><d:Pasidalinkite_x0020_id_x0117_jom>&lt;div class="ExternalClass8BEFD45BA16547B8BCB794B02FF38C8A"&gt;&lt;p&gt;​1. Dokumentų eRvis ir popierinių ataskaitų teikimas/dubliavimas. Įgalinti pasirašymus, nurašymus, perdavimus tvirtinti eRVIS, nespausdinant popierinių dokumentų.&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pasidalinkite_x0020_id_x0117_jom><d:ID m:type="Edm.Int32">76</d:ID><d:Modified m:type="Edm.DateTime">2025-04-17T05:59:22Z</d:Modified><d:Created m:type="Edm.DateTime">2025-04-17T05:59:22Z</d:Created><d:AuthorId m:type="Edm.Int32">0</d:AuthorId><d:EditorId m:type="Edm.Int32">0</d:EditorId><d:OData__UIVersionString>1.0</d:OData__UIVersionString></m:properties></content></entry><entry m:etag="&quot;2&quot;"><id>Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(77)</id><category term="SP.Data.Kaip_x0020_nedaryti_x0020_verts_x0020_nekuriani_x0020_darbListItem" scheme="http://schemas.microsoft.com/ado/2007/08/dataservices/scheme" /><link rel="edit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(77)" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FirstUniqueAncestorSecurableObject" type="application/atom+xml;type=entry" title="FirstUniqueAncestorSecurableObject" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(77)/FirstUniqueAncestorSecurableObject" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/RoleAssignments" type="application/atom+xml;type=feed" title="RoleAssignments" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(77)/RoleAssignments" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/AttachmentFiles" type="application/atom+xml;type=feed" title="AttachmentFiles" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(77)/AttachmentFiles" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ContentType" type="application/atom+xml;type=entry" title="ContentType" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(77)/ContentType" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsHtml" type="application/atom+xml;type=entry" title="FieldValuesAsHtml" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(77)/FieldValuesAsHtml" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsText" type="application/atom+xml;type=entry" title="FieldValuesAsText" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(77)/FieldValuesAsText" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesForEdit" type="application/atom+xml;type=entry" title="FieldValuesForEdit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(77)/FieldValuesForEdit" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/File" type="application/atom+xml;type=entry" title="File" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(77)/File" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/Folder" type="application/atom+xml;type=entry" title="Folder" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(77)/Folder" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ParentList" type="application/atom+xml;type=entry" title="ParentList" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(77)/ParentList" /><title /><updated>2025-04-18T11:17:33Z</updated><author><name /></author><content type="application/xml"><m:properties><d:FileSystemObjectType m:type="Edm.Int32">0</d:FileSystemObjectType><d:Id m:type="Edm.Int32">77</d:Id><d:ContentTypeId>0x00171F379CCADF464EB719C824E7B24FEB</d:ContentTypeId><d:Identifikuokite_x0020_perteklini>&lt;div class="ExternalClass863C766027B04AA6B6744506DAA92AAC"&gt;&lt;p&gt;​Kuriant diviziją, pastebėtas seržantų trūkumas Lietuvos kariuomenėje (šiuo metu, regis, trūksta apie 700 seržantų). Seržantų rengimas vyksta praėjus atranką fizinio parengtumo testavimo pagrindu, o siuntimą į atranką reglamentuoja vieneų vidaus tvarkos ir vienetų&amp;#160;vyr. puskarininkių/kuopininkų sprendimai. Visas šis procesas yra beprasmis, ilgas ir neefektyvus, atsižvelgiant į tai, kad geras fizinis parengtumas tikrai neužtikrina gero specialisto parengimo.&amp;#160;&lt;br&gt;&lt;/p&gt;&lt;p&gt;Vyr. puskarininkių komisijos ir posėdžiai dažnai vyksta gyvai ir tai reikalauja ne tik žmogiškųjų, bet ir kitų resursų, kas atsiliepia ir vieneto finansams.&lt;br&gt;&lt;/p&gt;&lt;p&gt;Veiksmingai ir efektyviai dirbant su eRVIS (elektronine resursų valdymo sistema), vienetų logistai vis dar reikalauja popierinių sąrašų ir raštų su fiziniais parašais (pvz. maitinimo aprūpinimas prieš pratybas, kai maitinimo paraiškos jau yra užpildytos eRVIS). Ilgainiui taip yra švaistomi finansai, o materialiai atsakingų asmenų darbas yra dubliuojamas.&lt;br&gt;&lt;/p&gt;&lt;p&gt;SVP ir OSIL dažnai neatitinka realybės arba yra nelogiški.&amp;#160;&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Identifikuokite_x0020_perteklini><d:Pateikite_x0020_pasi_x016b_lymus>&lt;div class="ExternalClassC035AC8630E543FA9C91D332A35BA87B"&gt;&lt;p&gt;​Peržiūrėti ir įvertinti seržantų rengimo tvarką. Galiojantis rengimas nebūtinai aktualus KJP, SOP, KOP, karo policijos ir karo medicinos seržantams dėl specifikos pobūdžio. Tokie seržantai (su specifine pakraipa, tačiau nebūtinai specialistai) galėtų būti rengiami dalinio viduje. Taip būtų taupomos kvotos puskarininkių mokykloje pėtininkams rengti, kurių trūksta labiausiai.&lt;br&gt;&lt;/p&gt;&lt;p&gt;&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pateikite_x0020_pasi_x016b_lymus><d:Pasidalinkite_x0020_id_x0117_jom m:null="true" /><d:ID m:type="Edm.Int32">77</d:ID><d:Modified m:type="Edm.DateTime">2025-04-17T07:52:30Z</d:Modified><d:Created m:type="Edm.DateTime">2025-04-17T07:36:10Z</d:Created><d:AuthorId m:type="Edm.Int32">0</d:AuthorId><d:EditorId m:type="Edm.Int32">0</d:EditorId><d:OData__UIVersionString>1.0</d:OData__UIVersionString></m:properties></content></entry><entry m:etag="&quot;1&quot;"><id>Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(78)</id><category term="SP.Data.Kaip_x0020_nedaryti_x0020_verts_x0020_nekuriani_x0020_darbListItem" scheme="http://schemas.microsoft.com/ado/2007/08/dataservices/scheme" /><link rel="edit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(78)" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FirstUniqueAncestorSecurableObject" type="application/atom+xml;type=entry" title="FirstUniqueAncestorSecurableObject" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(78)/FirstUniqueAncestorSecurableObject" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/RoleAssignments" type="application/atom+xml;type=feed" title="RoleAssignments" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(78)/RoleAssignments" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/AttachmentFiles" type="application/atom+xml;type=feed" title="AttachmentFiles" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(78)/AttachmentFiles" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ContentType" type="application/atom+xml;type=entry" title="ContentType" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(78)/ContentType" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsHtml" type="application/atom+xml;type=entry" title="FieldValuesAsHtml" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(78)/FieldValuesAsHtml" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsText" type="application/atom+xml;type=entry" title="FieldValuesAsText" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(78)/FieldValuesAsText" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesForEdit" type="application/atom+xml;type=entry" title="FieldValuesForEdit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(78)/FieldValuesForEdit" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/File" type="application/atom+xml;type=entry" title="File" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(78)/File" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/Folder" type="application/atom+xml;type=entry" title="Folder" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(78)/Folder" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ParentList" type="application/atom+xml;type=entry" title="ParentList" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(78)/ParentList" /><title /><updated>2025-04-18T11:17:33Z</updated><author><name /></author><content type="application/xml"><m:properties><d:FileSystemObjectType m:type="Edm.Int32">0</d:FileSystemObjectType><d:Id m:type="Edm.Int32">78</d:Id><d:ContentTypeId>0x00171F379CCADF464EB719C824E7B24FEB</d:ContentTypeId><d:Identifikuokite_x0020_perteklini>&lt;div class="ExternalClass5012ED8EC7C14D1FBC7576623053AB0E"&gt;&lt;p&gt;​Šaudymo kortelė. Šaudymo pratybų metu, kariai turi turėti su savimi šaudymo kortelę, o saugos instruktoriai turi ją pildyti po kiekvieno pratimo, arba pratimo dalies. Po šaudymo pratybų, sekančią dieną, šaudymo vadovas parengia ataskaitą apie šaulių rezultatus, toliau rezultatai suvedami į PerVIS. Šaudymo pratybos vyksta lauke, todėl dažnai dėl oro sąlygų t. y. lietaus, sniego šaudymo kortelių realiai pildyti nepavyksta. Šaudymo kortelės būna pildomos sekančią dieną po šaudymo pratybų, todėl gaunasi, jog tie patys rezultatai surašomi per tris skirtingas vietas. Taip pat, šaudyklų kiekis ribotas, tad padaliniui gavui šaudyklą stengiamasi važiuoti kuo daugiau žmonių, todėl kelių dešimičių žmonių kortelių pildymas atima labai daug laiko ir tampa papildoma didele našta pratybų personalui pratybų metu ir po pratybų.&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Identifikuokite_x0020_perteklini><d:Pateikite_x0020_pasi_x016b_lymus>&lt;div class="ExternalClass4F621C5E262D48BDBBF1DBBF7C9025E9"&gt;&lt;p&gt;​Siūlau atsisakyti šaudymo kortelės, nes ji neduoda jokios naudos šaulio šaudymo sugebėjimams ir tik apkrauna pratybų personalą papildomais darbai per šaudymo&amp;#160;pratybas ir po pratybų.&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pateikite_x0020_pasi_x016b_lymus><d:Pasidalinkite_x0020_id_x0117_jom m:null="true" /><d:ID m:type="Edm.Int32">78</d:ID><d:Modified m:type="Edm.DateTime">2025-04-17T07:51:02Z</d:Modified><d:Created m:type="Edm.DateTime">2025-04-17T07:51:02Z</d:Created><d:AuthorId m:type="Edm.Int32">0</d:AuthorId><d:EditorId m:type="Edm.Int32">0</d:EditorId><d:OData__UIVersionString>1.0</d:OData__UIVersionString></m:properties></content></entry><entry m:etag="&quot;1&quot;"><id>Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(79)</id><category term="SP.Data.Kaip_x0020_nedaryti_x0020_verts_x0020_nekuriani_x0020_darbListItem" scheme="http://schemas.microsoft.com/ado/2007/08/dataservices/scheme" /><link rel="edit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(79)" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FirstUniqueAncestorSecurableObject" type="application/atom+xml;type=entry" title="FirstUniqueAncestorSecurableObject" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(79)/FirstUniqueAncestorSecurableObject" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/RoleAssignments" type="application/atom+xml;type=feed" title="RoleAssignments" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(79)/RoleAssignments" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/AttachmentFiles" type="application/atom+xml;type=feed" title="AttachmentFiles" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(79)/AttachmentFiles" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ContentType" type="application/atom+xml;type=entry" title="ContentType" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(79)/ContentType" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsHtml" type="application/atom+xml;type=entry" title="FieldValuesAsHtml" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(79)/FieldValuesAsHtml" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsText" type="application/atom+xml;type=entry" title="FieldValuesAsText" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(79)/FieldValuesAsText" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesForEdit" type="application/atom+xml;type=entry" title="FieldValuesForEdit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(79)/FieldValuesForEdit" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/File" type="application/atom+xml;type=entry" title="File" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(79)/File" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/Folder" type="application/atom+xml;type=entry" title="Folder" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(79)/Folder" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ParentList" type="application/atom+xml;type=entry" title="ParentList" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(79)/ParentList" /><title /><updated>2025-04-18T11:17:33Z</updated><author><name /></author><content type="application/xml"><m:properties><d:FileSystemObjectType m:type="Edm.Int32">0</d:FileSystemObjectType><d:Id m:type="Edm.Int32">79</d:Id><d:ContentTypeId>0x00171F379CCADF464EB719C824E7B24FEB</d:ContentTypeId><d:Identifikuokite_x0020_perteklini>&lt;div class="ExternalClass65CDBA5DC8FD43B6AC825EC47DEA61C8"&gt;&lt;p&gt;​Kariai siunčiami į kursus, mokytis, kelti kvalifikacijos vadovaujantis KASOKTĮ 49 str. 4 d.&amp;#58;&lt;/p&gt;&lt;p&gt;„[...] pasiųstiems įgyti profesinį parengimą, tobulinti kvalifikacijos ar mokytis Lietuvos Respublikoje, dienpinigiai nemokami, tačiau apmokamas profesinio parengimo, kvalifikacijos tobulinimo ar mokymosi (dalyvio) mokestis, registravimosi išlaidos, kelionės į profesinio parengimo, kvalifikacijos tobulinimo ar mokymosi vietą ir atgal viešuoju ir ne viešuoju transportu (išskyrus lengvąjį automobilį taksi[...]&amp;quot;&lt;br&gt;&lt;/p&gt;&lt;p&gt;LR KA ministro 2022 m. rugsėjo 1 d. įsakymas Nr. V-693 „Dėl Karių, pasiųstų įgyti profesinį parengimą, tobulinti kvalifikacijos ar mokytis, dienpinigių ir kitų išlaidų dydžių nustatymo ir apmokėjimo tvarkos aprašo patvirtinimo&amp;quot; patvirtintas Karių, pasiųstų įgyti profesinį parengimą, tobulinti kvalifikacijos ar mokytis, dienpinigių ir kitų išlaidų dydžių nustatymo ir apmokėjimo tvarkos aprašas (toliau – Tvarkos aprašas V-693)&amp;#58; &lt;/p&gt;&lt;p&gt;Kariui, pasiųstam mokytis KASOKTĮ 49 straipsnio 4 ar 11 dalyse nurodytais atvejais, krašto apsaugos ministro ar jo įgalioto asmens sprendimu apmokamos šios su mokymusi susijusios išlaidos&amp;#58;&lt;/p&gt;&lt;p&gt;„14.4. kariui, pasiųstam mokytis Lietuvos Respublikoje, apmokamos kelionės į mokymosi vietą ir atgal viešuoju ir ne viešuoju transportu (išskyrus lengvąjį automobilį taksi ir lengvąjį automobilį, kuriuo vykdoma keleivių vežimo už atlygį pagal užsakymą veikla) išlaidos. &lt;strong&gt;Vykstant ne viešuoju transportu pildomas prašymas (1 priedas)&lt;/strong&gt;, &lt;span style="text-decoration&amp;#58;underline;"&gt;&lt;strong&gt;jame nurodant kriterijus, kuriais vadovaujantis pasirinktas šis kelionės būdas, kelionės maršrutą, automobilio gamintojo nurodytą degalų sunaudojimo normą, automobilio nuomos išlaidas (jeigu vykstama nuomotu automobiliu), prognozuojamą lėšų poreikį.&lt;/strong&gt;&lt;/span&gt; Vykstant viešuoju transportu kelionės išlaidos atlyginamos pateikus Įsakymo Nr. V-1261 2 priede nurodytos formos prašymą.&amp;quot; &lt;br&gt;&lt;/p&gt;&lt;p&gt;Pažymiu Tvarkos aprašo V-693 1 priedas su automobilio duomenimis, degalų norma ir kt.&amp;#160;&lt;br&gt;&lt;/p&gt;&lt;p&gt;​Šiuo metu pastebima, kad kompensuojama vadovaujantis LR KA ministro 2011 m. lapkričio 3 d. įsakymu Nr. V-1261 „Dėl Profesinės karo tarnybos karių, karių savanorių ir kitų savanoriškos nenuolatinės karo tarnybos karių, aktyviojo kariuomenės personalo rezervo karių, rezervo karių ir kariūnų kelionės išlaidų atlyginimo tvarkos aprašo patvirtinimo&amp;quot; patvirtintu Profesinės karo tarnybos karių, karių savanorių ir kitų savanoriškos nenuolatinės karo tarnybos karių, aktyviojo kariuomenės personalo rezervo karių, rezervo karių ir kariūnų kelionės išlaidų atlyginimo tvarkos aprašas (toliau – Tvarkos aprašas V-1261).&lt;/p&gt;&lt;p&gt;Tvarkos aprašas V-1261 6&amp;#160;p.&amp;#58;&lt;/p&gt;&lt;p&gt;„Profesinės karo tarnybos kariams, kariams savanoriams ir kitiems savanoriškos nenuolatinės karo tarnybos kariams, aktyviojo kariuomenės personalo rezervo kariams ir rezervo kariams atlyginamos KASOKTĮ 64 straipsnio 3, 4, 4&lt;span style="font-size&amp;#58;10.5px;line-height&amp;#58;0;vertical-align&amp;#58;baseline;top&amp;#58;-0.5em;"&gt;2&lt;/span&gt;, 5, 8 dalyse nurodytos kelionės išlaidos&amp;quot;&lt;/p&gt;&lt;p&gt;Taip pat Tvarkos aprašas V-1261 6-1&amp;#160;p.&amp;#58;&lt;/p&gt;&lt;p&gt;„Lietuvos Respublikos krašto apsaugos ministro 2022 m. rugsėjo 1 d. įsakymu Nr. V-693 „Dėl Karių, pasiųstų įgyti profesinį parengimą, tobulinti kvalifikacijos ar mokytis, dienpinigių ir kitų išlaidų dydžių nustatymo ir apmokėjimo tvarkos aprašo patvirtinimo&amp;quot; (toliau – Įsakymas Nr. V-693) nustatytais atvejais KASOKTĮ 49 straipsnio 4 arba 11 dalyje nurodytos&amp;#160;&lt;strong&gt;kelionės iš faktinės gyvenamosios vietos į mokymosi vietą ir atgal kiekvieną mokymosi dieną išlaidos&lt;/strong&gt;, taikant mažiausią ir didžiausią atstumą, kuriuos nuvažiavus per dieną atlyginamos kelionės išlaidos ir kelionės ne viešuoju transportu vieno kilometro atlyginamų išlaidų dydį.&amp;quot;&lt;br&gt;&lt;/p&gt;&lt;p&gt;Taigi Tvarkos aprašas V-1261 taikomas kai karys kiekvieną dieną vyksta mokytis, tačiau jei apmokame tik nuvykimą ir parvykimą turėtumėme vadovautis Tvarkos aprašo V-693 nuostatomis.&amp;#160;&lt;br&gt;&lt;/p&gt;&lt;p&gt;&lt;br&gt;&lt;/p&gt;&lt;p&gt;&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Identifikuokite_x0020_perteklini><d:Pateikite_x0020_pasi_x016b_lymus>&lt;div class="ExternalClass4DA139F750FD4C1783C5F496D419EB2D"&gt;&lt;p&gt;Siūlytina papildyti Tvarkos aprašą V-1261 įtraukiant Įsakymo Nr. V-693 14.4 papunktį ir tai kas susiję su kelionės išlaidų kompensavimu kai vykstama mokytis naudoti vieną tvarkos aprašą, tokiu būdų supaprastinant&amp;#160;pagreitinant procesą.&lt;br&gt;&lt;/p&gt;&lt;p&gt;&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pateikite_x0020_pasi_x016b_lymus><d:Pasidalinkite_x0020_id_x0117_jom m:null="true" /><d:ID m:type="Edm.Int32">79</d:ID><d:Modified m:type="Edm.DateTime">2025-04-17T10:14:24Z</d:Modified><d:Created m:type="Edm.DateTime">2025-04-17T10:14:24Z</d:Created><d:AuthorId m:type="Edm.Int32">0</d:AuthorId><d:EditorId m:type="Edm.Int32">0</d:EditorId><d:OData__UIVersionString>1.0</d:OData__UIVersionString></m:properties></content></entry><entry m:etag="&quot;1&quot;"><id>Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(80)</id><category term="SP.Data.Kaip_x0020_nedaryti_x0020_verts_x0020_nekuriani_x0020_darbListItem" scheme="http://schemas.microsoft.com/ado/2007/08/dataservices/scheme" /><link rel="edit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(80)" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FirstUniqueAncestorSecurableObject" type="application/atom+xml;type=entry" title="FirstUniqueAncestorSecurableObject" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(80)/FirstUniqueAncestorSecurableObject" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/RoleAssignments" type="application/atom+xml;type=feed" title="RoleAssignments" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(80)/RoleAssignments" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/AttachmentFiles" type="application/atom+xml;type=feed" title="AttachmentFiles" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(80)/AttachmentFiles" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ContentType" type="application/atom+xml;type=entry" title="ContentType" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(80)/ContentType" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsHtml" type="application/atom+xml;type=entry" title="FieldValuesAsHtml" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(80)/FieldValuesAsHtml" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsText" type="application/atom+xml;type=entry" title="FieldValuesAsText" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(80)/FieldValuesAsText" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesForEdit" type="application/atom+xml;type=entry" title="FieldValuesForEdit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(80)/FieldValuesForEdit" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/File" type="application/atom+xml;type=entry" title="File" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(80)/File" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/Folder" type="application/atom+xml;type=entry" title="Folder" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(80)/Folder" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ParentList" type="application/atom+xml;type=entry" title="ParentList" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(80)/ParentList" /><title /><updated>2025-04-18T11:17:33Z</updated><author><name /></author><content type="application/xml"><m:properties><d:FileSystemObjectType m:type="Edm.Int32">0</d:FileSystemObjectType><d:Id m:type="Edm.Int32">80</d:Id><d:ContentTypeId>0x00171F379CCADF464EB719C824E7B24FEB</d:ContentTypeId><d:Identifikuokite_x0020_perteklini m:null="true" /><d:Pateikite_x0020_pasi_x016b_lymus>&lt;div class="ExternalClass960FB90DDAB046D7A9D6D8C819B9B848"&gt;&lt;p&gt;​&lt;/p&gt;&lt;ol&gt;&lt;li&gt;Reiktų kaip pvz atlikti KAS institucijų ir /ar jų padalinių logistikos srities teisės aktų bent jau kas susiję su&amp;#58; 1. &lt;em&gt;Ginkluotės, Amunicijos ir sprogstamųjų medžiagų ir priemonių saugojimo, apyvartos ir saugumo tvarkos aprašų bei kovinio rengimo normų susisteminimą., 2. Taktinės ir logistinės paskirties Transporto priemonių eksploatacijos priežiūros ir remonto tvarkų. 3. &lt;/em&gt;&lt;em&gt;&amp;#160;&lt;/em&gt;&lt;em&gt;CBRN kolektyvinės ir individualios apsaugos priemonių saugojimo, naudojimo sąlygų, aprūpinimo normatyvų tvarkomis. 4. Karių aprūpinimo apranga, ekipuote, apsaugos priemonėmis sąlygas, normas ir panašiai&lt;/em&gt; – išleisti KAM lygmens bent šioms 4 sritims bazinius reikalavimus įgaliojant jei tai susiję su KAS institucijų ar jų padalinių pasirengimui LR gynybai Ginkluotųjų pajėgų sudėtyje tvirtinti LK vadą. Tai jau įneštų daug aiškumo, neleistų kitoms KAS institucijoms tvirtintis savas šios srities tvarkas ir t.t.&amp;#160;&lt;br&gt;&lt;/li&gt;&lt;/ol&gt;&lt;p&gt;&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pateikite_x0020_pasi_x016b_lymus><d:Pasidalinkite_x0020_id_x0117_jom m:null="true" /><d:ID m:type="Edm.Int32">80</d:ID><d:Modified m:type="Edm.DateTime">2025-04-17T11:29:02Z</d:Modified><d:Created m:type="Edm.DateTime">2025-04-17T11:29:02Z</d:Created><d:AuthorId m:type="Edm.Int32">0</d:AuthorId><d:EditorId m:type="Edm.Int32">0</d:EditorId><d:OData__UIVersionString>1.0</d:OData__UIVersionString></m:properties></content></entry><entry m:etag="&quot;1&quot;"><id>Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(81)</id><category term="SP.Data.Kaip_x0020_nedaryti_x0020_verts_x0020_nekuriani_x0020_darbListItem" scheme="http://schemas.microsoft.com/ado/2007/08/dataservices/scheme" /><link rel="edit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(81)" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FirstUniqueAncestorSecurableObject" type="application/atom+xml;type=entry" title="FirstUniqueAncestorSecurableObject" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(81)/FirstUniqueAncestorSecurableObject" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/RoleAssignments" type="application/atom+xml;type=feed" title="RoleAssignments" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(81)/RoleAssignments" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/AttachmentFiles" type="application/atom+xml;type=feed" title="AttachmentFiles" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(81)/AttachmentFiles" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ContentType" type="application/atom+xml;type=entry" title="ContentType" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(81)/ContentType" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsHtml" type="application/atom+xml;type=entry" title="FieldValuesAsHtml" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(81)/FieldValuesAsHtml" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsText" type="application/atom+xml;type=entry" title="FieldValuesAsText" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(81)/FieldValuesAsText" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesForEdit" type="application/atom+xml;type=entry" title="FieldValuesForEdit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(81)/FieldValuesForEdit" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/File" type="application/atom+xml;type=entry" title="File" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(81)/File" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/Folder" type="application/atom+xml;type=entry" title="Folder" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(81)/Folder" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ParentList" type="application/atom+xml;type=entry" title="ParentList" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(81)/ParentList" /><title /><updated>2025-04-18T11:17:33Z</updated><author><name /></author><content type="application/xml"><m:properties><d:FileSystemObjectType m:type="Edm.Int32">0</d:FileSystemObjectType><d:Id m:type="Edm.Int32">81</d:Id><d:ContentTypeId>0x00171F379CCADF464EB719C824E7B24FEB</d:ContentTypeId><d:Identifikuokite_x0020_perteklini m:null="true" /><d:Pateikite_x0020_pasi_x016b_lymus m:null="true" /><d:Pasidalinkite_x0020_id_x0117_jom>&lt;div class="ExternalClass84D548DDD2944B17AFDEA229FB444D73"&gt;&lt;span aria-hidden="true"&gt;&lt;/span&gt;&lt;p&gt;​Į pareigybės aprašymus įrašyti aiškiai ir nedviprasmiškai apibrėžtas funkcijas. Pvz. dviems KSITPG patarėjams galėtų būti pavesta prižiūrėti valstybės ir tarnybos paslapčių įstatymą, jo pakeitimo įstatymus, VTPĮ įgyvendinančių teisės aktus&amp;#160;(LRV nutarimas Nr.820 ir LRV nutarimas Nr. 40-1) ir jų pakeitimus, susijusius su ĮIRIS gyvavimo ciklo užtikrinimu LR&amp;#160;ir&amp;#160;KAS.&amp;#160;Šie VT ar kariai&amp;#160;būtų atsakingi už šių&amp;#160;teisės aktų pakeitimų projektų rengimą,&amp;#160;NATO ir ES teisės aktų keliamų reikalavimų įslaptintos informacijos kūrimui ir tvarkymui&amp;#160;vertinimą&amp;#160;ir/ar, esant būtinybei,&amp;#160;jų &amp;#160;keliamų&amp;#160;reikalavimų perkėlimą&amp;#160;į LR&amp;#160;teisės aktus, atstovavimą Lietuvai ir KAM&amp;#160;NATO ir ES institucijose ir LR institucijose.&lt;br&gt;&lt;/p&gt;&lt;p&gt;Taip&amp;#160;būtų&amp;#160;užtikrinama&amp;#160;institucinė&amp;#160;atmintis ir išmintis skaitmeninės&amp;#160;įslaptintos informacijos kūrimo ir tvarkymo srityje ne tik KAS, bet ir valstybiniu lygiu ir išvengiama situacijos, kai niekas nestebi&amp;#160;šios&amp;#160;srities ir galimai&amp;#160;reaguojama&amp;#160;į problemas ad hoc paskiriant užduotis vadovo nuomone&amp;#160;tuo metu galimai &amp;quot;mažiausiai užimtam&amp;quot; darbuotojui.&lt;br&gt;&lt;/p&gt;&lt;p&gt;&lt;br&gt;&lt;/p&gt;&lt;p&gt;Į vidutinės grandies vadovų pareigas skirti tik toje srityje turinčius kompetenciją žmones. Tai leistų taupyti užduoties vykdymui reikalingą&amp;#160;laiką, nes darbuotojams&amp;#160;nereikėtų aiškinti nekompetentingui vadovui&amp;#160;to, kas kompetentingam darbuotojui ar vadovui būtų savime suprantama.&lt;br&gt;&lt;/p&gt;&lt;p&gt;&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pasidalinkite_x0020_id_x0117_jom><d:ID m:type="Edm.Int32">81</d:ID><d:Modified m:type="Edm.DateTime">2025-04-17T12:02:15Z</d:Modified><d:Created m:type="Edm.DateTime">2025-04-17T12:02:15Z</d:Created><d:AuthorId m:type="Edm.Int32">0</d:AuthorId><d:EditorId m:type="Edm.Int32">0</d:EditorId><d:OData__UIVersionString>1.0</d:OData__UIVersionString></m:properties></content></entry><entry m:etag="&quot;1&quot;"><id>Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(82)</id><category term="SP.Data.Kaip_x0020_nedaryti_x0020_verts_x0020_nekuriani_x0020_darbListItem" scheme="http://schemas.microsoft.com/ado/2007/08/dataservices/scheme" /><link rel="edit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(82)" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FirstUniqueAncestorSecurableObject" type="application/atom+xml;type=entry" title="FirstUniqueAncestorSecurableObject" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(82)/FirstUniqueAncestorSecurableObject" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/RoleAssignments" type="application/atom+xml;type=feed" title="RoleAssignments" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(82)/RoleAssignments" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/AttachmentFiles" type="application/atom+xml;type=feed" title="AttachmentFiles" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(82)/AttachmentFiles" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ContentType" type="application/atom+xml;type=entry" title="ContentType" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(82)/ContentType" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsHtml" type="application/atom+xml;type=entry" title="FieldValuesAsHtml" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(82)/FieldValuesAsHtml" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsText" type="application/atom+xml;type=entry" title="FieldValuesAsText" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(82)/FieldValuesAsText" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesForEdit" type="application/atom+xml;type=entry" title="FieldValuesForEdit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(82)/FieldValuesForEdit" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/File" type="application/atom+xml;type=entry" title="File" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(82)/File" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/Folder" type="application/atom+xml;type=entry" title="Folder" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(82)/Folder" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ParentList" type="application/atom+xml;type=entry" title="ParentList" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(82)/ParentList" /><title /><updated>2025-04-18T11:17:33Z</updated><author><name /></author><content type="application/xml"><m:properties><d:FileSystemObjectType m:type="Edm.Int32">0</d:FileSystemObjectType><d:Id m:type="Edm.Int32">82</d:Id><d:ContentTypeId>0x00171F379CCADF464EB719C824E7B24FEB</d:ContentTypeId><d:Identifikuokite_x0020_perteklini>&lt;div class="ExternalClassB7F563C97BB84DA2823030CC5DFAB65A"&gt;&lt;p&gt;​Manyčiau, kad būtų verta pagalvoti apie Ervis sistemos supaprastinimą. Dabar mes darome vieną darbą 2x tarkime kažkokių mat. vertybių registravimas (pajamavimas) Mes nešame n+ lapų buhalterei, ko galime būtų išvengti tiesiog viską tvirtinant elektroniniu būdu&amp;#160;( vadinkime derinti ar pasirašyti, kaip per avilys sistemą).&amp;#160;Tas pats ir su mat. vertybių nurašymais.Turime su lapais eiti pas komisijos narius, pirmininką ir gauti jų parašus, ar nebūtų papraščiau tiesiog viską suderinti per avilio sistemą ar tą patį ervisą, taip tai pat išvengtume daug ,, popierizmo'' ir per tą laiko kol renkame parašus geriau nuveiktume kažką naudingo kariniame rengime.&amp;#160;&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Identifikuokite_x0020_perteklini><d:Pateikite_x0020_pasi_x016b_lymus m:null="true" /><d:Pasidalinkite_x0020_id_x0117_jom m:null="true" /><d:ID m:type="Edm.Int32">82</d:ID><d:Modified m:type="Edm.DateTime">2025-04-17T13:04:43Z</d:Modified><d:Created m:type="Edm.DateTime">2025-04-17T13:04:43Z</d:Created><d:AuthorId m:type="Edm.Int32">0</d:AuthorId><d:EditorId m:type="Edm.Int32">0</d:EditorId><d:OData__UIVersionString>1.0</d:OData__UIVersionString></m:properties></content></entry><entry m:etag="&quot;1&quot;"><id>Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(83)</id><category term="SP.Data.Kaip_x0020_nedaryti_x0020_verts_x0020_nekuriani_x0020_darbListItem" scheme="http://schemas.microsoft.com/ado/2007/08/dataservices/scheme" /><link rel="edit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(83)" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FirstUniqueAncestorSecurableObject" type="application/atom+xml;type=entry" title="FirstUniqueAncestorSecurableObject" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(83)/FirstUniqueAncestorSecurableObject" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/RoleAssignments" type="application/atom+xml;type=feed" title="RoleAssignments" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(83)/RoleAssignments" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/AttachmentFiles" type="application/atom+xml;type=feed" title="AttachmentFiles" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(83)/AttachmentFiles" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ContentType" type="application/atom+xml;type=entry" title="ContentType" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(83)/ContentType" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsHtml" type="application/atom+xml;type=entry" title="FieldValuesAsHtml" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(83)/FieldValuesAsHtml" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsText" type="application/atom+xml;type=entry" title="FieldValuesAsText" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(83)/FieldValuesAsText" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesForEdit" type="application/atom+xml;type=entry" title="FieldValuesForEdit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(83)/FieldValuesForEdit" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/File" type="application/atom+xml;type=entry" title="File" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(83)/File" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/Folder" type="application/atom+xml;type=entry" title="Folder" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(83)/Folder" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ParentList" type="application/atom+xml;type=entry" title="ParentList" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(83)/ParentList" /><title /><updated>2025-04-18T11:17:33Z</updated><author><name /></author><content type="application/xml"><m:properties><d:FileSystemObjectType m:type="Edm.Int32">0</d:FileSystemObjectType><d:Id m:type="Edm.Int32">83</d:Id><d:ContentTypeId>0x00171F379CCADF464EB719C824E7B24FEB</d:ContentTypeId><d:Identifikuokite_x0020_perteklini m:null="true" /><d:Pateikite_x0020_pasi_x016b_lymus m:null="true" /><d:Pasidalinkite_x0020_id_x0117_jom>&lt;div class="ExternalClass6BA29A302638401A996731FB90B27907"&gt;&lt;p&gt;​&lt;/p&gt;&lt;ol&gt;&lt;li&gt;Reiktų audituoti personalo politiką priimant karius, ypač karius į tokias pareigybes, kurios susijusios su Turto apskaita, kaip pvz. sandėlininkai. Juo tapti gali bet koks PKT karys be reikalavimų suprasti Turto apskaitos specifiką (Turto rūšys, buhalterinės sąskaitos, prekių priėmimas-atidavimas, sandėliavimo procedūros, turto nurašymo sąlygos, eiga ir t.t.) tam atsiranda papildomo apskaitos specialistai, kurie Jiems padeda apskaityti jų atsakomybėje esantį turtą, negana to dar yra aukštesnė kvalifikacijos specialistai toje turto apskaitos grandinėje – priskirti FAD specialistai kariniams vienetams, kurie kontroliuoja, sutikrina dokumentus, po to juos dar perduoda į FAD Turto apskaitos skyrius, kurie dar turtą įsitraukia ir į kitas Turto apskaitas IS nežiūrint, kad iki jų Turtas apskaitomas kitoje IS – tai akivaizdžiai per ilga Turto apskaitos ir kontrolės grandinė, juolab, kad ją lydi ir popierinės dokumentų versijos ir tai grubiai tariant susiję su maža pirmosios šio proceso grandies kompetencija. Tad &lt;span style="text-decoration&amp;#58;underline;"&gt;&lt;em&gt;KAS greičio&lt;/em&gt;&lt;/span&gt;&lt;span style="text-decoration&amp;#58;underline;"&gt; pasiekti vargu ar galima bus pasiekti neatlikus šioje pirminėje turto apskaitos grandinėje kokybinio kompetencijų šuolio priimant atitinkamą personalą&lt;/span&gt; (ypač į karines pareigybes). Paradoksas KAS institucijose, kad priėmus PKT karį į atitinkamą pareigybę ir po to kariui ištarnavus iki atitinkamo amžiaus, kada jis atleidžiamas iš PKT dažnai nebeatitinka reikalavimų tai pačiai pareigybei bet DS, net nežiūrint į jo patirtį. Be viso to PKT kariai šiose &amp;#160;pareigybėse šioje pirminėje turto apskaitos grandinėje dažnai keičiasi, ir tai nėra susiję su pareigybės funkcijų kompetencijų įgijimu, tai tiesiogiai susiję su jo (tarkime sandėlininko) karine tarnybos linija, kuri beveik neatsižvelgia į jo funkcijų vykdymo kokybę, kompetencija, svarbu fizinis parengimas, dalyvavimas pratybose, ir dar atitinkamų pakopų baigimą. Taip jie daro greitą karjerą ir greitai nebeatitinka užimamoms pareigybės pagal karinį laipsnį ir skiriamas į aukštesnes pareigas. Tuo tarpu į jo vietą vėl ateina jaunas be reikiamų žinių karys ir vėl viskas užsisuka. &amp;#160;&lt;br&gt;&lt;/li&gt;&lt;/ol&gt;&lt;p&gt;&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pasidalinkite_x0020_id_x0117_jom><d:ID m:type="Edm.Int32">83</d:ID><d:Modified m:type="Edm.DateTime">2025-04-18T06:51:03Z</d:Modified><d:Created m:type="Edm.DateTime">2025-04-18T06:51:03Z</d:Created><d:AuthorId m:type="Edm.Int32">0</d:AuthorId><d:EditorId m:type="Edm.Int32">0</d:EditorId><d:OData__UIVersionString>1.0</d:OData__UIVersionString></m:properties></content></entry><entry m:etag="&quot;1&quot;"><id>Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(84)</id><category term="SP.Data.Kaip_x0020_nedaryti_x0020_verts_x0020_nekuriani_x0020_darbListItem" scheme="http://schemas.microsoft.com/ado/2007/08/dataservices/scheme" /><link rel="edit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(84)" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FirstUniqueAncestorSecurableObject" type="application/atom+xml;type=entry" title="FirstUniqueAncestorSecurableObject" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(84)/FirstUniqueAncestorSecurableObject" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/RoleAssignments" type="application/atom+xml;type=feed" title="RoleAssignments" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(84)/RoleAssignments" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/AttachmentFiles" type="application/atom+xml;type=feed" title="AttachmentFiles" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(84)/AttachmentFiles" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ContentType" type="application/atom+xml;type=entry" title="ContentType" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(84)/ContentType" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsHtml" type="application/atom+xml;type=entry" title="FieldValuesAsHtml" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(84)/FieldValuesAsHtml" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsText" type="application/atom+xml;type=entry" title="FieldValuesAsText" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(84)/FieldValuesAsText" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesForEdit" type="application/atom+xml;type=entry" title="FieldValuesForEdit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(84)/FieldValuesForEdit" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/File" type="application/atom+xml;type=entry" title="File" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(84)/File" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/Folder" type="application/atom+xml;type=entry" title="Folder" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(84)/Folder" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ParentList" type="application/atom+xml;type=entry" title="ParentList" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(84)/ParentList" /><title /><updated>2025-04-18T11:17:33Z</updated><author><name /></author><content type="application/xml"><m:properties><d:FileSystemObjectType m:type="Edm.Int32">0</d:FileSystemObjectType><d:Id m:type="Edm.Int32">84</d:Id><d:ContentTypeId>0x00171F379CCADF464EB719C824E7B24FEB</d:ContentTypeId><d:Identifikuokite_x0020_perteklini>&lt;div class="ExternalClassDD26547BB4144BB6888878F15AC62626"&gt;&lt;p&gt;​&lt;br&gt;&lt;/p&gt;&lt;p style="text-align&amp;#58;justify;"&gt;Krašto apsaugos ministro 2004-12-09 įsakyme Nr V-1337 (Avilyje 1337) „DĖL KRAŠTO APSAUGOS SISTEMOS TARNYBINIŲ PAŽYMĖJIMŲ FORMŲ IR KRAŠTO APSAUGOS SISTEMOS TARNYBINIŲ PAŽYMĖJIMŲ IŠDAVIMO IR APSKAITOS TVARKOS APRAŠO PATVIRTINIMO&amp;quot; liko nuostata, kad pažymėjimai naikinami KAM 2012-11-05 įsakymu Nr. V-1210 &amp;#160;„Dėl Dokumentų ir bylų tvarkymo ir apskaitos, jų perdavimo saugoti, saugojimo ir naikinimo tvarkos aprašo patvirtinimo&amp;quot; nustatyta tvarka, nors &lt;strong&gt;V-1210 įsakymas neteko galios&lt;/strong&gt; 2021-10-06. &amp;#160;(V-1337 22 ir 28 p.) Taisytina.&lt;/p&gt;&lt;p style="text-align&amp;#58;justify;"&gt;V-1337 įsakymo 27 p. nustatoma prievolė surinkti &lt;strong&gt;NNPKT pažymėjimus&lt;/strong&gt;, sudaryti komisiją ir juos sunaikinti. NPPKT kariui pradėjus tarnybą Mokomajam pulke, pulkas išduoda jam tarnybinį pažymėjimą. Pažymėjimai registruojami į pulko registrą. Baigus pulke 3 mėn. Bazinį kario kursą, NPPKT karys kartu su pažymėjimu perkeliamas tęsti tarnybą į kitus dalinius. Pasibaigus NPPKT tarnybai, pažymėjimai grąžinami dalinių personalui. Dalinių personalas saugo atitinkamą laiką, o po to parengus naikinimo dokumentą, sunaikina. Naikinimo dokumentus perduoda susipažinti Pulko personalui. Pulkas laukia kol &lt;strong&gt;visi daliniai&lt;/strong&gt; atsiųs naikinimo dokumentus. Tada Pulkas sutikrina kiekvieną tais metais išduotą pažymėjimo numerį ar sunaikintas. Tik tada galim naikinti Pulke išleistų į atsargą pvz. dėl ligos, NPPKT karių pažymėjimus. Tai labai ilgas procesas, reikalaujantis didelių darbo kaštų. Dokumento pavyzdį galima pamatyti Pulko apskaitoje &amp;#160;2022-04-27 Nr. VL-164.&lt;/p&gt;&lt;p style="text-align&amp;#58;justify;"&gt;Kadangi V-1337 viešai prieinamas (paskelbtas Valstybės žiniose) ir pažymėjimai galioja 9 mėn. ar verta NPPKT pažymėjimus surinkti ir naikinti? Dėl kokiu motyvų tai daroma? Pasibaigusius pasus ir vairuotojo pažymėjimus palieka jų savininkams. Galimai reikia surinkti tik kai „tarnyba nutraukiama prieš jos terminą ir kai tarnybiniai pažymėjimai keičiami&amp;quot;, kad nepasinaudotų kariams suteikiamomis garantijomis ar nuolaidomis.&lt;br&gt;&lt;/p&gt;&lt;p&gt;&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Identifikuokite_x0020_perteklini><d:Pateikite_x0020_pasi_x016b_lymus m:null="true" /><d:Pasidalinkite_x0020_id_x0117_jom m:null="true" /><d:ID m:type="Edm.Int32">84</d:ID><d:Modified m:type="Edm.DateTime">2025-04-18T08:46:01Z</d:Modified><d:Created m:type="Edm.DateTime">2025-04-18T08:46:01Z</d:Created><d:AuthorId m:type="Edm.Int32">0</d:AuthorId><d:EditorId m:type="Edm.Int32">0</d:EditorId><d:OData__UIVersionString>1.0</d:OData__UIVersionString></m:properties></content></entry><entry m:etag="&quot;1&quot;"><id>Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(85)</id><category term="SP.Data.Kaip_x0020_nedaryti_x0020_verts_x0020_nekuriani_x0020_darbListItem" scheme="http://schemas.microsoft.com/ado/2007/08/dataservices/scheme" /><link rel="edit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(85)" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FirstUniqueAncestorSecurableObject" type="application/atom+xml;type=entry" title="FirstUniqueAncestorSecurableObject" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(85)/FirstUniqueAncestorSecurableObject" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/RoleAssignments" type="application/atom+xml;type=feed" title="RoleAssignments" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(85)/RoleAssignments" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/AttachmentFiles" type="application/atom+xml;type=feed" title="AttachmentFiles" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(85)/AttachmentFiles" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ContentType" type="application/atom+xml;type=entry" title="ContentType" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(85)/ContentType" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsHtml" type="application/atom+xml;type=entry" title="FieldValuesAsHtml" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(85)/FieldValuesAsHtml" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesAsText" type="application/atom+xml;type=entry" title="FieldValuesAsText" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(85)/FieldValuesAsText" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/FieldValuesForEdit" type="application/atom+xml;type=entry" title="FieldValuesForEdit" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(85)/FieldValuesForEdit" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/File" type="application/atom+xml;type=entry" title="File" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(85)/File" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/Folder" type="application/atom+xml;type=entry" title="Folder" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(85)/Folder" /><link rel="http://schemas.microsoft.com/ado/2007/08/dataservices/related/ParentList" type="application/atom+xml;type=entry" title="ParentList" href="Web/Lists(guid'9c371f17-dfca-4e46-b719-c824e7b24feb')/Items(85)/ParentList" /><title /><updated>2025-04-18T11:17:33Z</updated><author><name /></author><content type="application/xml"><m:properties><d:FileSystemObjectType m:type="Edm.Int32">0</d:FileSystemObjectType><d:Id m:type="Edm.Int32">85</d:Id><d:ContentTypeId>0x00171F379CCADF464EB719C824E7B24FEB</d:ContentTypeId><d:Identifikuokite_x0020_perteklini>&lt;div class="ExternalClass8096ACE3A27E43F6ACC3A8CEE089207A"&gt;&lt;p&gt;​Personalo tabeliai, popieriniai variantai.&lt;br&gt;&lt;/p&gt;&lt;p&gt;Popierinės asmens bylos.&amp;#160;&lt;br&gt;&lt;/p&gt;&lt;p&gt;Popierinių finansinių ataskaitų teikimas, pasirašymas ir pristatymas fiziškai FAD.&lt;br&gt;&lt;/p&gt;&lt;p&gt;&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Identifikuokite_x0020_perteklini><d:Pateikite_x0020_pasi_x016b_lymus m:null="true" /><d:Pasidalinkite_x0020_id_x0117_jom>&lt;div class="ExternalClass0DFC5BF64F124859A03360E6F78D75AA"&gt;&lt;p&gt;​&lt;strong&gt;&lt;/strong&gt;&lt;br&gt;&lt;/p&gt;&lt;/div&gt;</d:Pasidalinkite_x0020_id_x0117_jom><d:ID m:type="Edm.Int32">85</d:ID><d:Modified m:type="Edm.DateTime">2025-04-18T09:49:36Z</d:Modified><d:Created m:type="Edm.DateTime">2025-04-18T09:49:36Z</d:Created><d:AuthorId m:type="Edm.Int32">0</d:AuthorId><d:EditorId m:type="Edm.Int32">0</d:EditorId><d:OData__UIVersionString>1.0</d:OData__UIVersionString></m:properties></content></entry></feed>
-    `;
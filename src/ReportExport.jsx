@@ -0,0 +1,93 @@
+import React, { useState } from 'react';
+import { describeFilters } from './filters';
+import { getDurationUnits } from './businessCalendar';
+import {
+    buildReportTables,
+    buildRegistrationToActionTable,
+    buildReportSummary,
+    collectChartSvgs,
+    exportHtmlReport,
+    printReport,
+    exportXlsxReport,
+} from './reportExport';
+
+// --- Export buttons for the History dashboard report ---
+// chartsRef points at the element containing the marked charts. `query`
+// asks the analysis worker for the rows of the XLSX export; it is null when
+// the analysis keeps no rows.
+export const ReportExport = ({
+    chartsRef,
+    query,
+    aggregates,
+    rowCount,
+    fileNames,
+    filters,
+    durationSettings,
+}) => {
+    const [error, setError] = useState(null);
+    const { unit } = getDurationUnits(durationSettings);
+
+    const buildReport = () => ({
+        title: 'Data Analysis Report',
+        summary: buildReportSummary({
+            aggregates,
+            rowCount,
+            fileNames,
+            filterLabels: describeFilters(filters, durationSettings).map(
+                (chip) => chip.label
+            ),
+            unit,
+        }),
+        charts: collectChartSvgs(chartsRef.current),
+        tables: buildReportTables(aggregates, unit),
+    });
+
+    const exportXlsx = async (report) => {
+        const details = query ? await query('registrationToAction', {}) : null;
+        // null from the worker: the analysis changed in the meantime
+        if (query && !details) {
+            throw new Error('The analysis changed; please export again.');
+        }
+        exportXlsxReport({
+            ...report,
+            tables: [
+                ...report.tables,
+                buildRegistrationToActionTable(details, unit),
+            ],
+        });
+    };
+
+    const run = (exporter) => async () => {
+        setError(null);
+        try {
+            await exporter(buildReport());
+        } catch (err) {
+            console.error('Report Export Error:', err);
+            setError(`Export failed: ${err.message}`);
+        }
+    };
+
+    return (
+        <div style={{ marginBottom: '20px' }}>
+            <strong style={{ marginRight: '10px' }}>Export report:</strong>
+            <button
+                onClick={run(exportHtmlReport)}
+                style={{ marginRight: '10px' }}
+            >
+                HTML
+            </button>
+            <button onClick={run(printReport)} style={{ marginRight: '10px' }}>
+                Print / PDF
+            </button>
+            <button onClick={run(exportXlsx)}>XLSX</button>
+            <span
+                style={{ marginLeft: '10px', fontSize: '0.9em', color: '#555' }}
+            >
+                Exports the charts and numbers for the current filters.
+            </span>
+            {error && (
+                <div style={{ color: 'red', marginTop: '5px' }}>{error}</div>
+            )}
+        </div>
+    );
+};
@@ -0,0 +1,9 @@
+import React from 'react';
+
+// Shown by a section until the worker has answered its query
+export const SectionQueryStatus = ({ error }) =>
+    error ? (
+        <p style={{ color: 'red' }}>Calculation failed: {error}</p>
+    ) : (
+        <p>Calculating...</p>
+    );
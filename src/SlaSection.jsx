@@ -0,0 +1,475 @@
+import React, { useState } from 'react';
+import {
+    BarChart,
+    Bar,
+    LineChart,
+    Line,
+    XAxis,
+    YAxis,
+    CartesianGrid,
+    Tooltip,
+    Legend,
+    ResponsiveContainer,
+} from 'recharts';
+import { format } from 'date-fns';
+import { getRoleHeader } from './columnMapping';
+import { GRANULARITIES } from './workload';
+import { getDurationUnits } from './businessCalendar';
+import {
+    SLA_UNITS,
+    SLA_STATUS,
+    createSlaRule,
+    loadSlaConfig,
+    saveSlaConfig,
+} from './sla';
+import { useSectionQuery } from './useSectionQuery';
+import { SectionQueryStatus } from './SectionQueryStatus';
+
+const STAFF_LIMIT = 20;
+const REFERENCE_LIMIT = 50;
+
+const formatDate = (date) => (date ? format(date, 'yyyy-MM-dd HH:mm') : '');
+
+// --- SLA Compliance: targets per action type and breach tracking ---
+// The rules are evaluated in the analysis worker
+export const SlaSection = ({ query, mapping, durationSettings }) => {
+    const [config, setConfig] = useState(loadSlaConfig);
+    const [granularity, setGranularity] = useState('month');
+
+    const updateConfig = (next) => {
+        setConfig(next);
+        saveSlaConfig(next);
+    };
+    const updateRule = (id, patch) =>
+        updateConfig({
+            ...config,
+            rules: config.rules.map((rule) =>
+                rule.id === id ? { ...rule, ...patch } : rule
+            ),
+        });
+    const updateGroup = (index, patch) => {
+        const old = config.staffGroups[index];
+        updateConfig({
+            ...config,
+            staffGroups: config.staffGroups.map((group, i) =>
+                i === index ? { ...group, ...patch } : group
+            ),
+            // Rules follow a renamed group
+            rules:
+                patch.name === undefined
+                    ? config.rules
+                    : config.rules.map((rule) =>
+                          rule.staffGroup === old.name
+                              ? { ...rule, staffGroup: patch.name }
+                              : rule
+                      ),
+        });
+    };
+    const removeGroup = (index) => {
+        const old = config.staffGroups[index];
+        updateConfig({
+            ...config,
+            staffGroups: config.staffGroups.filter((_, i) => i !== index),
+            rules: config.rules.filter((rule) => rule.staffGroup !== old.name),
+        });
+    };
+
+    const { result, error } = useSectionQuery(query, 'sla', {
+        config,
+        granularity,
+        staffLimit: STAFF_LIMIT,
+        referenceLimit: REFERENCE_LIMIT,
+    });
+    const {
+        actions = [],
+        staffMembers = [],
+        summary,
+        overTime,
+        compliance,
+        breaching,
+        breachingCount,
+    } = result || {};
+
+    const unitLabel =
+        config.unit === 'days'
+            ? getDurationUnits(durationSettings).unit
+            : durationSettings?.mode === 'business'
+            ? 'business hours'
+            : 'hours';
+
+    return (
+        <section
+            style={{
+                marginBottom: '40px',
+                borderBottom: '1px solid #eee',
+                paddingBottom: '20px',
+            }}
+        >
+            <h2>SLA Compliance</h2>
+            <h3>Targets</h3>
+            <div style={{ marginBottom: '10px' }}>
+                <label>
+                    Targets in:{' '}
+                    <select
+                        value={config.unit}
+                        onChange={(e) =>
+                            updateConfig({ ...config, unit: e.target.value })
+                        }
+                    >
+                        {Object.entries(SLA_UNITS).map(([key, option]) => (
+                            <option key={key} value={key}>
+                                {option.label}
+                            </option>
+                        ))}
+                    </select>
+                </label>
+                <span
+                    style={{
+                        marginLeft: '10px',
+                        fontSize: '0.9em',
+                        color: '#555',
+                    }}
+                >
+                    The most specific rule applies: action and staff group, then
+                    action, then staff group, then any action.
+                </span>
+            </div>
+            {config.rules.length > 0 && (
+                <table
+                    style={{ borderCollapse: 'collapse', marginBottom: '10px' }}
+                >
+                    <thead>
+                        <tr>
+                            <th>{getRoleHeader(mapping, 'action')}</th>
+                            <th>Staff Group</th>
+                            <th>Target ({unitLabel})</th>
+                            <th />
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {config.rules.map((rule) => (
+                            <tr key={rule.id}>
+                                <td style={{ padding: '2px 8px' }}>
+                                    <select
+                                        value={rule.action}
+                                        onChange={(e) =>
+                                            updateRule(rule.id, {
+                                                action: e.target.value,
+                                            })
+                                        }
+                                    >
+                                        <option value="">Any action</option>
+                                        {/* Keep rules for actions missing from the current data */}
+                                        {[
+                                            ...new Set(
+                                                [
+                                                    ...actions,
+                                                    rule.action,
+                                                ].filter(Boolean)
+                                            ),
+                                        ].map((action) => (
+                                            <option key={action} value={action}>
+                                                {action}
+                                            </option>
+                                        ))}
+                                    </select>
+                                </td>
+                                <td style={{ padding: '2px 8px' }}>
+                                    <select
+                                        value={rule.staffGroup}
+                                        onChange={(e) =>
+                                            updateRule(rule.id, {
+                                                staffGroup: e.target.value,
+                                            })
+                                        }
+                                    >
+                                        <option value="">All staff</option>
+                                        {config.staffGroups.map((group) => (
+                                            <option
+                                                key={group.name}
+                                                value={group.name}
+                                            >
+                                                {group.name}
+                                            </option>
+                                        ))}
+                                    </select>
+                                </td>
+                                <td style={{ padding: '2px 8px' }}>
+                                    <input
+                                        type="number"
+                                        min={0}
+                                        value={rule.target}
+                                        onChange={(e) =>
+                                            updateRule(rule.id, {
+                                                target:
+                                                    Number(e.target.value) || 0,
+                                            })
+                                        }
+                                        style={{ width: '70px' }}
+                                    />
+                                </td>
+                                <td>
+                                    <button
+                                        onClick={() =>
+                                            updateConfig({
+                                                ...config,
+                                                rules: config.rules.filter(
+                                                    (r) => r.id !== rule.id
+                                                ),
+                                            })
+                                        }
+                                        title="Remove rule"
+                                    >
+                                        ✕
+                                    </button>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+            <button
+                onClick={() =>
+                    updateConfig({
+                        ...config,
+                        rules: [...config.rules, createSlaRule()],
+                    })
+                }
+                style={{ marginRight: '10px' }}
+            >
+                Add Rule
+            </button>
+            <details style={{ display: 'inline-block', verticalAlign: 'top' }}>
+                <summary style={{ cursor: 'pointer' }}>
+                    Staff groups ({config.staffGroups.length})
+                </summary>
+                {config.staffGroups.map((group, index) => (
+                    <div
+                        key={index}
+                        style={{ margin: '8px 0', display: 'flex', gap: '8px' }}
+                    >
+                        <input
+                            value={group.name}
+                            onChange={(e) =>
+                                updateGroup(index, { name: e.target.value })
+                            }
+                            placeholder="Group name"
+                        />
+                        <select
+                            multiple
+                            value={group.members}
+                            onChange={(e) =>
+                                updateGroup(index, {
+                                    members: Array.from(
+                                        e.target.selectedOptions
+                                    ).map((option) => option.value),
+                                })
+                            }
+                            style={{ minWidth: '200px', height: '100px' }}
+                        >
+                            {[
+                                ...new Set([...staffMembers, ...group.members]),
+                            ].map((staff) => (
+                                <option key={staff} value={staff}>
+                                    {staff}
+                                </option>
+                            ))}
+                        </select>
+                        <button
+                            onClick={() => removeGroup(index)}
+                            title="Remove group and its rules"
+                        >
+                            ✕
+                        </button>
+                    </div>
+                ))}
+                <button
+                    onClick={() =>
+                        updateConfig({
+                            ...config,
+                            staffGroups: [
+                                ...config.staffGroups,
+                                {
+                                    name: `Group ${
+                                        config.staffGroups.length + 1
+                                    }`,
+                                    members: [],
+                                },
+                            ],
+                        })
+                    }
+                    style={{ marginTop: '5px' }}
+                >
+                    Add Group
+                </button>
+            </details>
+
+            {!config.rules.length ? (
+                <p>Add a rule to start tracking SLA breaches.</p>
+            ) : !result ? (
+                <SectionQueryStatus error={error} />
+            ) : !result.evaluatedCount ? (
+                <p>No rows match the configured rules.</p>
+            ) : (
+                <>
+                    <p>
+                        {summary.evaluated} actions checked:{' '}
+                        <strong>
+                            {summary.complianceRate.toFixed(1)}% within target
+                        </strong>
+                        , {summary.breached} breached
+                        {summary.unknown > 0 &&
+                            `, ${summary.unknown} without a valid duration`}
+                        .
+                    </p>
+
+                    <h3>Breach Rate Over Time</h3>
+                    <label>
+                        Per:{' '}
+                        <select
+                            value={granularity}
+                            onChange={(e) => setGranularity(e.target.value)}
+                        >
+                            {Object.entries(GRANULARITIES).map(
+                                ([key, option]) => (
+                                    <option key={key} value={key}>
+                                        {option.label}
+                                    </option>
+                                )
+                            )}
+                        </select>
+                    </label>
+                    <ResponsiveContainer width="95%" height={300}>
+                        <LineChart
+                            data={overTime}
+                            margin={{ top: 5, right: 30, left: 20, bottom: 5 }}
+                        >
+                            <CartesianGrid strokeDasharray="3 3" />
+                            <XAxis dataKey="bucket" />
+                            <YAxis unit="%" domain={[0, 100]} />
+                            <Tooltip
+                                formatter={(value, name, item) => [
+                                    `${value.toFixed(1)}% (${
+                                        item.payload.breached
+                                    } of ${item.payload.total})`,
+                                    name,
+                                ]}
+                            />
+                            <Legend />
+                            <Line
+                                type="monotone"
+                                dataKey="breachRate"
+                                name="Breach rate"
+                                stroke={SLA_STATUS.breached.color}
+                            />
+                        </LineChart>
+                    </ResponsiveContainer>
+
+                    <h3>Compliance Per Staff Member (Top {STAFF_LIMIT})</h3>
+                    <ResponsiveContainer width="95%" height={400}>
+                        <BarChart
+                            data={compliance}
+                            layout="vertical"
+                            margin={{ top: 5, right: 30, left: 150, bottom: 5 }}
+                        >
+                            <CartesianGrid strokeDasharray="3 3" />
+                            <XAxis type="number" unit="%" domain={[0, 100]} />
+                            <YAxis
+                                dataKey="staff"
+                                type="category"
+                                width={140}
+                            />
+                            <Tooltip
+                                formatter={(value, name, item) => [
+                                    `${value.toFixed(1)}% (${
+                                        item.payload.met
+                                    } of ${item.payload.total})`,
+                                    name,
+                                ]}
+                            />
+                            <Legend />
+                            <Bar
+                                dataKey="complianceRate"
+                                name="Within target"
+                                fill={SLA_STATUS.met.color}
+                            />
+                        </BarChart>
+                    </ResponsiveContainer>
+
+                    <h3>Breaching References ({breachingCount})</h3>
+                    <p style={{ fontSize: '0.9em', color: '#555' }}>
+                        References whose latest action took longer than its
+                        target.
+                    </p>
+                    {breachingCount > 0 ? (
+                        <div style={{ overflowX: 'auto' }}>
+                            <table style={{ borderCollapse: 'collapse' }}>
+                                <thead>
+                                    <tr>
+                                        <th>
+                                            {getRoleHeader(
+                                                mapping,
+                                                'reference'
+                                            )}
+                                        </th>
+                                        <th>Action</th>
+                                        <th>Staff</th>
+                                        <th>Action Date</th>
+                                        <th>Duration ({unitLabel})</th>
+                                        <th>Target</th>
+                                        <th>Over By</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {breaching.map((e) => (
+                                        <tr key={e.reference}>
+                                            <td>{e.reference}</td>
+                                            <td>{e.action || 'N/A'}</td>
+                                            <td>{e.staff || 'N/A'}</td>
+                                            <td>
+                                                {formatDate(
+                                                    e.row.actionDateValid
+                                                )}
+                                            </td>
+                                            <td
+                                                style={{
+                                                    textAlign: 'right',
+                                                }}
+                                            >
+                                                {e.duration}
+                                            </td>
+                                            <td
+                                                style={{
+                                                    textAlign: 'right',
+                                                }}
+                                            >
+                                                {e.rule.target}
+                                            </td>
+                                            <td
+                                                style={{
+                                                    textAlign: 'right',
+                                                    color: SLA_STATUS.breached
+                                                        .color,
+                                                }}
+                                            >
+                                                +{e.overshoot}
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                            {breachingCount > REFERENCE_LIMIT && (
+                                <p>
+                                    Showing {REFERENCE_LIMIT} of{' '}
+                                    {breachingCount}.
+                                </p>
+                            )}
+                        </div>
+                    ) : (
+                        <p>No reference is currently breaching its target.</p>
+                    )}
+                </>
+            )}
+        </section>
+    );
+};
@@ -0,0 +1,321 @@
+import React, { useState, useMemo } from 'react';
+import {
+    BarChart,
+    Bar,
+    XAxis,
+    YAxis,
+    CartesianGrid,
+    Tooltip,
+    Legend,
+    ResponsiveContainer,
+} from 'recharts';
+import { format } from 'date-fns';
+import { COLORS } from './chartColors';
+import { getRoleValue } from './columnMapping';
+import { sortAxis, buildStackedData, heatColor, UNKNOWN } from './staffActions';
+import { getDurationUnits } from './businessCalendar';
+import { useSectionQuery } from './useSectionQuery';
+import { SectionQueryStatus } from './SectionQueryStatus';
+
+const STAFF_LIMIT = 20;
+const ROW_LIST_LIMIT = 100;
+
+const formatDate = (date) => (date ? format(date, 'yyyy-MM-dd HH:mm') : '');
+
+const cellTitle = (cell, unit) => {
+    if (!cell) return '';
+    const avg = cell.avgDurationDays;
+    return `${cell.count} actions, avg. ${
+        avg === null ? 'N/A' : avg.toFixed(1)
+    } ${unit}`;
+};
+
+const EMPTY_CROSS_TAB = { cells: {}, staff: [], actions: [] };
+
+// --- Staff vs. Action Type: stacked bars and heatmap ---
+// The cross-tab and the rows of a cell come from the analysis worker
+export const StaffActionSection = ({
+    query,
+    mapping,
+    durationSettings,
+    onStaffClick,
+}) => {
+    const { unit, unitTitle } = getDurationUnits(durationSettings);
+    const [metric, setMetric] = useState('count');
+    const [staffSort, setStaffSort] = useState('total');
+    const [actionSort, setActionSort] = useState('total');
+    const [selectedCell, setSelectedCell] = useState(null);
+
+    const { result, error } = useSectionQuery(
+        mapping?.staff && mapping?.action ? query : null,
+        'staffActions',
+        { selectedCell, limit: ROW_LIST_LIMIT }
+    );
+    const crossTab = result ? result.crossTab : EMPTY_CROSS_TAB;
+    const staffAxis = useMemo(
+        () => sortAxis(crossTab.staff, staffSort),
+        [crossTab, staffSort]
+    );
+    const actionAxis = useMemo(
+        () => sortAxis(crossTab.actions, actionSort),
+        [crossTab, actionSort]
+    );
+    const stackedData = useMemo(
+        () =>
+            buildStackedData(
+                crossTab,
+                sortAxis(crossTab.staff, 'total').slice(0, STAFF_LIMIT),
+                actionAxis
+            ),
+        [crossTab, actionAxis]
+    );
+
+    const toggleSort = (current, setter) =>
+        setter(current === 'total' ? 'name' : 'total');
+
+    return (
+        <section
+            style={{
+                marginBottom: '40px',
+                borderBottom: '1px solid #eee',
+                paddingBottom: '20px',
+            }}
+        >
+            <h2>Staff vs. Action Type</h2>
+            {!mapping?.staff || !mapping?.action ? (
+                <p>
+                    Map both a Staff and an Action Type column to compare staff
+                    by action type.
+                </p>
+            ) : !result ? (
+                <SectionQueryStatus error={error} />
+            ) : (
+                <>
+                    <h3>Actions Per Staff by Type (Top {STAFF_LIMIT})</h3>
+                    <ResponsiveContainer width="95%" height={400}>
+                        <BarChart
+                            data={stackedData}
+                            layout="vertical"
+                            margin={{ top: 5, right: 30, left: 150, bottom: 5 }}
+                            onClick={(e) =>
+                                e?.activeLabel &&
+                                e.activeLabel !== UNKNOWN &&
+                                onStaffClick &&
+                                onStaffClick(e.activeLabel)
+                            }
+                        >
+                            <CartesianGrid strokeDasharray="3 3" />
+                            <XAxis type="number" allowDecimals={false} />
+                            <YAxis
+                                dataKey="staff"
+                                type="category"
+                                width={140}
+                            />
+                            <Tooltip />
+                            <Legend />
+                            {actionAxis.map((action, index) => (
+                                <Bar
+                                    key={action.name}
+                                    // Action names may contain dots, which
+                                    // a string dataKey treats as a path
+                                    dataKey={(entry) => entry[action.name]}
+                                    name={action.name}
+                                    stackId="actions"
+                                    fill={COLORS[index % COLORS.length]}
+                                />
+                            ))}
+                        </BarChart>
+                    </ResponsiveContainer>
+
+                    <h3>Heatmap</h3>
+                    <div style={{ marginBottom: '10px' }}>
+                        <label>
+                            Cell value:{' '}
+                            <select
+                                value={metric}
+                                onChange={(e) => setMetric(e.target.value)}
+                            >
+                                <option value="count">Action count</option>
+                                <option value="avg">
+                                    Avg. duration ({unit})
+                                </option>
+                            </select>
+                        </label>
+                        <span
+                            style={{
+                                marginLeft: '10px',
+                                fontSize: '0.9em',
+                                color: '#555',
+                            }}
+                        >
+                            Click a header to toggle sorting, a cell to list its
+                            rows.
+                        </span>
+                    </div>
+                    <div style={{ overflowX: 'auto' }}>
+                        <table style={{ borderCollapse: 'collapse' }}>
+                            <thead>
+                                <tr>
+                                    <th
+                                        style={{ cursor: 'pointer' }}
+                                        onClick={() =>
+                                            toggleSort(staffSort, setStaffSort)
+                                        }
+                                    >
+                                        Staff{' '}
+                                        {staffSort === 'total' ? '▼#' : '▲A'}
+                                    </th>
+                                    {actionAxis.map((action) => (
+                                        <th
+                                            key={action.name}
+                                            style={{ cursor: 'pointer' }}
+                                            onClick={() =>
+                                                toggleSort(
+                                                    actionSort,
+                                                    setActionSort
+                                                )
+                                            }
+                                        >
+                                            {action.name}
+                                        </th>
+                                    ))}
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {staffAxis.map((staff) => (
+                                    <tr key={staff.name}>
+                                        <th style={{ textAlign: 'left' }}>
+                                            {staff.name}
+                                        </th>
+                                        {actionAxis.map((action) => {
+                                            const cell =
+                                                crossTab.cells[staff.name]?.[
+                                                    action.name
+                                                ];
+                                            const value =
+                                                metric === 'count'
+                                                    ? cell?.count
+                                                    : cell?.avgDurationDays;
+                                            const isSelected =
+                                                selectedCell?.staff ===
+                                                    staff.name &&
+                                                selectedCell?.action ===
+                                                    action.name;
+                                            return (
+                                                <td
+                                                    key={action.name}
+                                                    title={cellTitle(
+                                                        cell,
+                                                        unit
+                                                    )}
+                                                    onClick={() =>
+                                                        cell &&
+                                                        setSelectedCell({
+                                                            staff: staff.name,
+                                                            action: action.name,
+                                                        })
+                                                    }
+                                                    style={{
+                                                        minWidth: '50px',
+                                                        textAlign: 'center',
+                                                        cursor: cell
+                                                            ? 'pointer'
+                                                            : 'default',
+                                                        background: heatColor(
+                                                            value,
+                                                            metric === 'count'
+                                                                ? crossTab.maxCount
+                                                                : crossTab.maxAvg
+                                                        ),
+                                                        outline: isSelected
+                                                            ? '2px solid #db2828'
+                                                            : 'none',
+                                                    }}
+                                                >
+                                                    {value === undefined ||
+                                                    value === null
+                                                        ? ''
+                                                        : metric === 'count'
+                                                        ? value
+                                                        : value.toFixed(1)}
+                                                </td>
+                                            );
+                                        })}
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+
+                    {selectedCell && (
+                        <div style={{ marginTop: '15px' }}>
+                            <h4>
+                                {selectedCell.staff} / {selectedCell.action}:{' '}
+                                {result.selectedCount} rows
+                                <button
+                                    onClick={() => setSelectedCell(null)}
+                                    style={{ marginLeft: '10px' }}
+                                >
+                                    Close
+                                </button>
+                            </h4>
+                            <table style={{ borderCollapse: 'collapse' }}>
+                                <thead>
+                                    <tr>
+                                        <th>ID</th>
+                                        <th>Reference</th>
+                                        <th>Created</th>
+                                        <th>Action Date</th>
+                                        <th>Duration ({unitTitle})</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {result.selectedRows.map((row, i) => (
+                                        <tr key={i}>
+                                            <td>
+                                                {getRoleValue(
+                                                    row,
+                                                    mapping,
+                                                    'id'
+                                                )}
+                                            </td>
+                                            <td>
+                                                {getRoleValue(
+                                                    row,
+                                                    mapping,
+                                                    'reference'
+                                                )}
+                                            </td>
+                                            <td>
+                                                {formatDate(
+                                                    row.createdDateValid
+                                                )}
+                                            </td>
+                                            <td>
+                                                {formatDate(
+                                                    row.actionDateValid
+                                                )}
+                                            </td>
+                                            <td
+                                                style={{
+                                                    textAlign: 'right',
+                                                }}
+                                            >
+                                                {row.durationDays ?? ''}
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                            {result.selectedCount > ROW_LIST_LIMIT && (
+                                <p style={{ fontSize: '0.9em', color: '#555' }}>
+                                    Showing the first {ROW_LIST_LIMIT} rows.
+                                </p>
+                            )}
+                        </div>
+                    )}
+                </>
+            )}
+        </section>
+    );
+};
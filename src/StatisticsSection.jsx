@@ -0,0 +1,195 @@
+import React from 'react';
+import { getRoleHeader } from './columnMapping';
+
+const STAFF_LIMIT = 20;
+
+const formatNumber = (value, digits = 1) =>
+    value === null || value === undefined ? '—' : value.toFixed(digits);
+
+const formatInterval = (interval) =>
+    interval
+        ? `${formatNumber(interval.low)} – ${formatNumber(interval.high)}`
+        : '—';
+
+const formatPValue = (p) => (p < 0.001 ? '< 0.001' : p.toFixed(3));
+
+// Rough reading of eta squared (Cohen's conventions)
+const effectLabel = (etaSquared) => {
+    if (etaSquared >= 0.14) return 'large';
+    if (etaSquared >= 0.06) return 'medium';
+    if (etaSquared >= 0.01) return 'small';
+    return 'negligible';
+};
+
+const SummaryRow = ({ label, stats, confidence }) => (
+    <tr>
+        <td>{label}</td>
+        {[
+            stats.average,
+            stats.median,
+            stats.trimmedMean,
+            stats.stdDev,
+            stats.p75,
+            stats.p90,
+            stats.p95,
+            stats.min,
+            stats.max,
+        ].map((value, i) => (
+            <td key={i} style={{ textAlign: 'right' }}>
+                {stats.count ? formatNumber(value) : '—'}
+            </td>
+        ))}
+        <td style={{ textAlign: 'right' }}>{stats.count}</td>
+        <td style={{ textAlign: 'right' }}>
+            {formatInterval(confidence?.mean)}
+        </td>
+        <td style={{ textAlign: 'right' }}>
+            {formatInterval(confidence?.median)}
+        </td>
+    </tr>
+);
+
+// --- Statistical Summary: percentiles, confidence intervals, staff ANOVA ---
+export const StatisticsSection = ({ aggregates, mapping, unit }) => {
+    const {
+        durationStats,
+        durationConfidence,
+        registrationToActionDuration,
+        staffDurationAnova,
+    } = aggregates;
+    const { anova, groups, countCorrelation, testedGroups } =
+        staffDurationAnova;
+    const iterations =
+        durationConfidence.mean?.iterations ||
+        durationConfidence.median?.iterations;
+
+    return (
+        <section
+            style={{
+                marginBottom: '40px',
+                borderBottom: '1px solid #eee',
+                paddingBottom: '20px',
+            }}
+        >
+            <h2>Statistical Summary</h2>
+            <p>
+                All values in {unit}. The trimmed mean leaves out the lowest and
+                highest 10% of values.
+                {iterations &&
+                    ` Confidence intervals are 95% percentile bootstrap intervals from ${iterations} resamples.`}
+            </p>
+            <div style={{ overflowX: 'auto', marginBottom: '30px' }}>
+                <table style={{ borderCollapse: 'collapse' }}>
+                    <thead>
+                        <tr>
+                            <th />
+                            <th>Mean</th>
+                            <th>Median</th>
+                            <th>Trimmed Mean</th>
+                            <th>Std. Dev.</th>
+                            <th>P75</th>
+                            <th>P90</th>
+                            <th>P95</th>
+                            <th>Min</th>
+                            <th>Max</th>
+                            <th>Count</th>
+                            <th>Mean 95% CI</th>
+                            <th>Median 95% CI</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        <SummaryRow
+                            label="Processing duration"
+                            stats={durationStats}
+                            confidence={durationConfidence}
+                        />
+                        {mapping?.registration && (
+                            <SummaryRow
+                                label="Registration to action"
+                                stats={registrationToActionDuration}
+                            />
+                        )}
+                    </tbody>
+                </table>
+            </div>
+
+            <h3>Staff vs. Duration</h3>
+            {!mapping?.staff ? (
+                <p>
+                    Map a Staff column to test whether staff explain duration.
+                </p>
+            ) : !anova ? (
+                <p>
+                    At least two staff members with two or more durations each
+                    are needed for the analysis of variance.
+                </p>
+            ) : (
+                <>
+                    <p>
+                        One-way ANOVA of the duration by{' '}
+                        {getRoleHeader(mapping, 'staff')} over {testedGroups}{' '}
+                        staff members: F({anova.dfBetween}, {anova.dfWithin}) ={' '}
+                        {formatNumber(anova.f, 2)}, p ={' '}
+                        {formatPValue(anova.pValue)}. The staff member explains{' '}
+                        {(anova.etaSquared * 100).toFixed(1)}% of the variance
+                        in duration (η² = {formatNumber(anova.etaSquared, 3)},{' '}
+                        {effectLabel(anova.etaSquared)} effect
+                        {anova.pValue < 0.05
+                            ? ', significant at the 5% level'
+                            : ', not significant at the 5% level'}
+                        ).
+                    </p>
+                    {countCorrelation !== null && (
+                        <p>
+                            Correlation between a staff member's number of
+                            actions and their mean duration: r ={' '}
+                            {formatNumber(countCorrelation, 2)}.
+                        </p>
+                    )}
+                </>
+            )}
+            {mapping?.staff && groups.length > 0 && (
+                <details>
+                    <summary style={{ cursor: 'pointer' }}>
+                        Duration per staff member (slowest {STAFF_LIMIT})
+                    </summary>
+                    <table style={{ borderCollapse: 'collapse' }}>
+                        <thead>
+                            <tr>
+                                <th>Staff</th>
+                                <th>Count</th>
+                                <th>Mean</th>
+                                <th>Median</th>
+                                <th>Std. Dev.</th>
+                                <th>P90</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {groups.slice(0, STAFF_LIMIT).map((group) => (
+                                <tr key={group.staff}>
+                                    <td>{group.staff}</td>
+                                    <td style={{ textAlign: 'right' }}>
+                                        {group.count}
+                                    </td>
+                                    {[
+                                        group.average,
+                                        group.median,
+                                        group.stdDev,
+                                        group.p90,
+                                    ].map((value, i) => (
+                                        <td
+                                            key={i}
+                                            style={{ textAlign: 'right' }}
+                                        >
+                                            {formatNumber(value)}
+                                        </td>
+                                    ))}
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </details>
+            )}
+        </section>
+    );
+};
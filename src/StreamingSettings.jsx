@@ -0,0 +1,55 @@
+import React from 'react';
+
+const BOUNDED_HINT =
+    'Rows of larger files are not kept in memory. Only aggregate charts ' +
+    'are available for them, and every change of the mapping or the ' +
+    'filters reads the file again.';
+
+// What is still kept for every row of a bounded file (see streaming.js)
+const BOUNDED_LIMIT =
+    'IDs and durations are still kept for every row, some tens of bytes ' +
+    'per row, so files with tens of millions of rows can still run out ' +
+    'of memory.';
+
+// --- Chart refresh interval and memory bound of streamed loading ---
+export const StreamingSettings = ({ settings, onChange, disabled }) => {
+    const update = (key, value) => {
+        const number = Number(value);
+        if (Number.isFinite(number) && number > 0) {
+            onChange({ ...settings, [key]: number });
+        }
+    };
+
+    return (
+        <div style={{ marginTop: '8px', fontSize: '0.9em', color: '#555' }}>
+            <label style={{ marginRight: '15px' }}>
+                Refresh charts every{' '}
+                <input
+                    type="number"
+                    min={1000}
+                    step={1000}
+                    value={settings.refreshRows}
+                    onChange={(e) => update('refreshRows', e.target.value)}
+                    disabled={disabled}
+                    style={{ width: '90px' }}
+                />{' '}
+                rows while loading
+            </label>
+            <label title={BOUNDED_HINT}>
+                Keep only aggregates for files over{' '}
+                <input
+                    type="number"
+                    min={1}
+                    value={settings.boundedThresholdMb}
+                    onChange={(e) =>
+                        update('boundedThresholdMb', e.target.value)
+                    }
+                    disabled={disabled}
+                    style={{ width: '70px' }}
+                />{' '}
+                MB
+            </label>
+            <div style={{ marginTop: '4px' }}>{BOUNDED_LIMIT}</div>
+        </div>
+    );
+};
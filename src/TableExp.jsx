@@ -12,7 +12,9 @@ import {
     getExpandedRowModel,
     flexRender,
 } from '@tanstack/react-table';
+import { format } from 'date-fns';
 import { makeData } from './makeData';
+import { isWithinRange } from './tableFilters';
 
 export const TableExp = () => {
     const rerender = React.useReducer(() => ({}), {})[1];
@@ -262,14 +264,55 @@ export const TableExp = () => {
     );
 };
 
-function Filter({ column, table }) {
+const toDateInputValue = (date) =>
+    date instanceof Date ? format(date, 'yyyy-MM-dd') : '';
+
+export function Filter({ column, table }) {
     const firstValue = table
         .getPreFilteredRowModel()
         .flatRows[0]?.getValue(column.id);
 
     const columnFilterValue = column.getFilterValue();
 
-    return typeof firstValue === 'number' ? (
+    // Decided by the column, not its first value: rows with an unparsable
+    // date hold null there
+    if (column.columnDef.filterFn === 'isWithinRange') {
+        // isWithinRange expects [start, end] as Date objects
+        return (
+            <div className="flex space-x-2">
+                <input
+                    type="date"
+                    value={toDateInputValue(columnFilterValue?.[0])}
+                    onChange={(e) =>
+                        column.setFilterValue((old) => [
+                            e.target.value
+                                ? new Date(`${e.target.value}T00:00:00`)
+                                : undefined,
+                            old?.[1],
+                        ])
+                    }
+                    className="w-36 border shadow rounded"
+                />
+                <input
+                    type="date"
+                    value={toDateInputValue(columnFilterValue?.[1])}
+                    onChange={(e) =>
+                        column.setFilterValue((old) => [
+                            old?.[0],
+                            e.target.value
+                                ? new Date(`${e.target.value}T23:59:59`)
+                                : undefined,
+                        ])
+                    }
+                    className="w-36 border shadow rounded"
+                />
+            </div>
+        );
+    }
+
+    // Tables paged elsewhere have no rows to look at, only the definition
+    return column.columnDef.filterFn === 'inNumberRange' ||
+        typeof firstValue === 'number' ? (
         <div className="flex space-x-2">
             <input
                 type="number"
@@ -300,19 +343,3 @@ function Filter({ column, table }) {
         />
     );
 }
-
-const isWithinRange = (row, columnId, value) => {
-    const date = row.getValue(columnId);
-    const [start, end] = value; // value => two date input values
-    //If one filter defined and date is null filter it
-    if ((start || end) && !date) return false;
-    if (start && !end) {
-        return date.getTime() >= start.getTime();
-    } else if (!start && end) {
-        return date.getTime() <= end.getTime();
-    } else if (start && end) {
-        return (
-            date.getTime() >= start.getTime() && date.getTime() <= end.getTime()
-        );
-    } else return true;
-};
@@ -0,0 +1,252 @@
+import { format, isValid } from 'date-fns';
+import { getRoleValue } from './columnMapping';
+import { createDurationMeasure } from './businessCalendar';
+import {
+    mean,
+    summarize,
+    bootstrapCI,
+    oneWayAnova,
+    pearsonCorrelation,
+} from './statistics';
+
+// --- Core aggregations of the History dashboard ---
+// Built by an aggregator that takes one processed row at a time, so the same
+// code serves whole datasets and streamed files whose rows are not kept.
+// Everything runs in the analysis worker.
+
+// Bootstrap draws are capped so large datasets stay responsive; small ones
+// get the full number of iterations
+const BOOTSTRAP_DRAWS = 5000000;
+const BOOTSTRAP_ITERATIONS = { min: 100, max: 1000 };
+
+// `durations` are the durations of the rows, sorted ascending
+export const computeDurationConfidence = (durations) => {
+    const iterations = Math.max(
+        BOOTSTRAP_ITERATIONS.min,
+        Math.min(
+            BOOTSTRAP_ITERATIONS.max,
+            Math.floor(BOOTSTRAP_DRAWS / Math.max(durations.length, 1))
+        )
+    );
+    return {
+        mean: bootstrapCI(durations, 'mean', { iterations }),
+        median: bootstrapCI(durations, 'median', { iterations }),
+    };
+};
+
+export const computeDurationHistogram = (durations) => {
+    if (!durations.length) return [];
+    // Sorted ascending; spreading huge arrays into Math.max overflows
+    const maxDuration = durations[durations.length - 1] || 0;
+    let binSize;
+    let unit = 'day(s)';
+
+    if (maxDuration <= 1) {
+        binSize = 1;
+        unit = 'day(s) (0-1)';
+    } else if (maxDuration <= 14) {
+        binSize = 1;
+    } else if (maxDuration <= 60) {
+        binSize = 7;
+        unit = 'week(s)';
+    } else if (maxDuration <= 365) {
+        binSize = 30;
+        unit = 'month(s)';
+    } else {
+        binSize = 90;
+        unit = 'quarter(s)';
+    }
+    binSize = Math.max(binSize, 1);
+
+    const bins = {};
+    let maxBinValue = 0;
+
+    durations.forEach((duration) => {
+        const binIndex = Math.floor(duration / binSize);
+        const binStart = binIndex * binSize;
+        const binEnd = binStart + binSize - 1;
+        const binName = unit.includes('day(s)')
+            ? binSize === 1
+                ? `${binStart} day(s)`
+                : `${binStart}-${binEnd} days`
+            : binSize === 7
+            ? `Week ${binIndex + 1} (~${binStart}-${binEnd}d)`
+            : `${binStart}-${binEnd} days`;
+        bins[binName] = (bins[binName] || 0) + 1;
+        maxBinValue = Math.max(maxBinValue, binStart);
+    });
+
+    const sortedBins = [];
+    for (let i = 0; i <= maxBinValue; i += binSize) {
+        const binStart = i;
+        const binEnd = binStart + binSize - 1;
+        const binName = unit.includes('day(s)')
+            ? binSize === 1
+                ? `${binStart} day(s)`
+                : `${binStart}-${binEnd} days`
+            : binSize === 7
+            ? `Week ${Math.floor(i / binSize) + 1} (~${binStart}-${binEnd}d)`
+            : `${binStart}-${binEnd} days`;
+        sortedBins.push({
+            range: binName,
+            count: bins[binName] || 0,
+            start: binStart,
+            end: binEnd,
+        });
+    }
+
+    if (maxDuration <= 1 && binSize === 1 && sortedBins.length > 1) {
+        const combinedCount = sortedBins.reduce(
+            (sum, bin) => sum + bin.count,
+            0
+        );
+        return [
+            { range: `0-1 day(s)`, count: combinedCount, start: 0, end: 1 },
+        ];
+    } else if (maxDuration <= 1 && binSize === 1) {
+        if (sortedBins.length === 0)
+            return [{ range: '0 day(s)', count: 0, start: 0, end: 0 }];
+        sortedBins[0].range = `0-1 day(s)`;
+        sortedBins[0].end = 1;
+        return sortedBins;
+    }
+
+    return sortedBins;
+};
+
+const rankCounts = (counts, nameKey, valueKey) =>
+    Object.entries(counts)
+        .map(([name, value]) => ({ [nameKey]: name, [valueKey]: value }))
+        .sort((a, b) => b[valueKey] - a[valueKey]);
+
+// Per-staff averages and counts over the rows with a valid duration
+const staffActivityFrom = (staffDurations) => {
+    const entries = Object.entries(staffDurations);
+    return {
+        durations: entries
+            .map(([staff, durations]) => ({
+                staff,
+                avgDurationDays: mean(durations),
+            }))
+            .sort((a, b) => b.avgDurationDays - a.avgDurationDays),
+        counts: entries
+            .map(([staff, durations]) => ({ staff, count: durations.length }))
+            .sort((a, b) => b.count - a.count),
+    };
+};
+
+// Does the staff member explain the duration? One-way ANOVA of durationDays
+// grouped by staff, plus the correlation between a staff member's number of
+// actions and their average duration. Staff with a single duration are left
+// out of the ANOVA.
+const staffDurationAnovaFrom = (staffDurations) => {
+    const groups = Object.entries(staffDurations)
+        .map(([staff, durations]) => ({
+            staff,
+            ...summarize([...durations]),
+        }))
+        .sort((a, b) => b.average - a.average);
+    const tested = Object.values(staffDurations).filter((d) => d.length > 1);
+    return {
+        groups,
+        anova: oneWayAnova(tested),
+        testedGroups: tested.length,
+        countCorrelation: pearsonCorrelation(
+            groups.map((group) => group.count),
+            groups.map((group) => group.average)
+        ),
+    };
+};
+
+// Days from the registration to the action of a row, null without both
+// dates or when the action comes first
+const registrationToActionDays = (row, measure) => {
+    const regDate = row.registrationDateValid;
+    const actionDate = row.actionDateValid;
+    if (!regDate || !actionDate || !isValid(regDate) || !isValid(actionDate)) {
+        return null;
+    }
+    const diffDays = measure.days(regDate, actionDate);
+    return diffDays >= 0 ? diffDays : null;
+};
+
+// Accumulates the aggregations row by row. Memory grows with the
+// durations, which are kept overall and per staff member; the result only
+// has their statistics, so it stays small enough to post to the main
+// thread. result() can be called repeatedly while rows are still being
+// added; `confidence: false` skips the bootstrap, which is the slowest part.
+export const createAggregator = (mapping, durationSettings) => {
+    const measure = createDurationMeasure(durationSettings);
+    const monthCounts = {};
+    const durations = [];
+    const staffDurations = {};
+    const actionCounts = {};
+    const registrationDays = [];
+
+    const add = (row) => {
+        if (row.createdDateValid) {
+            const monthYear = format(row.createdDateValid, 'yyyy-MM');
+            monthCounts[monthYear] = (monthCounts[monthYear] || 0) + 1;
+        }
+
+        const duration = row.durationDays;
+        const hasDuration = duration !== null && duration >= 0;
+        if (hasDuration) durations.push(duration);
+
+        const staff = getRoleValue(row, mapping, 'staff');
+        if (staff && hasDuration) {
+            if (!staffDurations[staff]) staffDurations[staff] = [];
+            staffDurations[staff].push(duration);
+        }
+
+        const action = getRoleValue(row, mapping, 'action');
+        if (action) actionCounts[action] = (actionCounts[action] || 0) + 1;
+
+        const regToActionDays = registrationToActionDays(row, measure);
+        if (regToActionDays !== null) registrationDays.push(regToActionDays);
+    };
+
+    const result = ({ confidence = true } = {}) => {
+        // Summary statistics of durationDays; sorts `durations` ascending
+        const durationStats = summarize(durations);
+        return {
+            monthlyCreations: rankCounts(monthCounts, 'month', 'count').sort(
+                (a, b) => a.month.localeCompare(b.month)
+            ),
+            durationStats,
+            durationHistogramData: computeDurationHistogram(durations),
+            durationConfidence: confidence
+                ? computeDurationConfidence(durations)
+                : { mean: null, median: null },
+            staffDurationAnova: staffDurationAnovaFrom(staffDurations),
+            staffActivity: staffActivityFrom(staffDurations),
+            actionTypeCounts: rankCounts(actionCounts, 'name', 'value'),
+            registrationToActionDuration: summarize([...registrationDays]),
+        };
+    };
+
+    return { add, result };
+};
+
+// Registration to action of every row that has it, for the report export.
+// Computed on request in the worker (see sectionQueries.js), as it is a list
+// as long as the rows.
+export const computeRegistrationToAction = (rows, mapping, measure) =>
+    rows.flatMap((row) => {
+        const regToActionDays = registrationToActionDays(row, measure);
+        return regToActionDays === null
+            ? []
+            : [
+                  {
+                      id: getRoleValue(row, mapping, 'id'),
+                      reference: getRoleValue(row, mapping, 'reference'),
+                      regToActionDays,
+                  },
+              ];
+    });
+
+export const computeAggregations = (rows, mapping, durationSettings) => {
+    const aggregator = createAggregator(mapping, durationSettings);
+    rows.forEach(aggregator.add);
+    return aggregator.result();
+};
@@ -0,0 +1,431 @@
+import {
+    loadCsvFile,
+    streamLoadedFile,
+    describeLoadedFile,
+    mergeCsvFiles,
+    mergeHeaders,
+} from './csvLoader';
+import { detectDateFormats, processRows } from './historyData';
+import { EMPTY_FILTERS, applyFilters } from './filters';
+import { computeAggregations } from './aggregations';
+import { computeComparison } from './comparison';
+import { createQualityReport } from './dataQuality';
+import {
+    DEFAULT_STREAMING_SETTINGS,
+    isBoundedFile,
+    pickPreviewMapping,
+    createStreamingAnalysis,
+} from './streaming';
+import {
+    createDatasetId,
+    saveDatasetFiles,
+    loadDatasetFiles,
+    markDatasetUsed,
+} from './datasetStore';
+import { createSectionSource, runSectionQuery } from './sectionQueries';
+
+// --- Background worker: CSV parsing and the core aggregations ---
+// The rows stay in the worker; the main thread gets file metadata and the
+// aggregates of an analysis. The sections that need the analyzed (filtered)
+// rows query them per section (see sectionQueries.js), tagged with the
+// `version` of the analysis they draw.
+//
+// Loaded files are saved as a dataset in IndexedDB after every change.
+//
+// While files load, their rows are aggregated as they are parsed and a
+// partial result is posted every `refreshRows` rows. Files above the
+// streaming threshold keep no rows (see streaming.js); as long as one is
+// loaded, analyses parse them again and return aggregates only.
+//
+// Messages in:  load {jobId, files, mapping, savedMappings,
+//               durationSettings, streaming}, remove {jobId, name},
+//               clear {jobId}, open {jobId, datasetId}, analyze {jobId,
+//               mapping, filters, durationSettings, comparison},
+//               exportQuality {jobId}, query {jobId, kind, params,
+//               version}, cancel
+// Messages out: progress, partial {result}, loaded {files, dataset,
+//               persistError}, analyzed {result}, exported {text},
+//               queried {result}, cancelled, error
+
+let files = [];
+// Bumped whenever `files` changes, to invalidate the processed-rows cache
+let filesVersion = 0;
+let cancelRequested = false;
+let processedCache = null;
+// Dataset the current files are saved to
+let datasetId = null;
+// Bumped by every analysis request, so a superseded streamed analysis stops
+let analysisVersion = 0;
+// Last streamed analysis, reused while neither files nor settings change
+let streamCache = null;
+// Data quality report of the last analysis, for the CSV download
+let currentQuality = null;
+// Rows of the last in-memory analysis, for the section queries
+let sectionSource = null;
+
+// The worker's global scope
+// eslint-disable-next-line no-restricted-globals
+const scope = self;
+
+const reply = (message) => scope.postMessage(message);
+
+const filesMeta = () => files.map(describeLoadedFile);
+
+const setFiles = (nextFiles) => {
+    files = nextFiles;
+    filesVersion += 1;
+    processedCache = null;
+    streamCache = null;
+    currentQuality = null;
+    sectionSource = null;
+};
+
+// A failed save (e.g. storage quota) does not fail the load itself
+const persistFiles = async () => {
+    if (!files.length) {
+        datasetId = null;
+        return { dataset: null };
+    }
+    if (!datasetId) datasetId = createDatasetId();
+    try {
+        return { dataset: await saveDatasetFiles(datasetId, files) };
+    } catch (err) {
+        console.error('Dataset Save Error:', err);
+        return { dataset: null, persistError: err.message };
+    }
+};
+
+const replyLoaded = async (jobId) =>
+    reply({
+        type: 'loaded',
+        jobId,
+        files: filesMeta(),
+        ...(await persistFiles()),
+    });
+
+const openDataset = async (jobId, id) => {
+    setFiles(await loadDatasetFiles(id));
+    datasetId = id;
+    reply({
+        type: 'loaded',
+        jobId,
+        files: filesMeta(),
+        dataset: await markDatasetUsed(id),
+    });
+};
+
+const settingsKey = (mapping, durationSettings, filters) =>
+    JSON.stringify([mapping, durationSettings, filters]);
+
+// Files are parsed one after another; a file with the same name as an
+// already loaded one replaces it. A cancelled batch is discarded entirely.
+// The preview aggregates the new files unfiltered, with the first mapping
+// that fits their headers (see pickPreviewMapping).
+const loadFiles = async (
+    jobId,
+    {
+        files: selected,
+        mapping,
+        savedMappings,
+        durationSettings,
+        streaming = DEFAULT_STREAMING_SETTINGS,
+    }
+) => {
+    cancelRequested = false;
+    const isCancelled = () => cancelRequested;
+    const loaded = [];
+    // Undefined until the first rows arrive; null when no mapping fits
+    let preview;
+    let rowsSinceRefresh = 0;
+
+    const previewRows = (rows, headers, fileName) => {
+        if (preview === undefined) {
+            const previewMapping = pickPreviewMapping(
+                headers,
+                mapping,
+                savedMappings
+            );
+            preview = previewMapping && {
+                mapping: previewMapping,
+                analysis: createStreamingAnalysis({
+                    mapping: previewMapping,
+                    durationSettings,
+                    filters: EMPTY_FILTERS,
+                }),
+            };
+        }
+        if (!preview) return;
+        preview.analysis.addRows(rows, fileName);
+        rowsSinceRefresh += rows.length;
+        if (rowsSinceRefresh < streaming.refreshRows) return;
+        rowsSinceRefresh = 0;
+        reply({
+            type: 'partial',
+            jobId,
+            result: {
+                ...preview.analysis.snapshot({ confidence: false }),
+                mapping: preview.mapping,
+                preview: true,
+            },
+        });
+    };
+
+    for (let fileIndex = 0; fileIndex < selected.length; fileIndex++) {
+        const file = selected[fileIndex];
+        const result = await loadCsvFile(file, {
+            isCancelled,
+            keepRows: !isBoundedFile(file, streaming),
+            onRows: (rows, headers) => previewRows(rows, headers, file.name),
+            onProgress: ({ rowsParsed, percent }) =>
+                reply({
+                    type: 'progress',
+                    jobId,
+                    progress: {
+                        fileName: file.name,
+                        fileIndex,
+                        fileCount: selected.length,
+                        rowsParsed,
+                        percent,
+                    },
+                }),
+        });
+        if (result.cancelled || isCancelled()) {
+            reply({ type: 'cancelled', jobId });
+            return;
+        }
+        loaded.push(result);
+    }
+    const names = loaded.map((file) => file.name);
+    setFiles([
+        ...files.filter((file) => !names.includes(file.name)),
+        ...loaded,
+    ]);
+    // When the new files are all there is, the preview already is the
+    // unfiltered analysis of its mapping, so a bounded file is not parsed
+    // a second time right away
+    if (
+        preview &&
+        files.length === loaded.length &&
+        loaded.every((file) => !file.error)
+    ) {
+        streamCache = {
+            filesVersion,
+            key: settingsKey(preview.mapping, durationSettings, EMPTY_FILTERS),
+            analysis: preview.analysis,
+        };
+    }
+    await replyLoaded(jobId);
+};
+
+// Merging, date detection and row processing only depend on the files, the
+// mapping and the duration settings, so they are reused while only the
+// filters change
+const getProcessedRows = (mapping, durationSettings) => {
+    const key = settingsKey(mapping, durationSettings);
+    if (
+        processedCache &&
+        processedCache.filesVersion === filesVersion &&
+        processedCache.key === key
+    ) {
+        return processedCache;
+    }
+    const loadedFiles = files.filter((file) => !file.error);
+    const quality = createQualityReport(mapping);
+    const { rows: rawRows, duplicatesByFile } = mergeCsvFiles(
+        loadedFiles,
+        mapping,
+        quality
+    );
+    const dateFormats = detectDateFormats(rawRows, mapping);
+    const { rows, dateReport } = processRows(
+        rawRows,
+        mapping,
+        dateFormats,
+        durationSettings,
+        quality
+    );
+    let latestCreated = null;
+    rows.forEach((row) => {
+        if (row.createdDateValid && row.createdDateValid > latestCreated) {
+            latestCreated = row.createdDateValid;
+        }
+    });
+    processedCache = {
+        filesVersion,
+        key,
+        rows,
+        latestCreated,
+        rawCount: rawRows.length,
+        dateReport,
+        duplicatesByFile,
+        quality,
+    };
+    return processedCache;
+};
+
+// Bounded files are parsed again chunk by chunk; the rows of the other files
+// go through the same pipeline, in file order. There are no rows to return,
+// so the rows-based sections and the comparison are left out.
+const analyzeStreaming = async (
+    jobId,
+    { mapping, filters, durationSettings },
+    version
+) => {
+    const key = settingsKey(mapping, durationSettings, filters);
+    if (streamCache?.filesVersion !== filesVersion || streamCache.key !== key) {
+        const isCancelled = () => version !== analysisVersion;
+        const analysis = createStreamingAnalysis({
+            mapping,
+            durationSettings,
+            filters,
+        });
+        const loadedFiles = files.filter((file) => !file.error);
+        for (let fileIndex = 0; fileIndex < loadedFiles.length; fileIndex++) {
+            const file = loadedFiles[fileIndex];
+            if (!file.bounded) {
+                analysis.addRows(file.rows, file.name);
+                continue;
+            }
+            let rowsParsed = 0;
+            const { cancelled } = await streamLoadedFile(file, {
+                isCancelled,
+                onRows: (rows) => {
+                    rowsParsed += rows.length;
+                    analysis.addRows(rows, file.name);
+                },
+                onProgress: (percent) =>
+                    reply({
+                        type: 'progress',
+                        jobId,
+                        progress: {
+                            fileName: file.name,
+                            fileIndex,
+                            fileCount: loadedFiles.length,
+                            rowsParsed,
+                            percent,
+                        },
+                    }),
+            });
+            if (cancelled) {
+                reply({ type: 'cancelled', jobId });
+                return;
+            }
+        }
+        streamCache = { filesVersion, key, analysis };
+    }
+    currentQuality = streamCache.analysis.quality;
+    reply({
+        type: 'analyzed',
+        jobId,
+        result: streamCache.analysis.snapshot(),
+    });
+};
+
+const analyze = async (jobId, request) => {
+    analysisVersion += 1;
+    sectionSource = null;
+    if (files.some((file) => file.bounded && !file.error)) {
+        await analyzeStreaming(jobId, request, analysisVersion);
+        return;
+    }
+    const { mapping, filters, durationSettings, comparison } = request;
+    const processed = getProcessedRows(mapping, durationSettings);
+    currentQuality = processed.quality;
+    const rows = applyFilters(processed.rows, mapping, filters);
+    // Date periods replace the created-date filter
+    const comparisonRows =
+        comparison?.mode === 'dates'
+            ? applyFilters(processed.rows, mapping, {
+                  ...filters,
+                  dateFrom: null,
+                  dateTo: null,
+              })
+            : rows;
+    sectionSource = {
+        version: analysisVersion,
+        source: createSectionSource(rows, {
+            mapping,
+            durationSettings,
+            headers: mergeHeaders(files.filter((file) => !file.error)),
+        }),
+    };
+    reply({
+        type: 'analyzed',
+        jobId,
+        result: {
+            version: analysisVersion,
+            parsedCount: processed.rows.length,
+            filteredCount: rows.length,
+            latestCreated: processed.latestCreated,
+            rawCount: processed.rawCount,
+            dateReport: processed.dateReport,
+            duplicatesByFile: processed.duplicatesByFile,
+            quality: processed.quality.summary(),
+            aggregates: computeAggregations(rows, mapping, durationSettings),
+            comparison: comparison
+                ? computeComparison(
+                      comparisonRows,
+                      mapping,
+                      comparison,
+                      durationSettings
+                  )
+                : null,
+            aggregateOnly: false,
+        },
+    });
+};
+
+// Null unless the rows of analysis `version` are kept (it may be superseded,
+// or streamed without rows); superseded sections ask again
+const querySection = ({ kind, params, version }) =>
+    sectionSource && sectionSource.version === version
+        ? runSectionQuery(sectionSource.source, kind, params)
+        : null;
+
+scope.onmessage = async (event) => {
+    const { type, jobId } = event.data;
+    try {
+        switch (type) {
+            case 'load':
+                await loadFiles(jobId, event.data);
+                break;
+            case 'remove':
+                setFiles(files.filter((file) => file.name !== event.data.name));
+                await replyLoaded(jobId);
+                break;
+            case 'clear':
+                setFiles([]);
+                datasetId = null;
+                reply({ type: 'loaded', jobId, files: [], dataset: null });
+                break;
+            case 'open':
+                await openDataset(jobId, event.data.datasetId);
+                break;
+            case 'analyze':
+                await analyze(jobId, event.data);
+                break;
+            case 'exportQuality':
+                reply({
+                    type: 'exported',
+                    jobId,
+                    text: currentQuality ? currentQuality.toCsv() : '',
+                });
+                break;
+            case 'query':
+                reply({
+                    type: 'queried',
+                    jobId,
+                    result: querySection(event.data),
+                });
+                break;
+            case 'cancel':
+                cancelRequested = true;
+                break;
+            default:
+                console.error('Unknown analysis worker message:', type);
+        }
+    } catch (err) {
+        console.error('Analysis Worker Error:', err);
+        reply({ type: 'error', jobId, message: err.message });
+    }
+};
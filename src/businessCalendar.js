@@ -0,0 +1,309 @@
+import {
+    addDays,
+    differenceInCalendarDays,
+    differenceInDays,
+    differenceInHours,
+    format,
+    isValid,
+    parse,
+    startOfDay,
+} from 'date-fns';
+
+// --- Working calendar and business-time durations ---
+// In business mode durationDays counts the working days after the start day
+// up to and including the end day (Friday evening to Monday is 1), and
+// durationHours counts the hours inside the working-hours window.
+
+export const WEEKDAYS = [
+    { day: 1, label: 'Mon' },
+    { day: 2, label: 'Tue' },
+    { day: 3, label: 'Wed' },
+    { day: 4, label: 'Thu' },
+    { day: 5, label: 'Fri' },
+    { day: 6, label: 'Sat' },
+    { day: 0, label: 'Sun' },
+];
+
+export const DEFAULT_CALENDAR = {
+    workingDays: [1, 2, 3, 4, 5],
+    workStart: '08:00',
+    workEnd: '17:00',
+    lithuanianHolidays: true,
+    // Imported holidays: { date: 'yyyy-MM-dd' (one-off) or 'MM-dd'
+    // (every year), name }
+    holidays: [],
+};
+
+export const DEFAULT_DURATION_SETTINGS = {
+    mode: 'calendar',
+    calendar: DEFAULT_CALENDAR,
+};
+
+export const DURATION_MODES = {
+    calendar: { label: 'Calendar time', unit: 'days', unitTitle: 'Days' },
+    business: {
+        label: 'Business time',
+        unit: 'business days',
+        unitTitle: 'Business Days',
+    },
+};
+
+// Unit labels for the charts, e.g. "Duration (Business Days)"
+export const getDurationUnits = (settings) =>
+    DURATION_MODES[settings?.mode] || DURATION_MODES.calendar;
+
+// Western Easter Sunday (anonymous Gregorian algorithm)
+const easterSunday = (year) => {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+    return new Date(year, month - 1, day);
+};
+
+const firstSunday = (year, month) => {
+    const first = new Date(year, month, 1);
+    return addDays(first, (7 - first.getDay()) % 7);
+};
+
+// Public holidays of Lithuania (Labour Code, art. 123)
+export const lithuanianHolidays = (year) => {
+    const easter = easterSunday(year);
+    const fixed = [
+        ['01-01', 'New Year'],
+        ['02-16', 'Restoration of the State Day'],
+        ['03-11', 'Restoration of Independence Day'],
+        ['05-01', 'International Labour Day'],
+        ['06-24', 'St. John’s Day'],
+        ['07-06', 'Statehood Day'],
+        ['08-15', 'Assumption Day'],
+        ['11-01', 'All Saints’ Day'],
+        ['12-24', 'Christmas Eve'],
+        ['12-25', 'Christmas'],
+        ['12-26', 'Christmas (second day)'],
+    ];
+    if (year >= 2020) fixed.push(['11-02', 'All Souls’ Day']);
+    return [
+        ...fixed.map(([date, name]) => ({ date: `${year}-${date}`, name })),
+        { date: format(easter, 'yyyy-MM-dd'), name: 'Easter Sunday' },
+        {
+            date: format(addDays(easter, 1), 'yyyy-MM-dd'),
+            name: 'Easter Monday',
+        },
+        {
+            date: format(firstSunday(year, 4), 'yyyy-MM-dd'),
+            name: 'Mother’s Day',
+        },
+        {
+            date: format(firstSunday(year, 5), 'yyyy-MM-dd'),
+            name: 'Father’s Day',
+        },
+    ];
+};
+
+const parseTime = (value) => {
+    const [hours, minutes] = String(value || '0:0')
+        .split(':')
+        .map(Number);
+    return (hours || 0) + (minutes || 0) / 60;
+};
+
+// Fixed point for day numbers; only differences between them matter
+const DAY_ZERO = new Date(2000, 0, 1);
+
+// Builds the duration functions for the given settings. Working-day counts
+// are cached as a running total over the days seen so far, so measuring a
+// row costs O(1) once its date range is covered.
+export const createDurationMeasure = (settings) => {
+    if (settings?.mode !== 'business') {
+        return {
+            hoursPerDay: 24,
+            days: (start, end) => differenceInDays(end, start),
+            hours: (start, end) => differenceInHours(end, start),
+        };
+    }
+
+    const calendar = { ...DEFAULT_CALENDAR, ...settings.calendar };
+    const workingDays = new Set(calendar.workingDays);
+    const workStart = parseTime(calendar.workStart);
+    const workEnd = Math.max(parseTime(calendar.workEnd), workStart);
+    const hoursPerDay = workEnd - workStart;
+
+    const oneOffHolidays = new Set();
+    const yearlyHolidays = new Set();
+    calendar.holidays.forEach((holiday) => {
+        if (holiday.date.length === 5) yearlyHolidays.add(holiday.date);
+        else oneOffHolidays.add(holiday.date);
+    });
+    const holidayYears = new Set();
+    const addNationalHolidays = (year) => {
+        if (!calendar.lithuanianHolidays || holidayYears.has(year)) return;
+        holidayYears.add(year);
+        lithuanianHolidays(year).forEach((h) => oneOffHolidays.add(h.date));
+    };
+
+    const isWorkingDay = (date) => {
+        if (!workingDays.has(date.getDay())) return false;
+        addNationalHolidays(date.getFullYear());
+        const key = format(date, 'yyyy-MM-dd');
+        return !oneOffHolidays.has(key) && !yearlyHolidays.has(key.slice(5));
+    };
+
+    // cumulative[i] = working days in [base, base + i)
+    let base = null;
+    let cumulative = [0];
+    const extendTo = (dayNumber) => {
+        if (base === null) base = dayNumber;
+        if (dayNumber < base) {
+            // Rebuild from an earlier base, with a year of slack
+            const oldEnd = base + cumulative.length - 1;
+            base = dayNumber - 366;
+            cumulative = [0];
+            extendTo(oldEnd);
+            return;
+        }
+        while (base + cumulative.length - 1 < dayNumber) {
+            const day = base + cumulative.length - 1;
+            cumulative.push(
+                cumulative[cumulative.length - 1] +
+                    (isWorkingDay(addDays(DAY_ZERO, day)) ? 1 : 0)
+            );
+        }
+    };
+    // Working days in [fromDay, toDay)
+    const workingDaysBetween = (fromDay, toDay) => {
+        if (toDay <= fromDay) return 0;
+        // Extending to the earlier day first means the later one never
+        // moves the base
+        extendTo(fromDay);
+        extendTo(toDay);
+        return cumulative[toDay - base] - cumulative[fromDay - base];
+    };
+    const dayNumberOf = (date) => differenceInCalendarDays(date, DAY_ZERO);
+
+    // Working days d with start day < d <= end day
+    const days = (start, end) =>
+        workingDaysBetween(dayNumberOf(start) + 1, dayNumberOf(end) + 1);
+
+    const hourOfDay = (date) => (date - startOfDay(date)) / (60 * 60 * 1000);
+    const workedHoursOn = (date, from, to) => {
+        if (!isWorkingDay(date)) return 0;
+        return Math.max(Math.min(to, workEnd) - Math.max(from, workStart), 0);
+    };
+
+    const hours = (start, end) => {
+        if (end <= start) return 0;
+        const startDay = dayNumberOf(start);
+        const endDay = dayNumberOf(end);
+        if (startDay === endDay) {
+            return Math.floor(
+                workedHoursOn(start, hourOfDay(start), hourOfDay(end))
+            );
+        }
+        const fullDays = workingDaysBetween(startDay + 1, endDay);
+        return Math.floor(
+            workedHoursOn(start, hourOfDay(start), 24) +
+                fullDays * hoursPerDay +
+                workedHoursOn(end, 0, hourOfDay(end))
+        );
+    };
+
+    return { hoursPerDay, days, hours };
+};
+
+const parseHolidayDate = (value) => {
+    const text = String(value || '').trim();
+    if (/^\d{2}-\d{2}$/.test(text)) {
+        return isValid(parse(`2000-${text}`, 'yyyy-MM-dd', new Date()))
+            ? text
+            : null;
+    }
+    const date = parse(text, 'yyyy-MM-dd', new Date());
+    return isValid(date) ? format(date, 'yyyy-MM-dd') : null;
+};
+
+// Reads a holiday file: either JSON (a list of dates / {date, name}
+// objects, or a full calendar object) or text/CSV with one date per line
+// and an optional name in the second column. Returns the calendar with the
+// imported holidays added and the number of lines that were skipped.
+export const importCalendarFile = (text, calendar) => {
+    let entries;
+    let patch = {};
+    const trimmed = text.trim();
+    if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+        const json = JSON.parse(trimmed);
+        if (Array.isArray(json)) {
+            entries = json;
+        } else {
+            entries = json.holidays || [];
+            ['workingDays', 'workStart', 'workEnd', 'lithuanianHolidays']
+                .filter((key) => json[key] !== undefined)
+                .forEach((key) => {
+                    patch[key] = json[key];
+                });
+        }
+        entries = entries.map((entry) =>
+            typeof entry === 'string' ? { date: entry } : entry
+        );
+    } else {
+        entries = trimmed.split(/\r?\n/).map((line) => {
+            const [date, name] = line.split(/[,;\t]/);
+            return { date, name };
+        });
+    }
+
+    let skipped = 0;
+    const known = new Set(calendar.holidays.map((h) => h.date));
+    const holidays = [...calendar.holidays];
+    entries.forEach((entry) => {
+        const date = parseHolidayDate(entry.date);
+        if (!date) {
+            skipped += 1;
+            return;
+        }
+        if (known.has(date)) return;
+        known.add(date);
+        holidays.push({ date, name: (entry.name || '').trim() });
+    });
+    holidays.sort((a, b) => a.date.localeCompare(b.date));
+    return {
+        calendar: { ...calendar, ...patch, holidays },
+        imported: holidays.length - calendar.holidays.length,
+        skipped,
+    };
+};
+
+const STORAGE_KEY = 'dataAnalyzer.durationSettings';
+
+export const loadDurationSettings = () => {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        if (!saved) return DEFAULT_DURATION_SETTINGS;
+        return {
+            ...DEFAULT_DURATION_SETTINGS,
+            ...saved,
+            calendar: { ...DEFAULT_CALENDAR, ...saved.calendar },
+        };
+    } catch (e) {
+        console.error('Error reading duration settings:', e);
+        return DEFAULT_DURATION_SETTINGS;
+    }
+};
+
+export const saveDurationSettings = (settings) => {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+    } catch (e) {
+        console.error('Error saving duration settings:', e);
+    }
+};
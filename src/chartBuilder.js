@@ -0,0 +1,287 @@
+import { format, startOfQuarter, startOfYear } from 'date-fns';
+import { COLUMN_ROLES, getRoleValue } from './columnMapping';
+import { GRANULARITIES, DATE_FIELDS } from './workload';
+import { mean, median } from './statistics';
+
+// --- Chart builder: user-defined charts and saved dashboard layouts ---
+// A chart groups the rows by a dimension (a mapped column or a date bucket)
+// and plots one measure per group. Dashboards are plain JSON definitions,
+// so they can be saved, exported and imported.
+
+export const DASHBOARD_VERSION = 1;
+
+export const CHART_TYPES = {
+    bar: 'Bar',
+    line: 'Line',
+    pie: 'Pie',
+    treemap: 'Treemap',
+};
+
+export const MEASURES = {
+    count: { label: 'Count of rows', usesDuration: false },
+    sumDuration: { label: 'Sum of duration', usesDuration: true },
+    avgDuration: { label: 'Average duration', usesDuration: true },
+    medianDuration: { label: 'Median duration', usesDuration: true },
+};
+
+export const CHART_WIDTHS = { half: 'Half width', full: 'Full width' };
+
+export const CHART_HEIGHTS = { 250: 'Small', 350: 'Medium', 450: 'Large' };
+
+export const DATE_BUCKETS = {
+    ...GRANULARITIES,
+    quarter: { label: 'Quarter', start: startOfQuarter, key: "yyyy-'Q'Q" },
+    year: { label: 'Year', start: startOfYear, key: 'yyyy' },
+};
+
+// Groups beyond the limit of a category chart are merged into "Other"
+export const OTHER_GROUP = 'Other';
+const DEFAULT_LIMIT = 15;
+
+// Dimension ids: "role:<role key>" or "date:<date field>:<bucket>"
+export const listDimensions = (mapping) => {
+    const roles = COLUMN_ROLES.filter(
+        (role) => !role.isDate && mapping?.[role.key]
+    ).map((role) => ({
+        id: `role:${role.key}`,
+        label: `${role.label} (${mapping[role.key]})`,
+    }));
+    const dates = Object.entries(DATE_FIELDS).flatMap(([field, option]) =>
+        Object.entries(DATE_BUCKETS).map(([bucket, { label }]) => ({
+            id: `date:${field}:${bucket}`,
+            label: `${option.label} by ${label}`,
+        }))
+    );
+    return [...roles, ...dates];
+};
+
+const parseDimension = (id) => {
+    const [kind, key, bucket] = (id || '').split(':');
+    return { kind, key, bucket };
+};
+
+const isDateDimension = (id) => parseDimension(id).kind === 'date';
+
+// Group name of a row, or null when the row has no value for the dimension
+const dimensionValue = (row, mapping, dimension) => {
+    if (dimension.kind === 'role') {
+        return getRoleValue(row, mapping, dimension.key) || '(none)';
+    }
+    const date = row[DATE_FIELDS[dimension.key]?.field];
+    const bucket = DATE_BUCKETS[dimension.bucket];
+    return date && bucket ? format(bucket.start(date), bucket.key) : null;
+};
+
+const measureValue = (measure, group) => {
+    switch (measure) {
+        case 'sumDuration':
+            return group.durations.reduce((acc, val) => acc + val, 0);
+        case 'avgDuration':
+            return mean(group.durations);
+        case 'medianDuration':
+            return median([...group.durations].sort((a, b) => a - b));
+        default:
+            return group.count;
+    }
+};
+
+// [{name, value}] for a chart definition. Date buckets are in time order;
+// categories are largest first and capped at the chart's limit.
+export const computeChartData = (rows, mapping, chart) => {
+    const dimension = parseDimension(chart.dimension);
+    if (dimension.kind === 'role' && !mapping?.[dimension.key]) return [];
+    const groups = {};
+    rows.forEach((row) => {
+        const name = dimensionValue(row, mapping, dimension);
+        if (name === null) return;
+        if (!groups[name]) groups[name] = { count: 0, durations: [] };
+        groups[name].count += 1;
+        if (row.durationDays !== null && row.durationDays >= 0) {
+            groups[name].durations.push(row.durationDays);
+        }
+    });
+
+    if (dimension.kind === 'date') {
+        return Object.keys(groups)
+            .sort()
+            .map((name) => ({
+                name,
+                value: measureValue(chart.measure, groups[name]),
+            }));
+    }
+
+    // Ranked by row count, so "Other" holds the least frequent categories
+    const names = Object.keys(groups).sort(
+        (a, b) => groups[b].count - groups[a].count
+    );
+    const limit = chart.limit || DEFAULT_LIMIT;
+    const kept = names.slice(0, limit);
+    if (names.length > limit) {
+        const other = { count: 0, durations: [] };
+        names.slice(limit).forEach((name) => {
+            other.count += groups[name].count;
+            other.durations.push(...groups[name].durations);
+        });
+        groups[OTHER_GROUP] = other;
+        kept.push(OTHER_GROUP);
+    }
+    return kept
+        .map((name) => ({
+            name,
+            value: measureValue(chart.measure, groups[name]),
+        }))
+        .sort((a, b) =>
+            a.name === OTHER_GROUP
+                ? 1
+                : b.name === OTHER_GROUP
+                ? -1
+                : b.value - a.value
+        );
+};
+
+export const createChart = (fields = {}) => ({
+    id: `chart-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    title: '',
+    dimension: 'role:staff',
+    measure: 'count',
+    type: 'bar',
+    width: 'half',
+    height: 350,
+    limit: DEFAULT_LIMIT,
+    ...fields,
+});
+
+export const defaultChartTitle = (chart, dimensions) => {
+    const dimension =
+        dimensions.find((d) => d.id === chart.dimension)?.label ||
+        chart.dimension;
+    return `${MEASURES[chart.measure]?.label || chart.measure} by ${dimension}`;
+};
+
+// Line charts only make sense over time
+export const allowedChartTypes = (dimensionId) =>
+    Object.keys(CHART_TYPES).filter(
+        (type) => type !== 'line' || isDateDimension(dimensionId)
+    );
+
+export const EMPTY_DASHBOARD = { name: 'My dashboard', charts: [] };
+
+export const moveChart = (charts, fromId, toId) => {
+    const from = charts.findIndex((chart) => chart.id === fromId);
+    const to = charts.findIndex((chart) => chart.id === toId);
+    if (from < 0 || to < 0 || from === to) return charts;
+    const next = [...charts];
+    const [moved] = next.splice(from, 1);
+    next.splice(to, 0, moved);
+    return next;
+};
+
+// --- Dashboard definitions as JSON ---
+
+export const serializeDashboard = (dashboard) =>
+    JSON.stringify(
+        {
+            version: DASHBOARD_VERSION,
+            name: dashboard.name,
+            charts: dashboard.charts.map(
+                ({
+                    title,
+                    dimension,
+                    measure,
+                    type,
+                    width,
+                    height,
+                    limit,
+                }) => ({
+                    title,
+                    dimension,
+                    measure,
+                    type,
+                    width,
+                    height,
+                    limit,
+                })
+            ),
+        },
+        null,
+        2
+    );
+
+// Validates an imported definition. Unknown options fall back to the
+// defaults; a file that is not a dashboard definition throws.
+export const parseDashboard = (text) => {
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch (e) {
+        throw new Error('The file is not valid JSON.');
+    }
+    if (!parsed || !Array.isArray(parsed.charts)) {
+        throw new Error('The file is not a dashboard definition.');
+    }
+    const defaults = createChart();
+    return {
+        name: typeof parsed.name === 'string' ? parsed.name : 'Imported',
+        charts: parsed.charts
+            .filter((chart) => chart && typeof chart.dimension === 'string')
+            .map((chart) =>
+                createChart({
+                    title: typeof chart.title === 'string' ? chart.title : '',
+                    dimension: chart.dimension,
+                    measure: MEASURES[chart.measure]
+                        ? chart.measure
+                        : defaults.measure,
+                    type: CHART_TYPES[chart.type] ? chart.type : defaults.type,
+                    width: CHART_WIDTHS[chart.width]
+                        ? chart.width
+                        : defaults.width,
+                    height: CHART_HEIGHTS[chart.height]
+                        ? Number(chart.height)
+                        : defaults.height,
+                    limit:
+                        Number.isInteger(chart.limit) && chart.limit > 0
+                            ? chart.limit
+                            : defaults.limit,
+                })
+            ),
+    };
+};
+
+const CURRENT_KEY = 'dataAnalyzer.dashboardLayout';
+const SAVED_KEY = 'dataAnalyzer.savedDashboards';
+
+export const loadCurrentDashboard = () => {
+    try {
+        const saved = localStorage.getItem(CURRENT_KEY);
+        return saved ? parseDashboard(saved) : EMPTY_DASHBOARD;
+    } catch (e) {
+        console.error('Error reading dashboard layout:', e);
+        return EMPTY_DASHBOARD;
+    }
+};
+
+export const saveCurrentDashboard = (dashboard) => {
+    try {
+        localStorage.setItem(CURRENT_KEY, serializeDashboard(dashboard));
+    } catch (e) {
+        console.error('Error saving dashboard layout:', e);
+    }
+};
+
+// Named dashboards: { [name]: serialized definition }
+export const loadSavedDashboards = () => {
+    try {
+        return JSON.parse(localStorage.getItem(SAVED_KEY)) || {};
+    } catch (e) {
+        console.error('Error reading saved dashboards:', e);
+        return {};
+    }
+};
+
+export const saveSavedDashboards = (saved) => {
+    try {
+        localStorage.setItem(SAVED_KEY, JSON.stringify(saved));
+    } catch (e) {
+        console.error('Error saving dashboards:', e);
+    }
+};
@@ -0,0 +1,21 @@
+// Palette shared by the dashboard charts
+export const COLORS = [
+    '#0088FE',
+    '#00C49F',
+    '#FFBB28',
+    '#FF8042',
+    '#8884D8',
+    '#82ca9d',
+    '#ffc658',
+    '#db2828',
+    '#f2711c',
+    '#fbbd08',
+    '#b5cc18',
+    '#21ba45',
+    '#00b5ad',
+    '#2185d0',
+    '#6435c9',
+    '#a333c8',
+    '#e03997',
+    '#a5673f',
+];
@@ -0,0 +1,136 @@
+// --- Column mapping for the CSV analyzer ---
+// Maps the headers of an arbitrary history export onto the semantic roles
+// the dashboard calculations work with. Mappings are remembered per header
+// signature, so the same export layout only has to be mapped once.
+
+export const COLUMN_ROLES = [
+    { key: 'id', label: 'Item ID', required: true, defaultHeader: 'ID' },
+    {
+        key: 'created',
+        label: 'Created Date',
+        required: true,
+        isDate: true,
+        defaultHeader: 'CREATED_DATE',
+    },
+    {
+        key: 'actionDate',
+        label: 'Action Date',
+        required: true,
+        isDate: true,
+        defaultHeader: 'ACTION_DATE',
+    },
+    { key: 'staff', label: 'Staff', required: false, defaultHeader: 'STAFF' },
+    {
+        key: 'action',
+        label: 'Action Type',
+        required: false,
+        defaultHeader: 'ACTION',
+    },
+    {
+        key: 'reference',
+        label: 'Reference',
+        required: false,
+        defaultHeader: 'REFERENCE',
+    },
+    {
+        key: 'docVersion',
+        label: 'Document Version',
+        required: false,
+        defaultHeader: 'DOC_VERSION_REF',
+    },
+    {
+        key: 'registration',
+        label: 'Registration Date',
+        required: false,
+        isDate: true,
+        defaultHeader: 'REGISTRATION_DATE',
+    },
+];
+
+export const DATE_ROLES = COLUMN_ROLES.filter((role) => role.isDate).map(
+    (role) => role.key
+);
+
+const STORAGE_KEY = 'dataAnalyzer.columnMappings';
+
+// Identifies an export layout by its (order-independent) set of headers
+export const getHeaderSignature = (headers) =>
+    [...headers]
+        .map((h) => h.trim())
+        .sort()
+        .join('|');
+
+const normalizeHeader = (header) =>
+    header.toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+// Suggests a mapping by matching headers against the default header names
+export const guessMapping = (headers) => {
+    const mapping = {};
+    COLUMN_ROLES.forEach((role) => {
+        const match = headers.find(
+            (h) => normalizeHeader(h) === normalizeHeader(role.defaultHeader)
+        );
+        mapping[role.key] = match || '';
+    });
+    return mapping;
+};
+
+// Returns a list of problems; an empty list means the mapping can be applied
+export const validateMapping = (mapping, headers) => {
+    const problems = [];
+    if (!mapping) return ['No column mapping defined.'];
+    COLUMN_ROLES.forEach((role) => {
+        const header = mapping[role.key];
+        if (!header) {
+            if (role.required) problems.push(`"${role.label}" is required.`);
+        } else if (!headers.includes(header)) {
+            problems.push(
+                `Column "${header}" for "${role.label}" is not in the file.`
+            );
+        }
+    });
+    const used = Object.values(mapping).filter(Boolean);
+    const duplicates = used.filter((h, i) => used.indexOf(h) !== i);
+    [...new Set(duplicates)].forEach((h) =>
+        problems.push(`Column "${h}" is assigned to more than one role.`)
+    );
+    return problems;
+};
+
+// { [header signature]: mapping }
+export const loadSavedMappings = () => {
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    } catch (e) {
+        console.error('Error reading saved column mappings:', e);
+        return {};
+    }
+};
+
+export const loadSavedMapping = (signature) =>
+    loadSavedMappings()[signature] || null;
+
+export const saveMapping = (signature, mapping) => {
+    try {
+        const saved = loadSavedMappings();
+        saved[signature] = mapping;
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(saved));
+    } catch (e) {
+        console.error('Error saving column mapping:', e);
+    }
+};
+
+// Reads the value of a semantic role from a raw row (null when unmapped)
+export const getRoleValue = (row, mapping, role) => {
+    const header = mapping?.[role];
+    if (!header) return null;
+    const value = row[header];
+    return value === undefined || value === '' ? null : value;
+};
+
+// Column name shown in chart descriptions, e.g. "Based on CREATED_DATE"
+export const getRoleHeader = (mapping, role) => {
+    const header = mapping?.[role];
+    if (header) return header;
+    return COLUMN_ROLES.find((r) => r.key === role)?.defaultHeader || role;
+};
@@ -0,0 +1,197 @@
+import {
+    format,
+    startOfQuarter,
+    endOfQuarter,
+    subQuarters,
+    startOfMonth,
+    endOfMonth,
+    subMonths,
+    startOfDay,
+    endOfDay,
+    subDays,
+} from 'date-fns';
+import { SOURCE_FILE_FIELD } from './csvLoader';
+import { computeAggregations } from './aggregations';
+
+// --- Period-over-period comparison ---
+// Period A is the current one, B the one it is compared against. Date
+// periods select on the created date (replacing the created-date filter);
+// file periods select the rows loaded from one file.
+
+export const COMPARISON_MODES = {
+    off: 'Off',
+    dates: 'Two date ranges',
+    files: 'Two files',
+};
+
+export const EMPTY_PERIOD = { from: null, to: null, file: '' };
+
+export const EMPTY_COMPARISON = {
+    mode: 'off',
+    a: EMPTY_PERIOD,
+    b: EMPTY_PERIOD,
+};
+
+// Presets relative to the latest created date in the data, so older
+// exports compare their own last periods
+export const COMPARISON_PRESETS = {
+    quarter: {
+        label: 'Last quarter vs. previous quarter',
+        periods: (latest) => [
+            { from: startOfQuarter(latest), to: endOfQuarter(latest) },
+            {
+                from: startOfQuarter(subQuarters(latest, 1)),
+                to: endOfQuarter(subQuarters(latest, 1)),
+            },
+        ],
+    },
+    yearQuarter: {
+        label: 'Last quarter vs. same quarter a year earlier',
+        periods: (latest) => [
+            { from: startOfQuarter(latest), to: endOfQuarter(latest) },
+            {
+                from: startOfQuarter(subQuarters(latest, 4)),
+                to: endOfQuarter(subQuarters(latest, 4)),
+            },
+        ],
+    },
+    month: {
+        label: 'Last month vs. previous month',
+        periods: (latest) => [
+            { from: startOfMonth(latest), to: endOfMonth(latest) },
+            {
+                from: startOfMonth(subMonths(latest, 1)),
+                to: endOfMonth(subMonths(latest, 1)),
+            },
+        ],
+    },
+    days30: {
+        label: 'Last 30 days vs. previous 30 days',
+        periods: (latest) => [
+            { from: startOfDay(subDays(latest, 29)), to: endOfDay(latest) },
+            {
+                from: startOfDay(subDays(latest, 59)),
+                to: endOfDay(subDays(latest, 30)),
+            },
+        ],
+    },
+};
+
+export const isComparisonReady = (comparison) => {
+    if (comparison.mode === 'dates') {
+        return [comparison.a, comparison.b].every(
+            (period) => period.from || period.to
+        );
+    }
+    if (comparison.mode === 'files') {
+        return Boolean(comparison.a.file && comparison.b.file);
+    }
+    return false;
+};
+
+const formatDay = (date) => (date ? format(date, 'yyyy-MM-dd') : '…');
+
+export const periodLabel = (comparison, key) => {
+    const period = comparison[key];
+    return comparison.mode === 'files'
+        ? period.file
+        : `${formatDay(period.from)} – ${formatDay(period.to)}`;
+};
+
+const selectPeriodRows = (rows, comparison, period) => {
+    if (comparison.mode === 'files') {
+        return rows.filter((row) => row[SOURCE_FILE_FIELD] === period.file);
+    }
+    return rows.filter((row) => {
+        const created = row.createdDateValid;
+        if (!created) return false;
+        if (period.from && created < period.from) return false;
+        if (period.to && created > period.to) return false;
+        return true;
+    });
+};
+
+// Aggregates for both periods. `rows` must already carry every filter
+// except the created-date range.
+export const computeComparison = (
+    rows,
+    mapping,
+    comparison,
+    durationSettings
+) => {
+    if (!isComparisonReady(comparison)) return null;
+    const result = {};
+    ['a', 'b'].forEach((key) => {
+        const periodRows = selectPeriodRows(rows, comparison, comparison[key]);
+        result[key] = {
+            label: periodLabel(comparison, key),
+            rowCount: periodRows.length,
+            aggregates: computeAggregations(
+                periodRows,
+                mapping,
+                durationSettings
+            ),
+        };
+    });
+    return result;
+};
+
+const delta = (a, b) => ({
+    delta: a - b,
+    deltaPercent: b ? ((a - b) / b) * 100 : null,
+});
+
+// Months of the two periods aligned by position (first month of A next to
+// the first month of B), so different periods can be overlaid
+export const alignMonthlyCreations = (a, b) => {
+    const length = Math.max(a.length, b.length);
+    return Array.from({ length }, (_, i) => ({
+        position: `Month ${i + 1}`,
+        monthA: a[i]?.month || '',
+        monthB: b[i]?.month || '',
+        a: a[i]?.count ?? 0,
+        b: b[i]?.count ?? 0,
+    }));
+};
+
+export const compareDurationStats = (a, b) =>
+    [
+        ['Items with a duration', a.count, b.count],
+        ['Average', a.average, b.average],
+        ['Median', a.median, b.median],
+        ['P90', a.p90, b.p90],
+        ['Std. deviation', a.stdDev, b.stdDev],
+        ['Min', a.min, b.min],
+        ['Max', a.max, b.max],
+    ].map(([metric, valueA, valueB]) => ({
+        metric,
+        a: valueA,
+        b: valueB,
+        ...delta(valueA, valueB),
+    }));
+
+// Joins two lists on a name key; names missing from a period count as 0
+export const compareByName = (listA, listB, nameKey, valueKey) => {
+    const names = new Set([
+        ...listA.map((item) => item[nameKey]),
+        ...listB.map((item) => item[nameKey]),
+    ]);
+    const valueOf = (list, name) =>
+        list.find((item) => item[nameKey] === name)?.[valueKey] ?? 0;
+    return [...names]
+        .map((name) => {
+            const a = valueOf(listA, name);
+            const b = valueOf(listB, name);
+            return { name, a, b, ...delta(a, b) };
+        })
+        .sort((x, y) => Math.max(y.a, y.b) - Math.max(x.a, x.b));
+};
+
+export const formatDelta = ({ delta: value, deltaPercent }, digits = 1) => {
+    if (!value) return '±0';
+    const sign = value > 0 ? '+' : '';
+    const percent =
+        deltaPercent === null ? '' : ` (${sign}${deltaPercent.toFixed(0)}%)`;
+    const number = Number.isInteger(value) ? value : value.toFixed(digits);
+    return `${sign}${number}${percent}`;
+};
@@ -0,0 +1,251 @@
+import Papa from 'papaparse';
+import { sniffCsvFile } from './csvSniffer';
+import { getRoleValue } from './columnMapping';
+
+// --- Loading and merging of several CSV exports ---
+
+// Field added to every raw row with the name of the file it came from
+export const SOURCE_FILE_FIELD = 'sourceFile';
+
+export const isCsvFile = (file) =>
+    !file.type ||
+    file.type.includes('csv') ||
+    file.name.toLowerCase().endsWith('.csv');
+
+// Progress is reported about once per chunk of this size
+const PARSE_CHUNK_SIZE = 1024 * 1024;
+
+// The decoded text of a file as the Node-style readable stream Papa
+// accepts. Papa's own file reading decodes every byte slice on its own, so
+// a two-byte letter (ą, š, ž...) on a slice boundary turned into two
+// replacement characters; a streaming TextDecoder keeps it whole.
+// Reading starts with start() and stops once shouldStop() turns true.
+const createTextStream = (file, encoding, { shouldStop, onBytesRead }) => {
+    const listeners = { data: [], end: [], error: [] };
+    const emit = (event, value) =>
+        listeners[event].forEach((listener) => listener(value));
+
+    const start = async () => {
+        const decoder = new TextDecoder(encoding);
+        try {
+            for (let from = 0; from < file.size; from += PARSE_CHUNK_SIZE) {
+                if (shouldStop()) return;
+                const to = Math.min(from + PARSE_CHUNK_SIZE, file.size);
+                const bytes = await file.slice(from, to).arrayBuffer();
+                onBytesRead(to);
+                emit('data', decoder.decode(bytes, { stream: true }));
+            }
+            if (shouldStop()) return;
+            // Flushes an incomplete letter at the very end of the file
+            emit('data', decoder.decode());
+            emit('end');
+        } catch (err) {
+            emit('error', err);
+        }
+    };
+
+    return {
+        readable: true,
+        read: () => null,
+        on: (event, listener) => listeners[event].push(listener),
+        removeListener: (event, listener) => {
+            listeners[event] = listeners[event].filter((l) => l !== listener);
+        },
+        pause: () => {},
+        resume: () => {},
+        start,
+    };
+};
+
+// Parses a sniffed file chunk by chunk and hands every Papa result to
+// onChunk with the share of the file read so far (0-100). Resolves with
+// {cancelled}; rejects when the file cannot be read.
+const parseInChunks = (
+    file,
+    { delimiter, encoding, isCancelled = () => false, onChunk }
+) =>
+    new Promise((resolve, reject) => {
+        let cancelled = false;
+        let failed = false;
+        let bytesRead = 0;
+        const stream = createTextStream(file, encoding, {
+            shouldStop: () => cancelled || failed,
+            onBytesRead: (bytes) => {
+                bytesRead = bytes;
+            },
+        });
+        Papa.parse(stream, {
+            header: true,
+            delimiter,
+            skipEmptyLines: true,
+            chunk: (results, parser) => {
+                if (isCancelled()) {
+                    cancelled = true;
+                    parser.abort();
+                    return;
+                }
+                results.data.forEach((row) => {
+                    row[SOURCE_FILE_FIELD] = file.name;
+                });
+                onChunk(
+                    results,
+                    file.size ? (bytesRead / file.size) * 100 : 100
+                );
+            },
+            complete: () => resolve({ cancelled }),
+            error: (err) => {
+                failed = true;
+                reject(err);
+            },
+        });
+        stream.start();
+    });
+
+// Sniffs and parses one file in chunks. Never rejects: problems are
+// reported in the `error` (file unusable) and `errors` (row-level Papa
+// errors) fields, and `cancelled` is set when isCancelled() turned true.
+// Every chunk of rows is passed to onRows(rows, headers). With `keepRows`
+// false only the row count and the first row are kept; such a (bounded)
+// file keeps its File as `source`, so it can be streamed again.
+export const loadCsvFile = async (
+    file,
+    {
+        onProgress = () => {},
+        onRows = () => {},
+        isCancelled = () => false,
+        keepRows = true,
+    } = {}
+) => {
+    const result = {
+        name: file.name,
+        rows: [],
+        rowCount: 0,
+        sampleRow: null,
+        headers: [],
+        encoding: null,
+        delimiter: null,
+        errors: [],
+        error: null,
+        cancelled: false,
+        bounded: !keepRows,
+        source: keepRows ? null : file,
+    };
+    if (!isCsvFile(file)) {
+        result.error = `Invalid file type: "${file.type}". Please select a CSV file.`;
+        return result;
+    }
+
+    try {
+        const sniffed = await sniffCsvFile(file);
+        result.encoding = sniffed.encoding;
+        result.delimiter = sniffed.delimiter;
+    } catch (err) {
+        console.error('CSV Sniffing Error:', err);
+        result.error = `Failed to read file: ${err.message}`;
+        return result;
+    }
+
+    try {
+        const { cancelled } = await parseInChunks(file, {
+            delimiter: result.delimiter,
+            encoding: result.encoding,
+            isCancelled,
+            onChunk: (results, percent) => {
+                if (!result.headers.length) {
+                    result.headers = results.meta.fields || [];
+                }
+                if (!result.sampleRow && results.data.length) {
+                    result.sampleRow = results.data[0];
+                }
+                if (keepRows) {
+                    results.data.forEach((row) => result.rows.push(row));
+                }
+                result.rowCount += results.data.length;
+                results.errors.forEach((err) => result.errors.push(err));
+                onRows(results.data, result.headers);
+                onProgress({
+                    rowsParsed: result.rowCount,
+                    percent,
+                });
+            },
+        });
+        result.cancelled = cancelled;
+    } catch (err) {
+        console.error('PapaParse Error:', err);
+        result.error = `Failed to parse file: ${err.message}`;
+        return result;
+    }
+
+    if (result.errors.length > 0) {
+        console.error('CSV Parsing Errors:', result.errors);
+    }
+    if (!result.cancelled && !result.rowCount) {
+        result.error = 'File parsed, but it appears to be empty.';
+    }
+    return result;
+};
+
+// Parses a bounded file again, chunk by chunk. Resolves with {cancelled}.
+export const streamLoadedFile = (
+    loadedFile,
+    { onRows, onProgress = () => {}, isCancelled }
+) =>
+    parseInChunks(loadedFile.source, {
+        delimiter: loadedFile.delimiter,
+        encoding: loadedFile.encoding,
+        isCancelled,
+        onChunk: (results, percent) => {
+            onRows(results.data);
+            onProgress(percent);
+        },
+    });
+
+// What the main thread needs to know about a file loaded in the worker.
+// Datasets saved before row counts were tracked only have their rows.
+export const describeLoadedFile = (file) => ({
+    name: file.name,
+    headers: file.headers,
+    rowCount: file.rowCount ?? file.rows.length,
+    bounded: Boolean(file.bounded),
+    encoding: file.encoding,
+    delimiter: file.delimiter,
+    errorCount: file.errors.length,
+    errors: file.errors.slice(0, 10),
+    error: file.error,
+    sampleRow: file.sampleRow || file.rows[0] || null,
+});
+
+// Union of the headers of all files, in order of first appearance
+export const mergeHeaders = (files) => {
+    const headers = [];
+    files.forEach((file) =>
+        file.headers.forEach((header) => {
+            if (!headers.includes(header)) headers.push(header);
+        })
+    );
+    return headers;
+};
+
+// Concatenates the rows of all files, keeping the first row seen for every
+// mapped ID. Duplicates are counted per file and flagged in `quality`.
+export const mergeCsvFiles = (files, mapping, quality = null) => {
+    const seen = new Set();
+    const duplicatesByFile = {};
+    const rows = [];
+    files.forEach((file) => {
+        duplicatesByFile[file.name] = 0;
+        file.rows.forEach((row) => {
+            const id = getRoleValue(row, mapping, 'id');
+            if (id !== null) {
+                if (seen.has(id)) {
+                    duplicatesByFile[file.name] += 1;
+                    quality?.add(row, 'duplicateId', `ID ${id}`);
+                    return;
+                }
+                seen.add(id);
+            }
+            rows.push(row);
+        });
+    });
+    return { rows, duplicatesByFile };
+};
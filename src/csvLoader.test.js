@@ -0,0 +1,65 @@
+/**
+ * @jest-environment node
+ */
+import { Blob } from 'buffer';
+import { loadCsvFile, SOURCE_FILE_FIELD } from './csvLoader';
+
+// Papa's file chunks were 1 MB
+const BOUNDARY = 1024 * 1024;
+
+// A UTF-8 export whose "ą" starts on the last byte before the boundary
+const buildExport = () => {
+    const lines = ['ID,STAFF,ACTION\n'];
+    let bytes = Buffer.byteLength(lines[0]);
+    let id = 0;
+    while (bytes < BOUNDARY - 100) {
+        lines.push(`${id},Jonas,Peržiūra\n`);
+        bytes += Buffer.byteLength(lines[lines.length - 1]);
+        id += 1;
+    }
+    const prefix = `${id},`;
+    const pad = BOUNDARY - 1 - bytes - prefix.length;
+    lines.push(`${prefix}${'x'.repeat(pad)}ąžuolas,Peržiūra\n`);
+    const straddling = id;
+    for (id += 1; id < straddling + 50; id += 1) {
+        lines.push(`${id},Ona,Įvestis\n`);
+    }
+    return { text: lines.join(''), rowCount: id, straddling };
+};
+
+// Node's Blob with the name a browser File has
+const toFile = (text) =>
+    Object.assign(new Blob([text], { type: 'text/csv' }), {
+        name: 'export.csv',
+    });
+
+describe('loadCsvFile', () => {
+    it('keeps letters that straddle a read boundary', async () => {
+        const { text, rowCount, straddling } = buildExport();
+        const file = toFile(text);
+        const progress = [];
+        const result = await loadCsvFile(file, {
+            onProgress: ({ percent }) => progress.push(percent),
+        });
+
+        expect(result.error).toBeNull();
+        expect(result.encoding.toLowerCase()).toBe('utf-8');
+        expect(result.rowCount).toBe(rowCount);
+        expect(result.headers).toEqual(['ID', 'STAFF', 'ACTION']);
+        const row = result.rows.find((r) => r.ID === String(straddling));
+        expect(row.STAFF.endsWith('ąžuolas')).toBe(true);
+        expect(row[SOURCE_FILE_FIELD]).toBe('export.csv');
+        expect(
+            result.rows.some((r) => Object.values(r).join('').includes('�'))
+        ).toBe(false);
+        expect(progress[progress.length - 1]).toBe(100);
+    });
+
+    it('stops when cancelled', async () => {
+        const { text } = buildExport();
+        const file = toFile(text);
+        const result = await loadCsvFile(file, { isCancelled: () => true });
+        expect(result.cancelled).toBe(true);
+        expect(result.rowCount).toBe(0);
+    });
+});
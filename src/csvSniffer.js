@@ -0,0 +1,79 @@
+// --- CSV sniffing: encoding and delimiter detection ---
+// Exports arrive comma-, semicolon- and tab-separated, in UTF-8 or in
+// Windows-1257 (Baltic). Only the beginning of the file is inspected.
+
+const SNIFF_BYTES = 64 * 1024;
+const SNIFF_LINES = 20;
+
+export const DELIMITER_CANDIDATES = [';', ',', '\t', '|'];
+
+export const DELIMITER_LABELS = {
+    ';': 'semicolon',
+    ',': 'comma',
+    '\t': 'tab',
+    '|': 'pipe',
+};
+
+// UTF-8 if the bytes decode strictly (or start with a BOM), else Windows-1257
+export const detectEncoding = (bytes) => {
+    if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) {
+        return 'utf-8';
+    }
+    try {
+        // A multi-byte sequence may be cut at the end of the sample
+        let end = bytes.length;
+        if (end === SNIFF_BYTES) {
+            while (end > 0 && (bytes[end - 1] & 0xc0) === 0x80) end--;
+            if (end > 0 && bytes[end - 1] >= 0xc0) end--;
+        }
+        new TextDecoder('utf-8', { fatal: true }).decode(
+            bytes.subarray(0, end)
+        );
+        return 'utf-8';
+    } catch (e) {
+        return 'windows-1257';
+    }
+};
+
+// Counts delimiter occurrences outside of double-quoted fields
+const countOutsideQuotes = (line, delimiter) => {
+    let count = 0;
+    let inQuotes = false;
+    for (let i = 0; i < line.length; i++) {
+        const ch = line[i];
+        if (ch === '"') inQuotes = !inQuotes;
+        else if (ch === delimiter && !inQuotes) count++;
+    }
+    return count;
+};
+
+// Picks the candidate that splits every sampled line into the same,
+// largest number of fields
+export const detectDelimiter = (text) => {
+    const lines = text
+        .split(/\r\n|\n|\r/)
+        .filter((line) => line.trim())
+        .slice(0, SNIFF_LINES);
+    // The last line of a sample may be truncated
+    if (lines.length > 2) lines.pop();
+    if (!lines.length) return DELIMITER_CANDIDATES[0];
+
+    let best = { delimiter: DELIMITER_CANDIDATES[0], score: 0 };
+    DELIMITER_CANDIDATES.forEach((delimiter) => {
+        const counts = lines.map((line) => countOutsideQuotes(line, delimiter));
+        const headerCount = counts[0];
+        if (!headerCount) return;
+        const consistent = counts.filter((c) => c === headerCount).length;
+        const score = (consistent / counts.length) * 1000 + headerCount;
+        if (score > best.score) best = { delimiter, score };
+    });
+    return best.delimiter;
+};
+
+export const sniffCsvFile = async (file) => {
+    const buffer = await file.slice(0, SNIFF_BYTES).arrayBuffer();
+    const bytes = new Uint8Array(buffer);
+    const encoding = detectEncoding(bytes);
+    const text = new TextDecoder(encoding).decode(bytes);
+    return { encoding, delimiter: detectDelimiter(text) };
+};
@@ -0,0 +1,131 @@
+import Papa from 'papaparse';
+import { getRoleValue } from './columnMapping';
+import { SOURCE_FILE_FIELD } from './csvLoader';
+
+// --- Data quality report of the imported rows ---
+// Rows are flagged while they are merged and processed. Rejected rows are
+// left out of the analysis; suspicious ones are kept, without a duration
+// where it could not be computed.
+
+export const QUALITY_REASONS = {
+    missingField: {
+        label: 'Missing required field',
+        rejected: true,
+        effect: 'Rejected',
+    },
+    duplicateId: {
+        label: 'Duplicate ID',
+        rejected: true,
+        effect: 'Rejected (the first row with the ID is kept)',
+    },
+    badDate: {
+        label: 'Unparsable date',
+        rejected: false,
+        effect: 'Kept; the date is treated as empty',
+    },
+    negativeDuration: {
+        label: 'Action date before created date',
+        rejected: false,
+        effect: 'Kept without a duration',
+    },
+};
+
+// Flagged rows beyond this are only counted, so a broken import cannot
+// hold on to a copy of every row
+export const MAX_LISTED_ROWS = 50000;
+// Rows sent to the main thread for the on-screen list
+const SAMPLE_SIZE = 200;
+
+// A row flagged for several reasons is one entry; its reasons are added
+// one after another while the row is processed. Counts are rows per reason,
+// so a row with two unparsable dates counts once.
+export const createQualityReport = (mapping) => {
+    const counts = Object.fromEntries(
+        Object.keys(QUALITY_REASONS).map((reason) => [reason, 0])
+    );
+    const entries = [];
+    let flaggedRows = 0;
+    let rejectedRows = 0;
+    // Row currently being flagged and its entry (null once the list is full)
+    let current = null;
+
+    const add = (row, reason, detail) => {
+        if (current?.row !== row) {
+            flaggedRows += 1;
+            current = {
+                row,
+                reasons: new Set(),
+                rejected: false,
+                entry:
+                    entries.length < MAX_LISTED_ROWS
+                        ? {
+                              file: row[SOURCE_FILE_FIELD] || '',
+                              id: getRoleValue(row, mapping, 'id'),
+                              reasons: [],
+                              details: [],
+                              rejected: false,
+                              row,
+                          }
+                        : null,
+            };
+            if (current.entry) entries.push(current.entry);
+        }
+        const newReason = !current.reasons.has(reason);
+        if (newReason) {
+            current.reasons.add(reason);
+            counts[reason] += 1;
+        }
+        if (QUALITY_REASONS[reason].rejected && !current.rejected) {
+            current.rejected = true;
+            rejectedRows += 1;
+        }
+        if (current.entry) {
+            if (newReason) current.entry.reasons.push(reason);
+            current.entry.details.push(detail);
+            current.entry.rejected = current.rejected;
+        }
+    };
+
+    // What the dashboard shows: counts and the first flagged rows
+    const summary = () => ({
+        counts: { ...counts },
+        flaggedRows,
+        rejectedRows,
+        listedRows: entries.length,
+        sample: entries.slice(0, SAMPLE_SIZE).map(({ row, ...entry }) => ({
+            ...entry,
+            reasons: [...entry.reasons],
+            details: [...entry.details],
+        })),
+    });
+
+    // Every listed row with its original columns, preceded by the verdict
+    const toCsv = () => {
+        const columns = [];
+        const known = new Set([SOURCE_FILE_FIELD]);
+        entries.forEach(({ row }) =>
+            Object.keys(row).forEach((key) => {
+                if (!known.has(key)) {
+                    known.add(key);
+                    columns.push(key);
+                }
+            })
+        );
+        return Papa.unparse({
+            fields: ['Status', 'Reasons', 'Details', 'Source File', ...columns],
+            data: entries.map((entry) => [
+                entry.rejected ? 'Rejected' : 'Kept',
+                entry.reasons
+                    .map((reason) => QUALITY_REASONS[reason].label)
+                    .join('; '),
+                entry.details.join('; '),
+                entry.file,
+                ...columns.map((key) => entry.row[key] ?? ''),
+            ]),
+        });
+    };
+
+    return { add, summary, toCsv };
+};
+
+export const EMPTY_QUALITY_SUMMARY = createQualityReport(null).summary();
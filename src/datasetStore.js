@@ -0,0 +1,222 @@
+// --- IndexedDB persistence of loaded datasets and dashboard state ---
+// Used by the analysis worker (file rows) and the main thread (dataset list,
+// dashboard state). Dataset metadata and the file rows are kept in separate
+// stores so listing datasets does not read the rows. The Files of bounded
+// (aggregate-only) files have a store of their own, keyed by dataset and
+// file name.
+
+const DB_NAME = 'dataAnalyzer';
+const DB_VERSION = 2;
+const DATASETS = 'datasets';
+const DATASET_FILES = 'datasetFiles';
+const DATASET_SOURCES = 'datasetSources';
+const SETTINGS = 'settings';
+
+// Version 1 had all but the sources store
+const STORES = [
+    [DATASETS, { keyPath: 'id' }],
+    [DATASET_FILES, { keyPath: 'datasetId' }],
+    [DATASET_SOURCES, { keyPath: ['datasetId', 'name'] }],
+    [SETTINGS],
+];
+
+let dbPromise = null;
+
+const openDb = () => {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not available.'));
+                return;
+            }
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                STORES.forEach(([name, options]) => {
+                    if (!db.objectStoreNames.contains(name)) {
+                        db.createObjectStore(name, options);
+                    }
+                });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        }).catch((err) => {
+            // Allow a later retry
+            dbPromise = null;
+            throw err;
+        });
+    }
+    return dbPromise;
+};
+
+// Runs `work` inside one transaction. `work` must only queue requests
+// (no awaiting; request callbacks may queue more), and may return a request
+// whose result resolves the promise once the transaction has committed.
+const transact = async (storeNames, mode, work) => {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeNames, mode);
+        const stores = []
+            .concat(storeNames)
+            .map((name) => tx.objectStore(name));
+        const request = work(...stores);
+        tx.oncomplete = () => resolve(request ? request.result : undefined);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () =>
+            reject(tx.error || new Error('Transaction aborted.'));
+    });
+};
+
+const describeFiles = (files) => ({
+    fileNames: files.map((file) => file.name),
+    rowCount: files
+        .filter((file) => !file.error)
+        .reduce((sum, file) => sum + (file.rowCount ?? file.rows.length), 0),
+});
+
+export const createDatasetId = () =>
+    `dataset-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+export const listDatasets = async () => {
+    const datasets = await transact(DATASETS, 'readonly', (store) =>
+        store.getAll()
+    );
+    return datasets.sort((a, b) => b.usedAt - a.usedAt);
+};
+
+export const getDataset = (id) =>
+    transact(DATASETS, 'readonly', (store) => store.get(id));
+
+// Source records of one dataset; arrays sort after every string key
+const sourcesOf = (id) => IDBKeyRange.bound([id], [id, []]);
+
+const isSameSource = (record, source) =>
+    record.size === source.size && record.lastModified === source.lastModified;
+
+// Creates or replaces the files of a dataset; keeps its name and state.
+// The File of a bounded file is only written when it is new or changed, so
+// saving after another file is added or removed does not copy it again.
+export const saveDatasetFiles = async (id, files) => {
+    const now = new Date();
+    const described = describeFiles(files);
+    let dataset = null;
+    await transact(
+        [DATASETS, DATASET_FILES, DATASET_SOURCES],
+        'readwrite',
+        (datasets, rows, sources) => {
+            const existing = datasets.get(id);
+            existing.onsuccess = () => {
+                dataset = {
+                    name: described.fileNames.join(', '),
+                    createdAt: now,
+                    state: null,
+                    ...existing.result,
+                    ...described,
+                    id,
+                    updatedAt: now,
+                    usedAt: now,
+                };
+                datasets.put(dataset);
+            };
+            rows.put({
+                datasetId: id,
+                files: files.map(({ source, ...file }) => file),
+            });
+            const stored = sources.getAll(sourcesOf(id));
+            stored.onsuccess = () => {
+                const byName = {};
+                stored.result.forEach((record) => {
+                    byName[record.name] = record;
+                });
+                const kept = new Set();
+                files.forEach(({ name, source }) => {
+                    if (!source) return;
+                    kept.add(name);
+                    if (byName[name] && isSameSource(byName[name], source)) {
+                        return;
+                    }
+                    sources.put({
+                        datasetId: id,
+                        name,
+                        size: source.size,
+                        lastModified: source.lastModified,
+                        source,
+                    });
+                });
+                stored.result
+                    .filter((record) => !kept.has(record.name))
+                    .forEach((record) => sources.delete([id, record.name]));
+            };
+        }
+    );
+    return dataset;
+};
+
+export const loadDatasetFiles = async (id) => {
+    let record = null;
+    let sources = [];
+    await transact(
+        [DATASET_FILES, DATASET_SOURCES],
+        'readonly',
+        (rows, sourceStore) => {
+            const files = rows.get(id);
+            files.onsuccess = () => {
+                record = files.result;
+            };
+            const stored = sourceStore.getAll(sourcesOf(id));
+            stored.onsuccess = () => {
+                sources = stored.result;
+            };
+        }
+    );
+    if (!record) throw new Error('The saved dataset has no data.');
+    const byName = {};
+    sources.forEach((source) => {
+        byName[source.name] = source.source;
+    });
+    // Datasets saved before version 2 have the File in the file record
+    return record.files.map((file) => ({
+        ...file,
+        source: file.source ?? byName[file.name] ?? null,
+    }));
+};
+
+// Reads and writes in one transaction, so concurrent updates of different
+// fields (a rename while the state is saved) cannot undo each other
+const updateDataset = async (id, patch) => {
+    let updated = null;
+    await transact(DATASETS, 'readwrite', (store) => {
+        const request = store.get(id);
+        request.onsuccess = () => {
+            if (!request.result) return;
+            updated = { ...request.result, ...patch };
+            store.put(updated);
+        };
+    });
+    return updated;
+};
+
+// Dashboard state (mapping, filters, chart options) stored with a dataset
+export const saveDatasetState = (id, state) => updateDataset(id, { state });
+
+export const markDatasetUsed = (id) =>
+    updateDataset(id, { usedAt: new Date() });
+
+export const renameDataset = (id, name) => updateDataset(id, { name });
+
+export const deleteDataset = (id) =>
+    transact(
+        [DATASETS, DATASET_FILES, DATASET_SOURCES],
+        'readwrite',
+        (datasets, rows, sources) => {
+            datasets.delete(id);
+            rows.delete(id);
+            sources.delete(sourcesOf(id));
+        }
+    );
+
+export const getSetting = (key) =>
+    transact(SETTINGS, 'readonly', (store) => store.get(key));
+
+export const setSetting = (key, value) =>
+    transact(SETTINGS, 'readwrite', (store) => store.put(value, key));
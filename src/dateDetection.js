@@ -0,0 +1,86 @@
+import { parse, parseISO, isValid, addMilliseconds } from 'date-fns';
+
+// --- Date format detection for the date columns of a CSV export ---
+
+export const EXCEL_SERIAL = 'excel-serial';
+export const ISO_8601 = 'iso-8601';
+
+// Ordered by preference: on equal match counts the earlier pattern wins
+export const DATE_FORMATS = [
+    'yyyy.MM.dd HH:mm:ss',
+    'yyyy.MM.dd HH:mm',
+    'yyyy.MM.dd',
+    'yyyy-MM-dd HH:mm:ss',
+    'yyyy-MM-dd HH:mm',
+    'yyyy-MM-dd',
+    ISO_8601,
+    'dd/MM/yyyy HH:mm:ss',
+    'dd/MM/yyyy HH:mm',
+    'dd/MM/yyyy',
+    'dd.MM.yyyy HH:mm:ss',
+    'dd.MM.yyyy HH:mm',
+    'dd.MM.yyyy',
+    'MM/dd/yyyy HH:mm:ss',
+    'MM/dd/yyyy',
+    EXCEL_SERIAL,
+];
+
+const DATE_SAMPLE_SIZE = 200;
+
+// Excel counts days from 1899-12-30; serials outside 1927..2173 are unlikely
+const EXCEL_EPOCH = new Date(1899, 11, 30);
+const EXCEL_MIN_SERIAL = 10000;
+const EXCEL_MAX_SERIAL = 100000;
+
+const parseExcelSerial = (value) => {
+    if (!/^\d+([.,]\d+)?$/.test(value)) return null;
+    const serial = Number(value.replace(',', '.'));
+    if (serial < EXCEL_MIN_SERIAL || serial > EXCEL_MAX_SERIAL) return null;
+    return addMilliseconds(EXCEL_EPOCH, Math.round(serial * 86400000));
+};
+
+// Oracle exports append fractional seconds after a comma
+// ("2024.03.01 10:15:00,000000"); they carry no information for the analysis
+const cleanDateString = (value) => String(value).trim().split(',')[0];
+
+export const parseDateWithFormat = (value, dateFormat) => {
+    if (value === null || value === undefined || value === '') return null;
+    try {
+        let dt;
+        if (dateFormat === EXCEL_SERIAL) {
+            dt = parseExcelSerial(String(value).trim());
+        } else if (dateFormat === ISO_8601) {
+            dt = parseISO(String(value).trim());
+        } else {
+            dt = parse(cleanDateString(value), dateFormat, new Date());
+        }
+        return dt && isValid(dt) ? dt : null;
+    } catch (e) {
+        console.error(`Error parsing date: ${value}`, e);
+        return null;
+    }
+};
+
+// Samples a column and returns the pattern parsing the most values
+export const detectDateFormat = (values) => {
+    const sample = values
+        .filter((v) => v !== null && v !== undefined && String(v).trim())
+        .slice(0, DATE_SAMPLE_SIZE);
+    if (!sample.length) {
+        return { format: DATE_FORMATS[0], matched: 0, sampled: 0 };
+    }
+    let best = { format: DATE_FORMATS[0], matched: -1 };
+    DATE_FORMATS.forEach((dateFormat) => {
+        const matched = sample.filter(
+            (v) => parseDateWithFormat(v, dateFormat) !== null
+        ).length;
+        if (matched > best.matched) best = { format: dateFormat, matched };
+    });
+    return { ...best, sampled: sample.length };
+};
+
+export const formatLabel = (dateFormat) => {
+    if (dateFormat === EXCEL_SERIAL) return 'Excel serial number';
+    if (dateFormat === ISO_8601) return 'ISO 8601';
+    return dateFormat;
+};
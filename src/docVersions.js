@@ -0,0 +1,123 @@
+import { getRoleValue } from './columnMapping';
+import { quantile, mean, median } from './statistics';
+
+// --- Document version impact: DOC_VERSION_REF vs. time and action ---
+
+export const NO_VERSION = '(none)';
+
+// Versions like "v2", "10" or "1.3" sort in their natural order
+const compareVersions = (a, b) =>
+    a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' });
+
+const getVersion = (row, mapping) =>
+    getRoleValue(row, mapping, 'docVersion')?.trim() || NO_VERSION;
+
+// Per-version row counts, duration distribution and action mix
+export const computeVersionStats = (rows, mapping) => {
+    if (!mapping?.docVersion) return [];
+    const groups = {};
+    rows.forEach((row) => {
+        const version = getVersion(row, mapping);
+        if (!groups[version]) {
+            groups[version] = {
+                version,
+                count: 0,
+                durations: [],
+                references: new Set(),
+                actions: {},
+            };
+        }
+        const group = groups[version];
+        group.count += 1;
+        if (row.durationDays !== null && row.durationDays >= 0) {
+            group.durations.push(row.durationDays);
+        }
+        const reference = getRoleValue(row, mapping, 'reference');
+        if (reference) group.references.add(reference);
+        const action = getRoleValue(row, mapping, 'action') || 'N/A';
+        group.actions[action] = (group.actions[action] || 0) + 1;
+    });
+
+    return Object.values(groups)
+        .map(({ durations, references, ...group }) => {
+            const sorted = [...durations].sort((a, b) => a - b);
+            return {
+                ...group,
+                referenceCount: references.size,
+                durationCount: sorted.length,
+                average: sorted.length ? mean(sorted) : null,
+                min: sorted.length ? sorted[0] : null,
+                q1: sorted.length ? quantile(sorted, 0.25) : null,
+                median: sorted.length ? median(sorted) : null,
+                q3: sorted.length ? quantile(sorted, 0.75) : null,
+                max: sorted.length ? sorted[sorted.length - 1] : null,
+            };
+        })
+        .sort((a, b) => compareVersions(a.version, b.version));
+};
+
+// Action names over all versions, most frequent first
+export const versionActionNames = (versionStats) => {
+    const totals = {};
+    versionStats.forEach((stats) =>
+        Object.entries(stats.actions).forEach(([action, count]) => {
+            totals[action] = (totals[action] || 0) + count;
+        })
+    );
+    return Object.keys(totals).sort((a, b) => totals[b] - totals[a]);
+};
+
+// One row per version with the share (in percent) of every action, for a
+// 100% stacked BarChart
+export const buildActionMixData = (versionStats, actionNames) =>
+    versionStats.map((stats) => {
+        const entry = { version: stats.version };
+        actionNames.forEach((action) => {
+            entry[action] = ((stats.actions[action] || 0) / stats.count) * 100;
+        });
+        return entry;
+    });
+
+// Number of distinct versions every reference went through, with its total
+// processing (cycle) time from its lifecycle (see computeLifecycles)
+export const computeReferenceVersions = (rows, mapping, lifecycles) => {
+    if (!mapping?.docVersion || !mapping?.reference) return [];
+    const versions = {};
+    rows.forEach((row) => {
+        const reference = getRoleValue(row, mapping, 'reference');
+        const version = getRoleValue(row, mapping, 'docVersion')?.trim();
+        if (!reference) return;
+        if (!versions[reference]) versions[reference] = new Set();
+        if (version) versions[reference].add(version);
+    });
+
+    return lifecycles.map((lifecycle) => ({
+        reference: lifecycle.reference,
+        versionCount: versions[lifecycle.reference]?.size || 0,
+        versions: [...(versions[lifecycle.reference] || [])].sort(
+            compareVersions
+        ),
+        cycleDays: lifecycle.cycleDays,
+        stepCount: lifecycle.stepCount,
+    }));
+};
+
+// References and their cycle times grouped by how many versions they had
+export const cycleTimeByVersionCount = (referenceVersions) => {
+    const groups = {};
+    referenceVersions.forEach((item) => {
+        if (!groups[item.versionCount]) groups[item.versionCount] = [];
+        groups[item.versionCount].push(item.cycleDays);
+    });
+    return Object.entries(groups)
+        .map(([versionCount, cycles]) => {
+            const sorted = [...cycles].sort((a, b) => a - b);
+            return {
+                versionCount: Number(versionCount),
+                references: sorted.length,
+                avgCycleDays: mean(sorted),
+                medianCycleDays: median(sorted),
+            };
+        })
+        .sort((a, b) => a.versionCount - b.versionCount);
+};
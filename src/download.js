@@ -0,0 +1,19 @@
+import { format } from 'date-fns';
+
+// --- Browser download of generated files ---
+
+export const downloadBlob = (blob, filename) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    // Appending is required for Firefox
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+};
+
+// Suffix for exported file names, e.g. "2024-05-01_1430"
+export const fileTimestamp = (date = new Date()) =>
+    format(date, 'yyyy-MM-dd_HHmm');
@@ -0,0 +1,85 @@
+import * as XLSX from 'xlsx';
+import Papa from 'papaparse';
+import { downloadBlob, fileTimestamp } from './download';
+import { SHAREPOINT_ID_COLUMN, SOURCE_COLUMN } from './feedFields';
+
+// --- Export of the processed feed entries as JSON, CSV, XLSX and NDJSON ---
+
+const FILE_NAME = 'processed_feed_entries';
+
+// Every column of the extracted entries: the profile's, then the added ones
+export const feedExportColumns = (profileColumns) => [
+    ...new Set([...profileColumns, SHAREPOINT_ID_COLUMN, SOURCE_COLUMN]),
+];
+
+const pickColumns = (entry, columns) =>
+    Object.fromEntries(
+        columns.map((column) => [column, entry[column] ?? null])
+    );
+
+const toCells = (entries, columns) =>
+    entries.map((entry) => columns.map((column) => entry[column] ?? ''));
+
+const exportJson = (entries, columns) =>
+    downloadBlob(
+        new Blob(
+            [
+                JSON.stringify(
+                    entries.map((entry) => pickColumns(entry, columns)),
+                    null,
+                    2
+                ),
+            ],
+            { type: 'application/json' }
+        ),
+        `${FILE_NAME}_${fileTimestamp()}.json`
+    );
+
+// Multi-line texts are quoted by Papa; the BOM makes Excel read the file as
+// UTF-8, so Lithuanian letters survive
+const exportCsv = (entries, columns) =>
+    downloadBlob(
+        new Blob(
+            [
+                '\uFEFF',
+                Papa.unparse({
+                    fields: columns,
+                    data: toCells(entries, columns),
+                }),
+            ],
+            { type: 'text/csv;charset=utf-8' }
+        ),
+        `${FILE_NAME}_${fileTimestamp()}.csv`
+    );
+
+const exportXlsx = (entries, columns) => {
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(
+        workbook,
+        XLSX.utils.aoa_to_sheet([columns, ...toCells(entries, columns)]),
+        'Entries'
+    );
+    XLSX.writeFile(workbook, `${FILE_NAME}_${fileTimestamp()}.xlsx`);
+};
+
+// One JSON object per line
+const exportNdjson = (entries, columns) =>
+    downloadBlob(
+        new Blob(
+            entries.map(
+                (entry) => `${JSON.stringify(pickColumns(entry, columns))}\n`
+            ),
+            { type: 'application/x-ndjson' }
+        ),
+        `${FILE_NAME}_${fileTimestamp()}.ndjson`
+    );
+
+export const FEED_EXPORT_FORMATS = {
+    json: { label: 'JSON', exporter: exportJson },
+    csv: { label: 'CSV', exporter: exportCsv },
+    xlsx: { label: 'XLSX', exporter: exportXlsx },
+    ndjson: { label: 'NDJSON', exporter: exportNdjson },
+};
+
+export const exportFeedEntries = (entries, columns, format) =>
+    FEED_EXPORT_FORMATS[format].exporter(entries, columns);
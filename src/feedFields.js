@@ -0,0 +1,267 @@
+// --- SharePoint feed fields: discovery, decoding and extraction profiles ---
+// The columns of a list item are the d:* children of the entry's
+// m:properties. Their names are XML-encoded ("Pateikite_x0020_pasi_x016b_lymus"
+// is "Pateikite pasiūlymus") and their type is in the m:type attribute;
+// text fields have none. An extraction profile names the fields that become
+// output columns.
+
+// --- Helper Function: Safely get field value ---
+// Handles direct value, {#text}, and {"@m:null": "true"}
+export function getFieldValue(fieldObject) {
+    if (fieldObject == null) return null;
+    if (
+        typeof fieldObject === 'object' &&
+        fieldObject !== null &&
+        fieldObject['@m:null'] === 'true'
+    )
+        return null;
+    if (
+        typeof fieldObject === 'object' &&
+        fieldObject !== null &&
+        '#text' in fieldObject
+    ) {
+        return fieldObject['#text'];
+    }
+    return fieldObject;
+} // --- End of getFieldValue ---
+
+// --- Helper Function: Extract plain text from an HTML string ---
+export function extractTextFromHtml(htmlString) {
+    if (!htmlString || typeof htmlString !== 'string') {
+        return '';
+    }
+    try {
+        const parser = new DOMParser();
+        const doc = parser.parseFromString(htmlString, 'text/html');
+        return doc.body.textContent || '';
+    } catch (e) {
+        console.error('Error parsing HTML string:', e);
+        return htmlString;
+    }
+} // --- End of extractTextFromHtml ---
+
+// Rich-text fields are Edm.String in the feed; they are told apart by
+// their content
+export const HTML_TYPE = 'html';
+
+export const FIELD_TYPE_LABELS = {
+    'Edm.String': 'Text',
+    [HTML_TYPE]: 'Rich text',
+    'Edm.Int16': 'Integer',
+    'Edm.Int32': 'Integer',
+    'Edm.Int64': 'Integer',
+    'Edm.Byte': 'Integer',
+    'Edm.Double': 'Number',
+    'Edm.Single': 'Number',
+    'Edm.Decimal': 'Number',
+    'Edm.Boolean': 'Yes/No',
+    'Edm.DateTime': 'Date',
+    'Edm.Guid': 'GUID',
+};
+
+const NUMBER_TYPES = [
+    'Edm.Int16',
+    'Edm.Int32',
+    'Edm.Int64',
+    'Edm.Byte',
+    'Edm.Double',
+    'Edm.Single',
+    'Edm.Decimal',
+];
+
+export const fieldTypeLabel = (type) => FIELD_TYPE_LABELS[type] || type;
+
+// "d:Pasidalinkite_x0020_id_x0117_jom" -> "Pasidalinkite idėjom"
+export const decodeFieldName = (key) =>
+    key
+        .replace(/^d:/, '')
+        .replace(/_x([0-9a-fA-F]{4})_/g, (match, hex) =>
+            String.fromCharCode(parseInt(hex, 16))
+        );
+
+const looksLikeHtml = (value) =>
+    typeof value === 'string' && /^\s*<[a-z][^>]*>/i.test(value);
+
+export const getEntryProperties = (entry) =>
+    entry && typeof entry === 'object' ? entry.content?.['m:properties'] : null;
+
+// Output value of a field: numbers and booleans are converted, rich text
+// is flattened to plain text and structured values are kept as JSON
+export const convertFieldValue = (raw, type) => {
+    const value = getFieldValue(raw);
+    if (value === null || value === undefined) return null;
+    if (typeof value === 'object') return JSON.stringify(value);
+    if (NUMBER_TYPES.includes(type)) {
+        const number = Number(value);
+        return Number.isNaN(number) ? value : number;
+    }
+    if (type === 'Edm.Boolean') return value === 'true';
+    if (type === HTML_TYPE) return extractTextFromHtml(value);
+    return value;
+};
+
+// Every field of the entries, in the order they first appear, with its
+// inferred type, the number of entries that have a value and a sample
+export const discoverFields = (entries) => {
+    const fields = new Map();
+    entries.forEach((entry) => {
+        const props = getEntryProperties(entry);
+        if (!props || typeof props !== 'object') return;
+        Object.entries(props).forEach(([key, raw]) => {
+            if (!key.startsWith('d:')) return;
+            if (!fields.has(key)) {
+                fields.set(key, {
+                    key,
+                    name: decodeFieldName(key),
+                    type: null,
+                    filled: 0,
+                    sample: null,
+                });
+            }
+            const field = fields.get(key);
+            const declared =
+                raw && typeof raw === 'object' ? raw['@m:type'] : undefined;
+            if (declared) field.type = declared;
+            const value = getFieldValue(raw);
+            if (value === null || value === '') return;
+            field.filled += 1;
+            if (!declared && looksLikeHtml(value)) field.type = HTML_TYPE;
+            if (field.sample === null) {
+                field.sample = convertFieldValue(raw, field.type);
+            }
+        });
+    });
+    return [...fields.values()].map((field) => ({
+        ...field,
+        type: field.type || 'Edm.String',
+    }));
+};
+
+// The fields the Parse view was built for
+export const DEFAULT_PROFILE = {
+    name: 'Default',
+    fields: [
+        { key: 'd:ID', column: 'id' },
+        {
+            key: 'd:Identifikuokite_x0020_perteklini',
+            column: 'identifiedIssue',
+        },
+        { key: 'd:Pateikite_x0020_pasi_x016b_lymus', column: 'suggestions' },
+        { key: 'd:Pasidalinkite_x0020_id_x0117_jom', column: 'sharedIdeas' },
+        { key: 'd:Modified', column: 'modified' },
+        { key: 'd:Created', column: 'created' },
+    ],
+};
+
+// Columns added to every entry: the entry's own (Atom) id and the file or
+// pasted text it came from
+export const SHAREPOINT_ID_COLUMN = 'sharepointId';
+export const SOURCE_COLUMN = 'sourceFile';
+
+// Key the loader marks raw entries with; XML names cannot start with "#"
+export const FEED_SOURCE_FIELD = '#source';
+
+// Original HTML of the rich-text columns of an extracted entry,
+// { [column]: html }. A symbol key keeps it out of JSON and CSV output.
+export const RAW_HTML_FIELD = Symbol('rawHtml');
+
+// One object per entry with the profile's columns. Fields the feed does not
+// have are null.
+export const extractEntries = (entries, profile, fields) => {
+    const types = {};
+    fields.forEach((field) => {
+        types[field.key] = field.type;
+    });
+    return entries
+        .map((entry) => {
+            if (!entry || typeof entry !== 'object') {
+                console.warn('Skipping invalid entry structure:', entry);
+                return null;
+            }
+            const props = getEntryProperties(entry);
+            if (!props) {
+                console.warn(
+                    'Skipping entry due to missing content properties:',
+                    entry?.id
+                );
+                return null;
+            }
+            const item = {};
+            const html = {};
+            profile.fields.forEach(({ key, column }) => {
+                item[column] = convertFieldValue(props[key], types[key]);
+                const raw = getFieldValue(props[key]);
+                if (types[key] === HTML_TYPE && typeof raw === 'string') {
+                    html[column] = raw;
+                }
+            });
+            item[RAW_HTML_FIELD] = html;
+            item[SHAREPOINT_ID_COLUMN] =
+                typeof entry.id === 'string'
+                    ? entry.id
+                    : getFieldValue(entry.id);
+            item[SOURCE_COLUMN] = entry[FEED_SOURCE_FIELD] ?? null;
+            return item;
+        })
+        .filter((item) => item !== null);
+};
+
+// --- Extraction profiles ---
+
+// Validates a stored or imported profile; invalid fields are dropped
+export const parseProfile = (value) => {
+    if (!value || !Array.isArray(value.fields)) {
+        throw new Error('Not an extraction profile.');
+    }
+    return {
+        name: typeof value.name === 'string' ? value.name : 'Imported',
+        fields: value.fields
+            .filter(
+                (field) =>
+                    field &&
+                    typeof field.key === 'string' &&
+                    typeof field.column === 'string' &&
+                    field.column.trim()
+            )
+            .map(({ key, column }) => ({ key, column })),
+    };
+};
+
+const CURRENT_KEY = 'dataAnalyzer.extractionProfile';
+const SAVED_KEY = 'dataAnalyzer.savedExtractionProfiles';
+
+export const loadCurrentProfile = () => {
+    try {
+        const saved = JSON.parse(localStorage.getItem(CURRENT_KEY));
+        return saved ? parseProfile(saved) : DEFAULT_PROFILE;
+    } catch (e) {
+        console.error('Error reading extraction profile:', e);
+        return DEFAULT_PROFILE;
+    }
+};
+
+export const saveCurrentProfile = (profile) => {
+    try {
+        localStorage.setItem(CURRENT_KEY, JSON.stringify(profile));
+    } catch (e) {
+        console.error('Error saving extraction profile:', e);
+    }
+};
+
+// Named profiles: { [name]: profile }
+export const loadSavedProfiles = () => {
+    try {
+        return JSON.parse(localStorage.getItem(SAVED_KEY)) || {};
+    } catch (e) {
+        console.error('Error reading saved extraction profiles:', e);
+        return {};
+    }
+};
+
+export const saveSavedProfiles = (saved) => {
+    try {
+        localStorage.setItem(SAVED_KEY, JSON.stringify(saved));
+    } catch (e) {
+        console.error('Error saving extraction profiles:', e);
+    }
+};
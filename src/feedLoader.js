@@ -0,0 +1,217 @@
+import {
+    FEED_SOURCE_FIELD,
+    getFieldValue,
+    getEntryProperties,
+} from './feedFields';
+
+// --- Loading and merging of Atom feed exports ---
+// A paged SharePoint export is several feed documents; their entries are
+// merged, keeping the first entry seen for every d:ID.
+
+export const isXmlFile = (file) =>
+    !file.type ||
+    file.type.includes('xml') ||
+    file.name.toLowerCase().endsWith('.xml');
+
+// --- Helper Function: XML String to JSON Object (Browser DOMParser) ---
+// (Adapted from previous examples)
+export function xmlStringToJsonBrowser(xmlString) {
+    // ... (Keep the full xmlStringToJsonBrowser function from the previous 'React - Browser' example)
+    // ... (It should handle parsing, attributes, children, text, repeated tags, errors)
+    // ... (Ensure it returns { error: "message" } on failure, and the parsed object on success)
+
+    // --- [PASTE THE FULL xmlStringToJsonBrowser function HERE] ---
+    // --- [Make sure it handles the specific Atom feed structure correctly] ---
+    // --- [Including attributes starting with @ and text with #text] ---
+
+    // Example structure of the xmlStringToJsonBrowser function (ensure yours is complete):
+    try {
+        if (!xmlString || typeof xmlString !== 'string') {
+            return { error: 'Invalid or empty XML input.' };
+        }
+        const parser = new DOMParser();
+        const xmlDoc = parser.parseFromString(
+            xmlString.trim(),
+            'application/xml'
+        );
+        const parserError = xmlDoc.querySelector('parsererror');
+        if (parserError) {
+            console.error('XML Parsing Error:', parserError.textContent);
+            let errorMessage = 'Invalid XML format.';
+            const details = parserError.textContent.match(
+                /error on line \d+ at column \d+: (.*)/
+            );
+            if (details && details[1]) {
+                errorMessage += ` Details: ${details[1]}`;
+            }
+            return { error: errorMessage };
+        }
+        if (
+            !xmlDoc.documentElement ||
+            xmlDoc.documentElement.nodeName === 'parsererror'
+        ) {
+            return {
+                error: 'XML structure seems invalid (check root element).',
+            };
+        }
+
+        function parseNode(node) {
+            const result = {};
+            // 1. Attributes
+            if (node.attributes && node.attributes.length > 0) {
+                /* ... add @attributes */
+                for (let i = 0; i < node.attributes.length; i++) {
+                    const attribute = node.attributes[i];
+                    result[`@${attribute.nodeName}`] = attribute.nodeValue;
+                }
+            }
+            // 2. Children (Elements & Text)
+            let textContent = '';
+            const children = {};
+            if (node.childNodes && node.childNodes.length > 0) {
+                /* ... handle children & text */
+                for (let i = 0; i < node.childNodes.length; i++) {
+                    const child = node.childNodes[i];
+                    if (child.nodeType === 1) {
+                        // Element
+                        const childNodeName = child.nodeName;
+                        const childJson = parseNode(child);
+                        if (children[childNodeName] === undefined) {
+                            children[childNodeName] = childJson;
+                        } else {
+                            if (!Array.isArray(children[childNodeName])) {
+                                children[childNodeName] = [
+                                    children[childNodeName],
+                                ];
+                            }
+                            children[childNodeName].push(childJson);
+                        }
+                    } else if (child.nodeType === 3) {
+                        // Text
+                        const trimmedText = child.nodeValue.trim();
+                        if (trimmedText) {
+                            textContent +=
+                                (textContent ? ' ' : '') + trimmedText;
+                        }
+                    }
+                }
+            }
+            Object.assign(result, children);
+            // 3. Text Handling
+            const hasAttributes = Object.keys(result).some((k) =>
+                k.startsWith('@')
+            );
+            const hasElementChildren = Object.keys(result).some(
+                (k) => !k.startsWith('@')
+            );
+            if (textContent) {
+                if (hasAttributes || hasElementChildren) {
+                    result['#text'] = textContent;
+                } else {
+                    return textContent;
+                }
+            } else if (!hasAttributes && !hasElementChildren) {
+                // Check if truly empty vs containing only whitespace nodes
+                let trulyEmpty = true;
+                if (node.childNodes && node.childNodes.length > 0) {
+                    for (let i = 0; i < node.childNodes.length; i++) {
+                        if (
+                            node.childNodes[i].nodeType === 1 ||
+                            (node.childNodes[i].nodeType === 3 &&
+                                node.childNodes[i].nodeValue.trim())
+                        ) {
+                            trulyEmpty = false;
+                            break;
+                        }
+                    }
+                }
+                if (trulyEmpty) return null;
+            }
+            return result;
+        }
+
+        const rootElement = xmlDoc.documentElement;
+        const rootNodeName = rootElement.nodeName;
+        const rootJson = parseNode(rootElement);
+        const finalJson = {};
+        finalJson[rootNodeName] = rootJson;
+        return finalJson; // Success
+    } catch (error) {
+        console.error('Error converting XML to JSON (DOMParser):', error);
+        return { error: `Unexpected error during parsing: ${error.message}` };
+    }
+} // --- End of xmlStringToJsonBrowser ---
+
+// Entries of one feed document, each marked with the source it came from.
+// Returns {name, entries, error}.
+export const parseFeed = (xmlString, name) => {
+    const parsedResult = xmlStringToJsonBrowser(xmlString);
+    if (parsedResult && parsedResult.error) {
+        console.error('XML Parsing Error:', parsedResult.error);
+        return {
+            name,
+            entries: [],
+            error: `XML Parsing Error: ${parsedResult.error}`,
+        };
+    }
+    const entries = parsedResult?.feed?.entry;
+    if (!entries) {
+        return {
+            name,
+            entries: [],
+            error: "Parsed data format invalid: Missing 'feed' or 'feed.entry'. Check XML structure.",
+        };
+    }
+    const entriesArray = Array.isArray(entries) ? entries : [entries];
+    entriesArray.forEach((entry) => {
+        if (entry && typeof entry === 'object') {
+            entry[FEED_SOURCE_FIELD] = name;
+        }
+    });
+    return { name, entries: entriesArray, error: null };
+};
+
+// Never rejects: problems are reported in the `error` field
+export const readFeedFile = async (file) => {
+    if (!isXmlFile(file)) {
+        return {
+            name: file.name,
+            entries: [],
+            error: `Invalid file type: "${file.type}". Please select an XML file.`,
+        };
+    }
+    try {
+        return parseFeed(await file.text(), file.name);
+    } catch (err) {
+        console.error('Feed File Error:', err);
+        return {
+            name: file.name,
+            entries: [],
+            error: `Failed to read file: ${err.message}`,
+        };
+    }
+};
+
+// Concatenates the entries of all sources, keeping the first entry seen for
+// every d:ID. Duplicates are counted per source.
+export const mergeFeeds = (sources) => {
+    const seen = new Set();
+    const duplicatesBySource = {};
+    const entries = [];
+    sources.forEach((source) => {
+        duplicatesBySource[source.name] = 0;
+        source.entries.forEach((entry) => {
+            const id = getFieldValue(getEntryProperties(entry)?.['d:ID']);
+            if (id !== null && id !== undefined) {
+                const key = String(id);
+                if (seen.has(key)) {
+                    duplicatesBySource[source.name] += 1;
+                    return;
+                }
+                seen.add(key);
+            }
+            entries.push(entry);
+        });
+    });
+    return { entries, duplicatesBySource };
+};
@@ -0,0 +1,123 @@
+import { format, startOfMonth, endOfMonth, endOfDay } from 'date-fns';
+import { getRoleValue } from './columnMapping';
+import { getDurationUnits } from './businessCalendar';
+
+// --- Global cross-filter state of the History dashboard ---
+// Dates filter on the created date; durations on durationDays.
+
+export const EMPTY_FILTERS = {
+    dateFrom: null,
+    dateTo: null,
+    staff: [],
+    actions: [],
+    durationMin: null,
+    durationMax: null,
+};
+
+export const hasActiveFilters = (filters) =>
+    Boolean(
+        filters.dateFrom ||
+            filters.dateTo ||
+            filters.staff.length ||
+            filters.actions.length ||
+            filters.durationMin !== null ||
+            filters.durationMax !== null
+    );
+
+export const applyFilters = (rows, mapping, filters) => {
+    if (!hasActiveFilters(filters)) return rows;
+    const { dateFrom, dateTo, staff, actions, durationMin, durationMax } =
+        filters;
+    return rows.filter((row) => {
+        if (dateFrom || dateTo) {
+            const created = row.createdDateValid;
+            if (!created) return false;
+            if (dateFrom && created < dateFrom) return false;
+            if (dateTo && created > dateTo) return false;
+        }
+        if (
+            staff.length &&
+            !staff.includes(getRoleValue(row, mapping, 'staff'))
+        ) {
+            return false;
+        }
+        if (
+            actions.length &&
+            !actions.includes(getRoleValue(row, mapping, 'action'))
+        ) {
+            return false;
+        }
+        if (durationMin !== null || durationMax !== null) {
+            const d = row.durationDays;
+            if (d === null) return false;
+            if (durationMin !== null && d < durationMin) return false;
+            if (durationMax !== null && d > durationMax) return false;
+        }
+        return true;
+    });
+};
+
+// Adds the value to a set filter, or removes it when already selected
+export const toggleFilterValue = (filters, key, value) => {
+    const values = filters[key];
+    return {
+        ...filters,
+        [key]: values.includes(value)
+            ? values.filter((v) => v !== value)
+            : [...values, value],
+    };
+};
+
+// Filter for a "yyyy-MM" month bucket of the created date
+export const monthFilter = (filters, month) => {
+    const start = startOfMonth(new Date(`${month}-01T00:00:00`));
+    return { ...filters, dateFrom: start, dateTo: endOfMonth(start) };
+};
+
+export const parseDateInput = (value, isEnd) => {
+    if (!value) return null;
+    const date = new Date(`${value}T00:00:00`);
+    return isEnd ? endOfDay(date) : date;
+};
+
+export const formatDateInput = (date) =>
+    date ? format(date, 'yyyy-MM-dd') : '';
+
+// Chips for the filter bar; remove() returns the filters without that chip.
+// Durations are labelled in the unit of durationSettings.
+export const describeFilters = (filters, durationSettings) => {
+    const chips = [];
+    if (filters.dateFrom || filters.dateTo) {
+        chips.push({
+            key: 'date',
+            label: `Created ${formatDateInput(filters.dateFrom) || '…'} – ${
+                formatDateInput(filters.dateTo) || '…'
+            }`,
+            remove: (f) => ({ ...f, dateFrom: null, dateTo: null }),
+        });
+    }
+    filters.staff.forEach((staff) =>
+        chips.push({
+            key: `staff-${staff}`,
+            label: `Staff: ${staff}`,
+            remove: (f) => toggleFilterValue(f, 'staff', staff),
+        })
+    );
+    filters.actions.forEach((action) =>
+        chips.push({
+            key: `action-${action}`,
+            label: `Action: ${action}`,
+            remove: (f) => toggleFilterValue(f, 'actions', action),
+        })
+    );
+    if (filters.durationMin !== null || filters.durationMax !== null) {
+        chips.push({
+            key: 'duration',
+            label: `Duration ${filters.durationMin ?? 0}–${
+                filters.durationMax ?? '∞'
+            } ${getDurationUnits(durationSettings).unit}`,
+            remove: (f) => ({ ...f, durationMin: null, durationMax: null }),
+        });
+    }
+    return chips;
+};
@@ -0,0 +1,133 @@
+import { isValid } from 'date-fns';
+import { DATE_ROLES, getRoleValue } from './columnMapping';
+import { detectDateFormat, parseDateWithFormat } from './dateDetection';
+import { createDurationMeasure } from './businessCalendar';
+import { SOURCE_FILE_FIELD } from './csvLoader';
+
+// --- Row processing: column mapping, date parsing and durations ---
+
+// Detects the date pattern of every mapped date column, per source file:
+// exports from different systems may write the same column differently.
+// Returns {fileName: {role: format}}.
+export const detectDateFormats = (rows, mapping) => {
+    const formats = {};
+    if (!mapping || !rows.length) return formats;
+    const rowsByFile = {};
+    rows.forEach((row) => {
+        const file = row[SOURCE_FILE_FIELD];
+        if (!rowsByFile[file]) rowsByFile[file] = [];
+        rowsByFile[file].push(row);
+    });
+    Object.entries(rowsByFile).forEach(([file, fileRows]) => {
+        formats[file] = {};
+        DATE_ROLES.forEach((role) => {
+            if (!mapping[role]) return;
+            const values = fileRows.map((row) =>
+                getRoleValue(row, mapping, role)
+            );
+            formats[file][role] = detectDateFormat(values).format;
+        });
+    });
+    return formats;
+};
+
+// Roles a row cannot be analyzed without
+const REQUIRED_ROLES = ['id', 'created', 'actionDate'];
+
+// Applies the column mapping to the raw CSV rows and derives dates/durations.
+// Every row's dates are parsed with the formats of its file (see
+// detectDateFormats). Date values that are present but do not match the
+// pattern are counted per column in dateReport, which also lists the
+// patterns of the files, instead of being dropped silently.
+// Durations are in calendar or business time depending on durationSettings.
+// Rejected and suspicious rows are flagged in `quality` (see dataQuality.js).
+export const processRows = (
+    rows,
+    mapping,
+    dateFormats,
+    durationSettings,
+    quality = null
+) => {
+    const dateReport = {};
+    if (!mapping || !rows.length) return { rows: [], dateReport };
+    DATE_ROLES.forEach((role) => {
+        if (mapping[role]) {
+            dateReport[role] = {
+                header: mapping[role],
+                formats: [
+                    ...new Set(
+                        Object.values(dateFormats).map((file) => file[role])
+                    ),
+                ],
+                total: 0,
+                failed: 0,
+            };
+        }
+    });
+
+    const measure = createDurationMeasure(durationSettings);
+
+    const parseRoleDate = (row, role) => {
+        const value = getRoleValue(row, mapping, role);
+        if (value === null) return null;
+        const dt = parseDateWithFormat(
+            value,
+            dateFormats[row[SOURCE_FILE_FIELD]]?.[role]
+        );
+        dateReport[role].total += 1;
+        if (!dt) {
+            dateReport[role].failed += 1;
+            quality?.add(row, 'badDate', `${mapping[role]}: "${value}"`);
+        }
+        return dt;
+    };
+
+    const processed = [];
+    rows.forEach((row) => {
+        const createdDate = parseRoleDate(row, 'created');
+        const actionDate = parseRoleDate(row, 'actionDate');
+        const registrationDate = parseRoleDate(row, 'registration');
+        let durationDays = null;
+        let durationHours = null;
+
+        if (
+            createdDate &&
+            actionDate &&
+            isValid(createdDate) &&
+            isValid(actionDate)
+        ) {
+            if (actionDate >= createdDate) {
+                durationDays = measure.days(createdDate, actionDate);
+                durationHours = measure.hours(createdDate, actionDate);
+            } else {
+                quality?.add(
+                    row,
+                    'negativeDuration',
+                    `${mapping.actionDate} before ${mapping.created}`
+                );
+            }
+        }
+
+        const missing = REQUIRED_ROLES.filter(
+            (role) => !getRoleValue(row, mapping, role)
+        );
+        if (missing.length) {
+            quality?.add(
+                row,
+                'missingField',
+                missing.map((role) => mapping[role] || role).join(', ')
+            );
+            return;
+        }
+
+        processed.push({
+            ...row,
+            createdDateValid: createdDate,
+            actionDateValid: actionDate,
+            registrationDateValid: registrationDate,
+            durationHours: durationHours,
+            durationDays: durationDays,
+        });
+    });
+    return { rows: processed, dateReport };
+};
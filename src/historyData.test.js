@@ -0,0 +1,38 @@
+import { detectDateFormats, processRows } from './historyData';
+
+const MAPPING = { id: 'ID', created: 'CREATED', actionDate: 'ACTION' };
+
+const row = (id, file, created, action) => ({
+    ID: id,
+    CREATED: created,
+    ACTION: action,
+    sourceFile: file,
+});
+
+describe('detectDateFormats', () => {
+    // Same days, written day-first in one export and ISO in the other
+    const rows = [
+        row('1', 'a.csv', '13.01.2024', '15.01.2024'),
+        row('2', 'a.csv', '20.02.2024', '21.02.2024'),
+        row('3', 'b.csv', '2024-01-13', '2024-01-15'),
+        row('4', 'b.csv', '2024-02-20', '2024-02-21'),
+    ];
+
+    it('parses every file with its own formats', () => {
+        const formats = detectDateFormats(rows, MAPPING);
+        expect(Object.keys(formats)).toEqual(['a.csv', 'b.csv']);
+        expect(formats['a.csv'].created).not.toEqual(formats['b.csv'].created);
+
+        const { rows: processed, dateReport } = processRows(
+            rows,
+            MAPPING,
+            formats
+        );
+        expect(processed.map((r) => r.durationDays)).toEqual([2, 1, 2, 1]);
+        expect(processed[0].createdDateValid).toEqual(
+            processed[2].createdDateValid
+        );
+        expect(dateReport.created.failed).toBe(0);
+        expect(dateReport.created.formats).toHaveLength(2);
+    });
+});
@@ -0,0 +1,122 @@
+import {
+    createTable,
+    getCoreRowModel,
+    getFilteredRowModel,
+    getSortedRowModel,
+    getGroupedRowModel,
+    getExpandedRowModel,
+    getPaginationRowModel,
+} from '@tanstack/table-core';
+import { SOURCE_FILE_FIELD } from './csvLoader';
+import { isWithinRange } from './tableFilters';
+
+// --- Data grid of the analyzed rows, paged in the analysis worker ---
+// The worker sorts, filters, groups and pages the rows with TanStack's table
+// core; the grid on the main thread only holds the table state and the rows
+// of the current page.
+
+// Columns computed while processing the rows, shown after the CSV columns.
+// Text columns sort ascending first, the others descending (TanStack's
+// default, which the grid cannot detect without rows).
+const COMPUTED_COLUMNS = [
+    {
+        id: SOURCE_FILE_FIELD,
+        header: 'Source File',
+        sortDescFirst: false,
+    },
+    {
+        id: 'createdDateValid',
+        header: 'Created (parsed)',
+        filterFn: 'isWithinRange',
+        aggregationFn: 'min',
+    },
+    {
+        id: 'actionDateValid',
+        header: 'Action Date (parsed)',
+        filterFn: 'isWithinRange',
+        aggregationFn: 'max',
+    },
+    {
+        id: 'durationDays',
+        header: 'Duration (Days)',
+        filterFn: 'inNumberRange',
+        aggregationFn: 'mean',
+    },
+    {
+        id: 'durationHours',
+        header: 'Duration (Hours)',
+        filterFn: 'inNumberRange',
+        aggregationFn: 'mean',
+    },
+];
+
+export const gridColumns = (headers) =>
+    [
+        ...headers.map((header) => ({
+            id: header,
+            header,
+            sortDescFirst: false,
+        })),
+        ...COMPUTED_COLUMNS,
+    ].map((column) => ({
+        // accessorKey would treat dots in CSV headers as paths
+        accessorFn: (row) => row[column.id],
+        ...column,
+    }));
+
+export const GRID_FILTER_FNS = { isWithinRange };
+
+export const createGridTable = (rows, headers) =>
+    createTable({
+        data: rows,
+        columns: gridColumns(headers),
+        state: {},
+        onStateChange: () => {},
+        renderFallbackValue: null,
+        filterFns: GRID_FILTER_FNS,
+        getCoreRowModel: getCoreRowModel(),
+        getFilteredRowModel: getFilteredRowModel(),
+        getSortedRowModel: getSortedRowModel(),
+        getGroupedRowModel: getGroupedRowModel(),
+        getExpandedRowModel: getExpandedRowModel(),
+        getPaginationRowModel: getPaginationRowModel(),
+        // Expanded groups stay on the page of their group row
+        paginateExpandedRows: false,
+        // The grid resets the page itself
+        autoResetAll: false,
+    });
+
+const cellKind = (cell) => {
+    if (cell.getIsGrouped()) return 'grouped';
+    if (cell.getIsAggregated()) return 'aggregated';
+    if (cell.getIsPlaceholder()) return 'placeholder';
+    return 'value';
+};
+
+// One page of the table for `state` ({sorting, columnFilters, grouping,
+// expanded, pagination}). Cells are keyed by column id; the grid decides
+// which columns to show.
+export const queryGridPage = (table, state) => {
+    table.setOptions((options) => ({
+        ...options,
+        state: { ...table.initialState, ...state },
+    }));
+    return {
+        rows: table.getRowModel().rows.map((row) => ({
+            id: row.id,
+            expanded: row.getIsExpanded(),
+            subRowCount: row.subRows.length,
+            cells: Object.fromEntries(
+                row
+                    .getAllCells()
+                    .map((cell) => [
+                        cell.column.id,
+                        { value: cell.getValue(), kind: cellKind(cell) },
+                    ])
+            ),
+        })),
+        pageCount: table.getPageCount(),
+        rowCount: table.getFilteredRowModel().rows.length,
+        groupCount: table.getGroupedRowModel().rows.length,
+    };
+};
@@ -0,0 +1,94 @@
+import { createGridTable, queryGridPage } from './historyGrid';
+
+const HEADERS = ['ID', 'REFERENCE'];
+
+// Three references with one to three rows each
+const ROWS = [
+    ['1', 'A', '2024-01-03', 2],
+    ['2', 'B', '2024-01-01', 10],
+    ['3', 'A', '2024-01-05', 4],
+    ['4', 'C', '2024-02-01', 1],
+    ['5', 'B', '2024-01-02', 6],
+    ['6', 'A', '2024-01-04', 9],
+].map(([id, reference, created, durationDays]) => ({
+    ID: id,
+    REFERENCE: reference,
+    sourceFile: 'export.csv',
+    createdDateValid: new Date(`${created}T12:00:00`),
+    actionDateValid: null,
+    durationDays,
+    durationHours: durationDays * 24,
+}));
+
+const STATE = {
+    sorting: [],
+    columnFilters: [],
+    grouping: [],
+    expanded: {},
+    pagination: { pageIndex: 0, pageSize: 2 },
+};
+
+const ids = (page) => page.rows.map((row) => row.cells.ID.value);
+
+describe('queryGridPage', () => {
+    const table = createGridTable(ROWS, HEADERS);
+
+    it('returns one page of the rows', () => {
+        const page = queryGridPage(table, {
+            ...STATE,
+            pagination: { pageIndex: 1, pageSize: 2 },
+        });
+        expect(ids(page)).toEqual(['3', '4']);
+        expect(page.pageCount).toBe(3);
+        expect(page.rowCount).toBe(6);
+        expect(page.rows[0].cells.createdDateValid.value).toBeInstanceOf(Date);
+    });
+
+    it('sorts and filters before paging', () => {
+        const page = queryGridPage(table, {
+            ...STATE,
+            sorting: [{ id: 'durationDays', desc: true }],
+            columnFilters: [
+                { id: 'durationDays', value: ['3', ''] },
+                {
+                    id: 'createdDateValid',
+                    value: [new Date('2024-01-02T00:00:00'), undefined],
+                },
+            ],
+        });
+        expect(ids(page)).toEqual(['6', '5']);
+        expect(page.rowCount).toBe(3);
+        expect(page.pageCount).toBe(2);
+    });
+
+    it('groups by reference with aggregated cells', () => {
+        const page = queryGridPage(table, {
+            ...STATE,
+            grouping: ['REFERENCE'],
+            expanded: { 'REFERENCE:A': true },
+        });
+        expect(page.groupCount).toBe(3);
+        expect(page.rowCount).toBe(6);
+        // Expanded rows stay on the page of their group
+        expect(page.rows).toHaveLength(5);
+        const [group, ...subRows] = page.rows;
+        expect(group.expanded).toBe(true);
+        expect(group.subRowCount).toBe(3);
+        expect(group.cells.REFERENCE).toEqual({
+            value: 'A',
+            kind: 'grouped',
+        });
+        expect(group.cells.durationDays.kind).toBe('aggregated');
+        expect(group.cells.durationDays.value).toBeCloseTo(5);
+        expect(group.cells.createdDateValid.value).toEqual(
+            new Date('2024-01-03T12:00:00')
+        );
+        expect(subRows.slice(0, 3).map((row) => row.cells.ID.value)).toEqual([
+            '1',
+            '3',
+            '6',
+        ]);
+        expect(subRows[0].cells.REFERENCE.kind).toBe('placeholder');
+        expect(subRows[3].cells.REFERENCE.value).toBe('B');
+    });
+});
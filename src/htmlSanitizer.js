@@ -0,0 +1,93 @@
+// --- Sanitizing of the rich-text HTML in SharePoint feeds ---
+// The feed's HTML is rebuilt from a whitelist: allowed tags are copied
+// without attributes (links keep a safe href), other tags are replaced by
+// their content and unsafe ones are dropped with it. Inline styles such as
+// the font-family and color the editor adds are lost with the attributes.
+
+// SharePoint wraps every line of a rich-text field in a div
+const ALLOWED_TAGS = [
+    'p',
+    'div',
+    'ul',
+    'ol',
+    'li',
+    'b',
+    'strong',
+    'i',
+    'em',
+    'br',
+    'a',
+];
+
+// Dropped with their content
+const DROPPED_TAGS = [
+    'script',
+    'style',
+    'iframe',
+    'object',
+    'embed',
+    'template',
+    'noscript',
+    'title',
+    'head',
+    'svg',
+    'math',
+];
+
+const SAFE_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+// Absolute links with a safe protocol; relative ones would point into this
+// app instead of SharePoint
+export const isSafeHref = (href) => {
+    try {
+        return SAFE_PROTOCOLS.includes(new URL(href).protocol);
+    } catch (e) {
+        return false;
+    }
+};
+
+const copyChildren = (source, target, doc) => {
+    source.childNodes.forEach((node) => {
+        if (node.nodeType === 3) {
+            target.appendChild(doc.createTextNode(node.nodeValue));
+            return;
+        }
+        if (node.nodeType !== 1) return;
+        const tag = node.nodeName.toLowerCase();
+        if (DROPPED_TAGS.includes(tag)) return;
+        if (!ALLOWED_TAGS.includes(tag)) {
+            copyChildren(node, target, doc);
+            return;
+        }
+        const element = doc.createElement(tag);
+        if (tag === 'a') {
+            const href = node.getAttribute('href');
+            if (href && isSafeHref(href)) {
+                element.setAttribute('href', href);
+                element.setAttribute('target', '_blank');
+                element.setAttribute('rel', 'noopener noreferrer');
+            }
+        }
+        copyChildren(node, element, doc);
+        target.appendChild(element);
+    });
+};
+
+// HTML safe to render with dangerouslySetInnerHTML
+export const sanitizeHtml = (htmlString) => {
+    if (!htmlString || typeof htmlString !== 'string') {
+        return '';
+    }
+    try {
+        const parser = new DOMParser();
+        const source = parser.parseFromString(htmlString, 'text/html');
+        // A document of its own, so nothing is loaded while building
+        const doc = parser.parseFromString('', 'text/html');
+        const container = doc.createElement('div');
+        copyChildren(source.body, container, doc);
+        return container.innerHTML;
+    } catch (e) {
+        console.error('Error sanitizing HTML string:', e);
+        return '';
+    }
+};
@@ -0,0 +1,169 @@
+import { createDurationMeasure } from './businessCalendar';
+import { getRoleValue } from './columnMapping';
+import { mean, median } from './statistics';
+
+// --- Lifecycle analysis: action timelines per REFERENCE ---
+
+// Fractional days between two dates, in calendar or business time
+const measureDays = (measure) => (from, to) =>
+    measure.hours(from, to) / measure.hoursPerDay;
+
+// Orders of the reference timelines
+export const LIFECYCLE_SORTS = {
+    cycle: {
+        label: 'Longest cycle time',
+        compare: (a, b) => b.cycleDays - a.cycleDays,
+    },
+    steps: {
+        label: 'Most steps',
+        compare: (a, b) => b.stepCount - a.stepCount,
+    },
+    gap: {
+        label: 'Largest gap between actions',
+        compare: (a, b) => b.maxGapDays - a.maxGapDays,
+    },
+};
+
+// Groups rows by reference and orders each group by action date. The
+// timeline starts at the earliest creation date of the reference; every
+// step records the gap since the previous point of the timeline. Gaps and
+// cycle times are in calendar or business days, depending on the measure.
+export const computeLifecycles = (
+    rows,
+    mapping,
+    measure = createDurationMeasure()
+) => {
+    const toDays = measureDays(measure);
+    if (!mapping?.reference || !rows.length) return [];
+    const groups = {};
+    rows.forEach((row) => {
+        const reference = getRoleValue(row, mapping, 'reference');
+        if (!reference || !row.actionDateValid) return;
+        if (!groups[reference]) groups[reference] = [];
+        groups[reference].push(row);
+    });
+
+    return Object.entries(groups)
+        .map(([reference, groupRows]) => {
+            const ordered = [...groupRows].sort(
+                (a, b) => a.actionDateValid - b.actionDateValid
+            );
+            const createdDates = ordered
+                .map((row) => row.createdDateValid)
+                .filter(Boolean);
+            const start = createdDates.length
+                ? new Date(Math.min(...createdDates))
+                : ordered[0].actionDateValid;
+            const end = ordered[ordered.length - 1].actionDateValid;
+
+            let previous = start;
+            const steps = ordered.map((row) => {
+                const gapDays = Math.max(
+                    toDays(previous, row.actionDateValid),
+                    0
+                );
+                previous = row.actionDateValid;
+                return {
+                    id: getRoleValue(row, mapping, 'id'),
+                    action: getRoleValue(row, mapping, 'action') || 'N/A',
+                    staff: getRoleValue(row, mapping, 'staff') || 'N/A',
+                    date: row.actionDateValid,
+                    gapDays,
+                };
+            });
+            // The first gap is the wait for the first action, not an
+            // inter-action gap
+            const interActionGaps = steps.slice(1).map((s) => s.gapDays);
+
+            return {
+                reference,
+                start,
+                end,
+                steps,
+                stepCount: steps.length,
+                cycleDays: Math.max(toDays(start, end), 0),
+                avgGapDays: mean(interActionGaps),
+                maxGapDays: interActionGaps.length
+                    ? Math.max(...interActionGaps)
+                    : 0,
+            };
+        })
+        .sort((a, b) => b.cycleDays - a.cycleDays);
+};
+
+export const summarizeLifecycles = (lifecycles) => {
+    if (!lifecycles.length) {
+        return {
+            references: 0,
+            avgCycleDays: 0,
+            medianCycleDays: 0,
+            avgSteps: 0,
+            avgGapDays: 0,
+        };
+    }
+    const cycles = lifecycles.map((l) => l.cycleDays).sort((a, b) => a - b);
+    const gaps = lifecycles.flatMap((l) =>
+        l.steps.slice(1).map((s) => s.gapDays)
+    );
+    return {
+        references: lifecycles.length,
+        avgCycleDays: mean(cycles),
+        medianCycleDays: median(cycles),
+        avgSteps: mean(lifecycles.map((l) => l.stepCount)),
+        avgGapDays: mean(gaps),
+    };
+};
+
+// Histogram of total cycle times with a bin size chosen from the maximum
+export const cycleTimeDistribution = (lifecycles) => {
+    if (!lifecycles.length) return [];
+    const maxCycle = lifecycles.reduce(
+        (max, l) => Math.max(max, l.cycleDays),
+        0
+    );
+    let binSize = 1;
+    if (maxCycle > 365) binSize = 90;
+    else if (maxCycle > 60) binSize = 30;
+    else if (maxCycle > 14) binSize = 7;
+
+    const binCount = Math.floor(maxCycle / binSize) + 1;
+    const bins = Array.from({ length: binCount }, (_, i) => ({
+        range:
+            binSize === 1
+                ? `${i} day(s)`
+                : `${i * binSize}-${(i + 1) * binSize - 1} days`,
+        count: 0,
+    }));
+    lifecycles.forEach((l) => {
+        bins[Math.floor(l.cycleDays / binSize)].count += 1;
+    });
+    return bins;
+};
+
+// Gantt rows for a stacked horizontal BarChart: a transparent offset bar
+// followed by one segment per step (seg0, seg1, ...). The measure must be
+// the one the lifecycles were computed with.
+export const buildGanttData = (
+    lifecycles,
+    maxSteps,
+    measure = createDurationMeasure()
+) => {
+    if (!lifecycles.length) return { rows: [], segmentCount: 0 };
+    const toDays = measureDays(measure);
+    const origin = new Date(Math.min(...lifecycles.map((l) => l.start)));
+    let segmentCount = 0;
+    const rows = lifecycles.map((l) => {
+        const row = {
+            reference: l.reference,
+            offset: toDays(origin, l.start),
+        };
+        const steps = l.steps.slice(0, maxSteps);
+        steps.forEach((step, i) => {
+            row[`seg${i}`] = step.gapDays;
+            row[`action${i}`] = step.action;
+        });
+        segmentCount = Math.max(segmentCount, steps.length);
+        return row;
+    });
+    return { rows, segmentCount };
+};
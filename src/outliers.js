@@ -0,0 +1,116 @@
+import { getRoleValue } from './columnMapping';
+import { quantile, mean, standardDeviation } from './statistics';
+
+// --- Outlier detection over durationDays ---
+
+export const OUTLIER_METHODS = {
+    iqr: { label: 'IQR (Tukey fences)', defaultThreshold: 1.5 },
+    zscore: { label: 'Z-score', defaultThreshold: 3 },
+};
+
+export const GROUP_BY_OPTIONS = {
+    all: 'All rows',
+    staff: 'Per staff member',
+    action: 'Per action type',
+};
+
+// Groups with fewer values do not give meaningful bounds
+const MIN_GROUP_SIZE = 4;
+
+const groupKey = (row, mapping, groupBy) =>
+    groupBy === 'all' ? 'All' : getRoleValue(row, mapping, groupBy) || '(none)';
+
+const groupRows = (rows, mapping, groupBy) => {
+    const groups = {};
+    rows.forEach((row) => {
+        if (row.durationDays === null || row.durationDays < 0) return;
+        const key = groupKey(row, mapping, groupBy);
+        if (!groups[key]) groups[key] = [];
+        groups[key].push(row);
+    });
+    return groups;
+};
+
+// Five-number summary with whiskers at the most extreme values inside the
+// 1.5 IQR fences
+export const boxPlotStats = (rows, mapping, groupBy) =>
+    Object.entries(groupRows(rows, mapping, groupBy))
+        .map(([group, groupedRows]) => {
+            const sorted = groupedRows
+                .map((row) => row.durationDays)
+                .sort((a, b) => a - b);
+            const q1 = quantile(sorted, 0.25);
+            const median = quantile(sorted, 0.5);
+            const q3 = quantile(sorted, 0.75);
+            const iqr = q3 - q1;
+            const inside = sorted.filter(
+                (d) => d >= q1 - 1.5 * iqr && d <= q3 + 1.5 * iqr
+            );
+            return {
+                group,
+                count: sorted.length,
+                min: sorted[0],
+                q1,
+                median,
+                q3,
+                max: sorted[sorted.length - 1],
+                whiskerLow: inside[0],
+                whiskerHigh: inside[inside.length - 1],
+                outlierCount: sorted.length - inside.length,
+            };
+        })
+        .sort((a, b) => b.count - a.count);
+
+// Flags rows whose duration lies outside the bounds of their group. For IQR
+// the score is the distance beyond the fence in IQRs, for z-score it is z.
+export const detectOutliers = (
+    rows,
+    mapping,
+    { method, groupBy, threshold }
+) => {
+    const flagged = [];
+    Object.entries(groupRows(rows, mapping, groupBy)).forEach(
+        ([group, groupedRows]) => {
+            if (groupedRows.length < MIN_GROUP_SIZE) return;
+            const durations = groupedRows.map((row) => row.durationDays);
+
+            if (method === 'iqr') {
+                const sorted = [...durations].sort((a, b) => a - b);
+                const q1 = quantile(sorted, 0.25);
+                const q3 = quantile(sorted, 0.75);
+                const iqr = q3 - q1;
+                const low = q1 - threshold * iqr;
+                const high = q3 + threshold * iqr;
+                groupedRows.forEach((row) => {
+                    const d = row.durationDays;
+                    if (d < low || d > high) {
+                        flagged.push({
+                            row,
+                            group,
+                            direction: d > high ? 'high' : 'low',
+                            score: iqr
+                                ? (d > high ? d - q3 : q1 - d) / iqr
+                                : Infinity,
+                        });
+                    }
+                });
+            } else {
+                const avg = mean(durations);
+                const sd = standardDeviation(durations, { sample: false });
+                if (!sd) return;
+                groupedRows.forEach((row) => {
+                    const z = (row.durationDays - avg) / sd;
+                    if (Math.abs(z) > threshold) {
+                        flagged.push({
+                            row,
+                            group,
+                            direction: z > 0 ? 'high' : 'low',
+                            score: z,
+                        });
+                    }
+                });
+            }
+        }
+    );
+    return flagged.sort((a, b) => b.row.durationDays - a.row.durationDays);
+};
@@ -0,0 +1,251 @@
+import * as XLSX from 'xlsx';
+import { format } from 'date-fns';
+import { downloadBlob, fileTimestamp } from './download';
+
+// --- Export of the History dashboard as HTML, printable PDF and XLSX ---
+
+// Charts to include are marked in the dashboard with this attribute; its
+// value is the chart title used in the report
+export const REPORT_CHART_ATTRIBUTE = 'data-report-chart';
+
+const round = (value) =>
+    typeof value === 'number' ? Math.round(value * 10) / 10 : value;
+
+// One table per aggregation, shared by the HTML report and the workbook.
+// Sheet names are limited to 31 characters by Excel.
+export const buildReportTables = (aggregates, unit = 'days') => [
+    {
+        name: 'Monthly Creations',
+        columns: ['Month', 'Items Created'],
+        rows: aggregates.monthlyCreations.map((m) => [m.month, m.count]),
+    },
+    {
+        name: 'Duration Histogram',
+        columns: ['Duration Range', 'Items', `From (${unit})`, `To (${unit})`],
+        rows: aggregates.durationHistogramData.map((bin) => [
+            bin.range,
+            bin.count,
+            bin.start,
+            bin.end,
+        ]),
+    },
+    {
+        name: 'Staff Averages',
+        columns: ['Staff', `Avg. Duration (${unit})`, 'Action Count'],
+        rows: aggregates.staffActivity.durations.map((s) => [
+            s.staff,
+            round(s.avgDurationDays),
+            aggregates.staffActivity.counts.find((c) => c.staff === s.staff)
+                ?.count ?? 0,
+        ]),
+    },
+    {
+        name: 'Action Types',
+        columns: ['Action', 'Count'],
+        rows: aggregates.actionTypeCounts.map((a) => [a.name, a.value]),
+    },
+];
+
+// Sheet of the XLSX export with every row's registration to action, which
+// the worker computes on request. `details` is null when the rows are not
+// kept (memory-bounded files); the sheet says so instead of being empty.
+export const buildRegistrationToActionTable = (details, unit = 'days') => ({
+    name: 'Registration to Action',
+    columns: ['ID', 'Reference', `Registration to Action (${unit})`],
+    rows: details
+        ? details.map((d) => [d.id, d.reference, d.regToActionDays])
+        : [
+              [
+                  'Not available: the rows of memory-bounded files are not kept',
+                  '',
+                  '',
+              ],
+          ],
+});
+
+// Headline numbers shown at the top of the report and on the summary sheet
+export const buildReportSummary = ({
+    aggregates,
+    rowCount,
+    fileNames,
+    filterLabels,
+    unit = 'days',
+}) => [
+    ['Generated', format(new Date(), 'yyyy-MM-dd HH:mm')],
+    ['Files', fileNames.join(', ')],
+    ['Analyzed rows', rowCount],
+    ['Filters', filterLabels.length ? filterLabels.join('; ') : 'None'],
+    [`Average duration (${unit})`, round(aggregates.durationStats.average)],
+    [`Median duration (${unit})`, round(aggregates.durationStats.median)],
+    [`P90 duration (${unit})`, round(aggregates.durationStats.p90)],
+    [`P95 duration (${unit})`, round(aggregates.durationStats.p95)],
+    [`Min duration (${unit})`, aggregates.durationStats.min],
+    [`Max duration (${unit})`, aggregates.durationStats.max],
+    [
+        `Average registration to action (${unit})`,
+        round(aggregates.registrationToActionDuration.average),
+    ],
+    [
+        `Median registration to action (${unit})`,
+        round(aggregates.registrationToActionDuration.median),
+    ],
+];
+
+// Serializes the recharts SVGs inside the marked chart containers. Legends
+// are HTML in recharts, so every chart gets its series names listed below.
+export const collectChartSvgs = (container) => {
+    if (!container) return [];
+    const serializer = new XMLSerializer();
+    return Array.from(container.querySelectorAll(`[${REPORT_CHART_ATTRIBUTE}]`))
+        .map((element) => {
+            const svg = element.querySelector('svg.recharts-surface');
+            if (!svg) return null;
+            const clone = svg.cloneNode(true);
+            clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+            clone.setAttribute(
+                'viewBox',
+                `0 0 ${svg.getAttribute('width')} ${svg.getAttribute('height')}`
+            );
+            const legend = Array.from(
+                element.querySelectorAll('.recharts-legend-item-text')
+            ).map((item) => item.textContent);
+            return {
+                title: element.getAttribute(REPORT_CHART_ATTRIBUTE),
+                svg: serializer.serializeToString(clone),
+                legend,
+            };
+        })
+        .filter(Boolean);
+};
+
+const escapeHtml = (value) =>
+    String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+
+const htmlTable = (columns, rows) => `<table>
+<thead><tr>${columns
+    .map((c) => `<th>${escapeHtml(c)}</th>`)
+    .join('')}</tr></thead>
+<tbody>
+${rows
+    .map(
+        (row) =>
+            `<tr>${row.map((v) => `<td>${escapeHtml(v)}</td>`).join('')}</tr>`
+    )
+    .join('\n')}
+</tbody>
+</table>`;
+
+// Rows beyond this are left to the XLSX export to keep the report readable
+const MAX_HTML_TABLE_ROWS = 50;
+
+const REPORT_STYLES = `
+body { font-family: sans-serif; margin: 20px; color: #222; }
+h1 { margin-bottom: 5px; }
+section { margin-bottom: 30px; page-break-inside: avoid; break-inside: avoid; }
+table { border-collapse: collapse; font-size: 0.9em; margin-top: 10px; }
+th, td { border: 1px solid #ccc; padding: 3px 8px; text-align: left; }
+th { background: #f5f5f5; }
+svg { max-width: 100%; height: auto; }
+.legend { font-size: 0.85em; color: #555; }
+.note { font-size: 0.85em; color: #555; }
+@page { size: A4 landscape; margin: 15mm; }
+@media print {
+    body { margin: 0; }
+    .page-break { page-break-before: always; break-before: page; }
+}
+`;
+
+// Standalone HTML document: no scripts, no external resources, so it opens
+// offline and prints to PDF with one chart per block
+export const buildHtmlReport = ({
+    title,
+    summary,
+    charts,
+    tables,
+}) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<title>${escapeHtml(title)}</title>
+<style>${REPORT_STYLES}</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<section>
+${htmlTable(['Metric', 'Value'], summary)}
+</section>
+${charts
+    .map(
+        (chart) => `<section>
+<h2>${escapeHtml(chart.title)}</h2>
+${chart.svg}
+${
+    chart.legend.length
+        ? `<div class="legend">${chart.legend
+              .map(escapeHtml)
+              .join(' · ')}</div>`
+        : ''
+}
+</section>`
+    )
+    .join('\n')}
+<div class="page-break"></div>
+${tables
+    .map(
+        (table) => `<section>
+<h2>${escapeHtml(table.name)}</h2>
+${htmlTable(table.columns, table.rows.slice(0, MAX_HTML_TABLE_ROWS))}
+${
+    table.rows.length > MAX_HTML_TABLE_ROWS
+        ? `<p class="note">First ${MAX_HTML_TABLE_ROWS} of ${table.rows.length} rows; see the XLSX export for all rows.</p>`
+        : ''
+}
+</section>`
+    )
+    .join('\n')}
+</body>
+</html>`;
+
+export const exportHtmlReport = (report) => {
+    const html = buildHtmlReport(report);
+    downloadBlob(
+        new Blob([html], { type: 'text/html;charset=utf-8' }),
+        `history_report_${fileTimestamp()}.html`
+    );
+};
+
+// Opens the report in a new window and the browser's print dialog, where
+// it can be saved as PDF
+export const printReport = (report) => {
+    const printWindow = window.open('', '_blank');
+    if (!printWindow) {
+        throw new Error('The report window was blocked by the browser.');
+    }
+    printWindow.document.open();
+    printWindow.document.write(buildHtmlReport(report));
+    printWindow.document.close();
+    printWindow.focus();
+    // Give the browser a moment to lay out the SVGs before printing
+    setTimeout(() => printWindow.print(), 250);
+};
+
+export const exportXlsxReport = ({ summary, tables }) => {
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(
+        workbook,
+        XLSX.utils.aoa_to_sheet([['Metric', 'Value'], ...summary]),
+        'Summary'
+    );
+    tables.forEach((table) => {
+        XLSX.utils.book_append_sheet(
+            workbook,
+            XLSX.utils.aoa_to_sheet([table.columns, ...table.rows]),
+            table.name.slice(0, 31)
+        );
+    });
+    XLSX.writeFile(workbook, `history_report_${fileTimestamp()}.xlsx`);
+};
@@ -0,0 +1,222 @@
+import { getRoleValue } from './columnMapping';
+import { createDurationMeasure } from './businessCalendar';
+import {
+    LIFECYCLE_SORTS,
+    computeLifecycles,
+    summarizeLifecycles,
+    cycleTimeDistribution,
+    buildGanttData,
+} from './lifecycle';
+import { crossTabStaffByAction, filterRowsForCell } from './staffActions';
+import { boxPlotStats, detectOutliers } from './outliers';
+import {
+    evaluateSla,
+    summarizeSla,
+    breachRateOverTime,
+    staffCompliance,
+    breachingReferences,
+} from './sla';
+import {
+    computeVersionStats,
+    versionActionNames,
+    buildActionMixData,
+    computeReferenceVersions,
+    cycleTimeByVersionCount,
+} from './docVersions';
+import { computeWorkload } from './workload';
+import { computeChartData } from './chartBuilder';
+import { computeRegistrationToAction } from './aggregations';
+import { createGridTable, queryGridPage } from './historyGrid';
+
+// --- Row-level results of the History sections, computed in the worker ---
+// The analyzed rows stay in the analysis worker. Every section asks for what
+// it draws, with its own settings as params, and gets aggregates, top lists
+// and at most a page of rows back. Results that do not depend on the
+// settings are kept with the rows until the next analysis.
+
+// `context` is {mapping, durationSettings, headers} of the analysis. Every
+// kept result is remembered for its last key only.
+export const createSectionSource = (rows, context) => {
+    const kept = {};
+    return {
+        rows,
+        ...context,
+        keep: (name, key, compute) => {
+            if (!kept[name] || kept[name].key !== key) {
+                kept[name] = { key, value: compute() };
+            }
+            return kept[name].value;
+        },
+    };
+};
+
+const durationMeasure = (source) =>
+    source.keep('measure', null, () =>
+        createDurationMeasure(source.durationSettings)
+    );
+
+const lifecyclesOf = (source) =>
+    source.keep('lifecycles', null, () =>
+        computeLifecycles(source.rows, source.mapping, durationMeasure(source))
+    );
+
+// At most `limit` items, spread evenly over the list
+const sampleEvenly = (items, limit) =>
+    items.length <= limit
+        ? items
+        : Array.from(
+              { length: limit },
+              (_, i) => items[Math.floor((i * items.length) / limit)]
+          );
+
+const uniqueValues = (rows, mapping, role) =>
+    [
+        ...new Set(
+            rows.map((row) => getRoleValue(row, mapping, role)).filter(Boolean)
+        ),
+    ].sort();
+
+const lifecycle = (source, { sortBy, selectedReference, limit, maxSteps }) => {
+    const lifecycles = lifecyclesOf(source);
+    const timelines = [...lifecycles]
+        .sort(LIFECYCLE_SORTS[sortBy].compare)
+        .slice(0, limit);
+    return {
+        count: lifecycles.length,
+        summary: summarizeLifecycles(lifecycles),
+        distribution: cycleTimeDistribution(lifecycles),
+        timelines,
+        gantt: buildGanttData(timelines, maxSteps, durationMeasure(source)),
+        selected:
+            lifecycles.find((l) => l.reference === selectedReference) || null,
+    };
+};
+
+const staffActions = (source, { selectedCell, limit }) => {
+    const { rows, mapping } = source;
+    const crossTab = source.keep('crossTab', null, () =>
+        crossTabStaffByAction(rows, mapping)
+    );
+    const selectedRows = selectedCell
+        ? filterRowsForCell(
+              rows,
+              mapping,
+              selectedCell.staff,
+              selectedCell.action
+          )
+        : [];
+    return {
+        crossTab,
+        selectedRows: selectedRows.slice(0, limit),
+        selectedCount: selectedRows.length,
+    };
+};
+
+const outliers = (
+    source,
+    { method, groupBy, threshold, boxLimit, rowLimit }
+) => {
+    const { rows, mapping } = source;
+    const flagged = detectOutliers(rows, mapping, {
+        method,
+        groupBy,
+        threshold,
+    });
+    return {
+        boxes: source.keep('boxes', groupBy, () =>
+            boxPlotStats(rows, mapping, groupBy).slice(0, boxLimit)
+        ),
+        flagged: flagged.slice(0, rowLimit),
+        flaggedCount: flagged.length,
+    };
+};
+
+const sla = (source, { config, granularity, staffLimit, referenceLimit }) => {
+    const { rows, mapping } = source;
+    const evaluations = source.keep(
+        'slaEvaluations',
+        JSON.stringify(config),
+        () => evaluateSla(rows, mapping, config)
+    );
+    const breaching = breachingReferences(evaluations);
+    return {
+        actions: source.keep('actions', null, () =>
+            uniqueValues(rows, mapping, 'action')
+        ),
+        staffMembers: source.keep('staffMembers', null, () =>
+            uniqueValues(rows, mapping, 'staff')
+        ),
+        evaluatedCount: evaluations.length,
+        summary: summarizeSla(evaluations),
+        overTime: breachRateOverTime(evaluations, granularity),
+        compliance: staffCompliance(evaluations).slice(0, staffLimit),
+        breaching: breaching.slice(0, referenceLimit),
+        breachingCount: breaching.length,
+    };
+};
+
+const docVersions = (source, { versionLimit, actionLimit, referenceLimit }) => {
+    const { rows, mapping } = source;
+    const versionStats = computeVersionStats(rows, mapping).slice(
+        0,
+        versionLimit
+    );
+    const actionNames = versionActionNames(versionStats).slice(0, actionLimit);
+    const referenceVersions = source.keep('referenceVersions', null, () =>
+        computeReferenceVersions(rows, mapping, lifecyclesOf(source))
+    );
+    return {
+        versionStats,
+        actionNames,
+        actionMix: buildActionMixData(versionStats, actionNames),
+        referenceVersions: sampleEvenly(referenceVersions, referenceLimit),
+        referenceCount: referenceVersions.length,
+        byVersionCount: cycleTimeByVersionCount(referenceVersions),
+    };
+};
+
+const workload = (source, options) =>
+    computeWorkload(source.rows, source.mapping, options);
+
+// Chart data keyed by chart id
+const customCharts = (source, { charts }) =>
+    Object.fromEntries(
+        charts.map((chart) => [
+            chart.id,
+            computeChartData(source.rows, source.mapping, chart),
+        ])
+    );
+
+// Every row's registration to action, for the XLSX report
+const registrationToAction = (source) =>
+    computeRegistrationToAction(
+        source.rows,
+        source.mapping,
+        durationMeasure(source)
+    );
+
+const grid = (source, state) =>
+    queryGridPage(
+        source.keep('gridTable', null, () =>
+            createGridTable(source.rows, source.headers)
+        ),
+        state
+    );
+
+const SECTION_QUERIES = {
+    lifecycle,
+    staffActions,
+    outliers,
+    sla,
+    docVersions,
+    workload,
+    customCharts,
+    registrationToAction,
+    grid,
+};
+
+export const runSectionQuery = (source, kind, params) => {
+    const query = SECTION_QUERIES[kind];
+    if (!query) throw new Error(`Unknown section query: ${kind}`);
+    return query(source, params);
+};
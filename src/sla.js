@@ -0,0 +1,180 @@
+import { format } from 'date-fns';
+import { getRoleValue } from './columnMapping';
+import { GRANULARITIES } from './workload';
+
+// --- Service-level targets per action type and breach tracking ---
+// A rule sets the target duration for an action type (empty = any action),
+// optionally only for the members of one staff group. Durations are the
+// row durations, so they follow the calendar/business duration mode.
+
+export const SLA_UNITS = {
+    days: { label: 'Days', field: 'durationDays' },
+    hours: { label: 'Hours', field: 'durationHours' },
+};
+
+export const SLA_STATUS = {
+    met: { label: 'Met', color: '#21ba45' },
+    breached: { label: 'Breached', color: '#db2828' },
+    unknown: { label: 'No duration', color: '#999' },
+};
+
+export const EMPTY_SLA_CONFIG = {
+    unit: 'days',
+    // { id, action, staffGroup, target }
+    rules: [],
+    // { name, members: [staff names] }
+    staffGroups: [],
+};
+
+let nextRuleId = 1;
+export const createSlaRule = (patch = {}) => ({
+    id: `rule-${Date.now()}-${nextRuleId++}`,
+    action: '',
+    staffGroup: '',
+    target: 5,
+    ...patch,
+});
+
+const groupsOfStaff = (config, staff) =>
+    config.staffGroups
+        .filter((group) => group.members.includes(staff))
+        .map((group) => group.name);
+
+// Most specific rule wins: action + group, action, group, catch-all
+const ruleSpecificity = (rule) =>
+    (rule.action ? 2 : 0) + (rule.staffGroup ? 1 : 0);
+
+export const findSlaRule = (config, action, staff) => {
+    const groups = groupsOfStaff(config, staff);
+    let best = null;
+    config.rules.forEach((rule) => {
+        if (rule.action && rule.action !== action) return;
+        if (rule.staffGroup && !groups.includes(rule.staffGroup)) return;
+        if (!best || ruleSpecificity(rule) > ruleSpecificity(best)) {
+            best = rule;
+        }
+    });
+    return best;
+};
+
+// Breach status of every row a rule applies to
+export const evaluateSla = (rows, mapping, config) => {
+    if (!config.rules.length) return [];
+    const field = SLA_UNITS[config.unit].field;
+    const evaluations = [];
+    rows.forEach((row) => {
+        const action = getRoleValue(row, mapping, 'action');
+        const staff = getRoleValue(row, mapping, 'staff');
+        const rule = findSlaRule(config, action, staff);
+        if (!rule) return;
+        const duration = row[field];
+        let status = 'unknown';
+        if (duration !== null && duration >= 0) {
+            status = duration > rule.target ? 'breached' : 'met';
+        }
+        evaluations.push({
+            row,
+            rule,
+            action,
+            staff,
+            reference: getRoleValue(row, mapping, 'reference'),
+            duration,
+            overshoot: status === 'breached' ? duration - rule.target : 0,
+            status,
+        });
+    });
+    return evaluations;
+};
+
+const rate = (part, total) => (total ? (part / total) * 100 : 0);
+
+export const summarizeSla = (evaluations) => {
+    const met = evaluations.filter((e) => e.status === 'met').length;
+    const breached = evaluations.filter((e) => e.status === 'breached').length;
+    return {
+        evaluated: met + breached,
+        met,
+        breached,
+        unknown: evaluations.length - met - breached,
+        complianceRate: rate(met, met + breached),
+    };
+};
+
+// Breach rate per period of the action date
+export const breachRateOverTime = (evaluations, granularity) => {
+    const { start, key } = GRANULARITIES[granularity];
+    const buckets = {};
+    evaluations.forEach((e) => {
+        if (e.status === 'unknown' || !e.row.actionDateValid) return;
+        const bucket = format(start(e.row.actionDateValid), key);
+        if (!buckets[bucket]) buckets[bucket] = { total: 0, breached: 0 };
+        buckets[bucket].total += 1;
+        if (e.status === 'breached') buckets[bucket].breached += 1;
+    });
+    return Object.entries(buckets)
+        .map(([bucket, counts]) => ({
+            bucket,
+            ...counts,
+            breachRate: rate(counts.breached, counts.total),
+        }))
+        .sort((a, b) => a.bucket.localeCompare(b.bucket));
+};
+
+// Compliance per staff member, least compliant first
+export const staffCompliance = (evaluations) => {
+    const byStaff = {};
+    evaluations.forEach((e) => {
+        if (e.status === 'unknown') return;
+        const staff = e.staff || '(none)';
+        if (!byStaff[staff]) byStaff[staff] = { total: 0, met: 0 };
+        byStaff[staff].total += 1;
+        if (e.status === 'met') byStaff[staff].met += 1;
+    });
+    return Object.entries(byStaff)
+        .map(([staff, counts]) => ({
+            staff,
+            ...counts,
+            breached: counts.total - counts.met,
+            complianceRate: rate(counts.met, counts.total),
+        }))
+        .sort(
+            (a, b) => a.complianceRate - b.complianceRate || b.total - a.total
+        );
+};
+
+// References whose latest action breached its target, largest overshoot
+// first. The export holds no open/closed status, so the latest action is
+// taken as the current state of the reference.
+export const breachingReferences = (evaluations) => {
+    const latest = {};
+    evaluations.forEach((e) => {
+        if (!e.reference || !e.row.actionDateValid) return;
+        const current = latest[e.reference];
+        if (!current || e.row.actionDateValid > current.row.actionDateValid) {
+            latest[e.reference] = e;
+        }
+    });
+    return Object.values(latest)
+        .filter((e) => e.status === 'breached')
+        .sort((a, b) => b.overshoot - a.overshoot);
+};
+
+const STORAGE_KEY = 'dataAnalyzer.slaConfig';
+
+export const loadSlaConfig = () => {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        return saved ? { ...EMPTY_SLA_CONFIG, ...saved } : EMPTY_SLA_CONFIG;
+    } catch (e) {
+        console.error('Error reading SLA configuration:', e);
+        return EMPTY_SLA_CONFIG;
+    }
+};
+
+export const saveSlaConfig = (config) => {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(config));
+    } catch (e) {
+        console.error('Error saving SLA configuration:', e);
+    }
+};
@@ -0,0 +1,91 @@
+import { getRoleValue } from './columnMapping';
+
+// --- Cross-tab of STAFF by ACTION ---
+
+export const UNKNOWN = '(none)';
+
+// Counts rows and averages durationDays for every staff/action pair
+export const crossTabStaffByAction = (rows, mapping) => {
+    const cells = {};
+    const staffTotals = {};
+    const actionTotals = {};
+    if (!mapping?.staff || !mapping?.action) {
+        return { cells, staff: [], actions: [], maxCount: 0, maxAvg: 0 };
+    }
+
+    rows.forEach((row) => {
+        const staff = getRoleValue(row, mapping, 'staff') || UNKNOWN;
+        const action = getRoleValue(row, mapping, 'action') || UNKNOWN;
+        if (!cells[staff]) cells[staff] = {};
+        if (!cells[staff][action]) {
+            cells[staff][action] = {
+                count: 0,
+                totalDuration: 0,
+                durationCount: 0,
+            };
+        }
+        const cell = cells[staff][action];
+        cell.count += 1;
+        if (row.durationDays !== null && row.durationDays >= 0) {
+            cell.totalDuration += row.durationDays;
+            cell.durationCount += 1;
+        }
+        staffTotals[staff] = (staffTotals[staff] || 0) + 1;
+        actionTotals[action] = (actionTotals[action] || 0) + 1;
+    });
+
+    let maxCount = 0;
+    let maxAvg = 0;
+    Object.values(cells).forEach((byAction) =>
+        Object.values(byAction).forEach((cell) => {
+            cell.avgDurationDays = cell.durationCount
+                ? cell.totalDuration / cell.durationCount
+                : null;
+            maxCount = Math.max(maxCount, cell.count);
+            maxAvg = Math.max(maxAvg, cell.avgDurationDays || 0);
+        })
+    );
+
+    const toAxis = (totals) =>
+        Object.entries(totals).map(([name, total]) => ({ name, total }));
+
+    return {
+        cells,
+        staff: toAxis(staffTotals),
+        actions: toAxis(actionTotals),
+        maxCount,
+        maxAvg,
+    };
+};
+
+export const sortAxis = (axis, sortBy) =>
+    [...axis].sort((a, b) =>
+        sortBy === 'name' ? a.name.localeCompare(b.name) : b.total - a.total
+    );
+
+// One row per staff member with a count column per action, for a stacked
+// BarChart
+export const buildStackedData = (crossTab, staffAxis, actionAxis) =>
+    staffAxis.map(({ name }) => {
+        const entry = { staff: name };
+        actionAxis.forEach((action) => {
+            entry[action.name] =
+                crossTab.cells[name]?.[action.name]?.count || 0;
+        });
+        return entry;
+    });
+
+export const filterRowsForCell = (rows, mapping, staff, action) =>
+    rows.filter(
+        (row) =>
+            (getRoleValue(row, mapping, 'staff') || UNKNOWN) === staff &&
+            (getRoleValue(row, mapping, 'action') || UNKNOWN) === action
+    );
+
+// Linear colour scale from white to the given RGB colour
+export const heatColor = (value, max, rgb = [33, 133, 208]) => {
+    if (!max || !value) return '#ffffff';
+    const t = Math.min(value / max, 1);
+    const [r, g, b] = rgb.map((c) => Math.round(255 + (c - 255) * t));
+    return `rgb(${r}, ${g}, ${b})`;
+};
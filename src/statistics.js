@@ -0,0 +1,279 @@
+// --- Descriptive and inferential statistics shared by the aggregations ---
+// Functions taking `sorted` expect numbers in ascending order; the others
+// accept any order. Empty input gives 0 (or null where 0 would mislead).
+
+export const sum = (values) => values.reduce((acc, val) => acc + val, 0);
+
+export const mean = (values) =>
+    values.length ? sum(values) / values.length : 0;
+
+// Linear interpolation between closest ranks (same as Excel's PERCENTILE)
+export const quantile = (sorted, p) => {
+    if (!sorted.length) return 0;
+    const pos = (sorted.length - 1) * p;
+    const lower = Math.floor(pos);
+    const upper = Math.ceil(pos);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (pos - lower);
+};
+
+export const median = (sorted) => quantile(sorted, 0.5);
+
+// Sample standard deviation (n - 1) by default; `sample: false` gives the
+// population standard deviation
+export const standardDeviation = (values, { sample = true } = {}) => {
+    const n = values.length;
+    if (n < (sample ? 2 : 1)) return 0;
+    const avg = mean(values);
+    const squares = values.reduce((acc, val) => acc + (val - avg) ** 2, 0);
+    return Math.sqrt(squares / (sample ? n - 1 : n));
+};
+
+// Mean without the lowest and highest `proportion` of the values each
+export const trimmedMean = (sorted, proportion = 0.1) => {
+    const cut = Math.floor(sorted.length * proportion);
+    return mean(sorted.slice(cut, sorted.length - cut));
+};
+
+export const EMPTY_SUMMARY = {
+    count: 0,
+    average: 0,
+    median: 0,
+    min: 0,
+    max: 0,
+    p75: 0,
+    p90: 0,
+    p95: 0,
+    stdDev: 0,
+    trimmedMean: 0,
+};
+
+// Summary of a list of numbers; `values` is sorted in place
+export const summarize = (values) => {
+    if (!values.length) return { ...EMPTY_SUMMARY };
+    const sorted = values.sort((a, b) => a - b);
+    return {
+        count: sorted.length,
+        average: mean(sorted),
+        median: median(sorted),
+        min: sorted[0],
+        max: sorted[sorted.length - 1],
+        p75: quantile(sorted, 0.75),
+        p90: quantile(sorted, 0.9),
+        p95: quantile(sorted, 0.95),
+        stdDev: standardDeviation(sorted),
+        trimmedMean: trimmedMean(sorted),
+    };
+};
+
+// Small seeded PRNG (mulberry32), so bootstrap intervals do not jump
+// around between renders of the same data
+export const createRandom = (seed = 1) => {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+// k-th smallest value (0-based) of a typed array, reordering it in place
+const select = (values, k) => {
+    let left = 0;
+    let right = values.length - 1;
+    while (left < right) {
+        const pivot = values[(left + right) >> 1];
+        let i = left;
+        let j = right;
+        while (i <= j) {
+            while (values[i] < pivot) i += 1;
+            while (values[j] > pivot) j -= 1;
+            if (i <= j) {
+                const tmp = values[i];
+                values[i] = values[j];
+                values[j] = tmp;
+                i += 1;
+                j -= 1;
+            }
+        }
+        if (k <= j) right = j;
+        else if (k >= i) left = i;
+        else break;
+    }
+    return values[k];
+};
+
+// Statistics a bootstrap can be run for. They receive an unsorted typed
+// array they may reorder.
+export const BOOTSTRAP_STATISTICS = {
+    mean: (values) => mean(values),
+    median: (values) => {
+        const n = values.length;
+        const upper = select(values, n >> 1);
+        if (n % 2) return upper;
+        // The lower middle is the largest value left of the upper one
+        let lower = -Infinity;
+        for (let i = 0; i < n >> 1; i += 1) lower = Math.max(lower, values[i]);
+        return (lower + upper) / 2;
+    },
+};
+
+// Percentile bootstrap confidence interval of a statistic (a key of
+// BOOTSTRAP_STATISTICS or a function over a Float64Array). Returns null for
+// fewer than two values.
+export const bootstrapCI = (
+    values,
+    statistic = 'mean',
+    { iterations = 1000, confidence = 0.95, seed = 1 } = {}
+) => {
+    const n = values.length;
+    if (n < 2) return null;
+    const compute =
+        typeof statistic === 'function'
+            ? statistic
+            : BOOTSTRAP_STATISTICS[statistic];
+    const random = createRandom(seed);
+    const sample = new Float64Array(n);
+    const estimates = new Float64Array(iterations);
+    for (let i = 0; i < iterations; i += 1) {
+        for (let j = 0; j < n; j += 1) {
+            sample[j] = values[Math.floor(random() * n)];
+        }
+        estimates[i] = compute(sample);
+    }
+    estimates.sort();
+    const alpha = (1 - confidence) / 2;
+    return {
+        estimate: compute(Float64Array.from(values)),
+        low: quantile(estimates, alpha),
+        high: quantile(estimates, 1 - alpha),
+        confidence,
+        iterations,
+    };
+};
+
+// Pearson correlation coefficient; null when either side has no variance
+export const pearsonCorrelation = (xs, ys) => {
+    const n = Math.min(xs.length, ys.length);
+    if (n < 2) return null;
+    const meanX = mean(xs.slice(0, n));
+    const meanY = mean(ys.slice(0, n));
+    let covariance = 0;
+    let varianceX = 0;
+    let varianceY = 0;
+    for (let i = 0; i < n; i += 1) {
+        const dx = xs[i] - meanX;
+        const dy = ys[i] - meanY;
+        covariance += dx * dy;
+        varianceX += dx * dx;
+        varianceY += dy * dy;
+    }
+    if (!varianceX || !varianceY) return null;
+    return covariance / Math.sqrt(varianceX * varianceY);
+};
+
+// Lanczos approximation of ln(Γ(x))
+const LANCZOS = [
+    676.5203681218851, -1259.1392167224028, 771.32342877765313,
+    -176.61502916214059, 12.507343278686905, -0.13857109526572012,
+    9.9843695780195716e-6, 1.5056327351493116e-7,
+];
+
+const logGamma = (x) => {
+    if (x < 0.5) {
+        return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+    }
+    const z = x - 1;
+    let a = 0.99999999999980993;
+    LANCZOS.forEach((c, i) => {
+        a += c / (z + i + 1);
+    });
+    const t = z + LANCZOS.length - 0.5;
+    return (
+        0.5 * Math.log(2 * Math.PI) + (z + 0.5) * Math.log(t) - t + Math.log(a)
+    );
+};
+
+// Continued fraction of the incomplete beta function (modified Lentz)
+const betaContinuedFraction = (x, a, b) => {
+    const TINY = 1e-30;
+    let c = 1;
+    let d = 1 - ((a + b) * x) / (a + 1);
+    if (Math.abs(d) < TINY) d = TINY;
+    d = 1 / d;
+    let result = d;
+    for (let m = 1; m <= 200; m += 1) {
+        const m2 = 2 * m;
+        let aa = (m * (b - m) * x) / ((a + m2 - 1) * (a + m2));
+        d = 1 + aa * d;
+        if (Math.abs(d) < TINY) d = TINY;
+        c = 1 + aa / c;
+        if (Math.abs(c) < TINY) c = TINY;
+        d = 1 / d;
+        result *= d * c;
+        aa = (-(a + m) * (a + b + m) * x) / ((a + m2) * (a + m2 + 1));
+        d = 1 + aa * d;
+        if (Math.abs(d) < TINY) d = TINY;
+        c = 1 + aa / c;
+        if (Math.abs(c) < TINY) c = TINY;
+        d = 1 / d;
+        const delta = d * c;
+        result *= delta;
+        if (Math.abs(delta - 1) < 1e-12) break;
+    }
+    return result;
+};
+
+// Regularized incomplete beta function I_x(a, b)
+export const incompleteBeta = (x, a, b) => {
+    if (x <= 0) return 0;
+    if (x >= 1) return 1;
+    const front = Math.exp(
+        logGamma(a + b) -
+            logGamma(a) -
+            logGamma(b) +
+            a * Math.log(x) +
+            b * Math.log(1 - x)
+    );
+    return x < (a + 1) / (a + b + 2)
+        ? (front * betaContinuedFraction(x, a, b)) / a
+        : 1 - (front * betaContinuedFraction(1 - x, b, a)) / b;
+};
+
+// P(F > f) for an F distribution with (d1, d2) degrees of freedom
+export const fDistributionPValue = (f, d1, d2) =>
+    f > 0 ? incompleteBeta(d2 / (d2 + d1 * f), d2 / 2, d1 / 2) : 1;
+
+// One-way ANOVA over groups of numbers. etaSquared is the share of the total
+// variance explained by the grouping (its root is the correlation ratio).
+// Returns null with fewer than two groups or no spread within the groups.
+export const oneWayAnova = (groups) => {
+    const nonEmpty = groups.filter((group) => group.length > 0);
+    const k = nonEmpty.length;
+    const n = nonEmpty.reduce((acc, group) => acc + group.length, 0);
+    if (k < 2 || n <= k) return null;
+    const grandMean = sum(nonEmpty.map(sum)) / n;
+    let ssBetween = 0;
+    let ssWithin = 0;
+    nonEmpty.forEach((group) => {
+        const groupMean = mean(group);
+        ssBetween += group.length * (groupMean - grandMean) ** 2;
+        group.forEach((val) => {
+            ssWithin += (val - groupMean) ** 2;
+        });
+    });
+    const dfBetween = k - 1;
+    const dfWithin = n - k;
+    if (!ssWithin) return null;
+    const f = ssBetween / dfBetween / (ssWithin / dfWithin);
+    return {
+        f,
+        pValue: fDistributionPValue(f, dfBetween, dfWithin),
+        dfBetween,
+        dfWithin,
+        ssBetween,
+        ssWithin,
+        etaSquared: ssBetween / (ssBetween + ssWithin),
+    };
+};
@@ -0,0 +1,184 @@
+import {
+    mean,
+    quantile,
+    median,
+    standardDeviation,
+    trimmedMean,
+    summarize,
+    EMPTY_SUMMARY,
+    bootstrapCI,
+    pearsonCorrelation,
+    fDistributionPValue,
+    oneWayAnova,
+} from './statistics';
+
+const ONE_TO_TEN = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+
+describe('quantile', () => {
+    it('interpolates between closest ranks', () => {
+        expect(quantile(ONE_TO_TEN, 0.75)).toBeCloseTo(7.75);
+        expect(quantile(ONE_TO_TEN, 0.9)).toBeCloseTo(9.1);
+        expect(quantile(ONE_TO_TEN, 0.95)).toBeCloseTo(9.55);
+        expect(median(ONE_TO_TEN)).toBeCloseTo(5.5);
+        expect(median([1, 3, 8])).toBe(3);
+    });
+
+    it('handles empty and single-value input', () => {
+        expect(quantile([], 0.5)).toBe(0);
+        expect(quantile([4], 0.9)).toBe(4);
+    });
+});
+
+describe('summarize', () => {
+    it('summarizes unsorted values', () => {
+        const summary = summarize([10, 1, 9, 2, 8, 3, 7, 4, 6, 5]);
+        expect(summary.count).toBe(10);
+        expect(summary.average).toBeCloseTo(5.5);
+        expect(summary.median).toBeCloseTo(5.5);
+        expect(summary.min).toBe(1);
+        expect(summary.max).toBe(10);
+        expect(summary.p75).toBeCloseTo(7.75);
+        expect(summary.p90).toBeCloseTo(9.1);
+        expect(summary.p95).toBeCloseTo(9.55);
+        expect(summary.stdDev).toBeCloseTo(3.02765, 4);
+        expect(summary.trimmedMean).toBeCloseTo(5.5);
+    });
+
+    it('gives zeros for no values', () => {
+        expect(summarize([])).toEqual(EMPTY_SUMMARY);
+    });
+
+    it('gives the value itself for a single value', () => {
+        expect(summarize([3])).toMatchObject({
+            count: 1,
+            average: 3,
+            median: 3,
+            p95: 3,
+            stdDev: 0,
+            trimmedMean: 3,
+        });
+    });
+});
+
+describe('standardDeviation', () => {
+    const values = [2, 4, 4, 4, 5, 5, 7, 9];
+
+    it('uses n - 1 by default', () => {
+        expect(standardDeviation(values)).toBeCloseTo(Math.sqrt(32 / 7));
+    });
+
+    it('uses n for the population', () => {
+        expect(standardDeviation(values, { sample: false })).toBeCloseTo(2);
+    });
+
+    it('is 0 without enough values', () => {
+        expect(standardDeviation([])).toBe(0);
+        expect(standardDeviation([5])).toBe(0);
+        expect(standardDeviation([5], { sample: false })).toBe(0);
+    });
+});
+
+describe('trimmedMean', () => {
+    it('leaves out the lowest and highest values', () => {
+        expect(trimmedMean([1, 2, 3, 4, 100], 0.2)).toBeCloseTo(3);
+        expect(trimmedMean(ONE_TO_TEN)).toBeCloseTo(5.5);
+    });
+
+    it('is the plain mean when nothing is cut', () => {
+        expect(trimmedMean([1, 2, 100])).toBeCloseTo(mean([1, 2, 100]));
+        expect(trimmedMean([])).toBe(0);
+    });
+});
+
+describe('pearsonCorrelation', () => {
+    it('matches known coefficients', () => {
+        expect(
+            pearsonCorrelation([1, 2, 3, 4, 5], [2, 4, 5, 4, 5])
+        ).toBeCloseTo(0.7746, 4);
+        expect(pearsonCorrelation([1, 2, 3], [6, 4, 2])).toBeCloseTo(-1);
+    });
+
+    it('is null without variance or enough pairs', () => {
+        expect(pearsonCorrelation([1, 2, 3], [5, 5, 5])).toBeNull();
+        expect(pearsonCorrelation([1], [2])).toBeNull();
+        expect(pearsonCorrelation([], [])).toBeNull();
+    });
+});
+
+describe('bootstrapCI', () => {
+    const values = [3, 7, 1, 9, 4, 6, 2, 8, 5, 10, 12, 4];
+
+    it('gives the same interval for the same seed', () => {
+        const first = bootstrapCI(values, 'mean', { seed: 42 });
+        const second = bootstrapCI(values, 'mean', { seed: 42 });
+        expect(second).toEqual(first);
+        expect(first.estimate).toBeCloseTo(mean(values));
+        expect(first.low).toBeLessThan(first.estimate);
+        expect(first.high).toBeGreaterThan(first.estimate);
+        expect(first.confidence).toBe(0.95);
+        expect(first.iterations).toBe(1000);
+    });
+
+    it('supports the median and custom statistics', () => {
+        const result = bootstrapCI(values, 'median', { seed: 7 });
+        expect(result.estimate).toBeCloseTo(5.5);
+        expect(result.low).toBeLessThanOrEqual(result.estimate);
+        expect(result.high).toBeGreaterThanOrEqual(result.estimate);
+        const max = bootstrapCI(values, (sample) => Math.max(...sample));
+        expect(max.estimate).toBe(12);
+        expect(max.high).toBe(12);
+    });
+
+    it('is null for fewer than two values', () => {
+        expect(bootstrapCI([])).toBeNull();
+        expect(bootstrapCI([5])).toBeNull();
+    });
+});
+
+describe('oneWayAnova', () => {
+    const groups = [
+        [6, 8, 4, 5, 3, 4],
+        [8, 12, 9, 11, 6, 8],
+        [13, 9, 11, 8, 7, 12],
+    ];
+
+    it('matches the textbook example', () => {
+        const result = oneWayAnova(groups);
+        expect(result.dfBetween).toBe(2);
+        expect(result.dfWithin).toBe(15);
+        expect(result.ssBetween).toBeCloseTo(84);
+        expect(result.ssWithin).toBeCloseTo(68);
+        expect(result.f).toBeCloseTo(9.26, 2);
+        expect(result.pValue).toBeCloseTo(0.0024, 4);
+        expect(result.etaSquared).toBeCloseTo(84 / 152);
+    });
+
+    it('ignores empty groups', () => {
+        expect(oneWayAnova([...groups, []]).f).toBeCloseTo(9.26, 2);
+    });
+
+    it('is null with fewer than two groups or no spread within them', () => {
+        expect(oneWayAnova([])).toBeNull();
+        expect(oneWayAnova([[1, 2, 3]])).toBeNull();
+        expect(oneWayAnova([[1], [2]])).toBeNull();
+        expect(
+            oneWayAnova([
+                [1, 1],
+                [2, 2],
+            ])
+        ).toBeNull();
+    });
+});
+
+describe('fDistributionPValue', () => {
+    it('matches F distribution tables', () => {
+        // Critical values of F(2, 15) at 5% and 1%
+        expect(fDistributionPValue(3.68, 2, 15)).toBeCloseTo(0.05, 3);
+        expect(fDistributionPValue(6.36, 2, 15)).toBeCloseTo(0.01, 3);
+    });
+
+    it('is 1 for F of 0 or less', () => {
+        expect(fDistributionPValue(0, 2, 15)).toBe(1);
+        expect(fDistributionPValue(-1, 2, 15)).toBe(1);
+    });
+});
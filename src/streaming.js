@@ -0,0 +1,150 @@
+import {
+    getRoleValue,
+    getHeaderSignature,
+    guessMapping,
+    validateMapping,
+} from './columnMapping';
+import { detectDateFormats, processRows } from './historyData';
+import { applyFilters } from './filters';
+import { createAggregator } from './aggregations';
+import { createQualityReport } from './dataQuality';
+
+// --- Streaming analysis of files as they are parsed ---
+// Rows are processed and aggregated chunk by chunk, so the charts can be
+// refreshed while a file is still loading. Files above the size threshold
+// are memory-bounded: only their aggregates are kept, and every analysis
+// parses them again instead of holding their rows.
+//
+// The bound is on the rows, not on the row count. Percentiles, the
+// bootstrap and the per-staff statistics need the individual durations, so
+// an analysis still keeps, per row, its duration (overall and per staff
+// member), its registration-to-action days and its ID for the duplicate
+// check: some tens of bytes instead of the whole row. Tens of millions of
+// rows can still exhaust the memory.
+
+export const DEFAULT_STREAMING_SETTINGS = {
+    // Parsed rows between two chart refreshes while loading
+    refreshRows: 50000,
+    // Files larger than this (in MB) keep aggregates only
+    boundedThresholdMb: 100,
+};
+
+export const isBoundedFile = (file, settings) =>
+    file.size > settings.boundedThresholdMb * 1024 * 1024;
+
+// Mapping the preview of a loading file uses: the current mapping, the one
+// saved for the file's layout or a guess, whichever fits its headers
+export const pickPreviewMapping = (headers, current, savedMappings) =>
+    [
+        current,
+        savedMappings?.[getHeaderSignature(headers)],
+        guessMapping(headers),
+    ].find(
+        (mapping) => mapping && validateMapping(mapping, headers).length === 0
+    ) || null;
+
+// Does for chunks of raw rows what mergeCsvFiles, processRows, applyFilters
+// and the aggregations do for a whole dataset. Date formats are detected on
+// the first chunk of every file. snapshot() gives an analysis result without rows;
+// `quality` holds the flagged rows.
+export const createStreamingAnalysis = ({
+    mapping,
+    durationSettings,
+    filters,
+}) => {
+    const aggregator = createAggregator(mapping, durationSettings);
+    const quality = createQualityReport(mapping);
+    const seen = new Set();
+    const duplicatesByFile = {};
+    const dateReport = {};
+    const dateFormats = {};
+    let rawCount = 0;
+    let parsedCount = 0;
+    let filteredCount = 0;
+    let latestCreated = null;
+
+    const addDateReport = (report) =>
+        Object.entries(report).forEach(([role, entry]) => {
+            if (!dateReport[role]) {
+                dateReport[role] = { ...entry };
+                return;
+            }
+            dateReport[role].formats = [
+                ...new Set([...dateReport[role].formats, ...entry.formats]),
+            ];
+            dateReport[role].total += entry.total;
+            dateReport[role].failed += entry.failed;
+        });
+
+    const addRows = (rawRows, fileName) => {
+        if (!(fileName in duplicatesByFile)) duplicatesByFile[fileName] = 0;
+        const unique = rawRows.filter((row) => {
+            const id = getRoleValue(row, mapping, 'id');
+            if (id === null) return true;
+            if (seen.has(id)) {
+                duplicatesByFile[fileName] += 1;
+                quality.add(row, 'duplicateId', `ID ${id}`);
+                return false;
+            }
+            seen.add(id);
+            return true;
+        });
+        if (!unique.length) return;
+        rawCount += unique.length;
+        if (!(fileName in dateFormats)) {
+            Object.assign(dateFormats, detectDateFormats(unique, mapping));
+        }
+        const processed = processRows(
+            unique,
+            mapping,
+            dateFormats,
+            durationSettings,
+            quality
+        );
+        addDateReport(processed.dateReport);
+        parsedCount += processed.rows.length;
+        processed.rows.forEach((row) => {
+            if (row.createdDateValid && row.createdDateValid > latestCreated) {
+                latestCreated = row.createdDateValid;
+            }
+        });
+        const rows = applyFilters(processed.rows, mapping, filters);
+        filteredCount += rows.length;
+        rows.forEach(aggregator.add);
+    };
+
+    const snapshot = ({ confidence = true } = {}) => ({
+        parsedCount,
+        filteredCount,
+        latestCreated,
+        rawCount,
+        dateReport,
+        duplicatesByFile,
+        quality: quality.summary(),
+        aggregates: aggregator.result({ confidence }),
+        comparison: null,
+        aggregateOnly: true,
+    });
+
+    return { addRows, snapshot, quality };
+};
+
+const STORAGE_KEY = 'dataAnalyzer.streamingSettings';
+
+export const loadStreamingSettings = () => {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        return { ...DEFAULT_STREAMING_SETTINGS, ...saved };
+    } catch (e) {
+        console.error('Error reading streaming settings:', e);
+        return DEFAULT_STREAMING_SETTINGS;
+    }
+};
+
+export const saveStreamingSettings = (settings) => {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+    } catch (e) {
+        console.error('Error saving streaming settings:', e);
+    }
+};
@@ -0,0 +1,27 @@
+// --- Filter functions of the TanStack tables ---
+// Kept free of React, so the analysis worker can filter with them too.
+
+const asDate = (value) => (value instanceof Date ? value : undefined);
+
+export const isWithinRange = (row, columnId, value) => {
+    const date = asDate(row.getValue(columnId));
+    // value => two date input values; anything else is no bound
+    const [start, end] = Array.isArray(value)
+        ? value.map(asDate)
+        : [undefined, undefined];
+    //If one filter defined and date is null filter it
+    if ((start || end) && !date) return false;
+    if (start && !end) {
+        return date.getTime() >= start.getTime();
+    } else if (!start && end) {
+        return date.getTime() <= end.getTime();
+    } else if (start && end) {
+        return (
+            date.getTime() >= start.getTime() && date.getTime() <= end.getTime()
+        );
+    } else return true;
+};
+
+// The filter is dropped once neither bound is set
+isWithinRange.autoRemove = (value) =>
+    !Array.isArray(value) || !value.some((bound) => bound instanceof Date);
@@ -0,0 +1,41 @@
+import { isWithinRange } from './tableFilters';
+
+const rowWith = (value) => ({ getValue: () => value });
+const JAN = new Date('2024-01-15T12:00:00');
+const FEB = new Date('2024-02-15T12:00:00');
+
+describe('isWithinRange', () => {
+    const range = [
+        new Date('2024-01-01T00:00:00'),
+        new Date('2024-01-31T23:59:59'),
+    ];
+
+    it('keeps dates inside the range', () => {
+        expect(isWithinRange(rowWith(JAN), 'date', range)).toBe(true);
+        expect(isWithinRange(rowWith(FEB), 'date', range)).toBe(false);
+        expect(isWithinRange(rowWith(FEB), 'date', [range[0], undefined])).toBe(
+            true
+        );
+        expect(isWithinRange(rowWith(JAN), 'date', [undefined, range[0]])).toBe(
+            false
+        );
+    });
+
+    it('drops rows without a date when a bound is set', () => {
+        expect(isWithinRange(rowWith(null), 'date', range)).toBe(false);
+        expect(
+            isWithinRange(rowWith(null), 'date', [undefined, undefined])
+        ).toBe(true);
+    });
+
+    it('ignores filter values that are not dates', () => {
+        expect(isWithinRange(rowWith(JAN), 'date', 'x')).toBe(true);
+        expect(isWithinRange(rowWith(null), 'date', 'x')).toBe(true);
+        expect(isWithinRange(rowWith(JAN), 'date', ['2024-03-01', 5])).toBe(
+            true
+        );
+        expect(isWithinRange.autoRemove('x')).toBe(true);
+        expect(isWithinRange.autoRemove([undefined, undefined])).toBe(true);
+        expect(isWithinRange.autoRemove([JAN, undefined])).toBe(false);
+    });
+});
@@ -0,0 +1,151 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+
+// --- Promise API over the analysis worker ---
+// Every request gets a jobId; the worker's answer resolves it. File requests
+// resolve with {files, dataset, persistError}; a cancelled request with null.
+// While files load, `partial` holds the latest preview analysis.
+// Section queries resolve with null once their analysis is superseded.
+export const useAnalysisWorker = () => {
+    const workerRef = useRef(null);
+    const pendingRef = useRef({});
+    const nextJobIdRef = useRef(1);
+    const [progress, setProgress] = useState(null);
+    const [partial, setPartial] = useState(null);
+
+    useEffect(() => {
+        const worker = new Worker(
+            new URL('./analysisWorker.js', import.meta.url)
+        );
+        const pending = pendingRef.current;
+        worker.onmessage = (event) => {
+            const { type, jobId } = event.data;
+            if (type === 'progress') {
+                setProgress(event.data.progress);
+                return;
+            }
+            if (type === 'partial') {
+                if (pending[jobId]) setPartial(event.data.result);
+                return;
+            }
+            const job = pending[jobId];
+            if (!job) return;
+            delete pending[jobId];
+            if (type === 'error') {
+                job.reject(new Error(event.data.message));
+            } else if (type === 'cancelled') {
+                job.resolve(null);
+            } else if (type === 'analyzed' || type === 'queried') {
+                job.resolve(event.data.result);
+            } else if (type === 'exported') {
+                job.resolve(event.data.text);
+            } else {
+                const { files, dataset, persistError } = event.data;
+                job.resolve({ files, dataset, persistError });
+            }
+        };
+        worker.onerror = (event) => {
+            console.error('Analysis Worker Error:', event.message);
+        };
+        workerRef.current = worker;
+        return () => {
+            worker.terminate();
+            workerRef.current = null;
+            Object.values(pending).forEach((job) =>
+                job.reject(new Error('Analysis worker stopped.'))
+            );
+            pendingRef.current = {};
+        };
+    }, []);
+
+    const request = useCallback(
+        (message) =>
+            new Promise((resolve, reject) => {
+                if (!workerRef.current) {
+                    reject(new Error('Analysis worker is not running.'));
+                    return;
+                }
+                const jobId = nextJobIdRef.current++;
+                pendingRef.current[jobId] = { resolve, reject };
+                workerRef.current.postMessage({ ...message, jobId });
+            }),
+        []
+    );
+
+    // `options` carries what the worker needs for the preview: {mapping,
+    // savedMappings, durationSettings, streaming}
+    const loadFiles = useCallback(
+        async (files, options) => {
+            setProgress(null);
+            setPartial(null);
+            try {
+                return await request({ type: 'load', files, ...options });
+            } finally {
+                setProgress(null);
+                setPartial(null);
+            }
+        },
+        [request]
+    );
+
+    const removeFile = useCallback(
+        (name) => request({ type: 'remove', name }),
+        [request]
+    );
+
+    const clearFiles = useCallback(() => request({ type: 'clear' }), [request]);
+
+    const openDataset = useCallback(
+        (datasetId) => request({ type: 'open', datasetId }),
+        [request]
+    );
+
+    // Analyses that parse bounded files again report progress too
+    const analyze = useCallback(
+        async (mapping, filters, durationSettings, comparison) => {
+            try {
+                return await request({
+                    type: 'analyze',
+                    mapping,
+                    filters,
+                    durationSettings,
+                    comparison,
+                });
+            } finally {
+                setProgress(null);
+            }
+        },
+        [request]
+    );
+
+    // CSV of the rows flagged by the data quality report
+    const exportQualityCsv = useCallback(
+        () => request({ type: 'exportQuality' }),
+        [request]
+    );
+
+    // Row-level results of a History section for the analysis `version`
+    // (see sectionQueries.js)
+    const query = useCallback(
+        (kind, params, version) =>
+            request({ type: 'query', kind, params, version }),
+        [request]
+    );
+
+    const cancel = useCallback(() => {
+        if (workerRef.current)
+            workerRef.current.postMessage({ type: 'cancel' });
+    }, []);
+
+    return {
+        progress,
+        partial,
+        loadFiles,
+        removeFile,
+        clearFiles,
+        openDataset,
+        analyze,
+        exportQualityCsv,
+        query,
+        cancel,
+    };
+};
@@ -0,0 +1,35 @@
+import { useState, useEffect, useRef } from 'react';
+
+// --- Results of a History section, computed in the analysis worker ---
+// `query(kind, params)` is bound to the shown analysis (see History.jsx), so
+// a new analysis asks again, as do changed params. The previous result stays
+// until the next one arrives; it is null before the first.
+export const useSectionQuery = (query, kind, params) => {
+    const [result, setResult] = useState(null);
+    const [error, setError] = useState(null);
+    // Params are compared by value; the latest ones are sent
+    const paramsRef = useRef(params);
+    paramsRef.current = params;
+    const paramsKey = JSON.stringify(params);
+
+    useEffect(() => {
+        if (!query) return undefined;
+        let active = true;
+        query(kind, paramsRef.current)
+            .then((next) => {
+                // null when the analysis was superseded meanwhile
+                if (!active || !next) return;
+                setResult(next);
+                setError(null);
+            })
+            .catch((err) => {
+                console.error('Section Query Error:', err);
+                if (active) setError(err.message);
+            });
+        return () => {
+            active = false;
+        };
+    }, [query, kind, paramsKey]);
+
+    return { result, error };
+};
@@ -0,0 +1,116 @@
+import {
+    format,
+    startOfDay,
+    startOfISOWeek,
+    startOfMonth,
+    addDays,
+    addWeeks,
+    addMonths,
+} from 'date-fns';
+import { getRoleValue } from './columnMapping';
+import { mean } from './statistics';
+
+// --- Workload over time: bucketed counts with optional series split ---
+
+export const GRANULARITIES = {
+    day: { label: 'Day', start: startOfDay, next: addDays, key: 'yyyy-MM-dd' },
+    week: {
+        label: 'ISO Week',
+        start: startOfISOWeek,
+        next: addWeeks,
+        key: "RRRR-'W'II",
+    },
+    month: {
+        label: 'Month',
+        start: startOfMonth,
+        next: addMonths,
+        key: 'yyyy-MM',
+    },
+};
+
+export const DATE_FIELDS = {
+    created: { label: 'Created date', field: 'createdDateValid' },
+    actionDate: { label: 'Action date', field: 'actionDateValid' },
+};
+
+const MAX_SERIES = 8;
+export const OTHER_SERIES = 'Other';
+
+// Trailing moving average; the first (window - 1) points average what is
+// available so far
+export const movingAverage = (values, window) =>
+    values.map((_, i) => {
+        const from = Math.max(0, i - window + 1);
+        return mean(values.slice(from, i + 1));
+    });
+
+// Counts rows per bucket of the chosen date field. Empty buckets between the
+// first and last date are kept so the moving average and the line are not
+// distorted. With splitBy ('staff' or 'action') every bucket also carries a
+// count per series; series beyond the largest MAX_SERIES go to "Other".
+export const computeWorkload = (
+    rows,
+    mapping,
+    { dateField, granularity, splitBy, maWindow }
+) => {
+    const { field } = DATE_FIELDS[dateField];
+    const { start, next, key } = GRANULARITIES[granularity];
+    const dated = rows.filter((row) => row[field]);
+    if (!dated.length) return { data: [], series: [] };
+
+    let series = [];
+    const seriesOf = {};
+    if (splitBy && mapping?.[splitBy]) {
+        const totals = {};
+        dated.forEach((row) => {
+            const name = getRoleValue(row, mapping, splitBy) || '(none)';
+            totals[name] = (totals[name] || 0) + 1;
+        });
+        const ranked = Object.entries(totals)
+            .sort((a, b) => b[1] - a[1])
+            .map(([name]) => name);
+        series = ranked.slice(0, MAX_SERIES);
+        ranked.forEach((name) => {
+            seriesOf[name] = series.includes(name) ? name : OTHER_SERIES;
+        });
+        if (ranked.length > MAX_SERIES) series.push(OTHER_SERIES);
+    }
+
+    const buckets = {};
+    let first = null;
+    let last = null;
+    dated.forEach((row) => {
+        const bucketStart = start(row[field]);
+        if (!first || bucketStart < first) first = bucketStart;
+        if (!last || bucketStart > last) last = bucketStart;
+        const bucketKey = format(bucketStart, key);
+        if (!buckets[bucketKey]) buckets[bucketKey] = { total: 0 };
+        buckets[bucketKey].total += 1;
+        if (series.length) {
+            const name =
+                seriesOf[getRoleValue(row, mapping, splitBy) || '(none)'];
+            buckets[bucketKey][name] = (buckets[bucketKey][name] || 0) + 1;
+        }
+    });
+
+    const data = [];
+    for (let d = first; d <= last; d = next(d, 1)) {
+        const bucketKey = format(d, key);
+        const entry = { bucket: bucketKey, total: 0 };
+        series.forEach((name) => {
+            entry[name] = 0;
+        });
+        data.push({ ...entry, ...buckets[bucketKey] });
+    }
+
+    if (maWindow) {
+        const averages = movingAverage(
+            data.map((entry) => entry.total),
+            maWindow
+        );
+        data.forEach((entry, i) => {
+            entry.movingAverage = averages[i];
+        });
+    }
+    return { data, series };
+};